@@ -111,10 +111,24 @@
       // Metadata may still be preserved internally for print templates, sorting, diagnostics, etc.
       enabled: true
     },
+    localFiles: {
+      // Lets users open local PDF, TIFF and image files from the start screen by drag-and-drop or
+      // the file picker. The files are read in the browser and never uploaded.
+      enabled: true
+    },
     viewer: {
       // Initial zoom mode when the first page opens.
       // Supported values: "fit-page", "fit-width" (default), "custom-fit-width", "actual-size".
       defaultZoomMode: 'fit-width',
+      // Initial page layout: "single" (default) shows one page at a time, "continuous" stacks the
+      // pages vertically in one scroll area, "spread" shows two facing pages side by side.
+      // A layout chosen in the toolbar is remembered per user.
+      defaultPageLayout: 'single',
+      // Spread layout only: show the first page alone, like the cover of a book (default false).
+      spreadCoverPage: false,
+      // Offer a play control on animated GIF and WebP pages (default true). Every frame is also a
+      // page of its own either way.
+      animationPlayback: true,
       // Percentage caps used by the Custom Size toolbar button.
       // Width supports 1..100 and defaults to 70% of calculated fit-width zoom.
       // Height supports 1..500. Actual size supports 1..200. Use null for no cap.
@@ -236,6 +250,9 @@
         footerReservePt: 14,
         textFontSize: 7,
         imageFallbackQuality: 0.9,
+        // Copy pages of PDF sources as vector pages from the original bytes instead of printing
+        // the rendered image. Redacted or brightness/contrast-edited pages always print as images.
+        vectorPassthrough: true,
         // Optional PDF orientation checkbox. When unchecked, fixedMode is used.
         orientation: {
           enabled: false,
@@ -248,6 +265,12 @@
             sv: 'Låt den skapade utskriften välja stående eller liggande format per sida.'
           }
         },
+        // Optional "Pages per sheet" select: 'single', '2-up', '4-up' or 'booklet'. 2-up and booklet
+        // use landscape A4 sheets and 4-up portrait A4; each page keeps its own header and footer.
+        layout: {
+          enabled: false,
+          defaultMode: 'single'
+        },
         // Offload generated-PDF assembly to web workers for larger jobs.
         // partialMergeEnabled lets ODV create page-batch PDFs in parallel and then
         // merge all completed partial PDFs in one final pass.
@@ -384,9 +407,75 @@
             printValue: { en: 'COPY', sv: 'KOPIA' }
           }
         ]
+      },
+
+      // Optional Bates numbering. When enabled, the print and export dialogs offer a checkbox that
+      // stamps prefix + zero-padded number on every output page, continuing across documents. The
+      // values below are the dialog defaults; startNumber only seeds the counter, which then runs
+      // on through prints and exports for the session. Hosts can set it with
+      // window.ODV.setBatesStart(n).
+      // Templates can use {{bates}}, {{batesNumber}}, {{batesFirst}} and {{batesLast}}.
+      bates: {
+        enabled: false,
+        defaultChecked: false,
+        prefix: '',
+        startNumber: 1,
+        digits: 6,
+        // bottom-right | bottom-center | bottom-left | top-right | top-center | top-left
+        position: 'bottom-right'
+      },
+
+      // Optional separators for prints that span more than one document. When enabled, the print
+      // dialog offers a separator sheet before each document and odd-page starts for duplex
+      // printing (blank pages are inserted as needed). The template uses the page tokens of the
+      // document's first printed page ({{doc.documentNumber}}, {{doc.title}}, {{metadata.*}}, ...).
+      // barcode: print the document id as a Code 128 barcode below the text.
+      // Generated-PDF output applies separators only to the one-page-per-sheet layout.
+      separators: {
+        enabled: false,
+        defaultChecked: true,
+        defaultOddPageStart: false,
+        barcode: true,
+        fontSizePt: 12,
+        template: {
+          en: '<strong>Document {{doc.documentNumber}} of {{doc.totalDocuments}}</strong>[[{{doc.title}}, "<br>{{doc.title}}"]][[{{doc.documentId}}, "<br>ID: {{doc.documentId}}"]][[{{doc.documentPageCount}}, "<br>Pages: {{doc.documentPageCount}}"]]',
+          sv: '<strong>Dokument {{doc.documentNumber}} av {{doc.totalDocuments}}</strong>[[{{doc.title}}, "<br>{{doc.title}}"]][[{{doc.documentId}}, "<br>ID: {{doc.documentId}}"]][[{{doc.documentPageCount}}, "<br>Sidor: {{doc.documentPageCount}}"]]'
+        },
+        css: ''
       }
     },
 
+    // ---- PAGE EXPORT ----------------------------------------------------------
+    export: {
+      // Show the Export button. Exports write the chosen pages without print headers, footers or
+      // watermarks; Bates stamps follow print.bates, and redactions are always burned in. Every
+      // export is sent to the user log with action "export".
+      enabled: false,
+      // Formats offered, in dialog order: 'pdf', 'tiff' (multi-page), 'png' and 'jpeg' (ZIP of pages).
+      formats: ['pdf', 'tiff', 'png', 'jpeg'],
+      defaultFormat: 'pdf',
+      // 'original', or a DPI for an A4 page: 300, 200, 150 or 100. Pages are never enlarged.
+      defaultResolution: 200,
+      // true: apply the viewer's rotation, brightness and contrast by default.
+      defaultAdjusted: false,
+      defaultAnnotations: true,
+      // JPEG quality (0.1-1) of JPEG pages and of the page images of exported PDFs.
+      jpegQuality: 0.9,
+      // Download name without extension (.pdf, .tif or .zip is added).
+      filename: 'opendocviewer-export'
+    },
+
+    // ---- ORIGINAL DOWNLOADS ---------------------------------------------------
+    downloadOriginal: {
+      // Show "Download original" in the toolbar and the thumbnail context menu. It downloads the
+      // stored source file exactly as received (under the host's displayName), or a ZIP when a
+      // document has several files. Files with redacted pages are refused. Every download is sent
+      // to the user log with action "download-original". Set to false to block the feature.
+      enabled: true,
+      // ZIP name without extension; "-document-<n>" is added for numbered documents.
+      zipFilename: 'opendocviewer-originals'
+    },
+
     // ---- INTEGRATION ADAPTERS -------------------------------------------------
     integrations: {
       portableBundle: {
@@ -407,6 +496,19 @@
         // Keep concrete deployment values out of the public repo and set them only in a
         // deployment-local override file when needed.
         metadataAliases: {}
+      },
+
+      // Cross-origin postMessage bridge for hosts that embed or open the viewer from another
+      // origin. The host hands over the Portable Document Bundle during the handshake and can then
+      // send window.ODV commands and receive odv:* events. Origins must be exact, for example
+      // 'https://portal.example.com'; '*' is ignored. The bridge stays off while the list is empty.
+      postMessage: {
+        enabled: false,
+        allowedOrigins: [],
+        // How long startup waits for the host handshake before trying the next bootstrap mode.
+        handshakeTimeoutMs: 3000,
+        forwardEvents: true,
+        acceptCommands: true
       }
     },
 
@@ -599,6 +701,23 @@
         // or wrong. Increase only when legitimate source files in this deployment need it.
         maxSourceSizeMiB: 512,
 
+        // Open large PDFs through HTTP Range requests when the server answers a HEAD request with
+        // `Accept-Ranges: bytes`. The first pages show after only the ranges they need have been
+        // read; the full download continues in the background. PDFs above maxSourceSizeMiB are not
+        // downloaded in full and keep rendering from ranges. Servers without range support get the
+        // normal full fetch. Set to false to skip the HEAD request for every PDF.
+        rangeLoading: true,
+        // Only PDFs at least this large are range-loaded. When a file entry carries
+        // sourceSizeBytes below this size, the HEAD request is skipped too.
+        rangeLoadingMinSourceSizeMiB: 32,
+        // Size of one range request, and of one stored range.
+        rangeChunkSizeKiB: 512,
+
+        // How often an interrupted source-pack stream is requested again for the sources not yet
+        // received (?from=<fileIndex>, plus ?resume=<token> when the server sends one).
+        // 0 disables resuming.
+        sourcePackResumeAttempts: 3,
+
         // If the first N source URLs all fail as unavailable (401/403/404/410 or HTML/error
         // payloads) and no source has loaded successfully, treat the host session/tickets as
         // expired and stop the run instead of trying hundreds of doomed URLs.
@@ -0,0 +1,134 @@
+// File: server/__tests__/sourcePack.test.js
+/**
+ * Round-trip tests for the ODVSP1 reference producer, parser and directory route. The viewer's
+ * own stream reader parses the route's output too, so both sides of the format stay in step.
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { mkdtemp, mkdir, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+import express from 'express';
+
+import {
+  SOURCE_PACK_MAX_PAYLOAD_BYTES,
+  encodeSourcePackFrame,
+  parseSourcePack,
+  produceSourcePack,
+} from '../sourcePack.js';
+import { createSourcePackRouter } from '../sourcePackRoute.js';
+import { readSourcePackStream } from '../../src/components/DocumentLoader/sourcePackStream.js';
+
+/**
+ * @param {AsyncIterable<Buffer>} parts
+ * @returns {Promise<Buffer>}
+ */
+async function collect(parts) {
+  const chunks = [];
+  for await (const part of parts) chunks.push(part);
+  return Buffer.concat(chunks);
+}
+
+describe('sourcePack', () => {
+  it('round-trips frames, failed sources and resume positions', async () => {
+    const sources = [
+      { fileIndex: 0, sizeBytes: 5, ext: 'png', contentType: 'image/png', displayName: 'a.png' },
+      { fileIndex: 1, sizeBytes: 0, ext: 'pdf', displayName: 'missing.pdf' },
+      { fileIndex: 2, sizeBytes: SOURCE_PACK_MAX_PAYLOAD_BYTES + 1, ext: 'pdf' },
+      { fileIndex: 3, sizeBytes: 3, ext: 'tif' },
+    ];
+    const loadSource = async (source) => {
+      if (source.fileIndex === 1) throw new Error('gone');
+      return Buffer.from(source.fileIndex === 0 ? 'hello' : 'end');
+    };
+    const resumeToken = (source) => `t${source.fileIndex + 1}`;
+
+    const { frames, complete } = parseSourcePack(await collect(produceSourcePack(sources, { loadSource, resumeToken })));
+    expect(complete).toBe(true);
+    expect(frames.map(({ header, payload }) => [header.fileIndex, header.ok, payload.toString(), header.resumeToken])).toEqual([
+      [0, true, 'hello', 't1'],
+      [1, false, '', 't2'],
+      [2, false, '', 't3'],
+      [3, true, 'end', 't4'],
+    ]);
+    expect(frames[0].header).toMatchObject({ contentType: 'image/png', ext: 'png', displayName: 'a.png', payloadBytes: 5 });
+    expect(frames[1].header.error).toBe('gone');
+    expect(frames[2].header.error).toMatch(/frame limit/);
+
+    const resumed = parseSourcePack(await collect(produceSourcePack(sources, { loadSource, from: 3 })));
+    expect(resumed.frames.map(({ header }) => header.fileIndex)).toEqual([3]);
+  });
+
+  it('rejects malformed packs and headers', () => {
+    const magic = Buffer.from('ODVSP1\n');
+    const frame = encodeSourcePackFrame({ fileIndex: 0 }, Buffer.from('abc'));
+
+    expect(parseSourcePack(Buffer.concat([magic, frame]))).toMatchObject({ complete: false });
+    expect(() => parseSourcePack(Buffer.from('PK\u0003\u0004'))).toThrow(/signature/);
+    expect(() => parseSourcePack(Buffer.concat([magic, frame.subarray(0, frame.length - 1)]))).toThrow(/inside a frame payload/);
+    expect(() => parseSourcePack(Buffer.concat([magic, Buffer.alloc(4), Buffer.from('x')]))).toThrow(/after its terminator/);
+    expect(() => encodeSourcePackFrame({ fileIndex: -1 })).toThrow(/fileIndex/);
+    expect(() => encodeSourcePackFrame({ fileIndex: 0, ok: false }, Buffer.from('x'))).toThrow(/failed frame/);
+
+    const badHeader = Buffer.from('{"fileIndex":"0","payloadBytes":0}');
+    const length = Buffer.alloc(4);
+    length.writeUInt32LE(badHeader.length, 0);
+    try {
+      parseSourcePack(Buffer.concat([magic, length, badHeader]));
+      expect.unreachable();
+    } catch (error) {
+      expect(error.code).toBe('source-pack-format');
+    }
+  });
+});
+
+describe('sourcePackRoute', () => {
+  let rootDir = '';
+  let server = null;
+  let baseUrl = '';
+
+  beforeAll(async () => {
+    rootDir = await mkdtemp(path.join(tmpdir(), 'odv-source-pack-'));
+    await writeFile(path.join(rootDir, 'b.pdf'), '%PDF-1.4 b');
+    await writeFile(path.join(rootDir, 'notes.txt'), 'skipped');
+    await mkdir(path.join(rootDir, 'a-case'));
+    await writeFile(path.join(rootDir, 'a-case', '1.png'), 'png-1');
+    await writeFile(path.join(rootDir, 'a-case', '2.png'), 'png-2');
+
+    const app = express();
+    app.use('/source-pack', createSourcePackRouter({ rootDir, dropAfterFrames: 1 }));
+    await new Promise((resolve) => { server = app.listen(0, '127.0.0.1', resolve); });
+    baseUrl = `http://127.0.0.1:${server.address().port}/source-pack`;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server?.close(resolve));
+    await rm(rootDir, { recursive: true, force: true });
+  });
+
+  it('serves a bundle and a stream the viewer resumes from a token', async () => {
+    const bundle = await (await fetch(`${baseUrl}/bundle.json`)).json();
+    expect(bundle.documents.map((document) => [document.documentId, document.files.map((file) => file.id)])).toEqual([
+      ['a-case/', ['a-case/1.png', 'a-case/2.png']],
+      ['b.pdf', ['b.pdf']],
+    ]);
+    expect(bundle.integration).toMatchObject({ sourceTransport: 'source-pack-stream', sourcePackFormat: 'odvsp1' });
+    expect(await (await fetch(bundle.documents[1].files[0].url)).text()).toBe('%PDF-1.4 b');
+
+    // The first stream is cut after one frame; the viewer's reader sees an incomplete pack.
+    const frames = [];
+    const onFrame = ({ header, payload }) => frames.push([header.fileIndex, new TextDecoder().decode(payload), header.resumeToken]);
+    const first = await fetch(bundle.integration.sourcePackUrl);
+    expect(await readSourcePackStream(first.body.getReader(), { onFrame })).toEqual({ complete: false });
+    expect(frames).toHaveLength(1);
+
+    const resumeToken = frames[0][2];
+    const rest = await fetch(`${bundle.integration.sourcePackUrl}?from=1&resume=${encodeURIComponent(resumeToken)}`);
+    expect(await readSourcePackStream(rest.body.getReader(), { onFrame })).toEqual({ complete: true });
+    expect(frames.map(([fileIndex, text]) => [fileIndex, text])).toEqual([[0, 'png-1'], [1, 'png-2'], [2, '%PDF-1.4 b']]);
+
+    await writeFile(path.join(rootDir, 'c.pdf'), '%PDF-1.4 c');
+    expect((await fetch(`${bundle.integration.sourcePackUrl}?resume=${encodeURIComponent(resumeToken)}`)).status).toBe(409);
+  });
+});
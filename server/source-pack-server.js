@@ -0,0 +1,88 @@
+// File: server/source-pack-server.js
+/**
+ * Source-Pack Server — standalone Express host that serves a directory of files as a Portable
+ * Document Bundle with an ODVSP1 source pack. Reference implementation and local stand-in host.
+ *
+ * Endpoints:
+ *   GET /healthz
+ *   GET /source-pack/bundle.json   open the viewer with `?bundleUrl=<this URL>`
+ *   GET /source-pack/stream
+ *   GET /source-pack/files/:fileIndex
+ *
+ * Runtime env:
+ *  - SOURCE_PACK_DIR=<directory of files>   (required)
+ *  - PORT=3003
+ *  - NODE_ENV=production|development
+ *  - TRUST_PROXY=1
+ *  - ALLOWED_ORIGINS=http://localhost:5173   (viewer origins allowed to read the bundle and files)
+ *  - SOURCE_PACK_DROP_AFTER_FRAMES=0         (development: cut the first stream of each load)
+ *
+ * See also: `docs-src/integrations.md` ("Source-pack reference server").
+ */
+
+import express from 'express';
+import cors from 'cors';
+import helmet from 'helmet';
+import dotenv from 'dotenv';
+import morgan from 'morgan';
+
+import { createSourcePackRouter } from './sourcePackRoute.js';
+
+dotenv.config();
+
+const PORT = Number(process.env.PORT || 3003);
+const NODE_ENV = process.env.NODE_ENV || 'development';
+const SOURCE_PACK_DIR = process.env.SOURCE_PACK_DIR || '';
+if (!SOURCE_PACK_DIR) {
+  throw new Error('SOURCE_PACK_DIR is required: set it to the directory whose files should be served.');
+}
+
+const DROP_AFTER_FRAMES = Number(process.env.SOURCE_PACK_DROP_AFTER_FRAMES || 0);
+if (NODE_ENV === 'production' && DROP_AFTER_FRAMES > 0) {
+  throw new Error('SOURCE_PACK_DROP_AFTER_FRAMES is a development aid and must not be set in production.');
+}
+
+const app = express();
+app.disable('x-powered-by');
+
+const TRUST_PROXY_RAW = process.env.TRUST_PROXY ?? '1';
+let TRUST_PROXY;
+if (/^\d+$/.test(TRUST_PROXY_RAW)) TRUST_PROXY = Number(TRUST_PROXY_RAW);
+else TRUST_PROXY = TRUST_PROXY_RAW === 'true' ? true : TRUST_PROXY_RAW === 'false' ? false : 1;
+app.set('trust proxy', TRUST_PROXY);
+
+/** Optional CORS, for a viewer served from another origin (e.g. the Vite dev server). */
+const ALLOWED_ORIGINS = (process.env.ALLOWED_ORIGINS || '')
+  .split(',').map((s) => s.trim()).filter(Boolean);
+if (ALLOWED_ORIGINS.length > 0) {
+  app.use(cors({
+    origin: (origin, cb) => {
+      if (!origin) return cb(null, false);
+      cb(null, ALLOWED_ORIGINS.includes(origin));
+    },
+    exposedHeaders: ['Accept-Ranges', 'Content-Length', 'Content-Range'],
+    maxAge: 86_400
+  }));
+}
+
+app.use(helmet({ crossOriginResourcePolicy: { policy: ALLOWED_ORIGINS.length > 0 ? 'cross-origin' : 'same-origin' } }));
+app.use(morgan(NODE_ENV === 'production' ? 'combined' : 'dev'));
+
+app.get('/healthz', (_req, res) => res.json({ ok: true }));
+app.use('/source-pack', createSourcePackRouter({
+  rootDir: SOURCE_PACK_DIR,
+  dropAfterFrames: DROP_AFTER_FRAMES,
+}));
+
+// Final error handler
+app.use((err, _req, res, _next) => {
+  console.error('Source-pack server error: %s', err?.message || err);
+  if (!res.headersSent) res.status(500).send('Internal Server Error');
+});
+
+app.listen(PORT, () => {
+  console.log(`Source-Pack Server listening on http://localhost:${PORT}`);
+  if (NODE_ENV !== 'production') {
+    console.log(`Serving ${SOURCE_PACK_DIR}; open the viewer with ?bundleUrl=http://localhost:${PORT}/source-pack/bundle.json`);
+  }
+});
@@ -0,0 +1,253 @@
+// File: server/sourcePack.js
+/**
+ * ODVSP1 source-pack format — reference producer and parser for Node.
+ *
+ * A source pack carries many source files in one ordered HTTP response. The viewer reads it in
+ * `src/components/DocumentLoader/sourcePackStream.js`; this module is the matching producer and a
+ * strict parser for tooling and tests.
+ *
+ * Layout:
+ *   magic    'ODVSP1\n' (7 ASCII bytes)
+ *   frame*   uint32 LE header length | UTF-8 JSON header | payload (header.payloadBytes bytes)
+ *   end      uint32 LE 0
+ *
+ * Frame header fields:
+ *   - fileIndex     (required) index of the file in the bundle's flattened file order
+ *   - payloadBytes  (required) payload length, at most 64 MiB
+ *   - ok            false marks a file the server could not deliver; `error` says why
+ *   - contentType, ext, displayName   optional type hints for the viewer
+ *   - resumeToken   optional opaque string; the viewer sends the last one back as `?resume=`
+ *
+ * Headers are limited to 64 KiB. A stream that ends without the terminator was cut off.
+ *
+ * Note: This file is self-contained; no internal imports required.
+ */
+
+export const SOURCE_PACK_MAGIC = 'ODVSP1\n';
+export const SOURCE_PACK_FORMAT = 'odvsp1';
+export const SOURCE_PACK_HEADER_LIMIT_BYTES = 64 * 1024;
+export const SOURCE_PACK_MAX_PAYLOAD_BYTES = 64 * 1024 * 1024;
+export const SOURCE_PACK_TERMINATOR = Buffer.alloc(4);
+
+const RESUME_TOKEN_MAX_LENGTH = 1024;
+
+/**
+ * @typedef {Object} SourcePackFrameHeader
+ * @property {number} fileIndex
+ * @property {number} payloadBytes
+ * @property {boolean=} ok
+ * @property {string=} error
+ * @property {string=} contentType
+ * @property {string=} ext
+ * @property {string=} displayName
+ * @property {string=} resumeToken
+ */
+
+/**
+ * @typedef {Object} SourcePackFrame
+ * @property {SourcePackFrameHeader} header
+ * @property {Buffer} payload
+ */
+
+/**
+ * @typedef {Object} SourcePackSource
+ * @property {number} fileIndex
+ * @property {number} sizeBytes
+ * @property {string=} contentType
+ * @property {string=} ext
+ * @property {string=} displayName
+ */
+
+/**
+ * @param {string} message
+ * @returns {Error}
+ */
+function createSourcePackFormatError(message) {
+  const error = new Error(message);
+  error.code = 'source-pack-format';
+  return error;
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isNonNegativeInteger(value) {
+  return Number.isSafeInteger(value) && value >= 0;
+}
+
+/**
+ * Check a frame header against the format rules.
+ *
+ * @param {*} header
+ * @returns {SourcePackFrameHeader} The same header.
+ * @throws {Error} With `code: 'source-pack-format'`.
+ */
+export function validateSourcePackHeader(header) {
+  if (!header || typeof header !== 'object' || Array.isArray(header)) {
+    throw createSourcePackFormatError('Frame header must be a JSON object.');
+  }
+  if (!isNonNegativeInteger(header.fileIndex)) {
+    throw createSourcePackFormatError('Frame header fileIndex must be a non-negative integer.');
+  }
+  if (!isNonNegativeInteger(header.payloadBytes)) {
+    throw createSourcePackFormatError('Frame header payloadBytes must be a non-negative integer.');
+  }
+  if (header.payloadBytes > SOURCE_PACK_MAX_PAYLOAD_BYTES) {
+    throw createSourcePackFormatError(`Frame payload is too large (${header.payloadBytes} bytes).`);
+  }
+  if (header.ok !== undefined && typeof header.ok !== 'boolean') {
+    throw createSourcePackFormatError('Frame header ok must be a boolean.');
+  }
+  if (header.ok === false && header.payloadBytes !== 0) {
+    throw createSourcePackFormatError('A failed frame must not carry a payload.');
+  }
+  for (const key of ['error', 'contentType', 'ext', 'displayName', 'resumeToken']) {
+    if (header[key] !== undefined && typeof header[key] !== 'string') {
+      throw createSourcePackFormatError(`Frame header ${key} must be a string.`);
+    }
+  }
+  if (header.resumeToken !== undefined && header.resumeToken.length > RESUME_TOKEN_MAX_LENGTH) {
+    throw createSourcePackFormatError('Frame header resumeToken is too long.');
+  }
+  return header;
+}
+
+/**
+ * Encode one frame. `payloadBytes` is taken from the payload.
+ *
+ * @param {Omit<SourcePackFrameHeader, 'payloadBytes'>} header
+ * @param {(Buffer|Uint8Array)=} payload
+ * @returns {Buffer}
+ */
+export function encodeSourcePackFrame(header, payload = Buffer.alloc(0)) {
+  const body = Buffer.from(payload.buffer, payload.byteOffset, payload.byteLength);
+  const fullHeader = validateSourcePackHeader({ ...header, payloadBytes: body.length });
+  const headerBytes = Buffer.from(JSON.stringify(fullHeader), 'utf8');
+  if (headerBytes.length === 0 || headerBytes.length > SOURCE_PACK_HEADER_LIMIT_BYTES) {
+    throw createSourcePackFormatError(`Frame header is too large (${headerBytes.length} bytes).`);
+  }
+  const length = Buffer.alloc(4);
+  length.writeUInt32LE(headerBytes.length, 0);
+  return Buffer.concat([length, headerBytes, body]);
+}
+
+/**
+ * Produce a source pack, one Buffer per part: the magic, one frame per source, the terminator.
+ *
+ * Sources are emitted in the given order, starting at the first one whose `fileIndex` is at
+ * least `from`. A source above the payload limit, or one `loadSource` fails for, becomes a failed
+ * frame and the pack goes on.
+ *
+ * @param {Array<SourcePackSource>} sources
+ * @param {Object} options
+ * @param {function(SourcePackSource): Promise<(Buffer|Uint8Array)>} options.loadSource
+ * @param {number=} options.from
+ * @param {function(SourcePackSource): (string|undefined)=} options.resumeToken Token for the frame after `source`.
+ * @returns {AsyncGenerator<Buffer>}
+ */
+export async function* produceSourcePack(sources, options) {
+  const from = Math.max(0, Math.floor(Number(options?.from) || 0));
+  yield Buffer.from(SOURCE_PACK_MAGIC, 'ascii');
+
+  for (const source of sources) {
+    if (source.fileIndex < from) continue;
+    const resumeToken = options.resumeToken?.(source) || undefined;
+
+    if (source.sizeBytes > SOURCE_PACK_MAX_PAYLOAD_BYTES) {
+      yield encodeSourcePackFrame({
+        fileIndex: source.fileIndex,
+        ok: false,
+        error: `Source is larger than the ${SOURCE_PACK_MAX_PAYLOAD_BYTES}-byte frame limit.`,
+        resumeToken,
+      });
+      continue;
+    }
+
+    let payload;
+    try {
+      payload = await options.loadSource(source);
+    } catch (error) {
+      yield encodeSourcePackFrame({
+        fileIndex: source.fileIndex,
+        ok: false,
+        error: String(error?.message || error),
+        resumeToken,
+      });
+      continue;
+    }
+
+    yield encodeSourcePackFrame({
+      fileIndex: source.fileIndex,
+      ok: true,
+      contentType: source.contentType,
+      ext: source.ext,
+      displayName: source.displayName,
+      resumeToken,
+    }, payload);
+  }
+
+  yield SOURCE_PACK_TERMINATOR;
+}
+
+/**
+ * Parse a complete or cut-off source pack held in memory.
+ *
+ * `complete` is false when the bytes end at a frame boundary without the terminator. Every other
+ * defect, including bytes that end inside a frame, throws.
+ *
+ * @param {(Buffer|Uint8Array)} bytes
+ * @returns {{ frames: Array<SourcePackFrame>, complete: boolean }}
+ * @throws {Error} With `code: 'source-pack-format'`.
+ */
+export function parseSourcePack(bytes) {
+  const buffer = Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const magicLength = SOURCE_PACK_MAGIC.length;
+  if (buffer.length < magicLength || buffer.toString('ascii', 0, magicLength) !== SOURCE_PACK_MAGIC) {
+    throw createSourcePackFormatError('Source pack does not start with the ODVSP1 signature.');
+  }
+
+  /** @type {Array<SourcePackFrame>} */
+  const frames = [];
+  let offset = magicLength;
+  while (offset < buffer.length) {
+    if (buffer.length - offset < 4) throw createSourcePackFormatError('Source pack ends inside a frame header length.');
+    const headerLength = buffer.readUInt32LE(offset);
+    offset += 4;
+    if (headerLength === 0) {
+      if (offset !== buffer.length) throw createSourcePackFormatError('Source pack has bytes after its terminator.');
+      return { frames, complete: true };
+    }
+    if (headerLength > SOURCE_PACK_HEADER_LIMIT_BYTES) {
+      throw createSourcePackFormatError(`Frame header is too large (${headerLength} bytes).`);
+    }
+    if (buffer.length - offset < headerLength) throw createSourcePackFormatError('Source pack ends inside a frame header.');
+
+    let header;
+    try {
+      header = JSON.parse(buffer.toString('utf8', offset, offset + headerLength));
+    } catch (error) {
+      throw createSourcePackFormatError(`Frame header is not valid JSON (${String(error?.message || error)}).`);
+    }
+    validateSourcePackHeader(header);
+    offset += headerLength;
+
+    if (buffer.length - offset < header.payloadBytes) throw createSourcePackFormatError('Source pack ends inside a frame payload.');
+    frames.push({ header, payload: buffer.subarray(offset, offset + header.payloadBytes) });
+    offset += header.payloadBytes;
+  }
+
+  return { frames, complete: false };
+}
+
+export default {
+  SOURCE_PACK_MAGIC,
+  SOURCE_PACK_FORMAT,
+  SOURCE_PACK_HEADER_LIMIT_BYTES,
+  SOURCE_PACK_MAX_PAYLOAD_BYTES,
+  SOURCE_PACK_TERMINATOR,
+  validateSourcePackHeader,
+  encodeSourcePackFrame,
+  produceSourcePack,
+  parseSourcePack,
+};
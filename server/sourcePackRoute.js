@@ -0,0 +1,338 @@
+// File: server/sourcePackRoute.js
+/**
+ * Source-pack route — serves a directory of files as a Portable Document Bundle plus a matching
+ * ODVSP1 source pack. It is the reference host for `sourceTransport: 'source-pack-stream'` and a
+ * local stand-in host for development.
+ *
+ * Directory layout:
+ *   - each supported file directly in the directory is one document
+ *   - each subdirectory is one document; its supported files (not nested deeper) are its files
+ *   - names are sorted, so file order is stable; hidden entries are skipped
+ *
+ * Routes (relative to where the router is mounted):
+ *   GET /bundle.json              bundle; `?transport=files` leaves the source pack out
+ *   GET /stream?from=&resume=     ODVSP1 stream, starting at file index `from`
+ *   GET /files/:fileIndex         one source file, with HTTP Range support
+ *
+ * Every frame carries `resumeToken` = `<directory version>.<next file index>`. A stream resumed
+ * with a token of another directory version is refused with 409, because the file indexes may
+ * have moved.
+ */
+
+import crypto from 'node:crypto';
+import { promises as fsp } from 'node:fs';
+import path from 'node:path';
+import { Readable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+
+import express from 'express';
+
+import { SOURCE_PACK_FORMAT, produceSourcePack } from './sourcePack.js';
+
+/** Content type per supported extension. */
+const CONTENT_TYPES = {
+  pdf: 'application/pdf',
+  tif: 'image/tiff',
+  tiff: 'image/tiff',
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  bmp: 'image/bmp',
+  webp: 'image/webp',
+  zip: 'application/zip',
+  eml: 'message/rfc822',
+  svg: 'image/svg+xml',
+};
+
+/**
+ * @typedef {Object} SourceDirectoryFile
+ * @property {number} fileIndex
+ * @property {string} absolutePath
+ * @property {string} relativePath  With `/` separators.
+ * @property {string} displayName
+ * @property {string} ext
+ * @property {string} contentType
+ * @property {number} sizeBytes
+ * @property {number} modifiedMs
+ */
+
+/**
+ * @typedef {Object} SourceDirectoryDocument
+ * @property {string} documentId
+ * @property {string} displayName
+ * @property {Array<SourceDirectoryFile>} files
+ */
+
+/**
+ * @typedef {Object} SourceDirectory
+ * @property {string} version   Changes when a file is added, removed, renamed or modified.
+ * @property {Array<SourceDirectoryDocument>} documents
+ * @property {Array<SourceDirectoryFile>} files  All files in file-index order.
+ */
+
+/**
+ * @param {string} name
+ * @returns {string}
+ */
+function extensionOf(name) {
+  return path.extname(name).slice(1).toLowerCase();
+}
+
+/**
+ * @param {string} directory
+ * @returns {Promise<Array<import('node:fs').Dirent>>}
+ */
+async function readSortedEntries(directory) {
+  const entries = await fsp.readdir(directory, { withFileTypes: true });
+  return entries
+    .filter((entry) => !entry.name.startsWith('.'))
+    .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+}
+
+/**
+ * @param {string} directory
+ * @returns {Promise<Array<import('node:fs').Dirent>>}
+ */
+async function readSupportedFiles(directory) {
+  const entries = await readSortedEntries(directory);
+  return entries.filter((entry) => entry.isFile() && CONTENT_TYPES[extensionOf(entry.name)]);
+}
+
+/**
+ * Scan a directory into documents and files.
+ *
+ * @param {string} rootDir
+ * @returns {Promise<SourceDirectory>}
+ */
+export async function scanSourceDirectory(rootDir) {
+  const root = path.resolve(rootDir);
+  /** @type {Array<{ documentId:string, displayName:string, paths:Array<string> }>} */
+  const groups = [];
+  for (const entry of await readSortedEntries(root)) {
+    if (entry.isFile() && CONTENT_TYPES[extensionOf(entry.name)]) {
+      groups.push({ documentId: entry.name, displayName: entry.name, paths: [entry.name] });
+    } else if (entry.isDirectory()) {
+      const children = await readSupportedFiles(path.join(root, entry.name));
+      if (children.length === 0) continue;
+      groups.push({
+        documentId: `${entry.name}/`,
+        displayName: entry.name,
+        paths: children.map((child) => `${entry.name}/${child.name}`),
+      });
+    }
+  }
+
+  const hash = crypto.createHash('sha256');
+  /** @type {Array<SourceDirectoryFile>} */
+  const files = [];
+  const documents = [];
+  for (const group of groups) {
+    const documentFiles = [];
+    for (const relativePath of group.paths) {
+      const absolutePath = path.join(root, ...relativePath.split('/'));
+      const stats = await fsp.stat(absolutePath);
+      const ext = extensionOf(relativePath);
+      const file = {
+        fileIndex: files.length,
+        absolutePath,
+        relativePath,
+        displayName: path.basename(relativePath),
+        ext,
+        contentType: CONTENT_TYPES[ext],
+        sizeBytes: stats.size,
+        modifiedMs: Math.floor(stats.mtimeMs),
+      };
+      hash.update(`${relativePath}\0${file.sizeBytes}\0${file.modifiedMs}\n`);
+      files.push(file);
+      documentFiles.push(file);
+    }
+    documents.push({ documentId: group.documentId, displayName: group.displayName, files: documentFiles });
+  }
+
+  return { version: hash.digest('hex').slice(0, 16), documents, files };
+}
+
+/**
+ * Build the Portable Document Bundle for a scanned directory.
+ *
+ * @param {SourceDirectory} directory
+ * @param {Object} options
+ * @param {string} options.baseUrl  Absolute URL the router is mounted at, without a trailing slash.
+ * @param {boolean=} options.sourcePack  False leaves the source pack out; the viewer then fetches each file.
+ * @returns {Object}
+ */
+export function buildSourcePackBundle(directory, options) {
+  const baseUrl = String(options.baseUrl || '').replace(/\/+$/, '');
+  const integration = { source: 'OpenDocViewer source-pack reference server' };
+  if (options.sourcePack !== false) {
+    Object.assign(integration, {
+      sourceTransport: 'source-pack-stream',
+      sourcePackFormat: SOURCE_PACK_FORMAT,
+      sourcePackUrl: `${baseUrl}/stream`,
+      sourcePackSourceCount: directory.files.length,
+    });
+  }
+
+  return {
+    session: {
+      id: `source-pack:${directory.version}`,
+      issuedAt: new Date().toISOString(),
+    },
+    documents: directory.documents.map((document) => ({
+      documentId: document.documentId,
+      documentVersion: crypto.createHash('sha256')
+        .update(document.files.map((file) => `${file.relativePath}:${file.sizeBytes}:${file.modifiedMs}`).join('\n'))
+        .digest('hex')
+        .slice(0, 16),
+      displayName: document.displayName,
+      metadata: { displayName: document.displayName },
+      files: document.files.map((file) => ({
+        id: file.relativePath,
+        url: `${baseUrl}/files/${file.fileIndex}`,
+        ext: file.ext,
+        displayName: file.displayName,
+        sourceSizeBytes: file.sizeBytes,
+      })),
+    })),
+    integration,
+  };
+}
+
+/**
+ * @param {string} version
+ * @param {number} nextFileIndex
+ * @returns {string}
+ */
+export function createResumeToken(version, nextFileIndex) {
+  return `${version}.${nextFileIndex}`;
+}
+
+/**
+ * @param {*} token
+ * @returns {({ version:string, nextFileIndex:number }|null)}
+ */
+export function parseResumeToken(token) {
+  const match = /^([0-9a-f]{16})\.(\d{1,9})$/.exec(String(token || ''));
+  return match ? { version: match[1], nextFileIndex: Number(match[2]) } : null;
+}
+
+/**
+ * Create the router. Mount it wherever the host wants, e.g. `app.use('/source-pack', router)`.
+ *
+ * @param {Object} options
+ * @param {string} options.rootDir
+ * @param {number=} options.dropAfterFrames  Development aid: end the first stream of a load (one
+ *   without `from` or `resume`) after this many frames, to exercise the viewer's resume path.
+ *   0 or unset sends complete streams.
+ * @returns {import('express').Router}
+ */
+export function createSourcePackRouter(options) {
+  const rootDir = path.resolve(options.rootDir);
+  const dropAfterFrames = Math.max(0, Math.floor(Number(options.dropAfterFrames) || 0));
+  const router = express.Router();
+
+  router.get('/bundle.json', async (req, res, next) => {
+    try {
+      const directory = await scanSourceDirectory(rootDir);
+      const baseUrl = `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+      res.set('Cache-Control', 'no-store');
+      res.json(buildSourcePackBundle(directory, {
+        baseUrl,
+        sourcePack: req.query.transport !== 'files',
+      }));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/stream', async (req, res, next) => {
+    let directory;
+    try {
+      directory = await scanSourceDirectory(rootDir);
+    } catch (error) {
+      next(error);
+      return;
+    }
+
+    let from = 0;
+    if (req.query.resume !== undefined) {
+      const token = parseResumeToken(req.query.resume);
+      if (!token) {
+        res.status(400).send('Invalid resume token');
+        return;
+      }
+      if (token.version !== directory.version) {
+        res.status(409).send('The source directory changed; load the bundle again');
+        return;
+      }
+      from = token.nextFileIndex;
+    }
+    if (req.query.from !== undefined) {
+      if (!/^\d{1,9}$/.test(String(req.query.from))) {
+        res.status(400).send('Invalid from');
+        return;
+      }
+      from = Number(req.query.from);
+    }
+
+    res.status(200);
+    res.set({
+      'Content-Type': 'application/octet-stream',
+      'Cache-Control': 'no-store',
+    });
+
+    const frames = produceSourcePack(directory.files, {
+      from,
+      loadSource: (file) => fsp.readFile(file.absolutePath),
+      resumeToken: (file) => createResumeToken(directory.version, file.fileIndex + 1),
+    });
+
+    const cutAfterParts = dropAfterFrames > 0 && req.query.from === undefined && req.query.resume === undefined
+      ? dropAfterFrames + 1
+      : 0;
+    async function* limitFrames() {
+      let sentParts = 0;
+      for await (const part of frames) {
+        yield part;
+        sentParts += 1;
+        // End without the terminator, as a dropped connection would look to the viewer.
+        if (cutAfterParts > 0 && sentParts >= cutAfterParts) return;
+      }
+    }
+
+    try {
+      await pipeline(Readable.from(limitFrames()), res);
+    } catch {
+      // The client went away or a file failed mid-stream. The viewer resumes on its own.
+    }
+  });
+
+  router.get('/files/:fileIndex', async (req, res, next) => {
+    try {
+      const directory = await scanSourceDirectory(rootDir);
+      const file = /^\d{1,9}$/.test(req.params.fileIndex) ? directory.files[Number(req.params.fileIndex)] : undefined;
+      if (!file) {
+        res.status(404).send('Not Found');
+        return;
+      }
+      res.set('Cache-Control', 'no-store');
+      res.type(file.contentType);
+      res.sendFile(file.absolutePath, { acceptRanges: true }, (error) => {
+        if (error && !res.headersSent) next(error);
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+export default {
+  scanSourceDirectory,
+  buildSourcePackBundle,
+  createResumeToken,
+  parseResumeToken,
+  createSourcePackRouter,
+};
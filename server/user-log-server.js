@@ -1,12 +1,21 @@
 // File: server/user-log-server.js
 /**
- * User Action Log Server — standalone Express endpoint for print/user-action audit events.
+ * User Action Log Server — standalone Express endpoint for print/export/download audit events.
  *
  * Endpoint:
  *   POST /userlog/record
  *     - Body: application/x-www-form-urlencoded or JSON
  *       - reason: string|null
  *       - forWhom: string|null
+ *       - redactedRegions: number|null   (also read from `meta` of the JSON envelope)
+ *       - redactedPages: number|null
+ *       - batesFirst: string|null        (also read from `meta`)
+ *       - batesLast: string|null
+ *       - action: 'print'|'export'|'download-original' (also read from `event.name`; default 'print')
+ *       - exportFormat: string|null      (export only; also read from `meta`)
+ *       - exportDpi, exportAdjusted, exportAnnotations (export only; JSON `meta`)
+ *       - docId, fileName, fileCount     (download-original only; JSON `doc.id`, `doc.title`, `meta`)
+ *     - All records share the rolling `print-*.log` file; `action` tells them apart.
  *     - Response: 200 OK with body: true   (JSON boolean literal)
  *
  * Security posture (no client changes required):
@@ -46,6 +55,9 @@ try { fs.mkdirSync(LOG_DIR, { recursive: true }); } catch {}
 
 const RETENTION_DAYS = Number(process.env.LOG_RETENTION_DAYS || 14);
 
+/** Audit actions accepted from clients; anything else is recorded as a print. */
+const USER_ACTIONS = ['print', 'export', 'download-original'];
+
 /** @type {Map<string, { date: string, stream: fs.WriteStream }>} */
 const streams = new Map();
 let initStarted = false;
@@ -98,6 +110,11 @@ function sanitizeString(str) {
     .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/g, '');
 }
 function safeString(str, max = 4000) { return truncate(sanitizeString(str), max); }
+function toCountOrNull(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const n = Math.floor(Number(value));
+  return Number.isFinite(n) && n >= 0 ? Math.min(n, 1_000_000) : null;
+}
 function safeJson(obj) {
   const seen = new WeakSet();
   const MAX_STR = 1000;
@@ -211,6 +228,13 @@ app.post('/userlog/record', sameOriginGuard, printLimiter, (req, res) => {
 
     const reason = (req.body?.reason ?? null);
     const forWhom = (req.body?.forWhom ?? null);
+    const redactedRegions = toCountOrNull(req.body?.redactedRegions ?? req.body?.meta?.redactedRegions);
+    const redactedPages = toCountOrNull(req.body?.redactedPages ?? req.body?.meta?.redactedPages);
+    const batesFirst = (req.body?.batesFirst ?? req.body?.meta?.batesFirst ?? null);
+    const batesLast = (req.body?.batesLast ?? req.body?.meta?.batesLast ?? null);
+    const requestedAction = String(req.body?.action ?? req.body?.event?.name ?? '');
+    const action = USER_ACTIONS.includes(requestedAction) ? requestedAction : 'print';
+    const exportFormat = (req.body?.exportFormat ?? req.body?.meta?.exportFormat ?? null);
 
     const rec = {
       ts: new Date().toISOString(),
@@ -218,10 +242,31 @@ app.post('/userlog/record', sameOriginGuard, printLimiter, (req, res) => {
       ip: req.ip,
       ua: req.get('user-agent') || undefined,
       referer: req.get('referer') || undefined,
-      action: 'print',
+      action,
       reason: reason === null ? null : safeString(reason, 500),
       forWhom: forWhom === null ? null : safeString(forWhom, 200),
     };
+    if (redactedRegions !== null) {
+      rec.redactedRegions = redactedRegions;
+      rec.redactedPages = redactedPages;
+    }
+    if (batesFirst !== null) {
+      rec.batesFirst = safeString(batesFirst, 60);
+      rec.batesLast = batesLast === null ? null : safeString(batesLast, 60);
+    }
+    if (action === 'export') {
+      rec.exportFormat = exportFormat === null ? null : safeString(exportFormat, 10);
+      rec.exportDpi = toCountOrNull(req.body?.meta?.exportDpi);
+      rec.exportAdjusted = typeof req.body?.meta?.exportAdjusted === 'boolean' ? req.body.meta.exportAdjusted : null;
+      rec.exportAnnotations = typeof req.body?.meta?.exportAnnotations === 'boolean' ? req.body.meta.exportAnnotations : null;
+    }
+    if (action === 'download-original') {
+      const docId = (req.body?.docId ?? req.body?.doc?.id ?? null);
+      const fileName = (req.body?.fileName ?? req.body?.doc?.title ?? null);
+      rec.docId = docId === null ? null : safeString(docId, 200);
+      rec.fileName = fileName === null ? null : safeString(fileName, 300);
+      rec.fileCount = toCountOrNull(req.body?.fileCount ?? req.body?.meta?.fileCount);
+    }
 
     // Optional server-side input policy (example): block "$" and "#" in forWhom
     if (typeof rec.forWhom === 'string' && /[$#]/.test(rec.forWhom)) {
@@ -243,7 +288,7 @@ app.post('/userlog/record', sameOriginGuard, printLimiter, (req, res) => {
       }
     };
     writeRolling('error', safeJson(e) + '\n');
-    res.status(500).send('Failed to log print action');
+    res.status(500).send('Failed to log user action');
   }
 });
 
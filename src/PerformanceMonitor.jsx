@@ -736,6 +736,7 @@ const PerformanceMonitor = ({ bundle = null, bootstrapDebugInfo = null }) => {
     const bundleBackedMode = [
       'session-token',
       'parent-page',
+      'post-message',
       'js-api',
     ].includes(String(bootstrapDebugInfo?.mode || ''));
     return fromSessionData || (bundleBackedMode && (hasPayload || bundleDocumentCount > 0 || bundleMetaFieldCount > 0));
@@ -8,25 +8,38 @@
  * - run bootstrap detection exactly once after mount
  * - convert the detected startup mode into a stable prop shape for `OpenDocViewer`
  * - present the demo launcher when no host-provided startup payload exists
+ * - open local files picked or dropped by the user (`src/integrations/localFiles.js`)
+ * - handle the host `window.ODV.close()` command by unmounting the viewer
  *
  * Supported startup inputs:
  * - URL pattern mode (`folder` + `extension` + `endNumber`)
  * - explicit source lists derived from normalized bundles
  * - local demo source lists built from files in `public/`
+ * - local files opened from the demo launcher; dropping more files onto that viewer appends them
  *
  * This file should stay focused on *startup selection*. It should not own document rendering,
  * bundle normalization rules, or viewer interaction state.
  */
 
-import React, { useEffect, useMemo, useState, useCallback } from 'react';
+import React, { useEffect, useMemo, useRef, useState, useCallback } from 'react';
 import { useTranslation } from 'react-i18next';
 import '../i18n.js'; // initialize i18n before any components render
 import logger from '../logging/systemLogger.js';
 import ErrorBoundary from '../ErrorBoundary.jsx';
 import OpenDocViewer from './OpenDocViewer.jsx';
 import { bootstrapDetect, ODV_BOOTSTRAP_MODES } from '../integrations/bootstrapRuntime.js';
+import { registerHostCommands } from '../integrations/hostCommands.js';
+import {
+  appendBundleDocuments,
+  removeBundleDocument,
+  replaceBundleDocuments,
+  summarizeBundle,
+} from '../integrations/bundleUpdates.js';
 import { makeExplicitSource } from '../components/DocumentLoader/sources/explicitListSource.js';
+import { LOCAL_FILE_ACCEPT, createLocalFileBundle, toLocalFileList } from '../integrations/localFiles.js';
+import LocalFileDropZone from '../components/LocalFileDropZone.jsx';
 import { isPerformanceOverlayEnabled } from '../utils/performanceOverlayFlag.js';
+import { isLocalFileOpenEnabled } from '../utils/runtimeConfig.js';
 
 /**
  * Session metadata for a bundle.
@@ -85,6 +98,16 @@ import { isPerformanceOverlayEnabled } from '../utils/performanceOverlayFlag.js'
  */
 
 const DEMO_MAX = 300;
+
+/** Startup modes whose input is a Portable Document Bundle rendered in explicit-list mode. */
+const BUNDLE_BACKED_MODES = [
+  ODV_BOOTSTRAP_MODES.PARENT_PAGE,
+  ODV_BOOTSTRAP_MODES.SESSION_URL,
+  ODV_BOOTSTRAP_MODES.POST_MESSAGE,
+  ODV_BOOTSTRAP_MODES.SESSION_TOKEN,
+  ODV_BOOTSTRAP_MODES.JS_API,
+  ODV_BOOTSTRAP_MODES.LOCAL_FILES,
+];
 const BOOTSTRAP_LOADING_PHASES = [
   'preparing',
   'checking',
@@ -257,6 +280,8 @@ export default function AppBootstrap() {
   const [bootstrapPending, setBootstrapPending] = useState(true);
 
   const perfOverlayEnabled = useMemo(() => isPerformanceOverlayEnabled(), []);
+  const localFilesEnabled = useMemo(() => isLocalFileOpenEnabled(), []);
+  const fileInputRef = useRef(/** @type {(HTMLInputElement|null)} */ (null));
 
   // Demo UI state (shown only when mode === DEMO and we haven't started)
   const [count, setCount] = useState(10);
@@ -264,6 +289,63 @@ export default function AppBootstrap() {
   const [mix, setMix] = useState(false);
   const [start, setStart] = useState(false);
 
+  // Host close(): unmounting OpenDocViewer disposes the document session through ViewerProvider.
+  const [closed, setClosed] = useState(false);
+  const closedRef = useRef(false);
+  const closeResolversRef = useRef(/** @type {Array<function(): void>} */ ([]));
+
+  useEffect(() => registerHostCommands({
+    close: () => new Promise((resolve) => {
+      if (closedRef.current) {
+        resolve();
+        return;
+      }
+      closeResolversRef.current.push(resolve);
+      setClosed(true);
+    }),
+  }), []);
+
+  // Host document-set commands. The ref lets back-to-back calls build on each other before React
+  // re-renders; the loader then reconciles the running session against the new bundle.
+  const bundleRef = useRef(/** @type {(PortableDocumentBundle|null)} */ (null));
+  bundleRef.current = bundle;
+  const modeRef = useRef(mode);
+  modeRef.current = mode;
+
+  useEffect(() => {
+    // Commands queue until startup detection has settled the initial bundle.
+    if (bootstrapPending) return undefined;
+
+    const applyBundle = (nextBundle) => {
+      if (closedRef.current) throw new Error('The document viewer was closed');
+      bundleRef.current = nextBundle;
+      setBundle(nextBundle);
+      if (!BUNDLE_BACKED_MODES.includes(modeRef.current)) {
+        modeRef.current = ODV_BOOTSTRAP_MODES.JS_API;
+        setMode(ODV_BOOTSTRAP_MODES.JS_API);
+      }
+      return summarizeBundle(nextBundle);
+    };
+
+    return registerHostCommands({
+      appendDocuments: (part) => applyBundle(appendBundleDocuments(bundleRef.current, part)),
+      removeDocument: (documentId) => {
+        if (!bundleRef.current) throw new Error('No document bundle is loaded');
+        return applyBundle(removeBundleDocument(bundleRef.current, documentId));
+      },
+      replaceBundle: (nextBundle) => applyBundle(replaceBundleDocuments(nextBundle)),
+    });
+  }, [bootstrapPending]);
+
+  useEffect(() => {
+    if (!closed) return;
+    closedRef.current = true;
+    logger.info('Viewer closed by host command');
+    const resolvers = closeResolversRef.current;
+    closeResolversRef.current = [];
+    resolvers.forEach((resolve) => resolve());
+  }, [closed]);
+
   // Detect startup mode once on mount and cache the resulting input shape.
   useEffect(() => {
     let mounted = true;
@@ -313,6 +395,34 @@ export default function AppBootstrap() {
     logger.info('Demo mix selected');
   }, []);
 
+  // Local files open as a new session, or are appended when the running session came from local
+  // files too. Host-provided sessions never reach this path (see the drop zone below).
+  const openLocalFiles = useCallback((files) => {
+    const list = toLocalFileList(files);
+    if (list.length === 0 || closedRef.current) return;
+    try {
+      const part = createLocalFileBundle(list);
+      const nextBundle = modeRef.current === ODV_BOOTSTRAP_MODES.LOCAL_FILES && bundleRef.current
+        ? appendBundleDocuments(bundleRef.current, { documents: part.documents })
+        : replaceBundleDocuments(part);
+      bundleRef.current = nextBundle;
+      modeRef.current = ODV_BOOTSTRAP_MODES.LOCAL_FILES;
+      setBundle(nextBundle);
+      setMode(ODV_BOOTSTRAP_MODES.LOCAL_FILES);
+      setStart(true);
+      logger.info('Local files opened', { fileCount: list.length, documentCount: nextBundle.documents.length });
+    } catch (error) {
+      logger.error('Local files could not be opened', { error: String(error?.message || error) });
+    }
+  }, []);
+
+  const onPickFiles = useCallback((e) => {
+    const input = e?.target;
+    openLocalFiles(input?.files);
+    // Reset so picking the same file again still fires a change event.
+    if (input) input.value = '';
+  }, [openLocalFiles]);
+
   // Convert a normalized bundle into the explicit source-list format consumed by the loader.
   const sourceListFromBundle = useMemo(() => {
     if (!bundle) return null;
@@ -339,10 +449,7 @@ export default function AppBootstrap() {
 
     // 2) Bundle-backed modes → explicit-list mode
     if (
-      (mode === ODV_BOOTSTRAP_MODES.PARENT_PAGE ||
-        mode === ODV_BOOTSTRAP_MODES.SESSION_URL ||
-        mode === ODV_BOOTSTRAP_MODES.SESSION_TOKEN ||
-        mode === ODV_BOOTSTRAP_MODES.JS_API) &&
+      BUNDLE_BACKED_MODES.includes(mode) &&
       Array.isArray(sourceListFromBundle) &&
       sourceListFromBundle.length > 0
     ) {
@@ -366,6 +473,16 @@ export default function AppBootstrap() {
     return null;
   }, [mode, urlConfig, sourceListFromBundle, bundle, start, mix, format, count, bootstrapDebugInfo]);
 
+  const canDropOnViewer = localFilesEnabled && mode === ODV_BOOTSTRAP_MODES.LOCAL_FILES;
+
+  if (closed) {
+    return (
+      <div className="button-container" role="region" aria-live="polite">
+        {t('viewer.closed', { defaultValue: 'The document viewer was closed.' })}
+      </div>
+    );
+  }
+
   // Until a startup payload exists, show the demo launcher instead of the viewer shell.
   if (!viewerProps) {
     if (bootstrapPending) {
@@ -381,7 +498,7 @@ export default function AppBootstrap() {
       );
     }
 
-    return (
+    const launcher = (
       <div className="button-container" role="region" aria-label={t('demoLauncher.aria.region')}>
         <label htmlFor="endNumber" style={{ marginRight: 8 }}>
           {t('demoControls.totalLabel')}
@@ -419,13 +536,43 @@ export default function AppBootstrap() {
         >
           {t('demoControls.mix')}
         </button>
+        {localFilesEnabled ? (
+          <>
+            <button
+              onClick={() => fileInputRef.current?.click()}
+              type="button"
+              title={t('localFiles.pickHint', { defaultValue: 'Open PDF, TIFF or image files from this computer, or drop them here' })}
+              style={{ marginLeft: 8 }}
+            >
+              {t('localFiles.pick', { defaultValue: 'Open files…' })}
+            </button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              multiple
+              accept={LOCAL_FILE_ACCEPT}
+              onChange={onPickFiles}
+              hidden
+            />
+          </>
+        ) : null}
       </div>
     );
+
+    return localFilesEnabled
+      ? <LocalFileDropZone onFiles={openLocalFiles}>{launcher}</LocalFileDropZone>
+      : launcher;
   }
 
   return (
     <ErrorBoundary>
-      <OpenDocViewer {...viewerProps} />
+      <LocalFileDropZone
+        onFiles={openLocalFiles}
+        enabled={canDropOnViewer}
+        label={t('localFiles.dropAppend', { defaultValue: 'Drop files to add them as documents' })}
+      >
+        <OpenDocViewer {...viewerProps} />
+      </LocalFileDropZone>
     </ErrorBoundary>
   );
 }
@@ -0,0 +1,408 @@
+// File: src/components/ContinuousDocumentRender.jsx
+/**
+ * OpenDocViewer — Continuous (vertically stacked) page renderer.
+ *
+ * The pages of the current selection are stacked in one scroll area. Only the pages inside the
+ * visible window plus one viewport of overscan are mounted. Each mounted page pins its full-size
+ * asset while it is mounted, so the LRU caches in ViewerProvider can still evict everything else and a
+ * long session costs no more memory than single-page layout with a few prefetched neighbours.
+ *
+ * Pages that were never loaded are sized from the aspect ratio known so far (see
+ * `src/utils/continuousLayout.js`) and corrected once their raster arrives. The scroll position
+ * stays anchored to the page under the top edge while that happens.
+ *
+ * The active page follows the scroll position: it is the page with the largest visible height.
+ * External navigation (toolbar, thumbnails, keyboard, search) scrolls the requested page to the top.
+ *
+ * The imperative handle matches DocumentRender, so zoom, sticky fit and print callers do not need
+ * to know which layout is active. Fit modes are applied per page and the fit methods report the
+ * active page's scale through `setZoom`, which keeps the toolbar percentage meaningful. Image
+ * adjustments apply to the active page only, as in single-page layout, and are drawn with CSS
+ * instead of the editing canvas.
+ */
+
+import React, {
+  useCallback,
+  useContext,
+  useEffect,
+  useImperativeHandle,
+  useLayoutEffect,
+  useMemo,
+  useRef,
+  useState,
+} from 'react';
+import ViewerContext from '../contexts/viewerContext.js';
+import PageImageSlot from './PageImageSlot.jsx';
+import { applyZoom, handleZoomIn, handleZoomOut, resolveCustomFitZoomOptions } from '../utils/zoomUtils.js';
+import { getDocumentLoadingConfig } from '../utils/documentLoadingConfig.js';
+import {
+  buildContinuousLayout,
+  findMostVisibleContinuousPage,
+  getContinuousRenderRange,
+  resolveContinuousPageScale,
+  resolveContinuousPageSize,
+} from '../utils/continuousLayout.js';
+
+/** @type {Array<*>} */
+const EMPTY_MATCHES = Object.freeze([]);
+
+/**
+ * @param {*} value
+ * @returns {number}
+ */
+function normalizeRotation(value) {
+  return ((Number(value || 0) % 360) + 360) % 360;
+}
+
+/**
+ * @param {Object} props
+ * @param {number} props.pageNumber Active original 1-based page number.
+ * @param {Array<number>} props.pageNumbers Original 1-based page numbers in display order.
+ * @param {number} props.zoom
+ * @param {function((number|function(number): number)): void} props.setZoom
+ * @param {{ rotation:number, brightness:number, contrast:number }} props.imageProperties
+ * @param {Array<any>} props.allPages
+ * @param {('FIT_PAGE'|'FIT_WIDTH'|'FIT_CUSTOM'|'ACTUAL_SIZE'|'CUSTOM')=} props.zoomMode
+ * @param {{ widthFactorPercent:number, heightFactorPercent:(number|null), actualSizeFactorPercent:(number|null) }=} props.customFitSizeLimits
+ * @param {function(): void=} props.onToggleFitZoomMode
+ * @param {function(number): void} props.onActivePageChange Receives the original page number under the scroll position.
+ * @param {function({ requestedPageNumber:number, displayedPageNumber:number, pending:boolean, blockingLoading:boolean, hasError:boolean }): void=} props.onDisplayStateChange
+ * @param {(import('./DocumentRender.jsx').DocumentSearchHighlightState|null)=} props.searchHighlights
+ * @param {(import('./PageAnnotationLayer.jsx').AnnotationLayerState|null)=} props.annotationLayer
+ * @returns {React.ReactElement}
+ */
+const ContinuousDocumentRender = React.forwardRef(function ContinuousDocumentRender(
+  {
+    pageNumber,
+    pageNumbers,
+    zoom,
+    setZoom,
+    imageProperties,
+    allPages,
+    zoomMode = 'FIT_PAGE',
+    customFitSizeLimits = null,
+    onToggleFitZoomMode,
+    onActivePageChange,
+    onDisplayStateChange = () => {},
+    searchHighlights = null,
+    annotationLayer = null,
+  },
+  ref
+) {
+  const { ensurePageAsset, getPrintablePageUrls, documentLoadingConfig } = useContext(ViewerContext);
+  const fallbackLoadingConfig = useMemo(() => getDocumentLoadingConfig(), []);
+  const activeLoadingConfig = documentLoadingConfig || fallbackLoadingConfig;
+
+  const viewportRef = useRef(/** @type {(HTMLDivElement|null)} */ (null));
+  const lastReportedPageRef = useRef(0);
+  const anchorRef = useRef(/** @type {(null|{ pageNumber:number, fraction:number })} */ (null));
+  const suppressScrollReportRef = useRef(false);
+  const scrollRafRef = useRef(0);
+  const [viewportSize, setViewportSize] = useState({ width: 0, height: 0 });
+  const [scrollTop, setScrollTop] = useState(0);
+  const [naturalSizes, setNaturalSizes] = useState(() => ({
+    byIndex: /** @type {Map<number, { width:number, height:number }>} */ (new Map()),
+    reference: /** @type {(null|{ width:number, height:number })} */ (null),
+  }));
+
+  const rotation = normalizeRotation(imageProperties?.rotation);
+  const activeFilter = useMemo(() => {
+    const brightness = Number(imageProperties?.brightness ?? 100);
+    const contrast = Number(imageProperties?.contrast ?? 100);
+    if ((!Number.isFinite(brightness) || brightness === 100) && (!Number.isFinite(contrast) || contrast === 100)) return '';
+    return `brightness(${Number.isFinite(brightness) ? brightness : 100}%) contrast(${Number.isFinite(contrast) ? contrast : 100}%)`;
+  }, [imageProperties?.brightness, imageProperties?.contrast]);
+  const fitOptions = useMemo(() => resolveCustomFitZoomOptions(customFitSizeLimits), [customFitSizeLimits]);
+
+  useLayoutEffect(() => {
+    const viewport = viewportRef.current;
+    if (!viewport) return undefined;
+    const measure = () => {
+      const width = Number(viewport.clientWidth) || 0;
+      const height = Number(viewport.clientHeight) || 0;
+      setViewportSize((prev) => (prev.width === width && prev.height === height ? prev : { width, height }));
+    };
+    measure();
+    if (typeof ResizeObserver !== 'function') return undefined;
+    const observer = new ResizeObserver(measure);
+    observer.observe(viewport);
+    return () => {
+      observer.disconnect();
+    };
+  }, []);
+
+  /**
+   * @param {number} pageIndex
+   * @param {number} width
+   * @param {number} height
+   * @returns {void}
+   */
+  const handleNaturalSize = useCallback((pageIndex, width, height) => {
+    if (!(width > 0) || !(height > 0)) return;
+    setNaturalSizes((prev) => {
+      const known = prev.byIndex.get(pageIndex);
+      if (known && known.width === width && known.height === height) return prev;
+      const byIndex = new Map(prev.byIndex);
+      byIndex.set(pageIndex, { width, height });
+      return { byIndex, reference: { width, height } };
+    });
+  }, []);
+
+  // Sizes are estimated again after a session change; indexes may point at other pages now.
+  const pageCount = Array.isArray(allPages) ? allPages.length : 0;
+  useEffect(() => {
+    setNaturalSizes((prev) => (prev.byIndex.size === 0 ? prev : { byIndex: new Map(), reference: prev.reference }));
+  }, [pageCount]);
+
+  const positionByPageNumber = useMemo(() => {
+    const map = new Map();
+    pageNumbers.forEach((number, position) => map.set(number, position));
+    return map;
+  }, [pageNumbers]);
+
+  /**
+   * @param {number} position
+   * @param {string} mode
+   * @returns {{ size:{ width:number, height:number }, scale:number }}
+   */
+  const resolvePageGeometry = useCallback((position, mode) => {
+    const number = pageNumbers[position];
+    const pageIndex = number - 1;
+    const page = Array.isArray(allPages) ? allPages[pageIndex] : null;
+    let size = resolveContinuousPageSize(page, naturalSizes.byIndex.get(pageIndex), naturalSizes.reference);
+    if (number === pageNumber && (rotation === 90 || rotation === 270)) {
+      size = { width: size.height, height: size.width };
+    }
+    const scale = resolveContinuousPageScale({ zoomMode: mode, zoom, size, viewportSize, fitOptions });
+    return { size, scale };
+  }, [allPages, fitOptions, naturalSizes, pageNumber, pageNumbers, rotation, viewportSize, zoom]);
+
+  const layout = useMemo(() => {
+    const sizes = [];
+    const scales = [];
+    for (let position = 0; position < pageNumbers.length; position += 1) {
+      const { size, scale } = resolvePageGeometry(position, zoomMode);
+      sizes.push(size);
+      scales.push(scale);
+    }
+    return buildContinuousLayout(sizes, scales, viewportSize.width);
+  }, [pageNumbers.length, resolvePageGeometry, viewportSize.width, zoomMode]);
+
+  /**
+   * @param {number} position
+   * @returns {void}
+   */
+  const scrollToPosition = useCallback((position) => {
+    const viewport = viewportRef.current;
+    const entry = layout.entries[position];
+    if (!viewport || !entry) return;
+    anchorRef.current = { pageNumber: pageNumbers[position], fraction: 0 };
+    if (Math.abs(viewport.scrollTop - entry.top) <= 1) return;
+    suppressScrollReportRef.current = true;
+    viewport.scrollTop = entry.top;
+    setScrollTop(viewport.scrollTop);
+  }, [layout, pageNumbers]);
+
+  // External navigation scrolls the requested page to the top; layout changes keep the page under
+  // the top edge where it was.
+  useLayoutEffect(() => {
+    const viewport = viewportRef.current;
+    if (!viewport || layout.entries.length === 0 || viewportSize.height <= 0) return;
+
+    const targetPosition = positionByPageNumber.get(pageNumber);
+    if (pageNumber !== lastReportedPageRef.current && targetPosition != null) {
+      lastReportedPageRef.current = pageNumber;
+      scrollToPosition(targetPosition);
+      return;
+    }
+
+    const anchor = anchorRef.current;
+    const anchorPosition = anchor ? positionByPageNumber.get(anchor.pageNumber) : undefined;
+    if (!anchor || anchorPosition == null) return;
+    const entry = layout.entries[anchorPosition];
+    const nextTop = Math.round(entry.top + anchor.fraction * entry.height);
+    if (Math.abs(viewport.scrollTop - nextTop) <= 1) return;
+    suppressScrollReportRef.current = true;
+    viewport.scrollTop = nextTop;
+    setScrollTop(viewport.scrollTop);
+  }, [layout, pageNumber, positionByPageNumber, scrollToPosition, viewportSize.height]);
+
+  const handleScroll = useCallback(() => {
+    if (scrollRafRef.current) return;
+    scrollRafRef.current = window.requestAnimationFrame(() => {
+      scrollRafRef.current = 0;
+      const viewport = viewportRef.current;
+      if (!viewport) return;
+      const top = viewport.scrollTop;
+      setScrollTop(top);
+
+      const anchorPosition = getContinuousRenderRange(layout, top, 0).start;
+      const anchorEntry = layout.entries[anchorPosition];
+      if (anchorEntry) {
+        anchorRef.current = {
+          pageNumber: pageNumbers[anchorPosition],
+          fraction: Math.max(0, Math.min(1, (top - anchorEntry.top) / Math.max(1, anchorEntry.height))),
+        };
+      }
+
+      if (suppressScrollReportRef.current) {
+        suppressScrollReportRef.current = false;
+        return;
+      }
+      const activePosition = findMostVisibleContinuousPage(layout, top, viewport.clientHeight);
+      const activeNumber = pageNumbers[activePosition];
+      if (!activeNumber || activeNumber === lastReportedPageRef.current) return;
+      lastReportedPageRef.current = activeNumber;
+      onActivePageChange?.(activeNumber);
+    });
+  }, [layout, onActivePageChange, pageNumbers]);
+
+  useEffect(() => () => {
+    if (scrollRafRef.current) window.cancelAnimationFrame(scrollRafRef.current);
+  }, []);
+
+  const activePosition = positionByPageNumber.get(pageNumber) ?? -1;
+  const activeEntry = activePosition >= 0 ? layout.entries[activePosition] : null;
+
+  // In fit modes the zoom value is not an input of the layout; report the active page's scale so
+  // the toolbar and host events show what the user sees.
+  useEffect(() => {
+    if (!activeEntry) return;
+    if (zoomMode !== 'FIT_PAGE' && zoomMode !== 'FIT_WIDTH' && zoomMode !== 'FIT_CUSTOM') return;
+    applyZoom(setZoom, activeEntry.scale);
+  }, [activeEntry, setZoom, zoomMode]);
+
+  // Prefetch around the active page in display order, so hidden pages are skipped.
+  useEffect(() => {
+    if (activePosition < 0) return;
+    const lookBehind = Math.max(0, Number(activeLoadingConfig?.render?.lookBehindPageCount) || 0);
+    const lookAhead = Math.max(0, Number(activeLoadingConfig?.render?.lookAheadPageCount) || 0);
+    for (let offset = -lookBehind; offset <= lookAhead; offset += 1) {
+      const number = pageNumbers[activePosition + offset];
+      if (offset === 0 || !number) continue;
+      void ensurePageAsset(number - 1, 'full', { priority: 'low' }).catch(() => {});
+    }
+  }, [
+    activeLoadingConfig?.render?.lookAheadPageCount,
+    activeLoadingConfig?.render?.lookBehindPageCount,
+    activePosition,
+    ensurePageAsset,
+    pageNumbers,
+  ]);
+
+  useEffect(() => {
+    const active = Math.max(1, Number(pageNumber) || 1);
+    onDisplayStateChange({
+      requestedPageNumber: active,
+      displayedPageNumber: active,
+      pending: false,
+      blockingLoading: false,
+      hasError: false,
+    });
+  }, [onDisplayStateChange, pageNumber]);
+
+  /**
+   * @param {string} mode
+   * @returns {void}
+   */
+  const fitActivePage = useCallback((mode) => {
+    if (activePosition < 0) return;
+    applyZoom(setZoom, resolvePageGeometry(activePosition, mode).scale);
+  }, [activePosition, resolvePageGeometry, setZoom]);
+
+  /**
+   * @param {React.MouseEvent<HTMLDivElement>} event
+   * @returns {void}
+   */
+  const handleViewportDoubleClick = useCallback((event) => {
+    if (typeof onToggleFitZoomMode !== 'function') return;
+    if (event?.target instanceof Element && event.target.closest('.odv-text-layer-item')) return;
+    event.preventDefault();
+    event.stopPropagation();
+    onToggleFitZoomMode();
+  }, [onToggleFitZoomMode]);
+
+  const imperativeHandle = useMemo(() => ({
+    updateImageSourceAndFit() {
+      fitActivePage('FIT_PAGE');
+    },
+    getActiveCanvas() {
+      return viewportRef.current?.querySelector?.(
+        `.odv-page-slot[data-page-number="${pageNumber}"] .odv-page-slot-image`
+      ) || null;
+    },
+    fitToScreen() {
+      fitActivePage('FIT_PAGE');
+    },
+    fitToWidth() {
+      fitActivePage('FIT_WIDTH');
+    },
+    fitToCustomWidth() {
+      fitActivePage('FIT_CUSTOM');
+    },
+    zoomIn() {
+      handleZoomIn(setZoom);
+    },
+    zoomOut() {
+      handleZoomOut(setZoom);
+    },
+    forceRender() {},
+    async getAllPrintableDataUrls(pageIndexes) {
+      return getPrintablePageUrls(pageIndexes);
+    },
+    // Backward-compatible alias for older print callers; prefer getAllPrintableDataUrls().
+    async exportAllPagesAsDataUrls(pageIndexes) {
+      return getPrintablePageUrls(pageIndexes);
+    },
+  }), [fitActivePage, getPrintablePageUrls, pageNumber, setZoom]);
+
+  useImperativeHandle(ref, () => imperativeHandle, [imperativeHandle]);
+
+  const { start, end } = getContinuousRenderRange(layout, scrollTop, viewportSize.height, viewportSize.height);
+  const matchesByPage = searchHighlights?.matchesByPage;
+  const activeMatch = searchHighlights?.activeMatch || null;
+  const slots = [];
+  for (let position = start; position <= end; position += 1) {
+    const number = pageNumbers[position];
+    const entry = layout.entries[position];
+    if (!number || !entry) continue;
+    const pageIndex = number - 1;
+    const isActive = number === pageNumber;
+    const matches = matchesByPage?.get?.(pageIndex) || EMPTY_MATCHES;
+    slots.push(
+      <PageImageSlot
+        key={pageIndex}
+        pageIndex={pageIndex}
+        page={Array.isArray(allPages) ? allPages[pageIndex] || null : null}
+        box={entry}
+        priority={isActive ? 'critical' : 'high'}
+        rotation={isActive ? rotation : 0}
+        filter={isActive ? activeFilter : ''}
+        matches={matches}
+        activeMatch={activeMatch && activeMatch.pageIndex === pageIndex ? activeMatch : null}
+        onNaturalSize={handleNaturalSize}
+        annotationLayer={annotationLayer}
+      />
+    );
+  }
+
+  return (
+    <div
+      ref={viewportRef}
+      className="document-render-viewport odv-continuous-viewport"
+      onScroll={handleScroll}
+      onDoubleClick={handleViewportDoubleClick}
+    >
+      <div
+        className="odv-continuous-content"
+        style={{ width: `${layout.contentWidth}px`, height: `${layout.totalHeight}px` }}
+      >
+        {slots}
+      </div>
+    </div>
+  );
+});
+
+ContinuousDocumentRender.displayName = 'ContinuousDocumentRender';
+
+export default ContinuousDocumentRender;
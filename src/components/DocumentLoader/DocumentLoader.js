@@ -13,6 +13,23 @@
  *     4. analyzes page counts while prefetch work is still running,
  *     5. inserts lightweight page placeholders, and
  *     6. lets the viewer lazily render full pages / thumbnails on demand.
+ *
+ *   A ZIP source is expanded during prefetch: each supported member is stored as its own source,
+ *   in archive order, and becomes one more file of the archive's document. An email (`.eml`) source
+ *   is expanded the same way: its headers and body become rendered page images, followed by its
+ *   supported attachments; see `emailMessage.js` and `emailPageRenderer.js`.
+ *
+ *   Text sources (`.txt`, `.csv`, `.log`, `.json`, `.xml`) are only accepted when the source is
+ *   declared as text; any other source that turns out to be text is still rejected as an error
+ *   page. Their pages are laid out by `utils/textSourceLayout.js`. An SVG source is verified by its
+ *   `<svg>` root element and is sanitized by `utils/svgSource.js` before it is rendered.
+ *
+ *   A large PDF on a server that accepts HTTP Range requests is not downloaded up front. Its pages
+ *   are counted and rendered from byte ranges, and the full download runs in the background, one
+ *   source at a time. Sources above `maxSourceSizeMiB` stay range-backed.
+ *
+ *   An interrupted source-pack stream is resumed from the first source not yet received, up to
+ *   `fetch.sourcePackResumeAttempts` times; see `sourcePackStream.js`.
  */
 
 import React, { useEffect, useContext, useRef, useState, useCallback } from 'react';
@@ -20,7 +37,21 @@ import { useTranslation } from 'react-i18next';
 import { fileTypeFromBlob } from 'file-type';
 import ViewerContext from '../../contexts/viewerContext.js';
 import logger from '../../logging/systemLogger.js';
-import { fetchAndArrayBuffer, generateDocumentList, generateDemoList, getTotalPages } from './documentLoaderUtils.js';
+import {
+  fetchAndArrayBuffer,
+  generateDocumentList,
+  generateDemoList,
+  getTotalPages,
+  probeRangeSupport,
+} from './documentLoaderUtils.js';
+import { isZipSignature, openZipMember, readZipDirectory } from './zipArchive.js';
+import { isEmailMessageSignature, parseEmailMessage } from './emailMessage.js';
+import { renderEmailPages } from './emailPageRenderer.js';
+import {
+  buildSourcePackResumeUrl,
+  isSourcePackProtocolError,
+  readSourcePackStream,
+} from './sourcePackStream.js';
 import {
   getDocumentLoadingConfig,
   shouldRecommendStopping,
@@ -31,6 +62,11 @@ import {
   createReloadCacheSessionId,
   describeDocumentSourceKey,
 } from '../../utils/reloadCacheIdentity.js';
+import { ODV_HOST_EVENTS, emitHostEvent } from '../../integrations/hostEvents.js';
+import { getRangePdfPageCount } from '../../utils/pdfRangeTransport.js';
+import { TEXT_SOURCE_EXTENSIONS, isTextSourceExtension } from '../../utils/textSourceLayout.js';
+import { isSvgSignature } from '../../utils/svgSource.js';
+import { isAnimatedImageExtension } from '../../utils/animatedImage.js';
 
 /**
  * @typedef {Object} DocumentSourceItem
@@ -53,6 +89,8 @@ import {
  * @property {string=} pageCountHintSource
  * @property {string=} sourceKind
  * @property {number=} sourceSizeBytes
+ * @property {Blob=} localFile
+ * @property {string=} displayName
  */
 
 /**
@@ -86,6 +124,19 @@ import {
  * @property {number=} totalDocuments
  * @property {number=} documentPageStart
  * @property {number=} documentPageCount
+ * @property {string=} displayName   File name shown for the source, e.g. a ZIP member path.
+ * @property {OriginalSourceRef=} originalSource Stored file the pages download as, when it is not
+ *   `sourceKey` itself (rendered email pages).
+ * @property {string=} containerSourceKey Stored source the pages' file was extracted from.
+ */
+
+/**
+ * Stored file that rendered pages stand for, e.g. the `.eml` message behind its rendered body pages.
+ * @typedef {Object} OriginalSourceRef
+ * @property {string} sourceKey
+ * @property {string} displayName
+ * @property {string} fileExtension
+ * @property {string} mimeType
  */
 
 /**
@@ -116,6 +167,8 @@ import {
  * @property {string=} pageCountHintSource
  * @property {string=} sourceKind
  * @property {number=} sourceSizeBytes
+ * @property {Blob=} localFile
+ * @property {string=} displayName
  */
 
 /**
@@ -131,6 +184,21 @@ import {
  * @property {number=} prefetchConcurrency
  */
 
+/**
+ * One source the previous explicit-list run has already inserted into the viewer, in order.
+ * @typedef {Object} InsertedSourceRecord
+ * @property {string} sourceKey     Empty when the source failed and has a failed placeholder.
+ * @property {number} pageCount
+ * @property {boolean} documentEnd  True when this source closes its logical document.
+ * @property {Array<string>=} memberSourceKeys Stored members of a ZIP or email source.
+ */
+
+/**
+ * @typedef {Object} RetainedSourcePrefix
+ * @property {number} sourceCount
+ * @property {number} pageCount
+ */
+
 /**
  * @typedef {Object} PageEstimateStats
  * @property {number} sourceCount
@@ -152,6 +220,24 @@ import {
  * @property {(number|undefined)} pageCountHint
  * @property {boolean=} aborted
  * @property {*=} error
+ * @property {Array<ArchiveMemberResult>=} archiveMembers Set for an expanded ZIP or email source.
+ * @property {boolean=} rangeLoaded The source renders from byte ranges; `sizeBytes` is its full size.
+ */
+
+/**
+ * One member of an expanded ZIP or email source.
+ * @typedef {Object} ArchiveMemberResult
+ * @property {string} displayName  Path of the member inside the archive, or the email's subject
+ *   or attachment name.
+ * @property {string} url
+ * @property {boolean=} failed     The member could not be opened; it gets a failed placeholder.
+ * @property {string=} sourceKey
+ * @property {string=} fileExtension
+ * @property {string=} mimeType
+ * @property {number=} sizeBytes
+ * @property {number} pageCount
+ * @property {OriginalSourceRef=} originalSource Set on rendered email pages.
+ * @property {string=} containerSourceKey Source key of the email an attachment came from.
  */
 
 /**
@@ -225,8 +311,10 @@ const SUPPORTED_SOURCE_EXTENSIONS = Object.freeze(new Set([
   'jpg',
   'pdf',
   'png',
+  'svg',
   'tiff',
   'webp',
+  ...TEXT_SOURCE_EXTENSIONS,
 ]));
 
 const TEXT_LIKE_SOURCE_MIME_RE = /^(?:text\/|application\/(?:html|json|javascript|xhtml\+xml|xml|[\w.-]+\+(?:json|xml))|image\/svg\+xml)(?:[;\s]|$)/i;
@@ -239,6 +327,33 @@ function isSupportedSourceExtension(value) {
   return SUPPORTED_SOURCE_EXTENSIONS.has(normalizeExtension(value));
 }
 
+/**
+ * @param {string} value
+ * @returns {boolean} True for container formats the loader expands into their members.
+ */
+function isArchiveExtension(value) {
+  return normalizeExtension(value) === 'zip';
+}
+
+/**
+ * @param {string} value
+ * @returns {boolean} True for email messages, which the loader renders and expands.
+ */
+function isEmailExtension(value) {
+  return normalizeExtension(value) === 'eml';
+}
+
+/**
+ * @param {{ name:string, isDirectory:boolean }} member
+ * @returns {boolean} True for ZIP members the loader opens; folders, macOS resource forks,
+ *   hidden files and unsupported types are skipped.
+ */
+function isOpenableArchiveMember(member) {
+  if (member.isDirectory || member.name.startsWith('__MACOSX/')) return false;
+  const baseName = member.name.split('/').pop() || '';
+  return !baseName.startsWith('.') && isSupportedSourceExtension(inferUrlExtension(baseName));
+}
+
 /**
  * @param {string} mimeType
  * @returns {boolean}
@@ -276,6 +391,26 @@ function looksLikeTextPayload(bytes) {
     || head.startsWith('[');
 }
 
+/**
+ * @param {Uint8Array} bytes
+ * @returns {boolean} True for HTML, which a declared text source must not be (a login or error page).
+ */
+function looksLikeHtmlPayload(bytes) {
+  const head = asciiHead(bytes).toLowerCase();
+  return /^<(?:!doctype html|html|head|body|script)\b/.test(head);
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {boolean} True when the head bytes contain NUL bytes; UTF-16 text with a byte-order mark
+ *   is not binary.
+ */
+function looksLikeBinaryPayload(bytes) {
+  if (!bytes || bytes.length < 2) return false;
+  if ((bytes[0] === 0xff && bytes[1] === 0xfe) || (bytes[0] === 0xfe && bytes[1] === 0xff)) return false;
+  return bytes.includes(0);
+}
+
 /**
  * @param {Uint8Array} bytes
  * @param {string} signature
@@ -323,6 +458,12 @@ function matchesKnownSourceSignature(bytes, ext) {
     case 'tiff':
       return (bytes[0] === 0x49 && bytes[1] === 0x49 && bytes[2] === 0x2a && bytes[3] === 0x00)
         || (bytes[0] === 0x4d && bytes[1] === 0x4d && bytes[2] === 0x00 && bytes[3] === 0x2a);
+    case 'zip':
+      return isZipSignature(bytes);
+    case 'eml':
+      return isEmailMessageSignature(bytes);
+    case 'svg':
+      return isSvgSignature(bytes);
     default:
       return false;
   }
@@ -359,9 +500,13 @@ async function resolveFetchedSourcePayload({ entry, blob, responseMimeType = ''
   const expectedExt = normalizeExtension(entry?.ext || inferUrlExtension(entry?.url || ''));
   const mimeExt = normalizeExtension(mimeToExtension(initialMimeType));
   const headBytes = await readBlobHeadBytes(blob);
-  const signatureExt = [expectedExt, mimeExt]
+  // Email and SVG have no magic number for the generic detector; their markup is checked last,
+  // unless the source is declared as text.
+  const markupExts = isTextSourceExtension(expectedExt) ? [] : ['eml', 'svg'];
+  const signatureExt = [expectedExt, mimeExt, ...markupExts]
     .filter(Boolean)
-    .find((ext) => isSupportedSourceExtension(ext) && matchesKnownSourceSignature(headBytes, ext)) || '';
+    .find((ext) => (isSupportedSourceExtension(ext) || isArchiveExtension(ext) || isEmailExtension(ext))
+      && matchesKnownSourceSignature(headBytes, ext)) || '';
 
   if (signatureExt) {
     return {
@@ -372,6 +517,17 @@ async function resolveFetchedSourcePayload({ entry, blob, responseMimeType = ''
     };
   }
 
+  // A declared text type wins over a generic text MIME type (a `.csv` served as text/plain).
+  // Validation still rejects HTML and binary payloads.
+  if (isTextSourceExtension(expectedExt) && !looksLikeBinaryPayload(headBytes)) {
+    return {
+      detectedType: null,
+      mimeType: isTextLikeSourceMime(initialMimeType) ? initialMimeType : mimeForExtension(expectedExt),
+      fileExtension: expectedExt,
+      headBytes,
+    };
+  }
+
   let detectedType = null;
   try {
     detectedType = await fileTypeFromBlob(blob);
@@ -451,7 +607,10 @@ async function resolveTrustedSourcePackPayload({ entry, blob, header = null, hea
  */
 function needsPageCountAnalysis(fileExtension) {
   const normalized = normalizeExtension(fileExtension);
-  return normalized === 'pdf' || normalized === 'tiff';
+  return normalized === 'pdf'
+    || normalized === 'tiff'
+    || isAnimatedImageExtension(normalized)
+    || isTextSourceExtension(normalized);
 }
 
 /**
@@ -572,6 +731,13 @@ function mimeToExtension(mimeType) {
   if (type.includes('gif')) return 'gif';
   if (type.includes('bmp')) return 'bmp';
   if (type.includes('webp')) return 'webp';
+  if (type.includes('zip')) return 'zip';
+  if (type.includes('rfc822')) return 'eml';
+  if (type.includes('svg')) return 'svg';
+  if (/^text\/csv\b/.test(type)) return 'csv';
+  if (/^(?:application|text)\/json\b/.test(type)) return 'json';
+  if (/^(?:application|text)\/xml\b/.test(type)) return 'xml';
+  if (/^text\/plain\b/.test(type)) return 'txt';
   return '';
 }
 
@@ -789,6 +955,30 @@ async function validateFetchedSourceBlob({ entry, blob, detectedType, mimeType,
     );
   }
 
+  // Text is only accepted from sources declared as text; any other source that turns out to be
+  // text is treated like an error page.
+  if (isTextSourceExtension(normalizedExt)) {
+    if (!isTextSourceExtension(expectedExt) || looksLikeHtmlPayload(resolvedHeadBytes) || /^(?:text\/html|application\/xhtml)/i.test(String(mimeType || ''))) {
+      throw createInvalidSourcePayloadError(
+        'Fetched source looked like text/HTML/JSON instead of document bytes. The upstream session or document endpoint may have expired or returned an error page.',
+        { ...details, retryable: true }
+      );
+    }
+    if (looksLikeBinaryPayload(resolvedHeadBytes)) {
+      throw createInvalidSourcePayloadError('Fetched text source contains binary data.', details);
+    }
+    return;
+  }
+
+  // SVG is markup, so only an `<svg>` root element verifies it; it is sanitized before display.
+  if (normalizedExt === 'svg') {
+    if (signatureExt === 'svg') return;
+    throw createInvalidSourcePayloadError(
+      'Fetched source looked like text/HTML/JSON instead of document bytes. The upstream session or document endpoint may have expired or returned an error page.',
+      { ...details, retryable: true }
+    );
+  }
+
   if (looksLikeTextPayload(resolvedHeadBytes) || (isTextLikeSourceMime(mimeType) && !signatureExt)) {
     throw createInvalidSourcePayloadError(
       'Fetched source looked like text/HTML/JSON instead of document bytes. The upstream session or document endpoint may have expired or returned an error page.',
@@ -871,51 +1061,12 @@ function buildInlineSourceBlob(entry) {
   }
 }
 
-const SOURCE_PACK_MAGIC = 'ODVSP1\n';
-const SOURCE_PACK_HEADER_LIMIT_BYTES = 64 * 1024;
-const SOURCE_PACK_MAX_PAYLOAD_BYTES = 64 * 1024 * 1024;
-
 function getSourcePackUrl(entries) {
   if (!Array.isArray(entries) || entries.length <= 0) return '';
   const first = entries.find((entry) => typeof entry?.sourcePackUrl === 'string' && entry.sourcePackUrl.trim());
   return first ? String(first.sourcePackUrl).trim() : '';
 }
 
-/**
- * @param {*} bytes
- * @returns {(number|undefined)}
- */
-function readUint32LittleEndian(bytes) {
-  if (!(bytes instanceof Uint8Array) || bytes.length < 4) return undefined;
-  return (bytes[0] | (bytes[1] << 8) | (bytes[2] << 16) | (bytes[3] << 24)) >>> 0;
-}
-
-async function readExactStreamBytes(reader, state, length) {
-  const expectedLength = Math.max(0, Number(length) || 0);
-  if (expectedLength <= 0) return new Uint8Array(0);
-
-  const output = new Uint8Array(expectedLength);
-  let written = 0;
-
-  while (written < expectedLength) {
-    if (!state.chunk || state.offset >= state.chunk.length) {
-      const next = await reader.read();
-      if (next.done) return null;
-      state.chunk = next.value instanceof Uint8Array ? next.value : new Uint8Array(next.value || []);
-      state.offset = 0;
-      if (state.chunk.length <= 0) continue;
-    }
-
-    const available = state.chunk.length - state.offset;
-    const take = Math.min(available, expectedLength - written);
-    output.set(state.chunk.subarray(state.offset, state.offset + take), written);
-    state.offset += take;
-    written += take;
-  }
-
-  return output;
-}
-
 /**
  * @param {string} ext
  * @returns {string}
@@ -929,6 +1080,13 @@ function mimeForExtension(ext) {
     case 'gif': return 'image/gif';
     case 'bmp': return 'image/bmp';
     case 'webp': return 'image/webp';
+    case 'eml': return 'message/rfc822';
+    case 'svg': return 'image/svg+xml';
+    case 'csv': return 'text/csv';
+    case 'json': return 'application/json';
+    case 'xml': return 'application/xml';
+    case 'txt':
+    case 'log': return 'text/plain';
     default: return '';
   }
 }
@@ -970,6 +1128,30 @@ function resolveDocumentSourceContext(value) {
   };
 }
 
+/**
+ * Emit `odv:load-progress` for one processed source.
+ *
+ * @param {{ processedSources:number, totalSources:number, failedSources:number, discoveredPages:number, expectedPages:number, documentContext:Object }} progress
+ * @returns {void}
+ */
+function emitLoadProgress(progress) {
+  const documentContext = progress.documentContext || {};
+  emitHostEvent(ODV_HOST_EVENTS.LOAD_PROGRESS, {
+    processedSources: progress.processedSources,
+    totalSources: progress.totalSources,
+    failedSources: progress.failedSources,
+    discoveredPages: progress.discoveredPages,
+    expectedPages: progress.expectedPages > 0 ? progress.expectedPages : null,
+    document: documentContext.documentId || documentContext.documentNumber
+      ? {
+          documentId: documentContext.documentId || null,
+          documentNumber: documentContext.documentNumber || null,
+          totalDocuments: documentContext.totalDocuments || null,
+        }
+      : null,
+  });
+}
+
 /**
  * @param {*} entry
  * @returns {string}
@@ -1040,6 +1222,9 @@ function createPagePlaceholders(input) {
       allPagesIndex: input.startIndex + pageIndex,
       sourceMimeType: input.mimeType,
       sourceSizeBytes: input.sizeBytes,
+      sourceDisplayName: input.displayName,
+      ...(input.originalSource ? { originalSource: input.originalSource } : {}),
+      ...(input.containerSourceKey ? { containerSourceKey: input.containerSourceKey } : {}),
       documentId: documentContext.documentId,
       documentNumber: documentContext.documentNumber,
       totalDocuments: documentContext.totalDocuments,
@@ -1129,6 +1314,8 @@ function resolveEntries(sourceList, demoMode, demoStrategy, demoCount, demoForma
           : undefined,
         sourceKind: typeof item?.sourceKind === 'string' && item.sourceKind ? item.sourceKind : undefined,
         sourceSizeBytes: toPositiveIntOrUndefined(item?.sourceSizeBytes),
+        localFile: item?.localFile instanceof Blob ? item.localFile : undefined,
+        displayName: typeof item?.displayName === 'string' && item.displayName ? item.displayName : undefined,
       }))
       .filter((item) => !!item.url);
   }
@@ -1154,6 +1341,51 @@ function resolveEntries(sourceList, demoMode, demoStrategy, demoCount, demoForma
   }));
 }
 
+/**
+ * Find how much of the previous run can stay in place for a changed source list.
+ *
+ * The prefix covers sources whose identity is unchanged and in the same position. It stops at the
+ * first failed or changed source and is trimmed back to a document boundary, so document page
+ * numbering never has to be rebuilt across retained and reloaded pages.
+ *
+ * @param {Array<InsertedSourceRecord>} inserted
+ * @param {Array<string>} sourceKeys
+ * @returns {RetainedSourcePrefix}
+ */
+function planRetainedSourcePrefix(inserted, sourceKeys) {
+  const previous = Array.isArray(inserted) ? inserted : [];
+  let sourceCount = 0;
+  let pageCount = 0;
+  let runningPageCount = 0;
+
+  for (let index = 0; index < previous.length && index < sourceKeys.length; index += 1) {
+    const record = previous[index];
+    if (!record?.sourceKey || record.sourceKey !== sourceKeys[index]) break;
+    runningPageCount += Math.max(1, Number(record.pageCount) || 1);
+    if (record.documentEnd) {
+      sourceCount = index + 1;
+      pageCount = runningPageCount;
+    }
+  }
+
+  return { sourceCount, pageCount };
+}
+
+/**
+ * Add the stored members of ZIP sources that stay in the list, so reconciling the session keeps them.
+ *
+ * @param {Array<string>} sourceKeys
+ * @param {Array<InsertedSourceRecord>} inserted
+ * @returns {Array<string>}
+ */
+function withArchiveMemberKeys(sourceKeys, inserted) {
+  const kept = new Set(sourceKeys);
+  const memberKeys = (Array.isArray(inserted) ? inserted : [])
+    .filter((record) => kept.has(record?.sourceKey) && Array.isArray(record.memberSourceKeys))
+    .flatMap((record) => record.memberSourceKeys);
+  return memberKeys.length > 0 ? sourceKeys.concat(memberKeys) : sourceKeys;
+}
+
 /**
  * @param {string} text
  * @returns {string}
@@ -1189,10 +1421,14 @@ const DocumentLoader = ({
     setPlannedPageCount,
     patchPageAtIndex,
     initializeDocumentSession,
+    reconcileDocumentSession,
     storeSourceBlob,
     readSourceBlob,
+    registerRangeSource,
+    setSourceResumeState,
     recordLoaderPhaseTiming,
     registerSourceDescriptor,
+    getSourceDescriptor,
     addMessage,
     scheduleSourceWarmup,
   } = useContext(ViewerContext);
@@ -1200,6 +1436,8 @@ const DocumentLoader = ({
   const isMountedRef = useRef(true);
   const activeControllersRef = useRef(new Set());
   const promptResolverRef = useRef(null);
+  /** @type {React.MutableRefObject<({ reloadCacheSeed:string, inserted:Array<InsertedSourceRecord> }|null)>} */
+  const lastExplicitRunRef = useRef(null);
   const [pressureSummary, setPressureSummary] = useState(null);
 
   useEffect(() => {
@@ -1250,10 +1488,20 @@ const DocumentLoader = ({
       endNumber
     );
     const exactPlannedPageCount = resolveExactPlannedPageCount(entries);
+    const isExplicitList = Array.isArray(sourceList) && sourceList.length > 0 && !demoMode;
+    const sourceKeys = entries.map((entry, orderIndex) => describeDocumentSourceKey(entry, orderIndex).sourceKey);
+
+    // A changed explicit list in the same cache scope (documents appended, removed or replaced by
+    // the host) reuses the running session instead of starting over.
+    const previousRun = lastExplicitRunRef.current;
+    const retainedPrefix = isExplicitList && previousRun && previousRun.reloadCacheSeed === reloadCacheSeed
+      ? planRetainedSourcePrefix(previousRun.inserted, sourceKeys)
+      : null;
 
     logger.info('DocumentLoader run started', {
       sourceCount: entries.length,
       mode: Array.isArray(sourceList) && sourceList.length > 0 ? 'explicit-list' : (demoMode ? 'demo' : 'pattern'),
+      retainedSourceCount: retainedPrefix?.sourceCount || 0,
     });
 
     const reloadCacheSessionId = isReloadCacheEnabled(config)
@@ -1291,6 +1539,8 @@ const DocumentLoader = ({
     };
 
     const prefetchLimiter = createLimiter(config.fetch.prefetchConcurrency);
+    // Full downloads of range-loaded sources; one at a time so they do not crowd out first views.
+    const backgroundDownloadLimiter = createLimiter(1);
 
     /**
      * Fetch and persist one source blob with conservative retry behavior. The goal is not to mask
@@ -1318,9 +1568,485 @@ const DocumentLoader = ({
       const maxSourceBytes = maxSourceSizeMiB > 0
         ? Math.round(maxSourceSizeMiB * 1024 * 1024)
         : 0;
+      const rangeLoadingEnabled = config.fetch.rangeLoading !== false;
+      const rangeMinSourceBytes = Math.max(1, Number(config.fetch.rangeLoadingMinSourceSizeMiB) || 0) * 1024 * 1024;
       const sourceIdentity = describeDocumentSourceKey(entry, orderIndex);
       const sourceKey = sourceIdentity.sourceKey;
 
+      /**
+       * Type-check and store source bytes that are already in memory, without a network fetch.
+       *
+       * @param {Blob} blob
+       * @param {string} responseMimeType
+       * @returns {Promise<PrefetchResult>}
+       */
+      const storeProvidedSource = async (blob, responseMimeType) => {
+        const typeStartedAt = nowMs();
+        const resolvedPayload = await resolveFetchedSourcePayload({ entry, blob, responseMimeType });
+        if (isArchiveExtension(resolvedPayload.fileExtension)) {
+          recordLoaderPhaseTiming?.('type', nowMs() - typeStartedAt);
+          return expandArchiveSource(blob, resolvedPayload.mimeType);
+        }
+        if (isEmailExtension(resolvedPayload.fileExtension)) {
+          recordLoaderPhaseTiming?.('type', nowMs() - typeStartedAt);
+          return expandEmailSource(blob, resolvedPayload.mimeType);
+        }
+
+        await validateFetchedSourceBlob({
+          entry,
+          blob,
+          detectedType: resolvedPayload.detectedType,
+          mimeType: resolvedPayload.mimeType,
+          fileExtension: resolvedPayload.fileExtension,
+          headBytes: resolvedPayload.headBytes,
+        });
+        recordLoaderPhaseTiming?.('type', nowMs() - typeStartedAt);
+
+        const storeStartedAt = nowMs();
+        const stored = await storeSourceBlob({
+          sourceKey,
+          blob,
+          fileExtension: resolvedPayload.fileExtension,
+          mimeType: resolvedPayload.mimeType,
+          originalUrl: entry.url,
+          fileIndex: entry.fileIndex,
+        });
+        recordLoaderPhaseTiming?.('store', nowMs() - storeStartedAt);
+
+        const pageCountHint = resolveTrustedEntryPageCountHint(entry, resolvedPayload.fileExtension)
+          || await resolvePrefetchedPageCountHint({
+            sourceKey,
+            url: entry.url,
+            blob,
+            fileExtension: resolvedPayload.fileExtension,
+            recordLoaderPhaseTiming,
+          });
+
+        return {
+          ok: true,
+          sourceKey,
+          fileExtension: resolvedPayload.fileExtension,
+          mimeType: resolvedPayload.mimeType,
+          sizeBytes: Number(blob.size || 0),
+          fileIndex: entry.fileIndex,
+          url: entry.url,
+          cacheKeyMode: sourceIdentity.mode,
+          stats: stored?.stats || null,
+          analysisBlob: blob,
+          pageCountHint,
+        };
+      };
+
+      /**
+       * Type-check and store one member of an expanded ZIP or email source under its own key.
+       *
+       * @param {ResolvedEntry} memberEntry
+       * @param {string} memberSourceKey
+       * @param {Blob} blob
+       * @param {string} displayName
+       * @returns {Promise<{ member:ArchiveMemberResult, stats:* }>}
+       */
+      const storeMemberSource = async (memberEntry, memberSourceKey, blob, displayName) => {
+        const resolvedPayload = await resolveFetchedSourcePayload({ entry: memberEntry, blob, responseMimeType: blob.type });
+        await validateFetchedSourceBlob({
+          entry: memberEntry,
+          blob,
+          detectedType: resolvedPayload.detectedType,
+          mimeType: resolvedPayload.mimeType,
+          fileExtension: resolvedPayload.fileExtension,
+          headBytes: resolvedPayload.headBytes,
+        });
+
+        const storeStartedAt = nowMs();
+        const stored = await storeSourceBlob({
+          sourceKey: memberSourceKey,
+          blob,
+          fileExtension: resolvedPayload.fileExtension,
+          mimeType: resolvedPayload.mimeType,
+          originalUrl: memberEntry.url,
+          fileIndex: entry.fileIndex,
+        });
+        recordLoaderPhaseTiming?.('store', nowMs() - storeStartedAt);
+
+        return {
+          stats: stored?.stats || null,
+          member: {
+            displayName,
+            url: memberEntry.url,
+            sourceKey: memberSourceKey,
+            fileExtension: resolvedPayload.fileExtension,
+            mimeType: resolvedPayload.mimeType,
+            sizeBytes: Number(blob.size || 0),
+            pageCount: await resolvePrefetchedPageCountHint({
+              sourceKey: memberSourceKey,
+              url: memberEntry.url,
+              blob,
+              fileExtension: resolvedPayload.fileExtension,
+              recordLoaderPhaseTiming,
+            }),
+          },
+        };
+      };
+
+      /**
+       * Store each supported member of a ZIP source as its own source, one member at a time, so
+       * the archive is never held decompressed as a whole. The archive itself is not stored.
+       * Members larger than `maxSourceSizeMiB` fail like unreadable members.
+       *
+       * @param {Blob} archive
+       * @param {string} mimeType
+       * @returns {Promise<PrefetchResult>}
+       */
+      const expandArchiveSource = async (archive, mimeType) => {
+        const members = (await readZipDirectory(archive)).filter(isOpenableArchiveMember);
+        /** @type {Array<ArchiveMemberResult>} */
+        const archiveMembers = [];
+        let stats = null;
+        for (const member of members) {
+          if (cancelled || !isMountedRef.current) {
+            return { ok: false, aborted: true, fileIndex: entry.fileIndex, url: entry.url };
+          }
+          const memberEntry = {
+            ...entry,
+            url: `${entry.url}#${member.name}`,
+            ext: normalizeExtension(inferUrlExtension(member.name)),
+            pageCountHint: undefined,
+          };
+          try {
+            const blob = await openZipMember(archive, member, mimeForExtension(memberEntry.ext), maxSourceBytes);
+            const stored = await storeMemberSource(memberEntry, `${sourceKey}_zip${member.index}`, blob, member.name);
+            stats = stored.stats || stats;
+            archiveMembers.push(stored.member);
+          } catch (error) {
+            logger.warn('ZIP member could not be opened', {
+              url: redactUrlForLog(entry.url),
+              member: member.name,
+              error: String(error?.message || error),
+            });
+            archiveMembers.push({ displayName: member.name, url: memberEntry.url, failed: true, pageCount: 1 });
+          }
+        }
+
+        if (archiveMembers.length === 0) {
+          throw createInvalidSourcePayloadError('ZIP archive contains no supported document files.', {
+            url: redactUrlForLog(entry.url),
+            fileIndex: Number(entry.fileIndex || 0),
+            sizeBytes: Number(archive.size || 0),
+          });
+        }
+
+        logger.info('ZIP source expanded', {
+          sourceKey,
+          fileIndex: entry.fileIndex,
+          memberCount: archiveMembers.length,
+          failedMemberCount: archiveMembers.filter((member) => member.failed).length,
+        });
+
+        return {
+          ok: true,
+          sourceKey,
+          fileExtension: 'zip',
+          mimeType,
+          sizeBytes: Number(archive.size || 0),
+          fileIndex: entry.fileIndex,
+          url: entry.url,
+          cacheKeyMode: sourceIdentity.mode,
+          stats,
+          analysisBlob: undefined,
+          pageCountHint: archiveMembers.reduce((total, member) => total + member.pageCount, 0),
+          archiveMembers,
+        };
+      };
+
+      /**
+       * Render an email source's headers and body as PNG pages and store them, followed by each
+       * supported attachment, as members of the email's document. Unsupported attachments are
+       * only named in the rendered header block. The message itself is stored under the email's
+       * own source key, so its rendered pages download as the original `.eml`.
+       *
+       * @param {Blob} messageBlob
+       * @param {string} mimeType
+       * @returns {Promise<PrefetchResult>}
+       */
+      const expandEmailSource = async (messageBlob, mimeType) => {
+        const messageStoreStartedAt = nowMs();
+        const storedMessage = await storeSourceBlob({
+          sourceKey,
+          blob: messageBlob,
+          fileExtension: 'eml',
+          mimeType,
+          originalUrl: entry.url,
+          fileIndex: entry.fileIndex,
+        });
+        recordLoaderPhaseTiming?.('store', nowMs() - messageStoreStartedAt);
+
+        const message = parseEmailMessage(new Uint8Array(await messageBlob.arrayBuffer()));
+        const translate = translateRef.current;
+        const renderStartedAt = nowMs();
+        const pages = await renderEmailPages(message, {
+          labels: {
+            from: translate('viewer.emailPage.from', { defaultValue: 'From' }),
+            to: translate('viewer.emailPage.to', { defaultValue: 'To' }),
+            cc: translate('viewer.emailPage.cc', { defaultValue: 'Cc' }),
+            date: translate('viewer.emailPage.date', { defaultValue: 'Date' }),
+            subject: translate('viewer.emailPage.subject', { defaultValue: 'Subject' }),
+            attachments: translate('viewer.emailPage.attachments', { defaultValue: 'Attachments' }),
+          },
+          onFallback: (error) => logger.warn('Email body could not be rendered as HTML; rendering plain text', {
+            url: redactUrlForLog(entry.url),
+            error: String(error?.message || error),
+          }),
+        });
+        recordLoaderPhaseTiming?.('analysis', nowMs() - renderStartedAt);
+
+        const messageName = message.headers.subject || entry.displayName || '';
+        /** @type {OriginalSourceRef} */
+        const originalSource = {
+          sourceKey,
+          displayName: entry.displayName || messageName,
+          fileExtension: 'eml',
+          mimeType,
+        };
+        /** @type {Array<ArchiveMemberResult>} */
+        const archiveMembers = [];
+        let stats = storedMessage?.stats || null;
+        for (const [index, page] of pages.entries()) {
+          if (cancelled || !isMountedRef.current) {
+            return { ok: false, aborted: true, fileIndex: entry.fileIndex, url: entry.url };
+          }
+          const pageEntry = { ...entry, url: `${entry.url}#page${index + 1}`, ext: 'png', pageCountHint: undefined };
+          const stored = await storeMemberSource(pageEntry, `${sourceKey}_eml${index}`, page, messageName);
+          stats = stored.stats || stats;
+          archiveMembers.push({ ...stored.member, originalSource });
+        }
+
+        for (const [index, attachment] of message.attachments.entries()) {
+          const ext = normalizeExtension(inferUrlExtension(attachment.filename) || mimeToExtension(attachment.contentType));
+          if (!isSupportedSourceExtension(ext)) continue;
+          if (cancelled || !isMountedRef.current) {
+            return { ok: false, aborted: true, fileIndex: entry.fileIndex, url: entry.url };
+          }
+          const displayName = attachment.filename || `${messageName} (${index + 1})`;
+          const memberEntry = {
+            ...entry,
+            url: `${entry.url}#${attachment.filename || `attachment${index + 1}`}`,
+            ext,
+            pageCountHint: undefined,
+          };
+          try {
+            const blob = new Blob([attachment.bytes], { type: mimeForExtension(ext) });
+            const stored = await storeMemberSource(memberEntry, `${sourceKey}_att${index}`, blob, displayName);
+            stats = stored.stats || stats;
+            archiveMembers.push({ ...stored.member, containerSourceKey: sourceKey });
+          } catch (error) {
+            logger.warn('Email attachment could not be opened', {
+              url: redactUrlForLog(entry.url),
+              attachment: displayName,
+              error: String(error?.message || error),
+            });
+            archiveMembers.push({ displayName, url: memberEntry.url, failed: true, pageCount: 1 });
+          }
+        }
+
+        logger.info('Email source expanded', {
+          sourceKey,
+          fileIndex: entry.fileIndex,
+          pageCount: pages.length,
+          attachmentCount: archiveMembers.length - pages.length,
+          skippedAttachmentCount: message.attachments.length - (archiveMembers.length - pages.length),
+        });
+
+        return {
+          ok: true,
+          sourceKey,
+          fileExtension: 'eml',
+          mimeType,
+          sizeBytes: Number(messageBlob.size || 0),
+          fileIndex: entry.fileIndex,
+          url: entry.url,
+          cacheKeyMode: sourceIdentity.mode,
+          stats,
+          analysisBlob: undefined,
+          pageCountHint: archiveMembers.reduce((total, member) => total + member.pageCount, 0),
+          archiveMembers,
+        };
+      };
+
+      /**
+       * Download a range-loaded source in full and store it, which replaces its stored ranges.
+       * A failure only means the source keeps rendering from ranges.
+       *
+       * @param {number} sizeBytes
+       * @param {string} mimeType
+       * @returns {Promise<void>}
+       */
+      const completeRangeSource = async (sizeBytes, mimeType) => {
+        if (shouldStopRun()) return;
+        const controller = new AbortController();
+        activeControllersRef.current.add(controller);
+        try {
+          const arrayBuffer = await fetchAndArrayBuffer(entry.url, {
+            signal: controller.signal,
+            maxBytes: maxSourceBytes,
+            requestInit: {
+              cache: 'no-store',
+              credentials: 'same-origin',
+            },
+          });
+          if (arrayBuffer.byteLength !== sizeBytes) {
+            throw new Error(`Downloaded ${arrayBuffer.byteLength} bytes, expected ${sizeBytes}.`);
+          }
+          if (shouldStopRun()) return;
+          await storeSourceBlob({
+            sourceKey,
+            blob: new Blob([arrayBuffer], { type: mimeType }),
+            fileExtension: 'pdf',
+            mimeType,
+            originalUrl: entry.url,
+            fileIndex: entry.fileIndex,
+          });
+          logger.info('Range-loaded source downloaded in full', { sourceKey, fileIndex: entry.fileIndex, sizeBytes });
+        } catch (error) {
+          if (controller.signal.aborted || shouldStopRun()) return;
+          logger.warn('Background download of range-loaded source failed; pages keep loading by range', {
+            sourceKey,
+            fileIndex: entry.fileIndex,
+            error: String(error?.message || error),
+          });
+        } finally {
+          activeControllersRef.current.delete(controller);
+        }
+      };
+
+      /**
+       * Open a large PDF through HTTP Range requests when the server advertises support for them.
+       * Only the ranges needed to check the signature and count pages are fetched here. Returns
+       * null when range loading does not apply, so the caller falls back to a full fetch.
+       *
+       * @returns {Promise<(PrefetchResult|null)>}
+       */
+      const tryRangeLoadSource = async () => {
+        if (!rangeLoadingEnabled || typeof registerRangeSource !== 'function') return null;
+        if (normalizeExtension(entry.ext || inferUrlExtension(entry.url)) !== 'pdf') return null;
+        const knownSizeBytes = Number(entry.sourceSizeBytes) || 0;
+        if (knownSizeBytes > 0 && knownSizeBytes < rangeMinSourceBytes) return null;
+
+        const fetchStartedAt = nowMs();
+        const controller = new AbortController();
+        activeControllersRef.current.add(controller);
+        let probe;
+        try {
+          probe = await probeRangeSupport(entry.url, {
+            signal: controller.signal,
+            timeoutMs: requestTimeoutMs,
+            requestInit: {
+              cache: 'no-store',
+              credentials: 'same-origin',
+            },
+          });
+        } finally {
+          activeControllersRef.current.delete(controller);
+        }
+        const sizeBytes = probe.sizeBytes;
+        if (!probe.acceptsRanges || sizeBytes < rangeMinSourceBytes || shouldStopRun()) return null;
+        // Anything else is left to the full fetch, which validates and reports it properly.
+        if (probe.mimeType && probe.mimeType !== 'application/pdf' && probe.mimeType !== 'application/octet-stream') {
+          return null;
+        }
+
+        try {
+          const reader = registerRangeSource({
+            sourceKey,
+            sizeBytes,
+            fileExtension: 'pdf',
+            mimeType: 'application/pdf',
+            originalUrl: entry.url,
+            fileIndex: entry.fileIndex,
+            fetchRange: (begin, end) => fetchAndArrayBuffer(entry.url, {
+              byteRange: { begin, end },
+              timeoutMs: requestTimeoutMs,
+              requestInit: {
+                cache: 'no-store',
+                credentials: 'same-origin',
+              },
+            }),
+          });
+          const headBytes = await reader.read(0, Math.min(sizeBytes, 512));
+          if (!matchesKnownSourceSignature(headBytes, 'pdf')) {
+            throw createInvalidSourcePayloadError('Range-loaded source does not start with a PDF signature.', {
+              url: redactUrlForLog(entry.url),
+              fileIndex: Number(entry.fileIndex || 0),
+              sizeBytes,
+            });
+          }
+          recordLoaderPhaseTiming?.('fetch', nowMs() - fetchStartedAt);
+
+          const analysisStartedAt = nowMs();
+          const pageCountHint = resolveTrustedEntryPageCountHint(entry, 'pdf')
+            || Math.max(1, Number(await getRangePdfPageCount(reader)) || 1);
+          recordLoaderPhaseTiming?.('analysis', nowMs() - analysisStartedAt);
+
+          const backgroundDownload = maxSourceBytes <= 0 || sizeBytes <= maxSourceBytes;
+          if (backgroundDownload) {
+            void backgroundDownloadLimiter(() => completeRangeSource(sizeBytes, 'application/pdf'));
+          }
+          logger.info('Prefetch source opened by byte ranges', {
+            sourceKey,
+            fileIndex: entry.fileIndex,
+            sizeBytes,
+            pageCount: pageCountHint,
+            backgroundDownload,
+          });
+
+          return {
+            ok: true,
+            sourceKey,
+            fileExtension: 'pdf',
+            mimeType: 'application/pdf',
+            sizeBytes,
+            fileIndex: entry.fileIndex,
+            url: entry.url,
+            cacheKeyMode: sourceIdentity.mode,
+            stats: null,
+            analysisBlob: undefined,
+            pageCountHint,
+            rangeLoaded: true,
+          };
+        } catch (error) {
+          if (shouldStopRun()) {
+            return { ok: false, aborted: true, fileIndex: entry.fileIndex, url: entry.url };
+          }
+          logger.warn('Range loading failed; fetching source in full', {
+            sourceKey,
+            fileIndex: entry.fileIndex,
+            error: String(error?.message || error),
+          });
+          return null;
+        }
+      };
+
+      // A local file is already in memory and its URL is only a placeholder, so it never falls
+      // back to the reload cache or the network.
+      if (entry.localFile instanceof Blob) {
+        try {
+          if (entry.localFile.size <= 0) throw new Error(`Local file ${entry.url} is empty.`);
+          return await storeProvidedSource(entry.localFile, entry.localFile.type);
+        } catch (error) {
+          logger.error('Local source file could not be opened', {
+            url: entry.url,
+            fileIndex: entry.fileIndex,
+            details: error?.details || undefined,
+            error: String(error?.message || error),
+          });
+          return {
+            ok: false,
+            error,
+            fileIndex: entry.fileIndex,
+            url: entry.url,
+          };
+        }
+      }
+
       if (reloadCacheSessionId && typeof readSourceBlob === 'function') {
         try {
           const cachedBlob = await readSourceBlob(sourceKey);
@@ -1331,6 +2057,10 @@ const DocumentLoader = ({
               blob: cachedBlob,
               responseMimeType: cachedBlob.type,
             });
+            if (isEmailExtension(resolvedPayload.fileExtension)) {
+              recordLoaderPhaseTiming?.('type', nowMs() - typeStartedAt);
+              return await expandEmailSource(cachedBlob, resolvedPayload.mimeType);
+            }
 
             await validateFetchedSourceBlob({
               entry,
@@ -1384,56 +2114,7 @@ const DocumentLoader = ({
       const inlineBlob = buildInlineSourceBlob(entry);
       if (inlineBlob instanceof Blob && inlineBlob.size > 0) {
         try {
-          const typeStartedAt = nowMs();
-          const resolvedPayload = await resolveFetchedSourcePayload({
-            entry,
-            blob: inlineBlob,
-            responseMimeType: entry.inlineMimeType || inlineBlob.type,
-          });
-
-          await validateFetchedSourceBlob({
-            entry,
-            blob: inlineBlob,
-            detectedType: resolvedPayload.detectedType,
-            mimeType: resolvedPayload.mimeType,
-            fileExtension: resolvedPayload.fileExtension,
-            headBytes: resolvedPayload.headBytes,
-          });
-          recordLoaderPhaseTiming?.('type', nowMs() - typeStartedAt);
-
-          const storeStartedAt = nowMs();
-          const stored = await storeSourceBlob({
-            sourceKey,
-            blob: inlineBlob,
-            fileExtension: resolvedPayload.fileExtension,
-            mimeType: resolvedPayload.mimeType,
-            originalUrl: entry.url,
-            fileIndex: entry.fileIndex,
-          });
-          recordLoaderPhaseTiming?.('store', nowMs() - storeStartedAt);
-
-          const pageCountHint = resolveTrustedEntryPageCountHint(entry, resolvedPayload.fileExtension)
-            || await resolvePrefetchedPageCountHint({
-              sourceKey,
-              url: entry.url,
-              blob: inlineBlob,
-              fileExtension: resolvedPayload.fileExtension,
-              recordLoaderPhaseTiming,
-            });
-
-          return {
-            ok: true,
-            sourceKey,
-            fileExtension: resolvedPayload.fileExtension,
-            mimeType: resolvedPayload.mimeType,
-            sizeBytes: Number(inlineBlob.size || 0),
-            fileIndex: entry.fileIndex,
-            url: entry.url,
-            cacheKeyMode: sourceIdentity.mode,
-            stats: stored?.stats || null,
-            analysisBlob: inlineBlob,
-            pageCountHint,
-          };
+          return await storeProvidedSource(inlineBlob, entry.inlineMimeType || inlineBlob.type);
         } catch (error) {
           logger.warn('Inline source bytes could not be used; fetching source URL instead', {
             sourceKey,
@@ -1443,6 +2124,9 @@ const DocumentLoader = ({
         }
       }
 
+      const rangeResult = await tryRangeLoadSource();
+      if (rangeResult) return rangeResult;
+
       for (let attempt = 1; attempt <= maxAttempts; attempt += 1) {
         const controller = new AbortController();
         activeControllersRef.current.add(controller);
@@ -1470,56 +2154,7 @@ const DocumentLoader = ({
             throw new Error(`Fetched source ${entry.url} is empty or invalid.`);
           }
 
-          const typeStartedAt = nowMs();
-          const resolvedPayload = await resolveFetchedSourcePayload({
-            entry,
-            blob,
-            responseMimeType: responseMimeType || blob.type,
-          });
-
-          await validateFetchedSourceBlob({
-            entry,
-            blob,
-            detectedType: resolvedPayload.detectedType,
-            mimeType: resolvedPayload.mimeType,
-            fileExtension: resolvedPayload.fileExtension,
-            headBytes: resolvedPayload.headBytes,
-          });
-          recordLoaderPhaseTiming?.('type', nowMs() - typeStartedAt);
-
-          const storeStartedAt = nowMs();
-          const stored = await storeSourceBlob({
-            sourceKey,
-            blob,
-            fileExtension: resolvedPayload.fileExtension,
-            mimeType: resolvedPayload.mimeType,
-            originalUrl: entry.url,
-            fileIndex: entry.fileIndex,
-          });
-          recordLoaderPhaseTiming?.('store', nowMs() - storeStartedAt);
-
-          const pageCountHint = resolveTrustedEntryPageCountHint(entry, resolvedPayload.fileExtension)
-            || await resolvePrefetchedPageCountHint({
-              sourceKey,
-              url: entry.url,
-              blob,
-              fileExtension: resolvedPayload.fileExtension,
-              recordLoaderPhaseTiming,
-            });
-
-          return {
-            ok: true,
-            sourceKey,
-            fileExtension: resolvedPayload.fileExtension,
-            mimeType: resolvedPayload.mimeType,
-            sizeBytes: Number(blob.size || 0),
-            fileIndex: entry.fileIndex,
-            url: entry.url,
-            cacheKeyMode: sourceIdentity.mode,
-            stats: stored?.stats || null,
-            analysisBlob: blob,
-            pageCountHint,
-          };
+          return await storeProvidedSource(blob, responseMimeType || blob.type);
         } catch (error) {
           const normalizedError = error?.code === 'document-fetch-timeout'
             ? createPrefetchTimeoutError(entry.url, requestTimeoutMs)
@@ -1713,60 +2348,102 @@ const DocumentLoader = ({
         }
       };
 
-      const runSourcePack = async () => {
+      /** fileIndexes whose frame was read completely; resumed responses skip them. */
+      const receivedFileIndexes = new Set();
+      const maxResumeAttempts = Math.max(0, Number(config.fetch.sourcePackResumeAttempts) || 0);
+      const resumeBaseDelayMs = Math.max(0, Number(config.fetch.prefetchRetryBaseDelayMs) || 0);
+      let resumeToken = null;
+
+      const getFirstMissingFileIndex = () => entries.findIndex((_, index) => (
+        !receivedFileIndexes.has(index) && !deferreds[index].settled
+      ));
+
+      /**
+       * Read one source-pack response and queue every frame not received before.
+       *
+       * @param {string} url
+       * @returns {Promise<boolean>} True when the response ended with the terminator frame.
+       */
+      const readSourcePackResponse = async (url) => {
         const controller = new AbortController();
         activeControllersRef.current.add(controller);
-        const decoder = new TextDecoder();
 
         try {
-          const response = await fetch(sourcePackUrl, {
+          const response = await fetch(url, {
             signal: controller.signal,
             cache: 'no-store',
             credentials: 'same-origin',
           });
-          if (!response.ok) throw createPrefetchHttpError(sourcePackUrl, response.status);
+          if (!response.ok) throw createPrefetchHttpError(url, response.status);
           if (!response.body || typeof response.body.getReader !== 'function') {
             throw new Error('Source pack stream is not available in this browser.');
           }
 
-          const reader = response.body.getReader();
-          const state = { chunk: null, offset: 0 };
-          const magicBytes = await readExactStreamBytes(reader, state, SOURCE_PACK_MAGIC.length);
-          if (!magicBytes || decoder.decode(magicBytes) !== SOURCE_PACK_MAGIC) {
-            throw new Error('Source pack stream has an invalid signature.');
-          }
+          const result = await readSourcePackStream(response.body.getReader(), {
+            shouldStop: shouldStopRun,
+            now: nowMs,
+            onFrame: ({ header, payload, startedAtMs }) => {
+              recordLoaderPhaseTiming?.('fetch', nowMs() - startedAtMs);
+              if (typeof header?.resumeToken === 'string' && header.resumeToken) resumeToken = header.resumeToken;
+
+              const fileIndex = Math.max(0, Number(header?.fileIndex || 0));
+              const entry = entries[fileIndex];
+              if (!entry || receivedFileIndexes.has(fileIndex)) return;
+              receivedFileIndexes.add(fileIndex);
+              queueSourcePackFrame({ fileIndex, entry, header, payload });
+            },
+          });
+          return result.complete;
+        } catch (error) {
+          if (!controller.signal.aborted) throw error;
+          const aborted = new Error('Source pack request was aborted.');
+          aborted.aborted = true;
+          throw aborted;
+        } finally {
+          activeControllersRef.current.delete(controller);
+        }
+      };
 
+      const runSourcePack = async () => {
+        let resumeAttempt = 0;
+
+        try {
           while (!shouldStopRun()) {
-            const frameStartedAt = nowMs();
-            const headerLengthBytes = await readExactStreamBytes(reader, state, 4);
-            if (!headerLengthBytes) break;
-
-            const headerLength = readUint32LittleEndian(headerLengthBytes);
-            if (headerLength == null) throw new Error('Source pack stream ended inside a frame header length.');
-            if (headerLength === 0) break;
-            if (headerLength > SOURCE_PACK_HEADER_LIMIT_BYTES) {
-              throw new Error(`Source pack frame header is too large (${headerLength} bytes).`);
+            const from = getFirstMissingFileIndex();
+            if (from < 0) break;
+            const url = resumeAttempt > 0
+              ? buildSourcePackResumeUrl(sourcePackUrl, { from, resumeToken })
+              : sourcePackUrl;
+
+            let interruption = null;
+            try {
+              if (await readSourcePackResponse(url)) break;
+            } catch (error) {
+              if (shouldStopRun() || error?.aborted) throw error;
+              if (isSourcePackProtocolError(error)) throw error;
+              if (error?.isHttpError && !isTransientPrefetchError(error)) throw error;
+              interruption = error;
             }
-
-            const headerBytes = await readExactStreamBytes(reader, state, headerLength);
-            if (!headerBytes) throw new Error('Source pack stream ended inside a frame header.');
-            const header = JSON.parse(decoder.decode(headerBytes));
-            const payloadBytesRaw = Number(header?.payloadBytes || 0);
-            const payloadBytes = Number.isFinite(payloadBytesRaw)
-              ? Math.max(0, Math.floor(payloadBytesRaw))
-              : 0;
-            if (payloadBytes > SOURCE_PACK_MAX_PAYLOAD_BYTES) {
-              throw new Error(`Source pack frame payload is too large (${payloadBytes} bytes).`);
+            if (shouldStopRun() || getFirstMissingFileIndex() < 0) break;
+            if (resumeAttempt >= maxResumeAttempts) {
+              if (interruption) throw interruption;
+              break;
             }
-            const payload = await readExactStreamBytes(reader, state, payloadBytes);
-            if (!payload) throw new Error('Source pack stream ended inside a frame payload.');
-            recordLoaderPhaseTiming?.('fetch', nowMs() - frameStartedAt);
-
-            const fileIndex = Math.max(0, Number(header?.fileIndex || 0));
-            const entry = entries[fileIndex];
-            if (!entry) continue;
 
-            queueSourcePackFrame({ fileIndex, entry, header, payload });
+            resumeAttempt += 1;
+            const retryDelayMs = resumeBaseDelayMs * resumeAttempt;
+            logger.warn('Source pack stream was interrupted; resuming', {
+              url: sourcePackUrl,
+              attempt: resumeAttempt,
+              maxAttempts: maxResumeAttempts,
+              receivedSources: receivedFileIndexes.size,
+              totalSources: entries.length,
+              resumeToken: !!resumeToken,
+              retryDelayMs,
+              error: interruption ? String(interruption?.message || interruption) : 'stream ended without terminator',
+            });
+            setSourceResumeState({ attempts: resumeAttempt, maxAttempts: maxResumeAttempts });
+            if (retryDelayMs > 0) await sleep(retryDelayMs);
           }
 
           await waitForSourcePackProcessing();
@@ -1780,7 +2457,7 @@ const DocumentLoader = ({
             });
           });
         } catch (error) {
-          if (controller.signal.aborted || cancelled) {
+          if (shouldStopRun() || error?.aborted) {
             entries.forEach((entry, index) => {
               settle(index, {
                 ok: false,
@@ -1792,12 +2469,13 @@ const DocumentLoader = ({
           } else {
             logger.error('Source pack prefetch failed', {
               url: sourcePackUrl,
+              resumeAttempts: resumeAttempt,
+              receivedSources: receivedFileIndexes.size,
               error: String(error?.message || error),
             });
+            await waitForSourcePackProcessing();
             settleMissing(error);
           }
-        } finally {
-          activeControllersRef.current.delete(controller);
         }
       };
 
@@ -1805,11 +2483,40 @@ const DocumentLoader = ({
       return deferreds.map((item) => item.promise);
     };
 
+    /**
+     * Build a prefetch result for a source the running session already stores, so unchanged
+     * documents are neither fetched nor analyzed again.
+     *
+     * @param {ResolvedEntry} entry
+     * @param {number} orderIndex
+     * @returns {(PrefetchResult|null)}
+     */
+    const reuseStoredSource = (entry, orderIndex) => {
+      const descriptor = getSourceDescriptor?.(sourceKeys[orderIndex]);
+      if (!descriptor) return null;
+      return {
+        ok: true,
+        sourceKey: descriptor.sourceKey,
+        fileExtension: descriptor.fileExtension,
+        mimeType: descriptor.mimeType,
+        sizeBytes: Number(descriptor.sizeBytes || 0),
+        fileIndex: entry.fileIndex,
+        url: entry.url,
+        cacheKeyMode: descriptor.cacheKeyMode,
+        stats: null,
+        analysisBlob: undefined,
+        pageCountHint: descriptor.pageCount,
+      };
+    };
+
     const run = async () => {
       setError(null);
       setWorkerCount(0);
+      setSourceResumeState({ attempts: 0, maxAttempts: 0 });
+      if (!isExplicitList) lastExplicitRunRef.current = null;
 
       if (!entries.length) {
+        lastExplicitRunRef.current = null;
         setLoadingRunActive(false);
         setPlannedPageCount(0);
         return;
@@ -1823,8 +2530,20 @@ const DocumentLoader = ({
         return stats;
       }, { documentVersion: 0, documentUrlFallback: 0, url: 0 });
 
+      const reconciled = retainedPrefix
+        ? await reconcileDocumentSession({
+          retainedPageCount: retainedPrefix.pageCount,
+          sourceKeys: withArchiveMemberKeys(sourceKeys, previousRun.inserted),
+          totalDocuments: entries[0]?.totalDocuments,
+          cacheIdentityStats,
+        })
+        : false;
+      if (shouldStopRun()) return;
+      const retainedSourceCount = reconciled ? retainedPrefix.sourceCount : 0;
+      const retainedPageCount = reconciled ? retainedPrefix.pageCount : 0;
+
       const sourceWarningThreshold = Math.max(0, Number(config.warning.sourceCountThreshold) || 0);
-      if (sourceWarningThreshold > 0 && entries.length >= sourceWarningThreshold) {
+      if (!reconciled && sourceWarningThreshold > 0 && entries.length >= sourceWarningThreshold) {
         const accepted = await maybePrompt({
           phase: 'preload',
           sourceCount: entries.length,
@@ -1848,22 +2567,30 @@ const DocumentLoader = ({
         }
       }
 
-      await initializeDocumentSession({
-        expectedSourceCount: entries.length,
-        config,
-        cacheSessionId: reloadCacheSessionId,
-        cacheIdentityStats,
-      });
+      if (!reconciled) {
+        await initializeDocumentSession({
+          expectedSourceCount: entries.length,
+          config,
+          cacheSessionId: reloadCacheSessionId,
+          cacheIdentityStats,
+        });
+      }
 
       if (shouldStopRun()) return;
 
+      /** @type {Array<InsertedSourceRecord>} */
+      const insertedSources = reconciled ? previousRun.inserted.slice(0, retainedSourceCount) : [];
+      lastExplicitRunRef.current = isExplicitList ? { reloadCacheSeed, inserted: insertedSources } : null;
+
       setLoadingRunActive(true);
       setPlannedPageCount(exactPlannedPageCount);
 
-      let nextPageIndex = 0;
-      let processedSourceCount = 0;
+      let nextPageIndex = retainedPageCount;
+      let processedSourceCount = retainedSourceCount;
+      let failedSourceCount = 0;
       let prefetchedBytes = 0;
-      let pageWarningShown = false;
+      // Load pressure was already accepted for the session that is being extended.
+      let pageWarningShown = reconciled;
       let successfulPrefetches = 0;
       let initialUnavailableFailures = 0;
       let initialSourceUnavailableCheckActive = true;
@@ -1876,20 +2603,27 @@ const DocumentLoader = ({
       const sourcePackTasks = sourcePackUrl
         ? createSourcePackPrefetchTasks(sourcePackUrl)
         : null;
+      const storedResults = entries.map((entry, orderIndex) => (
+        orderIndex < retainedSourceCount ? null : reuseStoredSource(entry, orderIndex)
+      ));
       const prefetchTasks = isSequentialFetch || sourcePackTasks
         ? null
-        : entries.map((entry, orderIndex) => prefetchSource(entry, orderIndex));
+        : entries.map((entry, orderIndex) => (
+          orderIndex < retainedSourceCount || storedResults[orderIndex]
+            ? null
+            : prefetchSource(entry, orderIndex)
+        ));
       const documentProgress = new Map();
 
-      for (let i = 0; i < entries.length; i += 1) {
+      for (let i = retainedSourceCount; i < entries.length; i += 1) {
         if (cancelled) break;
 
         const entry = entries[i];
-        const result = sourcePackTasks
+        const result = storedResults[i] || (sourcePackTasks
           ? await sourcePackTasks[i]
           : isSequentialFetch
           ? await prefetchSource(entry, i)
-          : await prefetchTasks[i];
+          : await prefetchTasks[i]);
         if (shouldStopRun() || result.aborted) break;
 
         if (result.ok) {
@@ -1930,6 +2664,11 @@ const DocumentLoader = ({
             documentPageCount: isLastFileInDocument ? documentPageStart + 1 : undefined,
           });
           insertPagesAtIndex(failedPages, nextPageIndex);
+          insertedSources.push({
+            sourceKey: '',
+            pageCount: failedPages.length,
+            documentEnd: !documentKey || isLastFileInDocument,
+          });
 
           if (documentState) {
             documentState.pageCount += failedPages.length;
@@ -1946,7 +2685,16 @@ const DocumentLoader = ({
 
           nextPageIndex += failedPages.length;
           processedSourceCount += 1;
+          failedSourceCount += 1;
           setPlannedPageCount(exactPlannedPageCount || nextPageIndex);
+          emitLoadProgress({
+            processedSources: processedSourceCount,
+            totalSources: entries.length,
+            failedSources: failedSourceCount,
+            discoveredPages: nextPageIndex,
+            expectedPages: exactPlannedPageCount,
+            documentContext,
+          });
 
           if (
             abortOnSourceUnavailableCount > 0
@@ -1998,60 +2746,111 @@ const DocumentLoader = ({
           }
         }
         result.analysisBlob = undefined;
+        if (shouldStopRun()) break;
 
         processedSourceCount += 1;
         updatePageEstimateStats(pageEstimateStats, result.fileExtension, pageCount);
 
-        registerSourceDescriptor({
-          sourceKey: result.sourceKey,
-          fileExtension: result.fileExtension,
-          fileIndex: result.fileIndex,
-          pageCount,
-          mimeType: result.mimeType,
-          sourceUrl: result.url,
-          sizeBytes: result.sizeBytes,
-          cacheKeyMode: result.cacheKeyMode,
-        });
+        // A ZIP source inserts its members one after another; any other source is its own segment.
+        /** @type {Array<ArchiveMemberResult>} */
+        const segments = Array.isArray(result.archiveMembers)
+          ? result.archiveMembers
+          : [{
+            displayName: entry.displayName,
+            url: result.url,
+            sourceKey: result.sourceKey,
+            fileExtension: result.fileExtension,
+            mimeType: result.mimeType,
+            sizeBytes: result.sizeBytes,
+            pageCount,
+          }];
+        const documentPageCount = isLastFileInDocument ? documentPageStart + pageCount : undefined;
+        let insertedPageCount = 0;
+        for (const segment of segments) {
+          const segmentStartIndex = nextPageIndex + insertedPageCount;
+          let pages;
+          if (segment.failed) {
+            pages = createFailedPlaceholder({
+              fileIndex: result.fileIndex,
+              startIndex: segmentStartIndex,
+              documentId: documentContext.documentId,
+              documentNumber: documentContext.documentNumber,
+              totalDocuments: documentContext.totalDocuments,
+              documentPageStart: documentPageStart + insertedPageCount,
+              documentPageCount,
+            });
+          } else {
+            registerSourceDescriptor({
+              sourceKey: segment.sourceKey,
+              fileExtension: segment.fileExtension,
+              fileIndex: result.fileIndex,
+              pageCount: segment.pageCount,
+              mimeType: segment.mimeType,
+              sourceUrl: segment.url,
+              sizeBytes: segment.sizeBytes,
+              cacheKeyMode: result.cacheKeyMode,
+            });
+            pages = createPagePlaceholders({
+              fileIndex: result.fileIndex,
+              sourceKey: segment.sourceKey,
+              fileExtension: segment.fileExtension,
+              pageCount: segment.pageCount,
+              mimeType: segment.mimeType,
+              sizeBytes: Number(segment.sizeBytes || 0),
+              startIndex: segmentStartIndex,
+              documentId: documentContext.documentId,
+              documentNumber: documentContext.documentNumber,
+              totalDocuments: documentContext.totalDocuments,
+              documentPageStart: documentPageStart + insertedPageCount,
+              documentPageCount,
+              displayName: segment.displayName,
+              originalSource: segment.originalSource,
+              containerSourceKey: segment.containerSourceKey,
+            });
+          }
+          insertPagesAtIndex(pages, segmentStartIndex);
+          insertedPageCount += pages.length;
+        }
 
-        const placeholders = createPagePlaceholders({
-          fileIndex: result.fileIndex,
+        insertedSources.push({
           sourceKey: result.sourceKey,
-          fileExtension: result.fileExtension,
-          pageCount,
-          mimeType: result.mimeType,
-          sizeBytes: Number(result.sizeBytes || 0),
-          startIndex: nextPageIndex,
-          documentId: documentContext.documentId,
-          documentNumber: documentContext.documentNumber,
-          totalDocuments: documentContext.totalDocuments,
-          documentPageStart,
-          documentPageCount: isLastFileInDocument ? documentPageStart + pageCount : undefined,
+          pageCount: insertedPageCount,
+          documentEnd: !documentKey || isLastFileInDocument,
+          ...(result.archiveMembers
+            ? { memberSourceKeys: result.archiveMembers.map((member) => member.sourceKey).filter(Boolean) }
+            : {}),
         });
-
-        insertPagesAtIndex(placeholders, nextPageIndex);
         if (!shouldDeferSourceWarmup({
           fileExtension: result.fileExtension,
           pageCount,
           sourceCount: entries.length,
         })) {
-          scheduleSourceWarmup(nextPageIndex, placeholders.length);
+          scheduleSourceWarmup(nextPageIndex, insertedPageCount);
         }
 
         if (documentState) {
-          documentState.pageCount += placeholders.length;
+          documentState.pageCount += insertedPageCount;
           if (isLastFileInDocument) {
             finalizeDocumentPages(
               patchPageAtIndex,
               documentState.startIndex,
-              nextPageIndex + placeholders.length - 1,
+              nextPageIndex + insertedPageCount - 1,
               documentState.pageCount
             );
             documentProgress.delete(documentKey);
           }
         }
 
-        nextPageIndex += placeholders.length;
+        nextPageIndex += insertedPageCount;
         setPlannedPageCount(exactPlannedPageCount || nextPageIndex);
+        emitLoadProgress({
+          processedSources: processedSourceCount,
+          totalSources: entries.length,
+          failedSources: failedSourceCount,
+          discoveredPages: nextPageIndex,
+          expectedPages: exactPlannedPageCount,
+          documentContext,
+        });
 
         if (processedSourceCount === 1 && nextPageIndex > 0) {
           try { void ensurePageAsset(0, 'thumbnail', { priority: 'high' }); } catch {}
@@ -2138,17 +2937,21 @@ const DocumentLoader = ({
     ensurePageAsset,
     extension,
     folder,
+    getSourceDescriptor,
     initializeDocumentSession,
     insertPagesAtIndex,
     patchPageAtIndex,
     promptForPressure,
     readSourceBlob,
+    reconcileDocumentSession,
     recordLoaderPhaseTiming,
+    registerRangeSource,
     registerSourceDescriptor,
     scheduleSourceWarmup,
     setError,
     setLoadingRunActive,
     setPlannedPageCount,
+    setSourceResumeState,
     setWorkerCount,
     sourceList,
     reloadCacheSeed,
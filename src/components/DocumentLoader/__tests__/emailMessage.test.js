@@ -0,0 +1,95 @@
+// File: src/components/DocumentLoader/__tests__/emailMessage.test.js
+/**
+ * Focused unit tests for parsing email (`.eml`) sources.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  decodeHeaderValue,
+  isEmailMessageSignature,
+  parseEmailMessage,
+  parseStructuredHeader,
+} from '../emailMessage.js';
+
+/**
+ * @param {Array<string>} lines
+ * @returns {Uint8Array}
+ */
+function message(lines) {
+  return new TextEncoder().encode(lines.join('\r\n'));
+}
+
+describe('emailMessage', () => {
+  it('decodes headers and parameters', () => {
+    expect(decodeHeaderValue('=?UTF-8?B?SMOkbGxv?= =?ISO-8859-1?Q?_v=E4rlden?= !')).toBe('Hällo världen !');
+    const disposition = parseStructuredHeader('attachment; filename*0*=UTF-8\'\'r%C3%A4k; filename*1="ning.pdf"; size=12');
+    expect(disposition.value).toBe('attachment');
+    expect(disposition.params.get('filename')).toBe('räkning.pdf');
+    expect(parseStructuredHeader('text/plain; charset="us-ascii"; name="a;b.txt"').params.get('name')).toBe('a;b.txt');
+
+    expect(isEmailMessageSignature(message(['Return-Path: <a@example.com>', 'Subject: x', '', 'body']))).toBe(true);
+    expect(isEmailMessageSignature(new TextEncoder().encode('<!doctype html><html>'))).toBe(false);
+    expect(isEmailMessageSignature(new TextEncoder().encode('%PDF-1.7\n'))).toBe(false);
+  });
+
+  it('parses nested multipart bodies, inline parts and attachments', () => {
+    const parsed = parseEmailMessage(message([
+      'From: Anna <anna@example.com>',
+      'To: case@example.com',
+      'Subject: =?UTF-8?Q?M=C3=B6te?=',
+      '  tomorrow',
+      'Date: Mon, 5 Oct 2026 09:30:00 +0200',
+      'MIME-Version: 1.0',
+      'Content-Type: multipart/mixed; boundary="outer"',
+      '',
+      'preamble',
+      '--outer',
+      'Content-Type: multipart/related; boundary=inner',
+      '',
+      '--inner',
+      'Content-Type: multipart/alternative; boundary="alt"',
+      '',
+      '--alt',
+      'Content-Type: text/plain; charset=iso-8859-1',
+      'Content-Transfer-Encoding: quoted-printable',
+      '',
+      'Hej p=E5 dig, en l=',
+      '=E5ng rad',
+      '--alt',
+      'Content-Type: text/html; charset=utf-8',
+      '',
+      '<p>Hej <img src="cid:logo@x"></p>',
+      '--alt--',
+      '--inner',
+      'Content-Type: image/png',
+      'Content-ID: <logo@x>',
+      'Content-Transfer-Encoding: base64',
+      '',
+      'iVBORw0K',
+      'GgoAAA==',
+      '--inner--',
+      '--outer',
+      'Content-Type: application/pdf; name="scan.pdf"',
+      'Content-Disposition: attachment',
+      'Content-Transfer-Encoding: base64',
+      '',
+      'JVBERi0xLjQ=',
+      '--outer--',
+      'epilogue',
+    ]));
+
+    expect(parsed.headers).toEqual({
+      subject: 'Möte tomorrow',
+      from: 'Anna <anna@example.com>',
+      to: 'case@example.com',
+      cc: '',
+      date: 'Mon, 5 Oct 2026 09:30:00 +0200',
+    });
+    expect(parsed.textBody).toBe('Hej på dig, en lång rad');
+    expect(parsed.htmlBody).toBe('<p>Hej <img src="cid:logo@x"></p>');
+    expect(parsed.inlineParts.map((part) => [part.contentId, part.contentType, part.bytes.length])).toEqual([['logo@x', 'image/png', 10]]);
+    expect(parsed.attachments).toHaveLength(1);
+    expect(parsed.attachments[0]).toMatchObject({ filename: 'scan.pdf', contentType: 'application/pdf' });
+    expect(new TextDecoder().decode(parsed.attachments[0].bytes)).toBe('%PDF-1.4');
+  });
+});
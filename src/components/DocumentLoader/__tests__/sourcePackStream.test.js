@@ -0,0 +1,92 @@
+// File: src/components/DocumentLoader/__tests__/sourcePackStream.test.js
+/**
+ * Focused unit tests for reading ODVSP1 source-pack streams and building resume URLs.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  SOURCE_PACK_MAGIC,
+  buildSourcePackResumeUrl,
+  isSourcePackProtocolError,
+  readSourcePackStream,
+} from '../sourcePackStream.js';
+
+/**
+ * @param {Object} header
+ * @param {string} payload
+ * @returns {Uint8Array}
+ */
+function encodeFrame(header, payload) {
+  const encoder = new TextEncoder();
+  const payloadBytes = encoder.encode(payload);
+  const headerBytes = encoder.encode(JSON.stringify({ ...header, payloadBytes: payloadBytes.length }));
+  const length = new Uint8Array(4);
+  new DataView(length.buffer).setUint32(0, headerBytes.length, true);
+  return new Uint8Array([...length, ...headerBytes, ...payloadBytes]);
+}
+
+/**
+ * Serve `bytes` in small chunks, as a network stream would.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {ReadableStreamDefaultReader}
+ */
+function createReader(bytes) {
+  return new Blob([bytes]).stream().pipeThrough(new TransformStream({
+    transform(chunk, controller) {
+      for (let offset = 0; offset < chunk.length; offset += 5) controller.enqueue(chunk.slice(offset, offset + 5));
+    },
+  })).getReader();
+}
+
+/**
+ * @param {Array<Uint8Array>} parts
+ * @returns {Promise<{ result:*, frames:Array<Object> }>}
+ */
+async function readParts(parts) {
+  const frames = [];
+  const bytes = new Uint8Array(parts.reduce((all, part) => [...all, ...part], []));
+  const result = await readSourcePackStream(createReader(bytes), {
+    onFrame: ({ header, payload }) => frames.push({ fileIndex: header.fileIndex, text: new TextDecoder().decode(payload) }),
+  });
+  return { result, frames };
+}
+
+const MAGIC = new TextEncoder().encode(SOURCE_PACK_MAGIC);
+const TERMINATOR = new Uint8Array(4);
+
+describe('sourcePackStream', () => {
+  it('reads frames and tells a complete stream from one that ended early', async () => {
+    const first = encodeFrame({ fileIndex: 0 }, 'first');
+    const second = encodeFrame({ fileIndex: 1, resumeToken: 't1' }, 'second');
+
+    const complete = await readParts([MAGIC, first, second, TERMINATOR]);
+    expect(complete.result).toEqual({ complete: true });
+    expect(complete.frames).toEqual([{ fileIndex: 0, text: 'first' }, { fileIndex: 1, text: 'second' }]);
+
+    const cut = await readParts([MAGIC, first]);
+    expect(cut.result).toEqual({ complete: false });
+    expect(cut.frames).toHaveLength(1);
+
+    const truncated = await readParts([MAGIC, first, second.slice(0, second.length - 2)]).catch((error) => error);
+    expect(truncated.message).toMatch(/inside a frame payload/);
+    expect(isSourcePackProtocolError(truncated)).toBe(false);
+  });
+
+  it('marks unreadable streams as protocol errors and builds resume URLs', async () => {
+    const badSignature = await readParts([new TextEncoder().encode('NOTPK1\n'), TERMINATOR]).catch((error) => error);
+    expect(badSignature.message).toMatch(/invalid signature/);
+    expect(isSourcePackProtocolError(badSignature)).toBe(true);
+
+    const hugeHeader = new Uint8Array(4);
+    new DataView(hugeHeader.buffer).setUint32(0, 1024 * 1024, true);
+    const tooLarge = await readParts([MAGIC, hugeHeader]).catch((error) => error);
+    expect(tooLarge.message).toMatch(/header is too large/);
+    expect(isSourcePackProtocolError(tooLarge)).toBe(true);
+
+    expect(buildSourcePackResumeUrl('https://host.example/pack?session=a&from=0', { from: 7, resumeToken: 'x y' }))
+      .toBe('https://host.example/pack?session=a&from=7&resume=x+y');
+    expect(buildSourcePackResumeUrl('https://host.example/pack?resume=old', { from: 2 }))
+      .toBe('https://host.example/pack?from=2');
+  });
+});
@@ -0,0 +1,106 @@
+// File: src/components/DocumentLoader/__tests__/zipArchive.test.js
+/**
+ * Focused unit tests for listing and opening ZIP archive members.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { isZipSignature, openZipMember, readZipDirectory } from '../zipArchive.js';
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {Promise<Uint8Array>}
+ */
+async function deflateRaw(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Build a ZIP archive. CRC fields are left at zero; the reader does not check them.
+ *
+ * @param {Array<{ name:string, data:string, deflate?:boolean, declaredSize?:number }>} files
+ * @returns {Promise<Blob>}
+ */
+async function buildZip(files) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  const central = [];
+  let offset = 0;
+  for (const file of files) {
+    const name = encoder.encode(file.name);
+    const raw = encoder.encode(file.data);
+    const data = file.deflate ? await deflateRaw(raw) : raw;
+    const method = file.deflate ? 8 : 0;
+    const declaredSize = file.declaredSize ?? raw.length;
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(8, method, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, declaredSize, true);
+    local.setUint16(26, name.length, true);
+    parts.push(local, name, data);
+
+    const header = new DataView(new ArrayBuffer(46));
+    header.setUint32(0, 0x02014b50, true);
+    header.setUint16(10, method, true);
+    header.setUint32(20, data.length, true);
+    header.setUint32(24, declaredSize, true);
+    header.setUint16(28, name.length, true);
+    header.setUint32(42, offset, true);
+    central.push(header, name);
+    offset += 30 + name.length + data.length;
+  }
+  const directorySize = central.reduce((total, part) => total + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, directorySize, true);
+  end.setUint32(16, offset, true);
+  return new Blob([...parts, ...central, end]);
+}
+
+describe('zipArchive', () => {
+  it('lists members in archive order and opens stored and deflated members', async () => {
+    const archive = await buildZip([
+      { name: 'case/', data: '' },
+      { name: 'case/a.txt', data: 'stored member' },
+      { name: 'case/b.txt', data: 'deflated '.repeat(40), deflate: true },
+    ]);
+    expect(isZipSignature(new Uint8Array(await archive.slice(0, 4).arrayBuffer()))).toBe(true);
+
+    const members = await readZipDirectory(archive);
+    expect(members.map((member) => [member.name, member.index, member.isDirectory])).toEqual([
+      ['case/', 0, true],
+      ['case/a.txt', 1, false],
+      ['case/b.txt', 2, false],
+    ]);
+
+    expect(await (await openZipMember(archive, members[1])).text()).toBe('stored member');
+    const inflated = await openZipMember(archive, members[2], 'text/plain');
+    expect(inflated.type).toBe('text/plain');
+    expect(await inflated.text()).toBe('deflated '.repeat(40));
+  });
+
+  it('rejects archives and members it cannot read', async () => {
+    await expect(readZipDirectory(new Blob(['not a zip archive']))).rejects.toThrow(/central directory/);
+    expect(isZipSignature(new TextEncoder().encode('%PDF-'))).toBe(false);
+
+    const archive = await buildZip([{ name: 'a.png', data: 'x' }]);
+    const [member] = await readZipDirectory(archive);
+    await expect(openZipMember(archive, { ...member, encrypted: true })).rejects.toThrow(/encrypted/);
+    await expect(openZipMember(archive, { ...member, compressionMethod: 14 })).rejects.toThrow(/compression method 14/);
+  });
+
+  it('stops members that are over the size limit or inflate beyond their declared size', async () => {
+    const archive = await buildZip([
+      { name: 'bomb.tif', data: '0'.repeat(64 * 1024), deflate: true, declaredSize: 100 },
+      { name: 'large.tif', data: '1'.repeat(4096), deflate: true },
+    ]);
+    const [bomb, large] = await readZipDirectory(archive);
+    await expect(openZipMember(archive, bomb)).rejects.toThrow(/beyond its declared size/);
+    await expect(openZipMember(archive, large, '', 1024)).rejects.toThrow(/size limit/);
+    expect((await openZipMember(archive, large, '', 4096)).size).toBe(4096);
+  });
+});
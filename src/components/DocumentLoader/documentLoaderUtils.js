@@ -7,8 +7,9 @@
  * PURPOSE
  *   Helper utilities used by the DocumentLoader pipeline:
  *     • Build document URL lists (pattern mode and demo mode)
- *     • Fetch as ArrayBuffer (with optional AbortSignal)
- *     • Page counting (PDF / TIFF)
+ *     • Fetch as ArrayBuffer (with optional AbortSignal), whole or as one byte range
+ *     • Detect HTTP Range support of a source URL
+ *     • Page counting (PDF / TIFF / text / GIF and WebP frames)
  *     • Lightweight TIFF metadata extraction
  *     • Thumbnail generation for images
  */
@@ -20,6 +21,8 @@ import { decode as decodeUTIF } from 'utif2';
 import * as pdfjsLib from 'pdfjs-dist/legacy/build/pdf';
 import pdfWorkerUrl from 'pdfjs-dist/legacy/build/pdf.worker.min.mjs?url';
 import { withPdfJsDocumentOptions } from '../../utils/pdfjsDocumentOptions.js';
+import { decodeTextSource, isTextSourceExtension, layoutTextSource } from '../../utils/textSourceLayout.js';
+import { countAnimationFrames, isAnimatedImageExtension } from '../../utils/animatedImage.js';
 
 // Ensure API ↔ worker versions match (dev == build behavior)
 try {
@@ -110,6 +113,16 @@ export const generateDemoList = ({ strategy, count, formats = ['jpg','png','tif'
  * @property {number} [maxBytes]
  * @property {RequestInit} [requestInit]
  * @property {function(Response): void} [onResponse]
+ * @property {{ begin:number, end:number }} [byteRange] Fetch only these bytes (`end` exclusive).
+ *   The server must answer 206 with a matching `Content-Range`; anything else is an error.
+ */
+
+/**
+ * Result of probing a source URL for HTTP Range support.
+ * @typedef {Object} RangeSupportProbe
+ * @property {boolean} acceptsRanges True when the server advertises `Accept-Ranges: bytes`.
+ * @property {number} sizeBytes       Content-Length, or 0 when unknown.
+ * @property {string} mimeType        Content-Type without parameters, or ''.
  */
 
 function formatFetchBytes(bytes) {
@@ -152,6 +165,29 @@ function createFetchHttpError(url, status) {
   return error;
 }
 
+function createRangeUnsupportedError(url, status) {
+  const error = new Error(`Byte range request for ${url} was not honored (status ${status}).`);
+  error.code = 'document-range-unsupported';
+  error.status = Number(status) || 0;
+  return error;
+}
+
+/**
+ * Parse a `Content-Range: bytes <first>-<last>/<total>` header.
+ *
+ * @param {(string|null|undefined)} value
+ * @returns {({ begin:number, end:number, totalBytes:number }|null)} `end` is exclusive; `totalBytes`
+ *   is 0 when the server sent `*`.
+ */
+export const parseContentRange = (value) => {
+  const match = String(value || '').trim().match(/^bytes\s+(\d+)-(\d+)\/(\d+|\*)$/i);
+  if (!match) return null;
+  const begin = Number(match[1]);
+  const end = Number(match[2]) + 1;
+  if (end <= begin) return null;
+  return { begin, end, totalBytes: match[3] === '*' ? 0 : Number(match[3]) };
+};
+
 function parseContentLength(response) {
   const raw = response?.headers?.get?.('content-length');
   const value = Number(raw);
@@ -201,13 +237,26 @@ export const fetchAndArrayBuffer = async (url, opts = {}) => {
       }, timeoutMs);
     }
 
-    const res = await fetch(url, {
-      ...(opts.requestInit || {}),
-      signal: controller.signal,
-    });
+    const byteRange = opts.byteRange || null;
+    const requestInit = { ...(opts.requestInit || {}), signal: controller.signal };
+    if (byteRange) {
+      const headers = new Headers(requestInit.headers || undefined);
+      headers.set('Range', `bytes=${byteRange.begin}-${byteRange.end - 1}`);
+      requestInit.headers = headers;
+    }
+
+    const res = await fetch(url, requestInit);
     if (!res.ok) {
       throw createFetchHttpError(url, res.status);
     }
+    if (byteRange) {
+      // A 200 here means the server ignored the Range header and is sending the whole file.
+      const contentRange = parseContentRange(res.headers.get('content-range'));
+      if (res.status !== 206 || !contentRange || contentRange.begin !== byteRange.begin) {
+        try { await res.body?.cancel?.(); } catch {}
+        throw createRangeUnsupportedError(url, res.status);
+      }
+    }
 
     opts.onResponse?.(res);
 
@@ -260,6 +309,49 @@ export const fetchAndArrayBuffer = async (url, opts = {}) => {
   }
 };
 
+/**
+ * Ask the server, with a HEAD request, whether a source can be read in byte ranges. Failures
+ * (HEAD not allowed, network errors, timeouts) are reported as "no range support" so the caller
+ * can fall back to a normal full fetch.
+ *
+ * @param {string} url
+ * @param {FetchOptions} [opts] `signal`, `timeoutMs` and `requestInit` are honored.
+ * @returns {Promise.<RangeSupportProbe>}
+ */
+export const probeRangeSupport = async (url, opts = {}) => {
+  const unsupported = { acceptsRanges: false, sizeBytes: 0, mimeType: '' };
+  const timeoutMs = Math.max(0, Number(opts.timeoutMs) || 0);
+  const controller = new AbortController();
+  const upstreamSignal = opts.signal;
+  const abortFromUpstream = () => controller.abort();
+  if (upstreamSignal) {
+    if (upstreamSignal.aborted) return unsupported;
+    upstreamSignal.addEventListener('abort', abortFromUpstream, { once: true });
+  }
+  const timeoutId = timeoutMs > 0 ? globalThis.setTimeout(() => controller.abort(), timeoutMs) : 0;
+
+  try {
+    const res = await fetch(url, {
+      ...(opts.requestInit || {}),
+      method: 'HEAD',
+      signal: controller.signal,
+    });
+    if (!res.ok) return unsupported;
+    const acceptRanges = String(res.headers.get('accept-ranges') || '').toLowerCase();
+    return {
+      acceptsRanges: acceptRanges.split(',').some((unit) => unit.trim() === 'bytes'),
+      sizeBytes: parseContentLength(res),
+      mimeType: String(res.headers.get('content-type') || '').split(';')[0].trim().toLowerCase(),
+    };
+  } catch (error) {
+    logger.debug('Range support probe failed', { url, error: String(error?.message || error) });
+    return unsupported;
+  } finally {
+    if (timeoutId) globalThis.clearTimeout(timeoutId);
+    if (upstreamSignal) upstreamSignal.removeEventListener('abort', abortFromUpstream);
+  }
+};
+
 /**
  * Determine total pages for a given document by inspecting its buffer and type.
  *
@@ -295,6 +387,18 @@ export const getTotalPages = async (arrayBuffer, fileExtension) => {
     return pages;
   }
 
+  if (isAnimatedImageExtension(fileExtLower)) {
+    const frames = countAnimationFrames(new Uint8Array(arrayBuffer), fileExtLower);
+    logger.debug('Image frames counted', { numPages: frames });
+    return frames;
+  }
+
+  if (isTextSourceExtension(fileExtLower)) {
+    const pages = layoutTextSource(decodeTextSource(arrayBuffer), fileExtLower).length;
+    logger.debug('Text document laid out', { numPages: pages });
+    return pages;
+  }
+
   return 1;
 };
 
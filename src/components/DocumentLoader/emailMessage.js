@@ -0,0 +1,343 @@
+// File: src/components/DocumentLoader/emailMessage.js
+/**
+ * OpenDocViewer — minimal MIME reader for email (`.eml`) sources.
+ *
+ * PURPOSE
+ *   Case files often contain saved emails. The loader parses the message here, renders its
+ *   headers and body as page images (`emailPageRenderer.js`) and stores each supported attachment
+ *   as one more file of the message's document.
+ *
+ * DESIGN NOTES / GOTCHAS
+ *   - The message is read as a byte string (one char per byte), so part boundaries and transfer
+ *     encodings are handled on raw bytes; text is decoded with its declared charset only at the end.
+ *   - Headers: folding, RFC 2047 encoded words, quoted parameters and RFC 2231 parameter
+ *     continuations/charsets. Transfer encodings: base64, quoted-printable, 7bit/8bit/binary.
+ *   - `multipart/*` is walked depth-first. The first `text/html` and the first `text/plain` body
+ *     that are not attachments become the message body. Parts referenced from the HTML body via
+ *     `cid:` are inline parts; every other non-body leaf is an attachment, in message order.
+ *   - Attached messages (`message/rfc822`) are listed as attachments and not parsed further.
+ */
+
+const MAX_MULTIPART_DEPTH = 16;
+const HEADER_LINE_RE = /^[!-9;-~]+:/;
+const KNOWN_HEADER_RE = /^(?:from|to|cc|subject|date|message-id|mime-version|received|return-path|delivered-to|reply-to|sender|x-[a-z0-9-]+):/im;
+
+/**
+ * @typedef {Object} EmailHeaders
+ * @property {string} subject
+ * @property {string} from
+ * @property {string} to
+ * @property {string} cc
+ * @property {string} date
+ */
+
+/**
+ * @typedef {Object} EmailPart
+ * @property {string} filename     Decoded file name; empty when the part has none.
+ * @property {string} contentType  Lower-case `type/subtype`.
+ * @property {string} contentId    Content-ID without angle brackets; empty when the part has none.
+ * @property {Uint8Array} bytes    Decoded content.
+ */
+
+/**
+ * @typedef {Object} EmailMessage
+ * @property {EmailHeaders} headers
+ * @property {string} htmlBody     Decoded, unsanitized HTML; empty when the message has none.
+ * @property {string} textBody     Decoded plain text; empty when the message has none.
+ * @property {Array<EmailPart>} attachments
+ * @property {Array<EmailPart>} inlineParts Parts the HTML body references through `cid:` URLs.
+ */
+
+/**
+ * @typedef {Object} MimeEntity
+ * @property {Map<string, string>} headers  Lower-case names; the first occurrence wins.
+ * @property {string} body                  Byte string.
+ */
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {string} One char per byte.
+ */
+function toByteString(bytes) {
+  const chunks = [];
+  for (let offset = 0; offset < bytes.length; offset += 0x8000) {
+    chunks.push(String.fromCharCode.apply(null, bytes.subarray(offset, offset + 0x8000)));
+  }
+  return chunks.join('');
+}
+
+/**
+ * @param {string} byteString
+ * @returns {Uint8Array}
+ */
+function fromByteString(byteString) {
+  const bytes = new Uint8Array(byteString.length);
+  for (let index = 0; index < byteString.length; index += 1) bytes[index] = byteString.charCodeAt(index) & 0xff;
+  return bytes;
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {string=} charset
+ * @returns {string}
+ */
+function decodeText(bytes, charset) {
+  const label = String(charset || '').trim().toLowerCase() || 'utf-8';
+  try {
+    return new TextDecoder(label).decode(bytes);
+  } catch {
+    return new TextDecoder('utf-8').decode(bytes);
+  }
+}
+
+/**
+ * @param {string} value Byte string.
+ * @returns {Uint8Array}
+ */
+function decodeBase64(value) {
+  const clean = value.replace(/[^A-Za-z0-9+/]/g, '');
+  const usable = clean.slice(0, clean.length - (clean.length % 4 === 1 ? 1 : 0));
+  return fromByteString(atob(usable + '='.repeat((4 - (usable.length % 4)) % 4)));
+}
+
+/**
+ * @param {string} value Byte string.
+ * @param {boolean=} headerMode Underscores stand for spaces (RFC 2047 "Q" encoding).
+ * @returns {Uint8Array}
+ */
+function decodeQuotedPrintable(value, headerMode = false) {
+  const source = headerMode ? value.replace(/_/g, ' ') : value.replace(/=\r?\n/g, '');
+  return fromByteString(source.replace(/=([0-9A-Fa-f]{2})/g, (_match, hex) => String.fromCharCode(parseInt(hex, 16))));
+}
+
+/**
+ * Decode RFC 2047 encoded words. Whitespace between two adjacent encoded words is dropped.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+export function decodeHeaderValue(value) {
+  return String(value || '')
+    .replace(/(=\?[^?\s]+\?[bBqQ]\?[^?\s]*\?=)\s+(?==\?[^?\s]+\?[bBqQ]\?[^?\s]*\?=)/g, '$1')
+    .replace(/=\?([^?\s]+)\?([bBqQ])\?([^?\s]*)\?=/g, (match, charset, encoding, text) => {
+      try {
+        const bytes = encoding.toLowerCase() === 'b' ? decodeBase64(text) : decodeQuotedPrintable(text, true);
+        return decodeText(bytes, charset.split('*')[0]);
+      } catch {
+        return match;
+      }
+    });
+}
+
+/**
+ * Split a header block into unfolded fields.
+ *
+ * @param {string} block
+ * @returns {Map<string, string>}
+ */
+function parseHeaderBlock(block) {
+  const headers = new Map();
+  for (const line of block.replace(/\r?\n(?=[ \t])/g, '').split(/\r?\n/)) {
+    const colon = line.indexOf(':');
+    if (colon <= 0) continue;
+    const name = line.slice(0, colon).trim().toLowerCase();
+    if (name && !headers.has(name)) headers.set(name, line.slice(colon + 1).trim());
+  }
+  return headers;
+}
+
+/**
+ * @param {string} byteString
+ * @returns {MimeEntity}
+ */
+function parseEntity(byteString) {
+  const match = /\r?\n\r?\n/.exec(byteString);
+  const headerEnd = match ? match.index : byteString.length;
+  const bodyStart = match ? match.index + match[0].length : byteString.length;
+  // Unencoded 8-bit header text is almost always UTF-8 in practice.
+  const headerText = decodeText(fromByteString(byteString.slice(0, headerEnd)), 'utf-8');
+  return { headers: parseHeaderBlock(headerText), body: byteString.slice(bodyStart) };
+}
+
+/**
+ * Split a structured header such as Content-Type into its value and parameters.
+ *
+ * @param {string=} value
+ * @returns {{ value:string, params:Map<string, string> }}
+ */
+export function parseStructuredHeader(value) {
+  const segments = [];
+  let current = '';
+  let quoted = false;
+  for (let index = 0; index < String(value || '').length; index += 1) {
+    const char = value[index];
+    if (char === '\\' && quoted) {
+      current += value[index + 1] || '';
+      index += 1;
+    } else if (char === '"') {
+      quoted = !quoted;
+    } else if (char === ';' && !quoted) {
+      segments.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  segments.push(current);
+
+  /** @type {Map<string, Array<{ order:number, text:string, extended:boolean }>>} */
+  const pieces = new Map();
+  for (const segment of segments.slice(1)) {
+    const equals = segment.indexOf('=');
+    if (equals <= 0) continue;
+    const key = segment.slice(0, equals).trim().toLowerCase();
+    const parts = /^([^*]+)(?:\*(\d+))?(\*)?$/.exec(key);
+    if (!parts) continue;
+    const list = pieces.get(parts[1]) || [];
+    list.push({ order: Number(parts[2] || 0), text: segment.slice(equals + 1).trim(), extended: !!parts[3] });
+    pieces.set(parts[1], list);
+  }
+
+  const params = new Map();
+  for (const [name, list] of pieces) {
+    list.sort((a, b) => a.order - b.order);
+    const charsetMatch = list[0].extended ? /^([^']*)'[^']*'/.exec(list[0].text) : null;
+    const texts = list.map((piece, index) => {
+      let text = index === 0 && charsetMatch ? piece.text.slice(charsetMatch[0].length) : piece.text;
+      if (piece.extended) text = text.replace(/%([0-9A-Fa-f]{2})/g, (_match, hex) => String.fromCharCode(parseInt(hex, 16)));
+      return text;
+    });
+    const joined = texts.join('');
+    params.set(name, charsetMatch
+      ? decodeText(fromByteString(joined), charsetMatch[1])
+      : decodeHeaderValue(joined));
+  }
+
+  return { value: segments[0].trim().toLowerCase(), params };
+}
+
+/**
+ * @param {MimeEntity} entity
+ * @returns {Uint8Array}
+ */
+function decodeEntityBody(entity) {
+  const encoding = String(entity.headers.get('content-transfer-encoding') || '').trim().toLowerCase();
+  if (encoding === 'base64') return decodeBase64(entity.body);
+  if (encoding === 'quoted-printable') return decodeQuotedPrintable(entity.body);
+  return fromByteString(entity.body);
+}
+
+/**
+ * @param {string} body Byte string.
+ * @param {string} boundary
+ * @returns {Array<string>} Part byte strings, without the delimiter lines.
+ */
+function splitMultipartBody(body, boundary) {
+  const delimiter = `--${boundary}`;
+  const parts = [];
+  let partStart = -1;
+  let searchFrom = 0;
+  while (searchFrom <= body.length) {
+    const found = body.indexOf(delimiter, searchFrom);
+    if (found < 0) break;
+    searchFrom = found + delimiter.length;
+    if (found > 0 && body[found - 1] !== '\n') continue;
+
+    if (partStart >= 0) {
+      const lineBreak = body[found - 2] === '\r' ? 2 : 1;
+      parts.push(body.slice(partStart, Math.max(partStart, found - lineBreak)));
+    }
+    if (body.startsWith('--', searchFrom)) return parts;
+    const lineEnd = body.indexOf('\n', searchFrom);
+    if (lineEnd < 0) return parts;
+    partStart = lineEnd + 1;
+  }
+  // A message cut off before its closing delimiter keeps its last part.
+  if (partStart >= 0 && partStart < body.length) parts.push(body.slice(partStart));
+  return parts;
+}
+
+/**
+ * @param {MimeEntity} entity
+ * @param {Object} state
+ * @param {number} depth
+ * @returns {void}
+ */
+function collectParts(entity, state, depth) {
+  const contentType = parseStructuredHeader(entity.headers.get('content-type') || 'text/plain');
+  const disposition = parseStructuredHeader(entity.headers.get('content-disposition') || '');
+  const type = contentType.value || 'text/plain';
+
+  if (type.startsWith('multipart/')) {
+    const boundary = contentType.params.get('boundary');
+    if (boundary && depth < MAX_MULTIPART_DEPTH) {
+      for (const part of splitMultipartBody(entity.body, boundary)) {
+        collectParts(parseEntity(part), state, depth + 1);
+      }
+      return;
+    }
+  }
+
+  const filename = disposition.params.get('filename') || contentType.params.get('name') || '';
+  const isAttachment = disposition.value === 'attachment' || !!filename;
+  if (!isAttachment && (type === 'text/html' || type === 'text/plain')) {
+    const key = type === 'text/html' ? 'htmlBody' : 'textBody';
+    if (!state[key]) {
+      state[key] = decodeText(decodeEntityBody(entity), contentType.params.get('charset'));
+      return;
+    }
+  }
+
+  state.parts.push({
+    filename,
+    contentType: type,
+    contentId: String(entity.headers.get('content-id') || '').trim().replace(/^<|>$/g, ''),
+    bytes: decodeEntityBody(entity),
+  });
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {boolean} True when the bytes start like an RFC 822 message header block.
+ */
+export function isEmailMessageSignature(bytes) {
+  if (!bytes || bytes.length < 8) return false;
+  const head = toByteString(bytes.subarray(0, Math.min(bytes.length, 1024)));
+  const firstLine = head.split(/\r?\n/, 1)[0];
+  return HEADER_LINE_RE.test(firstLine) && KNOWN_HEADER_RE.test(head);
+}
+
+/**
+ * Parse an email message.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {EmailMessage}
+ */
+export function parseEmailMessage(bytes) {
+  const root = parseEntity(toByteString(bytes));
+  const header = (name) => decodeHeaderValue(root.headers.get(name) || '').replace(/\s+/g, ' ').trim();
+  const state = { htmlBody: '', textBody: '', parts: [] };
+  collectParts(root, state, 0);
+
+  const isReferenced = (part) => !!part.contentId && state.htmlBody.includes(`cid:${part.contentId}`);
+  return {
+    headers: {
+      subject: header('subject'),
+      from: header('from'),
+      to: header('to'),
+      cc: header('cc'),
+      date: header('date'),
+    },
+    htmlBody: state.htmlBody,
+    textBody: state.textBody,
+    attachments: state.parts.filter((part) => !isReferenced(part)),
+    inlineParts: state.parts.filter(isReferenced),
+  };
+}
+
+export default {
+  decodeHeaderValue,
+  parseStructuredHeader,
+  isEmailMessageSignature,
+  parseEmailMessage,
+};
@@ -0,0 +1,337 @@
+// File: src/components/DocumentLoader/emailPageRenderer.js
+/**
+ * OpenDocViewer — render a parsed email message as page images.
+ *
+ * PURPOSE
+ *   An email source shows as ordinary PNG pages: a header block (from, to, cc, date, subject,
+ *   attachment names) followed by the message body. Thumbnails, printing and the rest of the
+ *   viewer then treat the pages like any scanned image.
+ *
+ * DESIGN NOTES / GOTCHAS
+ *   - HTML bodies are sanitized with DOMPurify. `<style>`, forms, frames and media are dropped,
+ *     `cid:` images are replaced with data URLs of the message's inline parts and every other
+ *     image or CSS `url()` is removed, so rendering a message never contacts a remote server.
+ *   - The body is laid out once in a hidden, shadow-DOM scoped container of the page width. Page
+ *     breaks are placed below the last text line or image that fits, then each page is painted
+ *     through an SVG `foreignObject` onto a canvas.
+ *   - Browsers that taint the canvas for `foreignObject` content (or fail to paint it) get a plain
+ *     text rendering of the same message instead.
+ */
+
+import DOMPurify from 'dompurify';
+
+const PAGE_WIDTH_PX = 794;
+const PAGE_HEIGHT_PX = 1123;
+const PAGE_MARGIN_PX = 48;
+const RENDER_SCALE = 2;
+const MAX_PAGES = 100;
+const CONTENT_WIDTH_PX = PAGE_WIDTH_PX - 2 * PAGE_MARGIN_PX;
+const CONTENT_HEIGHT_PX = PAGE_HEIGHT_PX - 2 * PAGE_MARGIN_PX;
+const FONT_FAMILY = 'Arial, Helvetica, sans-serif';
+const XHTML_NS = 'http://www.w3.org/1999/xhtml';
+
+const FORBIDDEN_TAGS = [
+  'style', 'link', 'meta', 'base', 'script', 'iframe', 'frame', 'object', 'embed', 'form',
+  'input', 'button', 'select', 'textarea', 'video', 'audio', 'source', 'track', 'picture', 'svg', 'math',
+];
+
+const PAGE_CSS = [
+  `.odv-email { all: initial; display: block; width: ${CONTENT_WIDTH_PX}px; font: 14px/1.45 ${FONT_FAMILY}; color: #000; background: #fff; overflow-wrap: anywhere; }`,
+  `.odv-email * { max-width: 100%; box-sizing: border-box; }`,
+  `.odv-email img { height: auto; }`,
+  `.odv-email pre, .odv-email .odv-email-text { white-space: pre-wrap; font-family: inherit; margin: 0; }`,
+  `.odv-email-headers { border-collapse: collapse; margin: 0 0 12px; width: 100%; }`,
+  `.odv-email-headers th { text-align: left; vertical-align: top; padding: 2px 12px 2px 0; white-space: nowrap; color: #444; }`,
+  `.odv-email-headers td { padding: 2px 0; }`,
+  `.odv-email-subject td { font-weight: bold; font-size: 16px; }`,
+  `.odv-email-rule { border: 0; border-top: 1px solid #999; margin: 0 0 16px; }`,
+].join('\n');
+
+/**
+ * @typedef {Object} EmailPageLabels
+ * @property {string} from
+ * @property {string} to
+ * @property {string} cc
+ * @property {string} date
+ * @property {string} subject
+ * @property {string} attachments
+ */
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function toBase64(bytes) {
+  const chunks = [];
+  for (let offset = 0; offset < bytes.length; offset += 0x8000) {
+    chunks.push(String.fromCharCode.apply(null, bytes.subarray(offset, offset + 0x8000)));
+  }
+  return btoa(chunks.join(''));
+}
+
+/**
+ * @param {import('./emailMessage.js').EmailMessage} message
+ * @param {EmailPageLabels} labels
+ * @returns {Array<{ label:string, key:string, value:string }>}
+ */
+function listHeaderRows(message, labels) {
+  const names = message.attachments.map((part) => part.filename).filter(Boolean).join(', ');
+  return [
+    { key: 'from', value: message.headers.from },
+    { key: 'to', value: message.headers.to },
+    { key: 'cc', value: message.headers.cc },
+    { key: 'date', value: message.headers.date },
+    { key: 'subject', value: message.headers.subject },
+    { key: 'attachments', value: names },
+  ]
+    .filter((row) => row.value)
+    .map((row) => ({ ...row, label: labels[row.key] }));
+}
+
+/**
+ * Sanitize an HTML body and resolve its `cid:` images.
+ *
+ * @param {import('./emailMessage.js').EmailMessage} message
+ * @returns {string}
+ */
+function sanitizeBodyHtml(message) {
+  const safeHtml = DOMPurify.sanitize(message.htmlBody, {
+    ALLOW_UNKNOWN_PROTOCOLS: false,
+    FORBID_TAGS: FORBIDDEN_TAGS,
+    FORBID_ATTR: ['srcset', 'background', 'srcdoc', 'poster'],
+  });
+  const doc = new DOMParser().parseFromString(`<!doctype html><body>${safeHtml}`, 'text/html');
+
+  const inlineSources = new Map(message.inlineParts.map((part) => [
+    `cid:${part.contentId}`,
+    `data:${part.contentType};base64,${toBase64(part.bytes)}`,
+  ]));
+  doc.body.querySelectorAll('img').forEach((image) => {
+    const source = inlineSources.get(String(image.getAttribute('src') || '').trim());
+    if (source && /^data:image\//i.test(source)) image.setAttribute('src', source);
+    else image.remove();
+  });
+  doc.body.querySelectorAll('[style]').forEach((element) => {
+    element.setAttribute('style', String(element.getAttribute('style')).replace(/url\s*\([^)]*\)?/gi, 'none'));
+  });
+  return doc.body.innerHTML;
+}
+
+/**
+ * @param {import('./emailMessage.js').EmailMessage} message
+ * @param {EmailPageLabels} labels
+ * @returns {string} Markup for the `.odv-email` container.
+ */
+function buildMessageMarkup(message, labels) {
+  const rows = listHeaderRows(message, labels)
+    .map((row) => `<tr class="odv-email-${row.key}"><th>${escapeHtml(row.label)}</th><td>${escapeHtml(row.value)}</td></tr>`)
+    .join('');
+  const body = message.htmlBody
+    ? sanitizeBodyHtml(message)
+    : `<div class="odv-email-text">${escapeHtml(message.textBody)}</div>`;
+  return `<style>${PAGE_CSS}</style><table class="odv-email-headers">${rows}</table><hr class="odv-email-rule"/><div class="odv-email-body">${body}</div>`;
+}
+
+/**
+ * Bottoms of every text line and image, relative to the container top.
+ *
+ * @param {HTMLElement} container
+ * @returns {Array<number>}
+ */
+function collectLineBottoms(container) {
+  const top = container.getBoundingClientRect().top;
+  const bottoms = [];
+  const walker = container.ownerDocument.createTreeWalker(container, NodeFilter.SHOW_TEXT | NodeFilter.SHOW_ELEMENT);
+  const range = container.ownerDocument.createRange();
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      if (!node.nodeValue.trim()) continue;
+      range.selectNodeContents(node);
+      for (const rect of range.getClientRects()) bottoms.push(rect.bottom - top);
+    } else if (/^(?:IMG|HR|TR)$/.test(node.tagName)) {
+      bottoms.push(node.getBoundingClientRect().bottom - top);
+    }
+  }
+  return bottoms.sort((a, b) => a - b);
+}
+
+/**
+ * @param {number} totalHeight
+ * @param {Array<number>} bottoms
+ * @returns {Array<{ start:number, end:number }>}
+ */
+function planPageSlices(totalHeight, bottoms) {
+  const slices = [];
+  let start = 0;
+  while (start < totalHeight - 1 && slices.length < MAX_PAGES) {
+    const limit = start + CONTENT_HEIGHT_PX;
+    let end = limit;
+    if (limit < totalHeight) {
+      const fitting = bottoms.filter((bottom) => bottom > start + CONTENT_HEIGHT_PX / 2 && bottom <= limit);
+      if (fitting.length > 0) end = Math.ceil(fitting[fitting.length - 1]);
+    }
+    slices.push({ start, end: Math.min(end, Math.ceil(totalHeight)) });
+    start = end;
+  }
+  return slices.length > 0 ? slices : [{ start: 0, end: 0 }];
+}
+
+/**
+ * @param {HTMLCanvasElement} canvas
+ * @returns {Promise<Blob>}
+ */
+async function canvasToPng(canvas) {
+  const blob = await new Promise((resolve) => canvas.toBlob(resolve, 'image/png'));
+  if (!blob) throw new Error('Email page could not be encoded as PNG.');
+  return blob;
+}
+
+/**
+ * @returns {{ canvas:HTMLCanvasElement, context:CanvasRenderingContext2D }}
+ */
+function createPageCanvas() {
+  const canvas = document.createElement('canvas');
+  canvas.width = PAGE_WIDTH_PX * RENDER_SCALE;
+  canvas.height = PAGE_HEIGHT_PX * RENDER_SCALE;
+  const context = canvas.getContext('2d');
+  if (!context) throw new Error('Canvas 2D context is unavailable.');
+  context.scale(RENDER_SCALE, RENDER_SCALE);
+  context.fillStyle = '#fff';
+  context.fillRect(0, 0, PAGE_WIDTH_PX, PAGE_HEIGHT_PX);
+  return { canvas, context };
+}
+
+/**
+ * Paint the laid-out message page by page through SVG `foreignObject`.
+ *
+ * @param {string} markup
+ * @returns {Promise<Array<Blob>>}
+ */
+async function renderHtmlPages(markup) {
+  const host = document.createElement('div');
+  host.setAttribute('aria-hidden', 'true');
+  host.style.cssText = `position:fixed;left:-${PAGE_WIDTH_PX * 2}px;top:0;width:${CONTENT_WIDTH_PX}px;visibility:hidden;pointer-events:none;`;
+  const container = document.createElement('div');
+  container.className = 'odv-email';
+  container.innerHTML = markup;
+  host.attachShadow({ mode: 'open' }).appendChild(container);
+  document.body.appendChild(host);
+
+  try {
+    await Promise.all(Array.from(container.querySelectorAll('img')).map((image) => image.decode().catch(() => undefined)));
+    const slices = planPageSlices(container.scrollHeight, collectLineBottoms(container));
+    const serialized = new XMLSerializer().serializeToString(container);
+
+    const pages = [];
+    for (const slice of slices) {
+      const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${PAGE_WIDTH_PX}" height="${PAGE_HEIGHT_PX}">`
+        + `<foreignObject x="${PAGE_MARGIN_PX}" y="${PAGE_MARGIN_PX}" width="${CONTENT_WIDTH_PX}" height="${Math.max(1, slice.end - slice.start)}">`
+        + `<div xmlns="${XHTML_NS}" style="margin-top:-${slice.start}px">${serialized}</div>`
+        + '</foreignObject></svg>';
+      const image = new Image();
+      image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+      await image.decode();
+      const { canvas, context } = createPageCanvas();
+      context.drawImage(image, 0, 0, PAGE_WIDTH_PX, PAGE_HEIGHT_PX);
+      pages.push(await canvasToPng(canvas));
+    }
+    return pages;
+  } finally {
+    host.remove();
+  }
+}
+
+/**
+ * @param {CanvasRenderingContext2D} context
+ * @param {string} text
+ * @param {number} width
+ * @returns {Array<string>}
+ */
+function wrapText(context, text, width) {
+  const lines = [];
+  for (const paragraph of String(text || '').replace(/\r\n?/g, '\n').split('\n')) {
+    let line = '';
+    for (const word of paragraph.split(/(\s+)/)) {
+      const candidate = line + word;
+      if (!line || context.measureText(candidate).width <= width) {
+        line = candidate;
+        continue;
+      }
+      lines.push(line.trimEnd());
+      line = word.trimStart();
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+/**
+ * Paint the message as plain text, for browsers that cannot paint `foreignObject` to a canvas.
+ *
+ * @param {import('./emailMessage.js').EmailMessage} message
+ * @param {EmailPageLabels} labels
+ * @returns {Promise<Array<Blob>>}
+ */
+async function renderTextPages(message, labels) {
+  const lineHeight = 20;
+  const bodyText = message.htmlBody
+    ? new DOMParser().parseFromString(sanitizeBodyHtml(message), 'text/html').body.textContent
+    : message.textBody;
+
+  const measure = document.createElement('canvas').getContext('2d');
+  if (!measure) throw new Error('Canvas 2D context is unavailable.');
+  measure.font = `14px ${FONT_FAMILY}`;
+  const lines = [
+    ...listHeaderRows(message, labels).flatMap((row) => wrapText(measure, `${row.label}: ${row.value}`, CONTENT_WIDTH_PX)),
+    '',
+    ...wrapText(measure, bodyText, CONTENT_WIDTH_PX),
+  ];
+
+  const linesPerPage = Math.floor(CONTENT_HEIGHT_PX / lineHeight);
+  const pages = [];
+  for (let first = 0; first < lines.length && pages.length < MAX_PAGES; first += linesPerPage) {
+    const { canvas, context } = createPageCanvas();
+    context.font = `14px ${FONT_FAMILY}`;
+    context.fillStyle = '#000';
+    context.textBaseline = 'top';
+    lines.slice(first, first + linesPerPage).forEach((line, index) => {
+      context.fillText(line, PAGE_MARGIN_PX, PAGE_MARGIN_PX + index * lineHeight);
+    });
+    pages.push(await canvasToPng(canvas));
+  }
+  return pages;
+}
+
+/**
+ * Render a parsed message as PNG page images, at most 100 pages.
+ *
+ * @param {import('./emailMessage.js').EmailMessage} message
+ * @param {Object} options
+ * @param {EmailPageLabels} options.labels  Localized header labels.
+ * @param {function(*):void=} options.onFallback  Called with the error when the plain text rendering is used.
+ * @returns {Promise<Array<Blob>>}
+ */
+export async function renderEmailPages(message, options) {
+  try {
+    return await renderHtmlPages(buildMessageMarkup(message, options.labels));
+  } catch (error) {
+    options.onFallback?.(error);
+    return renderTextPages(message, options.labels);
+  }
+}
+
+export default {
+  renderEmailPages,
+};
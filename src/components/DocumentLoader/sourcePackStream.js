@@ -0,0 +1,185 @@
+// File: src/components/DocumentLoader/sourcePackStream.js
+/**
+ * OpenDocViewer — reader for `ODVSP1` source-pack streams.
+ *
+ * FORMAT
+ *   The stream starts with the magic `ODVSP1\n`. Each frame is a little-endian uint32 header
+ *   length, a UTF-8 JSON header (`fileIndex`, `payloadBytes`, `contentType`, `ok`, `error`,
+ *   optional `resumeToken`) and `payloadBytes` bytes of payload. A header length of 0 ends the
+ *   stream.
+ *
+ * RESUMING
+ *   A stream that stops before the terminator can be resumed: the loader asks the same URL again
+ *   with `from=<first missing fileIndex>` and, when the last complete frame carried one,
+ *   `resume=<resumeToken>`. The resumed response is a complete `ODVSP1` stream of its own. A server
+ *   that ignores both parameters and sends everything again still works; frames the loader already
+ *   holds are skipped.
+ *
+ * DESIGN NOTES
+ *   - Protocol errors (bad signature, oversized or unreadable headers) are marked so the loader
+ *     does not resume a stream it cannot read. A stream that simply ends early is not one of them.
+ */
+
+export const SOURCE_PACK_MAGIC = 'ODVSP1\n';
+export const SOURCE_PACK_HEADER_LIMIT_BYTES = 64 * 1024;
+export const SOURCE_PACK_MAX_PAYLOAD_BYTES = 64 * 1024 * 1024;
+
+/**
+ * @typedef {Object} SourcePackFrame
+ * @property {Object} header
+ * @property {Uint8Array} payload
+ * @property {number} startedAtMs `now()` before the frame was read.
+ */
+
+/**
+ * @typedef {Object} SourcePackReadOptions
+ * @property {function(SourcePackFrame): void} onFrame
+ * @property {function(): boolean=} shouldStop
+ * @property {function(): number=} now
+ */
+
+/**
+ * @typedef {Object} SourcePackReadResult
+ * @property {boolean} complete True when the terminator frame was read.
+ */
+
+/**
+ * @param {string} message
+ * @returns {Error}
+ */
+function createSourcePackProtocolError(message) {
+  const error = new Error(message);
+  error.isSourcePackProtocolError = true;
+  return error;
+}
+
+/**
+ * @param {*} error
+ * @returns {boolean}
+ */
+export function isSourcePackProtocolError(error) {
+  return error?.isSourcePackProtocolError === true;
+}
+
+/**
+ * @param {*} bytes
+ * @returns {(number|undefined)}
+ */
+function readUint32LittleEndian(bytes) {
+  if (!(bytes instanceof Uint8Array) || bytes.length < 4) return undefined;
+  return (bytes[0] | (bytes[1] << 8) | (bytes[2] << 16) | (bytes[3] << 24)) >>> 0;
+}
+
+/**
+ * @param {ReadableStreamDefaultReader} reader
+ * @param {{ chunk:(Uint8Array|null), offset:number }} state
+ * @param {number} length
+ * @returns {Promise<(Uint8Array|null)>} Null when the stream ended first.
+ */
+async function readExactStreamBytes(reader, state, length) {
+  const expectedLength = Math.max(0, Number(length) || 0);
+  if (expectedLength <= 0) return new Uint8Array(0);
+
+  const output = new Uint8Array(expectedLength);
+  let written = 0;
+
+  while (written < expectedLength) {
+    if (!state.chunk || state.offset >= state.chunk.length) {
+      const next = await reader.read();
+      if (next.done) return null;
+      state.chunk = next.value instanceof Uint8Array ? next.value : new Uint8Array(next.value || []);
+      state.offset = 0;
+      if (state.chunk.length <= 0) continue;
+    }
+
+    const available = state.chunk.length - state.offset;
+    const take = Math.min(available, expectedLength - written);
+    output.set(state.chunk.subarray(state.offset, state.offset + take), written);
+    state.offset += take;
+    written += take;
+  }
+
+  return output;
+}
+
+/**
+ * Read one `ODVSP1` response and hand every complete frame to `onFrame`.
+ *
+ * Resolves with `complete: false` when the stream ends at a frame boundary without a terminator
+ * or when `shouldStop` returns true. A stream that ends inside a frame rejects with a plain error.
+ *
+ * @param {ReadableStreamDefaultReader} reader
+ * @param {SourcePackReadOptions} options
+ * @returns {Promise<SourcePackReadResult>}
+ */
+export async function readSourcePackStream(reader, options) {
+  const shouldStop = typeof options?.shouldStop === 'function' ? options.shouldStop : () => false;
+  const now = typeof options?.now === 'function' ? options.now : Date.now;
+  const decoder = new TextDecoder();
+  const state = { chunk: null, offset: 0 };
+
+  const magicBytes = await readExactStreamBytes(reader, state, SOURCE_PACK_MAGIC.length);
+  if (!magicBytes) throw new Error('Source pack stream ended before its signature.');
+  if (decoder.decode(magicBytes) !== SOURCE_PACK_MAGIC) {
+    throw createSourcePackProtocolError('Source pack stream has an invalid signature.');
+  }
+
+  while (!shouldStop()) {
+    const startedAtMs = now();
+    const headerLengthBytes = await readExactStreamBytes(reader, state, 4);
+    if (!headerLengthBytes) return { complete: false };
+
+    const headerLength = readUint32LittleEndian(headerLengthBytes);
+    if (headerLength === 0) return { complete: true };
+    if (headerLength > SOURCE_PACK_HEADER_LIMIT_BYTES) {
+      throw createSourcePackProtocolError(`Source pack frame header is too large (${headerLength} bytes).`);
+    }
+
+    const headerBytes = await readExactStreamBytes(reader, state, headerLength);
+    if (!headerBytes) throw new Error('Source pack stream ended inside a frame header.');
+    let header;
+    try {
+      header = JSON.parse(decoder.decode(headerBytes));
+    } catch (error) {
+      throw createSourcePackProtocolError(`Source pack frame header is not valid JSON (${String(error?.message || error)}).`);
+    }
+    const payloadBytesRaw = Number(header?.payloadBytes || 0);
+    const payloadBytes = Number.isFinite(payloadBytesRaw)
+      ? Math.max(0, Math.floor(payloadBytesRaw))
+      : 0;
+    if (payloadBytes > SOURCE_PACK_MAX_PAYLOAD_BYTES) {
+      throw createSourcePackProtocolError(`Source pack frame payload is too large (${payloadBytes} bytes).`);
+    }
+    const payload = await readExactStreamBytes(reader, state, payloadBytes);
+    if (!payload) throw new Error('Source pack stream ended inside a frame payload.');
+
+    options.onFrame({ header, payload, startedAtMs });
+  }
+
+  return { complete: false };
+}
+
+/**
+ * Build the URL that asks for the rest of an interrupted source pack.
+ *
+ * @param {string} url
+ * @param {{ from:number, resumeToken?:(string|null) }} position
+ * @returns {string} Absolute URL.
+ */
+export function buildSourcePackResumeUrl(url, position) {
+  const base = typeof window !== 'undefined' && window.location ? window.location.href : 'http://localhost/';
+  const parsed = new URL(String(url || ''), base);
+  parsed.searchParams.set('from', String(Math.max(0, Math.floor(Number(position?.from) || 0))));
+  if (position?.resumeToken) parsed.searchParams.set('resume', String(position.resumeToken));
+  else parsed.searchParams.delete('resume');
+  return parsed.toString();
+}
+
+export default {
+  SOURCE_PACK_MAGIC,
+  SOURCE_PACK_HEADER_LIMIT_BYTES,
+  SOURCE_PACK_MAX_PAYLOAD_BYTES,
+  isSourcePackProtocolError,
+  readSourcePackStream,
+  buildSourcePackResumeUrl,
+};
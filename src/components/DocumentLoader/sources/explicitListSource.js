@@ -29,6 +29,8 @@
  *   @property {(string|undefined)} pageCountHintSource
  *   @property {(string|undefined)} sourceKind
  *   @property {(number|undefined)} sourceSizeBytes
+ *   @property {(Blob|undefined)} localFile
+ *   @property {(string|undefined)} displayName
  *
  *   @typedef {Object} ExplicitSourceList
  *   @property {number} total
@@ -48,6 +50,8 @@
  * @property {(string|undefined)} pageCountHintSource
  * @property {(string|undefined)} sourceKind
  * @property {(number|undefined)} sourceSizeBytes
+ * @property {(Blob|undefined)} localFile  User-picked file; see `src/integrations/localFiles.js`.
+ * @property {(string|undefined)} displayName File name shown for the file's pages.
  */
 
 /**
@@ -222,6 +226,8 @@ export function makeExplicitSource(bundle) {
         pageCountHintSource: optionalText(file?.pageCountHintSource),
         sourceKind: optionalText(file?.sourceKind),
         sourceSizeBytes: Number.isFinite(file?.sourceSizeBytes) ? Number(file.sourceSizeBytes) : undefined,
+        localFile: file?.localFile instanceof Blob ? file.localFile : undefined,
+        displayName: optionalText(file?.displayName),
       });
     }
   }
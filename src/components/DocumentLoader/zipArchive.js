@@ -0,0 +1,195 @@
+// File: src/components/DocumentLoader/zipArchive.js
+/**
+ * OpenDocViewer — minimal ZIP reader for archive sources.
+ *
+ * PURPOSE
+ *   Hosts sometimes deliver a case as a single `.zip` of scans. The loader lists the archive from
+ *   its central directory and opens one member at a time, so only the compressed archive and the
+ *   member being stored are in memory, never the whole archive decompressed.
+ *
+ * DESIGN NOTES / GOTCHAS
+ *   - Stored members are returned as slices of the archive blob without copying. Deflated members
+ *     are inflated through the browser's `DecompressionStream('deflate-raw')`; no extra library.
+ *   - Encrypted members, ZIP64 archives and other compression methods are rejected with an error.
+ *   - A member's declared size is checked against the caller's cap before it is read, and
+ *     inflation stops as soon as the output passes the declared size, so a ZIP bomb fails early
+ *     instead of filling memory.
+ *   - Member names are decoded as UTF-8, which also covers plain ASCII names from older tools.
+ */
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_OF_DIRECTORY_SIGNATURE = 0x06054b50;
+const END_OF_DIRECTORY_MIN_BYTES = 22;
+const END_OF_DIRECTORY_MAX_COMMENT_BYTES = 0xffff;
+const LOCAL_HEADER_BYTES = 30;
+const CENTRAL_HEADER_BYTES = 46;
+const COMPRESSION_STORED = 0;
+const COMPRESSION_DEFLATE = 8;
+
+/**
+ * @typedef {Object} ZipMember
+ * @property {string} name              Path inside the archive, with `/` separators.
+ * @property {number} index             Position in archive order.
+ * @property {number} compressionMethod
+ * @property {number} compressedSize
+ * @property {number} uncompressedSize
+ * @property {number} localHeaderOffset
+ * @property {boolean} isDirectory
+ * @property {boolean} encrypted
+ */
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {boolean} True when the bytes start like a ZIP archive (including an empty one).
+ */
+export function isZipSignature(bytes) {
+  if (!bytes || bytes.length < 4 || bytes[0] !== 0x50 || bytes[1] !== 0x4b) return false;
+  return (bytes[2] === 0x03 && bytes[3] === 0x04) || (bytes[2] === 0x05 && bytes[3] === 0x06);
+}
+
+/**
+ * @param {Blob} blob
+ * @param {number} start
+ * @param {number} end
+ * @returns {Promise<DataView>}
+ */
+async function readView(blob, start, end) {
+  return new DataView(await blob.slice(start, end).arrayBuffer());
+}
+
+/**
+ * @param {DataView} view
+ * @returns {number} Offset of the end-of-central-directory record inside `view`, or -1.
+ */
+function findEndOfDirectory(view) {
+  for (let offset = view.byteLength - END_OF_DIRECTORY_MIN_BYTES; offset >= 0; offset -= 1) {
+    if (view.getUint32(offset, true) === END_OF_DIRECTORY_SIGNATURE) return offset;
+  }
+  return -1;
+}
+
+/**
+ * List the members of a ZIP archive in archive order.
+ *
+ * @param {Blob} blob
+ * @returns {Promise<Array<ZipMember>>}
+ */
+export async function readZipDirectory(blob) {
+  const tailStart = Math.max(0, blob.size - END_OF_DIRECTORY_MIN_BYTES - END_OF_DIRECTORY_MAX_COMMENT_BYTES);
+  const tail = await readView(blob, tailStart, blob.size);
+  const endOffset = findEndOfDirectory(tail);
+  if (endOffset < 0) throw new Error('ZIP archive has no central directory.');
+
+  const entryCount = tail.getUint16(endOffset + 10, true);
+  const directorySize = tail.getUint32(endOffset + 12, true);
+  const directoryOffset = tail.getUint32(endOffset + 16, true);
+  if (entryCount === 0xffff || directorySize === 0xffffffff || directoryOffset === 0xffffffff) {
+    throw new Error('ZIP64 archives are not supported.');
+  }
+  if (directoryOffset + directorySize > blob.size) throw new Error('ZIP central directory is out of range.');
+
+  const directory = await readView(blob, directoryOffset, directoryOffset + directorySize);
+  const decoder = new TextDecoder('utf-8');
+  /** @type {Array<ZipMember>} */
+  const members = [];
+  let offset = 0;
+  for (let index = 0; index < entryCount; index += 1) {
+    if (offset + CENTRAL_HEADER_BYTES > directory.byteLength
+      || directory.getUint32(offset, true) !== CENTRAL_HEADER_SIGNATURE) {
+      throw new Error('ZIP central directory is corrupt.');
+    }
+    const flags = directory.getUint16(offset + 8, true);
+    const nameLength = directory.getUint16(offset + 28, true);
+    const extraLength = directory.getUint16(offset + 30, true);
+    const commentLength = directory.getUint16(offset + 32, true);
+    const nameStart = directory.byteOffset + offset + CENTRAL_HEADER_BYTES;
+    const name = decoder.decode(new Uint8Array(directory.buffer, nameStart, nameLength)).replace(/\\/g, '/');
+    members.push({
+      name,
+      index,
+      compressionMethod: directory.getUint16(offset + 10, true),
+      compressedSize: directory.getUint32(offset + 20, true),
+      uncompressedSize: directory.getUint32(offset + 24, true),
+      localHeaderOffset: directory.getUint32(offset + 42, true),
+      isDirectory: name.endsWith('/'),
+      encrypted: (flags & 0x1) !== 0,
+    });
+    offset += CENTRAL_HEADER_BYTES + nameLength + extraLength + commentLength;
+  }
+
+  // The central directory normally lists members in archive order already; sorting by position
+  // keeps that promise for archives written by tools that reorder it.
+  return members
+    .sort((a, b) => a.localHeaderOffset - b.localHeaderOffset)
+    .map((member, index) => ({ ...member, index }));
+}
+
+/**
+ * @param {number} limit
+ * @param {string} name Member name for the error message.
+ * @returns {TransformStream<Uint8Array, Uint8Array>} Passes bytes through and fails as soon as more
+ *   than `limit` bytes have passed.
+ */
+function createSizeLimitStream(limit, name) {
+  let total = 0;
+  return new TransformStream({
+    transform(chunk, controller) {
+      total += chunk.byteLength;
+      if (total > limit) throw new Error(`ZIP member ${name} inflates beyond its declared size.`);
+      controller.enqueue(chunk);
+    },
+  });
+}
+
+/**
+ * Read one member's bytes.
+ *
+ * @param {Blob} blob Archive.
+ * @param {ZipMember} member
+ * @param {string=} type MIME type of the returned blob.
+ * @param {number=} maxBytes Largest accepted member size; 0 for no limit.
+ * @returns {Promise<Blob>}
+ */
+export async function openZipMember(blob, member, type = '', maxBytes = 0) {
+  if (member.encrypted) throw new Error(`ZIP member ${member.name} is encrypted.`);
+  if (member.compressedSize === 0xffffffff || member.uncompressedSize === 0xffffffff) {
+    throw new Error('ZIP64 archives are not supported.');
+  }
+  if (maxBytes > 0 && member.uncompressedSize > maxBytes) {
+    throw new Error(`ZIP member ${member.name} is larger than the source size limit.`);
+  }
+
+  const header = await readView(blob, member.localHeaderOffset, member.localHeaderOffset + LOCAL_HEADER_BYTES);
+  if (header.byteLength < LOCAL_HEADER_BYTES || header.getUint32(0, true) !== LOCAL_HEADER_SIGNATURE) {
+    throw new Error(`ZIP member ${member.name} has no local header.`);
+  }
+  const dataStart = member.localHeaderOffset + LOCAL_HEADER_BYTES
+    + header.getUint16(26, true)
+    + header.getUint16(28, true);
+  const dataEnd = dataStart + member.compressedSize;
+  if (dataEnd > blob.size) throw new Error(`ZIP member ${member.name} is truncated.`);
+  const compressed = blob.slice(dataStart, dataEnd, type);
+
+  let output;
+  if (member.compressionMethod === COMPRESSION_STORED) {
+    output = compressed;
+  } else if (member.compressionMethod === COMPRESSION_DEFLATE) {
+    if (typeof DecompressionStream !== 'function') throw new Error('This browser cannot inflate ZIP members.');
+    const inflated = await new Response(compressed.stream()
+      .pipeThrough(new DecompressionStream('deflate-raw'))
+      .pipeThrough(createSizeLimitStream(member.uncompressedSize, member.name))).blob();
+    output = type ? new Blob([inflated], { type }) : inflated;
+  } else {
+    throw new Error(`ZIP member ${member.name} uses unsupported compression method ${member.compressionMethod}.`);
+  }
+
+  if (output.size !== member.uncompressedSize) throw new Error(`ZIP member ${member.name} has an unexpected size.`);
+  return output;
+}
+
+export default {
+  isZipSignature,
+  readZipDirectory,
+  openZipMember,
+};
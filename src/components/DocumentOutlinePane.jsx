@@ -0,0 +1,238 @@
+// File: src/components/DocumentOutlinePane.jsx
+/**
+ * Outline mode of the thumbnail pane: one collapsible tree per logical document.
+ *
+ * A document shows the outline its host supplied in the bundle or, without one, the bookmarks of
+ * its PDF files. PDF outlines are read one source at a time when the pane first needs them and are
+ * cached by the viewer context. Clicking an entry jumps to its session page; entries whose page is
+ * not in the session are shown without a target.
+ *
+ * The page mapping lives in `src/utils/documentOutline.js`; this component only renders it.
+ */
+
+import React, { useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import { useTranslation } from 'react-i18next';
+import ViewerContext from '../contexts/viewerContext.js';
+import { buildOutlineDocuments, resolveOutlineTree } from '../utils/documentOutline.js';
+
+/**
+ * @typedef {import('../utils/documentOutline.js').OutlineTreeNode} OutlineTreeNode
+ */
+
+/**
+ * @param {Object} props
+ * @param {OutlineTreeNode} props.node
+ * @param {number} props.level 1-based tree level.
+ * @param {number} props.pageNumber Current original 1-based page number.
+ * @param {Set<string>} props.toggledIds
+ * @param {function(string): void} props.onToggle
+ * @param {function(number): void} props.onSelectPage
+ * @returns {React.ReactElement}
+ */
+function OutlineNodeRow({ node, level, pageNumber, toggledIds, onToggle, onSelectPage }) {
+  const { t } = useTranslation('common');
+  const hasChildren = node.children.length > 0;
+  const expanded = hasChildren && toggledIds.has(node.id);
+  const isCurrent = node.pageNumber != null && node.pageNumber === pageNumber;
+
+  return (
+    <li
+      role="treeitem"
+      aria-level={level}
+      aria-expanded={hasChildren ? expanded : undefined}
+      aria-selected={isCurrent}
+      className="document-outline-item"
+    >
+      <div className={`document-outline-row${isCurrent ? ' is-current' : ''}`} style={{ paddingLeft: `${(level - 1) * 12}px` }}>
+        {hasChildren ? (
+          <button
+            type="button"
+            className="document-outline-toggle"
+            onClick={() => onToggle(node.id)}
+            aria-label={expanded
+              ? t('thumbnails.outline.collapse', { title: node.title, defaultValue: `Collapse ${node.title}` })
+              : t('thumbnails.outline.expand', { title: node.title, defaultValue: `Expand ${node.title}` })}
+          >
+            <span className="material-icons" aria-hidden="true">{expanded ? 'expand_more' : 'chevron_right'}</span>
+          </button>
+        ) : (
+          <span className="document-outline-toggle-spacer" aria-hidden="true" />
+        )}
+        <button
+          type="button"
+          className="document-outline-link"
+          onClick={() => onSelectPage(node.pageNumber)}
+          disabled={node.pageNumber == null}
+          title={node.pageNumber == null
+            ? t('thumbnails.outline.noTarget', { defaultValue: 'This entry has no page in the session' })
+            : t('thumbnails.goToPage', { page: node.pageNumber, defaultValue: `Go to page ${node.pageNumber}` })}
+        >
+          <span className="document-outline-title">{node.title}</span>
+          {node.pageNumber != null && <span className="document-outline-page">{node.pageNumber}</span>}
+        </button>
+      </div>
+      {expanded && (
+        <ul role="group" className="document-outline-group">
+          {node.children.map((child) => (
+            <OutlineNodeRow
+              key={child.id}
+              node={child}
+              level={level + 1}
+              pageNumber={pageNumber}
+              toggledIds={toggledIds}
+              onToggle={onToggle}
+              onSelectPage={onSelectPage}
+            />
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+}
+
+const outlineNodeShape = PropTypes.shape({
+  id: PropTypes.string.isRequired,
+  title: PropTypes.string.isRequired,
+  pageNumber: PropTypes.number,
+  children: PropTypes.array.isRequired,
+});
+
+OutlineNodeRow.propTypes = {
+  node: outlineNodeShape.isRequired,
+  level: PropTypes.number.isRequired,
+  pageNumber: PropTypes.number.isRequired,
+  toggledIds: PropTypes.instanceOf(Set).isRequired,
+  onToggle: PropTypes.func.isRequired,
+  onSelectPage: PropTypes.func.isRequired,
+};
+
+/**
+ * @param {Object} props
+ * @param {Array<*>} props.allPages Session pages in original order.
+ * @param {*} props.bundle Portable bundle; documents may carry an `outline`.
+ * @param {number} props.pageNumber Current original 1-based page number.
+ * @param {function(number): void} props.setPageNumber Accepts an original 1-based page number.
+ * @returns {React.ReactElement}
+ */
+function DocumentOutlinePane({ allPages, bundle, pageNumber, setPageNumber }) {
+  const { t } = useTranslation('common');
+  const { getSourceOutline } = useContext(ViewerContext);
+  const [outlines, setOutlines] = useState(() => new Map());
+  // Documents start expanded and entries collapsed; the set holds ids toggled from that default.
+  const [toggledIds, setToggledIds] = useState(() => new Set());
+
+  const documents = useMemo(() => buildOutlineDocuments(allPages, bundle), [allPages, bundle]);
+
+  useEffect(() => {
+    const sourceKeys = documents
+      .flatMap((document) => (document.hostOutline ? [] : document.pdfSourceKeys))
+      .filter((sourceKey) => !outlines.has(sourceKey));
+    if (sourceKeys.length === 0 || typeof getSourceOutline !== 'function') return undefined;
+
+    let cancelled = false;
+    void (async () => {
+      for (const sourceKey of sourceKeys) {
+        const entries = await getSourceOutline(sourceKey);
+        if (cancelled) return;
+        setOutlines((previous) => new Map(previous).set(sourceKey, entries));
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [documents, getSourceOutline, outlines]);
+
+  const trees = useMemo(() => documents.map((document) => {
+    if (document.hostOutline) {
+      return { document, loading: false, nodes: resolveOutlineTree(document.hostOutline, document.documentPages, document.key) };
+    }
+    return {
+      document,
+      loading: document.pdfSourceKeys.some((sourceKey) => !outlines.has(sourceKey)),
+      nodes: document.pdfSourceKeys.flatMap((sourceKey) => resolveOutlineTree(
+        outlines.get(sourceKey) || [],
+        document.sourcePages.get(sourceKey),
+        `${document.key}/${sourceKey}`
+      )),
+    };
+  }), [documents, outlines]);
+
+  const toggle = useCallback((id) => {
+    setToggledIds((previous) => {
+      const next = new Set(previous);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  }, []);
+
+  const selectPage = useCallback((targetPageNumber) => {
+    if (Number.isFinite(targetPageNumber)) setPageNumber(targetPageNumber);
+  }, [setPageNumber]);
+
+  return (
+    <ul
+      className="document-outline-pane"
+      role="tree"
+      aria-label={t('thumbnails.outline.aria', { defaultValue: 'Document outline' })}
+    >
+      {trees.map(({ document, loading, nodes }) => {
+        const expanded = !toggledIds.has(document.key);
+        const label = t('thumbnails.outline.documentLabel', {
+          current: document.documentNumber,
+          total: document.totalDocuments,
+          defaultValue: `Document ${document.documentNumber}/${document.totalDocuments}`,
+        });
+        return (
+          <li key={document.key} role="treeitem" aria-level={1} aria-expanded={expanded} className="document-outline-item">
+            <div className="document-outline-row is-document">
+              <button
+                type="button"
+                className="document-outline-toggle"
+                onClick={() => toggle(document.key)}
+                aria-label={expanded
+                  ? t('thumbnails.outline.collapse', { title: label, defaultValue: `Collapse ${label}` })
+                  : t('thumbnails.outline.expand', { title: label, defaultValue: `Expand ${label}` })}
+              >
+                <span className="material-icons" aria-hidden="true">{expanded ? 'expand_more' : 'chevron_right'}</span>
+              </button>
+              <span className="document-outline-title">{label}</span>
+            </div>
+            {expanded && (
+              <ul role="group" className="document-outline-group">
+                {nodes.map((node) => (
+                  <OutlineNodeRow
+                    key={node.id}
+                    node={node}
+                    level={2}
+                    pageNumber={pageNumber}
+                    toggledIds={toggledIds}
+                    onToggle={toggle}
+                    onSelectPage={selectPage}
+                  />
+                ))}
+                {nodes.length === 0 && (
+                  <li role="none" className="document-outline-status">
+                    {loading
+                      ? t('thumbnails.outline.loading', { defaultValue: 'Reading outline…' })
+                      : t('thumbnails.outline.empty', { defaultValue: 'No outline' })}
+                  </li>
+                )}
+              </ul>
+            )}
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
+
+DocumentOutlinePane.propTypes = {
+  allPages: PropTypes.array.isRequired,
+  bundle: PropTypes.object,
+  pageNumber: PropTypes.number.isRequired,
+  setPageNumber: PropTypes.func.isRequired,
+};
+
+export default React.memo(DocumentOutlinePane);
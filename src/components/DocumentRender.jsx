@@ -9,6 +9,9 @@
  * page visible while the next target page is loading, and optionally prefetches a few neighboring
  * pages for smoother navigation. That avoids the distracting "loading page" blink during normal
  * page-to-page navigation.
+ *
+ * PDF and text-source pages additionally get a selectable text layer with search-hit highlights once the page image
+ * is visible. The layer is skipped while the canvas shows the page rotated.
  */
 
 import React, {
@@ -27,6 +30,12 @@ import logger from '../logging/systemLogger.js';
 import ImageRenderer from './ImageRenderer.jsx';
 import CanvasRenderer from './CanvasRenderer.jsx';
 import LoadingMessage from './LoadingMessage.jsx';
+import PageTextLayer from './PageTextLayer.jsx';
+import PageAnnotationLayer from './PageAnnotationLayer.jsx';
+import { getAnnotationPageKey, getPageAnnotationTarget } from '../utils/annotations.js';
+import { hasPageTextContent } from '../utils/pdfTextContent.js';
+import { isAnimatedImageExtension } from '../utils/animatedImage.js';
+import { getViewerAnimationPlayback } from '../utils/runtimeConfig.js';
 import {
   calculateFitToScreenZoom,
   calculateFitToWidthZoom,
@@ -73,6 +82,17 @@ function isBlobAssetUrl(url) {
   return /^blob:/i.test(String(url || '').trim());
 }
 
+/**
+ * @typedef {Object} DocumentSearchHighlightState
+ * @property {Map<number, Array<import('../utils/pdfTextContent.js').PageTextMatch>>} matchesByPage
+ * @property {(import('../utils/pdfTextContent.js').PageTextMatch|null)} activeMatch
+ */
+
+/** @type {{ pageIndex:number, sourceKey:string, content:* }} */
+const EMPTY_PAGE_TEXT = { pageIndex: -1, sourceKey: '', content: null };
+const EMPTY_VECTOR_PAGE = { sourceKey: '', url: '' };
+const EMPTY_ANIMATION_PAGE = { sourceKey: '', url: '' };
+
 /**
  * @typedef {Object} DisplayedAsset
  * @property {string} url
@@ -95,6 +115,8 @@ function isBlobAssetUrl(url) {
  * @param {{ widthFactorPercent:number, heightFactorPercent:(number|null), actualSizeFactorPercent:(number|null) }=} props.customFitSizeLimits
  * @param {function(): void=} props.onToggleFitZoomMode
  * @param {function({ requestedPageNumber:number, displayedPageNumber:number, pending:boolean, blockingLoading:boolean, hasError:boolean }): void=} props.onDisplayStateChange
+ * @param {(DocumentSearchHighlightState|null)=} props.searchHighlights
+ * @param {(import('./PageAnnotationLayer.jsx').AnnotationLayerState|null)=} props.annotationLayer
  * @returns {React.ReactElement}
  */
 const DocumentRender = React.forwardRef(function DocumentRender(
@@ -112,6 +134,8 @@ const DocumentRender = React.forwardRef(function DocumentRender(
     customFitSizeLimits = null,
     onToggleFitZoomMode,
     onDisplayStateChange = () => {},
+    searchHighlights = null,
+    annotationLayer = null,
   },
   ref
 ) {
@@ -122,6 +146,9 @@ const DocumentRender = React.forwardRef(function DocumentRender(
     pinPageAsset,
     unpinPageAsset,
     getPrintablePageUrls,
+    getPageText,
+    getPageVectorUrl,
+    getPageAnimationUrl,
     documentLoadingConfig,
   } = useContext(ViewerContext);
 
@@ -171,6 +198,11 @@ const DocumentRender = React.forwardRef(function DocumentRender(
     pageIndex: -1,
     url: '',
   });
+  const [pageText, setPageText] = useState(EMPTY_PAGE_TEXT);
+  const [vectorPage, setVectorPage] = useState(EMPTY_VECTOR_PAGE);
+  const [animationPage, setAnimationPage] = useState(EMPTY_ANIMATION_PAGE);
+  const [animationPlaying, setAnimationPlaying] = useState(false);
+  const animationPlayback = useMemo(() => getViewerAnimationPlayback(), []);
 
   useEffect(() => {
     displayedAssetRef.current = displayedAsset;
@@ -510,6 +542,8 @@ const DocumentRender = React.forwardRef(function DocumentRender(
    */
   const handleViewportDoubleClick = useCallback((event) => {
     if (typeof onToggleFitZoomMode !== 'function') return;
+    // Double-click on the text layer selects a word instead of toggling the fit mode.
+    if (event?.target instanceof Element && event.target.closest('.odv-text-layer-item')) return;
     event.preventDefault();
     event.stopPropagation();
     onToggleFitZoomMode();
@@ -1022,6 +1056,102 @@ const DocumentRender = React.forwardRef(function DocumentRender(
   }, [blockingLoading, clearLoadingOverlayTimer, isRequestedAssetVisible, transitionPending]);
 
   const hideDisplayedSurface = !!blockingLoading && displayedAsset.pageIndex !== currentIndex;
+
+  const displayedPage = displayedAsset.pageIndex >= 0 && Array.isArray(allPages)
+    ? (allPages[displayedAsset.pageIndex] || null)
+    : null;
+  const displayedSourceKey = String(displayedPage?.sourceKey || '');
+  const displayedHasText = hasPageTextContent(displayedPage?.fileExtension);
+
+  useEffect(() => {
+    const pageIndex = displayedAsset.pageIndex;
+    if (pageIndex < 0 || !displayedHasText || !displayedSourceKey || typeof getPageText !== 'function') {
+      setPageText(EMPTY_PAGE_TEXT);
+      return undefined;
+    }
+
+    let cancelled = false;
+    void getPageText(pageIndex).then((content) => {
+      if (cancelled) return;
+      setPageText({ pageIndex, sourceKey: displayedSourceKey, content: content || null });
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [displayedAsset.pageIndex, displayedHasText, displayedSourceKey, getPageText]);
+
+  const displayedIsVector = String(displayedPage?.fileExtension || '').toLowerCase() === 'svg';
+
+  // SVG pages display their sanitized vector image over the raster asset at high zoom.
+  useEffect(() => {
+    if (!displayedIsVector || !displayedSourceKey || typeof getPageVectorUrl !== 'function') {
+      setVectorPage(EMPTY_VECTOR_PAGE);
+      return undefined;
+    }
+
+    let cancelled = false;
+    void getPageVectorUrl(displayedAsset.pageIndex).then((url) => {
+      if (!cancelled) setVectorPage({ sourceKey: displayedSourceKey, url: url || '' });
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [displayedAsset.pageIndex, displayedIsVector, displayedSourceKey, getPageVectorUrl]);
+
+  const vectorUrl = !isCanvasEnabled && vectorPage.sourceKey === displayedSourceKey ? vectorPage.url : '';
+
+  const displayedIsAnimated = animationPlayback && isAnimatedImageExtension(displayedPage?.fileExtension);
+
+  // Genuine GIF/WebP animations can be played in place over the frame page.
+  useEffect(() => {
+    setAnimationPlaying(false);
+    if (!displayedIsAnimated || !displayedSourceKey || typeof getPageAnimationUrl !== 'function') {
+      setAnimationPage(EMPTY_ANIMATION_PAGE);
+      return undefined;
+    }
+
+    let cancelled = false;
+    void getPageAnimationUrl(displayedAsset.pageIndex).then((url) => {
+      if (!cancelled) setAnimationPage({ sourceKey: displayedSourceKey, url: url || '' });
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [displayedAsset.pageIndex, displayedIsAnimated, displayedSourceKey, getPageAnimationUrl]);
+
+  const animationUrl = !isCanvasEnabled && animationPage.sourceKey === displayedSourceKey ? animationPage.url : '';
+  const toggleAnimation = useCallback(() => {
+    setAnimationPlaying((playing) => !playing);
+  }, []);
+
+  const textLayerContent = pageText.pageIndex === displayedAsset.pageIndex && pageText.sourceKey === displayedSourceKey
+    ? pageText.content
+    : null;
+  const textLayerHits = useMemo(() => {
+    const matches = searchHighlights?.matchesByPage?.get?.(displayedAsset.pageIndex) || [];
+    const activeMatch = searchHighlights?.activeMatch || null;
+    return matches.map((match) => ({
+      key: `${match.pageIndex}:${match.matchIndex}`,
+      active: !!activeMatch
+        && activeMatch.pageIndex === match.pageIndex
+        && activeMatch.matchIndex === match.matchIndex,
+      segments: match.segments,
+    }));
+  }, [displayedAsset.pageIndex, searchHighlights]);
+  const showTextLayer = !!textLayerContent?.items?.length
+    && !!imageLoaded
+    && !!stageWidthPx
+    && !!stageHeightPx
+    && !(isCanvasEnabled && normalizedRotation !== 0);
+  const annotationTarget = useMemo(
+    () => getPageAnnotationTarget(displayedPage, displayedAsset.pageIndex),
+    [displayedAsset.pageIndex, displayedPage]
+  );
+  const showAnnotationLayer = !!annotationLayer
+    && displayedAsset.pageIndex >= 0
+    && !!imageLoaded
+    && !!stageWidthPx
+    && !!stageHeightPx;
   const showLoadingOverlay = !showErrorState && !isRequestedAssetVisible && !!blockingLoading;
   const hiddenImageStyle = isCanvasEnabled && canvasReady
     ? {
@@ -1047,6 +1177,22 @@ const DocumentRender = React.forwardRef(function DocumentRender(
       className="document-render-viewport"
       onDoubleClick={handleViewportDoubleClick}
     >
+      {!!animationUrl && !!imageLoaded && !hideDisplayedSurface && !showErrorState && (
+        <div className="document-render-animation-bar">
+          <button
+            type="button"
+            className="document-render-animation-control"
+            aria-pressed={animationPlaying}
+            onClick={toggleAnimation}
+            onDoubleClick={(event) => event.stopPropagation()}
+          >
+            {animationPlaying
+              ? t('viewer.animation.stop', { defaultValue: 'Stop animation' })
+              : t('viewer.animation.play', { defaultValue: 'Play animation' })}
+          </button>
+        </div>
+      )}
+
       <div className="document-render-container" style={stageStyle}>
         {displayedUrl && !hideDisplayedSurface && (
           <ImageRenderer
@@ -1055,6 +1201,10 @@ const DocumentRender = React.forwardRef(function DocumentRender(
             src={displayedUrl}
             zoom={zoom}
             pageNumber={displayedAsset.pageNumber || pageNumber}
+            vectorSrc={vectorUrl || undefined}
+            animationSrc={animationPlaying && animationUrl ? animationUrl : undefined}
+            naturalWidth={effectiveRenderSize.width}
+            naturalHeight={effectiveRenderSize.height}
             style={hiddenImageStyle}
             onLoad={handleVisibleImageLoad}
             onError={handleVisibleImageError}
@@ -1085,6 +1235,28 @@ const DocumentRender = React.forwardRef(function DocumentRender(
             pageNumber={displayedAsset.pageNumber || pageNumber}
           />
         )}
+
+        {showTextLayer && !!displayedUrl && !hideDisplayedSurface && !showErrorState && (
+          <PageTextLayer
+            content={textLayerContent}
+            width={stageWidthPx}
+            height={stageHeightPx}
+            hits={textLayerHits}
+            pageNumber={displayedAsset.pageNumber || pageNumber}
+          />
+        )}
+
+        {showAnnotationLayer && !!displayedUrl && !hideDisplayedSurface && !showErrorState && (
+          <PageAnnotationLayer
+            annotationLayer={annotationLayer}
+            target={annotationTarget}
+            pageKey={getAnnotationPageKey(annotationTarget.documentId, annotationTarget.page)}
+            width={stageWidthPx}
+            height={stageHeightPx}
+            rotation={isCanvasEnabled ? normalizedRotation : 0}
+            pageNumber={displayedAsset.pageNumber || pageNumber}
+          />
+        )}
       </div>
 
       {showErrorState && (
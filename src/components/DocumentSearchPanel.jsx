@@ -0,0 +1,199 @@
+// File: src/components/DocumentSearchPanel.jsx
+/**
+ * Floating search panel for text in the PDF pages of the session.
+ *
+ * The panel is a non-modal tool window: the viewer stays usable while it is open, and the active
+ * hit is shown in the page pane with the text-layer highlights. Enter searches (or moves to the next
+ * hit when the query has not changed), Shift+Enter moves back and Escape closes the panel.
+ *
+ * Search state lives in `useDocumentSearch`; this component only renders it.
+ */
+
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+import { useTranslation } from 'react-i18next';
+
+/** Upper bound for rendered result rows; the counter still reports every match. */
+const MAX_RESULT_ROWS = 200;
+
+/**
+ * @param {Object} props
+ * @param {import('./DocumentViewer/hooks/useDocumentSearch.js').DocumentSearchState} props.searchState
+ * @param {function(string): void} props.onSearch
+ * @param {function(): void} props.onNext
+ * @param {function(): void} props.onPrevious
+ * @param {function(number): void} props.onActivate
+ * @param {function(): void} props.onClose
+ * @param {number=} props.focusRequest Increment to move focus back to the query field.
+ * @returns {React.ReactElement}
+ */
+function DocumentSearchPanel({
+  searchState,
+  onSearch,
+  onNext,
+  onPrevious,
+  onActivate,
+  onClose,
+  focusRequest = 0,
+}) {
+  const { t } = useTranslation('common');
+  const inputRef = useRef(/** @type {(HTMLInputElement|null)} */ (null));
+  const [draft, setDraft] = useState(searchState.query);
+
+  useEffect(() => {
+    const input = inputRef.current;
+    if (!input) return;
+    input.focus();
+    input.select();
+  }, [focusRequest]);
+
+  const { status, matches, activeIndex, scannedPages, searchablePages } = searchState;
+  const hasMatches = matches.length > 0;
+  const queryUnchanged = draft.trim() === searchState.query && searchState.query !== '';
+
+  /**
+   * @param {React.KeyboardEvent<HTMLInputElement>} event
+   * @returns {void}
+   */
+  const handleKeyDown = useCallback((event) => {
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      onClose();
+      return;
+    }
+    if (event.key !== 'Enter') return;
+    event.preventDefault();
+    if (queryUnchanged && hasMatches) {
+      if (event.shiftKey) onPrevious();
+      else onNext();
+      return;
+    }
+    onSearch(draft);
+  }, [draft, hasMatches, onClose, onNext, onPrevious, onSearch, queryUnchanged]);
+
+  let statusText = '';
+  if (status === 'searching') {
+    statusText = t('search.searching', {
+      scanned: scannedPages,
+      total: searchablePages,
+      defaultValue: 'Searching… {{scanned}} of {{total}} pages',
+    });
+  } else if (status === 'done' && searchablePages === 0) {
+    statusText = t('search.noSearchablePages', { defaultValue: 'This session has no searchable PDF pages.' });
+  } else if (status === 'done' && !hasMatches) {
+    statusText = t('search.noMatches', { defaultValue: 'No matches' });
+  }
+
+  return (
+    <div
+      className="odv-search-panel"
+      role="search"
+      aria-label={t('search.title', { defaultValue: 'Search in documents' })}
+    >
+      <div className="odv-search-panel-row">
+        <span className="material-icons odv-search-panel-icon" aria-hidden="true">search</span>
+        <input
+          ref={inputRef}
+          type="search"
+          className="odv-search-panel-input"
+          value={draft}
+          onChange={(event) => setDraft(event.target.value)}
+          onKeyDown={handleKeyDown}
+          placeholder={t('search.placeholder', { defaultValue: 'Find text in PDF pages' })}
+          aria-label={t('search.placeholder', { defaultValue: 'Find text in PDF pages' })}
+          autoComplete="off"
+          spellCheck={false}
+        />
+        <span className="odv-search-panel-count" aria-live="polite">
+          {hasMatches
+            ? t('search.matchPosition', {
+                current: Math.max(0, activeIndex) + 1,
+                total: matches.length,
+                defaultValue: '{{current}} of {{total}}',
+              })
+            : ''}
+        </span>
+        <button
+          type="button"
+          className="odv-btn"
+          onClick={onPrevious}
+          disabled={!hasMatches}
+          aria-label={t('search.previous', { defaultValue: 'Previous match' })}
+          title={t('search.previous', { defaultValue: 'Previous match' })}
+        >
+          <span className="material-icons" aria-hidden="true">keyboard_arrow_up</span>
+        </button>
+        <button
+          type="button"
+          className="odv-btn"
+          onClick={onNext}
+          disabled={!hasMatches}
+          aria-label={t('search.next', { defaultValue: 'Next match' })}
+          title={t('search.next', { defaultValue: 'Next match' })}
+        >
+          <span className="material-icons" aria-hidden="true">keyboard_arrow_down</span>
+        </button>
+        <button
+          type="button"
+          className="odv-btn"
+          onClick={onClose}
+          aria-label={t('search.close', { defaultValue: 'Close search' })}
+          title={t('search.close', { defaultValue: 'Close search' })}
+        >
+          <span className="material-icons" aria-hidden="true">close</span>
+        </button>
+      </div>
+
+      {statusText ? (
+        <div className="odv-search-panel-status" role="status">{statusText}</div>
+      ) : null}
+
+      {hasMatches ? (
+        <ol className="odv-search-panel-results">
+          {matches.slice(0, MAX_RESULT_ROWS).map((match, index) => (
+            <li key={`${match.pageIndex}:${match.matchIndex}`}>
+              <button
+                type="button"
+                className={`odv-search-panel-result${index === activeIndex ? ' is-active' : ''}`}
+                aria-current={index === activeIndex ? 'true' : undefined}
+                onClick={() => onActivate(index)}
+              >
+                <span className="odv-search-panel-result-page">
+                  {t('search.pageLabel', { page: match.pageIndex + 1, defaultValue: 'Page {{page}}' })}
+                </span>
+                <span className="odv-search-panel-result-snippet">{match.snippet}</span>
+              </button>
+            </li>
+          ))}
+          {matches.length > MAX_RESULT_ROWS ? (
+            <li className="odv-search-panel-results-more">
+              {t('search.moreResults', {
+                count: matches.length - MAX_RESULT_ROWS,
+                defaultValue: '{{count}} more matches; use next/previous to reach them.',
+              })}
+            </li>
+          ) : null}
+        </ol>
+      ) : null}
+    </div>
+  );
+}
+
+DocumentSearchPanel.propTypes = {
+  searchState: PropTypes.shape({
+    query: PropTypes.string.isRequired,
+    status: PropTypes.oneOf(['idle', 'searching', 'done']).isRequired,
+    matches: PropTypes.arrayOf(PropTypes.object).isRequired,
+    activeIndex: PropTypes.number.isRequired,
+    scannedPages: PropTypes.number.isRequired,
+    searchablePages: PropTypes.number.isRequired,
+  }).isRequired,
+  onSearch: PropTypes.func.isRequired,
+  onNext: PropTypes.func.isRequired,
+  onPrevious: PropTypes.func.isRequired,
+  onActivate: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired,
+  focusRequest: PropTypes.number,
+};
+
+export default React.memo(DocumentSearchPanel);
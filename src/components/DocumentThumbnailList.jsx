@@ -31,6 +31,7 @@ import {
 } from '../utils/documentLoadingConfig.js';
 import { getPublicAssetUrl } from '../utils/publicAssetUrl.js';
 import { bundleDocumentHasMetadata } from '../utils/documentMetadata.js';
+import { getOriginalSource } from '../utils/originalDownload.js';
 
 /**
  * @typedef {Object} ThumbnailRowProps
@@ -404,9 +405,11 @@ const ThumbnailRow = React.memo(function ThumbnailRow({
         ? t('thumbnails.goToPageLeftPane', { page: visiblePageNumber, defaultValue: `Go to page ${visiblePageNumber} (left pane)` })
         : t('thumbnails.goToPage', { page: visiblePageNumber, defaultValue: `Go to page ${visiblePageNumber}` });
 
-  const rowTitle = documentContext.hasMultipleDocuments
-    ? `${navigationTitle} — ${metricTitles.combinedTitle}`
-    : navigationTitle;
+  const rowTitle = [
+    navigationTitle,
+    documentContext.hasMultipleDocuments ? metricTitles.combinedTitle : '',
+    page?.sourceDisplayName || '',
+  ].filter(Boolean).join(' — ');
 
   return (
     <div
@@ -530,6 +533,7 @@ const ThumbnailRow = React.memo(function ThumbnailRow({
  * @param {function(number): boolean} [props.onHidePageFromSelection]
  * @param {function(number): boolean} [props.onHideDocumentFromSelection]
  * @param {function(number): boolean} [props.onOpenDocumentMetadata]
+ * @param {function(number): boolean} [props.onDownloadOriginal]
  * @returns {React.ReactElement}
  */
 const DocumentThumbnailList = React.memo(function DocumentThumbnailList({
@@ -547,6 +551,7 @@ const DocumentThumbnailList = React.memo(function DocumentThumbnailList({
   onHidePageFromSelection,
   onHideDocumentFromSelection,
   onOpenDocumentMetadata,
+  onDownloadOriginal,
 }) {
   const { t } = useTranslation('common');
   const isShiftPressed = !!navigationModifierState.shift;
@@ -576,7 +581,7 @@ const DocumentThumbnailList = React.memo(function DocumentThumbnailList({
   const [viewportHeight, setViewportHeight] = useState(0);
   const [scrollTop, setScrollTop] = useState(0);
   const [containerWidth, setContainerWidth] = useState(Math.max(160, Number(width) || 0));
-  const [contextMenuState, setContextMenuState] = useState(/** @type {(null|{ x:number, y:number, originalIndex:number, documentNumber:number, totalDocuments:number, documentId:(string|undefined) })} */ (null));
+  const [contextMenuState, setContextMenuState] = useState(/** @type {(null|{ x:number, y:number, originalIndex:number, documentNumber:number, totalDocuments:number, documentId:(string|undefined), hasSource:boolean })} */ (null));
 
   const totalCount = Array.isArray(allPages) ? allPages.length : 0;
   const documentGroupingActive = useMemo(
@@ -1095,7 +1100,8 @@ const DocumentThumbnailList = React.memo(function DocumentThumbnailList({
     const hasCompareAction = typeof selectForCompare === 'function';
     const hasMetadataAction = typeof onOpenDocumentMetadata === 'function'
       && bundleDocumentHasMetadata(bundle, page?.documentId);
-    if (!hasSelectionActions && !hasCompareAction && !hasMetadataAction) {
+    const hasDownloadAction = typeof onDownloadOriginal === 'function' && !!getOriginalSource(page);
+    if (!hasSelectionActions && !hasCompareAction && !hasMetadataAction && !hasDownloadAction) {
       closeContextMenu();
       return;
     }
@@ -1109,8 +1115,9 @@ const DocumentThumbnailList = React.memo(function DocumentThumbnailList({
       documentNumber: documentContext.documentNumber,
       totalDocuments: documentContext.totalDocuments,
       documentId: String(page?.documentId || '').trim() || undefined,
+      hasSource: !!getOriginalSource(page),
     });
-  }, [bundle, closeContextMenu, onHideDocumentFromSelection, onHidePageFromSelection, onOpenDocumentMetadata, selectForCompare, selectionPanelEnabled]);
+  }, [bundle, closeContextMenu, onDownloadOriginal, onHideDocumentFromSelection, onHidePageFromSelection, onOpenDocumentMetadata, selectForCompare, selectionPanelEnabled]);
 
   const handleCompareFromContextMenu = useCallback(() => {
     if (!contextMenuState || typeof selectForCompare !== 'function') return;
@@ -1136,6 +1143,12 @@ const DocumentThumbnailList = React.memo(function DocumentThumbnailList({
     if (opened !== false) closeContextMenu();
   }, [closeContextMenu, contextMenuState, onOpenDocumentMetadata]);
 
+  const handleDownloadOriginalFromContextMenu = useCallback(() => {
+    if (!contextMenuState || typeof onDownloadOriginal !== 'function') return;
+    const opened = onDownloadOriginal(contextMenuState.originalIndex);
+    if (opened !== false) closeContextMenu();
+  }, [closeContextMenu, contextMenuState, onDownloadOriginal]);
+
   /**
    * @param {number} sessionIndex
    * @param {('full'|'thumbnail')} variant
@@ -1181,6 +1194,8 @@ const DocumentThumbnailList = React.memo(function DocumentThumbnailList({
   const canOpenMetadataFromContextMenu = !!contextMenuState
     && typeof onOpenDocumentMetadata === 'function'
     && bundleDocumentHasMetadata(bundle, contextMenuState.documentId);
+  const canDownloadOriginalFromContextMenu = !!contextMenuState?.hasSource
+    && typeof onDownloadOriginal === 'function';
   const contextMenuLeft = contextMenuState
     ? Math.max(8, Math.min(contextMenuState.x, Math.max(8, (typeof window !== 'undefined' ? window.innerWidth : contextMenuState.x + 240) - 248)))
     : 0;
@@ -1279,6 +1294,24 @@ const DocumentThumbnailList = React.memo(function DocumentThumbnailList({
               </span>
             </button>
           ) : null}
+          {canDownloadOriginalFromContextMenu ? (
+            <button
+              type="button"
+              className="odv-context-menu-item"
+              role="menuitem"
+              onClick={handleDownloadOriginalFromContextMenu}
+              title={t('thumbnails.contextMenu.downloadOriginal', {
+                defaultValue: 'Download the original file of this page',
+              })}
+            >
+              <span className="material-icons" aria-hidden="true">file_present</span>
+              <span>
+                {t('thumbnails.contextMenu.downloadOriginalLabel', {
+                  defaultValue: 'Download original',
+                })}
+              </span>
+            </button>
+          ) : null}
           {canHidePageFromSelection ? (
             <button
               type="button"
@@ -1364,6 +1397,7 @@ DocumentThumbnailList.propTypes = {
   onHidePageFromSelection: PropTypes.func,
   onHideDocumentFromSelection: PropTypes.func,
   onOpenDocumentMetadata: PropTypes.func,
+  onDownloadOriginal: PropTypes.func,
 };
 
 export default DocumentThumbnailList;
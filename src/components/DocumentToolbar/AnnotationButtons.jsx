@@ -0,0 +1,160 @@
+// File: src/components/DocumentToolbar/AnnotationButtons.jsx
+/**
+ * File: src/components/DocumentToolbar/AnnotationButtons.jsx
+ *
+ * Annotation toggle:
+ *   [ Annotate | ▾ ]
+ *
+ * The main button turns annotating on with the last used tool, or off again. The menu picks the
+ * tool (select, rectangle, highlight, note, freehand ink, stamp), the stamp placed by the stamp
+ * tool, and deletes the selected annotation.
+ *
+ * @component
+ * @param {Object} props
+ * @param {(string|null)} props.tool                     Active tool, or null when annotating is off.
+ * @param {function((string|null)):void} props.onToolChange
+ * @param {string} props.stamp                           Stamp placed by the stamp tool.
+ * @param {function(string):void} props.onStampChange
+ * @param {boolean} [props.hasSelection=false]           An annotation is selected.
+ * @param {function():void} [props.onDeleteSelected]
+ * @param {number} [props.count=0]                       Number of annotations in the session.
+ * @returns {JSX.Element}
+ */
+
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { useTranslation } from 'react-i18next';
+import SplitToolbarButton from './SplitToolbarButton.jsx';
+import { ANNOTATION_STAMPS } from '../../utils/annotations.js';
+import { ANNOTATION_TOOLS } from '../DocumentViewer/hooks/useAnnotations.js';
+
+/** @type {Object<string, { icon:string, label:string }>} */
+const TOOL_DEFAULTS = Object.freeze({
+  select: { icon: 'near_me', label: 'Select' },
+  rect: { icon: 'crop_square', label: 'Rectangle' },
+  highlight: { icon: 'border_color', label: 'Highlight' },
+  note: { icon: 'sticky_note_2', label: 'Note' },
+  ink: { icon: 'gesture', label: 'Freehand' },
+  stamp: { icon: 'approval', label: 'Stamp' },
+});
+
+const AnnotationButtons = ({
+  tool,
+  onToolChange,
+  stamp,
+  onStampChange,
+  hasSelection = false,
+  onDeleteSelected,
+  count = 0,
+}) => {
+  const { t } = useTranslation('common');
+  const [lastTool, setLastTool] = useState('highlight');
+  const chooseTool = (next) => {
+    if (next) setLastTool(next);
+    onToolChange(next);
+  };
+
+  const label = tool
+    ? t('toolbar.annotations.disable', { defaultValue: 'Stop annotating' })
+    : t('toolbar.annotations.enable', { defaultValue: 'Annotate pages' });
+  const title = count > 0
+    ? `${label} (${t('toolbar.annotations.count', { count, defaultValue: 'Annotations: {{count}}' })})`
+    : label;
+
+  return (
+    <SplitToolbarButton
+      onClick={() => chooseTool(tool ? null : lastTool)}
+      ariaLabel={label}
+      title={title}
+      menuLabel={t('toolbar.annotations.menu', { defaultValue: 'Annotation tools' })}
+      className={tool ? 'is-active' : ''}
+      mainClassName={tool ? 'is-active' : ''}
+      menuChildren={({ closeMenu }) => (
+        <>
+          <div className="toolbar-split-menu-section">
+            <div className="toolbar-split-menu-title">
+              {t('toolbar.annotations.tools', { defaultValue: 'Tool' })}
+            </div>
+            {ANNOTATION_TOOLS.map((id) => {
+              const selected = tool === id;
+              return (
+                <button
+                  key={id}
+                  type="button"
+                  role="menuitemradio"
+                  aria-checked={selected}
+                  className={`toolbar-popup-menu-item toolbar-split-menu-row${selected ? ' is-selected' : ''}`}
+                  onClick={() => {
+                    chooseTool(selected ? null : id);
+                    closeMenu();
+                  }}
+                >
+                  <span className="toolbar-popup-menu-check material-icons" aria-hidden="true">
+                    {TOOL_DEFAULTS[id].icon}
+                  </span>
+                  <span>{t(`toolbar.annotations.tool.${id}`, { defaultValue: TOOL_DEFAULTS[id].label })}</span>
+                </button>
+              );
+            })}
+          </div>
+          <div className="toolbar-split-menu-section">
+            <div className="toolbar-split-menu-title">
+              {t('toolbar.annotations.stamp', { defaultValue: 'Stamp' })}
+            </div>
+            {ANNOTATION_STAMPS.map((entry) => {
+              const selected = stamp === entry.id;
+              return (
+                <button
+                  key={entry.id}
+                  type="button"
+                  role="menuitemradio"
+                  aria-checked={selected}
+                  className={`toolbar-popup-menu-item toolbar-split-menu-row${selected ? ' is-selected' : ''}`}
+                  onClick={() => {
+                    onStampChange(entry.id);
+                    chooseTool('stamp');
+                    closeMenu();
+                  }}
+                >
+                  <span className={`toolbar-popup-menu-check${selected ? ' material-icons is-selected' : ''}`} aria-hidden="true">
+                    {selected ? 'check' : ''}
+                  </span>
+                  <span>{t(`annotations.stamps.${entry.id}`, { defaultValue: entry.label })}</span>
+                </button>
+              );
+            })}
+          </div>
+          <div className="toolbar-split-menu-section">
+            <button
+              type="button"
+              role="menuitem"
+              className="toolbar-popup-menu-item toolbar-split-menu-row"
+              disabled={!hasSelection || typeof onDeleteSelected !== 'function'}
+              onClick={() => {
+                onDeleteSelected?.();
+                closeMenu();
+              }}
+            >
+              <span className="toolbar-popup-menu-check material-icons" aria-hidden="true">delete</span>
+              <span>{t('toolbar.annotations.deleteSelected', { defaultValue: 'Delete selected annotation' })}</span>
+            </button>
+          </div>
+        </>
+      )}
+    >
+      <span className="material-icons" aria-hidden="true">draw</span>
+    </SplitToolbarButton>
+  );
+};
+
+AnnotationButtons.propTypes = {
+  tool: PropTypes.string,
+  onToolChange: PropTypes.func.isRequired,
+  stamp: PropTypes.string.isRequired,
+  onStampChange: PropTypes.func.isRequired,
+  hasSelection: PropTypes.bool,
+  onDeleteSelected: PropTypes.func,
+  count: PropTypes.number,
+};
+
+export default React.memo(AnnotationButtons);
@@ -0,0 +1,108 @@
+// File: src/components/DocumentToolbar/BatesSettingsFields.jsx
+/**
+ * File: src/components/DocumentToolbar/BatesSettingsFields.jsx
+ *
+ * Prefix, start number, digits and position fields of the Bates numbering cards in the print and
+ * export dialogs. The dialogs own the values and the checkbox that switches numbering on.
+ *
+ * @component
+ * @param {Object} props
+ * @param {string} props.prefix
+ * @param {function(string):void} props.onPrefixChange
+ * @param {string} props.startNumber Start number as typed; the dialog validates it on submit.
+ * @param {function(string):void} props.onStartNumberChange
+ * @param {number} props.digits
+ * @param {function(number):void} props.onDigitsChange
+ * @param {string} props.position
+ * @param {function(string):void} props.onPositionChange
+ * @returns {JSX.Element}
+ */
+
+import React, { useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { useTranslation } from 'react-i18next';
+import { BATES_MAX_DIGITS, BATES_MAX_PREFIX_LENGTH, BATES_MIN_DIGITS, BATES_POSITIONS } from '../../utils/batesNumbering.js';
+
+const BATES_DIGIT_OPTIONS = Array.from({ length: BATES_MAX_DIGITS - BATES_MIN_DIGITS + 1 }, (_, index) => BATES_MIN_DIGITS + index);
+
+const BatesSettingsFields = ({
+  prefix,
+  onPrefixChange,
+  startNumber,
+  onStartNumberChange,
+  digits,
+  onDigitsChange,
+  position,
+  onPositionChange,
+}) => {
+  const { t } = useTranslation('common');
+
+  const positionLabels = useMemo(() => ({
+    'bottom-right': t('printDialog.bates.positions.bottom-right', { defaultValue: 'Bottom right' }),
+    'bottom-center': t('printDialog.bates.positions.bottom-center', { defaultValue: 'Bottom center' }),
+    'bottom-left': t('printDialog.bates.positions.bottom-left', { defaultValue: 'Bottom left' }),
+    'top-right': t('printDialog.bates.positions.top-right', { defaultValue: 'Top right' }),
+    'top-center': t('printDialog.bates.positions.top-center', { defaultValue: 'Top center' }),
+    'top-left': t('printDialog.bates.positions.top-left', { defaultValue: 'Top left' }),
+  }), [t]);
+
+  return (
+    <div className="odv-prd-rangeRow">
+      <label className="odv-prd-labelBlock">
+        <span>{t('printDialog.bates.prefix', { defaultValue: 'Prefix' })}</span>
+        <input
+          type="text"
+          className="odv-prd-input"
+          maxLength={BATES_MAX_PREFIX_LENGTH}
+          value={prefix}
+          onChange={(event) => onPrefixChange(event.target.value)}
+        />
+      </label>
+      <label className="odv-prd-labelBlock">
+        <span>{t('printDialog.bates.startNumber', { defaultValue: 'Start number' })}</span>
+        <input
+          type="text"
+          className="odv-prd-input"
+          inputMode="numeric"
+          value={startNumber}
+          onChange={(event) => onStartNumberChange(event.target.value)}
+        />
+      </label>
+      <label className="odv-prd-labelBlock">
+        <span>{t('printDialog.bates.digits', { defaultValue: 'Digits' })}</span>
+        <select
+          className="odv-prd-select"
+          value={digits}
+          onChange={(event) => onDigitsChange(Number(event.target.value))}
+        >
+          {BATES_DIGIT_OPTIONS.map((value) => <option key={value} value={value}>{value}</option>)}
+        </select>
+      </label>
+      <label className="odv-prd-labelBlock">
+        <span>{t('printDialog.bates.position', { defaultValue: 'Position' })}</span>
+        <select
+          className="odv-prd-select"
+          value={position}
+          onChange={(event) => onPositionChange(event.target.value)}
+        >
+          {BATES_POSITIONS.map((value) => (
+            <option key={value} value={value}>{positionLabels[value]}</option>
+          ))}
+        </select>
+      </label>
+    </div>
+  );
+};
+
+BatesSettingsFields.propTypes = {
+  prefix: PropTypes.string.isRequired,
+  onPrefixChange: PropTypes.func.isRequired,
+  startNumber: PropTypes.string.isRequired,
+  onStartNumberChange: PropTypes.func.isRequired,
+  digits: PropTypes.number.isRequired,
+  onDigitsChange: PropTypes.func.isRequired,
+  position: PropTypes.string.isRequired,
+  onPositionChange: PropTypes.func.isRequired,
+};
+
+export default React.memo(BatesSettingsFields);
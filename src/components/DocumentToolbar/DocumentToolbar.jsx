@@ -21,6 +21,8 @@ import userLog from '../../logging/userLogger.js';
 import logger from '../../logging/systemLogger.js';
 import PageNavigationButtons from './PageNavigationButtons.jsx';
 import ZoomButtons from './ZoomButtons.jsx';
+import PageLayoutButtons from './PageLayoutButtons.jsx';
+import AnnotationButtons from './AnnotationButtons.jsx';
 import SplitToolbarButton from './SplitToolbarButton.jsx';
 import LanguageMenuButton from './LanguageMenuButton.jsx';
 import ThemeMenuButton from './ThemeMenuButton.jsx';
@@ -29,14 +31,21 @@ import PrintRangeDialog from './PrintRangeDialog.jsx';
 import HelpMenuButton from './HelpMenuButton.jsx';
 import ManualOverlayDialog from './ManualOverlayDialog.jsx';
 import AboutOverlayDialog from './AboutOverlayDialog.jsx';
+import ExportDialog from './ExportDialog.jsx';
 import usePdfPrebuildAllPages from './usePdfPrebuildAllPages.js';
-import { getRuntimeConfig } from '../../utils/runtimeConfig.js';
+import { getExportConfig, getPrintBatesConfig, getRuntimeConfig } from '../../utils/runtimeConfig.js';
+import { handlePageExport } from '../../utils/pageExport.js';
+import { getPageAnnotationKey, groupAnnotationsByPage, isRedaction, rotateAnnotation } from '../../utils/annotations.js';
+import { summarizeRedactions } from '../../utils/redaction.js';
+import { describeBatesRange } from '../../utils/batesNumbering.js';
+import { REDACTION_TOOL } from '../DocumentViewer/hooks/useAnnotations.js';
 import {
   clearPrintDefaultModePreference,
   getPrintDefaultModePreference,
   setPrintDefaultModePreference,
 } from '../../utils/viewerPreferences.js';
 import ViewerContext from '../../contexts/viewerContext.js';
+import { ODV_HOST_EVENTS, emitHostEvent } from '../../integrations/hostEvents.js';
 import StatusLed from '../common/StatusLed.jsx';
 import { isPdfBenchmarkEnabled, runPdfGenerationBenchmark } from '../../utils/pdfBenchmark.js';
 import { isRenderDecodeBenchmarkEnabled, runRenderDecodeBenchmark } from '../../utils/renderDecodeBenchmark.js';
@@ -46,6 +55,8 @@ import {
   getPdfPrintCacheKeyOptions,
 } from '../../utils/pdfPrintCacheKey.js';
 
+/** @type {Array<*>} */
+const EMPTY_ANNOTATIONS = [];
 const EMPTY_PDF_PROGRESS = Object.freeze({ open: false, action: '', phase: '', current: 0, progressValue: 0, page: 0, total: 0, error: '', minimized: false });
 
 /**
@@ -101,6 +112,9 @@ function getPdfProgressPercent(progress) {
  * @property {Object=} reasonSelection
  * @property {Object=} printFormatSelection
  * @property {'auto'|'portrait'|'landscape'=} pdfOrientation
+ * @property {'single'|'2-up'|'4-up'|'booklet'=} pdfLayout
+ * @property {(import('../../utils/batesNumbering.js').BatesSettings|null)=} bates
+ * @property {(import('../../utils/printSeparators.js').SeparatorSettings|null)=} separators
  * @property {'html'|'pdf'=} printBackend
  * @property {'print'|'download'=} printAction
  */
@@ -167,11 +181,28 @@ function getPdfProgressPercent(progress) {
  * @property {AnyRef} documentRenderRef
  * @property {AnyRef} viewerContainerRef
  * @property {boolean} isPrintDialogOpen
+ * @property {(Object|null)=} printDialogPreset
  * @property {function(): void} openPrintDialog
  * @property {function(): void} closePrintDialog
+ * @property {number=} batesNextNumber Bates number of the next stamped page.
+ * @property {function(number): void=} setBatesNextNumber Called with the number after the last stamped page.
  * @property {boolean=} printEnabled
  * @property {function(): void} handleCompare
  * @property {boolean} isComparing
+ * @property {boolean=} isSearchOpen
+ * @property {function(): void=} onToggleSearch
+ * @property {('single'|'continuous'|'spread')=} pageLayout
+ * @property {function(('single'|'continuous'|'spread')): void=} setPageLayout
+ * @property {boolean=} spreadCoverPage
+ * @property {function(boolean): void=} setSpreadCoverPage
+ * @property {Array<import('../../utils/annotations.js').ViewerAnnotation>=} annotations Session annotations.
+ * @property {(string|null)=} annotationTool Active annotation tool, or null when annotating is off.
+ * @property {function((string|null)): void=} setAnnotationTool
+ * @property {string=} annotationStamp Stamp placed by the stamp tool.
+ * @property {function(string): void=} setAnnotationStamp
+ * @property {(string|null)=} selectedAnnotationId
+ * @property {function(): void=} onDeleteSelectedAnnotation
+ * @property {function(number): boolean=} onDownloadOriginal Opens "Download original" for a 0-based session page index.
  * @property {'primary'|'compare'=} activePane
  * @property {(number|null)=} comparePageNumber
  * @property {(number|null)=} comparePageNumberDisplay
@@ -273,6 +304,14 @@ function isPdfPage(page) {
   return String(page?.fileExtension || '').toLowerCase() === 'pdf';
 }
 
+/**
+ * @param {*} properties Image properties of a viewer pane.
+ * @returns {boolean}
+ */
+function hasImageAdjustments(properties) {
+  return Number(properties?.brightness ?? 100) !== 100 || Number(properties?.contrast ?? 100) !== 100;
+}
+
 /**
  * Toolbar shell for page navigation, zoom, comparison, image adjustments, help, language, and print entry.
  *
@@ -318,11 +357,28 @@ const DocumentToolbar = ({
   compareRef,
   viewerContainerRef,
   isPrintDialogOpen = false,
+  printDialogPreset = null,
   openPrintDialog,
   closePrintDialog,
+  batesNextNumber = 1,
+  setBatesNextNumber,
   printEnabled = true,
   handleCompare,
   isComparing,
+  isSearchOpen = false,
+  onToggleSearch,
+  pageLayout = 'single',
+  setPageLayout,
+  spreadCoverPage = false,
+  setSpreadCoverPage,
+  annotations = EMPTY_ANNOTATIONS,
+  annotationTool = null,
+  setAnnotationTool,
+  annotationStamp = 'approved',
+  setAnnotationStamp,
+  selectedAnnotationId = null,
+  onDeleteSelectedAnnotation,
+  onDownloadOriginal,
   activePane = 'primary',
   comparePageNumber = null,
   comparePageNumberDisplay = null,
@@ -368,12 +424,15 @@ const DocumentToolbar = ({
   const viewerContext = useContext(ViewerContext);
   const [isManualDialogOpen, setIsManualDialogOpen] = useState(false);
   const [isAboutDialogOpen, setIsAboutDialogOpen] = useState(false);
+  const [isExportDialogOpen, setIsExportDialogOpen] = useState(false);
   const [openAdjustmentMenu, setOpenAdjustmentMenu] = useState(/** @type {(null|'brightness'|'contrast')} */ (null));
   const [pdfProgress, setPdfProgress] = useState(/** @type {{ open:boolean, action:string, phase:string, current:number, progressValue:number, page:number, total:number, error:string, minimized:boolean }} */ (EMPTY_PDF_PROGRESS));
   const pdfAbortControllerRef = useRef(/** @type {AbortController|null} */ (null));
   const pdfStartTimeoutRef = useRef(/** @type {number|null} */ (null));
   const pdfRunSeqRef = useRef(0);
   const pdfBackgroundModeRef = useRef(false);
+  const hostPrintJobRef = useRef(/** @type {{ printId:number, backend:string, action:string, pageCount:number }|null} */ (null));
+  const hostPrintSeqRef = useRef(0);
   const pendingPdfOutputRef = useRef(/** @type {{ blob:Blob, action:string, filename:string, total:number, detail:Object, pageNumbers:Array<number> }|null} */ (null));
   // Generated PDF blobs are kept for the current loaded document session. Active-page
   // output is intentionally excluded because it includes transient visual edit state.
@@ -799,21 +858,42 @@ const DocumentToolbar = ({
     return null;
   }, [hasActiveSelection, sessionTotalPages, visibleOriginalPageNumbers]);
 
+  const annotationsByPage = useMemo(() => groupAnnotationsByPage(annotations), [annotations]);
+  const redactionCount = useMemo(() => annotations.filter(isRedaction).length, [annotations]);
+  const isRedacting = annotationTool === REDACTION_TOOL;
+  const redactionLabel = isRedacting
+    ? t('toolbar.redaction.disable', { defaultValue: 'Stop redacting' })
+    : t('toolbar.redaction.enable', { defaultValue: 'Redact regions' });
+
   /**
    * Resolve page metadata objects aligned with the printed page sequence.
-   * Page numbers are 1-based original session page numbers.
+   * Page numbers are 1-based original session page numbers. Each context carries the page's
+   * annotations and, separately, its redaction regions (which are burned into the image instead of
+   * drawn on top), both turned by the matching entry of `rotations` when the printed image is rotated.
+   * `imageRotation` and `imageAdjusted` describe the printed image, so generated-PDF output can tell
+   * whether the original PDF page still matches it.
    * @param {Array<number>} pageNumbers
+   * @param {Array<number>=} rotations Rotation of each printed image, aligned with `pageNumbers`.
+   * @param {Array<boolean>=} adjusted Whether each printed image has brightness/contrast edits.
    * @returns {Array<*>}
    */
-  const resolvePrintPageContexts = useCallback((pageNumbers) => {
+  const resolvePrintPageContexts = useCallback((pageNumbers, rotations = [], adjusted = []) => {
     if (!Array.isArray(pageNumbers) || !pageNumbers.length) return [];
     const pages = Array.isArray(allPages) ? allPages : [];
-    return pageNumbers.map((pageNumber) => {
+    return pageNumbers.map((pageNumber, position) => {
       const index = Math.floor(Number(pageNumber) || 0) - 1;
       const page = index >= 0 ? (pages[index] || null) : null;
-      return page ? { ...page, originalPageNumber: index + 1 } : { originalPageNumber: index + 1 };
+      const rotation = Number(rotations[position]) || 0;
+      const turned = (annotationsByPage.get(getPageAnnotationKey(page, index)) || [])
+        .map((annotation) => (rotation ? rotateAnnotation(annotation, rotation) : annotation));
+      const pageAnnotations = turned.filter((annotation) => !isRedaction(annotation));
+      const redactions = turned.filter(isRedaction);
+      const image = { imageRotation: rotation, imageAdjusted: !!adjusted[position] };
+      return page
+        ? { ...page, originalPageNumber: index + 1, annotations: pageAnnotations, redactions, ...image }
+        : { originalPageNumber: index + 1, annotations: pageAnnotations, redactions, ...image };
     });
-  }, [allPages]);
+  }, [allPages, annotationsByPage]);
 
   /**
    * @param {PrintSubmitDetail} detail
@@ -857,6 +937,14 @@ const DocumentToolbar = ({
    */
   const makePrintOptions = useCallback((detail) => {
     const pageNumbers = resolvePrintPageNumbers(detail);
+    // Current-page output is taken from the single-page canvas, which is already rotated; the
+    // continuous and spread layouts rotate with CSS, so their images are printed unrotated.
+    const activeSurfaceRotated = isComparing || pageLayout === 'single';
+    const activeSurface = (!detail || detail.mode === 'active') && activeSurfaceRotated;
+    const rotations = activeSurface ? [primaryImageProperties?.rotation, compareImageProperties?.rotation] : [];
+    const adjusted = activeSurface
+      ? [primaryImageProperties, compareImageProperties].map(hasImageAdjustments)
+      : [];
     return {
       viewerContainerRef,
       documentRenderRef,
@@ -867,16 +955,32 @@ const DocumentToolbar = ({
       printFormatSelection: detail?.printFormatSelection || null,
       bundle: bundle || null,
       pageNumbers,
-      pageContexts: resolvePrintPageContexts(pageNumbers),
+      pageContexts: resolvePrintPageContexts(pageNumbers, rotations, adjusted),
+      readSourceArrayBuffer: viewerContext?.readSourceArrayBuffer,
       printHeaderCfg: getRuntimeConfig().printHeader || {},
       printFooterCfg: getRuntimeConfig().printFooter || {},
       printFormatCfg: getRuntimeConfig().print?.format || {},
       pdfCfg: getRuntimeConfig().print?.pdf || {},
       pdfOrientation: detail?.pdfOrientation || '',
+      pdfLayout: detail?.pdfLayout || '',
+      bates: detail?.bates || null,
+      separators: detail?.separators || null,
+      separatorCfg: getRuntimeConfig().print?.separators || {},
       action: detail?.printAction === 'download' ? 'download' : 'print',
       filename: getRuntimeConfig().print?.pdf?.filename || 'opendocviewer-print.pdf',
     };
-  }, [bundle, documentRenderRef, resolvePrintPageContexts, resolvePrintPageNumbers, viewerContainerRef]);
+  }, [
+    bundle,
+    compareImageProperties,
+    documentRenderRef,
+    isComparing,
+    pageLayout,
+    primaryImageProperties,
+    resolvePrintPageContexts,
+    resolvePrintPageNumbers,
+    viewerContainerRef,
+    viewerContext?.readSourceArrayBuffer,
+  ]);
 
   /**
    * Fire-and-forget user print log. Must never block the print action.
@@ -885,6 +989,8 @@ const DocumentToolbar = ({
    */
   const submitUserPrintLog = useCallback((detail) => {
     try {
+      const redacted = summarizeRedactions(resolvePrintPageContexts(resolvePrintPageNumbers(detail)));
+      const bates = describeBatesRange(detail?.bates || null, resolvePrintPageCount(detail));
       userLog.submitPrint({
         action: detail?.printAction === 'download' ? 'download-pdf' : (detail?.printBackend === 'pdf' ? 'print-pdf' : 'print'),
         reason: detail?.reason ?? null,
@@ -895,10 +1001,65 @@ const DocumentToolbar = ({
         fileName: null,
         pageCount: resolvePrintPageCount(detail),
         pages: toPagesString(detail),
-        copies: 1
+        copies: 1,
+        ...(redacted.regions > 0 ? { redactedRegions: redacted.regions, redactedPages: redacted.pages } : {}),
+        ...(bates ? { batesFirst: bates.first, batesLast: bates.last } : {}),
       });
     } catch { /* never throw */ }
-  }, [resolvePrintPageCount, toPagesString]);
+  }, [resolvePrintPageContexts, resolvePrintPageCount, resolvePrintPageNumbers, toPagesString]);
+
+  /**
+   * Emit `odv:print-start` and remember the job until its matching `odv:print-finish`.
+   * @param {PrintSubmitDetail} detail
+   * @returns {void}
+   */
+  const startHostPrintJob = useCallback((detail) => {
+    const pageNumbers = resolvePrintPageNumbers(detail);
+    const documents = [];
+    const seenDocuments = new Set();
+    for (const context of resolvePrintPageContexts(pageNumbers)) {
+      const key = String(context?.documentId || context?.documentNumber || '');
+      if (!key || seenDocuments.has(key)) continue;
+      seenDocuments.add(key);
+      documents.push({
+        documentId: context.documentId ? String(context.documentId) : null,
+        documentNumber: Number(context.documentNumber) || null,
+      });
+    }
+    hostPrintSeqRef.current += 1;
+    const job = {
+      printId: hostPrintSeqRef.current,
+      backend: detail?.printBackend === 'pdf' ? 'pdf' : 'html',
+      action: detail?.printAction === 'download' ? 'download' : 'print',
+      pageCount: pageNumbers.length,
+    };
+    hostPrintJobRef.current = job;
+    const bates = describeBatesRange(detail?.bates || null, pageNumbers.length);
+    emitHostEvent(ODV_HOST_EVENTS.PRINT_START, {
+      ...job,
+      mode: detail?.mode || 'active',
+      pageNumbers,
+      documents,
+      bates: bates ? { first: bates.first, last: bates.last, nextNumber: bates.nextNumber } : null,
+    });
+  }, [resolvePrintPageContexts, resolvePrintPageNumbers]);
+
+  /**
+   * Emit `odv:print-finish` for the active print job, if any.
+   * @param {'completed'|'cancelled'|'failed'} status
+   * @param {*=} error
+   * @returns {void}
+   */
+  const finishHostPrintJob = useCallback((status, error) => {
+    const job = hostPrintJobRef.current;
+    if (!job) return;
+    hostPrintJobRef.current = null;
+    emitHostEvent(ODV_HOST_EVENTS.PRINT_FINISH, {
+      ...job,
+      status,
+      error: error ? String(error?.message || error) : null,
+    });
+  }, []);
 
   const pdfPrintSessionKey = useMemo(() => {
     const pages = Array.isArray(allPages) ? allPages : [];
@@ -909,10 +1070,16 @@ const DocumentToolbar = ({
     return `${pages.length}:${firstKey}:${lastKey}`;
   }, [allPages]);
 
+  // Printed annotations are part of the PDF content, so any change invalidates generated PDFs.
+  const annotationsPrintKey = useMemo(
+    () => (annotations.length ? JSON.stringify(annotations) : ''),
+    [annotations]
+  );
+
   useEffect(() => {
     pdfPrintCacheRef.current = new Map();
     setLastPdfPrintInfo(null);
-  }, [pdfPrintSessionKey]);
+  }, [annotationsPrintKey, pdfPrintSessionKey]);
 
   useEffect(() => {
     if (String(memoryPressureStage || 'normal').toLowerCase() === 'hard') {
@@ -968,6 +1135,7 @@ const DocumentToolbar = ({
     makePrintOptions,
     language: i18n?.language || '',
     paused: pdfProgress.open && !pdfProgress.error && pdfProgress.phase !== 'cancelled',
+    contentKey: annotationsPrintKey,
   });
 
   const toolbarPrintEnabled = printEnabled && !isDocumentLoading;
@@ -1017,12 +1185,66 @@ const DocumentToolbar = ({
 
   const pdfBenchmarkEnabled = useMemo(() => isPdfBenchmarkEnabled(getRuntimeConfig()), []);
   const renderBenchmarkEnabled = useMemo(() => isRenderDecodeBenchmarkEnabled(getRuntimeConfig()), []);
+  const exportConfig = useMemo(() => getExportConfig(getRuntimeConfig()), []);
+  const exportBatesConfig = useMemo(() => getPrintBatesConfig(getRuntimeConfig()), []);
+
+  /**
+   * Export pages from the Export dialog and log the download. Export scopes map to the print
+   * scopes of the same name, so the selection follows the print selection workspace. A stamped
+   * export advances the Bates counter like a print.
+   * @param {import('./ExportDialog.jsx').ExportSubmitDetail} detail
+   * @param {{ signal:AbortSignal, onProgress:function({ current:number, total:number }): void }} job
+   * @returns {Promise<void>}
+   */
+  const handleExportSubmit = useCallback(async (detail, job) => {
+    const printDetail = detail?.scope === 'active'
+      ? { mode: 'active' }
+      : { mode: 'all', allScope: detail?.scope === 'selection' ? 'selection' : 'session' };
+    const pageNumbers = resolvePrintPageNumbers(printDetail);
+    const settings = detail?.settings || {};
+    // Page images are unrotated, so adjusted exports turn them, and their annotations, here.
+    const rotations = settings.adjusted ? pageNumbers.map(() => primaryImageProperties?.rotation) : [];
+    const pageContexts = resolvePrintPageContexts(pageNumbers, rotations);
+    const result = await handlePageExport(documentRenderRef, pageNumbers, {
+      settings,
+      pageContexts,
+      imageProperties: primaryImageProperties || {},
+      bates: detail?.bates || null,
+      jpegQuality: exportConfig.jpegQuality,
+      filename: exportConfig.filename,
+      signal: job?.signal,
+      onProgress: job?.onProgress,
+    });
+    const bates = describeBatesRange(detail?.bates || null, result.pageCount);
+    if (bates) setBatesNextNumber?.(bates.nextNumber);
+    try {
+      const redacted = summarizeRedactions(pageContexts);
+      userLog.submitExport({
+        action: 'export',
+        reason: null,
+        forWhom: null,
+        docId: null,
+        fileName: result.filename,
+        pageCount: result.pageCount,
+        pages: toPagesString(printDetail),
+        copies: 1,
+        exportFormat: settings.format,
+        exportDpi: settings.dpi,
+        exportAdjusted: !!settings.adjusted,
+        exportAnnotations: settings.annotations !== false,
+        ...(redacted.regions > 0 ? { redactedRegions: redacted.regions, redactedPages: redacted.pages } : {}),
+        ...(bates ? { batesFirst: bates.first, batesLast: bates.last } : {}),
+      });
+    } catch { /* never throw */ }
+  }, [documentRenderRef, exportConfig, primaryImageProperties, resolvePrintPageContexts, resolvePrintPageNumbers, setBatesNextNumber, toPagesString]);
 
   const resetPdfProgress = useCallback(() => {
     pendingPdfOutputRef.current = null;
     pdfBackgroundModeRef.current = false;
     setPdfProgress(EMPTY_PDF_PROGRESS);
-  }, []);
+    // A job still open here was dismissed before its output was handed off.
+    finishHostPrintJob('cancelled');
+  }, [finishHostPrintJob]);
 
   const minimizePdfProgress = useCallback(() => {
     pdfBackgroundModeRef.current = true;
@@ -1050,14 +1272,16 @@ const DocumentToolbar = ({
         rememberLastPdfPrint(detail, blob, total, filename, pageNumbers);
         await printPdfBlob(blob);
       }
+      finishHostPrintJob('completed');
       window.setTimeout(resetPdfProgress, 1800);
       return true;
     } catch (error) {
       logger.warn('Prepared PDF output failed', { error: String(error?.message || error) });
+      finishHostPrintJob('failed', error);
       setPdfProgress({ open: true, action, phase: 'error', current: 0, progressValue: 0, page: 0, total, error: String(error?.message || error), minimized });
       return false;
     }
-  }, [rememberLastPdfPrint, resetPdfProgress]);
+  }, [finishHostPrintJob, rememberLastPdfPrint, resetPdfProgress]);
 
   const finishPendingPdfOutput = useCallback(() => {
     const pending = pendingPdfOutputRef.current;
@@ -1248,36 +1472,38 @@ const DocumentToolbar = ({
               return;
             }
             logger.warn('Generated PDF print failed', { error: String(error?.message || error) });
+            finishHostPrintJob('failed', error);
             setPdfProgress((currentProgress) => ({ open: true, action, phase: 'error', current: 0, progressValue: 0, page: 0, total, error: String(error?.message || error), minimized: !!currentProgress.minimized }));
           });
       }, 50);
       return;
     }
 
+    let htmlTask;
     if (!detail || detail.mode === 'active') {
-      if (detail?.activeScope === 'compare-both' && isComparing) {
-        handlePrintCurrentComparison(documentRenderRef, compareRef, commonOpts);
-        return;
-      }
-      handlePrint(documentRenderRef, commonOpts);
-      return;
-    }
-    if (detail.mode === 'all') {
-      if (detail.allScope === 'selection' && Array.isArray(visibleOriginalPageNumbers) && visibleOriginalPageNumbers.length) {
-        handlePrintSequence(documentRenderRef, visibleOriginalPageNumbers, commonOpts);
-        return;
-      }
-      handlePrintAll(documentRenderRef, commonOpts);
-      return;
+      htmlTask = detail?.activeScope === 'compare-both' && isComparing
+        ? handlePrintCurrentComparison(documentRenderRef, compareRef, commonOpts)
+        : handlePrint(documentRenderRef, commonOpts);
+    } else if (detail.mode === 'all') {
+      htmlTask = detail.allScope === 'selection' && Array.isArray(visibleOriginalPageNumbers) && visibleOriginalPageNumbers.length
+        ? handlePrintSequence(documentRenderRef, visibleOriginalPageNumbers, commonOpts)
+        : handlePrintAll(documentRenderRef, commonOpts);
+    } else if (detail.mode === 'range' && Number.isFinite(detail.from) && Number.isFinite(detail.to)) {
+      htmlTask = handlePrintRange(documentRenderRef, detail.from, detail.to, commonOpts);
+    } else if (detail.mode === 'advanced' && Array.isArray(detail.sequence) && detail.sequence.length) {
+      htmlTask = handlePrintSequence(documentRenderRef, detail.sequence, commonOpts);
     }
-    if (detail.mode === 'range' && Number.isFinite(detail.from) && Number.isFinite(detail.to)) {
-      handlePrintRange(documentRenderRef, detail.from, detail.to, commonOpts);
-      return;
-    }
-    if (detail.mode === 'advanced' && Array.isArray(detail.sequence) && detail.sequence.length) {
-      handlePrintSequence(documentRenderRef, detail.sequence, commonOpts);
-    }
-  }, [compareRef, documentRenderRef, executePreparedPdfOutput, getCachedPrebuiltPdfBlob, getLastPdfPrintBlob, isComparing, makePrintOptions, resetPdfProgress, resolvePrintPageCount, resolvePrintPageNumbers, sessionTotalPages, visibleOriginalPageNumbers]);
+    // HTML print hands off to the browser print dialog; "completed" means that hand-off happened.
+    // A page that cannot be redacted fails the job before anything is printed.
+    Promise.resolve(htmlTask)
+      .then(() => finishHostPrintJob('completed'))
+      .catch((error) => {
+        logger.warn('HTML print failed', { error: String(error?.message || error) });
+        finishHostPrintJob('failed', error);
+        const total = Math.max(1, resolvePrintPageCount(detail));
+        setPdfProgress({ open: true, action: 'print', phase: 'error', current: 0, progressValue: 0, page: 0, total, error: String(error?.message || error), minimized: false });
+      });
+  }, [compareRef, documentRenderRef, executePreparedPdfOutput, finishHostPrintJob, getCachedPrebuiltPdfBlob, getLastPdfPrintBlob, isComparing, makePrintOptions, resetPdfProgress, resolvePrintPageCount, resolvePrintPageNumbers, sessionTotalPages, visibleOriginalPageNumbers]);
 
   /**
    * Handle the dialog submit event and dispatch the correct print action.
@@ -1288,11 +1514,16 @@ const DocumentToolbar = ({
     closePrintDialog?.();
 
     submitUserPrintLog(detail);
+    finishHostPrintJob('cancelled');
+    startHostPrintJob(detail);
+    // Numbers are used once the job is logged, so a cancelled job still leaves a gap, not a repeat.
+    const bates = describeBatesRange(detail?.bates || null, resolvePrintPageCount(detail));
+    if (bates) setBatesNextNumber?.(bates.nextNumber);
 
     window.setTimeout(() => {
       dispatchPrintRequest(detail);
     }, 30);
-  }, [closePrintDialog, dispatchPrintRequest, submitUserPrintLog]);
+  }, [closePrintDialog, dispatchPrintRequest, finishHostPrintJob, resolvePrintPageCount, setBatesNextNumber, startHostPrintJob, submitUserPrintLog]);
 
   const handleRunPdfBenchmark = useCallback(async ({ onProgress } = {}) => {
     const detail = {
@@ -1598,6 +1829,32 @@ const DocumentToolbar = ({
         </button>
       ) : null}
 
+      {exportConfig.enabled ? (
+        <button
+          type="button"
+          onClick={() => { if (toolbarPrintEnabled) setIsExportDialogOpen(true); }}
+          aria-label={t('toolbar.export', { defaultValue: 'Export pages' })}
+          title={t('toolbar.export', { defaultValue: 'Export pages' })}
+          className="odv-btn"
+          disabled={!toolbarPrintEnabled}
+        >
+          <span className="material-icons" aria-hidden="true">file_download</span>
+        </button>
+      ) : null}
+
+      {typeof onDownloadOriginal === 'function' ? (
+        <button
+          type="button"
+          onClick={() => { if (totalPages > 0) onDownloadOriginal(Math.max(0, Number(pageNumberDisplay) - 1)); }}
+          aria-label={t('toolbar.downloadOriginal', { defaultValue: 'Download original' })}
+          title={t('toolbar.downloadOriginal', { defaultValue: 'Download original' })}
+          className="odv-btn"
+          disabled={!(totalPages > 0)}
+        >
+          <span className="material-icons" aria-hidden="true">file_present</span>
+        </button>
+      ) : null}
+
       <div className="separator" />
 
       {/* Paging controls (now include editable page field inside the group) */}
@@ -1652,6 +1909,19 @@ const DocumentToolbar = ({
         onDefaultZoomModeChange={setDefaultZoomModePreference}
       />
 
+      {typeof setPageLayout === 'function' ? (
+        <>
+          <div className="separator" />
+          <PageLayoutButtons
+            pageLayout={pageLayout}
+            onPageLayoutChange={setPageLayout}
+            spreadCoverPage={spreadCoverPage}
+            onSpreadCoverPageChange={setSpreadCoverPage}
+            disabled={isComparing}
+          />
+        </>
+      ) : null}
+
       <div className="separator" />
 
       {/* Compare mode */}
@@ -1665,6 +1935,46 @@ const DocumentToolbar = ({
         <span className="material-icons" aria-hidden="true">compare</span>
       </button>
 
+      {typeof onToggleSearch === 'function' ? (
+        <button
+          type="button"
+          onClick={onToggleSearch}
+          aria-label={t('toolbar.search', { defaultValue: 'Search in documents (Ctrl+F)' })}
+          aria-pressed={isSearchOpen}
+          title={t('toolbar.search', { defaultValue: 'Search in documents (Ctrl+F)' })}
+          className={`odv-btn${isSearchOpen ? ' is-active' : ''}`}
+        >
+          <span className="material-icons" aria-hidden="true">search</span>
+        </button>
+      ) : null}
+
+      {typeof setAnnotationTool === 'function' && typeof setAnnotationStamp === 'function' ? (
+        <AnnotationButtons
+          tool={isRedacting ? null : annotationTool}
+          onToolChange={setAnnotationTool}
+          stamp={annotationStamp}
+          onStampChange={setAnnotationStamp}
+          hasSelection={!!selectedAnnotationId}
+          onDeleteSelected={onDeleteSelectedAnnotation}
+          count={annotations.length - redactionCount}
+        />
+      ) : null}
+
+      {typeof setAnnotationTool === 'function' ? (
+        <button
+          type="button"
+          onClick={() => setAnnotationTool(isRedacting ? null : REDACTION_TOOL)}
+          aria-label={redactionLabel}
+          aria-pressed={isRedacting}
+          title={redactionCount > 0
+            ? `${redactionLabel} (${t('toolbar.redaction.count', { count: redactionCount, defaultValue: 'Redacted regions: {{count}}' })})`
+            : redactionLabel}
+          className={`odv-btn${isRedacting ? ' is-active' : ''}`}
+        >
+          <span className="material-icons" aria-hidden="true">hide_source</span>
+        </button>
+      ) : null}
+
       <div className="separator" />
 
       {/* Editing controls are always visible. Canvas rendering activates only when a non-neutral adjustment exists. */}
@@ -1856,6 +2166,8 @@ const DocumentToolbar = ({
       {/* Modal for print selection + reason/forWhom */}
       <PrintRangeDialog
         isOpen={isPrintDialogOpen}
+        preset={printDialogPreset}
+        batesNextNumber={batesNextNumber}
         onClose={() => closePrintDialog?.()}
         onSubmit={handlePrintSubmit}
         lastPdfPrintAvailable={!!lastPdfPrintInfo}
@@ -1872,6 +2184,20 @@ const DocumentToolbar = ({
         sessionTotalPages={sessionTotalPages}
       />
 
+      {exportConfig.enabled ? (
+        <ExportDialog
+          isOpen={isExportDialogOpen}
+          onClose={() => setIsExportDialogOpen(false)}
+          onExport={handleExportSubmit}
+          exportConfig={exportConfig}
+          batesConfig={exportBatesConfig}
+          batesNextNumber={batesNextNumber}
+          activePageNumber={pageNumberDisplay}
+          totalPages={sessionTotalPages}
+          hasActiveSelection={hasActiveSelection}
+          selectionCount={visibleOriginalPageNumbers.length}
+        />
+      ) : null}
 
       <ManualOverlayDialog
         isOpen={isManualDialogOpen}
@@ -2055,10 +2381,27 @@ DocumentToolbar.propTypes = {
   documentRenderRef: PropTypes.shape({ current: PropTypes.any }).isRequired,
   viewerContainerRef: PropTypes.shape({ current: PropTypes.any }).isRequired,
   isPrintDialogOpen: PropTypes.bool,
+  printDialogPreset: PropTypes.object,
   openPrintDialog: PropTypes.func,
   closePrintDialog: PropTypes.func,
+  batesNextNumber: PropTypes.number,
+  setBatesNextNumber: PropTypes.func,
   printEnabled: PropTypes.bool,
   handleCompare: PropTypes.func.isRequired,
+  isSearchOpen: PropTypes.bool,
+  onToggleSearch: PropTypes.func,
+  pageLayout: PropTypes.oneOf(['single', 'continuous', 'spread']),
+  setPageLayout: PropTypes.func,
+  spreadCoverPage: PropTypes.bool,
+  setSpreadCoverPage: PropTypes.func,
+  annotations: PropTypes.arrayOf(PropTypes.object),
+  annotationTool: PropTypes.string,
+  setAnnotationTool: PropTypes.func,
+  annotationStamp: PropTypes.string,
+  setAnnotationStamp: PropTypes.func,
+  selectedAnnotationId: PropTypes.string,
+  onDeleteSelectedAnnotation: PropTypes.func,
+  onDownloadOriginal: PropTypes.func,
   isComparing: PropTypes.bool.isRequired,
   activePane: PropTypes.oneOf(['primary', 'compare']),
   comparePageNumber: PropTypes.oneOfType([PropTypes.number, PropTypes.oneOf([null])]),
@@ -0,0 +1,371 @@
+// File: src/components/DocumentToolbar/ExportDialog.jsx
+/**
+ * Export dialog: writes the chosen pages as a clean PDF, a multi-page TIFF or a ZIP of PNG/JPEG
+ * page images. The caller performs the export (`onExport`); the dialog owns the choices, progress,
+ * cancellation and error display.
+ *
+ * With `print.bates.enabled`, the dialog offers the same Bates numbering as the print dialog. Its
+ * start number is the shared counter, so exports and prints continue one sequence.
+ */
+
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+import { useTranslation } from 'react-i18next';
+import { EXPORT_FORMATS, EXPORT_RESOLUTIONS } from '../../utils/exportSettings.js';
+import { BATES_DEFAULT_DIGITS, formatBatesNumber, normalizeBatesSettings } from '../../utils/batesNumbering.js';
+import BatesSettingsFields from './BatesSettingsFields.jsx';
+
+/**
+ * Choices passed to `onExport`.
+ * @typedef {Object} ExportSubmitDetail
+ * @property {('active'|'selection'|'all')} scope
+ * @property {import('../../utils/exportSettings.js').ExportSettings} settings
+ * @property {(import('../../utils/batesNumbering.js').BatesSettings|null)} bates
+ */
+
+/**
+ * @param {Object} props
+ * @param {boolean} props.isOpen
+ * @param {function(): void} props.onClose
+ * @param {function(ExportSubmitDetail, { signal:AbortSignal, onProgress:function({ current:number, total:number }): void }): Promise<*>} props.onExport
+ * @param {import('../../utils/runtimeConfig.js').ExportConfig} props.exportConfig
+ * @param {import('../../utils/runtimeConfig.js').PrintBatesConfig} props.batesConfig
+ * @param {number} props.batesNextNumber Bates number of the next stamped page.
+ * @param {number} props.activePageNumber
+ * @param {number} props.totalPages
+ * @param {boolean=} props.hasActiveSelection
+ * @param {number=} props.selectionCount
+ * @returns {(React.ReactElement|null)}
+ */
+export default function ExportDialog({
+  isOpen,
+  onClose,
+  onExport,
+  exportConfig,
+  batesConfig,
+  batesNextNumber,
+  activePageNumber,
+  totalPages,
+  hasActiveSelection = false,
+  selectionCount = 0,
+}) {
+  const { t } = useTranslation('common');
+  const dialogRef = useRef(/** @type {(HTMLFormElement|null)} */ (null));
+  const abortRef = useRef(/** @type {(AbortController|null)} */ (null));
+  const formats = exportConfig?.formats?.length ? exportConfig.formats : EXPORT_FORMATS;
+
+  const [scope, setScope] = useState(/** @type {('active'|'selection'|'all')} */ ('all'));
+  const [format, setFormat] = useState(exportConfig?.defaultFormat || 'pdf');
+  const [dpi, setDpi] = useState(Number(exportConfig?.defaultDpi ?? 200));
+  const [adjusted, setAdjusted] = useState(!!exportConfig?.defaultAdjusted);
+  const [annotations, setAnnotations] = useState(exportConfig?.defaultAnnotations !== false);
+  const [batesChecked, setBatesChecked] = useState(!!batesConfig?.defaultChecked);
+  const [batesPrefix, setBatesPrefix] = useState(String(batesConfig?.defaults?.prefix ?? ''));
+  const [batesStart, setBatesStart] = useState(String(batesNextNumber));
+  const [batesDigits, setBatesDigits] = useState(Number(batesConfig?.defaults?.digits) || BATES_DEFAULT_DIGITS);
+  const [batesPosition, setBatesPosition] = useState(String(batesConfig?.defaults?.position || 'bottom-right'));
+  const [busy, setBusy] = useState(false);
+  const [progress, setProgress] = useState(/** @type {{ current:number, total:number }|null} */ (null));
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setScope(hasActiveSelection ? 'selection' : 'all');
+    setFormat(formats.includes(exportConfig?.defaultFormat) ? exportConfig.defaultFormat : formats[0]);
+    setDpi(Number(exportConfig?.defaultDpi ?? 200));
+    setAdjusted(!!exportConfig?.defaultAdjusted);
+    setAnnotations(exportConfig?.defaultAnnotations !== false);
+    setBatesChecked(!!batesConfig?.defaultChecked);
+    setBatesPrefix(String(batesConfig?.defaults?.prefix ?? ''));
+    setBatesDigits(Number(batesConfig?.defaults?.digits) || BATES_DEFAULT_DIGITS);
+    setBatesPosition(String(batesConfig?.defaults?.position || 'bottom-right'));
+    setBusy(false);
+    setProgress(null);
+    setError('');
+    dialogRef.current?.focus?.();
+  }, [isOpen, batesConfig, exportConfig, formats, hasActiveSelection]);
+
+  // The counter moves on after every stamped print or export; offer its current value.
+  useEffect(() => {
+    if (isOpen) setBatesStart(String(batesNextNumber));
+  }, [batesNextNumber, isOpen]);
+
+  const showBates = !!batesConfig?.enabled;
+  const batesStartValid = /^\d{1,15}$/.test(String(batesStart).trim());
+  const bates = useMemo(() => (showBates && batesChecked
+    ? normalizeBatesSettings({ prefix: batesPrefix, startNumber: batesStart, digits: batesDigits, position: batesPosition })
+    : null), [batesChecked, batesDigits, batesPosition, batesPrefix, batesStart, showBates]);
+  const batesPreview = bates && batesStartValid ? formatBatesNumber(bates, bates.startNumber) : '';
+
+  // Closing the dialog, or unmounting it, cancels a running export.
+  useEffect(() => {
+    if (isOpen) return undefined;
+    abortRef.current?.abort();
+    abortRef.current = null;
+    return undefined;
+  }, [isOpen]);
+
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  const cancel = useCallback(() => {
+    if (abortRef.current) {
+      abortRef.current.abort();
+      return;
+    }
+    onClose?.();
+  }, [onClose]);
+
+  const onDialogKeyDown = useCallback((event) => {
+    if (String(event?.key || '') !== 'Escape') return;
+    event.preventDefault();
+    event.stopPropagation();
+    cancel();
+  }, [cancel]);
+
+  const onBackdropMouseDown = useCallback((event) => {
+    if (event.target !== event.currentTarget || busy) return;
+    event.stopPropagation();
+    onClose?.();
+  }, [busy, onClose]);
+
+  const submit = useCallback(async (event) => {
+    event?.preventDefault?.();
+    if (busy) return;
+    if (bates && !batesStartValid) {
+      setError(t('printDialog.errors.batesStart', { defaultValue: 'Enter a Bates start number of 0 or higher.' }));
+      return;
+    }
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setBusy(true);
+    setError('');
+    setProgress(null);
+    try {
+      await onExport({ scope, settings: { format, dpi, adjusted, annotations }, bates }, {
+        signal: controller.signal,
+        onProgress: (next) => { if (!controller.signal.aborted) setProgress(next); },
+      });
+      if (!controller.signal.aborted) onClose?.();
+    } catch (e) {
+      if (e?.name !== 'AbortError' && !controller.signal.aborted) {
+        setError(t('exportDialog.error', {
+          error: String(e?.message || e),
+          defaultValue: `Export failed: ${String(e?.message || e)}`,
+        }));
+      }
+    } finally {
+      if (abortRef.current === controller) abortRef.current = null;
+      setBusy(false);
+      setProgress(null);
+    }
+  }, [adjusted, annotations, bates, batesStartValid, busy, dpi, format, onClose, onExport, scope, t]);
+
+  if (!isOpen) return null;
+
+  const formatLabels = {
+    pdf: t('exportDialog.format.pdf', { defaultValue: 'PDF document' }),
+    tiff: t('exportDialog.format.tiff', { defaultValue: 'Multi-page TIFF' }),
+    png: t('exportDialog.format.png', { defaultValue: 'PNG images (ZIP)' }),
+    jpeg: t('exportDialog.format.jpeg', { defaultValue: 'JPEG images (ZIP)' }),
+  };
+  const scopeOptions = [
+    { value: 'active', label: t('exportDialog.scope.active', { page: activePageNumber, defaultValue: `Current page (${activePageNumber})` }) },
+    ...(hasActiveSelection
+      ? [{ value: 'selection', label: t('exportDialog.scope.selection', { count: selectionCount, defaultValue: `Selected pages (${selectionCount})` }) }]
+      : []),
+    { value: 'all', label: t('exportDialog.scope.all', { count: totalPages, defaultValue: `All pages (${totalPages})` }) },
+  ];
+
+  return (
+    <div
+      className="odv-prd-backdrop"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="odv-export-title"
+      data-odv-shortcuts="off"
+      onMouseDown={onBackdropMouseDown}
+    >
+      <form
+        ref={dialogRef}
+        onSubmit={submit}
+        className="odv-prd-dialog"
+        noValidate
+        tabIndex={-1}
+        data-odv-shortcuts="off"
+        onKeyDown={onDialogKeyDown}
+      >
+        <div className="odv-prd-header">
+          <div className="odv-prd-headerText">
+            <h3 id="odv-export-title" className="odv-prd-title">{t('exportDialog.title', { defaultValue: 'Export pages' })}</h3>
+            <p className="odv-prd-subtitle">
+              {t('exportDialog.subtitle', {
+                defaultValue: 'Download the pages as a file without print headers or watermarks. Redactions are always burned in.',
+              })}
+            </p>
+          </div>
+          <div className="odv-prd-headerActions">
+            <button
+              type="button"
+              className="odv-prd-closeIcon"
+              onClick={cancel}
+              aria-label={t('printDialog.close', { defaultValue: 'Close' })}
+              title={t('printDialog.close', { defaultValue: 'Close' })}
+            >
+              <span className="material-icons" aria-hidden="true">close</span>
+            </button>
+          </div>
+        </div>
+
+        <fieldset className="odv-prd-content" disabled={busy}>
+          <section className="odv-prd-card odv-prd-card-first" aria-labelledby="odv-export-pages-header">
+            <h4 id="odv-export-pages-header" className="odv-prd-sectionHeader">{t('exportDialog.pagesHeader', { defaultValue: 'Pages' })}</h4>
+            <div className="odv-prd-radioList" role="radiogroup" aria-labelledby="odv-export-pages-header">
+              {scopeOptions.map((option) => (
+                <label key={option.value} className="odv-prd-radioRow">
+                  <input
+                    type="radio"
+                    name="exportScope"
+                    value={option.value}
+                    checked={scope === option.value}
+                    onChange={() => setScope(/** @type {*} */ (option.value))}
+                  />
+                  <span>{option.label}</span>
+                </label>
+              ))}
+            </div>
+          </section>
+
+          <section className="odv-prd-card" aria-labelledby="odv-export-file-header">
+            <h4 id="odv-export-file-header" className="odv-prd-sectionHeader">{t('exportDialog.fileHeader', { defaultValue: 'File' })}</h4>
+            <div className="odv-prd-section">
+              <label className="odv-prd-labelBlock">
+                <span>{t('exportDialog.format.label', { defaultValue: 'Format' })}</span>
+                <select className="odv-prd-select" value={format} onChange={(event) => setFormat(event.target.value)}>
+                  {formats.map((value) => <option key={value} value={value}>{formatLabels[value]}</option>)}
+                </select>
+              </label>
+              <label className="odv-prd-labelBlock">
+                <span>{t('exportDialog.resolution.label', { defaultValue: 'Resolution' })}</span>
+                <select className="odv-prd-select" value={dpi} onChange={(event) => setDpi(Number(event.target.value))}>
+                  {EXPORT_RESOLUTIONS.map((value) => (
+                    <option key={value} value={value}>
+                      {value
+                        ? t('exportDialog.resolution.dpi', { dpi: value, defaultValue: `${value} DPI` })
+                        : t('exportDialog.resolution.original', { defaultValue: 'Original size' })}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <span className="odv-prd-hint">
+                {t('exportDialog.resolution.hint', { defaultValue: 'DPI values fit the page to A4. Pages are never enlarged.' })}
+              </span>
+            </div>
+          </section>
+
+          <section className="odv-prd-card" aria-labelledby="odv-export-content-header">
+            <h4 id="odv-export-content-header" className="odv-prd-sectionHeader">{t('exportDialog.contentHeader', { defaultValue: 'Page content' })}</h4>
+            <div className="odv-prd-section">
+              <div className="odv-prd-radioList" role="radiogroup" aria-labelledby="odv-export-content-header">
+                <label className="odv-prd-radioRow">
+                  <input type="radio" name="exportAdjusted" checked={!adjusted} onChange={() => setAdjusted(false)} />
+                  <span>{t('exportDialog.adjust.original', { defaultValue: 'Original pages' })}</span>
+                </label>
+                <label className="odv-prd-radioRow">
+                  <input type="radio" name="exportAdjusted" checked={adjusted} onChange={() => setAdjusted(true)} />
+                  <span>{t('exportDialog.adjust.adjusted', { defaultValue: 'As shown (rotation, brightness and contrast)' })}</span>
+                </label>
+              </div>
+              <label className="odv-prd-checkRow">
+                <input type="checkbox" checked={annotations} onChange={(event) => setAnnotations(event.target.checked)} />
+                <span>{t('exportDialog.annotations', { defaultValue: 'Include annotations' })}</span>
+              </label>
+            </div>
+          </section>
+
+          {showBates ? (
+            <section className="odv-prd-card" aria-labelledby="odv-export-bates-header">
+              <h4 id="odv-export-bates-header" className="odv-prd-sectionHeader">{t('printDialog.bates.header', { defaultValue: 'Bates numbering' })}</h4>
+              <div className="odv-prd-section">
+                <label className="odv-prd-checkRow">
+                  <input type="checkbox" checked={batesChecked} onChange={(event) => setBatesChecked(event.target.checked)} />
+                  <span>{t('printDialog.bates.checkboxLabel', { defaultValue: 'Stamp a Bates number on every page' })}</span>
+                </label>
+                {batesChecked ? (
+                  <>
+                    <BatesSettingsFields
+                      prefix={batesPrefix}
+                      onPrefixChange={setBatesPrefix}
+                      startNumber={batesStart}
+                      onStartNumberChange={setBatesStart}
+                      digits={batesDigits}
+                      onDigitsChange={setBatesDigits}
+                      position={batesPosition}
+                      onPositionChange={setBatesPosition}
+                    />
+                    {batesPreview ? (
+                      <span className="odv-prd-hint">
+                        {t('exportDialog.bates.hint', {
+                          first: batesPreview,
+                          defaultValue: `The first exported page gets ${batesPreview}. Numbering continues from the last print or export.`,
+                        })}
+                      </span>
+                    ) : null}
+                  </>
+                ) : null}
+              </div>
+            </section>
+          ) : null}
+        </fieldset>
+
+        {busy ? (
+          <div className="odv-prd-hint" role="status" aria-live="polite">
+            {progress?.total
+              ? t('exportDialog.progress', {
+                current: progress.current,
+                total: progress.total,
+                defaultValue: `Exporting page ${progress.current} of ${progress.total}…`,
+              })
+              : t('exportDialog.preparing', { defaultValue: 'Preparing pages…' })}
+          </div>
+        ) : null}
+        {error ? <div className="odv-prd-error" role="alert">{error}</div> : null}
+
+        <div className="odv-prd-footer">
+          <button type="button" className="odv-prd-action secondary" onClick={cancel}>
+            {t('printDialog.footer.cancel')}
+          </button>
+          <button type="submit" className="odv-prd-action primary" disabled={busy}>
+            {t('exportDialog.submit', { defaultValue: 'Export' })}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+ExportDialog.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  onExport: PropTypes.func.isRequired,
+  exportConfig: PropTypes.shape({
+    formats: PropTypes.arrayOf(PropTypes.string),
+    defaultFormat: PropTypes.string,
+    defaultDpi: PropTypes.number,
+    defaultAdjusted: PropTypes.bool,
+    defaultAnnotations: PropTypes.bool,
+  }).isRequired,
+  batesConfig: PropTypes.shape({
+    enabled: PropTypes.bool,
+    defaultChecked: PropTypes.bool,
+    defaults: PropTypes.shape({
+      prefix: PropTypes.string,
+      digits: PropTypes.number,
+      position: PropTypes.string,
+    }),
+  }).isRequired,
+  batesNextNumber: PropTypes.number.isRequired,
+  activePageNumber: PropTypes.number.isRequired,
+  totalPages: PropTypes.number.isRequired,
+  hasActiveSelection: PropTypes.bool,
+  selectionCount: PropTypes.number,
+};
@@ -100,6 +100,12 @@ export default function HelpOverlayDialog({ isOpen, onClose }) {
               <li>{t('help.sections.navigation.pageMode', {
                 defaultValue: 'Normal navigation moves one page at a time.',
               })}</li>
+              <li>{t('help.sections.navigation.pageLayout', {
+                defaultValue: 'Continuous scroll stacks all pages vertically; the active page follows the scroll position. Switch back to single page in the toolbar at any time.',
+              })}</li>
+              <li>{t('help.sections.navigation.pageSpread', {
+                defaultValue: 'Two-page spread shows facing pages side by side and steps two pages at a time. In the spread button menu, choose whether the first page is shown alone as a cover. Click a page of the spread to make it the active page.',
+              })}</li>
               <li>{t('help.sections.navigation.shiftMode', {
                 defaultValue: 'Use Arrow Right to open or select the right compare pane. Use Arrow Left to select the primary / left pane; press Arrow Left again while the primary pane is active to close compare mode. Hold Shift in compare mode to temporarily target the opposite pane.',
               })}</li>
@@ -119,6 +125,27 @@ export default function HelpOverlayDialog({ isOpen, onClose }) {
             })}</p>
           </section>
 
+          <section className="odv-help-section">
+            <h3>{t('help.sections.search.title', { defaultValue: 'Text search' })}</h3>
+            <p>{t('help.sections.search.body', {
+              defaultValue: 'Press Ctrl+F or use the search button to find text in the PDF pages of the session. Enter moves to the next match, Shift+Enter to the previous one. Text on PDF pages can also be selected and copied.',
+            })}</p>
+          </section>
+
+          <section className="odv-help-section">
+            <h3>{t('help.sections.annotations.title', { defaultValue: 'Annotations' })}</h3>
+            <p>{t('help.sections.annotations.body', {
+              defaultValue: 'The annotate button turns on the last used tool; its menu picks rectangle, highlight, sticky note, freehand ink, stamp, or select. Drag on the page to draw, or click to place a note or stamp. With the select tool, click an annotation and press Delete to remove it. Annotations are included when printing.',
+            })}</p>
+          </section>
+
+          <section className="odv-help-section">
+            <h3>{t('help.sections.redaction.title', { defaultValue: 'Redaction' })}</h3>
+            <p>{t('help.sections.redaction.body', {
+              defaultValue: 'The redact button turns redaction mode on: drag on a page to black out a region. Printed and generated PDF output has the regions burned into the page image, so the covered content cannot be recovered, and every redacted print is logged with its region count. While a session has redactions, printing only works through the print dialog. Select and delete a region with the select tool, like any annotation.',
+            })}</p>
+          </section>
+
           <section className="odv-help-section">
             <h3>{t('help.sections.thumbnails.title', { defaultValue: 'Thumbnails and document grouping' })}</h3>
             <p>{t('help.sections.thumbnails.body', {
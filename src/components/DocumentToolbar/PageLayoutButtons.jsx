@@ -0,0 +1,116 @@
+// File: src/components/DocumentToolbar/PageLayoutButtons.jsx
+/**
+ * File: src/components/DocumentToolbar/PageLayoutButtons.jsx
+ *
+ * Page layout toggle:
+ *   [ Single page ] [ Continuous ] [ Two-page spread | ▾ ]
+ *
+ * The spread button's menu holds the cover-page option, which shows the first page alone like the
+ * cover of a book. The chosen layout and the cover option are remembered as user preferences.
+ * Compare mode always shows single-page panes, so the buttons are disabled while comparing.
+ *
+ * @component
+ * @param {Object} props
+ * @param {('single'|'continuous'|'spread')} props.pageLayout Layout chosen by the user.
+ * @param {function(('single'|'continuous'|'spread')):void} props.onPageLayoutChange
+ * @param {boolean} [props.spreadCoverPage=false]            Spread layout shows the first page alone.
+ * @param {function(boolean):void} [props.onSpreadCoverPageChange]
+ * @param {boolean} [props.disabled=false]                   Disable all buttons (compare mode).
+ * @returns {JSX.Element}
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import { useTranslation } from 'react-i18next';
+import SplitToolbarButton from './SplitToolbarButton.jsx';
+
+const PageLayoutButtons = ({
+  pageLayout,
+  onPageLayoutChange,
+  spreadCoverPage = false,
+  onSpreadCoverPageChange,
+  disabled = false,
+}) => {
+  const { t } = useTranslation('common');
+  const unavailableTitle = t('toolbar.pageLayout.unavailableInCompare', {
+    defaultValue: 'Compare mode always shows single pages',
+  });
+  const singleTitle = disabled ? unavailableTitle : t('toolbar.pageLayout.single', { defaultValue: 'Single page' });
+  const continuousTitle = disabled
+    ? unavailableTitle
+    : t('toolbar.pageLayout.continuous', { defaultValue: 'Continuous scroll' });
+  const spreadLabel = t('toolbar.pageLayout.spread', { defaultValue: 'Two-page spread' });
+
+  return (
+    <>
+      <button
+        type="button"
+        onClick={() => onPageLayoutChange('single')}
+        aria-label={t('toolbar.pageLayout.single', { defaultValue: 'Single page' })}
+        aria-pressed={pageLayout === 'single'}
+        title={singleTitle}
+        className={`odv-btn ${pageLayout === 'single' ? 'is-active' : ''}`}
+        disabled={disabled}
+      >
+        <span className="material-icons" aria-hidden="true">description</span>
+      </button>
+
+      <button
+        type="button"
+        onClick={() => onPageLayoutChange('continuous')}
+        aria-label={t('toolbar.pageLayout.continuous', { defaultValue: 'Continuous scroll' })}
+        aria-pressed={pageLayout === 'continuous'}
+        title={continuousTitle}
+        className={`odv-btn ${pageLayout === 'continuous' ? 'is-active' : ''}`}
+        disabled={disabled}
+      >
+        <span className="material-icons" aria-hidden="true">view_agenda</span>
+      </button>
+
+      <SplitToolbarButton
+        onClick={() => onPageLayoutChange('spread')}
+        ariaLabel={spreadLabel}
+        title={disabled ? unavailableTitle : spreadLabel}
+        menuLabel={t('toolbar.pageLayout.spreadMenu', { defaultValue: 'Spread settings' })}
+        className={pageLayout === 'spread' ? 'is-active' : ''}
+        mainClassName={pageLayout === 'spread' ? 'is-active' : ''}
+        disabled={disabled}
+        menuDisabled={disabled || typeof onSpreadCoverPageChange !== 'function'}
+        menuChildren={({ closeMenu }) => (
+          <div className="toolbar-split-menu-section">
+            <button
+              type="button"
+              role="menuitemcheckbox"
+              aria-checked={spreadCoverPage}
+              className={`toolbar-popup-menu-item toolbar-split-menu-row${spreadCoverPage ? ' is-selected' : ''}`}
+              onClick={() => {
+                onSpreadCoverPageChange?.(!spreadCoverPage);
+                closeMenu();
+              }}
+            >
+              <span
+                className={`toolbar-popup-menu-check${spreadCoverPage ? ' material-icons is-selected' : ''}`}
+                aria-hidden="true"
+              >
+                {spreadCoverPage ? 'check' : ''}
+              </span>
+              <span>{t('toolbar.pageLayout.coverPage', { defaultValue: 'Show first page alone (cover)' })}</span>
+            </button>
+          </div>
+        )}
+      >
+        <span className="material-icons" aria-hidden="true">menu_book</span>
+      </SplitToolbarButton>
+    </>
+  );
+};
+
+PageLayoutButtons.propTypes = {
+  pageLayout: PropTypes.oneOf(['single', 'continuous', 'spread']).isRequired,
+  onPageLayoutChange: PropTypes.func.isRequired,
+  spreadCoverPage: PropTypes.bool,
+  onSpreadCoverPageChange: PropTypes.func,
+  disabled: PropTypes.bool,
+};
+
+export default React.memo(PageLayoutButtons);
@@ -190,6 +190,16 @@ const PageNavigationButtons = ({
         defaultValue: `Loading pages: ${loadProgress.ready} ready, ${loadProgress.failed} failed, ${loadProgress.pending} remaining of ${loadProgress.total}.`,
       })
     : '';
+  const resumeAttempts = Math.max(0, Number(pageLoadState?.sourceResumeAttempts) || 0);
+  const resumeMaxAttempts = Math.max(resumeAttempts, Number(pageLoadState?.sourceResumeMaxAttempts) || 0);
+  const resumeVisible = isDocumentLoading && resumeAttempts > 0;
+  const resumeTitle = resumeVisible
+    ? t('toolbar.navigation.resumeTitle', {
+        attempt: resumeAttempts,
+        max: resumeMaxAttempts,
+        defaultValue: `The connection was interrupted. Resuming the transfer (attempt ${resumeAttempts} of ${resumeMaxAttempts}).`,
+      })
+    : '';
 
   return (
     <div
@@ -269,6 +279,13 @@ const PageNavigationButtons = ({
         style={loadProgress.visible ? { '--odv-page-load-progress': loadProgress.percent } : undefined}
       />
       {loadProgress.visible ? <span className="sr-only">{loadProgressText}</span> : null}
+      {resumeVisible ? (
+        <span className="page-navigation-resume" role="status" title={resumeTitle}>
+          <span className="material-icons" aria-hidden="true">sync_problem</span>
+          <span aria-hidden="true">{resumeAttempts}</span>
+          <span className="sr-only">{resumeTitle}</span>
+        </span>
+      ) : null}
 
       <button
         type="button"
@@ -319,6 +336,8 @@ PageNavigationButtons.propTypes = {
     expectedPages: PropTypes.number,
     failedPages: PropTypes.number,
     pendingPages: PropTypes.number,
+    sourceResumeAttempts: PropTypes.number,
+    sourceResumeMaxAttempts: PropTypes.number,
   }),
   navigationTarget: PropTypes.oneOf(['primary', 'compare']),
   navigationScope: PropTypes.oneOf(['page', 'document']),
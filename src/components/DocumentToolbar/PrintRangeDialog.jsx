@@ -9,6 +9,8 @@ import React, { useMemo } from 'react';
 import PropTypes from 'prop-types';
 import { useTranslation } from 'react-i18next';
 import { usePrintRangeController } from './usePrintRangeDialog.js';
+import { PRINT_LAYOUTS } from '../../utils/printImposition.js';
+import BatesSettingsFields from './BatesSettingsFields.jsx';
 
 /**
  * Structured payload returned to the caller on submit.
@@ -26,12 +28,16 @@ import { usePrintRangeController } from './usePrintRangeDialog.js';
  * @property {Object} [reasonSelection]
  * @property {Object} [printFormatSelection]
  * @property {'auto'|'portrait'|'landscape'} [pdfOrientation]
+ * @property {'single'|'2-up'|'4-up'|'booklet'} [pdfLayout]
+ * @property {(import('../../utils/batesNumbering.js').BatesSettings|null)} [bates]
+ * @property {(import('../../utils/printSeparators.js').SeparatorSettings|null)} [separators]
  * @property {'html'|'pdf'} [printBackend]
  * @property {'print'|'download'} [printAction]
  */
 
 export default function PrintRangeDialog({
   isOpen,
+  preset = null,
   onClose,
   onSubmit,
   lastPdfPrintAvailable = false,
@@ -46,10 +52,12 @@ export default function PrintRangeDialog({
   selectionSequenceLocked = false,
   selectionIncludedCount = 0,
   sessionTotalPages = totalPages,
+  batesNextNumber = 1,
 }) {
   const { t, i18n } = useTranslation('common');
   const ctrl = usePrintRangeController({
     isOpen,
+    preset,
     onClose,
     onSubmit,
     totalPages,
@@ -60,10 +68,18 @@ export default function PrintRangeDialog({
     selectionSequenceLocked,
     selectionIncludedCount,
     sessionTotalPages,
+    batesNextNumber,
     t,
     i18n,
   });
 
+  const pdfLayoutLabels = useMemo(() => ({
+    single: t('printDialog.pdfLayout.options.single', { defaultValue: '1 per sheet' }),
+    '2-up': t('printDialog.pdfLayout.options.2-up', { defaultValue: '2 per sheet' }),
+    '4-up': t('printDialog.pdfLayout.options.4-up', { defaultValue: '4 per sheet' }),
+    booklet: t('printDialog.pdfLayout.options.booklet', { defaultValue: 'Booklet' }),
+  }), [t]);
+
   const modeOptions = useMemo(() => {
     const base = [
       { value: 'active', label: t('printDialog.modes.active', { defaultValue: 'Active page' }) },
@@ -359,7 +375,7 @@ export default function PrintRangeDialog({
               <h4 id="odv-prd-log-header" className="odv-prd-sectionHeader">{t('printDialog.userSection.header')}</h4>
               <div className="odv-prd-section" role="group" aria-label={t('printDialog.aria.userLogGroup')}>
                 <div className="odv-prd-fieldCol">
-                  {ctrl.showPrintFormat || ctrl.showPdfOrientation ? (
+                  {ctrl.showPrintFormat || ctrl.showPdfOrientation || ctrl.showPdfLayout ? (
                     <div className="odv-prd-inlineOptionsRow">
                       {ctrl.showPrintFormat ? (
                         <label className="odv-prd-checkRow odv-prd-checkRow-inline">
@@ -398,6 +414,27 @@ export default function PrintRangeDialog({
                           </span>
                         </label>
                       ) : null}
+
+                      {ctrl.showPdfLayout ? (
+                        <label className="odv-prd-checkRow odv-prd-checkRow-inline">
+                          <span
+                            className="odv-prd-tooltipText"
+                            title={t('printDialog.pdfLayout.hint', { defaultValue: 'Applies to Print via PDF and Save PDF. Booklets print double-sided, flipped on the short edge, then fold in the middle.' })}
+                          >
+                            {t('printDialog.pdfLayout.label', { defaultValue: 'Pages per sheet' })}
+                          </span>
+                          <select
+                            className="odv-prd-select"
+                            value={ctrl.pdfLayout}
+                            onChange={(event) => ctrl.setPdfLayout(event.target.value)}
+                            aria-label={t('printDialog.pdfLayout.label', { defaultValue: 'Pages per sheet' })}
+                          >
+                            {PRINT_LAYOUTS.map((layout) => (
+                              <option key={layout} value={layout}>{pdfLayoutLabels[layout]}</option>
+                            ))}
+                          </select>
+                        </label>
+                      ) : null}
                     </div>
                   ) : null}
 
@@ -481,6 +518,80 @@ export default function PrintRangeDialog({
               </div>
             </section>
           ) : null}
+
+          {ctrl.showBates ? (
+            <section className="odv-prd-card" aria-labelledby="odv-prd-bates-header">
+              <h4 id="odv-prd-bates-header" className="odv-prd-sectionHeader">{t('printDialog.bates.header', { defaultValue: 'Bates numbering' })}</h4>
+              <div className="odv-prd-section" role="group" aria-label={t('printDialog.bates.header', { defaultValue: 'Bates numbering' })}>
+                <label className="odv-prd-checkRow">
+                  <input
+                    type="checkbox"
+                    checked={!!ctrl.batesChecked}
+                    onChange={(event) => ctrl.setBatesChecked(event.target.checked)}
+                  />
+                  <span>{t('printDialog.bates.checkboxLabel', { defaultValue: 'Stamp a Bates number on every page' })}</span>
+                </label>
+
+                {ctrl.batesChecked ? (
+                  <>
+                    <BatesSettingsFields
+                      prefix={ctrl.batesPrefix}
+                      onPrefixChange={ctrl.setBatesPrefix}
+                      startNumber={ctrl.batesStart}
+                      onStartNumberChange={ctrl.setBatesStart}
+                      digits={ctrl.batesDigits}
+                      onDigitsChange={ctrl.setBatesDigits}
+                      position={ctrl.batesPosition}
+                      onPositionChange={ctrl.setBatesPosition}
+                    />
+                    {ctrl.batesPreview ? (
+                      <span className="odv-prd-hint">
+                        {t('printDialog.bates.hint', {
+                          first: ctrl.batesPreview,
+                          defaultValue: `The first printed page gets ${ctrl.batesPreview}. Numbering continues across documents and into the next print or export.`,
+                        })}
+                      </span>
+                    ) : null}
+                  </>
+                ) : null}
+              </div>
+            </section>
+          ) : null}
+
+          {ctrl.showSeparators ? (
+            <section className="odv-prd-card" aria-labelledby="odv-prd-separators-header">
+              <h4 id="odv-prd-separators-header" className="odv-prd-sectionHeader">{t('printDialog.separators.header', { defaultValue: 'Document separators' })}</h4>
+              <div className="odv-prd-section" role="group" aria-label={t('printDialog.separators.header', { defaultValue: 'Document separators' })}>
+                <label className="odv-prd-checkRow">
+                  <input
+                    type="checkbox"
+                    checked={!!ctrl.separatorSheetsChecked}
+                    disabled={!ctrl.separatorsAvailable}
+                    onChange={(event) => ctrl.setSeparatorSheetsChecked(event.target.checked)}
+                  />
+                  <span>{t('printDialog.separators.sheetsLabel', { defaultValue: 'Insert a separator sheet before each document' })}</span>
+                </label>
+                <label className="odv-prd-checkRow">
+                  <input
+                    type="checkbox"
+                    checked={!!ctrl.oddPageStartChecked}
+                    disabled={!ctrl.separatorsAvailable}
+                    onChange={(event) => ctrl.setOddPageStartChecked(event.target.checked)}
+                  />
+                  <span>{t('printDialog.separators.oddPageLabel', { defaultValue: 'Start each document on an odd page (duplex)' })}</span>
+                </label>
+                <span className="odv-prd-hint">
+                  {ctrl.separatorsAvailable
+                    ? t('printDialog.separators.hint', {
+                      defaultValue: 'Applies when the print contains more than one document.',
+                    })
+                    : t('printDialog.separators.unavailableHint', {
+                      defaultValue: 'Not available with more than one page per sheet.',
+                    })}
+                </span>
+              </div>
+            </section>
+          ) : null}
         </div>
 
         {ctrl.error ? <div className="odv-prd-error" role="alert">{ctrl.error}</div> : null}
@@ -526,6 +637,7 @@ export default function PrintRangeDialog({
 
 PrintRangeDialog.propTypes = {
   isOpen: PropTypes.bool.isRequired,
+  preset: PropTypes.object,
   onClose: PropTypes.func.isRequired,
   onSubmit: PropTypes.func.isRequired,
   lastPdfPrintAvailable: PropTypes.bool,
@@ -540,4 +652,5 @@ PrintRangeDialog.propTypes = {
   selectionSequenceLocked: PropTypes.bool,
   selectionIncludedCount: PropTypes.number,
   sessionTotalPages: PropTypes.number,
+  batesNextNumber: PropTypes.number,
 };
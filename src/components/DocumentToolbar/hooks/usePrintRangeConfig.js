@@ -6,8 +6,9 @@
  */
 
 import { resolveLocalizedValue } from '../../../utils/localizedValue.js';
-import { getPrintDefaultMode } from '../../../utils/runtimeConfig.js';
+import { getPrintBatesConfig, getPrintDefaultMode, getPrintSeparatorConfig } from '../../../utils/runtimeConfig.js';
 import { getPrintDefaultModePreference } from '../../../utils/viewerPreferences.js';
+import { normalizePrintLayout } from '../../../utils/printImposition.js';
 import {
   getCfg,
   hasTextValue,
@@ -66,6 +67,17 @@ export function usePrintRangeConfig({
     pdfOrientationCfg?.tooltip ?? pdfOrientationCfg?.hint,
     i18n
   ) || t('printDialog.pdfOrientation.hint', { defaultValue: 'When selected, each generated page uses portrait or landscape based on the page image.' });
+  const pdfLayoutCfg = pdfPrintCfg?.layout || {};
+  const pdfLayoutDefault = normalizePrintLayout(pdfLayoutCfg?.defaultMode, 'single');
+  const showPdfLayout = pdfPrintEnabled && pdfLayoutCfg?.enabled === true;
+  const batesCfg = getPrintBatesConfig(cfg);
+  const showBates = batesCfg.enabled;
+  const batesDefaults = batesCfg.defaults;
+  const defaultBatesChecked = batesCfg.defaultChecked;
+  const separatorCfg = getPrintSeparatorConfig(cfg);
+  const showSeparators = separatorCfg.enabled;
+  const defaultSeparatorSheets = separatorCfg.defaultChecked;
+  const defaultOddPageStart = separatorCfg.defaultOddPageStart;
   const downloadPdfAction = resolvePrintAction(printActionsCfg, 'downloadPdf', i18n, {
     label: t('printDialog.footer.downloadPdf', { defaultValue: 'Save PDF' }),
     tooltip: t('printDialog.footer.downloadPdf', { defaultValue: 'Save PDF' }),
@@ -99,7 +111,7 @@ export function usePrintRangeConfig({
   const defaultPrintFormatChecked = !!checkboxPrintFormatOption && watermarkEnabled && (forcePrintFormatActive || watermarkCfg?.defaultChecked === true);
   const showReason = showReasonWhen === 'always' || (showReasonWhen === 'auto' && (userLogCfg.enabled || headerCfg.enabled));
   const showForWhom = showForWhomWhen === 'always' || (showForWhomWhen === 'auto' && (userLogCfg.enabled || headerCfg.enabled));
-  const showUserSection = !!(showReason || showForWhom || showPrintFormatCheckbox || showPdfOrientation);
+  const showUserSection = !!(showReason || showForWhom || showPrintFormatCheckbox || showPdfOrientation || showPdfLayout);
   const restrictToActivePage = !!isDocumentLoading;
   const configuredDefaultPrintMode = getPrintDefaultMode(cfg);
   const userDefaultPrintMode = getPrintDefaultModePreference();
@@ -129,6 +141,14 @@ export function usePrintRangeConfig({
     showPdfOrientation,
     pdfOrientationLabel,
     pdfOrientationHint,
+    pdfLayoutDefault,
+    showPdfLayout,
+    showBates,
+    batesDefaults,
+    defaultBatesChecked,
+    showSeparators,
+    defaultSeparatorSheets,
+    defaultOddPageStart,
     downloadPdfAction,
     printHtmlAction,
     printPdfAction,
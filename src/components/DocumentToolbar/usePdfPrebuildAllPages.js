@@ -16,6 +16,7 @@ import {
   getPdfPrintCacheKeyOptions,
   isFullSessionPageSequence,
 } from '../../utils/pdfPrintCacheKey.js';
+import { normalizePrintLayout } from '../../utils/printImposition.js';
 
 const EMPTY_PREBUILD_STATUS = Object.freeze({
   state: 'off',
@@ -88,6 +89,7 @@ function createVariantDetail(variant) {
     printFormatValue: variant?.printFormatValue || null,
     printFormatSelection: variant?.printFormatSelection || null,
     pdfOrientation: normalizePdfOrientation(variant?.pdfOrientation),
+    pdfLayout: normalizePrintLayout(variant?.pdfLayout, 'single'),
   };
 }
 
@@ -135,6 +137,8 @@ function createSessionPageNumbers(pageCount) {
  * @param {function(Object): Object} args.makePrintOptions
  * @param {string=} args.language
  * @param {boolean=} args.paused
+ * @param {string=} args.contentKey Changes whenever printed content beyond the page images changes
+ *   (for example annotations); a new key drops prebuilt PDFs.
  * @returns {{status:{state:string,completed:number,total:number,error:string,paused:boolean}, getCachedBlob:function(Object, Array<number>=, number=): (Blob|null), cancel:function(): void}}
  */
 export default function usePdfPrebuildAllPages({
@@ -145,6 +149,7 @@ export default function usePdfPrebuildAllPages({
   makePrintOptions,
   language = '',
   paused = false,
+  contentKey = '',
 }) {
   const [status, setStatus] = useState(EMPTY_PREBUILD_STATUS);
   const cacheRef = useRef(new Map());
@@ -233,6 +238,7 @@ export default function usePdfPrebuildAllPages({
 
     const planKey = JSON.stringify({
       pageCount,
+      contentKey,
       language: prebuildLanguageDependency,
       variants: plan.variants.map((variant) => variant?.key || ''),
     });
@@ -340,6 +346,7 @@ export default function usePdfPrebuildAllPages({
       try { abortController.abort(); } catch {}
     };
   }, [
+    contentKey,
     documentRenderRef,
     isDocumentLoading,
     paused,
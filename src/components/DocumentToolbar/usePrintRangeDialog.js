@@ -17,6 +17,9 @@ import {
   safeRegex,
 } from './printRangeDialogHelpers.js';
 import { usePrintRangeConfig } from './hooks/usePrintRangeConfig.js';
+import { normalizePrintLayout } from '../../utils/printImposition.js';
+import { formatBatesNumber, normalizeBatesSettings } from '../../utils/batesNumbering.js';
+import { normalizeSeparatorSettings } from '../../utils/printSeparators.js';
 
 export {
   ensureODVPrintCSS,
@@ -38,6 +41,9 @@ export {
  * @property {string|null} [printFormat]
  * @property {string|null} [printFormatValue]
  * @property {'auto'|'portrait'|'landscape'} [pdfOrientation]
+ * @property {'single'|'2-up'|'4-up'|'booklet'} [pdfLayout]
+ * @property {(import('../../utils/batesNumbering.js').BatesSettings|null)} [bates]
+ * @property {(import('../../utils/printSeparators.js').SeparatorSettings|null)} [separators]
  * @property {'html'|'pdf'} [printBackend]
  * @property {'print'|'download'} [printAction]
  */
@@ -47,6 +53,7 @@ export {
  *
  * @param {Object} params
  * @param {boolean} params.isOpen
+ * @param {(Object|null)=} params.preset  Page-scope fields prefilled when opened through the host API.
  * @param {function():void} params.onClose
  * @param {function(PrintSubmitDetail):void} params.onSubmit
  * @param {number} params.totalPages
@@ -57,11 +64,13 @@ export {
  * @param {boolean=} params.selectionSequenceLocked
  * @param {number=} params.selectionIncludedCount
  * @param {number=} params.sessionTotalPages
+ * @param {number=} params.batesNextNumber Start number offered for Bates numbering.
  * @param {function(string, Object=): string} params.t
  * @param {any} params.i18n
  */
 export function usePrintRangeController({
   isOpen,
+  preset = null,
   onClose,
   onSubmit,
   totalPages,
@@ -72,6 +81,7 @@ export function usePrintRangeController({
   selectionSequenceLocked = false,
   selectionIncludedCount = 0,
   sessionTotalPages = totalPages,
+  batesNextNumber = 1,
   t,
   i18n,
 }) {
@@ -88,6 +98,14 @@ export function usePrintRangeController({
     showPdfOrientation,
     pdfOrientationLabel,
     pdfOrientationHint,
+    pdfLayoutDefault,
+    showPdfLayout,
+    showBates,
+    batesDefaults,
+    defaultBatesChecked,
+    showSeparators,
+    defaultSeparatorSheets,
+    defaultOddPageStart,
     downloadPdfAction,
     printHtmlAction,
     printPdfAction,
@@ -144,6 +162,14 @@ export function usePrintRangeController({
   const [forWhomText, setForWhomText] = useState('');
   const [printFormatChecked, setPrintFormatChecked] = useState(defaultPrintFormatChecked);
   const [pdfAutoOrientationChecked, setPdfAutoOrientationChecked] = useState(pdfOrientationDefaultAuto);
+  const [pdfLayout, setPdfLayout] = useState(pdfLayoutDefault);
+  const [batesChecked, setBatesChecked] = useState(defaultBatesChecked);
+  const [batesPrefix, setBatesPrefix] = useState(batesDefaults.prefix);
+  const [batesStart, setBatesStart] = useState(String(batesNextNumber));
+  const [batesDigits, setBatesDigits] = useState(batesDefaults.digits);
+  const [batesPosition, setBatesPosition] = useState(batesDefaults.position);
+  const [separatorSheetsChecked, setSeparatorSheetsChecked] = useState(defaultSeparatorSheets);
+  const [oddPageStartChecked, setOddPageStartChecked] = useState(defaultOddPageStart);
   const [printBackend, setPrintBackend] = useState(/** @type {'html'|'pdf'} */ (defaultPrintBackend));
 
   const [error, setError] = useState('');
@@ -198,9 +224,60 @@ export function usePrintRangeController({
     setForWhomText('');
     setPrintFormatChecked(defaultPrintFormatChecked);
     setPdfAutoOrientationChecked(pdfOrientationDefaultAuto);
+    setPdfLayout(pdfLayoutDefault);
+    setBatesChecked(defaultBatesChecked);
+    setBatesPrefix(batesDefaults.prefix);
+    setBatesDigits(batesDefaults.digits);
+    setBatesPosition(batesDefaults.position);
+    setSeparatorSheetsChecked(defaultSeparatorSheets);
+    setOddPageStartChecked(defaultOddPageStart);
     setPrintBackend(defaultPrintBackend);
     setError('');
-  }, [canPrintSelectionScope, defaultPrintBackend, defaultPrintFormatChecked, defaultPrintMode, defaultReason, isOpen, pdfOrientationDefaultAuto, sequenceLockedToSelection, totalPages]);
+  }, [
+    batesDefaults.digits,
+    batesDefaults.position,
+    batesDefaults.prefix,
+    canPrintSelectionScope,
+    defaultBatesChecked,
+    defaultOddPageStart,
+    defaultSeparatorSheets,
+    defaultPrintBackend,
+    defaultPrintFormatChecked,
+    defaultPrintMode,
+    defaultReason,
+    isOpen,
+    pdfLayoutDefault,
+    pdfOrientationDefaultAuto,
+    sequenceLockedToSelection,
+    totalPages,
+  ]);
+
+  // The start number follows the session counter, which the host API may change at any time.
+  useEffect(() => {
+    if (isOpen) setBatesStart(String(batesNextNumber));
+  }, [batesNextNumber, isOpen]);
+
+  // Runs after the open-reset effect above so host presets win over configured defaults.
+  useEffect(() => {
+    if (!isOpen || !preset) return;
+    const mode = String(preset.mode || 'active');
+    if (sequenceLockedToSelection && (mode === 'range' || mode === 'advanced')) {
+      setPrintMode('all');
+    } else if (mode === 'all') {
+      setPrintMode('all');
+      setAllScope(preset.allScope === 'session' || !canPrintSelectionScope ? 'session' : 'selection');
+    } else if (mode === 'range') {
+      setPrintMode('range');
+      setFromValue(String(preset.from));
+      setToValue(String(preset.to));
+    } else if (mode === 'advanced' && Array.isArray(preset.sequence)) {
+      setPrintMode('custom');
+      setCustomText(preset.sequence.join(','));
+    } else {
+      setPrintMode('active');
+      setActiveScope(preset.activeScope === 'compare-both' && isComparing ? 'compare-both' : 'primary');
+    }
+  }, [canPrintSelectionScope, isComparing, isOpen, preset, sequenceLockedToSelection]);
 
   useEffect(() => {
     if (!isOpen || !restrictToActivePage) return;
@@ -418,6 +495,24 @@ export function usePrintRangeController({
   const currentPdfOrientation = showPdfOrientation
     ? (pdfAutoOrientationChecked ? 'auto' : pdfOrientationFixedMode)
     : pdfOrientationDefaultMode;
+  const currentPdfLayout = showPdfLayout ? pdfLayout : pdfLayoutDefault;
+  const batesStartValid = /^\d{1,15}$/.test(String(batesStart).trim());
+  const currentBates = useMemo(() => (showBates && batesChecked
+    ? normalizeBatesSettings({ prefix: batesPrefix, startNumber: batesStart, digits: batesDigits, position: batesPosition })
+    : null), [batesChecked, batesDigits, batesPosition, batesPrefix, batesStart, showBates]);
+  const batesPreview = currentBates && batesStartValid ? formatBatesNumber(currentBates, currentBates.startNumber) : '';
+  // Separator sheets and odd-page starts assume one page per sheet; with 2-up, 4-up and booklet
+  // layouts they are switched off rather than accepted and dropped by the generated PDF.
+  const separatorsAvailable = currentPdfLayout === 'single';
+  const currentSeparators = useMemo(() => (showSeparators && separatorsAvailable
+    ? normalizeSeparatorSettings({ sheets: separatorSheetsChecked, oddPageStart: oddPageStartChecked })
+    : null), [oddPageStartChecked, separatorSheetsChecked, separatorsAvailable, showSeparators]);
+
+  useEffect(() => {
+    if (separatorsAvailable) return;
+    setSeparatorSheetsChecked(false);
+    setOddPageStartChecked(false);
+  }, [separatorsAvailable]);
 
   /**
    * Compose and validate the print payload for the current dialog state.
@@ -431,9 +526,14 @@ export function usePrintRangeController({
       return null;
     }
 
+    if (currentBates && !batesStartValid) {
+      setError(t('printDialog.errors.batesStart', { defaultValue: 'Enter a Bates start number of 0 or higher.' }));
+      return null;
+    }
+
     const requestedBackend = backendOverride || printBackend;
     const backend = action === 'download' ? 'pdf' : (printPdfEnabled && requestedBackend === 'pdf' ? 'pdf' : 'html');
-    const common = { ...extras(), pdfOrientation: currentPdfOrientation, printBackend: backend, printAction: action };
+    const common = { ...extras(), pdfOrientation: currentPdfOrientation, pdfLayout: currentPdfLayout, bates: currentBates, separators: currentSeparators, printBackend: backend, printAction: action };
 
     if (restrictToActivePage) return { mode: 'active', activeScope: 'primary', ...common };
     if (printMode === 'active') return { mode: 'active', activeScope: isComparing ? activeScope : 'primary', ...common };
@@ -463,8 +563,12 @@ export function usePrintRangeController({
     activeScope,
     canPrintSelectionScope,
     allScope,
+    batesStartValid,
+    currentBates,
+    currentSeparators,
     customText,
     extras,
+    currentPdfLayout,
     currentPdfOrientation,
     isComparing,
     makeDescendingSequence,
@@ -560,14 +664,27 @@ export function usePrintRangeController({
     const restoredFormatValue = String(detail.printFormatValue ?? detail.printFormatSelection?.value ?? detail.printFormat ?? '');
     setPrintFormatChecked(!!restoredFormatValue && !!checkboxPrintFormatOption);
     setPdfAutoOrientationChecked(normalizePdfOrientationMode(detail.pdfOrientation, pdfOrientationDefaultMode) === 'auto');
+    setPdfLayout(normalizePrintLayout(detail.pdfLayout, pdfLayoutDefault));
+    // The start number is left alone: reusing it would stamp the same numbers twice.
+    setBatesChecked(!!detail.bates);
+    if (detail.bates) {
+      setBatesPrefix(String(detail.bates.prefix ?? ''));
+      setBatesDigits(Number(detail.bates.digits) || batesDefaults.digits);
+      setBatesPosition(String(detail.bates.position || batesDefaults.position));
+    }
+    setSeparatorSheetsChecked(!!detail.separators?.sheets);
+    setOddPageStartChecked(!!detail.separators?.oddPageStart);
     setPrintBackend(detail.printBackend === 'pdf' && printPdfEnabled ? 'pdf' : defaultPrintBackend);
   }, [
+    batesDefaults.digits,
+    batesDefaults.position,
     canPrintSelectionScope,
     checkboxPrintFormatOption,
     defaultPrintBackend,
     defaultReason,
     hasOptions,
     isComparing,
+    pdfLayoutDefault,
     pdfOrientationDefaultMode,
     printPdfEnabled,
     reasonOptions,
@@ -605,6 +722,24 @@ export function usePrintRangeController({
     setPrintFormatChecked,
     pdfAutoOrientationChecked,
     setPdfAutoOrientationChecked,
+    pdfLayout,
+    setPdfLayout,
+    batesChecked,
+    setBatesChecked,
+    batesPrefix,
+    setBatesPrefix,
+    batesStart,
+    setBatesStart,
+    batesDigits,
+    setBatesDigits,
+    batesPosition,
+    setBatesPosition,
+    batesPreview,
+    separatorSheetsChecked,
+    setSeparatorSheetsChecked,
+    oddPageStartChecked,
+    setOddPageStartChecked,
+    separatorsAvailable,
     printBackend,
     setPrintBackend,
     pdfPrintEnabled: printPdfEnabled,
@@ -636,6 +771,9 @@ export function usePrintRangeController({
     showPdfOrientation,
     pdfOrientationLabel,
     pdfOrientationHint,
+    showPdfLayout,
+    showBates,
+    showSeparators,
     printFormatCfg,
     printFormatOptions,
     checkboxPrintFormatOption,
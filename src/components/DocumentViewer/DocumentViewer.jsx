@@ -9,6 +9,8 @@
  *     • Toolbar (actions, zoom, adjustments)
  *     • Thumbnails (navigation + selection reset)
  *     • Main renderer (canvas/img)
+ *     • Text search panel (PDF pages)
+ *     • Session annotations (layer on each page, tools in the toolbar)
  *   This component wires ViewerContext state into the viewer UI and delegates
  *   heavy logic to the dedicated hook `useDocumentViewer`.
  *
@@ -33,6 +35,11 @@ import useNavigationModifierState from '../../hooks/useNavigationModifierState.j
 import DocumentMetadataOverlayDialog from '../DocumentMetadataOverlayDialog.jsx';
 import DocumentMetadataMatrixOverlayDialog from '../DocumentMetadataMatrixOverlayDialog.jsx';
 import ViewerProblemNotice from '../ViewerProblemNotice.jsx';
+import DocumentSearchPanel from '../DocumentSearchPanel.jsx';
+import OriginalDownloadDialog from '../OriginalDownloadDialog.jsx';
+import { useDocumentSearch } from './hooks/useDocumentSearch.js';
+import { useAnnotations } from './hooks/useAnnotations.js';
+import { useOriginalDownload } from './hooks/useOriginalDownload.js';
 import { buildDocumentMetadataMatrixView, buildDocumentMetadataView } from '../../utils/documentMetadata.js';
 import {
   getRuntimeConfig,
@@ -50,6 +57,8 @@ const DocumentViewer = () => {
     memoryPressureStage,
     error,
     pageLoadState,
+    getPageText,
+    readSourceBlob,
   } = useContext(ViewerContext);
   const { t } = useTranslation('common');
   const navigationModifierState = useNavigationModifierState();
@@ -72,8 +81,11 @@ const DocumentViewer = () => {
     setComparePageNumber,
     setVisibleComparePageNumber,
     isPrintDialogOpen,
+    printDialogPreset,
     openPrintDialog,
     closePrintDialog,
+    batesNextNumber,
+    setBatesNextNumber,
     printSelectionWorkspaceOpen,
     openPrintSelectionWorkspace,
     cancelPrintSelectionWorkspace,
@@ -137,6 +149,11 @@ const DocumentViewer = () => {
     setCustomFitWidthFactorPercent,
     setCustomFitSizeLimits,
     setDefaultZoomModePreference,
+    pageLayout,
+    effectivePageLayout,
+    setPageLayout,
+    spreadCoverPage,
+    setSpreadCoverPage,
     postZoomLeft,
     postZoomRight,
     bumpPostZoomLeft,
@@ -155,6 +172,8 @@ const DocumentViewer = () => {
     clearSelectionFilter,
     hidePageFromSelection,
     hideDocumentFromSelection,
+    thumbnailPaneMode,
+    setThumbnailPaneMode,
   } = useDocumentViewer();
 
   const isDocumentLoading = useMemo(() => {
@@ -168,10 +187,18 @@ const DocumentViewer = () => {
   const [isMetadataMatrixOpen, setIsMetadataMatrixOpen] = useState(false);
   const [printSelectionZoomPercent] = useState(120);
   const [printSelectionToolbarState, setPrintSelectionToolbarState] = useState(null);
+  const [isSearchOpen, setIsSearchOpen] = useState(false);
+  const [searchFocusRequest, setSearchFocusRequest] = useState(0);
   const metadataUiEnabled = useMemo(() => isDocumentMetadataUiEnabled(getRuntimeConfig()), []);
   const edgeScrollPageTurnConfig = useMemo(() => getViewerEdgeScrollPageTurnConfig(getRuntimeConfig()), []);
   const printSelectionWorkspaceConfig = useMemo(() => getPrintSelectionWorkspaceConfig(getRuntimeConfig()), []);
 
+  // The outline tab is offered when any document can have an outline: a PDF file or a host outline.
+  const outlineAvailable = useMemo(() => (
+    (Array.isArray(allPages) && allPages.some((page) => String(page?.fileExtension || '').toLowerCase() === 'pdf'))
+    || (Array.isArray(bundle?.documents) && bundle.documents.some((document) => Array.isArray(document?.outline) && document.outline.length > 0))
+  ), [allPages, bundle]);
+
   const metadataMatrixView = useMemo(
     () => (metadataUiEnabled ? buildDocumentMetadataMatrixView(bundle) : null),
     [bundle, metadataUiEnabled]
@@ -224,6 +251,55 @@ const DocumentViewer = () => {
     if (!printSelectionWorkspaceOpen) setPrintSelectionToolbarState(null);
   }, [printSelectionWorkspaceOpen]);
 
+  const documentSearch = useDocumentSearch({
+    allPages,
+    getPageText,
+    goToOriginalPage: setPageNumber,
+  });
+  const clearDocumentSearch = documentSearch.clear;
+  const annotationState = useAnnotations({ bundle: bundle || null });
+  const originalDownload = useOriginalDownload({
+    allPages,
+    annotations: annotationState.annotations,
+    readSourceBlob,
+  });
+
+  const openSearch = useCallback(() => {
+    setIsSearchOpen(true);
+    setSearchFocusRequest((value) => value + 1);
+  }, []);
+
+  const closeSearch = useCallback(() => {
+    setIsSearchOpen(false);
+    clearDocumentSearch();
+  }, [clearDocumentSearch]);
+
+  const toggleSearch = useCallback(() => {
+    if (isSearchOpen) closeSearch();
+    else openSearch();
+  }, [closeSearch, isSearchOpen, openSearch]);
+
+  useEffect(() => {
+    if (printSelectionWorkspaceOpen) closeSearch();
+  }, [closeSearch, printSelectionWorkspaceOpen]);
+
+  useEffect(() => {
+    /** @param {KeyboardEvent} event */
+    const onKeyDown = (event) => {
+      if (printSelectionWorkspaceOpen) return;
+      if (event.defaultPrevented || event.isComposing) return;
+      if (String(event.key || '').toLowerCase() !== 'f') return;
+      if (!(event.ctrlKey || event.metaKey) || event.altKey || event.shiftKey) return;
+      if (typeof document !== 'undefined'
+        && document.querySelector('[role="dialog"][aria-modal="true"], dialog[open][aria-modal="true"]')) return;
+      event.preventDefault();
+      openSearch();
+    };
+
+    window.addEventListener('keydown', onKeyDown, true);
+    return () => window.removeEventListener('keydown', onKeyDown, true);
+  }, [openSearch, printSelectionWorkspaceOpen]);
+
   useEffect(() => {
     /** @param {*} target */
     const isEditableTarget = (target) => {
@@ -345,6 +421,7 @@ const DocumentViewer = () => {
   return (
     <div
       className="document-viewer-container"
+      data-odv-redaction={annotationState.redactionCount > 0 ? 'active' : undefined}
       onClick={handleContainerClick}
       onContextMenu={handleViewerContextMenu}
       role="region"
@@ -387,8 +464,11 @@ const DocumentViewer = () => {
         setDefaultZoomModePreference={setDefaultZoomModePreference}
 
         isPrintDialogOpen={isPrintDialogOpen}
+        printDialogPreset={printDialogPreset}
         openPrintDialog={openPrintDialog}
         closePrintDialog={closePrintDialog}
+        batesNextNumber={batesNextNumber}
+        setBatesNextNumber={setBatesNextNumber}
         printEnabled={printEnabled && !printSelectionWorkspaceOpen}
         hasActiveSelection={hasPrintableSelection}
         visibleOriginalPageNumbers={effectivePrintSelectionPageNumbers}
@@ -406,6 +486,20 @@ const DocumentViewer = () => {
         isComparing={isComparing}
         activePane={activePane}
         handleCompare={handleCompare}
+        isSearchOpen={isSearchOpen}
+        onToggleSearch={toggleSearch}
+        pageLayout={pageLayout}
+        setPageLayout={setPageLayout}
+        spreadCoverPage={spreadCoverPage}
+        setSpreadCoverPage={setSpreadCoverPage}
+        annotations={annotationState.annotations}
+        annotationTool={annotationState.tool}
+        setAnnotationTool={annotationState.setTool}
+        annotationStamp={annotationState.stamp}
+        setAnnotationStamp={annotationState.setStamp}
+        selectedAnnotationId={annotationState.selectedId}
+        onDeleteSelectedAnnotation={annotationState.removeSelected}
+        onDownloadOriginal={originalDownload.enabled ? originalDownload.open : undefined}
         comparePageNumber={comparePageNumber}
         comparePageNumberDisplay={renderComparePageNumber}
         primaryImageProperties={primaryImageProperties}
@@ -486,6 +580,7 @@ const DocumentViewer = () => {
                 hidePageFromSelection={hidePageFromSelection}
                 hideDocumentFromSelection={hideDocumentFromSelection}
                 onOpenDocumentMetadata={metadataUiEnabled ? openDocumentMetadataForOriginalIndex : undefined}
+                onDownloadOriginal={originalDownload.enabled ? originalDownload.open : undefined}
                 minWidth={thumbnailWidthMin}
                 maxWidth={thumbnailWidthMax}
                 defaultWidth={thumbnailWidthDefault}
@@ -495,6 +590,11 @@ const DocumentViewer = () => {
                 onIncreaseWidth={increaseThumbnailWidth}
                 onDecreaseWidth={decreaseThumbnailWidth}
                 onHide={hideThumbnailPane}
+                paneMode={thumbnailPaneMode}
+                setPaneMode={setThumbnailPaneMode}
+                outlineAvailable={outlineAvailable}
+                sessionPages={allPages || []}
+                bundle={bundle || null}
               />
             </div>
             <Resizer onMouseDown={handleMouseDown} />
@@ -565,11 +665,29 @@ const DocumentViewer = () => {
             onHideDocumentFromSelection={hideDocumentFromSelection}
             onOpenDocumentMetadata={metadataUiEnabled ? openDocumentMetadataForOriginalIndex : undefined}
             closeCompare={closeCompare}
+            searchHighlights={isSearchOpen ? documentSearch.highlights : null}
+            annotationLayer={annotationState.layer}
+            pageLayout={effectivePageLayout}
+            spreadCoverPage={spreadCoverPage}
+            visibleOriginalPageNumbers={visibleOriginalPageNumbers}
+            onActivePageChange={setPageNumber}
           />
         )}
       </div>
       )}
 
+      {isSearchOpen && !printSelectionWorkspaceOpen ? (
+        <DocumentSearchPanel
+          searchState={documentSearch.state}
+          onSearch={documentSearch.search}
+          onNext={documentSearch.next}
+          onPrevious={documentSearch.previous}
+          onActivate={documentSearch.activate}
+          onClose={closeSearch}
+          focusRequest={searchFocusRequest}
+        />
+      ) : null}
+
       <DocumentMetadataOverlayDialog
         isOpen={metadataUiEnabled && !!metadataOverlayState}
         onClose={closeMetadataOverlay}
@@ -580,6 +698,12 @@ const DocumentViewer = () => {
         onOpenMatrix={openMetadataMatrix}
       />
 
+      <OriginalDownloadDialog
+        target={originalDownload.target}
+        onClose={originalDownload.close}
+        onDownload={originalDownload.download}
+      />
+
       <DocumentMetadataMatrixOverlayDialog
         isOpen={metadataUiEnabled && isMetadataMatrixOpen}
         onClose={closeMetadataMatrix}
@@ -21,12 +21,20 @@
  *   - Sticky fit modes are still honored after each pane renders.
  *   - Per-pane floating zoom controls are rendered above the pane viewport so the
  *     scrollable document surface never overlaps the controls.
+ *   - Continuous layout replaces the primary <DocumentRender /> with
+ *     <ContinuousDocumentRender /> outside compare mode. Scrolling already moves between pages
+ *     there, so the edge-scroll page turn is off and the context menu targets the page under
+ *     the pointer instead of the active page.
+ *   - Spread layout replaces it with <SpreadDocumentRender />, which shows the active page with
+ *     its facing page. Page navigation (including the edge-scroll turn) steps by spreads.
  */
 
 import React, { useCallback, useContext, useEffect, useRef, useState } from 'react';
 import PropTypes from 'prop-types';
 import { useTranslation } from 'react-i18next';
 import DocumentRender from '../DocumentRender.jsx';
+import ContinuousDocumentRender from '../ContinuousDocumentRender.jsx';
+import SpreadDocumentRender from '../SpreadDocumentRender.jsx';
 import CompareZoomOverlay from './CompareZoomOverlay.jsx';
 import ViewerContext from '../../contexts/viewerContext.js';
 import { bundleDocumentHasMetadata } from '../../utils/documentMetadata.js';
@@ -67,6 +75,8 @@ function getPageSelectionContext(allPages, originalPageNumber) {
 const EDGE_SCROLL_DIRECTION_PREVIOUS = 'previous';
 const EDGE_SCROLL_DIRECTION_NEXT = 'next';
 const PAN_POINTER_MOVE_THRESHOLD_PX = 3;
+/** @type {Array<number>} */
+const EMPTY_PAGE_NUMBERS = Object.freeze([]);
 
 /**
  * @param {*} target
@@ -75,7 +85,7 @@ const PAN_POINTER_MOVE_THRESHOLD_PX = 3;
 function isPaneInteractiveTarget(target) {
   if (!(target instanceof Element)) return false;
   return !!target.closest(
-    '.compare-zoom-overlay, .odv-pane-selector, button, input, textarea, select, [contenteditable="true"], [data-odv-shortcuts="off"], [data-odv-allow-native-contextmenu="true"]'
+    '.compare-zoom-overlay, .odv-pane-selector, .odv-text-layer-item, button, input, textarea, select, [contenteditable="true"], [data-odv-shortcuts="off"], [data-odv-allow-native-contextmenu="true"]'
   );
 }
 
@@ -195,6 +205,12 @@ function preventDefaultIfCancelable(event) {
  * @param {function(number): boolean=} props.onHideDocumentFromSelection
  * @param {function(number): boolean=} [props.onOpenDocumentMetadata]
  * @param {function(): void=} props.closeCompare
+ * @param {(Object|null)=} props.searchHighlights Search matches by page and the active match.
+ * @param {(Object|null)=} props.annotationLayer Session annotations and the active annotation tool.
+ * @param {('single'|'continuous'|'spread')=} props.pageLayout Layout of the primary pane outside compare mode.
+ * @param {boolean=} props.spreadCoverPage Spread layout shows the first page alone.
+ * @param {Array<number>=} props.visibleOriginalPageNumbers Pages of the continuous and spread layouts, in display order.
+ * @param {function(number): void=} props.onActivePageChange Receives the original page number scrolled into view or clicked in a spread.
  * @returns {React.ReactElement}
  */
 const DocumentViewerRender = ({
@@ -230,6 +246,12 @@ const DocumentViewerRender = ({
   onHideDocumentFromSelection,
   onOpenDocumentMetadata,
   closeCompare,
+  searchHighlights = null,
+  annotationLayer = null,
+  pageLayout = 'single',
+  spreadCoverPage = false,
+  visibleOriginalPageNumbers = EMPTY_PAGE_NUMBERS,
+  onActivePageChange,
 }) => {
   const { t } = useTranslation('common');
   const { bundle } = useContext(ViewerContext);
@@ -267,6 +289,9 @@ const DocumentViewerRender = ({
   );
   const [activePanPane, setActivePanPane] = useState(/** @type {(ViewerPaneKey|null)} */ (null));
 
+  const continuousLayoutActive = pageLayout === 'continuous' && !isComparing;
+  const spreadLayoutActive = pageLayout === 'spread' && !isComparing;
+  const edgeScrollEnabled = edgeScrollPageTurnConfig?.enabled === true && !continuousLayoutActive;
   const primaryCanvasEnabled = Number(primaryImageProperties?.rotation || 0) !== 0
     || Number(primaryImageProperties?.brightness ?? 100) !== 100
     || Number(primaryImageProperties?.contrast ?? 100) !== 100;
@@ -401,7 +426,7 @@ const DocumentViewerRender = ({
    * @returns {void}
    */
   const handlePaneWheelCapture = useCallback((event, pane) => {
-    if (edgeScrollPageTurnConfig?.enabled !== true) return;
+    if (!edgeScrollEnabled) return;
     if (event?.ctrlKey || event?.metaKey || event?.altKey) return;
     if (event?.target?.closest?.('.compare-zoom-overlay, button, input, textarea, select, [contenteditable="true"]')) return;
 
@@ -461,7 +486,7 @@ const DocumentViewerRender = ({
     );
   }, [
     canTurnFromPaneEdge,
-    edgeScrollPageTurnConfig?.enabled,
+    edgeScrollEnabled,
     edgeScrollPageTurnConfig?.quietMs,
     edgeScrollPageTurnConfig?.thresholdPx,
     edgeScrollState.direction,
@@ -669,21 +694,34 @@ const DocumentViewerRender = ({
    * @returns {void}
    */
   const handlePaneContextMenu = useCallback((event, originalPageNumber, pane) => {
+    // Keep the browser menu (Copy) for text selected in the PDF text layer.
+    if (event?.target instanceof Element && event.target.closest('.odv-text-layer')
+      && String(window.getSelection?.() || '').trim()) {
+      closeContextMenu();
+      return;
+    }
     event?.preventDefault?.();
     event?.stopPropagation?.();
 
+    const slotPageNumber = event?.target instanceof Element
+      ? Number(event.target.closest('.odv-page-slot')?.getAttribute('data-page-number'))
+      : NaN;
+    const targetPageNumber = Number.isFinite(slotPageNumber) && slotPageNumber > 0
+      ? slotPageNumber
+      : originalPageNumber;
+
     const hasSelectionActions = !!selectionPanelEnabled
       && (typeof onHidePageFromSelection === 'function' || typeof onHideDocumentFromSelection === 'function');
     const hasCompareCloseAction = pane === 'compare' && isComparing && typeof closeCompare === 'function';
     const hasMetadataAction = typeof onOpenDocumentMetadata === 'function'
-      && bundleDocumentHasMetadata(bundle, Array.isArray(allPages) ? allPages[Math.max(0, (Number(originalPageNumber) || 1) - 1)]?.documentId : undefined);
+      && bundleDocumentHasMetadata(bundle, Array.isArray(allPages) ? allPages[Math.max(0, (Number(targetPageNumber) || 1) - 1)]?.documentId : undefined);
 
     if (!hasSelectionActions && !hasCompareCloseAction && !hasMetadataAction) {
       closeContextMenu();
       return;
     }
 
-    const selectionContext = getPageSelectionContext(allPages, Number(originalPageNumber) || 0);
+    const selectionContext = getPageSelectionContext(allPages, Number(targetPageNumber) || 0);
     if (!selectionContext) {
       closeContextMenu();
       return;
@@ -744,7 +782,7 @@ const DocumentViewerRender = ({
    * @returns {(React.ReactElement|null)}
    */
   const renderEdgeScrollIndicator = (pane) => {
-    if (edgeScrollPageTurnConfig?.enabled !== true) return null;
+    if (!edgeScrollEnabled) return null;
     if (edgeScrollState.pane !== pane || !edgeScrollState.direction || edgeScrollState.progress <= 0) return null;
     const progress = Math.max(0, Math.min(1, Number(edgeScrollState.progress) || 0));
     return (
@@ -842,21 +880,60 @@ const DocumentViewerRender = ({
               </div>
             )}
 
-            <DocumentRender
-              ref={documentRenderRef}
-              pageNumber={pageNumber}
-              zoom={effectiveLeftZoom}
-              initialRenderDone={() => {}}
-              onRender={handlePrimaryRendered}
-              setZoom={setZoom}
-              imageProperties={primaryImageProperties}
-              isCanvasEnabled={primaryCanvasEnabled}
-              allPages={allPages}
-              zoomMode={zoomMode}
-              customFitSizeLimits={customFitSizeLimits}
-              onToggleFitZoomMode={onToggleFitZoomMode}
-              onDisplayStateChange={onPrimaryDisplayStateChange}
-            />
+            {continuousLayoutActive ? (
+              <ContinuousDocumentRender
+                ref={documentRenderRef}
+                pageNumber={pageNumber}
+                pageNumbers={visibleOriginalPageNumbers}
+                zoom={zoom}
+                setZoom={setZoom}
+                imageProperties={primaryImageProperties}
+                allPages={allPages}
+                zoomMode={zoomMode}
+                customFitSizeLimits={customFitSizeLimits}
+                onToggleFitZoomMode={onToggleFitZoomMode}
+                onActivePageChange={onActivePageChange}
+                onDisplayStateChange={onPrimaryDisplayStateChange}
+                searchHighlights={searchHighlights}
+                annotationLayer={annotationLayer}
+              />
+            ) : spreadLayoutActive ? (
+              <SpreadDocumentRender
+                ref={documentRenderRef}
+                pageNumber={pageNumber}
+                pageNumbers={visibleOriginalPageNumbers}
+                coverPage={spreadCoverPage}
+                zoom={zoom}
+                setZoom={setZoom}
+                imageProperties={primaryImageProperties}
+                allPages={allPages}
+                zoomMode={zoomMode}
+                customFitSizeLimits={customFitSizeLimits}
+                onToggleFitZoomMode={onToggleFitZoomMode}
+                onActivePageChange={onActivePageChange}
+                onDisplayStateChange={onPrimaryDisplayStateChange}
+                searchHighlights={searchHighlights}
+                annotationLayer={annotationLayer}
+              />
+            ) : (
+              <DocumentRender
+                ref={documentRenderRef}
+                pageNumber={pageNumber}
+                zoom={effectiveLeftZoom}
+                initialRenderDone={() => {}}
+                onRender={handlePrimaryRendered}
+                setZoom={setZoom}
+                imageProperties={primaryImageProperties}
+                isCanvasEnabled={primaryCanvasEnabled}
+                allPages={allPages}
+                zoomMode={zoomMode}
+                customFitSizeLimits={customFitSizeLimits}
+                onToggleFitZoomMode={onToggleFitZoomMode}
+                onDisplayStateChange={onPrimaryDisplayStateChange}
+                searchHighlights={searchHighlights}
+                annotationLayer={annotationLayer}
+              />
+            )}
           </div>
         </div>
 
@@ -902,6 +979,8 @@ const DocumentViewerRender = ({
                 zoomMode={zoomMode}
                 customFitSizeLimits={customFitSizeLimits}
                 onToggleFitZoomMode={onToggleFitZoomMode}
+                searchHighlights={searchHighlights}
+                annotationLayer={annotationLayer}
               />
             </div>
           </div>
@@ -1045,6 +1124,24 @@ DocumentViewerRender.propTypes = {
   onHideDocumentFromSelection: PropTypes.func,
   onOpenDocumentMetadata: PropTypes.func,
   closeCompare: PropTypes.func,
+  searchHighlights: PropTypes.shape({
+    matchesByPage: PropTypes.instanceOf(Map).isRequired,
+    activeMatch: PropTypes.object,
+  }),
+  annotationLayer: PropTypes.shape({
+    byPage: PropTypes.instanceOf(Map).isRequired,
+    tool: PropTypes.string,
+    stamp: PropTypes.string.isRequired,
+    selectedId: PropTypes.string,
+    onCreate: PropTypes.func.isRequired,
+    onUpdate: PropTypes.func.isRequired,
+    onRemove: PropTypes.func.isRequired,
+    onSelect: PropTypes.func.isRequired,
+  }),
+  pageLayout: PropTypes.oneOf(['single', 'continuous', 'spread']),
+  spreadCoverPage: PropTypes.bool,
+  visibleOriginalPageNumbers: PropTypes.arrayOf(PropTypes.number),
+  onActivePageChange: PropTypes.func,
 };
 
 export default React.memo(DocumentViewerRender);
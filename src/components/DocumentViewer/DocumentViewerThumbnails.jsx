@@ -2,12 +2,14 @@
 /**
  * OpenDocViewer — Document Viewer Thumbnails (Wrapper)
  *
- * Provides the deterministic thumbnail list and local width controls for the viewer shell.
+ * Provides the deterministic thumbnail list and local width controls for the viewer shell. When the
+ * session has PDF pages or a host-supplied outline, tabs switch the pane to the document outline.
  */
 import React from 'react';
 import PropTypes from 'prop-types';
 import { useTranslation } from 'react-i18next';
 import DocumentThumbnailList from '../DocumentThumbnailList.jsx';
+import DocumentOutlinePane from '../DocumentOutlinePane.jsx';
 
 /**
  * @param {Object} props
@@ -28,6 +30,7 @@ import DocumentThumbnailList from '../DocumentThumbnailList.jsx';
  * @param {function(number): boolean} props.hidePageFromSelection
  * @param {function(number): boolean} props.hideDocumentFromSelection
  * @param {function(number): boolean} [props.onOpenDocumentMetadata]
+ * @param {function(number): boolean} [props.onDownloadOriginal]
  * @param {number} props.minWidth
  * @param {number} props.maxWidth
  * @param {number} props.defaultWidth
@@ -37,6 +40,11 @@ import DocumentThumbnailList from '../DocumentThumbnailList.jsx';
  * @param {function(): void} props.onIncreaseWidth
  * @param {function(): void} props.onDecreaseWidth
  * @param {function(): void} props.onHide
+ * @param {('thumbnails'|'outline')} [props.paneMode]
+ * @param {function(('thumbnails'|'outline')): void} [props.setPaneMode]
+ * @param {boolean} [props.outlineAvailable]
+ * @param {Array<*>} [props.sessionPages] All session pages in original order, for the outline.
+ * @param {*} [props.bundle]
  * @returns {React.ReactElement}
  */
 const DocumentViewerThumbnails = ({
@@ -57,6 +65,7 @@ const DocumentViewerThumbnails = ({
   hidePageFromSelection,
   hideDocumentFromSelection,
   onOpenDocumentMetadata,
+  onDownloadOriginal,
   minWidth,
   maxWidth,
   defaultWidth,
@@ -66,12 +75,18 @@ const DocumentViewerThumbnails = ({
   onIncreaseWidth,
   onDecreaseWidth,
   onHide,
+  paneMode = 'thumbnails',
+  setPaneMode,
+  outlineAvailable = false,
+  sessionPages = [],
+  bundle = null,
 }) => {
   const { t } = useTranslation('common');
   const widthAtMin = width <= minWidth;
   const widthAtMax = width >= maxWidth;
   const widthAtDefault = width === defaultWidth;
   const canClearSelection = selectionActive || draftSelectionDirty;
+  const showOutline = outlineAvailable && paneMode === 'outline';
 
   return (
     <div className="thumbnail-pane-shell" style={{ width: `${width}px`, minWidth: `${width}px` }}>
@@ -157,24 +172,66 @@ const DocumentViewerThumbnails = ({
             ) : null}
           </div>
         </div>
+        {outlineAvailable && typeof setPaneMode === 'function' ? (
+          <div className="thumbnail-pane-toolbar-row is-tabs">
+            <div
+              className="thumbnail-pane-mode-switch"
+              role="tablist"
+              aria-label={t('thumbnails.selection.tabGroup', { defaultValue: 'Thumbnail pane content' })}
+            >
+              <button
+                type="button"
+                role="tab"
+                aria-selected={!showOutline}
+                className={`thumbnail-pane-mode-button${showOutline ? '' : ' is-active'}`}
+                onClick={() => setPaneMode('thumbnails')}
+              >
+                <span className="thumbnail-pane-mode-button-label">
+                  {t('thumbnails.selection.thumbnailsTab', { defaultValue: 'Thumbnails' })}
+                </span>
+              </button>
+              <button
+                type="button"
+                role="tab"
+                aria-selected={showOutline}
+                className={`thumbnail-pane-mode-button${showOutline ? ' is-active' : ''}`}
+                onClick={() => setPaneMode('outline')}
+              >
+                <span className="thumbnail-pane-mode-button-label">
+                  {t('thumbnails.outline.tab', { defaultValue: 'Outline' })}
+                </span>
+              </button>
+            </div>
+          </div>
+        ) : null}
       </div>
 
-      <DocumentThumbnailList
-        allPages={allPages}
-        pageNumber={pageNumber}
-        setPageNumber={setPageNumber}
-        thumbnailsContainerRef={thumbnailsContainerRef}
-        width={width}
-        selectForCompare={selectForCompare}
-        isComparing={isComparing}
-        comparePageNumber={comparePageNumber}
-        activePane={activePane}
-        navigationModifierState={navigationModifierState}
-        selectionPanelEnabled={selectionPanelEnabled}
-        onHidePageFromSelection={hidePageFromSelection}
-        onHideDocumentFromSelection={hideDocumentFromSelection}
-        onOpenDocumentMetadata={onOpenDocumentMetadata}
-      />
+      {showOutline ? (
+        <DocumentOutlinePane
+          allPages={sessionPages}
+          bundle={bundle}
+          pageNumber={pageNumber}
+          setPageNumber={setPageNumber}
+        />
+      ) : (
+        <DocumentThumbnailList
+          allPages={allPages}
+          pageNumber={pageNumber}
+          setPageNumber={setPageNumber}
+          thumbnailsContainerRef={thumbnailsContainerRef}
+          width={width}
+          selectForCompare={selectForCompare}
+          isComparing={isComparing}
+          comparePageNumber={comparePageNumber}
+          activePane={activePane}
+          navigationModifierState={navigationModifierState}
+          selectionPanelEnabled={selectionPanelEnabled}
+          onHidePageFromSelection={hidePageFromSelection}
+          onHideDocumentFromSelection={hideDocumentFromSelection}
+          onOpenDocumentMetadata={onOpenDocumentMetadata}
+          onDownloadOriginal={onDownloadOriginal}
+        />
+      )}
     </div>
   );
 };
@@ -207,6 +264,7 @@ DocumentViewerThumbnails.propTypes = {
   hidePageFromSelection: PropTypes.func.isRequired,
   hideDocumentFromSelection: PropTypes.func.isRequired,
   onOpenDocumentMetadata: PropTypes.func,
+  onDownloadOriginal: PropTypes.func,
   minWidth: PropTypes.number.isRequired,
   maxWidth: PropTypes.number.isRequired,
   defaultWidth: PropTypes.number.isRequired,
@@ -216,6 +274,11 @@ DocumentViewerThumbnails.propTypes = {
   onIncreaseWidth: PropTypes.func.isRequired,
   onDecreaseWidth: PropTypes.func.isRequired,
   onHide: PropTypes.func.isRequired,
+  paneMode: PropTypes.oneOf(['thumbnails', 'outline']),
+  setPaneMode: PropTypes.func,
+  outlineAvailable: PropTypes.bool,
+  sessionPages: PropTypes.array,
+  bundle: PropTypes.object,
 };
 
 export default React.memo(DocumentViewerThumbnails);
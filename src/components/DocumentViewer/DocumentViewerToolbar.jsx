@@ -10,6 +10,9 @@ import React from 'react';
 import PropTypes from 'prop-types';
 import DocumentToolbar from '../DocumentToolbar/DocumentToolbar.jsx';
 
+/** @type {Array<*>} */
+const EMPTY_ANNOTATIONS = [];
+
 /**
  * Ref-like shape used for imperative handles.
  * @typedef {Object} RefLike
@@ -81,8 +84,11 @@ import DocumentToolbar from '../DocumentToolbar/DocumentToolbar.jsx';
  * @property {RefLike} documentRenderRef
  * @property {RefLike} compareRef
  * @property {boolean} isPrintDialogOpen
+ * @property {(Object|null)=} printDialogPreset
  * @property {function(): void} openPrintDialog
  * @property {function(): void} closePrintDialog
+ * @property {number} batesNextNumber
+ * @property {function(number): void} setBatesNextNumber
  * @property {boolean} printEnabled
  * @property {boolean} hasActiveSelection
  * @property {Array<number>} visibleOriginalPageNumbers
@@ -101,6 +107,20 @@ import DocumentToolbar from '../DocumentToolbar/DocumentToolbar.jsx';
  * @property {{ canGoPrevious:boolean, canGoNext:boolean, canGoFirst:boolean, canGoLast:boolean }} compareDocumentNavigation
  * @property {function(): void} handleCompare
  * @property {boolean} isComparing
+ * @property {boolean=} isSearchOpen
+ * @property {function(): void=} onToggleSearch
+ * @property {('single'|'continuous'|'spread')=} pageLayout
+ * @property {function(('single'|'continuous'|'spread')): void=} setPageLayout
+ * @property {boolean=} spreadCoverPage
+ * @property {function(boolean): void=} setSpreadCoverPage
+ * @property {Array<import('../../utils/annotations.js').ViewerAnnotation>=} annotations Session annotations.
+ * @property {(string|null)=} annotationTool Active annotation tool, or null when annotating is off.
+ * @property {function((string|null)): void=} setAnnotationTool
+ * @property {string=} annotationStamp Stamp placed by the stamp tool.
+ * @property {function(string): void=} setAnnotationStamp
+ * @property {(string|null)=} selectedAnnotationId
+ * @property {function(): void=} onDeleteSelectedAnnotation
+ * @property {function(number): boolean=} onDownloadOriginal
  * @property {'primary'|'compare'} activePane
  * @property {(number|null)} comparePageNumber - Current visible compare-page ordinal.
  * @property {(number|null)} comparePageNumberDisplay - Current original session compare-page number.
@@ -169,6 +189,20 @@ const DocumentViewerToolbar = ({
   viewerContainerRef,
   handleCompare,
   isComparing,
+  isSearchOpen = false,
+  onToggleSearch,
+  pageLayout = 'single',
+  setPageLayout,
+  spreadCoverPage = false,
+  setSpreadCoverPage,
+  annotations = EMPTY_ANNOTATIONS,
+  annotationTool = null,
+  setAnnotationTool,
+  annotationStamp = 'approved',
+  setAnnotationStamp,
+  selectedAnnotationId = null,
+  onDeleteSelectedAnnotation,
+  onDownloadOriginal,
   activePane,
   comparePageNumber,
   comparePageNumberDisplay,
@@ -182,8 +216,11 @@ const DocumentViewerToolbar = ({
   documentRenderRef,
   compareRef,
   isPrintDialogOpen,
+  printDialogPreset = null,
   openPrintDialog,
   closePrintDialog,
+  batesNextNumber,
+  setBatesNextNumber,
   printEnabled,
   hasActiveSelection,
   visibleOriginalPageNumbers,
@@ -253,8 +290,11 @@ const DocumentViewerToolbar = ({
       viewerContainerRef={viewerContainerRef}
       documentRenderRef={documentRenderRef}
       isPrintDialogOpen={isPrintDialogOpen}
+      printDialogPreset={printDialogPreset}
       openPrintDialog={openPrintDialog}
       closePrintDialog={closePrintDialog}
+      batesNextNumber={batesNextNumber}
+      setBatesNextNumber={setBatesNextNumber}
       printEnabled={printEnabled}
       hasActiveSelection={hasActiveSelection}
       visibleOriginalPageNumbers={visibleOriginalPageNumbers}
@@ -273,6 +313,20 @@ const DocumentViewerToolbar = ({
       compareDocumentNavigation={compareDocumentNavigation}
       handleCompare={handleCompare}
       isComparing={isComparing}
+      isSearchOpen={isSearchOpen}
+      onToggleSearch={onToggleSearch}
+      pageLayout={pageLayout}
+      setPageLayout={setPageLayout}
+      spreadCoverPage={spreadCoverPage}
+      setSpreadCoverPage={setSpreadCoverPage}
+      annotations={annotations}
+      annotationTool={annotationTool}
+      setAnnotationTool={setAnnotationTool}
+      annotationStamp={annotationStamp}
+      setAnnotationStamp={setAnnotationStamp}
+      selectedAnnotationId={selectedAnnotationId}
+      onDeleteSelectedAnnotation={onDeleteSelectedAnnotation}
+      onDownloadOriginal={onDownloadOriginal}
       activePane={activePane}
       comparePageNumber={comparePageNumber}
       comparePageNumberDisplay={comparePageNumberDisplay}
@@ -354,6 +408,20 @@ DocumentViewerToolbar.propTypes = {
   viewerContainerRef: PropTypes.shape({ current: PropTypes.any }).isRequired,
   handleCompare: PropTypes.func.isRequired,
   isComparing: PropTypes.bool.isRequired,
+  isSearchOpen: PropTypes.bool,
+  onToggleSearch: PropTypes.func,
+  pageLayout: PropTypes.oneOf(['single', 'continuous', 'spread']),
+  setPageLayout: PropTypes.func,
+  spreadCoverPage: PropTypes.bool,
+  setSpreadCoverPage: PropTypes.func,
+  annotations: PropTypes.arrayOf(PropTypes.object),
+  annotationTool: PropTypes.string,
+  setAnnotationTool: PropTypes.func,
+  annotationStamp: PropTypes.string,
+  setAnnotationStamp: PropTypes.func,
+  selectedAnnotationId: PropTypes.string,
+  onDeleteSelectedAnnotation: PropTypes.func,
+  onDownloadOriginal: PropTypes.func,
   activePane: PropTypes.oneOf(['primary', 'compare']).isRequired,
   comparePageNumber: PropTypes.oneOfType([PropTypes.number, PropTypes.oneOf([null])]),
   comparePageNumberDisplay: PropTypes.oneOfType([PropTypes.number, PropTypes.oneOf([null])]),
@@ -378,8 +446,11 @@ DocumentViewerToolbar.propTypes = {
   documentRenderRef: PropTypes.shape({ current: PropTypes.any }).isRequired,
   compareRef: PropTypes.shape({ current: PropTypes.any }).isRequired,
   isPrintDialogOpen: PropTypes.bool.isRequired,
+  printDialogPreset: PropTypes.object,
   openPrintDialog: PropTypes.func.isRequired,
   closePrintDialog: PropTypes.func.isRequired,
+  batesNextNumber: PropTypes.number.isRequired,
+  setBatesNextNumber: PropTypes.func.isRequired,
   printEnabled: PropTypes.bool.isRequired,
   hasActiveSelection: PropTypes.bool.isRequired,
   visibleOriginalPageNumbers: PropTypes.arrayOf(PropTypes.number).isRequired,
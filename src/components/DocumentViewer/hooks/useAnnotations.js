@@ -0,0 +1,167 @@
+// File: src/components/DocumentViewer/hooks/useAnnotations.js
+/**
+ * File: src/components/DocumentViewer/hooks/useAnnotations.js
+ *
+ * Session annotations: state, the active annotation tool, and the `exportAnnotations` host command.
+ *
+ * Redaction mode is the `redact` tool. It is kept out of `ANNOTATION_TOOLS` because the toolbar
+ * offers it as its own toggle rather than in the annotation tool menu; redaction regions are stored
+ * as `redact` annotations in the same list.
+ *
+ * The list starts from the bundle's optional `annotations` section. When the bundle changes within
+ * the same session (`appendDocuments`, `removeDocument`), annotations of removed documents are
+ * dropped and new bundle annotations are added, while annotations drawn by the user are kept. A
+ * bundle with a different session id replaces the list. Annotations the user deleted stay deleted
+ * even if a later bundle update still carries them.
+ *
+ * @module useAnnotations
+ */
+
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { registerHostCommands } from '../../../integrations/hostCommands.js';
+import {
+  ANNOTATION_SCHEMA_VERSION,
+  ANNOTATION_STAMPS,
+  groupAnnotationsByPage,
+  isRedaction,
+  normalizeAnnotation,
+  normalizeAnnotationList,
+} from '../../../utils/annotations.js';
+
+/** @type {ReadonlyArray<string>} */
+export const ANNOTATION_TOOLS = Object.freeze(['select', 'rect', 'highlight', 'note', 'ink', 'stamp']);
+
+/** Tool id of redaction mode. */
+export const REDACTION_TOOL = 'redact';
+
+/**
+ * @typedef {import('../../../utils/annotations.js').ViewerAnnotation} ViewerAnnotation
+ */
+
+/**
+ * @param {*} bundle
+ * @returns {Set<string>}
+ */
+function getBundleDocumentIds(bundle) {
+  const documents = Array.isArray(bundle?.documents) ? bundle.documents : [];
+  return new Set(documents.map((document) => String(document?.documentId || '')));
+}
+
+/**
+ * @param {Object} args
+ * @param {(Object|null)} args.bundle Portable Document Bundle of the session.
+ * @returns {{
+ *   annotations: Array<ViewerAnnotation>,
+ *   tool: (string|null),
+ *   setTool: function((string|null)): void,
+ *   stamp: string,
+ *   setStamp: function(string): void,
+ *   selectedId: (string|null),
+ *   removeSelected: function(): void,
+ *   redactionCount: number,
+ *   layer: import('../../PageAnnotationLayer.jsx').AnnotationLayerState
+ * }}
+ */
+export function useAnnotations({ bundle }) {
+  const [annotations, setAnnotations] = useState(/** @type {Array<ViewerAnnotation>} */ ([]));
+  const [tool, setToolState] = useState(/** @type {(string|null)} */ (null));
+  const [stamp, setStampState] = useState(ANNOTATION_STAMPS[0].id);
+  const [selectedId, setSelectedId] = useState(/** @type {(string|null)} */ (null));
+  const sessionIdRef = useRef(/** @type {(string|null)} */ (null));
+  const deletedIdsRef = useRef(new Set());
+  const annotationsRef = useRef(annotations);
+  annotationsRef.current = annotations;
+
+  useEffect(() => {
+    const sessionId = bundle ? String(bundle.session?.id ?? '') : null;
+    const incoming = normalizeAnnotationList(bundle?.annotations);
+    if (sessionId !== sessionIdRef.current) {
+      sessionIdRef.current = sessionId;
+      deletedIdsRef.current = new Set();
+      setAnnotations(incoming);
+      setSelectedId(null);
+      return;
+    }
+
+    const documentIds = getBundleDocumentIds(bundle);
+    setAnnotations((previous) => {
+      const kept = previous.filter((annotation) => annotation.documentId == null || documentIds.has(annotation.documentId));
+      const known = new Set(kept.map((annotation) => annotation.id));
+      const added = incoming.filter((annotation) => !known.has(annotation.id) && !deletedIdsRef.current.has(annotation.id));
+      return added.length || kept.length !== previous.length ? kept.concat(added) : previous;
+    });
+  }, [bundle]);
+
+  const setTool = useCallback((next) => {
+    setToolState(ANNOTATION_TOOLS.includes(next) || next === REDACTION_TOOL ? next : null);
+    if (next !== 'select') setSelectedId(null);
+  }, []);
+
+  const setStamp = useCallback((next) => {
+    if (ANNOTATION_STAMPS.some((entry) => entry.id === next)) setStampState(next);
+  }, []);
+
+  const onCreate = useCallback((input) => {
+    const annotation = normalizeAnnotation({
+      ...input,
+      id: undefined,
+      author: String(bundle?.session?.userId || '') || undefined,
+      createdAt: new Date().toISOString(),
+    });
+    if (!annotation) return null;
+    setAnnotations((previous) => previous.concat([annotation]));
+    return annotation;
+  }, [bundle?.session?.userId]);
+
+  const onUpdate = useCallback((id, patch) => {
+    setAnnotations((previous) => previous.map((annotation) => {
+      if (annotation.id !== id) return annotation;
+      return normalizeAnnotation({ ...annotation, ...patch, id }) || annotation;
+    }));
+  }, []);
+
+  const onRemove = useCallback((id) => {
+    deletedIdsRef.current.add(id);
+    setAnnotations((previous) => previous.filter((annotation) => annotation.id !== id));
+    setSelectedId((current) => (current === id ? null : current));
+  }, []);
+
+  const removeSelected = useCallback(() => {
+    if (selectedId) onRemove(selectedId);
+  }, [onRemove, selectedId]);
+
+  useEffect(() => registerHostCommands({
+    exportAnnotations: () => ({
+      schemaVersion: ANNOTATION_SCHEMA_VERSION,
+      annotations: JSON.parse(JSON.stringify(annotationsRef.current)),
+    }),
+  }), []);
+
+  const byPage = useMemo(() => groupAnnotationsByPage(annotations), [annotations]);
+  const redactionCount = useMemo(() => annotations.filter(isRedaction).length, [annotations]);
+
+  const layer = useMemo(() => ({
+    byPage,
+    tool,
+    stamp,
+    selectedId,
+    onCreate,
+    onUpdate,
+    onRemove,
+    onSelect: setSelectedId,
+  }), [byPage, onCreate, onRemove, onUpdate, selectedId, stamp, tool]);
+
+  return {
+    annotations,
+    tool,
+    setTool,
+    stamp,
+    setStamp,
+    selectedId,
+    removeSelected,
+    redactionCount,
+    layer,
+  };
+}
+
+export default useAnnotations;
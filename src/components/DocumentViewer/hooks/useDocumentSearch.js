@@ -0,0 +1,215 @@
+// File: src/components/DocumentViewer/hooks/useDocumentSearch.js
+/**
+ * File: src/components/DocumentViewer/hooks/useDocumentSearch.js
+ *
+ * In-document text search across every PDF and text-source page of the session.
+ *
+ * Pages are scanned in session order through `getPageText()`, which extracts text on demand and
+ * caches it per source page, so a second query over the same case is fast. Matches arrive while the
+ * scan is still running; the first match is activated and shown as soon as it is found. Starting a
+ * new search, clearing, or a change of the session page count abandons the running scan.
+ *
+ * Image pages have no text layer and are skipped.
+ *
+ * @module useDocumentSearch
+ */
+
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { createSearchPattern, findPageTextMatches, hasPageTextContent } from '../../../utils/pdfTextContent.js';
+
+/** Publish scan progress at most every this many pages when nothing new was found. */
+const PROGRESS_PAGE_STEP = 8;
+
+/**
+ * @typedef {import('../../../utils/pdfTextContent.js').PageTextMatch} PageTextMatch
+ */
+
+/**
+ * @typedef {Object} DocumentSearchState
+ * @property {string} query
+ * @property {('idle'|'searching'|'done')} status
+ * @property {Array<PageTextMatch>} matches
+ * @property {number} activeIndex
+ * @property {number} scannedPages
+ * @property {number} searchablePages
+ */
+
+/** @type {DocumentSearchState} */
+const IDLE_STATE = Object.freeze({
+  query: '',
+  status: 'idle',
+  matches: [],
+  activeIndex: -1,
+  scannedPages: 0,
+  searchablePages: 0,
+});
+
+/**
+ * @param {Object} args
+ * @param {Array<Object>} args.allPages
+ * @param {function(number): Promise<*>} args.getPageText
+ * @param {function(number): void} args.goToOriginalPage Navigate to a 1-based session page number.
+ * @returns {{
+ *   state: DocumentSearchState,
+ *   activeMatch: (PageTextMatch|null),
+ *   highlights: { matchesByPage: Map<number, Array<PageTextMatch>>, activeMatch: (PageTextMatch|null) },
+ *   search: function(string): void,
+ *   next: function(): void,
+ *   previous: function(): void,
+ *   activate: function(number): void,
+ *   clear: function(): void
+ * }}
+ */
+export function useDocumentSearch({ allPages, getPageText, goToOriginalPage }) {
+  const [state, setState] = useState(/** @type {DocumentSearchState} */ (IDLE_STATE));
+  const runIdRef = useRef(0);
+  const allPagesRef = useRef(allPages);
+  const getPageTextRef = useRef(getPageText);
+  const goToOriginalPageRef = useRef(goToOriginalPage);
+  const stateRef = useRef(state);
+  const pageCount = Array.isArray(allPages) ? allPages.length : 0;
+
+  useEffect(() => {
+    allPagesRef.current = allPages;
+    getPageTextRef.current = getPageText;
+    goToOriginalPageRef.current = goToOriginalPage;
+  }, [allPages, getPageText, goToOriginalPage]);
+
+  useEffect(() => {
+    stateRef.current = state;
+  }, [state]);
+
+  /**
+   * @param {(PageTextMatch|undefined)} match
+   * @returns {void}
+   */
+  const reveal = useCallback((match) => {
+    if (!match) return;
+    goToOriginalPageRef.current?.(match.pageIndex + 1);
+  }, []);
+
+  const clear = useCallback(() => {
+    runIdRef.current += 1;
+    setState(IDLE_STATE);
+  }, []);
+
+  const search = useCallback((rawQuery) => {
+    const query = String(rawQuery || '').trim();
+    const pattern = createSearchPattern(query);
+    const runId = runIdRef.current + 1;
+    runIdRef.current = runId;
+    if (!pattern) {
+      setState(IDLE_STATE);
+      return;
+    }
+
+    const pages = Array.isArray(allPagesRef.current) ? allPagesRef.current : [];
+    const pageIndexes = [];
+    pages.forEach((page, index) => {
+      if (page && page.status !== -1 && hasPageTextContent(page.fileExtension)) {
+        pageIndexes.push(index);
+      }
+    });
+
+    setState({
+      query,
+      status: pageIndexes.length > 0 ? 'searching' : 'done',
+      matches: [],
+      activeIndex: -1,
+      scannedPages: 0,
+      searchablePages: pageIndexes.length,
+    });
+    if (pageIndexes.length === 0) return;
+
+    void (async () => {
+      const matches = [];
+      let published = 0;
+      for (let position = 0; position < pageIndexes.length; position += 1) {
+        if (runIdRef.current !== runId) return;
+        const pageIndex = pageIndexes[position];
+        const content = await getPageTextRef.current?.(pageIndex);
+        if (runIdRef.current !== runId) return;
+
+        const pageMatches = findPageTextMatches(content, pattern, pageIndex);
+        const firstMatch = matches.length === 0 && pageMatches.length > 0;
+        matches.push(...pageMatches);
+        const scannedPages = position + 1;
+        if (pageMatches.length > 0 || scannedPages - published >= PROGRESS_PAGE_STEP) {
+          published = scannedPages;
+          const snapshot = matches.slice();
+          setState((prev) => ({
+            ...prev,
+            matches: snapshot,
+            activeIndex: prev.activeIndex >= 0 ? prev.activeIndex : (snapshot.length > 0 ? 0 : -1),
+            scannedPages,
+          }));
+        }
+        if (firstMatch) reveal(pageMatches[0]);
+      }
+
+      if (runIdRef.current !== runId) return;
+      const snapshot = matches.slice();
+      setState((prev) => ({
+        ...prev,
+        status: 'done',
+        matches: snapshot,
+        activeIndex: prev.activeIndex >= 0 ? prev.activeIndex : (snapshot.length > 0 ? 0 : -1),
+        scannedPages: pageIndexes.length,
+      }));
+    })();
+  }, [reveal]);
+
+  /**
+   * @param {number} index
+   * @returns {void}
+   */
+  const activate = useCallback((index) => {
+    const { matches } = stateRef.current;
+    if (matches.length === 0) return;
+    const nextIndex = ((Math.floor(Number(index) || 0) % matches.length) + matches.length) % matches.length;
+    setState((prev) => ({ ...prev, activeIndex: nextIndex }));
+    reveal(matches[nextIndex]);
+  }, [reveal]);
+
+  const next = useCallback(() => {
+    activate(stateRef.current.activeIndex + 1);
+  }, [activate]);
+
+  const previous = useCallback(() => {
+    activate(stateRef.current.activeIndex - 1);
+  }, [activate]);
+
+  // Page indexes shift when documents are added or removed; old matches would point elsewhere.
+  useEffect(() => {
+    clear();
+  }, [clear, pageCount]);
+
+  useEffect(() => () => {
+    runIdRef.current += 1;
+  }, []);
+
+  const activeMatch = state.activeIndex >= 0 ? (state.matches[state.activeIndex] || null) : null;
+
+  const highlights = useMemo(() => {
+    const matchesByPage = new Map();
+    for (const match of state.matches) {
+      const list = matchesByPage.get(match.pageIndex);
+      if (list) list.push(match);
+      else matchesByPage.set(match.pageIndex, [match]);
+    }
+    return { matchesByPage, activeMatch };
+  }, [activeMatch, state.matches]);
+
+  return {
+    state,
+    activeMatch,
+    highlights,
+    search,
+    next,
+    previous,
+    activate,
+    clear,
+  };
+}
+
+export default useDocumentSearch;
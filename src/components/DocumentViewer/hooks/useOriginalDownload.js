@@ -0,0 +1,154 @@
+// File: src/components/DocumentViewer/hooks/useOriginalDownload.js
+/**
+ * File: src/components/DocumentViewer/hooks/useOriginalDownload.js
+ *
+ * "Download original": the stored source bytes behind a page, or behind every page of its document.
+ *
+ * Bytes come from the session's source temp store through `readSourceBlob()`, which decrypts
+ * AES-GCM-wrapped IndexedDB records. One file downloads as itself under its host-supplied
+ * `displayName`; several files download as one ZIP. Files with redacted pages are refused, because
+ * their originals would reveal the redacted content. Every download is sent to the user log as
+ * `download-original`.
+ *
+ * @module useOriginalDownload
+ */
+
+import { useCallback, useMemo, useState } from 'react';
+import userLog from '../../../logging/userLogger.js';
+import logger from '../../../logging/systemLogger.js';
+import { getOriginalDownloadConfig, getRuntimeConfig } from '../../../utils/runtimeConfig.js';
+import {
+  collectOriginalFiles,
+  findRedactedSourceKeys,
+  getOriginalZipFilename,
+} from '../../../utils/originalDownload.js';
+import { createZipBlob } from '../../../utils/zipWriter.js';
+import { downloadPdfBlob } from '../../../utils/printUtils.js';
+
+/**
+ * Files offered for the page the dialog was opened for.
+ * @typedef {Object} OriginalDownloadTarget
+ * @property {number} originalIndex 0-based session page index.
+ * @property {Array<import('../../../utils/originalDownload.js').OriginalFile>} fileFiles The page's own file.
+ * @property {Array<import('../../../utils/originalDownload.js').OriginalFile>} documentFiles Every file of the page's document.
+ * @property {boolean} fileRedacted
+ * @property {boolean} documentRedacted
+ * @property {number} documentNumber
+ * @property {number} totalDocuments
+ * @property {string} documentId
+ */
+
+/**
+ * @param {AbortSignal=} signal
+ * @returns {void}
+ */
+function throwIfAborted(signal) {
+  if (!signal?.aborted) return;
+  const error = new Error('Download was cancelled.');
+  error.name = 'AbortError';
+  throw error;
+}
+
+/**
+ * @param {Object} args
+ * @param {Array<Object>} args.allPages Session pages.
+ * @param {Array<import('../../../utils/annotations.js').ViewerAnnotation>} args.annotations
+ * @param {function(string): Promise<(Blob|null)>} args.readSourceBlob
+ * @returns {{
+ *   enabled: boolean,
+ *   target: (OriginalDownloadTarget|null),
+ *   open: function(number): boolean,
+ *   close: function(): void,
+ *   download: function(import('../../../utils/originalDownload.js').OriginalDownloadScope, { signal:AbortSignal, onProgress:function({ current:number, total:number }): void }): Promise<void>
+ * }}
+ */
+export function useOriginalDownload({ allPages, annotations, readSourceBlob }) {
+  const config = useMemo(() => getOriginalDownloadConfig(getRuntimeConfig()), []);
+  const [targetIndex, setTargetIndex] = useState(/** @type {(number|null)} */ (null));
+
+  const redactedSourceKeys = useMemo(
+    () => (targetIndex === null ? new Set() : findRedactedSourceKeys(allPages, annotations)),
+    [allPages, annotations, targetIndex]
+  );
+
+  const target = useMemo(() => {
+    if (targetIndex === null) return null;
+    const page = Array.isArray(allPages) ? (allPages[targetIndex] || null) : null;
+    const fileFiles = collectOriginalFiles(allPages, targetIndex, 'file');
+    const documentFiles = collectOriginalFiles(allPages, targetIndex, 'document');
+    const isRedacted = (files) => files.some((file) => redactedSourceKeys.has(file.sourceKey));
+    return {
+      originalIndex: targetIndex,
+      fileFiles,
+      documentFiles,
+      fileRedacted: isRedacted(fileFiles),
+      documentRedacted: isRedacted(documentFiles),
+      documentNumber: Math.max(0, Math.floor(Number(page?.documentNumber) || 0)),
+      totalDocuments: Math.max(0, Math.floor(Number(page?.totalDocuments) || 0)),
+      documentId: String(page?.documentId || '').trim(),
+    };
+  }, [allPages, redactedSourceKeys, targetIndex]);
+
+  const open = useCallback((originalIndex) => {
+    if (!config.enabled) return false;
+    const index = Math.floor(Number(originalIndex));
+    if (!Number.isFinite(index) || index < 0 || !Array.isArray(allPages) || index >= allPages.length) return false;
+    setTargetIndex(index);
+    return true;
+  }, [allPages, config.enabled]);
+
+  const close = useCallback(() => setTargetIndex(null), []);
+
+  const download = useCallback(async (scope, job) => {
+    if (!target) return;
+    const files = scope === 'document' ? target.documentFiles : target.fileFiles;
+    if (!files.length) throw new Error('No stored original is available for this page.');
+    // Checked again here: redactions may have been added while the dialog was open.
+    if (files.some((file) => redactedSourceKeys.has(file.sourceKey))) {
+      throw new Error('Redacted files cannot be downloaded as originals.');
+    }
+
+    const entries = [];
+    for (let index = 0; index < files.length; index += 1) {
+      throwIfAborted(job?.signal);
+      try { job?.onProgress?.({ current: index, total: files.length }); } catch {}
+      const blob = typeof readSourceBlob === 'function' ? await readSourceBlob(files[index].sourceKey) : null;
+      if (!blob) throw new Error(`The original of ${files[index].name} is not available yet. Try again when loading has finished.`);
+      entries.push({ name: files[index].name, blob });
+    }
+    throwIfAborted(job?.signal);
+
+    const zipped = entries.length > 1;
+    const blob = zipped ? await createZipBlob(entries) : entries[0].blob;
+    const filename = zipped ? getOriginalZipFilename(config.zipFilename, target.documentNumber) : entries[0].name;
+    throwIfAborted(job?.signal);
+    downloadPdfBlob(blob, filename);
+    logger.info('Original download started', { fileCount: entries.length, size: blob.size, zipped });
+
+    try {
+      userLog.submitOriginalDownload({
+        action: 'download-original',
+        reason: null,
+        forWhom: null,
+        docId: target.documentId || null,
+        fileName: filename,
+        pageCount: files.reduce((sum, file) => sum + file.pageCount, 0),
+        pages: files.map((file) => (file.pageCount > 1
+          ? `${file.firstPageNumber}-${file.firstPageNumber + file.pageCount - 1}`
+          : String(file.firstPageNumber))).join(','),
+        copies: 1,
+        fileCount: entries.length,
+      });
+    } catch { /* never throw */ }
+  }, [config.zipFilename, readSourceBlob, redactedSourceKeys, target]);
+
+  return {
+    enabled: config.enabled,
+    target,
+    open,
+    close,
+    download,
+  };
+}
+
+export default useOriginalDownload;
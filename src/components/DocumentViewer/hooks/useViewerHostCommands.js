@@ -0,0 +1,342 @@
+// File: src/components/DocumentViewer/hooks/useViewerHostCommands.js
+/**
+ * File: src/components/DocumentViewer/hooks/useViewerHostCommands.js
+ *
+ * Viewer-side handlers for the imperative `window.ODV` command API.
+ *
+ * Commands validate their arguments, call the same actions the toolbar uses, and resolve with a
+ * fresh state snapshot only after React has committed the requested change. The snapshot is the
+ * same object `getState()` returns.
+ *
+ * `close()` is owned by `AppBootstrap` because it unmounts the viewer.
+ *
+ * @module useViewerHostCommands
+ */
+
+import { useEffect, useMemo, useRef } from 'react';
+import { registerHostCommands } from '../../../integrations/hostCommands.js';
+import {
+  ODV_HOST_EVENT_SCHEMA_VERSION,
+  describeHostPageContext,
+} from '../../../integrations/hostEvents.js';
+import { normalizeBatesNumber } from '../../../utils/batesNumbering.js';
+
+/** How long a command waits for its change to be committed. */
+const COMMAND_APPLY_TIMEOUT_MS = 5000;
+
+const ZOOM_MODES = Object.freeze(['FIT_PAGE', 'FIT_WIDTH', 'FIT_CUSTOM', 'ACTUAL_SIZE', 'CUSTOM']);
+const PRINT_DIALOG_MODES = Object.freeze(['active', 'all', 'range', 'advanced']);
+
+/**
+ * Snapshot returned by `getState()` and by every command.
+ * @typedef {Object} ODVHostViewerState
+ * @property {number} schemaVersion
+ * @property {(import('../../../integrations/hostEvents.js').ODVHostPageContext|null)} page
+ * @property {number} visiblePageNumber
+ * @property {number} visiblePageCount
+ * @property {number} totalPages
+ * @property {{ mode:string, scale:number }} zoom
+ * @property {{ active:boolean, page:(Object|null) }} compare
+ * @property {'primary'|'compare'} activePane
+ * @property {{ primary:number, compare:number }} rotation
+ * @property {{ active:boolean }} selection
+ * @property {boolean} printDialogOpen
+ * @property {{ nextNumber:number }} bates
+ * @property {{ discoveredPages:number, expectedPages:number, readyPages:number, failedPages:number, allPagesReady:boolean }} load
+ */
+
+/**
+ * @typedef {Object} UseViewerHostCommandsArgs
+ * @property {Array<Object>} allPages
+ * @property {number} totalSessionPages
+ * @property {Array<number>} visibleOriginalPageNumbers
+ * @property {number} pageNumber                    Original 1-based page number of the primary pane.
+ * @property {number} visiblePageNumber
+ * @property {number} visiblePageCount
+ * @property {{ mode:string, scale:number }} zoomState
+ * @property {boolean} isComparing
+ * @property {(number|null)} comparePageNumber
+ * @property {'primary'|'compare'} activePane
+ * @property {{ rotation:number }} primaryImageProperties
+ * @property {{ rotation:number }} compareImageProperties
+ * @property {boolean} selectionActive
+ * @property {boolean} isPrintDialogOpen
+ * @property {boolean} printEnabled
+ * @property {boolean} printSelectionWorkspaceOpen
+ * @property {(Object|null|undefined)} pageLoadState
+ * @property {function(number): void} setPageNumber
+ * @property {function(number, Object=): void} selectForCompare
+ * @property {function(string): void} setZoomMode
+ * @property {function(Object=): void} openPrintDialogWithPreset
+ * @property {function(number, ('primary'|'compare')): void} handleRotationChange
+ * @property {number} batesNextNumber
+ * @property {function(number): void} setBatesNextNumber
+ */
+
+/**
+ * @param {*} value
+ * @returns {number}
+ */
+function normalizeRotation(value) {
+  const numeric = Math.round(Number(value) || 0);
+  return ((numeric % 360) + 360) % 360;
+}
+
+/**
+ * @param {*} value
+ * @param {number} total
+ * @param {string} label
+ * @returns {number}
+ */
+function requirePageNumber(value, total, label = 'page') {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1 || n > total) {
+    throw new RangeError(`Invalid ${label} ${String(value)}; expected an integer between 1 and ${total}`);
+  }
+  return n;
+}
+
+/**
+ * Validate the optional `openPrintDialog(options)` argument into a dialog preset.
+ *
+ * @param {*} options
+ * @param {number} total
+ * @returns {(Object|null)}
+ */
+function normalizePrintDialogPreset(options, total) {
+  if (options == null) return null;
+  if (typeof options !== 'object') throw new TypeError('openPrintDialog options must be an object');
+  const mode = String(options.mode || 'active');
+  if (!PRINT_DIALOG_MODES.includes(mode)) {
+    throw new RangeError(`Invalid print mode "${mode}"; expected one of ${PRINT_DIALOG_MODES.join(', ')}`);
+  }
+  if (mode === 'range') {
+    return {
+      mode,
+      from: requirePageNumber(options.from, total, 'from page'),
+      to: requirePageNumber(options.to, total, 'to page'),
+    };
+  }
+  if (mode === 'advanced') {
+    if (!Array.isArray(options.sequence) || !options.sequence.length) {
+      throw new TypeError('Advanced print mode requires a non-empty page sequence');
+    }
+    return { mode, sequence: options.sequence.map((value) => requirePageNumber(value, total, 'sequence page')) };
+  }
+  if (mode === 'all') return { mode, allScope: options.allScope === 'session' ? 'session' : 'selection' };
+  return { mode, activeScope: options.activeScope === 'compare-both' ? 'compare-both' : 'primary' };
+}
+
+/**
+ * Register viewer command handlers while the viewer is mounted.
+ *
+ * @param {UseViewerHostCommandsArgs} args
+ * @returns {void}
+ */
+export function useViewerHostCommands(args) {
+  const {
+    allPages,
+    pageNumber,
+    visiblePageNumber,
+    visiblePageCount,
+    totalSessionPages,
+    zoomState,
+    isComparing,
+    comparePageNumber,
+    activePane,
+    primaryImageProperties,
+    compareImageProperties,
+    selectionActive,
+    isPrintDialogOpen,
+    pageLoadState,
+    batesNextNumber,
+  } = args;
+
+  const snapshot = useMemo(() => ({
+    schemaVersion: ODV_HOST_EVENT_SCHEMA_VERSION,
+    page: describeHostPageContext(allPages, pageNumber),
+    visiblePageNumber,
+    visiblePageCount,
+    totalPages: totalSessionPages,
+    zoom: { mode: String(zoomState?.mode || ''), scale: Number(zoomState?.scale) || 0 },
+    compare: {
+      active: !!isComparing && comparePageNumber != null,
+      page: isComparing ? describeHostPageContext(allPages, comparePageNumber) : null,
+    },
+    activePane: activePane === 'compare' ? 'compare' : 'primary',
+    rotation: {
+      primary: normalizeRotation(primaryImageProperties?.rotation),
+      compare: normalizeRotation(compareImageProperties?.rotation),
+    },
+    selection: { active: !!selectionActive },
+    printDialogOpen: !!isPrintDialogOpen,
+    bates: { nextNumber: batesNextNumber },
+    load: {
+      discoveredPages: Number(pageLoadState?.discoveredPages) || 0,
+      expectedPages: Number(pageLoadState?.expectedPages) || 0,
+      readyPages: Number(pageLoadState?.readyPages) || 0,
+      failedPages: Number(pageLoadState?.failedPages) || 0,
+      allPagesReady: !!pageLoadState?.allPagesReady,
+    },
+  }), [
+    activePane,
+    allPages,
+    batesNextNumber,
+    compareImageProperties?.rotation,
+    comparePageNumber,
+    isComparing,
+    isPrintDialogOpen,
+    pageLoadState,
+    pageNumber,
+    primaryImageProperties?.rotation,
+    selectionActive,
+    totalSessionPages,
+    visiblePageCount,
+    visiblePageNumber,
+    zoomState?.mode,
+    zoomState?.scale,
+  ]);
+
+  // Handlers are registered once; they read the latest props and committed state through refs.
+  const argsRef = useRef(args);
+  argsRef.current = args;
+  const committedRef = useRef(snapshot);
+  const waitersRef = useRef(/** @type {Array<{ predicate:function(ODVHostViewerState): boolean, resolve:function(ODVHostViewerState): void, reject:function(Error): void }>} */ ([]));
+
+  useEffect(() => {
+    committedRef.current = snapshot;
+    if (!waitersRef.current.length) return;
+    waitersRef.current = waitersRef.current.filter((waiter) => {
+      if (!waiter.predicate(snapshot)) return true;
+      waiter.resolve(snapshot);
+      return false;
+    });
+  }, [snapshot]);
+
+  useEffect(() => {
+    /**
+     * Resolve once a committed snapshot satisfies `predicate`.
+     * @param {string} name
+     * @param {function(ODVHostViewerState): boolean} predicate
+     * @returns {Promise<ODVHostViewerState>}
+     */
+    const waitForState = (name, predicate) => new Promise((resolve, reject) => {
+      // Requests that match the current state do not cause a commit, so answer them right away.
+      if (predicate(committedRef.current)) {
+        resolve(committedRef.current);
+        return;
+      }
+      const waiter = {
+        predicate,
+        resolve: (state) => {
+          clearTimeout(timer);
+          resolve(state);
+        },
+        reject: (error) => {
+          clearTimeout(timer);
+          reject(error);
+        },
+      };
+      const timer = setTimeout(() => {
+        waitersRef.current = waitersRef.current.filter((entry) => entry !== waiter);
+        reject(new Error(`OpenDocViewer did not apply "${name}" in time`));
+      }, COMMAND_APPLY_TIMEOUT_MS);
+      waitersRef.current.push(waiter);
+    });
+
+    /**
+     * @param {string} name
+     * @param {number} n
+     * @returns {number}
+     */
+    const requireVisiblePage = (name, n) => {
+      const visible = argsRef.current.visibleOriginalPageNumbers || [];
+      if (!visible.includes(n)) throw new Error(`${name}: page ${n} is hidden by the active page selection`);
+      return n;
+    };
+
+    const goToPage = (value) => {
+      const n = requireVisiblePage('goToPage', requirePageNumber(value, argsRef.current.totalSessionPages));
+      argsRef.current.setPageNumber(n);
+      return waitForState('goToPage', (state) => state.page?.pageNumber === n);
+    };
+
+    const unregister = registerHostCommands({
+      goToPage,
+
+      goToDocument: (documentId) => {
+        const key = String(documentId ?? '').trim();
+        if (!key) throw new TypeError('goToDocument requires a document id');
+        const pages = Array.isArray(argsRef.current.allPages) ? argsRef.current.allPages : [];
+        const matches = (page) => String(page?.documentId ?? '') === key
+          || (/^\d+$/.test(key) && Number(page?.documentNumber) === Number(key));
+        const visible = argsRef.current.visibleOriginalPageNumbers || [];
+        const target = visible.find((n) => matches(pages[n - 1]));
+        if (target) return goToPage(target);
+        if (pages.some(matches)) throw new Error(`goToDocument: document "${key}" is hidden by the active page selection`);
+        throw new Error(`goToDocument: unknown document "${key}"`);
+      },
+
+      setZoomMode: (mode) => {
+        const normalized = String(mode || '').trim().toUpperCase();
+        if (!ZOOM_MODES.includes(normalized)) {
+          throw new RangeError(`Invalid zoom mode "${String(mode)}"; expected one of ${ZOOM_MODES.join(', ')}`);
+        }
+        argsRef.current.setZoomMode(normalized);
+        return waitForState('setZoomMode', (state) => state.zoom.mode === normalized);
+      },
+
+      openCompare: (pageA, pageB) => {
+        const total = argsRef.current.totalSessionPages;
+        const a = requireVisiblePage('openCompare', requirePageNumber(pageA, total, 'primary page'));
+        const b = requireVisiblePage('openCompare', requirePageNumber(pageB, total, 'compare page'));
+        argsRef.current.setPageNumber(a);
+        argsRef.current.selectForCompare(b);
+        return waitForState('openCompare', (state) => state.page?.pageNumber === a
+          && state.compare.active
+          && state.compare.page?.pageNumber === b);
+      },
+
+      openPrintDialog: (options) => {
+        const current = argsRef.current;
+        if (!current.printEnabled) throw new Error('openPrintDialog: printing is available once all pages are loaded');
+        if (current.printSelectionWorkspaceOpen) throw new Error('openPrintDialog: the print selection workspace is open');
+        const preset = normalizePrintDialogPreset(options, current.totalSessionPages);
+        current.openPrintDialogWithPreset(preset);
+        return waitForState('openPrintDialog', (state) => state.printDialogOpen);
+      },
+
+      rotate: (pane, degrees) => {
+        const target = pane === 'compare' ? 'compare' : (pane == null || pane === 'primary' ? 'primary' : '');
+        if (!target) throw new RangeError(`Invalid pane "${String(pane)}"; expected "primary" or "compare"`);
+        const delta = Number(degrees);
+        if (!Number.isInteger(delta) || delta % 90 !== 0) {
+          throw new RangeError(`Invalid rotation ${String(degrees)}; expected a multiple of 90 degrees`);
+        }
+        const before = committedRef.current;
+        if (target === 'compare' && !before.compare.active) throw new Error('rotate: compare mode is not open');
+        const expected = normalizeRotation(before.rotation[target] + delta);
+        argsRef.current.handleRotationChange(delta, target);
+        return waitForState('rotate', (state) => state.rotation[target] === expected);
+      },
+
+      setBatesStart: (startNumber) => {
+        const n = normalizeBatesNumber(startNumber, -1);
+        if (n < 0) throw new RangeError(`Invalid Bates start number ${String(startNumber)}; expected a non-negative integer`);
+        argsRef.current.setBatesNextNumber(n);
+        return waitForState('setBatesStart', (state) => state.bates.nextNumber === n);
+      },
+
+      getState: () => committedRef.current,
+    });
+
+    return () => {
+      unregister();
+      const waiters = waitersRef.current;
+      waitersRef.current = [];
+      for (const waiter of waiters) waiter.reject(new Error('OpenDocViewer was closed before the command was applied'));
+    };
+  }, []);
+}
+
+export default useViewerHostCommands;
@@ -0,0 +1,127 @@
+// File: src/components/DocumentViewer/hooks/useViewerHostEvents.js
+/**
+ * File: src/components/DocumentViewer/hooks/useViewerHostEvents.js
+ *
+ * Outbound host events derived from viewer interaction state.
+ *
+ * Emits `odv:page-change`, `odv:zoom-change`, `odv:compare-change` and `odv:selection-change`
+ * through `src/integrations/hostEvents.js`. Effects only key on the values that define each
+ * event, so background page loading (which replaces `allPages` often) does not re-emit them.
+ *
+ * @module useViewerHostEvents
+ */
+
+import { useEffect, useRef } from 'react';
+import {
+  ODV_HOST_EVENTS,
+  describeHostPageContext,
+  emitHostEvent,
+} from '../../../integrations/hostEvents.js';
+
+/**
+ * @typedef {Object} UseViewerHostEventsArgs
+ * @property {Array<Object>} allPages
+ * @property {number} totalSessionPages
+ * @property {number} pageNumber                    Original 1-based page number of the primary pane.
+ * @property {number} visiblePageNumber             1-based position within the visible page list.
+ * @property {number} visiblePageCount
+ * @property {{ mode:string, scale:number }} zoomState
+ * @property {boolean} isComparing
+ * @property {(number|null)} comparePageNumber      Original 1-based page number of the compare pane.
+ * @property {boolean} selectionActive
+ * @property {boolean} customPrintSelectionActive
+ * @property {Array<number>} visibleOriginalPageNumbers
+ */
+
+/**
+ * @param {UseViewerHostEventsArgs} args
+ * @returns {void}
+ */
+export function useViewerHostEvents({
+  allPages,
+  totalSessionPages,
+  pageNumber,
+  visiblePageNumber,
+  visiblePageCount,
+  zoomState,
+  isComparing,
+  comparePageNumber,
+  selectionActive,
+  customPrintSelectionActive,
+  visibleOriginalPageNumbers,
+}) {
+  // Context-only values are read through refs so they do not trigger unrelated events.
+  const allPagesRef = useRef(allPages);
+  allPagesRef.current = allPages;
+  const pageNumberRef = useRef(pageNumber);
+  pageNumberRef.current = pageNumber;
+  const visibleOriginalPageNumbersRef = useRef(visibleOriginalPageNumbers);
+  visibleOriginalPageNumbersRef.current = visibleOriginalPageNumbers;
+  const totalSessionPagesRef = useRef(totalSessionPages);
+  totalSessionPagesRef.current = totalSessionPages;
+
+  const hasPages = totalSessionPages > 0;
+  const currentDocumentKey = hasPages
+    ? String(allPages?.[pageNumber - 1]?.documentId || allPages?.[pageNumber - 1]?.documentNumber || '')
+    : '';
+
+  useEffect(() => {
+    if (!hasPages) return;
+    emitHostEvent(ODV_HOST_EVENTS.PAGE_CHANGE, {
+      pane: 'primary',
+      visiblePageNumber,
+      visiblePageCount,
+      page: describeHostPageContext(allPagesRef.current, pageNumber),
+    });
+  }, [currentDocumentKey, hasPages, pageNumber, visiblePageCount, visiblePageNumber]);
+
+  const zoomMode = String(zoomState?.mode || '');
+  const zoomScale = Math.round((Number(zoomState?.scale) || 0) * 1000) / 1000;
+
+  useEffect(() => {
+    if (!hasPages || !zoomMode) return;
+    emitHostEvent(ODV_HOST_EVENTS.ZOOM_CHANGE, {
+      mode: zoomMode,
+      scale: zoomScale,
+      page: describeHostPageContext(allPagesRef.current, pageNumberRef.current),
+    });
+  }, [hasPages, zoomMode, zoomScale]);
+
+  const lastCompareActiveRef = useRef(false);
+
+  useEffect(() => {
+    if (!hasPages) return;
+    const active = !!isComparing && comparePageNumber != null;
+    if (!active && !lastCompareActiveRef.current) return;
+    lastCompareActiveRef.current = active;
+    emitHostEvent(ODV_HOST_EVENTS.COMPARE_CHANGE, {
+      active,
+      page: describeHostPageContext(allPagesRef.current, pageNumberRef.current),
+      comparePage: active ? describeHostPageContext(allPagesRef.current, comparePageNumber) : null,
+    });
+  }, [comparePageNumber, hasPages, isComparing]);
+
+  const selectionKey = Array.isArray(visibleOriginalPageNumbers) ? visibleOriginalPageNumbers.join(',') : '';
+  const lastSelectionRef = useRef({ active: false, key: '' });
+
+  useEffect(() => {
+    if (!hasPages) return;
+    // While no filter is active the visible list simply grows with loading; that is not a
+    // selection change, so only the active flag and the filtered list are compared.
+    const active = !!selectionActive;
+    const key = active ? selectionKey : '';
+    const previous = lastSelectionRef.current;
+    if (previous.active === active && previous.key === key) return;
+    lastSelectionRef.current = { active, key };
+    const visible = Array.isArray(visibleOriginalPageNumbersRef.current) ? visibleOriginalPageNumbersRef.current : [];
+    emitHostEvent(ODV_HOST_EVENTS.SELECTION_CHANGE, {
+      active,
+      reordered: !!customPrintSelectionActive,
+      visiblePageCount: visible.length,
+      totalPages: totalSessionPagesRef.current,
+      visiblePageNumbers: active ? visible.slice() : null,
+    });
+  }, [customPrintSelectionActive, hasPages, selectionActive, selectionKey]);
+}
+
+export default useViewerHostEvents;
@@ -132,17 +132,20 @@ export function useViewerZoomEffects({
         e.preventDefault();
         return;
       }
-      if (keyboardPrintShortcutBehavior === 'browser') return;
+      // Browser printing of a redacted session would only produce a blank page (see print.css), so
+      // route the shortcut to the print dialog, whose output has the redactions burned in.
+      const redactionActive = !!viewerContainerRef?.current?.closest?.('[data-odv-redaction="active"]');
+      if (keyboardPrintShortcutBehavior === 'browser' && !redactionActive) return;
 
       e.preventDefault();
-      if (keyboardPrintShortcutBehavior === 'dialog') {
+      if (keyboardPrintShortcutBehavior === 'dialog' || keyboardPrintShortcutBehavior === 'browser') {
         try { onOpenPrintDialog?.(); } catch {}
       }
     };
 
     window.addEventListener('keydown', onKeyDown, true);
     return () => { window.removeEventListener('keydown', onKeyDown, true); };
-  }, [hasActiveModalDialog, interactionSuspended, keyboardPrintShortcutBehavior, onOpenPrintDialog, printEnabled]);
+  }, [hasActiveModalDialog, interactionSuspended, keyboardPrintShortcutBehavior, onOpenPrintDialog, printEnabled, viewerContainerRef]);
 
   // Optional: apply the configured initial zoom mode after first mount if the renderer supports it.
   useEffect(() => {
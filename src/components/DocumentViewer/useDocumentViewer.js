@@ -18,8 +18,11 @@ import logger from '../../logging/systemLogger.js';
 import ViewerContext from '../../contexts/viewerContext.js';
 import {
   getKeyboardPrintShortcutBehavior,
+  getPrintBatesConfig,
   getViewerCustomFitSizeLimits,
   getViewerCustomFitWidthFactorPercent,
+  getViewerDefaultPageLayout,
+  getViewerSpreadCoverPage,
   getViewerDefaultZoomMode,
   normalizeCustomFitSizeLimitPreference,
   normalizeCustomFitWidthFactorPercent,
@@ -29,12 +32,19 @@ import {
   getCustomFitSizeLimitPreference,
   getCustomFitWidthFactorPreference,
   getDefaultZoomModePreference,
+  getPageLayoutPreference,
+  getSpreadCoverPagePreference,
   setCustomFitSizeLimitPreference,
   setCustomFitWidthFactorPreference,
   setDefaultZoomModePreference,
+  setPageLayoutPreference,
+  setSpreadCoverPagePreference,
 } from '../../utils/viewerPreferences.js';
+import { getNextSpreadStart, getPreviousSpreadStart } from '../../utils/pageSpreads.js';
 import { useViewerPostZoom } from './hooks/useViewerPostZoom.js';
 import { useViewerEffects } from './hooks/useViewerEffects.js';
+import { useViewerHostEvents } from './hooks/useViewerHostEvents.js';
+import { useViewerHostCommands } from './hooks/useViewerHostCommands.js';
 
 /**
  * Clamp a 1-based page number into [1, total].
@@ -550,7 +560,7 @@ export function useDocumentViewer() {
   const [pageNumberRaw, setPageNumberRaw] = useState(1); // original 1-based page number
   const pageNumberRef = useRef(1);
   pageNumberRef.current = pageNumberRaw;
-  const [thumbnailPaneMode, setThumbnailPaneMode] = useState('thumbnails');
+  const [thumbnailPaneMode, setThumbnailPaneMode] = useState(/** @type {('thumbnails'|'outline')} */ ('thumbnails'));
   const [appliedSelectionMask, setAppliedSelectionMask] = useState(INITIAL_APPLIED_SELECTION_MASK);
   const [draftSelectionMask, setDraftSelectionMask] = useState(() => []);
   const [customPrintSelectionSequence, setCustomPrintSelectionSequence] = useState(INITIAL_PRINT_PAGE_SEQUENCE);
@@ -577,7 +587,6 @@ export function useDocumentViewer() {
     setDraftSelectionMask(nextMask);
     setCustomPrintSelectionSequence(null);
     setPrintSelectionWorkspaceOpen(false);
-    setThumbnailPaneMode('thumbnails');
   }, [pageStructureSignature, totalSessionPages]);
 
   const normalizedAppliedSelectionMask = useMemo(
@@ -698,11 +707,22 @@ export function useDocumentViewer() {
   const [userDefaultZoomMode, setUserDefaultZoomMode] = useState(
     initialZoomSettingsRef.current.userDefaultZoomMode
   );
+  const [pageLayout, setPageLayoutState] = useState(
+    /** @returns {('single'|'continuous'|'spread')} */
+    () => getPageLayoutPreference() || getViewerDefaultPageLayout()
+  );
+  const [spreadCoverPage, setSpreadCoverPageState] = useState(() => {
+    const preference = getSpreadCoverPagePreference();
+    return preference == null ? getViewerSpreadCoverPage() : preference;
+  });
 
   const [isComparing, setIsComparing] = useState(false);
   const [activePane, setActivePaneInternal] = useState(INITIAL_ACTIVE_PANE);
   const [comparePageNumberRaw, setComparePageNumberRaw] = useState(INITIAL_COMPARE_PAGE_NUMBER); // original 1-based
   const [isPrintDialogOpen, setPrintDialogOpen] = useState(false);
+  const [printDialogPreset, setPrintDialogPreset] = useState(/** @type {(Object|null)} */ (null));
+  // Bates number of the next stamped page; advanced after each stamped job, set by the host API.
+  const [batesNextNumber, setBatesNextNumber] = useState(() => getPrintBatesConfig().defaults.startNumber);
 
   const compareOriginalPageNumber = comparePageNumberRaw == null
     ? null
@@ -1193,23 +1213,35 @@ export function useDocumentViewer() {
   const thumbnailSelectionPageNumber = currentOriginalPageNumber;
   const compareThumbnailPageNumber = isComparing ? compareOriginalPageNumber : null;
 
+  const primarySpreadActive = pageLayout === 'spread' && !isComparing;
+
   /**
-   * Move one page backward in the requested target pane.
+   * Move one page backward in the requested target pane. The primary pane steps by a whole spread
+   * while the spread layout is active.
    * @param {ViewerPageTarget=} target
    * @returns {void}
    */
   const goToPreviousPage = useCallback((target = 'primary') => {
+    if (target === 'primary' && primarySpreadActive) {
+      updatePageTarget(target, (current) => getPreviousSpreadStart(current - 1, totalPages, spreadCoverPage) + 1);
+      return;
+    }
     updatePageTarget(target, (current) => current - 1);
-  }, [updatePageTarget]);
+  }, [primarySpreadActive, spreadCoverPage, totalPages, updatePageTarget]);
 
   /**
-   * Move one page forward in the requested target pane.
+   * Move one page forward in the requested target pane. The primary pane steps by a whole spread
+   * while the spread layout is active.
    * @param {ViewerPageTarget=} target
    * @returns {void}
    */
   const goToNextPage = useCallback((target = 'primary') => {
+    if (target === 'primary' && primarySpreadActive) {
+      updatePageTarget(target, (current) => getNextSpreadStart(current - 1, totalPages, spreadCoverPage) + 1);
+      return;
+    }
     updatePageTarget(target, (current) => current + 1);
-  }, [updatePageTarget]);
+  }, [primarySpreadActive, spreadCoverPage, totalPages, updatePageTarget]);
 
   /**
    * Jump to the first visible page in the requested target pane.
@@ -1281,11 +1313,25 @@ export function useDocumentViewer() {
   // --- Print dialog --------------------------------------------------------------
   const openPrintDialog = useCallback(() => {
     if (!printEnabled || printSelectionWorkspaceOpen) return;
+    setPrintDialogPreset(null);
+    setPrintDialogOpen(true);
+  }, [printEnabled, printSelectionWorkspaceOpen]);
+
+  /**
+   * Open the print dialog with page-scope fields prefilled (host command API).
+   * The user still reviews and submits the dialog.
+   * @param {(Object|null)} preset
+   * @returns {void}
+   */
+  const openPrintDialogWithPreset = useCallback((preset) => {
+    if (!printEnabled || printSelectionWorkspaceOpen) return;
+    setPrintDialogPreset(preset || null);
     setPrintDialogOpen(true);
   }, [printEnabled, printSelectionWorkspaceOpen]);
 
   const closePrintDialog = useCallback(() => {
     setPrintDialogOpen(false);
+    setPrintDialogPreset(null);
   }, []);
 
   const openPrintSelectionWorkspace = useCallback(() => {
@@ -1459,6 +1505,32 @@ export function useDocumentViewer() {
     setZoomMode(normalized);
   }, [setZoomMode]);
 
+  /**
+   * Switch the primary pane between single-page, continuous and spread layout and remember the
+   * choice. Compare mode keeps single-page panes; the stored layout applies again once compare
+   * closes.
+   *
+   * @param {('single'|'continuous'|'spread')} layout
+   * @returns {void}
+   */
+  const updatePageLayout = useCallback((layout) => {
+    const normalized = layout === 'continuous' || layout === 'spread' ? layout : 'single';
+    setPageLayoutState(normalized);
+    setPageLayoutPreference(normalized);
+  }, []);
+
+  /**
+   * Show the first page alone in the spread layout (book cover) and remember the choice.
+   *
+   * @param {boolean} coverPage
+   * @returns {void}
+   */
+  const updateSpreadCoverPage = useCallback((coverPage) => {
+    const next = coverPage === true;
+    setSpreadCoverPageState(next);
+    setSpreadCoverPagePreference(next);
+  }, []);
+
   /**
    * Toggle between the two fit modes from the page surface. Any non-fit-width mode moves to
    * fit-width first because that is the most useful quick-read target.
@@ -1767,6 +1839,47 @@ export function useDocumentViewer() {
     interactionSuspended: printSelectionWorkspaceOpen,
   });
 
+  useViewerHostEvents({
+    allPages,
+    totalSessionPages,
+    pageNumber: currentOriginalPageNumber,
+    visiblePageNumber: totalPages > 0 ? currentVisiblePageNumber : 0,
+    visiblePageCount: totalPages,
+    zoomState,
+    isComparing,
+    comparePageNumber: isComparing ? compareOriginalPageNumber : null,
+    selectionActive,
+    customPrintSelectionActive,
+    visibleOriginalPageNumbers,
+  });
+
+  useViewerHostCommands({
+    allPages,
+    totalSessionPages,
+    visibleOriginalPageNumbers,
+    pageNumber: currentOriginalPageNumber,
+    visiblePageNumber: totalPages > 0 ? currentVisiblePageNumber : 0,
+    visiblePageCount: totalPages,
+    zoomState,
+    isComparing,
+    comparePageNumber: isComparing ? compareOriginalPageNumber : null,
+    activePane,
+    primaryImageProperties,
+    compareImageProperties,
+    selectionActive,
+    isPrintDialogOpen,
+    printEnabled,
+    printSelectionWorkspaceOpen,
+    pageLoadState,
+    setPageNumber: handlePageNumberChange,
+    selectForCompare,
+    setZoomMode,
+    openPrintDialogWithPreset,
+    handleRotationChange,
+    batesNextNumber,
+    setBatesNextNumber,
+  });
+
   // --- Public API ---------------------------------------------------------------
   return {
     // viewer/render page numbers
@@ -1793,8 +1906,11 @@ export function useDocumentViewer() {
     activatePrimaryPane,
     activateComparePane,
     isPrintDialogOpen,
+    printDialogPreset,
     openPrintDialog,
     closePrintDialog,
+    batesNextNumber,
+    setBatesNextNumber,
     printSelectionWorkspaceOpen,
     openPrintSelectionWorkspace,
     cancelPrintSelectionWorkspace,
@@ -1861,6 +1977,11 @@ export function useDocumentViewer() {
     setCustomFitWidthFactorPercent: updateCustomFitWidthFactorPercent,
     setCustomFitSizeLimits: updateCustomFitSizeLimits,
     setDefaultZoomModePreference: updateDefaultZoomModePreference,
+    pageLayout,
+    effectivePageLayout: isComparing ? 'single' : pageLayout,
+    setPageLayout: updatePageLayout,
+    spreadCoverPage,
+    setSpreadCoverPage: updateSpreadCoverPage,
 
     // visible/selection data
     viewerPages: visiblePages,
@@ -15,6 +15,13 @@
  *   - We scale with CSS `transform: scale()` and set `transformOrigin: 'top left'` so
  *     coordinates/measurements are intuitive for overlay math.
  *   - We keep this component “dumb”: layout and visibility are owned by the parent.
+ *   - Vector pages (SVG) pass the sanitized vector image as `vectorSrc`. Once the raster would be
+ *     upscaled on screen, the vector image is laid over it, sized by width/height instead of a
+ *     transform so the browser draws it crisply at the current zoom. The raster stays underneath
+ *     and remains the element behind the forwarded ref, so load handling and measurements do not
+ *     change.
+ *   - While an animated GIF or WebP plays, the original image is passed as `animationSrc` and
+ *     laid over the raster frame the same way, at every zoom.
  *   - Project-wide reminder: When type-sniffing elsewhere we import from the **root**
  *     'file-type' package, NOT 'file-type/browser' (v21 does not export that subpath
  *     for bundlers and builds will fail if changed).
@@ -46,6 +53,10 @@ import { useTranslation } from 'react-i18next';
  * @param {ImgEventHandler} [props.onLoad]       Load handler.
  * @param {ImgEventHandler} [props.onError]      Error handler.
  * @param {boolean} [props.draggable=false]      Whether the image is draggable.
+ * @param {string} [props.vectorSrc]             Optional URL of a vector image of the same page.
+ * @param {string} [props.animationSrc]          Optional URL of the playing animation of the same page.
+ * @param {number} [props.naturalWidth]          Pixel width of the raster image (sizes the overlay image).
+ * @param {number} [props.naturalHeight]         Pixel height of the raster image.
  * @returns {React.ReactElement}
  */
 const ImageRenderer = React.forwardRef(function ImageRenderer(
@@ -60,6 +71,10 @@ const ImageRenderer = React.forwardRef(function ImageRenderer(
     onLoad,
     onError,
     draggable = false,
+    vectorSrc,
+    animationSrc,
+    naturalWidth = 0,
+    naturalHeight = 0,
     // Note: not documenting dashed prop names (e.g., 'data-testid') in JSDoc to keep Closure parser happy.
     ...rest
   },
@@ -83,22 +98,54 @@ const ImageRenderer = React.forwardRef(function ImageRenderer(
     imageRendering: 'auto',
   };
 
+  const devicePixelRatio = typeof window !== 'undefined' ? Number(window.devicePixelRatio) || 1 : 1;
+  const hasNaturalSize = naturalWidth > 0 && naturalHeight > 0;
+  const overlaySrc = animationSrc && hasNaturalSize
+    ? animationSrc
+    : (vectorSrc && hasNaturalSize && scale * devicePixelRatio > 1 ? vectorSrc : '');
+
+  /** @type {React.CSSProperties} */
+  const overlayStyle = {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    width: `${naturalWidth * scale}px`,
+    height: `${naturalHeight * scale}px`,
+    background: '#fff',
+    pointerEvents: 'none',
+    visibility: style?.visibility,
+    opacity: style?.opacity,
+  };
+
   return (
-    <img
-      ref={ref}
-      src={src}
-      alt={t('viewer.pageAlt', { page: pageNumber })}
-      data-page-number={pageNumber}
-      className={className}
-      style={{ ...baseStyle, ...style }}
-      crossOrigin={crossOrigin}
-      referrerPolicy={referrerPolicy}
-      draggable={draggable}
-      decoding="async"
-      onLoad={onLoad}
-      onError={onError}
-      {...rest}
-    />
+    <>
+      <img
+        ref={ref}
+        src={src}
+        alt={t('viewer.pageAlt', { page: pageNumber })}
+        data-page-number={pageNumber}
+        className={className}
+        style={{ ...baseStyle, ...style }}
+        crossOrigin={crossOrigin}
+        referrerPolicy={referrerPolicy}
+        draggable={draggable}
+        decoding="async"
+        onLoad={onLoad}
+        onError={onError}
+        {...rest}
+      />
+      {overlaySrc && (
+        <img
+          src={overlaySrc}
+          alt=""
+          aria-hidden="true"
+          className="odv-vector-page-image"
+          style={overlayStyle}
+          draggable={false}
+          decoding="async"
+        />
+      )}
+    </>
   );
 });
 
@@ -115,6 +162,10 @@ ImageRenderer.propTypes = {
   onLoad: PropTypes.func,
   onError: PropTypes.func,
   draggable: PropTypes.bool,
+  vectorSrc: PropTypes.string,
+  animationSrc: PropTypes.string,
+  naturalWidth: PropTypes.number,
+  naturalHeight: PropTypes.number,
 };
 
 export default ImageRenderer;
@@ -0,0 +1,83 @@
+// File: src/components/LocalFileDropZone.jsx
+/**
+ * OpenDocViewer — drop target for local files.
+ *
+ * Wraps its children and hands files dropped from the operating system to `onFiles`. Drags that
+ * carry no files (thumbnail or print-selection reordering) pass through untouched. While files are
+ * dragged over the zone, an overlay tells the user what a drop will do.
+ */
+
+import React, { useCallback, useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+import { useTranslation } from 'react-i18next';
+import { isFileDrag, toLocalFileList } from '../integrations/localFiles.js';
+
+/**
+ * @param {Object} props
+ * @param {function(Array<File>): void} props.onFiles
+ * @param {boolean} [props.enabled=true]
+ * @param {string} [props.label]        Overlay text; defaults to "Drop files to open them".
+ * @param {string} [props.className]
+ * @param {*} props.children
+ * @returns {React.ReactElement}
+ */
+export default function LocalFileDropZone({ onFiles, enabled = true, label, className = '', children }) {
+  const { t } = useTranslation('common');
+  const [active, setActive] = useState(false);
+  // dragenter/dragleave also fire for every child element; count them to know when the drag left.
+  const depthRef = useRef(0);
+
+  const onDragEnter = useCallback((event) => {
+    if (!enabled || !isFileDrag(event)) return;
+    event.preventDefault();
+    depthRef.current += 1;
+    setActive(true);
+  }, [enabled]);
+
+  const onDragOver = useCallback((event) => {
+    if (!enabled || !isFileDrag(event)) return;
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'copy';
+  }, [enabled]);
+
+  const onDragLeave = useCallback((event) => {
+    if (!enabled || !isFileDrag(event)) return;
+    depthRef.current = Math.max(0, depthRef.current - 1);
+    if (depthRef.current === 0) setActive(false);
+  }, [enabled]);
+
+  const onDrop = useCallback((event) => {
+    if (!enabled || !isFileDrag(event)) return;
+    event.preventDefault();
+    depthRef.current = 0;
+    setActive(false);
+    const files = toLocalFileList(event.dataTransfer.files);
+    if (files.length > 0) onFiles(files);
+  }, [enabled, onFiles]);
+
+  return (
+    <div
+      className={`odv-drop-zone${active ? ' is-active' : ''}${className ? ` ${className}` : ''}`}
+      onDragEnter={onDragEnter}
+      onDragOver={onDragOver}
+      onDragLeave={onDragLeave}
+      onDrop={onDrop}
+    >
+      {children}
+      {active ? (
+        <div className="odv-drop-zone-overlay" role="status" aria-live="polite">
+          <span className="material-icons" aria-hidden="true">upload_file</span>
+          <span>{label || t('localFiles.drop', { defaultValue: 'Drop files to open them' })}</span>
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
+LocalFileDropZone.propTypes = {
+  onFiles: PropTypes.func.isRequired,
+  enabled: PropTypes.bool,
+  label: PropTypes.string,
+  className: PropTypes.string,
+  children: PropTypes.node,
+};
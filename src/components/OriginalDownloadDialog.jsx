@@ -0,0 +1,233 @@
+// File: src/components/OriginalDownloadDialog.jsx
+/**
+ * "Download original" dialog shown from the toolbar and the thumbnail context menu. Offers the
+ * page's own file or, for documents with several files, the whole document as a ZIP. The caller
+ * performs the download (`onDownload`); the dialog owns the choice, progress, cancellation and
+ * error display.
+ */
+
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+import { useTranslation } from 'react-i18next';
+
+/**
+ * @param {Object} props
+ * @param {(import('./DocumentViewer/hooks/useOriginalDownload.js').OriginalDownloadTarget|null)} props.target
+ *   Files of the page the dialog is open for; `null` closes the dialog.
+ * @param {function(): void} props.onClose
+ * @param {function(('file'|'document'), { signal:AbortSignal, onProgress:function({ current:number, total:number }): void }): Promise<void>} props.onDownload
+ * @returns {(React.ReactElement|null)}
+ */
+export default function OriginalDownloadDialog({ target, onClose, onDownload }) {
+  const { t } = useTranslation('common');
+  const dialogRef = useRef(/** @type {(HTMLFormElement|null)} */ (null));
+  const abortRef = useRef(/** @type {(AbortController|null)} */ (null));
+  const [scope, setScope] = useState(/** @type {('file'|'document')} */ ('file'));
+  const [busy, setBusy] = useState(false);
+  const [progress, setProgress] = useState(/** @type {{ current:number, total:number }|null} */ (null));
+  const [error, setError] = useState('');
+
+  const isOpen = !!target;
+  const originalIndex = target?.originalIndex ?? -1;
+  const fileName = target?.fileFiles?.[0]?.name || '';
+  const documentFileCount = target?.documentFiles?.length || 0;
+  const offersDocument = documentFileCount > 1;
+  const blocked = scope === 'document' ? !!target?.documentRedacted : !!target?.fileRedacted;
+  const unavailable = scope === 'document' ? !documentFileCount : !fileName;
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setScope('file');
+    setBusy(false);
+    setProgress(null);
+    setError('');
+    dialogRef.current?.focus?.();
+  }, [isOpen, originalIndex]);
+
+  // Closing the dialog, or unmounting it, cancels a running download.
+  useEffect(() => {
+    if (isOpen) return undefined;
+    abortRef.current?.abort();
+    abortRef.current = null;
+    return undefined;
+  }, [isOpen]);
+
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  const cancel = useCallback(() => {
+    if (abortRef.current) {
+      abortRef.current.abort();
+      return;
+    }
+    onClose?.();
+  }, [onClose]);
+
+  const onDialogKeyDown = useCallback((event) => {
+    if (String(event?.key || '') !== 'Escape') return;
+    event.preventDefault();
+    event.stopPropagation();
+    cancel();
+  }, [cancel]);
+
+  const onBackdropMouseDown = useCallback((event) => {
+    if (event.target !== event.currentTarget || busy) return;
+    event.stopPropagation();
+    onClose?.();
+  }, [busy, onClose]);
+
+  const submit = useCallback(async (event) => {
+    event?.preventDefault?.();
+    if (busy || blocked || unavailable) return;
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setBusy(true);
+    setError('');
+    setProgress(null);
+    try {
+      await onDownload(scope, {
+        signal: controller.signal,
+        onProgress: (next) => { if (!controller.signal.aborted) setProgress(next); },
+      });
+      if (!controller.signal.aborted) onClose?.();
+    } catch (e) {
+      if (e?.name !== 'AbortError' && !controller.signal.aborted) {
+        setError(t('originalDownload.error', {
+          error: String(e?.message || e),
+          defaultValue: `Download failed: ${String(e?.message || e)}`,
+        }));
+      }
+    } finally {
+      if (abortRef.current === controller) abortRef.current = null;
+      setBusy(false);
+      setProgress(null);
+    }
+  }, [blocked, busy, onClose, onDownload, scope, t, unavailable]);
+
+  if (!isOpen) return null;
+
+  const documentLabel = target.documentNumber > 0 && target.totalDocuments > 1
+    ? t('originalDownload.scope.documentNumbered', {
+      document: target.documentNumber,
+      total: target.totalDocuments,
+      count: documentFileCount,
+      defaultValue: `Document ${target.documentNumber}/${target.totalDocuments} as ZIP (${documentFileCount} files)`,
+    })
+    : t('originalDownload.scope.document', {
+      count: documentFileCount,
+      defaultValue: `Whole document as ZIP (${documentFileCount} files)`,
+    });
+
+  return (
+    <div
+      className="odv-prd-backdrop"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="odv-original-title"
+      data-odv-shortcuts="off"
+      onMouseDown={onBackdropMouseDown}
+    >
+      <form
+        ref={dialogRef}
+        onSubmit={submit}
+        className="odv-prd-dialog"
+        noValidate
+        tabIndex={-1}
+        data-odv-shortcuts="off"
+        onKeyDown={onDialogKeyDown}
+      >
+        <div className="odv-prd-header">
+          <div className="odv-prd-headerText">
+            <h3 id="odv-original-title" className="odv-prd-title">{t('originalDownload.title', { defaultValue: 'Download original' })}</h3>
+            <p className="odv-prd-subtitle">
+              {t('originalDownload.subtitle', {
+                defaultValue: 'Download the file exactly as it was received, without annotations or print decoration.',
+              })}
+            </p>
+          </div>
+          <div className="odv-prd-headerActions">
+            <button
+              type="button"
+              className="odv-prd-closeIcon"
+              onClick={cancel}
+              aria-label={t('printDialog.close', { defaultValue: 'Close' })}
+              title={t('printDialog.close', { defaultValue: 'Close' })}
+            >
+              <span className="material-icons" aria-hidden="true">close</span>
+            </button>
+          </div>
+        </div>
+
+        <fieldset className="odv-prd-content" disabled={busy}>
+          <section className="odv-prd-card odv-prd-card-first" aria-labelledby="odv-original-files-header">
+            <h4 id="odv-original-files-header" className="odv-prd-sectionHeader">{t('originalDownload.filesHeader', { defaultValue: 'Files' })}</h4>
+            <div className="odv-prd-radioList" role="radiogroup" aria-labelledby="odv-original-files-header">
+              <label className="odv-prd-radioRow">
+                <input
+                  type="radio"
+                  name="originalScope"
+                  checked={scope === 'file'}
+                  onChange={() => setScope('file')}
+                  disabled={!fileName}
+                />
+                <span>
+                  {fileName
+                    ? t('originalDownload.scope.file', { name: fileName, defaultValue: `This file: ${fileName}` })
+                    : t('originalDownload.scope.fileUnavailable', { defaultValue: 'This page has no stored original' })}
+                </span>
+              </label>
+              {offersDocument ? (
+                <label className="odv-prd-radioRow">
+                  <input type="radio" name="originalScope" checked={scope === 'document'} onChange={() => setScope('document')} />
+                  <span>{documentLabel}</span>
+                </label>
+              ) : null}
+            </div>
+            {blocked ? (
+              <span className="odv-prd-hint">
+                {t('originalDownload.redacted', {
+                  defaultValue: 'Pages of this file have redactions. The original would reveal the redacted content, so it cannot be downloaded. Use print or export instead.',
+                })}
+              </span>
+            ) : null}
+          </section>
+        </fieldset>
+
+        {busy ? (
+          <div className="odv-prd-hint" role="status" aria-live="polite">
+            {progress?.total > 1
+              ? t('originalDownload.progress', {
+                current: progress.current + 1,
+                total: progress.total,
+                defaultValue: `Reading file ${progress.current + 1} of ${progress.total}…`,
+              })
+              : t('originalDownload.preparing', { defaultValue: 'Reading the stored file…' })}
+          </div>
+        ) : null}
+        {error ? <div className="odv-prd-error" role="alert">{error}</div> : null}
+
+        <div className="odv-prd-footer">
+          <button type="button" className="odv-prd-action secondary" onClick={cancel}>
+            {t('printDialog.footer.cancel')}
+          </button>
+          <button type="submit" className="odv-prd-action primary" disabled={busy || blocked || unavailable}>
+            {t('originalDownload.submit', { defaultValue: 'Download' })}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+OriginalDownloadDialog.propTypes = {
+  target: PropTypes.shape({
+    originalIndex: PropTypes.number.isRequired,
+    fileFiles: PropTypes.arrayOf(PropTypes.shape({ name: PropTypes.string })).isRequired,
+    documentFiles: PropTypes.arrayOf(PropTypes.shape({ name: PropTypes.string })).isRequired,
+    fileRedacted: PropTypes.bool,
+    documentRedacted: PropTypes.bool,
+    documentNumber: PropTypes.number,
+    totalDocuments: PropTypes.number,
+  }),
+  onClose: PropTypes.func.isRequired,
+  onDownload: PropTypes.func.isRequired,
+};
@@ -0,0 +1,429 @@
+// File: src/components/PageAnnotationLayer.jsx
+/**
+ * File: src/components/PageAnnotationLayer.jsx
+ *
+ * OpenDocViewer — Annotation overlay for one displayed page.
+ *
+ * PURPOSE
+ *   Draw the page's annotations over the page image and, while an annotation tool is active, turn
+ *   pointer input into new annotations.
+ *
+ * DESIGN NOTES / GOTCHAS
+ *   - Annotations are stored in unrotated page fractions (see `src/utils/annotations.js`). The layer
+ *     maps them into the displayed orientation for drawing and maps new shapes back before saving,
+ *     so it only needs the displayed size and rotation; zoom and raster resolution do not matter.
+ *   - Redactions are drawn first as opaque boxes, so other annotations stay visible on top of
+ *     them the same way they are printed.
+ *   - With no tool active the layer ignores the pointer, so panning and text selection work as
+ *     before; only the sticky-note buttons stay clickable.
+ *   - The root carries `data-odv-shortcuts="off"`: pane panning skips pointer input that starts
+ *     here, and viewer shortcuts pause while focus is inside, so Delete removes the selected
+ *     annotation instead of hiding the page.
+ */
+
+import React, { useCallback, useMemo, useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+import { useTranslation } from 'react-i18next';
+import {
+  ANNOTATION_DEFAULT_COLORS,
+  ANNOTATION_STROKE_WIDTH,
+  DEFAULT_STAMP_SIZE,
+  HIGHLIGHT_OPACITY,
+  getAnnotationStamp,
+  isRedaction,
+  rotateAnnotation,
+} from '../utils/annotations.js';
+
+/** Shapes smaller than this page fraction in either direction are treated as a click, not a drag. */
+const MIN_SHAPE_FRACTION = 0.005;
+/** Ink points closer than this page fraction to the previous point are skipped. */
+const MIN_INK_STEP = 0.002;
+const NOTE_ICON_PX = 24;
+const INK_HIT_WIDTH_PX = 12;
+/** Opacity of a redaction while it is being drawn, so the covered content can still be aimed at. */
+const REDACTION_DRAFT_OPACITY = 0.6;
+
+/**
+ * @typedef {Object} AnnotationLayerState
+ * @property {Map<string, Array<import('../utils/annotations.js').ViewerAnnotation>>} byPage
+ * @property {(string|null)} tool Active tool: `select`, `rect`, `highlight`, `note`, `ink`, `stamp`, `redact`, or `null`.
+ * @property {string} stamp Stamp id placed by the stamp tool.
+ * @property {(string|null)} selectedId
+ * @property {function(Object): (import('../utils/annotations.js').ViewerAnnotation|null)} onCreate
+ * @property {function(string, Object): void} onUpdate
+ * @property {function(string): void} onRemove
+ * @property {function((string|null)): void} onSelect
+ */
+
+/**
+ * @param {number} value
+ * @returns {number}
+ */
+function clampFraction(value) {
+  return Math.max(0, Math.min(1, value));
+}
+
+/**
+ * @param {import('../utils/annotations.js').ViewerAnnotation} annotation In displayed orientation.
+ * @param {number} width
+ * @param {number} height
+ * @returns {{ x:number, y:number, width:number, height:number }}
+ */
+function getDisplayBounds(annotation, width, height) {
+  if (annotation.type === 'ink') {
+    const xs = annotation.points.map((point) => point[0]);
+    const ys = annotation.points.map((point) => point[1]);
+    const left = Math.min(...xs);
+    const top = Math.min(...ys);
+    return { x: left * width, y: top * height, width: (Math.max(...xs) - left) * width, height: (Math.max(...ys) - top) * height };
+  }
+  return { x: annotation.x * width, y: annotation.y * height, width: annotation.width * width, height: annotation.height * height };
+}
+
+/**
+ * @param {Object} props
+ * @param {AnnotationLayerState} props.annotationLayer
+ * @param {{ documentId:(string|null), page:number }} props.target Page address of the displayed page.
+ * @param {string} props.pageKey
+ * @param {number} props.width    Displayed page width in CSS pixels.
+ * @param {number} props.height   Displayed page height in CSS pixels.
+ * @param {number} props.rotation Clockwise display rotation in degrees.
+ * @param {number} props.pageNumber
+ * @returns {React.ReactElement}
+ */
+function PageAnnotationLayer({ annotationLayer, target, pageKey, width, height, rotation, pageNumber }) {
+  const { t } = useTranslation('common');
+  const rootRef = useRef(/** @type {(HTMLDivElement|null)} */ (null));
+  const draftRef = useRef(/** @type {(Object|null)} */ (null));
+  const [draft, setDraft] = useState(/** @type {(Object|null)} */ (null));
+  const { tool, stamp, selectedId, onCreate, onUpdate, onRemove, onSelect } = annotationLayer;
+  const pageAnnotations = annotationLayer.byPage.get(pageKey);
+  const strokeBase = Math.min(width, height);
+
+  const displayed = useMemo(
+    () => (pageAnnotations || [])
+      .filter(isRedaction)
+      .concat((pageAnnotations || []).filter((annotation) => !isRedaction(annotation)))
+      .map((annotation) => rotateAnnotation(annotation, rotation)),
+    [pageAnnotations, rotation]
+  );
+
+  /**
+   * @param {React.PointerEvent} event
+   * @returns {Array<number>} Pointer position as fractions of the displayed page.
+   */
+  const toDisplayFraction = useCallback((event) => {
+    const rect = rootRef.current?.getBoundingClientRect();
+    if (!rect || rect.width <= 0 || rect.height <= 0) return [0, 0];
+    return [
+      clampFraction((event.clientX - rect.left) / rect.width),
+      clampFraction((event.clientY - rect.top) / rect.height),
+    ];
+  }, []);
+
+  /**
+   * Save a shape drawn in displayed orientation.
+   * @param {Object} shape
+   * @returns {void}
+   */
+  const commit = useCallback((shape) => {
+    const created = onCreate(rotateAnnotation({ ...shape, ...target }, 360 - rotation));
+    if (created?.type === 'note') onSelect(created.id);
+  }, [onCreate, onSelect, rotation, target]);
+
+  const handlePointerDown = useCallback((event) => {
+    if (!tool || event.button !== 0) return;
+    event.preventDefault();
+    event.stopPropagation();
+    const [x, y] = toDisplayFraction(event);
+
+    if (tool === 'select') {
+      const id = event.target instanceof Element
+        ? event.target.closest('[data-annotation-id]')?.getAttribute('data-annotation-id')
+        : null;
+      onSelect(id || null);
+      if (id) rootRef.current?.focus({ preventScroll: true });
+      return;
+    }
+    if (tool === 'note') {
+      commit({ type: 'note', x, y, text: '' });
+      return;
+    }
+    if (tool === 'stamp') {
+      const definition = getAnnotationStamp(stamp);
+      const { width: stampWidth, height: stampHeight } = DEFAULT_STAMP_SIZE;
+      // Center the stamp on the click, moved inside the page when the click is near an edge.
+      commit({
+        type: 'stamp',
+        stamp,
+        label: definition ? t(`annotations.stamps.${definition.id}`, { defaultValue: definition.label }) : '',
+        x: Math.max(0, Math.min(1 - stampWidth, x - (stampWidth / 2))),
+        y: Math.max(0, Math.min(1 - stampHeight, y - (stampHeight / 2))),
+        width: stampWidth,
+        height: stampHeight,
+      });
+      return;
+    }
+
+    try { event.currentTarget.setPointerCapture(event.pointerId); } catch {}
+    draftRef.current = { type: tool, start: [x, y], end: [x, y], points: [[x, y]] };
+    setDraft(draftRef.current);
+  }, [commit, onSelect, stamp, t, toDisplayFraction, tool]);
+
+  const handlePointerMove = useCallback((event) => {
+    const current = draftRef.current;
+    if (!current) return;
+    event.preventDefault();
+    const point = toDisplayFraction(event);
+    const last = current.points[current.points.length - 1];
+    const points = current.type === 'ink' && Math.hypot(point[0] - last[0], point[1] - last[1]) >= MIN_INK_STEP
+      ? current.points.concat([point])
+      : current.points;
+    draftRef.current = { ...current, end: point, points };
+    setDraft(draftRef.current);
+  }, [toDisplayFraction]);
+
+  const finishDraft = useCallback(() => {
+    const current = draftRef.current;
+    draftRef.current = null;
+    setDraft(null);
+    if (!current) return;
+    if (current.type === 'ink') {
+      if (current.points.length >= 2) commit({ type: 'ink', points: current.points });
+      return;
+    }
+    const x = Math.min(current.start[0], current.end[0]);
+    const y = Math.min(current.start[1], current.end[1]);
+    const shapeWidth = Math.abs(current.end[0] - current.start[0]);
+    const shapeHeight = Math.abs(current.end[1] - current.start[1]);
+    if (shapeWidth < MIN_SHAPE_FRACTION || shapeHeight < MIN_SHAPE_FRACTION) return;
+    commit({ type: current.type, x, y, width: shapeWidth, height: shapeHeight });
+  }, [commit]);
+
+  const handleKeyDown = useCallback((event) => {
+    if (!selectedId) return;
+    const tag = String(event.target?.tagName || '').toLowerCase();
+    if (tag === 'textarea' || tag === 'input') return;
+    if (event.key === 'Delete' || event.key === 'Backspace') {
+      event.preventDefault();
+      onRemove(selectedId);
+    } else if (event.key === 'Escape') {
+      event.preventDefault();
+      onSelect(null);
+      rootRef.current?.blur();
+    }
+  }, [onRemove, onSelect, selectedId]);
+
+  /**
+   * @param {import('../utils/annotations.js').ViewerAnnotation} annotation In displayed orientation.
+   * @returns {React.ReactNode}
+   */
+  const renderShape = (annotation) => {
+    const bounds = getDisplayBounds(annotation, width, height);
+    const common = { 'data-annotation-id': annotation.id, className: 'odv-annotation-shape' };
+    if (annotation.type === 'highlight') {
+      return <rect key={annotation.id} {...common} {...bounds} fill={annotation.color} fillOpacity={HIGHLIGHT_OPACITY} />;
+    }
+    if (annotation.type === 'redact') {
+      return <rect key={annotation.id} {...common} {...bounds} fill={annotation.color} />;
+    }
+    if (annotation.type === 'rect') {
+      return (
+        <rect
+          key={annotation.id}
+          {...common}
+          {...bounds}
+          fill="transparent"
+          stroke={annotation.color}
+          strokeWidth={Math.max(1, ANNOTATION_STROKE_WIDTH.rect * strokeBase)}
+        />
+      );
+    }
+    if (annotation.type === 'ink') {
+      const points = annotation.points.map(([px, py]) => `${px * width},${py * height}`).join(' ');
+      return (
+        <g key={annotation.id} {...common}>
+          <polyline points={points} fill="none" stroke="transparent" strokeWidth={INK_HIT_WIDTH_PX} />
+          <polyline
+            points={points}
+            fill="none"
+            stroke={annotation.color}
+            strokeWidth={Math.max(1, ANNOTATION_STROKE_WIDTH.ink * strokeBase)}
+            strokeLinecap="round"
+            strokeLinejoin="round"
+          />
+        </g>
+      );
+    }
+    if (annotation.type === 'stamp') {
+      const label = String(annotation.label || '');
+      return (
+        <g key={annotation.id} {...common}>
+          <rect
+            {...bounds}
+            fill="transparent"
+            stroke={annotation.color}
+            strokeWidth={Math.max(1, ANNOTATION_STROKE_WIDTH.stamp * strokeBase)}
+          />
+          <text
+            x={bounds.x + (bounds.width / 2)}
+            y={bounds.y + (bounds.height / 2)}
+            fill={annotation.color}
+            fontFamily="Arial, Helvetica, sans-serif"
+            fontWeight="bold"
+            fontSize={Math.min(bounds.height * 0.62, (bounds.width * 0.9) / Math.max(1, label.length * 0.7))}
+            textAnchor="middle"
+            dominantBaseline="central"
+          >
+            {label}
+          </text>
+        </g>
+      );
+    }
+    return null;
+  };
+
+  const selected = displayed.find((annotation) => annotation.id === selectedId) || null;
+  const selectedBounds = selected && selected.type !== 'note' ? getDisplayBounds(selected, width, height) : null;
+  const draftBounds = draft && draft.type !== 'ink'
+    ? {
+        x: Math.min(draft.start[0], draft.end[0]) * width,
+        y: Math.min(draft.start[1], draft.end[1]) * height,
+        width: Math.abs(draft.end[0] - draft.start[0]) * width,
+        height: Math.abs(draft.end[1] - draft.start[1]) * height,
+      }
+    : null;
+  const notes = displayed.filter((annotation) => annotation.type === 'note');
+  const noteLabel = t('annotations.note', { defaultValue: 'Sticky note' });
+
+  return (
+    <div
+      ref={rootRef}
+      className={`odv-annotation-layer${tool ? ' is-editing' : ''}${tool && tool !== 'select' ? ' is-drawing' : ''}`}
+      style={{ width: `${width}px`, height: `${height}px` }}
+      data-page-number={pageNumber}
+      data-odv-shortcuts="off"
+      tabIndex={-1}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={finishDraft}
+      onPointerCancel={finishDraft}
+      onKeyDown={handleKeyDown}
+    >
+      <svg width={width} height={height} viewBox={`0 0 ${width} ${height}`} aria-hidden="true">
+        {displayed.map(renderShape)}
+        {selectedBounds ? (
+          <rect
+            className="odv-annotation-selection"
+            x={selectedBounds.x - 3}
+            y={selectedBounds.y - 3}
+            width={selectedBounds.width + 6}
+            height={selectedBounds.height + 6}
+          />
+        ) : null}
+        {draftBounds && draft.type === 'redact' ? (
+          <rect {...draftBounds} fill={ANNOTATION_DEFAULT_COLORS.redact} fillOpacity={REDACTION_DRAFT_OPACITY} />
+        ) : null}
+        {draftBounds && draft.type !== 'redact' ? (
+          <rect
+            {...draftBounds}
+            fill={draft.type === 'highlight' ? ANNOTATION_DEFAULT_COLORS.highlight : 'transparent'}
+            fillOpacity={draft.type === 'highlight' ? HIGHLIGHT_OPACITY : undefined}
+            stroke={draft.type === 'rect' ? ANNOTATION_DEFAULT_COLORS.rect : 'none'}
+            strokeWidth={Math.max(1, ANNOTATION_STROKE_WIDTH.rect * strokeBase)}
+          />
+        ) : null}
+        {draft?.type === 'ink' ? (
+          <polyline
+            points={draft.points.map(([px, py]) => `${px * width},${py * height}`).join(' ')}
+            fill="none"
+            stroke={ANNOTATION_DEFAULT_COLORS.ink}
+            strokeWidth={Math.max(1, ANNOTATION_STROKE_WIDTH.ink * strokeBase)}
+            strokeLinecap="round"
+            strokeLinejoin="round"
+          />
+        ) : null}
+      </svg>
+
+      {notes.map((note) => (
+        <button
+          key={note.id}
+          type="button"
+          className={`odv-annotation-note${note.id === selectedId ? ' is-selected' : ''}`}
+          style={{
+            left: `${Math.min(width - NOTE_ICON_PX, note.x * width)}px`,
+            top: `${Math.min(height - NOTE_ICON_PX, note.y * height)}px`,
+            color: note.color,
+          }}
+          data-annotation-id={note.id}
+          aria-label={noteLabel}
+          title={note.text || noteLabel}
+          onPointerDown={(event) => event.stopPropagation()}
+          onClick={(event) => {
+            event.stopPropagation();
+            onSelect(note.id === selectedId ? null : note.id);
+          }}
+        >
+          <span className="material-icons" aria-hidden="true">sticky_note_2</span>
+        </button>
+      ))}
+
+      {selected?.type === 'note' ? (
+        <div
+          className="odv-annotation-note-editor"
+          style={{
+            left: `${Math.max(0, Math.min(width - 220, selected.x * width))}px`,
+            top: `${Math.min(height - NOTE_ICON_PX, selected.y * height) + NOTE_ICON_PX + 4}px`,
+          }}
+          onPointerDown={(event) => event.stopPropagation()}
+        >
+          <textarea
+            value={selected.text || ''}
+            aria-label={t('annotations.noteText', { defaultValue: 'Note text' })}
+            placeholder={t('annotations.notePlaceholder', { defaultValue: 'Write a note…' })}
+            autoFocus
+            rows={4}
+            onChange={(event) => onUpdate(selected.id, { text: event.target.value })}
+            onKeyDown={(event) => {
+              if (event.key !== 'Escape') return;
+              event.preventDefault();
+              onSelect(null);
+            }}
+          />
+          <div className="odv-annotation-note-actions">
+            <button type="button" className="odv-btn" onClick={() => onRemove(selected.id)}>
+              {t('annotations.deleteNote', { defaultValue: 'Delete' })}
+            </button>
+            <button type="button" className="odv-btn" onClick={() => onSelect(null)}>
+              {t('annotations.closeNote', { defaultValue: 'Close' })}
+            </button>
+          </div>
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
+PageAnnotationLayer.propTypes = {
+  annotationLayer: PropTypes.shape({
+    byPage: PropTypes.instanceOf(Map).isRequired,
+    tool: PropTypes.string,
+    stamp: PropTypes.string.isRequired,
+    selectedId: PropTypes.string,
+    onCreate: PropTypes.func.isRequired,
+    onUpdate: PropTypes.func.isRequired,
+    onRemove: PropTypes.func.isRequired,
+    onSelect: PropTypes.func.isRequired,
+  }).isRequired,
+  target: PropTypes.shape({
+    documentId: PropTypes.string,
+    page: PropTypes.number.isRequired,
+  }).isRequired,
+  pageKey: PropTypes.string.isRequired,
+  width: PropTypes.number.isRequired,
+  height: PropTypes.number.isRequired,
+  rotation: PropTypes.number.isRequired,
+  pageNumber: PropTypes.number.isRequired,
+};
+
+export default React.memo(PageAnnotationLayer);
@@ -0,0 +1,242 @@
+// File: src/components/PageImageSlot.jsx
+/**
+ * OpenDocViewer — One absolutely positioned page image for the multi-page layouts.
+ *
+ * Used by the continuous and spread renderers. Image adjustments are drawn with CSS (rotation and
+ * filter props) instead of the editing canvas that single-page layout uses.
+ */
+
+import React, { useCallback, useContext, useEffect, useMemo, useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+import ViewerContext from '../contexts/viewerContext.js';
+import logger from '../logging/systemLogger.js';
+import LoadingMessage from './LoadingMessage.jsx';
+import PageTextLayer from './PageTextLayer.jsx';
+import PageAnnotationLayer from './PageAnnotationLayer.jsx';
+import { getAnnotationPageKey, getPageAnnotationTarget } from '../utils/annotations.js';
+import { hasPageTextContent } from '../utils/pdfTextContent.js';
+
+/**
+ * One page image in a multi-page layout. The parent positions and sizes the slot; the image fills
+ * it. The slot pins its full-size asset while mounted, shows the PDF text layer with search hits
+ * and the annotation layer once the raster is loaded, and asks for a fresh asset once when a cached
+ * blob URL was revoked.
+ *
+ * @param {Object} props
+ * @param {number} props.pageIndex
+ * @param {*} props.page Viewer page entry.
+ * @param {{ top:number, left:number, width:number, height:number }} props.box Displayed slot box.
+ * @param {('critical'|'high')} props.priority
+ * @param {number} props.rotation Rotation applied to the image inside the slot.
+ * @param {string} props.filter CSS filter applied to the image.
+ * @param {Array<import('../utils/pdfTextContent.js').PageTextMatch>} props.matches
+ * @param {(import('../utils/pdfTextContent.js').PageTextMatch|null)} props.activeMatch
+ * @param {function(number, number, number): void} props.onNaturalSize
+ * @param {(import('./PageAnnotationLayer.jsx').AnnotationLayerState|null)=} props.annotationLayer
+ * @returns {React.ReactElement}
+ */
+function PageImageSlot({
+  pageIndex,
+  page,
+  box,
+  priority,
+  rotation,
+  filter,
+  matches,
+  activeMatch,
+  onNaturalSize,
+  annotationLayer = null,
+}) {
+  const { ensurePageAsset, touchPageAsset, pinPageAsset, unpinPageAsset, getPageText } = useContext(ViewerContext);
+  const [asset, setAsset] = useState({ url: '', failed: false });
+  const [loadedUrl, setLoadedUrl] = useState('');
+  const [pageText, setPageText] = useState(/** @type {{ sourceKey:string, content:* }} */ ({ sourceKey: '', content: null }));
+  const retriedUrlRef = useRef('');
+  const pageStatus = Number(page?.status || 0);
+  const fullStatus = Number(page?.fullSizeStatus || 0);
+  const sourceKey = String(page?.sourceKey || '');
+  const hasText = hasPageTextContent(page?.fileExtension);
+  const pageNumber = pageIndex + 1;
+
+  useEffect(() => {
+    pinPageAsset(pageIndex, 'full');
+    return () => {
+      unpinPageAsset(pageIndex, 'full');
+    };
+  }, [pageIndex, pinPageAsset, unpinPageAsset]);
+
+  useEffect(() => {
+    if (pageStatus === -1 || fullStatus === -1) {
+      setAsset({ url: '', failed: true });
+      return undefined;
+    }
+
+    let cancelled = false;
+    void ensurePageAsset(pageIndex, 'full', { priority })
+      .then((url) => {
+        if (cancelled) return;
+        const nextUrl = String(url || '').trim();
+        if (!nextUrl) {
+          setAsset({ url: '', failed: true });
+          return;
+        }
+        touchPageAsset(pageIndex, 'full');
+        setAsset((prev) => (prev.url === nextUrl && !prev.failed ? prev : { url: nextUrl, failed: false }));
+      })
+      .catch((error) => {
+        if (cancelled) return;
+        logger.error('Failed to request page slot asset', {
+          pageNumber,
+          error: String(error?.message || error),
+        });
+        setAsset({ url: '', failed: true });
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [ensurePageAsset, fullStatus, pageIndex, pageNumber, pageStatus, priority, sourceKey, touchPageAsset]);
+
+  const imageLoaded = !!asset.url && loadedUrl === asset.url;
+
+  useEffect(() => {
+    if (!hasText || !sourceKey || !imageLoaded || typeof getPageText !== 'function') return undefined;
+    let cancelled = false;
+    void getPageText(pageIndex).then((content) => {
+      if (!cancelled) setPageText({ sourceKey, content: content || null });
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [getPageText, hasText, imageLoaded, pageIndex, sourceKey]);
+
+  /**
+   * @param {React.SyntheticEvent<HTMLImageElement>} event
+   * @returns {void}
+   */
+  const handleLoad = useCallback((event) => {
+    const image = event.currentTarget;
+    retriedUrlRef.current = '';
+    setLoadedUrl(String(image.getAttribute('src') || ''));
+    onNaturalSize(pageIndex, Number(image.naturalWidth) || 0, Number(image.naturalHeight) || 0);
+  }, [onNaturalSize, pageIndex]);
+
+  /**
+   * Blob URLs can be revoked by cache eviction between the request and the image load. Ask for a
+   * fresh asset once per URL before showing the error state.
+   *
+   * @returns {void}
+   */
+  const handleError = useCallback(() => {
+    const failedUrl = asset.url;
+    if (!failedUrl || retriedUrlRef.current === failedUrl) {
+      logger.error('Page slot image failed to load', { pageNumber, url: failedUrl });
+      setAsset({ url: '', failed: true });
+      return;
+    }
+    retriedUrlRef.current = failedUrl;
+    void ensurePageAsset(pageIndex, 'full', { priority: 'critical', forceRefresh: true })
+      .then((url) => {
+        const nextUrl = String(url || '').trim();
+        setAsset(nextUrl && nextUrl !== failedUrl ? { url: nextUrl, failed: false } : { url: '', failed: true });
+      })
+      .catch((error) => {
+        logger.warn('Retrying page slot asset failed', {
+          pageNumber,
+          error: String(error?.message || error),
+        });
+        setAsset({ url: '', failed: true });
+      });
+  }, [asset.url, ensurePageAsset, pageIndex, pageNumber]);
+
+  const rotated = rotation === 90 || rotation === 270;
+  const imageStyle = {
+    width: `${rotated ? box.height : box.width}px`,
+    height: `${rotated ? box.width : box.height}px`,
+    transform: rotation ? `translate(-50%, -50%) rotate(${rotation}deg)` : 'translate(-50%, -50%)',
+    filter: filter || undefined,
+    visibility: imageLoaded ? 'visible' : 'hidden',
+  };
+
+  const textContent = pageText.sourceKey === sourceKey ? pageText.content : null;
+  const hits = useMemo(() => matches.map((match) => ({
+    key: `${match.pageIndex}:${match.matchIndex}`,
+    active: !!activeMatch
+      && activeMatch.pageIndex === match.pageIndex
+      && activeMatch.matchIndex === match.matchIndex,
+    segments: match.segments,
+  })), [activeMatch, matches]);
+  const showTextLayer = imageLoaded && rotation === 0 && !!textContent?.items?.length;
+  const annotationTarget = useMemo(() => getPageAnnotationTarget(page, pageIndex), [page, pageIndex]);
+
+  return (
+    <div
+      className="odv-page-slot"
+      data-page-number={pageNumber}
+      style={{ top: `${box.top}px`, left: `${box.left}px`, width: `${box.width}px`, height: `${box.height}px` }}
+    >
+      {asset.url ? (
+        <img
+          key={asset.url}
+          className="odv-page-slot-image"
+          src={asset.url}
+          alt={`Page ${pageNumber}`}
+          decoding="async"
+          draggable={false}
+          style={imageStyle}
+          onLoad={handleLoad}
+          onError={handleError}
+        />
+      ) : null}
+
+      {showTextLayer ? (
+        <PageTextLayer
+          content={textContent}
+          width={box.width}
+          height={box.height}
+          hits={hits}
+          pageNumber={pageNumber}
+        />
+      ) : null}
+
+      {annotationLayer && imageLoaded ? (
+        <PageAnnotationLayer
+          annotationLayer={annotationLayer}
+          target={annotationTarget}
+          pageKey={getAnnotationPageKey(annotationTarget.documentId, annotationTarget.page)}
+          width={box.width}
+          height={box.height}
+          rotation={rotation}
+          pageNumber={pageNumber}
+        />
+      ) : null}
+
+      {asset.failed || !imageLoaded ? (
+        <div className="odv-page-slot-status">
+          <LoadingMessage pageStatus={asset.failed ? -1 : 0} className="document-render-loading-message" />
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
+PageImageSlot.propTypes = {
+  pageIndex: PropTypes.number.isRequired,
+  page: PropTypes.object,
+  box: PropTypes.shape({
+    top: PropTypes.number.isRequired,
+    left: PropTypes.number.isRequired,
+    width: PropTypes.number.isRequired,
+    height: PropTypes.number.isRequired,
+  }).isRequired,
+  priority: PropTypes.oneOf(['critical', 'high']).isRequired,
+  rotation: PropTypes.number.isRequired,
+  filter: PropTypes.string.isRequired,
+  matches: PropTypes.arrayOf(PropTypes.object).isRequired,
+  activeMatch: PropTypes.object,
+  onNaturalSize: PropTypes.func.isRequired,
+  annotationLayer: PropTypes.object,
+};
+
+
+export default React.memo(PageImageSlot);
@@ -0,0 +1,152 @@
+// File: src/components/PageTextLayer.jsx
+/**
+ * File: src/components/PageTextLayer.jsx
+ *
+ * OpenDocViewer — Selectable text layer and search-hit highlights for one PDF page.
+ *
+ * PURPOSE
+ *   Lay transparent text spans over the rasterized page so users can select and copy text, and draw
+ *   search hits on top of the page image.
+ *
+ * DESIGN NOTES / GOTCHAS
+ *   - Item boxes are page fractions (see `src/utils/pdfTextContent.js`), so the layer only needs the
+ *     displayed stage size in CSS pixels; raster resolution and zoom do not matter.
+ *   - Each span is stretched horizontally to the width pdf.js reports, using a measured natural
+ *     width. Without that, selections drift away from the visible glyphs.
+ *   - Hit boxes are approximated by character offset inside an item. That is exact for monospaced
+ *     text and close enough for highlighting elsewhere.
+ *   - The parent hides this layer while the page is shown rotated on the canvas.
+ */
+
+import React, { useEffect, useMemo, useRef } from 'react';
+import PropTypes from 'prop-types';
+
+const MEASURE_FONT_FAMILY = 'sans-serif';
+
+/** @type {(CanvasRenderingContext2D|null)} */
+let measureContext = null;
+
+/**
+ * @param {string} text
+ * @param {number} fontSizePx
+ * @returns {number}
+ */
+function measureTextWidth(text, fontSizePx) {
+  try {
+    if (!measureContext) measureContext = document.createElement('canvas').getContext('2d');
+    if (!measureContext) return 0;
+    measureContext.font = `${fontSizePx}px ${MEASURE_FONT_FAMILY}`;
+    return measureContext.measureText(text).width;
+  } catch {
+    return 0;
+  }
+}
+
+/**
+ * @typedef {Object} PageTextLayerHit
+ * @property {string} key
+ * @property {boolean} active
+ * @property {Array<{ itemIndex:number, start:number, end:number }>} segments
+ */
+
+/**
+ * @param {Object} props
+ * @param {import('../utils/pdfTextContent.js').PageTextContent} props.content
+ * @param {number} props.width   Displayed page width in CSS pixels.
+ * @param {number} props.height  Displayed page height in CSS pixels.
+ * @param {Array<PageTextLayerHit>=} props.hits
+ * @param {number} props.pageNumber
+ * @returns {React.ReactElement}
+ */
+function PageTextLayer({ content, width, height, hits = [], pageNumber }) {
+  const layerRef = useRef(/** @type {(HTMLDivElement|null)} */ (null));
+  const items = useMemo(() => (Array.isArray(content?.items) ? content.items : []), [content]);
+
+  const spans = useMemo(() => items.map((item, index) => {
+    const fontSize = Math.max(1, item.height * height);
+    const targetWidth = Math.max(0, item.width * width);
+    const naturalWidth = measureTextWidth(item.text, fontSize);
+    const scaleX = naturalWidth > 0 && targetWidth > 0 ? targetWidth / naturalWidth : 1;
+    return (
+      <span
+        key={index}
+        className="odv-text-layer-item"
+        style={{
+          left: `${item.left * 100}%`,
+          top: `${item.top * 100}%`,
+          fontSize: `${fontSize}px`,
+          fontFamily: MEASURE_FONT_FAMILY,
+          transform: `scaleX(${scaleX})`,
+        }}
+      >
+        {item.text}
+      </span>
+    );
+  }), [height, items, width]);
+
+  const hitBoxes = useMemo(() => {
+    const boxes = [];
+    for (const hit of hits) {
+      for (const segment of hit.segments) {
+        const item = items[segment.itemIndex];
+        const length = String(item?.text || '').length;
+        if (!item || length <= 0) continue;
+        boxes.push({
+          key: `${hit.key}:${segment.itemIndex}`,
+          active: hit.active,
+          style: {
+            left: `${(item.left + (item.width * segment.start) / length) * 100}%`,
+            top: `${item.top * 100}%`,
+            width: `${((item.width * (segment.end - segment.start)) / length) * 100}%`,
+            height: `${item.height * 1.2 * 100}%`,
+          },
+        });
+      }
+    }
+    return boxes;
+  }, [hits, items]);
+
+  const activeHitKey = hits.find((hit) => hit.active)?.key || '';
+
+  useEffect(() => {
+    if (!activeHitKey) return;
+    const target = layerRef.current?.querySelector?.('.odv-text-layer-hit.is-active');
+    try { target?.scrollIntoView?.({ block: 'center', inline: 'nearest' }); } catch {}
+  }, [activeHitKey]);
+
+  return (
+    <div
+      ref={layerRef}
+      className="odv-text-layer"
+      style={{ width: `${width}px`, height: `${height}px` }}
+      data-page-number={pageNumber}
+      data-odv-allow-native-contextmenu="true"
+    >
+      {hitBoxes.map((box) => (
+        <div
+          key={box.key}
+          className={`odv-text-layer-hit${box.active ? ' is-active' : ''}`}
+          style={box.style}
+          aria-hidden="true"
+        />
+      ))}
+      {spans}
+    </div>
+  );
+}
+
+PageTextLayer.propTypes = {
+  content: PropTypes.shape({
+    items: PropTypes.arrayOf(PropTypes.object).isRequired,
+  }).isRequired,
+  width: PropTypes.number.isRequired,
+  height: PropTypes.number.isRequired,
+  hits: PropTypes.arrayOf(PropTypes.shape({
+    key: PropTypes.string.isRequired,
+    active: PropTypes.bool.isRequired,
+    segments: PropTypes.arrayOf(PropTypes.object).isRequired,
+  })),
+  pageNumber: PropTypes.number.isRequired,
+};
+
+export default React.memo(PageTextLayer);
@@ -263,7 +263,7 @@ function buildPageTemplateContext(item, totalPages, printPageNumber = null, docu
   const documentPageNumber = getDocumentPageNumber(item);
   const documentPageCount = getDocumentPageCount(item);
   const documentId = String(item?.documentId || documentEntry?.documentId || '').trim();
-  const documentTitle = String(documentEntry?.title || documentEntry?.name || documentId || '').trim();
+  const documentTitle = String(documentEntry?.title || documentEntry?.displayName || documentEntry?.name || documentId || '').trim();
   const sourcePage = Math.max(1, Number(item?.pageNumber) || 1);
   const safePrintPage = Math.max(0, Math.floor(Number(printPageNumber) || 0));
   return {
@@ -0,0 +1,365 @@
+// File: src/components/SpreadDocumentRender.jsx
+/**
+ * OpenDocViewer — Two-page spread (facing pages) renderer.
+ *
+ * The active page is shown together with its facing page, left page first. Spreads are built from
+ * the visible pages in display order (see `src/utils/pageSpreads.js`); with the cover option the
+ * first page is shown alone. Navigation steps by spreads in `useDocumentViewer`, so the active page
+ * is normally the left page of the spread. Clicking the other page makes it the active page, which
+ * is the page that rotation, image adjustments and "print current page" act on.
+ *
+ * Zoom treats the spread as one surface: both pages share one scale, and the fit modes size the
+ * combined width (plus the gap) and the taller page's height to the pane. As in the continuous
+ * layout, the fit methods report that scale through `setZoom` so the toolbar percentage stays
+ * meaningful, and image adjustments are drawn with CSS instead of the editing canvas.
+ *
+ * The imperative handle matches DocumentRender.
+ */
+
+import React, {
+  useCallback,
+  useContext,
+  useEffect,
+  useImperativeHandle,
+  useLayoutEffect,
+  useMemo,
+  useRef,
+  useState,
+} from 'react';
+import ViewerContext from '../contexts/viewerContext.js';
+import PageImageSlot from './PageImageSlot.jsx';
+import {
+  applyZoom,
+  computeSpreadFitToScreenZoom,
+  computeSpreadFitToWidthZoom,
+  handleZoomIn,
+  handleZoomOut,
+  resolveCustomFitZoomOptions,
+} from '../utils/zoomUtils.js';
+import { getDocumentLoadingConfig } from '../utils/documentLoadingConfig.js';
+import { resolveContinuousPageSize } from '../utils/continuousLayout.js';
+import { getSpreadPositions, SPREAD_PAGE_GAP_PX } from '../utils/pageSpreads.js';
+
+/** @type {Array<*>} */
+const EMPTY_MATCHES = Object.freeze([]);
+
+/**
+ * @param {*} value
+ * @returns {number}
+ */
+function normalizeRotation(value) {
+  return ((Number(value || 0) % 360) + 360) % 360;
+}
+
+/**
+ * @param {Object} props
+ * @param {number} props.pageNumber Active original 1-based page number.
+ * @param {Array<number>} props.pageNumbers Original 1-based page numbers in display order.
+ * @param {boolean=} props.coverPage Show the first visible page alone.
+ * @param {number} props.zoom
+ * @param {function((number|function(number): number)): void} props.setZoom
+ * @param {{ rotation:number, brightness:number, contrast:number }} props.imageProperties
+ * @param {Array<any>} props.allPages
+ * @param {('FIT_PAGE'|'FIT_WIDTH'|'FIT_CUSTOM'|'ACTUAL_SIZE'|'CUSTOM')=} props.zoomMode
+ * @param {{ widthFactorPercent:number, heightFactorPercent:(number|null), actualSizeFactorPercent:(number|null) }=} props.customFitSizeLimits
+ * @param {function(): void=} props.onToggleFitZoomMode
+ * @param {function(number): void} props.onActivePageChange Receives the original page number of a clicked page.
+ * @param {function({ requestedPageNumber:number, displayedPageNumber:number, pending:boolean, blockingLoading:boolean, hasError:boolean }): void=} props.onDisplayStateChange
+ * @param {(import('./DocumentRender.jsx').DocumentSearchHighlightState|null)=} props.searchHighlights
+ * @param {(import('./PageAnnotationLayer.jsx').AnnotationLayerState|null)=} props.annotationLayer
+ * @returns {React.ReactElement}
+ */
+const SpreadDocumentRender = React.forwardRef(function SpreadDocumentRender(
+  {
+    pageNumber,
+    pageNumbers,
+    coverPage = false,
+    zoom,
+    setZoom,
+    imageProperties,
+    allPages,
+    zoomMode = 'FIT_PAGE',
+    customFitSizeLimits = null,
+    onToggleFitZoomMode,
+    onActivePageChange,
+    onDisplayStateChange = () => {},
+    searchHighlights = null,
+    annotationLayer = null,
+  },
+  ref
+) {
+  const { ensurePageAsset, getPrintablePageUrls, documentLoadingConfig } = useContext(ViewerContext);
+  const fallbackLoadingConfig = useMemo(() => getDocumentLoadingConfig(), []);
+  const activeLoadingConfig = documentLoadingConfig || fallbackLoadingConfig;
+
+  const viewportRef = useRef(/** @type {(HTMLDivElement|null)} */ (null));
+  const [viewportSize, setViewportSize] = useState({ width: 0, height: 0 });
+  const [naturalSizes, setNaturalSizes] = useState(() => ({
+    byIndex: /** @type {Map<number, { width:number, height:number }>} */ (new Map()),
+    reference: /** @type {(null|{ width:number, height:number })} */ (null),
+  }));
+
+  const rotation = normalizeRotation(imageProperties?.rotation);
+  const activeFilter = useMemo(() => {
+    const brightness = Number(imageProperties?.brightness ?? 100);
+    const contrast = Number(imageProperties?.contrast ?? 100);
+    if ((!Number.isFinite(brightness) || brightness === 100) && (!Number.isFinite(contrast) || contrast === 100)) return '';
+    return `brightness(${Number.isFinite(brightness) ? brightness : 100}%) contrast(${Number.isFinite(contrast) ? contrast : 100}%)`;
+  }, [imageProperties?.brightness, imageProperties?.contrast]);
+  const fitOptions = useMemo(() => resolveCustomFitZoomOptions(customFitSizeLimits), [customFitSizeLimits]);
+
+  useLayoutEffect(() => {
+    const viewport = viewportRef.current;
+    if (!viewport) return undefined;
+    const measure = () => {
+      const width = Number(viewport.clientWidth) || 0;
+      const height = Number(viewport.clientHeight) || 0;
+      setViewportSize((prev) => (prev.width === width && prev.height === height ? prev : { width, height }));
+    };
+    measure();
+    if (typeof ResizeObserver !== 'function') return undefined;
+    const observer = new ResizeObserver(measure);
+    observer.observe(viewport);
+    return () => {
+      observer.disconnect();
+    };
+  }, []);
+
+  /**
+   * @param {number} pageIndex
+   * @param {number} width
+   * @param {number} height
+   * @returns {void}
+   */
+  const handleNaturalSize = useCallback((pageIndex, width, height) => {
+    if (!(width > 0) || !(height > 0)) return;
+    setNaturalSizes((prev) => {
+      const known = prev.byIndex.get(pageIndex);
+      if (known && known.width === width && known.height === height) return prev;
+      const byIndex = new Map(prev.byIndex);
+      byIndex.set(pageIndex, { width, height });
+      return { byIndex, reference: { width, height } };
+    });
+  }, []);
+
+  // Sizes are estimated again after a session change; indexes may point at other pages now.
+  const pageCount = Array.isArray(allPages) ? allPages.length : 0;
+  useEffect(() => {
+    setNaturalSizes((prev) => (prev.byIndex.size === 0 ? prev : { byIndex: new Map(), reference: prev.reference }));
+  }, [pageCount]);
+
+  const activePosition = useMemo(() => {
+    const position = pageNumbers.indexOf(pageNumber);
+    return position >= 0 ? position : 0;
+  }, [pageNumber, pageNumbers]);
+
+  const spreadNumbers = useMemo(
+    () => getSpreadPositions(activePosition, pageNumbers.length, coverPage).map((position) => pageNumbers[position]),
+    [activePosition, coverPage, pageNumbers]
+  );
+
+  const spreadSizes = useMemo(() => spreadNumbers.map((number) => {
+    const pageIndex = number - 1;
+    const page = Array.isArray(allPages) ? allPages[pageIndex] : null;
+    const size = resolveContinuousPageSize(page, naturalSizes.byIndex.get(pageIndex), naturalSizes.reference);
+    if (number === pageNumber && (rotation === 90 || rotation === 270)) {
+      return { width: size.height, height: size.width };
+    }
+    return size;
+  }), [allPages, naturalSizes, pageNumber, rotation, spreadNumbers]);
+
+  /**
+   * @param {string} mode
+   * @returns {number}
+   */
+  const resolveSpreadScale = useCallback((mode) => {
+    let scale = null;
+    if (mode === 'FIT_PAGE') scale = computeSpreadFitToScreenZoom(spreadSizes, viewportSize, SPREAD_PAGE_GAP_PX);
+    else if (mode === 'FIT_WIDTH') scale = computeSpreadFitToWidthZoom(spreadSizes, viewportSize, SPREAD_PAGE_GAP_PX);
+    else if (mode === 'FIT_CUSTOM') {
+      scale = computeSpreadFitToWidthZoom(spreadSizes, viewportSize, SPREAD_PAGE_GAP_PX, fitOptions);
+    }
+    if (scale != null) return scale;
+    const numericZoom = Number(zoom);
+    return Number.isFinite(numericZoom) && numericZoom > 0 ? numericZoom : 1;
+  }, [fitOptions, spreadSizes, viewportSize, zoom]);
+
+  const scale = resolveSpreadScale(zoomMode);
+
+  // Pages sit next to each other, centered in the pane and on a shared horizontal middle line.
+  const layout = useMemo(() => {
+    const boxes = spreadSizes.map((size) => ({
+      top: 0,
+      left: 0,
+      width: Math.max(1, Math.round(size.width * scale)),
+      height: Math.max(1, Math.round(size.height * scale)),
+    }));
+    const spreadWidth = boxes.reduce((sum, box) => sum + box.width, 0) + SPREAD_PAGE_GAP_PX * Math.max(0, boxes.length - 1);
+    const spreadHeight = boxes.reduce((max, box) => Math.max(max, box.height), 0);
+    const contentWidth = Math.max(viewportSize.width, spreadWidth);
+    const contentHeight = Math.max(viewportSize.height, spreadHeight);
+    let left = Math.floor((contentWidth - spreadWidth) / 2);
+    for (const box of boxes) {
+      box.left = left;
+      box.top = Math.floor((contentHeight - box.height) / 2);
+      left += box.width + SPREAD_PAGE_GAP_PX;
+    }
+    return { boxes, contentWidth, contentHeight };
+  }, [scale, spreadSizes, viewportSize.height, viewportSize.width]);
+
+  // A new spread starts at its top-left corner, like a page change in single-page layout.
+  const spreadKey = spreadNumbers.join(':');
+  useLayoutEffect(() => {
+    const viewport = viewportRef.current;
+    if (!viewport) return;
+    viewport.scrollTop = 0;
+    viewport.scrollLeft = 0;
+  }, [spreadKey]);
+
+  // In fit modes the zoom value is not an input of the layout; report the spread scale so the
+  // toolbar and host events show what the user sees.
+  useEffect(() => {
+    if (spreadSizes.length === 0 || viewportSize.width <= 0) return;
+    if (zoomMode !== 'FIT_PAGE' && zoomMode !== 'FIT_WIDTH' && zoomMode !== 'FIT_CUSTOM') return;
+    applyZoom(setZoom, scale);
+  }, [scale, setZoom, spreadSizes.length, viewportSize.width, zoomMode]);
+
+  // Prefetch the pages around the spread in display order, so hidden pages are skipped.
+  useEffect(() => {
+    if (spreadNumbers.length === 0) return;
+    const first = pageNumbers.indexOf(spreadNumbers[0]);
+    const last = first + spreadNumbers.length - 1;
+    const lookBehind = Math.max(0, Number(activeLoadingConfig?.render?.lookBehindPageCount) || 0);
+    const lookAhead = Math.max(0, Number(activeLoadingConfig?.render?.lookAheadPageCount) || 0);
+    for (let position = first - lookBehind; position <= last + lookAhead; position += 1) {
+      const number = pageNumbers[position];
+      if (!number || (position >= first && position <= last)) continue;
+      void ensurePageAsset(number - 1, 'full', { priority: 'low' }).catch(() => {});
+    }
+  }, [
+    activeLoadingConfig?.render?.lookAheadPageCount,
+    activeLoadingConfig?.render?.lookBehindPageCount,
+    ensurePageAsset,
+    pageNumbers,
+    spreadNumbers,
+  ]);
+
+  useEffect(() => {
+    const active = Math.max(1, Number(pageNumber) || 1);
+    onDisplayStateChange({
+      requestedPageNumber: active,
+      displayedPageNumber: active,
+      pending: false,
+      blockingLoading: false,
+      hasError: false,
+    });
+  }, [onDisplayStateChange, pageNumber]);
+
+  /**
+   * @param {string} mode
+   * @returns {void}
+   */
+  const fitSpread = useCallback((mode) => {
+    if (spreadSizes.length === 0) return;
+    applyZoom(setZoom, resolveSpreadScale(mode));
+  }, [resolveSpreadScale, setZoom, spreadSizes.length]);
+
+  /**
+   * @param {React.MouseEvent<HTMLDivElement>} event
+   * @returns {void}
+   */
+  const handleViewportClick = useCallback((event) => {
+    if (!(event?.target instanceof Element)) return;
+    const clicked = Number(event.target.closest('.odv-page-slot')?.getAttribute('data-page-number'));
+    if (Number.isFinite(clicked) && clicked > 0 && clicked !== pageNumber) onActivePageChange?.(clicked);
+  }, [onActivePageChange, pageNumber]);
+
+  /**
+   * @param {React.MouseEvent<HTMLDivElement>} event
+   * @returns {void}
+   */
+  const handleViewportDoubleClick = useCallback((event) => {
+    if (typeof onToggleFitZoomMode !== 'function') return;
+    if (event?.target instanceof Element && event.target.closest('.odv-text-layer-item')) return;
+    event.preventDefault();
+    event.stopPropagation();
+    onToggleFitZoomMode();
+  }, [onToggleFitZoomMode]);
+
+  const imperativeHandle = useMemo(() => ({
+    updateImageSourceAndFit() {
+      fitSpread('FIT_PAGE');
+    },
+    getActiveCanvas() {
+      return viewportRef.current?.querySelector?.(
+        `.odv-page-slot[data-page-number="${pageNumber}"] .odv-page-slot-image`
+      ) || null;
+    },
+    fitToScreen() {
+      fitSpread('FIT_PAGE');
+    },
+    fitToWidth() {
+      fitSpread('FIT_WIDTH');
+    },
+    fitToCustomWidth() {
+      fitSpread('FIT_CUSTOM');
+    },
+    zoomIn() {
+      handleZoomIn(setZoom);
+    },
+    zoomOut() {
+      handleZoomOut(setZoom);
+    },
+    forceRender() {},
+    async getAllPrintableDataUrls(pageIndexes) {
+      return getPrintablePageUrls(pageIndexes);
+    },
+    // Backward-compatible alias for older print callers; prefer getAllPrintableDataUrls().
+    async exportAllPagesAsDataUrls(pageIndexes) {
+      return getPrintablePageUrls(pageIndexes);
+    },
+  }), [fitSpread, getPrintablePageUrls, pageNumber, setZoom]);
+
+  useImperativeHandle(ref, () => imperativeHandle, [imperativeHandle]);
+
+  const matchesByPage = searchHighlights?.matchesByPage;
+  const activeMatch = searchHighlights?.activeMatch || null;
+
+  return (
+    <div
+      ref={viewportRef}
+      className="document-render-viewport odv-spread-viewport"
+      onClick={handleViewportClick}
+      onDoubleClick={handleViewportDoubleClick}
+    >
+      <div
+        className="odv-spread-content"
+        style={{ width: `${layout.contentWidth}px`, height: `${layout.contentHeight}px` }}
+      >
+        {spreadNumbers.map((number, index) => {
+          const pageIndex = number - 1;
+          const isActive = number === pageNumber;
+          return (
+            <PageImageSlot
+              key={pageIndex}
+              pageIndex={pageIndex}
+              page={Array.isArray(allPages) ? allPages[pageIndex] || null : null}
+              box={layout.boxes[index]}
+              priority={isActive ? 'critical' : 'high'}
+              rotation={isActive ? rotation : 0}
+              filter={isActive ? activeFilter : ''}
+              matches={matchesByPage?.get?.(pageIndex) || EMPTY_MATCHES}
+              activeMatch={activeMatch && activeMatch.pageIndex === pageIndex ? activeMatch : null}
+              onNaturalSize={handleNaturalSize}
+              annotationLayer={annotationLayer}
+            />
+          );
+        })}
+      </div>
+    </div>
+  );
+});
+
+SpreadDocumentRender.displayName = 'SpreadDocumentRender';
+
+export default SpreadDocumentRender;
@@ -25,6 +25,9 @@ import {
 import { createSourceTempStore } from '../utils/sourceTempStore.js';
 import { createPageAssetStore } from '../utils/pageAssetStore.js';
 import { createPageAssetRenderer } from '../utils/pageAssetRenderer.js';
+import { createSourceRangeReader } from '../utils/sourceRangeReader.js';
+import { hasPageTextContent } from '../utils/pdfTextContent.js';
+import { isAnimatedImageExtension, isPlayableAnimation } from '../utils/animatedImage.js';
 import {
   createPersistedPageAssetKey,
   createRenderAssetSignature,
@@ -36,14 +39,35 @@ import {
   revokeTrackedObjectUrls,
   getTrackedObjectUrlCount,
 } from '../utils/objectUrlRegistry.js';
+import {
+  ODV_HOST_EVENTS,
+  countHostDocuments,
+  describeHostPageContext,
+  emitHostEvent,
+} from '../integrations/hostEvents.js';
 
 
+/**
+ * @typedef {import('../utils/pdfTextContent.js').PageTextContent} PageTextContent
+ * @typedef {import('../utils/sourceRangeReader.js').SourceRangeReader} SourceRangeReader
+ * @typedef {import('./viewerContext.js').RegisterRangeSourceInput} RegisterRangeSourceInput
+ * @typedef {import('./viewerContext.js').SourceResumeState} SourceResumeState
+ */
+
 /**
  * @typedef {Object} DocumentSessionInitOptions
  * @property {number=} expectedSourceCount
  * @property {Object=} config
  */
 
+/**
+ * @typedef {Object} ReconcileDocumentSessionOptions
+ * @property {number} retainedPageCount
+ * @property {Array<string>} sourceKeys
+ * @property {number=} totalDocuments
+ * @property {{ documentVersion:number, documentUrlFallback:number, url:number }=} cacheIdentityStats
+ */
+
 /**
  * @typedef {Object} DisposeDocumentSessionOptions
  * @property {boolean=} clearPages
@@ -327,6 +351,7 @@ export const ViewerProvider = ({ children, bundle = null, diagnosticsEnabled = f
   const [workerCount, setWorkerCount] = useState(0);
   const [loadingRunActive, setLoadingRunActive] = useState(false);
   const [plannedPageCount, setPlannedPageCount] = useState(0);
+  const [sourceResumeState, setSourceResumeStateValue] = useState({ attempts: 0, maxAttempts: 0 });
   const [messageQueue, setMessageQueue] = useState([]);
   const [documentLoadingConfig, setDocumentLoadingConfig] = useState(getDocumentLoadingConfig());
   const [memoryPressureStage, setMemoryPressureStage] = useState('normal');
@@ -442,9 +467,16 @@ export const ViewerProvider = ({ children, bundle = null, diagnosticsEnabled = f
   const knownThumbnailAssetPagesRef = useRef(new Set());
   const pdfResolutionBoostedKeysRef = useRef(new Set());
   const pdfResolutionPendingKeysRef = useRef(new Set());
+  const pageTextCacheRef = useRef(new Map());
+  /** @type {React.MutableRefObject<Map<string, Promise<Array<Object>>>>} */
+  const sourceOutlinesRef = useRef(new Map());
+  /** @type {React.MutableRefObject<Map<string, Promise<(string|null)>>>} */
+  const sourceObjectUrlsRef = useRef(new Map());
   const pdfPageCountRef = useRef(0);
   const assetPipelineStatsRef = useRef(createAssetPipelineStats());
   const loaderPhaseStatsRef = useRef(createLoaderPhaseStats());
+  const hostReadyEmittedRef = useRef(false);
+  const hostLoadCompleteEmittedRef = useRef(false);
 
   const renderWithLimit = useRef(createLimiter(
     () => Math.max(1, Number(sessionConfigRef.current?.render?.maxConcurrentMainThreadRenders) || 2)
@@ -658,8 +690,10 @@ export const ViewerProvider = ({ children, bundle = null, diagnosticsEnabled = f
     for (const entry of fullPageCacheRef.current.values()) urls.add(entry.url);
     for (const entry of thumbnailCacheRef.current.values()) urls.add(entry.url);
     for (const url of ephemeralPrintUrlsRef.current.values()) urls.add(url);
+    for (const pending of sourceObjectUrlsRef.current.values()) void pending.then(revokeTrackedObjectUrl);
 
     revokeTrackedObjectUrls(urls);
+    sourceObjectUrlsRef.current.clear();
     fullPageCacheRef.current.clear();
     thumbnailCacheRef.current.clear();
     pinnedAssetsRef.current.clear();
@@ -682,6 +716,8 @@ export const ViewerProvider = ({ children, bundle = null, diagnosticsEnabled = f
     knownThumbnailAssetPagesRef.current.clear();
     pdfResolutionBoostedKeysRef.current.clear();
     pdfResolutionPendingKeysRef.current.clear();
+    pageTextCacheRef.current.clear();
+    sourceOutlinesRef.current.clear();
     loaderPhaseStatsRef.current = createLoaderPhaseStats();
     setPdfResolutionBoostState({ boostedKeys: [], pendingKeys: [] });
     warmupQueueRef.current = [];
@@ -730,6 +766,7 @@ export const ViewerProvider = ({ children, bundle = null, diagnosticsEnabled = f
     setWorkerCount(0);
     setLoadingRunActive(false);
     setPlannedPageCount(0);
+    setSourceResumeStateValue({ attempts: 0, maxAttempts: 0 });
     setMessageQueue([]);
     const defaultConfig = getDocumentLoadingConfig();
     sessionBaseConfigRef.current = defaultConfig;
@@ -1025,6 +1062,106 @@ export const ViewerProvider = ({ children, bundle = null, diagnosticsEnabled = f
     });
   }, [collectRuntimeDiagnostics, resetViewerState]);
 
+  /**
+   * Adapt the running session to a changed document list instead of starting a new one.
+   *
+   * Pages below `retainedPageCount` keep their index, rendered assets and in-memory caches. Later
+   * pages are dropped so the loader can insert them again in the new order. Sources listed in
+   * `sourceKeys` stay in the temp store and keep their descriptors; all other sources are deleted.
+   * Returns false when there is no live session to reconcile.
+   *
+   * @param {ReconcileDocumentSessionOptions} options
+   * @returns {Promise<boolean>}
+   */
+  const reconcileDocumentSession = useCallback(async (options) => {
+    const tempStore = tempStoreRef.current;
+    if (!tempStore || !pageRendererRef.current) return false;
+
+    const retainedPageCount = Math.max(0, Math.min(
+      allPagesRef.current.length,
+      Number(options?.retainedPageCount) || 0
+    ));
+    const keepSourceKeys = new Set(Array.isArray(options?.sourceKeys) ? options.sourceKeys : []);
+    const totalDocuments = Math.max(0, Number(options?.totalDocuments) || 0);
+
+    // In-flight renders target page indexes that may now belong to other pages.
+    sessionEpochRef.current += 1;
+    pendingAssetPromisesRef.current.clear();
+    warmupQueueRef.current = warmupQueueRef.current.filter((task) => task.pageIndex < retainedPageCount);
+
+    const urls = new Set();
+    for (const page of allPagesRef.current.slice(retainedPageCount)) {
+      if (page?.fullSizeUrl) urls.add(page.fullSizeUrl);
+      if (page?.thumbnailUrl) urls.add(page.thumbnailUrl);
+    }
+    for (const cache of [fullPageCacheRef.current, thumbnailCacheRef.current]) {
+      for (const [pageIndex, entry] of Array.from(cache.entries())) {
+        if (pageIndex < retainedPageCount) continue;
+        if (entry?.url) urls.add(entry.url);
+        cache.delete(pageIndex);
+      }
+    }
+    for (const key of Array.from(pinnedAssetsRef.current.keys())) {
+      const pageIndex = Number(String(key).split(':')[1]);
+      if (!Number.isFinite(pageIndex) || pageIndex >= retainedPageCount) pinnedAssetsRef.current.delete(key);
+    }
+    for (const known of [knownFullAssetPagesRef.current, knownThumbnailAssetPagesRef.current]) {
+      for (const pageIndex of Array.from(known.values())) {
+        if (pageIndex >= retainedPageCount) known.delete(pageIndex);
+      }
+    }
+    revokeTrackedObjectUrls(urls);
+
+    const removedSourceKeys = Array.from(sourceDescriptorsRef.current.keys())
+      .filter((sourceKey) => !keepSourceKeys.has(sourceKey));
+    for (const sourceKey of removedSourceKeys) {
+      sourceDescriptorsRef.current.delete(sourceKey);
+      for (const textKey of Array.from(pageTextCacheRef.current.keys())) {
+        if (textKey.startsWith(`${sourceKey}:`)) pageTextCacheRef.current.delete(textKey);
+      }
+      sourceOutlinesRef.current.delete(sourceKey);
+      for (const urlKey of Array.from(sourceObjectUrlsRef.current.keys())) {
+        if (!urlKey.startsWith(`${sourceKey}:`)) continue;
+        void sourceObjectUrlsRef.current.get(urlKey).then(revokeTrackedObjectUrl);
+        sourceObjectUrlsRef.current.delete(urlKey);
+      }
+      releasedRasterSourceKeysRef.current.delete(sourceKey);
+      try {
+        await tempStore.deleteSource?.(sourceKey);
+      } catch (e) {
+        logger.warn('Failed to delete removed source during session reconcile', {
+          sourceKey,
+          error: String(e?.message || e),
+        });
+      }
+    }
+
+    if (options?.cacheIdentityStats) {
+      cacheIdentityStatsRef.current = {
+        documentVersion: Math.max(0, Number(options.cacheIdentityStats.documentVersion || 0)),
+        documentUrlFallback: Math.max(0, Number(options.cacheIdentityStats.documentUrlFallback || 0)),
+        url: Math.max(0, Number(options.cacheIdentityStats.url || 0)),
+      };
+    }
+
+    updateAllPages((prev) => prev.slice(0, retainedPageCount).map((page) => (
+      page && totalDocuments > 0 && page.totalDocuments !== totalDocuments
+        ? { ...page, totalDocuments }
+        : page
+    )));
+    setError(null);
+    loadRunStartedAtMsRef.current = 0;
+    loadRunCompletedAtMsRef.current = 0;
+    previousLoadingRunActiveRef.current = false;
+    collectRuntimeDiagnostics();
+    logger.info('Reconciled document session', {
+      retainedPageCount,
+      retainedSourceCount: sourceDescriptorsRef.current.size,
+      removedSourceCount: removedSourceKeys.length,
+    });
+    return true;
+  }, [collectRuntimeDiagnostics, updateAllPages]);
+
   /**
    * @param {DisposeDocumentSessionOptions=} options
    * @returns {Promise<void>}
@@ -1042,6 +1179,8 @@ export const ViewerProvider = ({ children, bundle = null, diagnosticsEnabled = f
     knownThumbnailAssetPagesRef.current.clear();
     pdfResolutionBoostedKeysRef.current.clear();
     pdfResolutionPendingKeysRef.current.clear();
+    pageTextCacheRef.current.clear();
+    sourceOutlinesRef.current.clear();
     loaderPhaseStatsRef.current = createLoaderPhaseStats();
     setPdfResolutionBoostState({ boostedKeys: [], pendingKeys: [] });
     warmupQueueRef.current = [];
@@ -1195,6 +1334,21 @@ export const ViewerProvider = ({ children, bundle = null, diagnosticsEnabled = f
     });
   }, []);
 
+  /**
+   * Look up a source that is already stored in the current session.
+   * Sources released after a verified full-asset persist still count as stored.
+   *
+   * @param {string} sourceKey
+   * @returns {(ViewerSourceDescriptor|null)}
+   */
+  const getSourceDescriptor = useCallback((sourceKey) => {
+    const key = String(sourceKey || '');
+    const descriptor = key ? sourceDescriptorsRef.current.get(key) : null;
+    if (!descriptor) return null;
+    const stored = !!tempStoreRef.current?.getMeta?.(key) || releasedRasterSourceKeysRef.current.has(key);
+    return stored ? { ...descriptor } : null;
+  }, []);
+
   /**
    * @param {StoreSourceBlobInput} input
    * @returns {Promise<*>}
@@ -1219,6 +1373,53 @@ export const ViewerProvider = ({ children, bundle = null, diagnosticsEnabled = f
     return { ...meta, stats };
   }, [addMessage]);
 
+  /**
+   * Record how often the loader had to resume an interrupted source transfer in this run.
+   *
+   * @param {SourceResumeState} next
+   * @returns {void}
+   */
+  const setSourceResumeState = useCallback((next) => {
+    const attempts = Math.max(0, Number(next?.attempts) || 0);
+    const maxAttempts = Math.max(0, Number(next?.maxAttempts) || 0);
+    setSourceResumeStateValue((previous) => (
+      previous.attempts === attempts && previous.maxAttempts === maxAttempts
+        ? previous
+        : { attempts, maxAttempts }
+    ));
+  }, []);
+
+  /**
+   * Make a source renderable from byte ranges before its full bytes are stored. Ranges read for
+   * rendering are kept in the temp store; `storeSourceBlob()` for the same key later replaces them.
+   *
+   * @param {RegisterRangeSourceInput} input
+   * @returns {SourceRangeReader}
+   */
+  const registerRangeSource = useCallback((input) => {
+    const tempStore = tempStoreRef.current;
+    const renderer = pageRendererRef.current;
+    if (!tempStore || !renderer) throw new Error('No active document session.');
+    const sourceKey = String(input?.sourceKey || '');
+    tempStore.beginRangeSource({
+      sourceKey,
+      sizeBytes: input.sizeBytes,
+      fileExtension: input.fileExtension,
+      mimeType: input.mimeType,
+      originalUrl: input.originalUrl,
+      fileIndex: input.fileIndex,
+    });
+    const reader = createSourceRangeReader({
+      sizeBytes: input.sizeBytes,
+      chunkSizeBytes: Math.max(64, Number(sessionConfigRef.current.fetch.rangeChunkSizeKiB) || 512) * 1024,
+      fetchRange: input.fetchRange,
+      readStored: (begin, end) => tempStore.readSourceRange(sourceKey, begin, end),
+      storeChunk: (begin, bytes) => tempStore.putSourceRange(sourceKey, begin, bytes),
+    });
+    renderer.registerRangeSource(sourceKey, reader);
+    return reader;
+  }, []);
+
   /**
    * @param {string} sourceKey
    * @returns {Promise<(ArrayBuffer|null)>}
@@ -1859,6 +2060,147 @@ export const ViewerProvider = ({ children, bundle = null, diagnosticsEnabled = f
    * @param {number} pageIndex
    * @returns {Promise<boolean>}
    */
+  /**
+   * Extract the text of one page for the text layer and search. Results are cached per source page,
+   * so they survive session reconciles and repeated searches. Image pages resolve with `null`.
+   *
+   * @param {number} pageIndex
+   * @returns {Promise<(PageTextContent|null)>}
+   */
+  const getPageText = useCallback(async (pageIndex) => {
+    const page = getPageAt(allPagesRef.current, Math.max(0, Number(pageIndex) || 0));
+    if (!page || page.status === -1 || !hasPageTextContent(page.fileExtension)) return null;
+    const textKey = makePdfResolutionPageKey(page);
+    const source = sourceDescriptorsRef.current.get(page.sourceKey);
+    if (!textKey || !source || !pageRendererRef.current) return null;
+
+    const cached = pageTextCacheRef.current.get(textKey);
+    if (cached) return cached;
+
+    const sessionEpoch = sessionEpochRef.current;
+    const promise = pageRendererRef.current.extractPageText({
+      sourceKey: source.sourceKey,
+      fileExtension: source.fileExtension,
+      fileIndex: source.fileIndex,
+      pageIndex: page.pageIndex,
+    }).catch((e) => {
+      if (sessionEpochRef.current === sessionEpoch) pageTextCacheRef.current.delete(textKey);
+      logger.warn('Failed to extract page text', {
+        pageIndex,
+        sourceKey: page.sourceKey,
+        error: String(e?.message || e),
+      });
+      return null;
+    });
+    pageTextCacheRef.current.set(textKey, promise);
+    return promise;
+  }, []);
+
+  /**
+   * Outline (bookmarks) of one PDF source, with pages relative to that PDF. Other sources and
+   * unreadable outlines resolve with an empty list.
+   *
+   * @param {string} sourceKey
+   * @returns {Promise<Array<import('../utils/documentOutline.js').OutlineEntry>>}
+   */
+  const getSourceOutline = useCallback(async (sourceKey) => {
+    const source = sourceDescriptorsRef.current.get(String(sourceKey || ''));
+    if (!source || String(source.fileExtension || '').toLowerCase() !== 'pdf' || !pageRendererRef.current) return [];
+
+    const cached = sourceOutlinesRef.current.get(source.sourceKey);
+    if (cached) return cached;
+
+    const sessionEpoch = sessionEpochRef.current;
+    const promise = pageRendererRef.current.getPdfOutline(source.sourceKey).catch((e) => {
+      if (sessionEpochRef.current === sessionEpoch) sourceOutlinesRef.current.delete(source.sourceKey);
+      logger.warn('Failed to read PDF outline', {
+        sourceKey: source.sourceKey,
+        error: String(e?.message || e),
+      });
+      return [];
+    });
+    sourceOutlinesRef.current.set(source.sourceKey, promise);
+    return promise;
+  }, []);
+
+  /**
+   * Object URL of a blob derived from the source of one page. The URL is cached per source and
+   * kind and lives until that source leaves the session.
+   *
+   * @param {number} pageIndex
+   * @param {string} kind Cache key suffix, e.g. `vector`.
+   * @param {function(ViewerSourceDescriptor, Object): Promise<(Blob|null)>} readBlob
+   * @returns {Promise<(string|null)>}
+   */
+  const getSourceObjectUrl = useCallback(async (pageIndex, kind, readBlob) => {
+    const page = getPageAt(allPagesRef.current, Math.max(0, Number(pageIndex) || 0));
+    if (!page || page.status === -1) return null;
+    const source = sourceDescriptorsRef.current.get(page.sourceKey);
+    if (!source || !pageRendererRef.current) return null;
+
+    const urlKey = `${source.sourceKey}:${kind}`;
+    const cached = sourceObjectUrlsRef.current.get(urlKey);
+    if (cached) return cached;
+
+    const sessionEpoch = sessionEpochRef.current;
+    const promise = readBlob(source, page).then((blob) => {
+      if (!blob) return null;
+      const url = createTrackedObjectUrl(blob);
+      if (sessionEpochRef.current === sessionEpoch) return url;
+      revokeTrackedObjectUrl(url);
+      return null;
+    }).catch((e) => {
+      if (sessionEpochRef.current === sessionEpoch) sourceObjectUrlsRef.current.delete(urlKey);
+      logger.warn('Failed to prepare page source image', {
+        pageIndex,
+        kind,
+        sourceKey: page.sourceKey,
+        error: String(e?.message || e),
+      });
+      return null;
+    });
+    sourceObjectUrlsRef.current.set(urlKey, promise);
+    return promise;
+  }, []);
+
+  /**
+   * Object URL of the sanitized vector image of one page, for crisp display at high zoom. Only SVG
+   * pages have one; other pages resolve with `null`.
+   *
+   * @param {number} pageIndex
+   * @returns {Promise<(string|null)>}
+   */
+  const getPageVectorUrl = useCallback(async (pageIndex) => {
+    const page = getPageAt(allPagesRef.current, Math.max(0, Number(pageIndex) || 0));
+    if (String(page?.fileExtension || '').toLowerCase() !== 'svg') return null;
+    return getSourceObjectUrl(pageIndex, 'vector', (source, sourcePage) => pageRendererRef.current.getVectorPageBlob({
+      sourceKey: source.sourceKey,
+      fileExtension: source.fileExtension,
+      fileIndex: source.fileIndex,
+      pageIndex: sourcePage.pageIndex,
+    }));
+  }, [getSourceObjectUrl]);
+
+  /**
+   * Object URL of the original GIF or WebP of one page when it is a genuine animation, for the
+   * play control. Frame stacks without delays (such as scanned faxes) and other pages resolve with
+   * `null`.
+   *
+   * @param {number} pageIndex
+   * @returns {Promise<(string|null)>}
+   */
+  const getPageAnimationUrl = useCallback(async (pageIndex) => {
+    const page = getPageAt(allPagesRef.current, Math.max(0, Number(pageIndex) || 0));
+    if (!isAnimatedImageExtension(page?.fileExtension)) return null;
+    return getSourceObjectUrl(pageIndex, 'animation', async (source) => {
+      const blob = await tempStoreRef.current?.getBlob?.(source.sourceKey);
+      if (!blob) return null;
+      const ext = String(source.fileExtension || '').toLowerCase();
+      if (!isPlayableAnimation(new Uint8Array(await blob.arrayBuffer()), ext)) return null;
+      return blob.type ? blob : new Blob([blob], { type: `image/${ext}` });
+    });
+  }, [getSourceObjectUrl]);
+
   const enhancePdfPageResolution = useCallback(async (pageIndex) => {
     const safeIndex = Math.max(0, Number(pageIndex) || 0);
     const page = getPageAt(allPagesRef.current, safeIndex);
@@ -2447,8 +2789,10 @@ export const ViewerProvider = ({ children, bundle = null, diagnosticsEnabled = f
       failedPages,
       pendingPages,
       allPagesReady,
+      sourceResumeAttempts: sourceResumeState.attempts,
+      sourceResumeMaxAttempts: sourceResumeState.maxAttempts,
     };
-  }, [allPages, loadingRunActive, plannedPageCount]);
+  }, [allPages, loadingRunActive, plannedPageCount, sourceResumeState]);
 
   useEffect(() => {
     if (!diagnosticsEnabled) return undefined;
@@ -2460,6 +2804,46 @@ export const ViewerProvider = ({ children, bundle = null, diagnosticsEnabled = f
     return undefined;
   }, [collectRuntimeDiagnostics, diagnosticsEnabled, pageLoadState.allPagesReady]);
 
+  // Outbound host events. `odv:ready` fires once per session when the first page can be shown;
+  // `odv:load-complete` fires once when every expected page is ready or failed.
+  useEffect(() => {
+    if (pageLoadState.discoveredPages <= 0) {
+      hostReadyEmittedRef.current = false;
+      hostLoadCompleteEmittedRef.current = false;
+      return undefined;
+    }
+    // A new load run in the same session (documents appended or replaced) re-arms completion.
+    if (loadingRunActive) hostLoadCompleteEmittedRef.current = false;
+    const pages = allPagesRef.current;
+    if (!hostReadyEmittedRef.current && pageLoadState.readyPages > 0) {
+      hostReadyEmittedRef.current = true;
+      emitHostEvent(ODV_HOST_EVENTS.READY, {
+        totalPages: pageLoadState.discoveredPages,
+        expectedPages: pageLoadState.expectedPages,
+        totalDocuments: countHostDocuments(pages),
+        page: describeHostPageContext(pages, 1),
+      });
+    }
+    if (!hostLoadCompleteEmittedRef.current && pageLoadState.allPagesReady) {
+      hostLoadCompleteEmittedRef.current = true;
+      emitHostEvent(ODV_HOST_EVENTS.LOAD_COMPLETE, {
+        totalPages: pageLoadState.discoveredPages,
+        readyPages: pageLoadState.readyPages,
+        failedPages: pageLoadState.failedPages,
+        totalDocuments: countHostDocuments(pages),
+      });
+    }
+    return undefined;
+  }, [loadingRunActive, pageLoadState]);
+
+  useEffect(() => {
+    if (!error) return;
+    emitHostEvent(ODV_HOST_EVENTS.ERROR, {
+      source: 'viewer',
+      message: String(error),
+    });
+  }, [error]);
+
   useEffect(() => {
     if (loadingRunActive) return undefined;
     if (pageLoadState.allPagesReady) return undefined;
@@ -2501,11 +2885,14 @@ export const ViewerProvider = ({ children, bundle = null, diagnosticsEnabled = f
     patchPageAtIndex,
     resetViewerState,
     initializeDocumentSession,
+    reconcileDocumentSession,
     disposeDocumentSession,
     storeSourceBlob,
     readSourceArrayBuffer,
     readSourceBlob,
+    registerRangeSource,
     registerSourceDescriptor,
+    getSourceDescriptor,
     recordLoaderPhaseTiming,
     ensurePageAsset,
     enhancePdfPageResolution,
@@ -2514,6 +2901,10 @@ export const ViewerProvider = ({ children, bundle = null, diagnosticsEnabled = f
     pinPageAsset,
     unpinPageAsset,
     getPrintablePageUrls,
+    getPageText,
+    getPageVectorUrl,
+    getPageAnimationUrl,
+    getSourceOutline,
     error,
     setError,
     workerCount,
@@ -2522,6 +2913,7 @@ export const ViewerProvider = ({ children, bundle = null, diagnosticsEnabled = f
     setLoadingRunActive,
     plannedPageCount,
     setPlannedPageCount,
+    setSourceResumeState,
     messageQueue,
     addMessage,
     documentLoadingConfig,
@@ -2537,11 +2929,14 @@ export const ViewerProvider = ({ children, bundle = null, diagnosticsEnabled = f
     patchPageAtIndex,
     resetViewerState,
     initializeDocumentSession,
+    reconcileDocumentSession,
     disposeDocumentSession,
     storeSourceBlob,
     readSourceArrayBuffer,
     readSourceBlob,
+    registerRangeSource,
     registerSourceDescriptor,
+    getSourceDescriptor,
     recordLoaderPhaseTiming,
     ensurePageAsset,
     enhancePdfPageResolution,
@@ -2550,10 +2945,15 @@ export const ViewerProvider = ({ children, bundle = null, diagnosticsEnabled = f
     pinPageAsset,
     unpinPageAsset,
     getPrintablePageUrls,
+    getPageText,
+    getPageVectorUrl,
+    getPageAnimationUrl,
+    getSourceOutline,
     error,
     workerCount,
     loadingRunActive,
     plannedPageCount,
+    setSourceResumeState,
     messageQueue,
     addMessage,
     documentLoadingConfig,
@@ -19,6 +19,11 @@ import { createContext } from 'react';
  * @property {(number|undefined)} realHeight
  * @property {(string|undefined)} sourceMimeType
  * @property {(number|undefined)} sourceSizeBytes
+ * @property {(string|undefined)} sourceDisplayName File name of the source, e.g. a ZIP member path.
+ * @property {({ sourceKey:string, displayName:string, fileExtension:string, mimeType:string }|undefined)} originalSource
+ *   Stored file the page downloads as when it is not `sourceKey` itself, e.g. the `.eml` behind a
+ *   rendered email page.
+ * @property {(string|undefined)} containerSourceKey Source an extracted file came from, e.g. an email.
  * @property {(string|undefined)} documentId
  * @property {(number|undefined)} documentNumber
  * @property {(number|undefined)} totalDocuments
@@ -29,6 +34,10 @@ import { createContext } from 'react';
  */
 
 
+/**
+ * @typedef {import('../utils/pdfTextContent.js').PageTextContent} PageTextContent
+ */
+
 /**
  * @typedef {Object} DocumentSessionInitOptions
  * @property {number=} expectedSourceCount
@@ -37,6 +46,14 @@ import { createContext } from 'react';
  * @property {{ documentVersion:number, documentUrlFallback:number, url:number }=} cacheIdentityStats
  */
 
+/**
+ * @typedef {Object} ReconcileDocumentSessionOptions
+ * @property {number} retainedPageCount
+ * @property {Array<string>} sourceKeys
+ * @property {number=} totalDocuments
+ * @property {{ documentVersion:number, documentUrlFallback:number, url:number }=} cacheIdentityStats
+ */
+
 /**
  * @typedef {Object} DisposeDocumentSessionOptions
  * @property {boolean=} clearPages
@@ -52,6 +69,23 @@ import { createContext } from 'react';
  * @property {number=} fileIndex
  */
 
+/**
+ * @typedef {Object} RegisterRangeSourceInput
+ * @property {string} sourceKey
+ * @property {number} sizeBytes Full size announced by the server.
+ * @property {function(number, number): Promise<ArrayBuffer>} fetchRange Fetches bytes `[begin, end)`.
+ * @property {string=} fileExtension
+ * @property {string=} mimeType
+ * @property {string=} originalUrl
+ * @property {number=} fileIndex
+ */
+
+/**
+ * @typedef {Object} SourceResumeState
+ * @property {number} attempts     Resumes of an interrupted source transfer in this loading run.
+ * @property {number} maxAttempts  Configured limit; 0 while nothing was resumed.
+ */
+
 /**
  * @typedef {Object} EnsurePageAssetOptions
  * @property {boolean=} trackInCache
@@ -160,6 +194,8 @@ import { createContext } from 'react';
  * @property {number} failedPages
  * @property {number} pendingPages
  * @property {boolean} allPagesReady
+ * @property {number} sourceResumeAttempts
+ * @property {number} sourceResumeMaxAttempts
  */
 
 /**
@@ -171,11 +207,14 @@ import { createContext } from 'react';
  * @property {function(number, *): void} patchPageAtIndex
  * @property {function(): Promise<void>} resetViewerState
  * @property {function((DocumentSessionInitOptions|undefined)=): Promise<void>} initializeDocumentSession
+ * @property {function(ReconcileDocumentSessionOptions): Promise<boolean>} reconcileDocumentSession
  * @property {function((DisposeDocumentSessionOptions|undefined)=): Promise<void>} disposeDocumentSession
  * @property {function(StoreSourceBlobInput): Promise<*>} storeSourceBlob
  * @property {function(string): Promise<(ArrayBuffer|null)>} readSourceArrayBuffer
  * @property {function(string): Promise<(Blob|null)>} readSourceBlob
+ * @property {function(RegisterRangeSourceInput): import('../utils/sourceRangeReader.js').SourceRangeReader} registerRangeSource
  * @property {function(ViewerSourceDescriptor): void} registerSourceDescriptor
+ * @property {function(string): (ViewerSourceDescriptor|null)} getSourceDescriptor
  * @property {function(string, number): void} recordLoaderPhaseTiming
  * @property {function(number, ('full'|'thumbnail'), (EnsurePageAssetOptions|undefined)=): Promise<(string|null)>} ensurePageAsset
  * @property {function(number): Promise<boolean>} enhancePdfPageResolution
@@ -184,6 +223,10 @@ import { createContext } from 'react';
  * @property {function(number, ('full'|'thumbnail')): void} pinPageAsset
  * @property {function(number, ('full'|'thumbnail')): void} unpinPageAsset
  * @property {function(Array.<number>=): Promise<Array.<string>>} getPrintablePageUrls
+ * @property {function(number): Promise<(PageTextContent|null)>} getPageText
+ * @property {function(number): Promise<(string|null)>} getPageVectorUrl
+ * @property {function(number): Promise<(string|null)>} getPageAnimationUrl
+ * @property {function(string): Promise<Array<import('../utils/documentOutline.js').OutlineEntry>>} getSourceOutline
  * @property {(string|null)} error
  * @property {function((string|null)): void} setError
  * @property {number} workerCount
@@ -192,6 +235,7 @@ import { createContext } from 'react';
  * @property {function(boolean): void} setLoadingRunActive
  * @property {number} plannedPageCount
  * @property {function(number): void} setPlannedPageCount
+ * @property {function(SourceResumeState): void} setSourceResumeState
  * @property {Array.<string>} messageQueue
  * @property {function(string): void} addMessage
  * @property {Object} documentLoadingConfig
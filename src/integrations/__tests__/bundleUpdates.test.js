@@ -0,0 +1,65 @@
+// File: src/integrations/__tests__/bundleUpdates.test.js
+/**
+ * Focused unit tests for the document-set helpers behind `appendDocuments`, `removeDocument`
+ * and `replaceBundle`.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  appendBundleDocuments,
+  removeBundleDocument,
+  replaceBundleDocuments,
+  summarizeBundle,
+} from '../bundleUpdates.js';
+
+const BUNDLE = {
+  session: { id: 's-1', userId: 'reviewer' },
+  documents: [
+    { documentId: 'case-1', files: [{ url: '/files/a.pdf' }] },
+    { documentId: 'case-2', files: [{ url: '/files/b.tif' }] },
+  ],
+  integration: { kind: 'review' },
+};
+
+describe('bundleUpdates', () => {
+  it('appends a bare documents part and keeps session and integration', () => {
+    const next = appendBundleDocuments(BUNDLE, { documents: [{ documentId: 'scan-3', files: ['/files/c.png'] }] });
+    expect(summarizeBundle(next)).toEqual({ documentCount: 3, documentIds: ['case-1', 'case-2', 'scan-3'] });
+    expect(next.session).toBe(BUNDLE.session);
+    expect(next.integration).toBe(BUNDLE.integration);
+    expect(next.documents[0]).toBe(BUNDLE.documents[0]);
+    expect(next.documents[2].files[0].url).toMatch(/\/files\/c\.png$/);
+  });
+
+  it('validates bundle annotations and adds those of an appended part', () => {
+    const next = appendBundleDocuments(BUNDLE, {
+      documents: [{ documentId: 'scan-3', files: ['/files/c.png'] }],
+      annotations: [
+        { id: 'n-1', type: 'note', documentId: 'scan-3', page: 1, x: 0.2, y: 0.2, text: 'Stamp missing' },
+        { type: 'rect', documentId: 'scan-3', page: 1 },
+      ],
+    });
+    expect(next.annotations.map((annotation) => annotation.id)).toEqual(['n-1']);
+    expect(appendBundleDocuments(BUNDLE, { documents: [{ documentId: 'scan-4', files: ['/x.png'] }] }).annotations)
+      .toBeUndefined();
+  });
+
+  it('rejects empty parts and duplicate document ids', () => {
+    expect(() => appendBundleDocuments(BUNDLE, { documents: [] })).toThrow(/at least one document/);
+    expect(() => appendBundleDocuments(BUNDLE, { documents: [{ documentId: 'case-2', files: [] }] }))
+      .toThrow(/Duplicate documentId "case-2"/);
+  });
+
+  it('removes documents by id but never the last one', () => {
+    const next = removeBundleDocument(BUNDLE, 'case-1');
+    expect(summarizeBundle(next).documentIds).toEqual(['case-2']);
+    expect(() => removeBundleDocument(BUNDLE, 'missing')).toThrow(RangeError);
+    expect(() => removeBundleDocument(next, 'case-2')).toThrow(/last document/);
+  });
+
+  it('normalizes a replacement bundle', () => {
+    const next = replaceBundleDocuments({ bundle: { ...BUNDLE, documents: BUNDLE.documents.slice(1) } });
+    expect(summarizeBundle(next).documentIds).toEqual(['case-2']);
+    expect(() => replaceBundleDocuments(null)).toThrow(TypeError);
+  });
+});
@@ -0,0 +1,65 @@
+// File: src/integrations/__tests__/hostCommands.test.js
+/**
+ * Focused unit tests for the `window.ODV` command registry.
+ *
+ * These tests run in Node/Vitest and exercise the registry directly with a plain API object.
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  HOST_COMMAND_READY_TIMEOUT_MS,
+  attachHostCommandApi,
+  invokeHostCommand,
+  registerHostCommands,
+} from '../hostCommands.js';
+
+describe('hostCommands', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('attaches promise-returning commands without overwriting existing members', () => {
+    const start = () => {};
+    const api = { start, getState: 'host-owned' };
+    attachHostCommandApi(api);
+    expect(api.start).toBe(start);
+    expect(typeof api.goToPage).toBe('function');
+    expect(typeof api.close).toBe('function');
+    expect(api.getState).toBe('host-owned');
+  });
+
+  it('routes calls to the registered handler and unregisters cleanly', async () => {
+    const unregister = registerHostCommands({ goToPage: (n) => ({ page: n }) });
+    await expect(invokeHostCommand('goToPage', [3])).resolves.toEqual({ page: 3 });
+    unregister();
+
+    vi.useFakeTimers();
+    const pending = invokeHostCommand('goToPage', [4]);
+    vi.advanceTimersByTime(HOST_COMMAND_READY_TIMEOUT_MS);
+    await expect(pending).rejects.toThrow(/not ready/);
+  });
+
+  it('queues calls made before registration and replays them', async () => {
+    const pending = invokeHostCommand('setZoomMode', ['FIT_WIDTH']);
+    const unregister = registerHostCommands({ setZoomMode: (mode) => Promise.resolve({ zoom: { mode } }) });
+    await expect(pending).resolves.toEqual({ zoom: { mode: 'FIT_WIDTH' } });
+    unregister();
+  });
+
+  it('surfaces handler errors and unknown commands as rejections', async () => {
+    const unregister = registerHostCommands({
+      rotate: () => { throw new RangeError('bad rotation'); },
+    });
+    await expect(invokeHostCommand('rotate', ['primary', 45])).rejects.toThrow('bad rotation');
+    await expect(invokeHostCommand('explode')).rejects.toThrow(/Unknown OpenDocViewer command/);
+    unregister();
+  });
+
+  it('keeps a newer registration when an older one unregisters', async () => {
+    const unregisterOld = registerHostCommands({ getState: () => 'old' });
+    const unregisterNew = registerHostCommands({ getState: () => 'new' });
+    unregisterOld();
+    await expect(invokeHostCommand('getState')).resolves.toBe('new');
+    unregisterNew();
+  });
+});
@@ -0,0 +1,78 @@
+// File: src/integrations/__tests__/hostEvents.test.js
+/**
+ * Focused unit tests for the outbound host event contract.
+ *
+ * These tests run in Node/Vitest. A plain EventTarget stands in for `window`, which is all
+ * `viewerEvents.js` needs to dispatch CustomEvents.
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import {
+  ODV_HOST_EVENT_SCHEMA_VERSION,
+  ODV_HOST_EVENTS,
+  countHostDocuments,
+  describeHostPageContext,
+  emitHostEvent,
+} from '../hostEvents.js';
+
+const PAGES = [
+  { documentId: 'doc-a', documentNumber: 1, totalDocuments: 2, documentPageNumber: 1, documentPageCount: 2, fileIndex: 0 },
+  { documentId: 'doc-a', documentNumber: 1, totalDocuments: 2, documentPageNumber: 2, documentPageCount: 2, fileIndex: 0 },
+  { documentId: 'doc-b', documentNumber: 2, totalDocuments: 2, documentPageNumber: 1, fileIndex: 1 },
+];
+
+describe('hostEvents', () => {
+  const originalWindow = globalThis.window;
+
+  beforeEach(() => {
+    globalThis.window = new EventTarget();
+  });
+
+  afterEach(() => {
+    if (originalWindow === undefined) delete globalThis.window;
+    else globalThis.window = originalWindow;
+  });
+
+  it('describes page context from session page entries', () => {
+    expect(describeHostPageContext(PAGES, 3)).toEqual({
+      pageNumber: 3,
+      totalPages: 3,
+      documentId: 'doc-b',
+      documentNumber: 2,
+      totalDocuments: 2,
+      documentPageNumber: 1,
+      documentPageCount: null,
+      fileIndex: 1,
+    });
+    expect(describeHostPageContext(PAGES, 0)).toBeNull();
+    expect(describeHostPageContext(PAGES, 4)).toBeNull();
+    expect(describeHostPageContext(null, 1)).toBeNull();
+  });
+
+  it('counts documents from declared totals or distinct ids', () => {
+    expect(countHostDocuments(PAGES)).toBe(2);
+    expect(countHostDocuments([{}, {}])).toBe(1);
+    expect(countHostDocuments([])).toBe(0);
+  });
+
+  it('dispatches documented events with a versioned envelope', () => {
+    const received = [];
+    window.addEventListener(ODV_HOST_EVENTS.PAGE_CHANGE, (event) => received.push(event.detail));
+
+    expect(emitHostEvent(ODV_HOST_EVENTS.PAGE_CHANGE, { page: describeHostPageContext(PAGES, 2) })).toBe(true);
+    expect(emitHostEvent(ODV_HOST_EVENTS.PAGE_CHANGE, { page: describeHostPageContext(PAGES, 3) })).toBe(true);
+
+    expect(received).toHaveLength(2);
+    expect(received[0]).toMatchObject({
+      schemaVersion: ODV_HOST_EVENT_SCHEMA_VERSION,
+      type: 'odv:page-change',
+      page: { pageNumber: 2, documentId: 'doc-a' },
+    });
+    expect(received[1].sequence).toBeGreaterThan(received[0].sequence);
+    expect(typeof received[0].timestamp).toBe('number');
+  });
+
+  it('rejects event names outside the documented contract', () => {
+    expect(emitHostEvent('odv:unknown', {})).toBe(false);
+  });
+});
@@ -0,0 +1,44 @@
+// File: src/integrations/__tests__/localFiles.test.js
+/**
+ * Focused unit tests for turning local files into a bundle and on into loader source items.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { createLocalFileBundle, isFileDrag } from '../localFiles.js';
+import { appendBundleDocuments, replaceBundleDocuments } from '../bundleUpdates.js';
+import { makeExplicitSource } from '../../components/DocumentLoader/sources/explicitListSource.js';
+
+describe('localFiles', () => {
+  it('builds one named document per file', () => {
+    expect(createLocalFileBundle([])).toBeNull();
+
+    const pdf = new File(['%PDF-1.7'], 'Scan 1.PDF', { type: 'application/pdf' });
+    const tiff = new File(['II*\0'], 'fax.tif');
+    const bundle = replaceBundleDocuments(createLocalFileBundle([pdf, tiff]));
+
+    expect(bundle.integration).toEqual({ kind: 'local-files' });
+    expect(bundle.documents.map((document) => document.displayName)).toEqual(['Scan 1.PDF', 'fax.tif']);
+    expect(new Set(bundle.documents.map((document) => document.documentId)).size).toBe(2);
+
+    const { items } = makeExplicitSource(bundle);
+    expect(items).toHaveLength(2);
+    expect(items[0]).toMatchObject({ ext: 'pdf', documentNumber: 1, totalDocuments: 2, sourceKind: 'local-file' });
+    expect(items[0].url).toBe('odv-local-file:Scan%201.PDF');
+    expect(items[0].localFile).toBe(pdf);
+    expect(items[1].localFile).toBe(tiff);
+  });
+
+  it('appends dropped files to a local session', () => {
+    const first = replaceBundleDocuments(createLocalFileBundle([new File(['a'], 'a.png')]));
+    const next = appendBundleDocuments(first, { documents: createLocalFileBundle([new File(['b'], 'b.png')]).documents });
+    expect(next.session).toBe(first.session);
+    expect(next.documents.map((document) => document.displayName)).toEqual(['a.png', 'b.png']);
+    expect(makeExplicitSource(next).items[1].localFile).toBeInstanceOf(File);
+  });
+
+  it('only treats drags that carry files as file drags', () => {
+    expect(isFileDrag({ dataTransfer: { types: ['Files'] } })).toBe(true);
+    expect(isFileDrag({ dataTransfer: { types: ['text/plain'] } })).toBe(false);
+    expect(isFileDrag({})).toBe(false);
+  });
+});
@@ -0,0 +1,120 @@
+// File: src/integrations/__tests__/postMessageBridge.test.js
+/**
+ * Focused unit tests for the cross-origin postMessage bridge.
+ *
+ * These tests run in Node/Vitest. A plain EventTarget stands in for the viewer `window`, and an
+ * object with a `postMessage` spy stands in for the host frame.
+ */
+
+import { describe, it, expect, vi, beforeAll, afterAll } from 'vitest';
+import {
+  ODV_BRIDGE_PROTOCOL,
+  readFromPostMessageBridge,
+  startPostMessageBridge,
+  validateBridgeMessage,
+} from '../postMessageBridge.js';
+import { registerHostCommands } from '../hostCommands.js';
+import { ODV_HOST_EVENTS, emitHostEvent } from '../hostEvents.js';
+
+const HOST_ORIGIN = 'https://host.example.com';
+
+/**
+ * @param {Object} fields
+ * @returns {Object}
+ */
+function envelope(fields) {
+  return { protocol: ODV_BRIDGE_PROTOCOL, version: 1, ...fields };
+}
+
+describe('validateBridgeMessage', () => {
+  it('ignores foreign messages without an error', () => {
+    expect(validateBridgeMessage({ type: 'hello' })).toMatchObject({ ok: false, error: undefined });
+    expect(validateBridgeMessage('odv')).toMatchObject({ ok: false, error: undefined });
+  });
+
+  it('rejects malformed bridge messages', () => {
+    expect(validateBridgeMessage(envelope({ version: 2, type: 'hello', id: 'a' })).error).toMatch(/version/);
+    expect(validateBridgeMessage(envelope({ type: 'event', id: 'a' })).error).toMatch(/type/);
+    expect(validateBridgeMessage(envelope({ type: 'hello', id: '' })).error).toMatch(/id/);
+    expect(validateBridgeMessage(envelope({ type: 'command', payload: { name: 'getState' } })).error).toMatch(/require an id/);
+    expect(validateBridgeMessage(envelope({ type: 'command', id: 'c', payload: { name: 'explode' } })).error).toMatch(/Unknown/);
+    expect(validateBridgeMessage(envelope({ type: 'command', id: 'c', payload: { name: 'goToPage', args: 3 } })).error).toMatch(/array/);
+  });
+
+  it('accepts well-formed commands', () => {
+    const result = validateBridgeMessage(envelope({ type: 'command', id: 'c1', payload: { name: 'goToPage', args: [2] }, extra: true }));
+    expect(result.ok).toBe(true);
+    expect(result.message).not.toHaveProperty('extra');
+  });
+});
+
+describe('startPostMessageBridge', () => {
+  const originalWindow = globalThis.window;
+  const host = { postMessage: vi.fn() };
+
+  /**
+   * @param {*} data
+   * @param {{ origin?: string, source?: * }=} from
+   * @returns {void}
+   */
+  const receive = (data, from = {}) => {
+    const event = new Event('message');
+    Object.defineProperties(event, {
+      data: { value: data },
+      origin: { value: from.origin ?? HOST_ORIGIN },
+      source: { value: from.source ?? host },
+    });
+    window.dispatchEvent(event);
+  };
+
+  const posted = (type) => host.postMessage.mock.calls.filter(([message]) => message.type === type);
+
+  beforeAll(() => {
+    globalThis.window = Object.assign(new EventTarget(), { parent: host });
+  });
+
+  afterAll(() => {
+    if (originalWindow === undefined) delete globalThis.window;
+    else globalThis.window = originalWindow;
+  });
+
+  it('hands the bundle over, answers commands and forwards events to the bound origin', async () => {
+    expect(startPostMessageBridge({
+      enabled: true,
+      allowedOrigins: [HOST_ORIGIN],
+      handshakeTimeoutMs: 60000,
+      forwardEvents: true,
+      acceptCommands: true,
+    })).toBe(true);
+
+    const [[hello, targetOrigin]] = posted('hello');
+    expect(targetOrigin).toBe(HOST_ORIGIN);
+    expect(hello.payload.commands).toContain('goToPage');
+
+    // Wrong origin and wrong source are ignored.
+    receive(envelope({ type: 'hello-ack', replyTo: hello.id, payload: { bundle: 'evil' } }), { origin: 'https://evil.example' });
+    receive(envelope({ type: 'hello-ack', replyTo: hello.id, payload: { bundle: 'evil' } }), { source: {} });
+
+    const bundle = { documents: [{ documentId: 'doc-1', files: [{ url: 'a.pdf' }] }] };
+    receive(envelope({ type: 'hello-ack', id: 'h1', replyTo: hello.id, payload: { bundle } }));
+    await expect(readFromPostMessageBridge()).resolves.toEqual({ data: bundle, source: 'postmessage', origin: HOST_ORIGIN });
+
+    const unregister = registerHostCommands({ goToPage: (n) => ({ page: n }) });
+    receive(envelope({ type: 'command', id: 'c1', payload: { name: 'goToPage', args: [4] } }));
+    await vi.waitFor(() => expect(posted('command-result')).toHaveLength(1));
+    expect(posted('command-result')[0]).toEqual([
+      envelope({ type: 'command-result', replyTo: 'c1', payload: { name: 'goToPage', ok: true, result: { page: 4 } } }),
+      HOST_ORIGIN,
+    ]);
+    unregister();
+
+    receive(envelope({ type: 'command', id: 'c2', payload: { name: 'explode' } }));
+    expect(posted('error').at(-1)[0]).toMatchObject({ replyTo: 'c2', payload: { message: expect.stringMatching(/Unknown/) } });
+
+    emitHostEvent(ODV_HOST_EVENTS.READY, {});
+    expect(posted('event').at(-1)).toEqual([
+      expect.objectContaining({ payload: { name: ODV_HOST_EVENTS.READY, detail: expect.objectContaining({ type: 'odv:ready' }) } }),
+      HOST_ORIGIN,
+    ]);
+  });
+});
@@ -5,8 +5,9 @@
  * Startup mode detection and host-integration entry point.
  *
  * Responsibilities:
- * - expose a tiny `window.ODV.start(...)` host API
+ * - expose a tiny `window.ODV.start(...)` host API plus the command surface from `hostCommands.js`
  * - probe all supported startup sources in priority order
+ * - start the cross-origin postMessage bridge when the runtime config allows it
  * - normalize host payloads into a single bundle shape when possible
  * - report the selected bootstrap mode back to `AppBootstrap`
  */
@@ -16,6 +17,8 @@ import { readFromSessionToken } from './sessionToken.js';
 import { hasSessionUrlParameter, readFromSessionUrl } from './sessionUrl.js';
 import { readFromUrlParams } from './urlParams.js';
 import { normalizeToPortableBundle } from './normalizePortableBundle.js';
+import { attachHostCommandApi } from './hostCommands.js';
+import { readFromPostMessageBridge, startPostMessageBridge } from './postMessageBridge.js';
 
 /**
  * Canonical bootstrap modes.
@@ -23,10 +26,13 @@ import { normalizeToPortableBundle } from './normalizePortableBundle.js';
  */
 export const ODV_BOOTSTRAP_MODES = Object.freeze({
   PARENT_PAGE: 'parent-page',
+  POST_MESSAGE: 'post-message',
   SESSION_URL: 'session-url',
   SESSION_TOKEN: 'session-token',
   URL_PARAMS: 'url-params',
   JS_API: 'js-api',
+  // Set by AppBootstrap when the user opens local files; never detected at startup.
+  LOCAL_FILES: 'local-files',
   DEMO: 'demo'
 });
 
@@ -39,10 +45,11 @@ export const ODV_BOOTSTRAP_MODES = Object.freeze({
  * @property {(string|undefined)} hostPayloadSource
  * @property {*=} hostPayload
  * @property {Object=} filterInfo
+ * @property {string=} hostOrigin
  */
 
 /**
- * @typedef {{ mode: ('parent-page'|'session-url'|'session-token'|'js-api'), bundle: PortableDocumentBundle, debugInfo: BootstrapDebugInfo }} BootstrapFromHost
+ * @typedef {{ mode: ('parent-page'|'post-message'|'session-url'|'session-token'|'js-api'), bundle: PortableDocumentBundle, debugInfo: BootstrapDebugInfo }} BootstrapFromHost
  * @typedef {{ mode: 'url-params', urlConfig: { folder: string, extension: string, endNumber: number }, debugInfo: BootstrapDebugInfo }} BootstrapFromUrlParams
  * @typedef {{ mode: 'demo', debugInfo: BootstrapDebugInfo }} BootstrapDemo
  * @typedef {(BootstrapFromHost|BootstrapFromUrlParams|BootstrapDemo)} BootstrapAny
@@ -53,6 +60,17 @@ export const ODV_BOOTSTRAP_MODES = Object.freeze({
  * @typedef {Object} ODVHostApi
  * @property {(function(*): void|undefined)} start
  * @property {(*|undefined)} __pending
+ * @property {function(number): Promise<Object>} goToPage
+ * @property {function((string|number)): Promise<Object>} goToDocument
+ * @property {function(string): Promise<Object>} setZoomMode
+ * @property {function(number, number): Promise<Object>} openCompare
+ * @property {function(Object=): Promise<Object>} openPrintDialog
+ * @property {function(('primary'|'compare'), number): Promise<Object>} rotate
+ * @property {function(): Promise<Object>} getState
+ * @property {function(*): Promise<Object>} appendDocuments
+ * @property {function(string): Promise<Object>} removeDocument
+ * @property {function(*): Promise<Object>} replaceBundle
+ * @property {function(): Promise<void>} close
  */
 
 /**
@@ -66,11 +84,12 @@ export const ODV_BOOTSTRAP_MODES = Object.freeze({
 (function exposeApi() {
   try {
     if (typeof window === 'undefined') return;
-    if (window.ODV?.start) return;
 
     /** @type {ODVHostApi} */
     // @ts-ignore - allow assigning onto window
     const api = (window.ODV = window.ODV || /** @type {*} */ ({}));
+    attachHostCommandApi(api);
+    if (api.start) return;
     api.__pending = undefined;
 
     /**
@@ -302,6 +321,13 @@ export async function bootstrapDetect(options = {}) {
     probeSessionToken();
   }
 
+  // The bridge handshake runs in the background while the other sources are probed. It also
+  // carries commands and events when another source ends up supplying the bundle.
+  let bridgeStarted = false;
+  try {
+    bridgeStarted = startPostMessageBridge();
+  } catch {}
+
   // 1) Session URL (?sessionurl=… / ?bundleUrl=…)
   // Explicit URL payloads must win over the same-origin parent bridge. Gateway integrations can run
   // inside a host page that still exposes its original parent bootstrap data; choosing parent first
@@ -364,7 +390,30 @@ export async function bootstrapDetect(options = {}) {
     }
   } catch {}
 
-  // 3) Session token (?sessiondata=…)
+  // 3) Cross-origin host (postMessage handshake)
+  if (bridgeStarted) {
+    try {
+      const bridgeCandidate = await readFromPostMessageBridge();
+      if (bridgeCandidate?.data) {
+        const bundle = tryNormalizeBundle(bridgeCandidate.data);
+        if (bundle) {
+          return {
+            mode: ODV_BOOTSTRAP_MODES.POST_MESSAGE,
+            bundle,
+            debugInfo: makeDebugInfo(
+              ODV_BOOTSTRAP_MODES.POST_MESSAGE,
+              String(bridgeCandidate.source || 'postmessage'),
+              bridgeCandidate.data,
+              diagnosticsEnabled,
+              { hostOrigin: bridgeCandidate.origin }
+            ),
+          };
+        }
+      }
+    } catch {}
+  }
+
+  // 4) Session token (?sessiondata=…)
   try {
     const sessionCandidate = probeSessionToken();
     if (sessionCandidate?.data) {
@@ -384,7 +433,7 @@ export async function bootstrapDetect(options = {}) {
     }
   } catch {}
 
-  // 4) URL params (pattern mode)
+  // 5) URL params (pattern mode)
   try {
     const urlp = readFromUrlParams();
     if (urlp?.data && urlp.data.folder && urlp.data.extension && urlp.data.endNumber) {
@@ -402,7 +451,7 @@ export async function bootstrapDetect(options = {}) {
     }
   } catch {}
 
-  // 5) JS API (window.ODV.start)
+  // 6) JS API (window.ODV.start)
   try {
     if (typeof window !== 'undefined' && window.ODV?.__pending) {
       const pending = window.ODV.__pending;
@@ -443,7 +492,7 @@ export async function bootstrapDetect(options = {}) {
     }
   } catch {}
 
-  // 6) Fallback: demo
+  // 7) Fallback: demo
   return {
     mode: ODV_BOOTSTRAP_MODES.DEMO,
     debugInfo: makeDebugInfo(
@@ -0,0 +1,125 @@
+// File: src/integrations/bundleUpdates.js
+/**
+ * File: src/integrations/bundleUpdates.js
+ *
+ * OpenDocViewer — Document-set changes for a running session.
+ *
+ * PURPOSE
+ *   Back the `appendDocuments`, `removeDocument` and `replaceBundle` host commands. Each function
+ *   takes the current Portable Document Bundle and returns a new one; `AppBootstrap` swaps it in and
+ *   the loader reconciles the running session, keeping pages of sources whose identity is unchanged.
+ *
+ * DESIGN NOTES
+ *   - Inputs go through `normalizeToPortableBundle`, so every payload shape `window.ODV.start(...)`
+ *     accepts also works here. A bare `{ documents }` part borrows the running session.
+ *   - `documentId` is the handle hosts use to remove documents later, so it must stay unique.
+ *   - Session and integration settings of the running bundle are kept on append and remove.
+ *     Annotations of an appended part are added to the running bundle's annotations.
+ */
+
+import { normalizeToPortableBundle } from './normalizePortableBundle.js';
+
+/**
+ * @typedef {Object} BundleSummary
+ * @property {number} documentCount
+ * @property {Array<string>} documentIds
+ */
+
+/**
+ * @param {*} input
+ * @param {string} label
+ * @param {(Object|undefined)=} session
+ * @returns {PortableDocumentBundle}
+ */
+function normalizeWithDocuments(input, label, session = undefined) {
+  const payload = input?.bundle ?? input;
+  const needsSession = !!payload && typeof payload === 'object'
+    && Array.isArray(payload.documents)
+    && (!payload.session || typeof payload.session !== 'object');
+  const bundle = normalizeToPortableBundle(needsSession ? { ...payload, session: session || {} } : payload);
+  const documents = Array.isArray(bundle?.documents) ? bundle.documents : [];
+  if (documents.length === 0) {
+    throw new TypeError(`${label} requires at least one document`);
+  }
+  return bundle;
+}
+
+/**
+ * @param {Array<{ documentId:string }>} documents
+ * @returns {void}
+ */
+function assertUniqueDocumentIds(documents) {
+  const seen = new Set();
+  for (const document of documents) {
+    const id = String(document?.documentId || '');
+    if (seen.has(id)) throw new Error(`Duplicate documentId "${id}"`);
+    seen.add(id);
+  }
+}
+
+/**
+ * Append the documents of a bundle part after the current documents.
+ *
+ * @param {(PortableDocumentBundle|null)} bundle
+ * @param {*} part
+ * @returns {PortableDocumentBundle}
+ */
+export function appendBundleDocuments(bundle, part) {
+  const incoming = normalizeWithDocuments(part, 'appendDocuments', bundle?.session);
+  if (!Array.isArray(bundle?.documents) || bundle.documents.length === 0) {
+    assertUniqueDocumentIds(incoming.documents);
+    return incoming;
+  }
+  const documents = bundle.documents.concat(incoming.documents);
+  assertUniqueDocumentIds(documents);
+  if (!Array.isArray(incoming.annotations) || incoming.annotations.length === 0) return { ...bundle, documents };
+  return { ...bundle, documents, annotations: (bundle.annotations || []).concat(incoming.annotations) };
+}
+
+/**
+ * Remove one document by id. The last document cannot be removed; use `close()` instead.
+ *
+ * @param {(PortableDocumentBundle|null)} bundle
+ * @param {string} documentId
+ * @returns {PortableDocumentBundle}
+ */
+export function removeBundleDocument(bundle, documentId) {
+  const id = typeof documentId === 'string' ? documentId.trim() : '';
+  if (!id) throw new TypeError('removeDocument requires a documentId');
+  const documents = Array.isArray(bundle?.documents) ? bundle.documents : [];
+  const remaining = documents.filter((document) => String(document?.documentId || '') !== id);
+  if (remaining.length === documents.length) throw new RangeError(`Unknown documentId "${id}"`);
+  if (remaining.length === 0) throw new Error('Cannot remove the last document; use close() instead');
+  return { ...bundle, documents: remaining };
+}
+
+/**
+ * Normalize a complete replacement bundle.
+ *
+ * @param {*} input
+ * @returns {PortableDocumentBundle}
+ */
+export function replaceBundleDocuments(input) {
+  const bundle = normalizeWithDocuments(input, 'replaceBundle');
+  assertUniqueDocumentIds(bundle.documents);
+  return bundle;
+}
+
+/**
+ * @param {(PortableDocumentBundle|null)} bundle
+ * @returns {BundleSummary}
+ */
+export function summarizeBundle(bundle) {
+  const documents = Array.isArray(bundle?.documents) ? bundle.documents : [];
+  return {
+    documentCount: documents.length,
+    documentIds: documents.map((document) => String(document?.documentId || '')),
+  };
+}
+
+export default {
+  appendBundleDocuments,
+  removeBundleDocument,
+  replaceBundleDocuments,
+  summarizeBundle,
+};
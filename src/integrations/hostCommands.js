@@ -0,0 +1,160 @@
+// File: src/integrations/hostCommands.js
+/**
+ * File: src/integrations/hostCommands.js
+ *
+ * OpenDocViewer — Imperative host command registry behind `window.ODV`.
+ *
+ * PURPOSE
+ *   `bootstrapRuntime.js` exposes `window.ODV` before React mounts, but the actions that commands
+ *   drive live in viewer hooks. This module decouples the two: `window.ODV.<command>(...)` always
+ *   returns a Promise, and mounted viewer code registers the handlers that fulfil it.
+ *
+ * DESIGN NOTES
+ *   - Calls made before a handler is registered are queued and replayed on registration, so a host
+ *     may issue commands right after `start(...)`. Queued calls reject after a timeout.
+ *   - Handlers may return a value or a Promise; both reach the host as a Promise.
+ *   - Unregistering only removes a handler if it is still the registered one, so remounts in
+ *     StrictMode cannot remove a newer registration.
+ *
+ * The command list and argument contracts are documented in `docs-src/integrations.md`.
+ */
+
+import logger from '../logging/systemLogger.js';
+
+/**
+ * Names of all commands exposed on `window.ODV`.
+ * @type {ReadonlyArray<string>}
+ */
+export const ODV_HOST_COMMANDS = Object.freeze([
+  'goToPage',
+  'goToDocument',
+  'setZoomMode',
+  'openCompare',
+  'openPrintDialog',
+  'setBatesStart',
+  'rotate',
+  'getState',
+  'appendDocuments',
+  'removeDocument',
+  'replaceBundle',
+  'exportAnnotations',
+  'close',
+]);
+
+/**
+ * How long a command waits for the viewer to register its handler.
+ * @type {number}
+ */
+export const HOST_COMMAND_READY_TIMEOUT_MS = 30000;
+
+/**
+ * @callback HostCommandHandler
+ * @param {...*} args
+ * @returns {*}
+ */
+
+/**
+ * @typedef {Object} QueuedHostCommand
+ * @property {Array<*>} args
+ * @property {function(*): void} resolve
+ * @property {function(*): void} reject
+ * @property {*} timer
+ */
+
+/** @type {Map<string, HostCommandHandler>} */
+const handlers = new Map();
+
+/** @type {Map<string, Array<QueuedHostCommand>>} */
+const queued = new Map();
+
+/**
+ * @param {HostCommandHandler} handler
+ * @param {Array<*>} args
+ * @returns {Promise<*>}
+ */
+function runHandler(handler, args) {
+  return new Promise((resolve) => resolve(handler(...args)));
+}
+
+/**
+ * Invoke a host command by name.
+ *
+ * @param {string} name
+ * @param {Array<*>=} args
+ * @returns {Promise<*>}
+ */
+export function invokeHostCommand(name, args = []) {
+  if (!ODV_HOST_COMMANDS.includes(name)) {
+    return Promise.reject(new Error(`Unknown OpenDocViewer command "${String(name)}"`));
+  }
+  const handler = handlers.get(name);
+  if (handler) return runHandler(handler, args);
+
+  return new Promise((resolve, reject) => {
+    const entry = { args, resolve, reject, timer: null };
+    entry.timer = setTimeout(() => {
+      const list = queued.get(name) || [];
+      const index = list.indexOf(entry);
+      if (index >= 0) list.splice(index, 1);
+      reject(new Error(`OpenDocViewer is not ready to handle "${name}"`));
+    }, HOST_COMMAND_READY_TIMEOUT_MS);
+    const list = queued.get(name) || [];
+    list.push(entry);
+    queued.set(name, list);
+  });
+}
+
+/**
+ * Register handlers for one or more commands. Queued calls for those commands are replayed.
+ *
+ * @param {Object.<string, HostCommandHandler>} map
+ * @returns {function(): void} Unregister function.
+ */
+export function registerHostCommands(map) {
+  const registered = [];
+  for (const [name, handler] of Object.entries(map || {})) {
+    if (!ODV_HOST_COMMANDS.includes(name) || typeof handler !== 'function') {
+      logger.warn('Ignoring invalid host command registration', { name });
+      continue;
+    }
+    handlers.set(name, handler);
+    registered.push([name, handler]);
+
+    const pending = queued.get(name);
+    if (!pending?.length) continue;
+    queued.delete(name);
+    for (const entry of pending) {
+      clearTimeout(entry.timer);
+      runHandler(handler, entry.args).then(entry.resolve, entry.reject);
+    }
+  }
+
+  return function unregister() {
+    for (const [name, handler] of registered) {
+      if (handlers.get(name) === handler) handlers.delete(name);
+    }
+  };
+}
+
+/**
+ * Attach promise-returning command functions to a host API object.
+ * Existing properties are left untouched.
+ *
+ * @param {Object} api
+ * @returns {void}
+ */
+export function attachHostCommandApi(api) {
+  if (!api || typeof api !== 'object') return;
+  for (const name of ODV_HOST_COMMANDS) {
+    if (api[name] !== undefined) continue;
+    api[name] = (...args) => invokeHostCommand(name, args);
+  }
+}
+
+export default {
+  ODV_HOST_COMMANDS,
+  HOST_COMMAND_READY_TIMEOUT_MS,
+  invokeHostCommand,
+  registerHostCommands,
+  attachHostCommandApi,
+};
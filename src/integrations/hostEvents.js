@@ -0,0 +1,172 @@
+// File: src/integrations/hostEvents.js
+/**
+ * File: src/integrations/hostEvents.js
+ *
+ * OpenDocViewer — Outbound host event contract.
+ *
+ * PURPOSE
+ *   Define the versioned set of `odv:*` events the viewer emits for embedding host pages and build
+ *   their payloads in one place. Transport is delegated to `viewerEvents.js`, so every event is a
+ *   `CustomEvent` dispatched on the viewer `window`.
+ *
+ * CONTRACT
+ *   - Every payload carries `schemaVersion`, `type`, `sequence` and `timestamp`.
+ *   - Page-related payloads carry a {@link ODVHostPageContext} built from the session page entry.
+ *   - Additive fields do not bump the schema version; renamed/removed fields do.
+ *   - Emission must never throw into viewer code. Failures are logged and swallowed.
+ *
+ * The event list and payload shapes are documented in `docs-src/integrations.md`.
+ */
+
+import { emitODVEvent } from './viewerEvents.js';
+
+/**
+ * Current outbound event payload schema version.
+ * @type {number}
+ */
+export const ODV_HOST_EVENT_SCHEMA_VERSION = 1;
+
+/**
+ * Names of all outbound host events.
+ * @type {Readonly<{
+ *   READY: string,
+ *   LOAD_PROGRESS: string,
+ *   LOAD_COMPLETE: string,
+ *   PAGE_CHANGE: string,
+ *   ZOOM_CHANGE: string,
+ *   COMPARE_CHANGE: string,
+ *   SELECTION_CHANGE: string,
+ *   PRINT_START: string,
+ *   PRINT_FINISH: string,
+ *   ERROR: string
+ * }>}
+ */
+export const ODV_HOST_EVENTS = Object.freeze({
+  READY: 'odv:ready',
+  LOAD_PROGRESS: 'odv:load-progress',
+  LOAD_COMPLETE: 'odv:load-complete',
+  PAGE_CHANGE: 'odv:page-change',
+  ZOOM_CHANGE: 'odv:zoom-change',
+  COMPARE_CHANGE: 'odv:compare-change',
+  SELECTION_CHANGE: 'odv:selection-change',
+  PRINT_START: 'odv:print-start',
+  PRINT_FINISH: 'odv:print-finish',
+  ERROR: 'odv:error',
+});
+
+/**
+ * Document/page context attached to page-related host events.
+ * @typedef {Object} ODVHostPageContext
+ * @property {number} pageNumber               1-based page number within the whole session.
+ * @property {number} totalPages               Number of pages currently known in the session.
+ * @property {(string|null)} documentId
+ * @property {(number|null)} documentNumber    1-based document number, when the bundle defines documents.
+ * @property {(number|null)} totalDocuments
+ * @property {(number|null)} documentPageNumber 1-based page number within its document.
+ * @property {(number|null)} documentPageCount  Known once all files of the document were analyzed.
+ * @property {(number|null)} fileIndex
+ */
+
+/**
+ * Common envelope fields added to every payload.
+ * @typedef {Object} ODVHostEventEnvelope
+ * @property {number} schemaVersion
+ * @property {string} type
+ * @property {number} sequence
+ * @property {number} timestamp
+ */
+
+const KNOWN_EVENT_NAMES = new Set(Object.values(ODV_HOST_EVENTS));
+
+let eventSequence = 0;
+
+/**
+ * @param {*} value
+ * @returns {(number|null)}
+ */
+function toPositiveIntOrNull(value) {
+  const n = Math.floor(Number(value));
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+/**
+ * Build the public page context for a session page entry.
+ *
+ * @param {Array<Object>|null|undefined} allPages
+ * @param {(number|null|undefined)} pageNumber  1-based session page number.
+ * @returns {(ODVHostPageContext|null)}
+ */
+export function describeHostPageContext(allPages, pageNumber) {
+  const pages = Array.isArray(allPages) ? allPages : [];
+  const n = toPositiveIntOrNull(pageNumber);
+  if (!n || n > pages.length) return null;
+  const page = pages[n - 1] || {};
+  return {
+    pageNumber: n,
+    totalPages: pages.length,
+    documentId: page.documentId ? String(page.documentId) : null,
+    documentNumber: toPositiveIntOrNull(page.documentNumber),
+    totalDocuments: toPositiveIntOrNull(page.totalDocuments),
+    documentPageNumber: toPositiveIntOrNull(page.documentPageNumber),
+    documentPageCount: toPositiveIntOrNull(page.documentPageCount),
+    fileIndex: Number.isFinite(Number(page.fileIndex)) ? Number(page.fileIndex) : null,
+  };
+}
+
+/**
+ * Count distinct documents in the current session page list.
+ *
+ * @param {Array<Object>|null|undefined} allPages
+ * @returns {number}
+ */
+export function countHostDocuments(allPages) {
+  const pages = Array.isArray(allPages) ? allPages : [];
+  let declared = 0;
+  const seen = new Set();
+  for (const page of pages) {
+    declared = Math.max(declared, toPositiveIntOrNull(page?.totalDocuments) || 0);
+    const key = page?.documentId || page?.documentNumber;
+    if (key) seen.add(String(key));
+  }
+  return Math.max(declared, seen.size, pages.length > 0 ? 1 : 0);
+}
+
+/**
+ * Build a versioned host event payload without dispatching it.
+ *
+ * @param {string} name
+ * @param {Object=} payload
+ * @returns {ODVHostEventEnvelope & Object}
+ */
+export function buildHostEventDetail(name, payload = {}) {
+  eventSequence += 1;
+  return {
+    ...(payload && typeof payload === 'object' ? payload : {}),
+    schemaVersion: ODV_HOST_EVENT_SCHEMA_VERSION,
+    type: name,
+    sequence: eventSequence,
+    timestamp: Date.now(),
+  };
+}
+
+/**
+ * Emit one of the documented host events.
+ * Unknown names are rejected so the public contract stays in sync with {@link ODV_HOST_EVENTS}.
+ *
+ * @param {string} name
+ * @param {Object=} payload
+ * @returns {boolean} True when the event was dispatched.
+ */
+export function emitHostEvent(name, payload = {}) {
+  if (!KNOWN_EVENT_NAMES.has(name)) return false;
+  return emitODVEvent(name, buildHostEventDetail(name, payload));
+}
+
+export default {
+  ODV_HOST_EVENT_SCHEMA_VERSION,
+  ODV_HOST_EVENTS,
+  describeHostPageContext,
+  countHostDocuments,
+  buildHostEventDetail,
+  emitHostEvent,
+};
@@ -0,0 +1,98 @@
+// File: src/integrations/localFiles.js
+/**
+ * File: src/integrations/localFiles.js
+ *
+ * OpenDocViewer — Local files picked or dropped by the user.
+ *
+ * PURPOSE
+ *   Turn browser `File` objects into a Portable Document Bundle, so local files run through the
+ *   same explicit-list loader path as host bundles. Each file becomes its own logical document.
+ *
+ * DESIGN NOTES
+ *   - The `File` travels on the file entry as `localFile`. The loader stores it in the temp store
+ *     as it is and never fetches the placeholder `url`, which only gives the source a readable,
+ *     non-network identity in logs.
+ *   - Type sniffing, page counting and placeholders are the loader's usual work; nothing here
+ *     reads the file contents.
+ *   - Each document gets a fresh opaque `documentId`, so the same file dropped twice opens twice.
+ */
+
+import { createOpaqueId } from '../utils/idUtils.js';
+
+/** `accept` value for the file picker. Drops are not filtered; the loader validates them. */
+export const LOCAL_FILE_ACCEPT = '.pdf,.tif,.tiff,.png,.jpg,.jpeg,.gif,.bmp,.webp,.zip,.eml,.svg,.txt,.csv,.log,.json,.xml,application/pdf,application/zip,message/rfc822,text/plain,text/csv,application/json,application/xml,image/*';
+
+/** Scheme of the placeholder URL of a local file entry. */
+export const LOCAL_FILE_URL_SCHEME = 'odv-local-file:';
+
+/** `integration.kind` of bundles built from local files. */
+export const LOCAL_FILE_INTEGRATION_KIND = 'local-files';
+
+/**
+ * @param {*} event Drag event.
+ * @returns {boolean} True when the drag carries files from the operating system.
+ */
+export function isFileDrag(event) {
+  const types = event?.dataTransfer?.types;
+  return !!types && Array.from(types).includes('Files');
+}
+
+/**
+ * @param {(FileList|Array<File>|null|undefined)} files
+ * @returns {Array<File>}
+ */
+export function toLocalFileList(files) {
+  return Array.from(files || []).filter((file) => file instanceof Blob);
+}
+
+/**
+ * @param {string} name
+ * @returns {(string|undefined)}
+ */
+function extensionFromName(name) {
+  const match = String(name || '').match(/\.([a-z0-9]+)$/i);
+  return match ? match[1].toLowerCase() : undefined;
+}
+
+/**
+ * Build a bundle with one document per file.
+ *
+ * @param {(FileList|Array<File>)} files
+ * @returns {(PortableDocumentBundle|null)} Null when no file was given.
+ */
+export function createLocalFileBundle(files) {
+  const list = toLocalFileList(files);
+  if (list.length === 0) return null;
+
+  const documents = list.map((file, index) => {
+    const displayName = String(file.name || '').trim() || `file-${index + 1}`;
+    return {
+      documentId: createOpaqueId('local', 8),
+      displayName,
+      metadata: { displayName },
+      files: [{
+        url: `${LOCAL_FILE_URL_SCHEME}${encodeURIComponent(displayName)}`,
+        ext: extensionFromName(displayName),
+        localFile: file,
+        displayName,
+        sourceKind: 'local-file',
+        sourceSizeBytes: Number(file.size) || undefined,
+      }],
+    };
+  });
+
+  return {
+    session: { id: createOpaqueId('local-session', 8) },
+    documents,
+    integration: { kind: LOCAL_FILE_INTEGRATION_KIND },
+  };
+}
+
+export default {
+  LOCAL_FILE_ACCEPT,
+  LOCAL_FILE_URL_SCHEME,
+  LOCAL_FILE_INTEGRATION_KIND,
+  isFileDrag,
+  toLocalFileList,
+  createLocalFileBundle,
+};
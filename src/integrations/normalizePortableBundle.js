@@ -16,6 +16,8 @@
 
 import { getRuntimeConfig } from '../utils/runtimeConfig.js';
 import { createOpaqueId } from '../utils/idUtils.js';
+import { normalizeAnnotationList } from '../utils/annotations.js';
+import { normalizeOutlineEntries } from '../utils/documentOutline.js';
 
 /**
  * Session info stored on a bundle.
@@ -80,6 +82,8 @@ import { createOpaqueId } from '../utils/idUtils.js';
  * @property {(Object.<string, string>|undefined)} [metadata]                       Simple alias -> selected text.
  * @property {(Object.<string, PortableMetadataAliasDetail>|undefined)} [metadataDetails]
  * @property {Array.<(string|PortableDocumentFile)>} files
+ * @property {Array.<import('../utils/documentOutline.js').OutlineEntry>=} outline
+ *   Host-supplied outline; `page` is the 1-based page inside the document.
  */
 
 /**
@@ -89,6 +93,8 @@ import { createOpaqueId } from '../utils/idUtils.js';
  * @property {PortableSession} session
  * @property {Array.<PortableDocumentEntry>} documents
  * @property {Object=} integration
+ * @property {Array.<import('../utils/annotations.js').ViewerAnnotation>=} annotations
+ *   Page annotations; entries that cannot be drawn are dropped.
  */
 
 /**
@@ -815,7 +821,8 @@ function sanitizeBundle(b) {
         metadata: sanitizeDocumentMetadata(d?.metadata),
         metadataDetails: sanitizeMetadataAliasDetails(d?.metadataDetails),
         files: Array.isArray(d?.files) ? d.files.map(toTicket) : [],
-        ...spreadUnknown(d || {}, ['documentId', 'meta', 'metaById', 'metadata', 'metadataDetails', 'files']),
+        ...(Array.isArray(d?.outline) ? { outline: normalizeOutlineEntries(d.outline) } : {}),
+        ...spreadUnknown(d || {}, ['documentId', 'meta', 'metaById', 'metadata', 'metadataDetails', 'files', 'outline']),
       }))
     : [];
 
@@ -823,7 +830,8 @@ function sanitizeBundle(b) {
     session,
     documents,
     ...(isObject(b?.integration) ? { integration: b.integration } : {}),
-    ...spreadUnknown(b || {}, ['session', 'documents', 'integration']),
+    ...(Array.isArray(b?.annotations) ? { annotations: normalizeAnnotationList(b.annotations) } : {}),
+    ...spreadUnknown(b || {}, ['session', 'documents', 'integration', 'annotations']),
   };
 }
 
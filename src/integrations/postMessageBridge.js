@@ -0,0 +1,442 @@
+// File: src/integrations/postMessageBridge.js
+/**
+ * File: src/integrations/postMessageBridge.js
+ *
+ * OpenDocViewer — Cross-origin postMessage bridge for embedding hosts.
+ *
+ * PURPOSE
+ *   `parentBridge.js` only works when the host page is same-origin. Hosts on another origin can
+ *   use this bridge instead: they hand over the Portable Document Bundle during a handshake,
+ *   send `window.ODV` commands and receive the `odv:*` host events, all through `postMessage`.
+ *
+ * PROTOCOL
+ *   Every message is an envelope `{ protocol: 'odv-bridge', version: 1, type, id?, replyTo?, payload? }`.
+ *   - The viewer announces itself with `hello` to each allowed origin until a host answers.
+ *   - The host answers with `hello-ack` (or sends its own `hello`, which the viewer acknowledges).
+ *     Either handshake message may carry `payload.bundle`.
+ *   - `command` → `command-result` is correlated through `id` / `replyTo`.
+ *   - `event` messages carry `{ name, detail }` for every documented host event.
+ *   - Malformed messages from an allowed origin get an `error` reply.
+ *
+ * SECURITY
+ *   - Only origins listed in `integrations.postMessage.allowedOrigins` are accepted, and only from
+ *     the parent frame or opener window. Wildcards are never used as a target origin.
+ *   - The first valid handshake binds the bridge to that origin for the rest of the session.
+ *
+ * The full message contract is documented in `docs-src/integrations.md`.
+ */
+
+import logger from '../logging/systemLogger.js';
+import { getPostMessageBridgeConfig } from '../utils/runtimeConfig.js';
+import { ODV_HOST_COMMANDS, invokeHostCommand } from './hostCommands.js';
+import { ODV_HOST_EVENTS, ODV_HOST_EVENT_SCHEMA_VERSION } from './hostEvents.js';
+import { onODVEvent } from './viewerEvents.js';
+
+/** @type {string} */
+export const ODV_BRIDGE_PROTOCOL = 'odv-bridge';
+
+/** @type {number} */
+export const ODV_BRIDGE_VERSION = 1;
+
+/**
+ * Message types understood by the bridge.
+ * @readonly
+ */
+export const ODV_BRIDGE_MESSAGE_TYPES = Object.freeze({
+  HELLO: 'hello',
+  HELLO_ACK: 'hello-ack',
+  COMMAND: 'command',
+  COMMAND_RESULT: 'command-result',
+  EVENT: 'event',
+  ERROR: 'error',
+});
+
+const HELLO_RETRY_MS = 250;
+const MAX_ID_LENGTH = 128;
+
+/** Types a host may send to the viewer. */
+const INBOUND_TYPES = [
+  ODV_BRIDGE_MESSAGE_TYPES.HELLO,
+  ODV_BRIDGE_MESSAGE_TYPES.HELLO_ACK,
+  ODV_BRIDGE_MESSAGE_TYPES.COMMAND,
+];
+
+/**
+ * @typedef {Object} BridgeMessage
+ * @property {string} protocol
+ * @property {number} version
+ * @property {string} type
+ * @property {(string|undefined)} id
+ * @property {(string|undefined)} replyTo
+ * @property {(Object|undefined)} payload
+ */
+
+/**
+ * @typedef {Object} BridgeValidationResult
+ * @property {boolean} ok
+ * @property {(BridgeMessage|undefined)} message
+ * @property {(string|undefined)} error
+ */
+
+/**
+ * @typedef {Object} BridgeBootstrapCandidate
+ * @property {*} data
+ * @property {string} source
+ * @property {string} origin
+ */
+
+/**
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isValidId(value) {
+  return typeof value === 'string' && value.length > 0 && value.length <= MAX_ID_LENGTH;
+}
+
+/**
+ * Check an inbound message against the bridge schema.
+ * Messages for other protocols return `{ ok: false }` without an error so they can be ignored.
+ *
+ * @param {*} data
+ * @returns {BridgeValidationResult}
+ */
+export function validateBridgeMessage(data) {
+  if (!isPlainObject(data) || data.protocol !== ODV_BRIDGE_PROTOCOL) {
+    return { ok: false, message: undefined, error: undefined };
+  }
+  const fail = (error) => ({ ok: false, message: undefined, error });
+
+  if (data.version !== ODV_BRIDGE_VERSION) return fail(`Unsupported bridge version "${String(data.version)}"`);
+  if (!INBOUND_TYPES.includes(data.type)) return fail(`Unsupported message type "${String(data.type)}"`);
+  if (data.id !== undefined && !isValidId(data.id)) return fail('Message id must be a non-empty string');
+  if (data.replyTo !== undefined && !isValidId(data.replyTo)) return fail('Message replyTo must be a non-empty string');
+  if (data.payload !== undefined && !isPlainObject(data.payload)) return fail('Message payload must be an object');
+
+  if (data.type === ODV_BRIDGE_MESSAGE_TYPES.COMMAND) {
+    if (data.id === undefined) return fail('Command messages require an id');
+    const name = data.payload?.name;
+    if (typeof name !== 'string' || !ODV_HOST_COMMANDS.includes(name)) {
+      return fail(`Unknown OpenDocViewer command "${String(name)}"`);
+    }
+    if (data.payload.args !== undefined && !Array.isArray(data.payload.args)) {
+      return fail('Command args must be an array');
+    }
+  }
+
+  return {
+    ok: true,
+    message: {
+      protocol: data.protocol,
+      version: data.version,
+      type: data.type,
+      id: data.id,
+      replyTo: data.replyTo,
+      payload: data.payload,
+    },
+    error: undefined,
+  };
+}
+
+/**
+ * Mutable singleton state. The bridge lives for the whole page session.
+ */
+const state = {
+  started: false,
+  config: null,
+  hostWindow: null,
+  boundOrigin: '',
+  helloId: '',
+  helloTimer: null,
+  handshakeDeadline: 0,
+  idSeq: 0,
+  /** @type {(BridgeBootstrapCandidate|null|undefined)} */
+  handshake: undefined,
+  /** @type {Array<function((BridgeBootstrapCandidate|null)): void>} */
+  handshakeWaiters: [],
+  eventUnsubscribers: [],
+};
+
+/**
+ * @returns {string}
+ */
+function nextMessageId() {
+  state.idSeq += 1;
+  return `odv-${Date.now().toString(36)}-${state.idSeq}`;
+}
+
+/**
+ * @param {string} type
+ * @param {Object=} fields
+ * @returns {BridgeMessage}
+ */
+function createMessage(type, fields = {}) {
+  return { protocol: ODV_BRIDGE_PROTOCOL, version: ODV_BRIDGE_VERSION, type, ...fields };
+}
+
+/**
+ * Post a message to the host. Never uses a wildcard target origin.
+ *
+ * @param {BridgeMessage} message
+ * @param {string} targetOrigin
+ * @returns {boolean}
+ */
+function postToHost(message, targetOrigin) {
+  if (!state.hostWindow || !targetOrigin) return false;
+  try {
+    state.hostWindow.postMessage(message, targetOrigin);
+    return true;
+  } catch (e) {
+    logger.warn('postMessage bridge could not post message', { type: message.type, error: String(e?.message || e) });
+    return false;
+  }
+}
+
+/**
+ * @param {string} message
+ * @param {(string|undefined)} replyTo
+ * @param {string} origin
+ * @returns {void}
+ */
+function postError(message, replyTo, origin) {
+  postToHost(createMessage(ODV_BRIDGE_MESSAGE_TYPES.ERROR, {
+    replyTo,
+    payload: { message },
+  }), origin);
+}
+
+/**
+ * @param {*} error
+ * @returns {{ name:string, message:string }}
+ */
+function serializeError(error) {
+  return {
+    name: String(error?.name || 'Error'),
+    message: String(error?.message || error),
+  };
+}
+
+/**
+ * @returns {void}
+ */
+function stopHelloLoop() {
+  if (state.helloTimer) clearInterval(state.helloTimer);
+  state.helloTimer = null;
+}
+
+/**
+ * @param {(BridgeBootstrapCandidate|null)} candidate
+ * @returns {void}
+ */
+function settleHandshake(candidate) {
+  if (state.handshake !== undefined) return;
+  state.handshake = candidate;
+  const waiters = state.handshakeWaiters.splice(0);
+  for (const resolve of waiters) resolve(candidate);
+}
+
+/**
+ * @returns {void}
+ */
+function sendHello() {
+  if (state.boundOrigin || Date.now() > state.handshakeDeadline) {
+    stopHelloLoop();
+    if (!state.boundOrigin) settleHandshake(null);
+    return;
+  }
+  const message = createMessage(ODV_BRIDGE_MESSAGE_TYPES.HELLO, {
+    id: state.helloId,
+    payload: {
+      schemaVersion: ODV_HOST_EVENT_SCHEMA_VERSION,
+      commands: state.config.acceptCommands ? ODV_HOST_COMMANDS.slice() : [],
+      events: state.config.forwardEvents ? Object.values(ODV_HOST_EVENTS) : [],
+    },
+  });
+  // Posting to an origin the host window does not have is silently dropped by the browser.
+  for (const origin of state.config.allowedOrigins) postToHost(message, origin);
+}
+
+/**
+ * Bind the bridge to a host origin and resolve the bootstrap wait.
+ *
+ * @param {string} origin
+ * @param {BridgeMessage} message
+ * @returns {void}
+ */
+function bindHost(origin, message) {
+  if (!state.boundOrigin) {
+    state.boundOrigin = origin;
+    stopHelloLoop();
+    logger.info('postMessage bridge connected', { origin });
+  }
+  const bundle = message.payload?.bundle;
+  if (bundle !== undefined && state.handshake !== undefined) {
+    logger.warn('postMessage bridge ignored a bundle sent after startup', { origin });
+    return;
+  }
+  settleHandshake(bundle !== undefined ? { data: bundle, source: 'postmessage', origin } : null);
+}
+
+/**
+ * @param {BridgeMessage} message
+ * @param {string} origin
+ * @returns {Promise<void>}
+ */
+async function handleCommand(message, origin) {
+  if (!state.config.acceptCommands) {
+    postError('Commands are disabled for this viewer', message.id, origin);
+    return;
+  }
+  const { name, args = [] } = message.payload;
+  let payload;
+  try {
+    const result = await invokeHostCommand(name, args);
+    payload = { ok: true, result: result === undefined ? null : result };
+  } catch (e) {
+    payload = { ok: false, error: serializeError(e) };
+  }
+  const posted = postToHost(createMessage(ODV_BRIDGE_MESSAGE_TYPES.COMMAND_RESULT, {
+    replyTo: message.id,
+    payload: { name, ...payload },
+  }), origin);
+  if (!posted) {
+    postToHost(createMessage(ODV_BRIDGE_MESSAGE_TYPES.COMMAND_RESULT, {
+      replyTo: message.id,
+      payload: { name, ok: false, error: { name: 'DataCloneError', message: 'Command result could not be sent' } },
+    }), origin);
+  }
+}
+
+/**
+ * @param {MessageEvent} event
+ * @returns {void}
+ */
+function handleMessage(event) {
+  const origin = String(event?.origin || '');
+  if (!state.hostWindow || event?.source !== state.hostWindow) return;
+  if (!state.config.allowedOrigins.includes(origin)) return;
+  if (state.boundOrigin && origin !== state.boundOrigin) return;
+
+  const validation = validateBridgeMessage(event.data);
+  if (!validation.ok) {
+    if (validation.error) {
+      const replyTo = isValidId(event.data?.id) ? event.data.id : undefined;
+      logger.warn('postMessage bridge rejected a message', { origin, error: validation.error });
+      postError(validation.error, replyTo, origin);
+    }
+    return;
+  }
+
+  const message = validation.message;
+  switch (message.type) {
+    case ODV_BRIDGE_MESSAGE_TYPES.HELLO:
+      bindHost(origin, message);
+      postToHost(createMessage(ODV_BRIDGE_MESSAGE_TYPES.HELLO_ACK, {
+        id: nextMessageId(),
+        replyTo: message.id,
+        payload: { schemaVersion: ODV_HOST_EVENT_SCHEMA_VERSION },
+      }), origin);
+      return;
+    case ODV_BRIDGE_MESSAGE_TYPES.HELLO_ACK:
+      if (message.replyTo !== state.helloId) {
+        postError('hello-ack does not answer the current hello', message.id, origin);
+        return;
+      }
+      bindHost(origin, message);
+      return;
+    case ODV_BRIDGE_MESSAGE_TYPES.COMMAND:
+      if (!state.boundOrigin) {
+        postError('Handshake required before commands', message.id, origin);
+        return;
+      }
+      void handleCommand(message, origin);
+      return;
+    default:
+      return;
+  }
+}
+
+/**
+ * Forward documented host events to the bound host origin.
+ * @returns {void}
+ */
+function subscribeHostEvents() {
+  for (const name of Object.values(ODV_HOST_EVENTS)) {
+    state.eventUnsubscribers.push(onODVEvent(name, (_event, detail) => {
+      if (!state.boundOrigin) return;
+      postToHost(createMessage(ODV_BRIDGE_MESSAGE_TYPES.EVENT, {
+        payload: { name, detail },
+      }), state.boundOrigin);
+    }));
+  }
+}
+
+/**
+ * Resolve the window that may talk to the viewer: the embedding frame, or the opener tab.
+ * @returns {(Window|null)}
+ */
+function resolveHostWindow() {
+  try {
+    if (window.parent && window.parent !== window) return window.parent;
+  } catch {}
+  try {
+    if (window.opener) return window.opener;
+  } catch {}
+  return null;
+}
+
+/**
+ * Start the bridge once per page. Returns false when it is disabled or has no host window.
+ *
+ * @param {import('../utils/runtimeConfig.js').PostMessageBridgeConfig=} config
+ * @returns {boolean}
+ */
+export function startPostMessageBridge(config = getPostMessageBridgeConfig()) {
+  if (state.started) return true;
+  if (typeof window === 'undefined' || !config?.enabled) return false;
+  const hostWindow = resolveHostWindow();
+  if (!hostWindow) return false;
+
+  state.started = true;
+  state.config = config;
+  state.hostWindow = hostWindow;
+  state.helloId = nextMessageId();
+  state.handshakeDeadline = Date.now() + config.handshakeTimeoutMs;
+
+  window.addEventListener('message', handleMessage);
+  if (config.forwardEvents) subscribeHostEvents();
+
+  sendHello();
+  state.helloTimer = setInterval(sendHello, HELLO_RETRY_MS);
+  return true;
+}
+
+/**
+ * Wait for the handshake. Resolves with the bundle candidate the host sent, or null when the
+ * bridge is not running, the host sent no bundle, or the handshake timed out.
+ *
+ * @returns {Promise<(BridgeBootstrapCandidate|null)>}
+ */
+export function readFromPostMessageBridge() {
+  if (!state.started) return Promise.resolve(null);
+  if (state.handshake !== undefined) return Promise.resolve(state.handshake);
+  return new Promise((resolve) => {
+    state.handshakeWaiters.push(resolve);
+  });
+}
+
+export default {
+  ODV_BRIDGE_PROTOCOL,
+  ODV_BRIDGE_VERSION,
+  ODV_BRIDGE_MESSAGE_TYPES,
+  validateBridgeMessage,
+  startPostMessageBridge,
+  readFromPostMessageBridge,
+};
@@ -1,6 +1,6 @@
 // File: src/logging/userLogger.js
 /**
- * UserLogController — client-side controller for **user** print logs (backend-agnostic).
+ * UserLogController — client-side controller for **user** print, export and download logs (backend-agnostic).
  *
  * RUNTIME CONFIG (public/odv.config.js)
  *   window.__ODV_GET_CONFIG__?.() or window.__ODV_CONFIG__ exposes:
@@ -26,6 +26,8 @@
  *     docId, fileName, pageCount, pages, copies,
  *     reason, forWhom
  *   }); // fire-and-forget
+ *   userLog.submitExport({ pageCount, pages, exportFormat: 'tiff' }); // event name "export"
+ *   userLog.submitOriginalDownload({ docId, fileName, fileCount }); // event name "download-original"
  */
 
 /**
@@ -52,6 +54,15 @@
  * @property {?number} [pageCount]
  * @property {?string} [pages]
  * @property {?number} [copies]
+ * @property {?number} [redactedRegions] Redaction regions burned into the output.
+ * @property {?number} [redactedPages]   Printed pages with at least one redaction.
+ * @property {?string} [batesFirst]      Bates number of the first printed or exported page.
+ * @property {?string} [batesLast]       Bates number of the last printed or exported page.
+ * @property {?string} [exportFormat]     Export only: `pdf`, `tiff`, `png` or `jpeg`.
+ * @property {?number} [exportDpi]        Export only: DPI for an A4 page; 0 keeps the rendered size.
+ * @property {?boolean} [exportAdjusted]  Export only: rotation/brightness/contrast applied.
+ * @property {?boolean} [exportAnnotations] Export only: annotations included.
+ * @property {?number} [fileCount]        Original download only: source files in the download.
  * @property {?string} [ts]         ISO timestamp
  */
 
@@ -177,6 +188,32 @@ class UserLogController {
 
   /**
    * Submit a "print" user-log event. **Fire-and-forget**; never block UI.
+   * @param {PrintLogPayload} payload
+   */
+  submitPrint(payload = {}) {
+    this._submit('print', payload);
+  }
+
+  /**
+   * Submit an "export" user-log event for a page export download. Same transport and guarantees
+   * as `submitPrint()`; the form transport adds `action=export` and `exportFormat`.
+   * @param {PrintLogPayload} payload
+   */
+  submitExport(payload = {}) {
+    this._submit('export', payload);
+  }
+
+  /**
+   * Submit a "download-original" user-log event for a download of stored source files. The form
+   * transport adds `action=download-original`, `docId`, `fileName` and `fileCount`.
+   * @param {PrintLogPayload} payload
+   */
+  submitOriginalDownload(payload = {}) {
+    this._submit('download-original', payload);
+  }
+
+  /**
+   * Internal: send one user-log event.
    * Transport:
    *   - when cfg.userLog.transport === 'form':
    *       → x-www-form-urlencoded with only reason & forWhom (compat mode)
@@ -184,9 +221,10 @@ class UserLogController {
    * Credentials:
    *   - fetch fallback always uses { credentials:'include' } to reuse site session/cookies.
    *   - sendBeacon is only used for same-origin URLs (browsers attach cookies automatically).
+   * @param {'print'|'export'|'download-original'} eventName
    * @param {PrintLogPayload} payload
    */
-  submitPrint(payload = {}) {
+  _submit(eventName, payload) {
     try {
       const cfg = getRuntimeConfig();
       const ul = (cfg && cfg.userLog) ? cfg.userLog : null;
@@ -198,10 +236,22 @@ class UserLogController {
       const useForm = (ul.transport === 'form');
 
       if (useForm) {
-        // Compatibility path: only send reason & forWhom
+        // Compatibility path: only send reason & forWhom, plus redaction counts of redacted prints
+        // and the Bates range of stamped prints
         const params = new URLSearchParams();
         if (payload.reason != null)  params.set('reason',  String(payload.reason));
         if (payload.forWhom != null) params.set('forWhom', String(payload.forWhom));
+        if (payload.redactedRegions != null) params.set('redactedRegions', String(payload.redactedRegions));
+        if (payload.redactedPages != null) params.set('redactedPages', String(payload.redactedPages));
+        if (payload.batesFirst != null) params.set('batesFirst', String(payload.batesFirst));
+        if (payload.batesLast != null) params.set('batesLast', String(payload.batesLast));
+        if (eventName !== 'print') params.set('action', eventName);
+        if (payload.exportFormat != null) params.set('exportFormat', String(payload.exportFormat));
+        if (eventName === 'download-original') {
+          if (payload.docId != null) params.set('docId', String(payload.docId));
+          if (payload.fileName != null) params.set('fileName', String(payload.fileName));
+          if (payload.fileCount != null) params.set('fileCount', String(payload.fileCount));
+        }
 
         // Prefer beacon if same-origin; else fetch with credentials
         if (isSameOrigin(absUrl) && typeof navigator !== 'undefined' && typeof navigator.sendBeacon === 'function') {
@@ -238,7 +288,7 @@ class UserLogController {
       const identity = (typeof this.identityResolver === 'function') ? (this.identityResolver() || null) : null;
 
       const bodyObj = {
-        event:  { name: 'print', ts: nowIso },
+        event:  { name: eventName, ts: nowIso },
         doc:    {
           id: payload.docId ?? null,
           title: payload.fileName ?? null,
@@ -257,7 +307,16 @@ class UserLogController {
           printFormatValue: payload.printFormatValue ?? null,
           viewerVersion: this.viewerVersion ?? null,
           pages: payload.pages ?? null,
-          copies: (typeof payload.copies === 'number') ? payload.copies : (payload.copies ?? null)
+          copies: (typeof payload.copies === 'number') ? payload.copies : (payload.copies ?? null),
+          redactedRegions: payload.redactedRegions ?? null,
+          redactedPages: payload.redactedPages ?? null,
+          batesFirst: payload.batesFirst ?? null,
+          batesLast: payload.batesLast ?? null,
+          exportFormat: payload.exportFormat ?? null,
+          exportDpi: payload.exportDpi ?? null,
+          exportAdjusted: payload.exportAdjusted ?? null,
+          exportAnnotations: payload.exportAnnotations ?? null,
+          fileCount: payload.fileCount ?? null
         },
         session: {
           id: this.context.sessionId ?? null,
@@ -60,6 +60,7 @@ export const PORTABLE_BUNDLE_SCHEMA_VERSION = 1;
  * @property {(Object.<string, string>|undefined)} [metadata]      - Optional semantic metadata alias -> text map.
  * @property {*} [metadataDetails]                                 - Optional rich semantic metadata alias map.
  * @property {Array.<(string|PortableDocumentFile)>} files         - Required list of file refs.
+ * @property {Array.<Object>} [outline]                            - Optional outline, see `src/utils/documentOutline.js`.
  */
 
 /**
@@ -69,6 +70,7 @@ export const PORTABLE_BUNDLE_SCHEMA_VERSION = 1;
  * @property {PortableSession} session
  * @property {Array.<PortableDocumentEntry>} documents
  * @property {Object=} integration
+ * @property {Array.<Object>=} annotations  - Optional page annotations, see `src/utils/annotations.js`.
  */
 
 /**
@@ -0,0 +1,132 @@
+// File: src/utils/__tests__/animatedImage.test.js
+/**
+ * Focused unit tests for counting and decoding the frames of GIF and WebP sources.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  countAnimationFrames,
+  decodeGifFrame,
+  isPlayableAnimation,
+  readGifInfo,
+  readWebpInfo,
+} from '../animatedImage.js';
+
+const PALETTE = [[0, 0, 0], [255, 255, 255], [255, 0, 0], [0, 128, 0]];
+
+/**
+ * Pack LZW codes LSB-first into one data sub-block.
+ *
+ * @param {Array<[number, number]>} codes Pairs of code and code size in bits.
+ * @returns {Array<number>}
+ */
+function packCodes(codes) {
+  const out = [];
+  let datum = 0;
+  let bits = 0;
+  for (const [code, size] of codes) {
+    datum |= code << bits;
+    bits += size;
+    while (bits >= 8) {
+      out.push(datum & 0xff);
+      datum >>>= 8;
+      bits -= 8;
+    }
+  }
+  if (bits > 0) out.push(datum & 0xff);
+  return [2, out.length, ...out, 0];
+}
+
+/**
+ * @param {{ left:number, top:number, width:number, height:number, pixels:Array<number>, delay?:number, disposal?:number, transparent?:number }} frame
+ * @returns {Array<number>}
+ */
+function frameBlocks({ left, top, width, height, pixels, delay = 0, disposal = 0, transparent = -1 }) {
+  // Minimum code size 2: clear = 4, end = 5; the code size grows to 4 bits once code 8 is next.
+  const codes = [[4, 3]];
+  pixels.forEach((pixel, index) => codes.push([pixel, index < 3 ? 3 : 4]));
+  codes.push([5, pixels.length >= 3 ? 4 : 3]);
+  return [
+    0x21, 0xf9, 4, (disposal << 2) | (transparent >= 0 ? 1 : 0), delay & 0xff, delay >> 8, Math.max(0, transparent), 0,
+    0x2c, left, 0, top, 0, width, 0, height, 0, 0,
+    ...packCodes(codes),
+  ];
+}
+
+/**
+ * @param {Array<Array<number>>} frames
+ * @param {boolean=} loops
+ * @returns {Uint8Array}
+ */
+function gif(frames, loops = false) {
+  const netscape = loops ? [0x21, 0xff, 11, ...new TextEncoder().encode('NETSCAPE2.0'), 3, 1, 0, 0, 0] : [];
+  return new Uint8Array([
+    ...new TextEncoder().encode('GIF89a'), 2, 0, 2, 0, 0x81, 0, 0,
+    ...PALETTE.flat(),
+    ...netscape,
+    ...frames.flat(),
+    0x3b,
+  ]);
+}
+
+/**
+ * @param {{ rgba:Uint8ClampedArray }} frame
+ * @returns {Array<Array<number>>}
+ */
+function pixelsOf(frame) {
+  return Array.from({ length: frame.rgba.length / 4 }, (_, index) => Array.from(frame.rgba.slice(index * 4, index * 4 + 4)));
+}
+
+/**
+ * @param {string} type
+ * @param {Array<number>} data
+ * @returns {Array<number>}
+ */
+function chunk(type, data) {
+  const size = data.length;
+  return [...new TextEncoder().encode(type), size & 0xff, (size >> 8) & 0xff, 0, 0, ...data, ...(size & 1 ? [0] : [])];
+}
+
+describe('animatedImage', () => {
+  it('reads and composites GIF frames', () => {
+    const bytes = gif([
+      frameBlocks({ left: 0, top: 0, width: 2, height: 2, pixels: [2, 2, 2, 2], disposal: 1 }),
+      frameBlocks({ left: 1, top: 1, width: 1, height: 1, pixels: [3], disposal: 2 }),
+      frameBlocks({ left: 0, top: 0, width: 2, height: 2, pixels: [0, 1, 0, 1], transparent: 0 }),
+    ]);
+
+    const info = readGifInfo(bytes);
+    expect(info).toMatchObject({ width: 2, height: 2, loops: false });
+    expect(info.frames.map((frame) => [frame.width, frame.disposal, frame.transparentIndex])).toEqual([[2, 1, -1], [1, 2, -1], [2, 0, 0]]);
+    expect(countAnimationFrames(bytes, 'gif')).toBe(3);
+    expect(isPlayableAnimation(bytes, 'gif')).toBe(false);
+    expect(readGifInfo(new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0, 0, 0, 0, 0, 0, 0, 0, 0]))).toBe(null);
+
+    const red = [255, 0, 0, 255];
+    const white = [255, 255, 255, 255];
+    expect(pixelsOf(decodeGifFrame(bytes, 0))).toEqual([red, red, red, red]);
+    expect(pixelsOf(decodeGifFrame(bytes, 1))).toEqual([red, red, red, [0, 128, 0, 255]]);
+    expect(pixelsOf(decodeGifFrame(bytes, 2, info))).toEqual([red, white, red, white]);
+
+    const animation = gif([
+      frameBlocks({ left: 0, top: 0, width: 2, height: 2, pixels: [1, 1, 1, 1] }),
+      frameBlocks({ left: 0, top: 0, width: 2, height: 2, pixels: [0, 0, 0, 0] }),
+    ], true);
+    expect(readGifInfo(animation).loops).toBe(true);
+    expect(isPlayableAnimation(animation, 'gif')).toBe(true);
+  });
+
+  it('counts the frames of an animated WebP', () => {
+    const frame = (duration) => chunk('ANMF', [0, 0, 0, 0, 0, 0, 1, 0, 0, 1, 0, 0, duration, 0, 0, 0]);
+    const webp = (chunks) => {
+      const body = [...new TextEncoder().encode('WEBP'), ...chunks.flat()];
+      return new Uint8Array([...new TextEncoder().encode('RIFF'), body.length & 0xff, body.length >> 8, 0, 0, ...body]);
+    };
+
+    const animated = webp([chunk('VP8X', [0x02, 0, 0, 0, 1, 0, 0, 1, 0, 0]), chunk('ANIM', [0, 0, 0, 0, 0, 0]), frame(100), frame(0)]);
+    expect(readWebpInfo(animated)).toEqual({ animated: true, frameCount: 2, delaysMs: [100, 0] });
+    expect(isPlayableAnimation(animated, 'webp')).toBe(true);
+    expect(readWebpInfo(webp([chunk('VP8 ', [1, 2, 3])]))).toEqual({ animated: false, frameCount: 1, delaysMs: [] });
+    expect(readWebpInfo(new TextEncoder().encode('RIFF0000WAVEfmt '))).toBe(null);
+  });
+});
@@ -0,0 +1,69 @@
+// File: src/utils/__tests__/annotations.test.js
+/**
+ * Focused unit tests for annotation validation, page keys and rotation mapping.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  getPageAnnotationKey,
+  groupAnnotationsByPage,
+  normalizeAnnotation,
+  normalizeAnnotationList,
+  rotateAnnotation,
+  wrapAnnotationText,
+} from '../annotations.js';
+
+describe('annotations', () => {
+  it('validates entries, clamps coordinates and fills defaults', () => {
+    expect(normalizeAnnotation({ type: 'circle', page: 1 })).toBeNull();
+    expect(normalizeAnnotation({ type: 'rect', page: 0, x: 0, y: 0, width: 1, height: 1 })).toBeNull();
+    expect(normalizeAnnotation({ type: 'ink', page: 1, points: [[0.1, 0.1]] })).toBeNull();
+
+    const rect = normalizeAnnotation({ id: 'r', type: 'rect', documentId: 'doc', page: 2, x: 0.8, y: -1, width: 0.5, height: 0.2, extra: 1 });
+    expect(rect).toEqual({ id: 'r', type: 'rect', documentId: 'doc', page: 2, color: '#d32f2f', x: 0.8, y: 0, width: expect.closeTo(0.2), height: 0.2 });
+
+    const stamp = normalizeAnnotation({ type: 'stamp', stamp: 'nope', page: 1, x: 0.1, y: 0.1, width: 0.3, height: 0.07 });
+    expect(stamp).toMatchObject({ stamp: 'approved', label: 'APPROVED', color: '#2e7d32', documentId: null });
+    expect(typeof stamp.id).toBe('string');
+
+    const redaction = normalizeAnnotation({ type: 'redact', page: 1, x: 0.1, y: 0.1, width: 0.2, height: 0.05, color: '#ffffff' });
+    expect(redaction).toMatchObject({ type: 'redact', color: '#000000' });
+  });
+
+  it('drops duplicate ids and groups by document page', () => {
+    const list = normalizeAnnotationList([
+      { id: 'a', type: 'note', documentId: 'doc', page: 1, x: 0.5, y: 0.5, text: 'Check' },
+      { id: 'a', type: 'note', documentId: 'doc', page: 1, x: 0.1, y: 0.1 },
+      { id: 'b', type: 'highlight', page: 3, x: 0, y: 0, width: 0.5, height: 0.1 },
+      null,
+    ]);
+    expect(list.map((entry) => entry.id)).toEqual(['a', 'b']);
+
+    const byPage = groupAnnotationsByPage(list);
+    expect(byPage.get(getPageAnnotationKey({ documentId: 'doc', documentPageNumber: 1 }, 4))).toHaveLength(1);
+    expect(byPage.get(getPageAnnotationKey({}, 2))).toHaveLength(1);
+  });
+
+  it('maps shapes to a rotated page and back', () => {
+    const rect = normalizeAnnotation({ id: 'r', type: 'rect', page: 1, x: 0.1, y: 0.2, width: 0.3, height: 0.1 });
+    const turned = rotateAnnotation(rect, 90);
+    expect(turned.x).toBeCloseTo(0.7);
+    expect(turned.y).toBeCloseTo(0.1);
+    expect(turned.width).toBeCloseTo(0.1);
+    expect(turned.height).toBeCloseTo(0.3);
+    const back = rotateAnnotation(turned, 270);
+    expect(back.x).toBeCloseTo(rect.x);
+    expect(back.y).toBeCloseTo(rect.y);
+    expect(back.width).toBeCloseTo(rect.width);
+    expect(back.height).toBeCloseTo(rect.height);
+
+    const ink = normalizeAnnotation({ id: 'i', type: 'ink', page: 1, points: [[0.1, 0.2], [0.3, 0.4]] });
+    expect(rotateAnnotation(ink, 180).points).toEqual([[0.9, 0.8], [0.7, expect.closeTo(0.6)]]);
+    expect(rotateAnnotation(ink, 0)).toBe(ink);
+  });
+
+  it('wraps note text for print output', () => {
+    expect(wrapAnnotationText('one two three four', 8, 5)).toEqual(['one two', 'three', 'four']);
+    expect(wrapAnnotationText('a b c d e f', 1, 2)).toHaveLength(2);
+  });
+});
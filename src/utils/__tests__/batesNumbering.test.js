@@ -0,0 +1,44 @@
+// File: src/utils/__tests__/batesNumbering.test.js
+/**
+ * Focused unit tests for Bates number formatting and the Bates print tokens.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { describeBatesRange, makeBatesTokens, normalizeBatesSettings } from '../batesNumbering.js';
+import { makeBaseTokenContext, makePageTokenContext } from '../printTemplate.js';
+
+describe('batesNumbering', () => {
+  it('normalizes settings and describes the range of a job', () => {
+    expect(normalizeBatesSettings({ prefix: ' ACME\u0007 ', startNumber: '41', digits: 20, position: 'Top-Left' })).toEqual({
+      prefix: 'ACME',
+      startNumber: 41,
+      digits: 12,
+      position: 'top-left',
+    });
+    expect(normalizeBatesSettings({ startNumber: -3, digits: 'x', position: 'middle' })).toEqual({
+      prefix: '',
+      startNumber: 1,
+      digits: 6,
+      position: 'bottom-right',
+    });
+    expect(normalizeBatesSettings({ enabled: false })).toBeNull();
+    expect(normalizeBatesSettings(null)).toBeNull();
+
+    const settings = normalizeBatesSettings({ prefix: 'ACME', startNumber: 998, digits: 3 });
+    expect(describeBatesRange(settings, 4)).toEqual({ first: 'ACME998', last: 'ACME1001', nextNumber: 1002 });
+    expect(describeBatesRange(settings, 0)).toBeNull();
+    expect(describeBatesRange(null, 4)).toBeNull();
+  });
+
+  it('fills the page tokens from the position of the page in the job', () => {
+    const settings = normalizeBatesSettings({ prefix: 'P-', startNumber: 7, digits: 4 });
+    expect(makeBatesTokens(settings, 1, 3)).toEqual({ bates: 'P-0008', batesNumber: '8', batesFirst: 'P-0007', batesLast: 'P-0009' });
+    expect(makeBatesTokens(settings, 3, 3).bates).toBe('');
+
+    const base = makeBaseTokenContext(null, '', '', '', { bates: { prefix: 'P-', startNumber: 7, digits: 4 } });
+    expect(base.bates).toBe('');
+    expect(makePageTokenContext(base, {}, null, { index: 2, total: 3 })).toMatchObject({ bates: 'P-0009', batesLast: 'P-0009' });
+    expect(makePageTokenContext(base, {}, null).bates).toBe('');
+    expect(makePageTokenContext(makeBaseTokenContext(null, '', ''), {}, null, { index: 0, total: 3 }).bates).toBe('');
+  });
+});
@@ -0,0 +1,73 @@
+// File: src/utils/__tests__/continuousLayout.test.js
+/**
+ * Focused unit tests for the continuous page layout geometry.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  CONTINUOUS_PAGE_GAP_PX,
+  DEFAULT_ESTIMATED_PAGE_SIZE,
+  resolveContinuousPageSize,
+  resolveContinuousPageScale,
+  buildContinuousLayout,
+  findContinuousPageAt,
+  getContinuousRenderRange,
+  findMostVisibleContinuousPage,
+} from '../continuousLayout.js';
+
+const VIEWPORT = { width: 800, height: 600 };
+
+describe('continuousLayout', () => {
+  it('prefers the loaded raster size and otherwise estimates from the page aspect ratio', () => {
+    expect(resolveContinuousPageSize({ realWidth: 10, realHeight: 20 }, { width: 1000, height: 500 }, null))
+      .toEqual({ width: 1000, height: 500 });
+    expect(resolveContinuousPageSize({ realWidth: 200, realHeight: 100 }, null, { width: 1200, height: 1700 }))
+      .toEqual({ width: 1200, height: 600 });
+    expect(resolveContinuousPageSize({}, null, null)).toEqual({ ...DEFAULT_ESTIMATED_PAGE_SIZE });
+  });
+
+  it('applies fit modes per page and the shared zoom otherwise', () => {
+    const portrait = { width: 1000, height: 1500 };
+    expect(resolveContinuousPageScale({ zoomMode: 'FIT_WIDTH', zoom: 3, size: portrait, viewportSize: VIEWPORT })).toBeCloseTo(0.8);
+    expect(resolveContinuousPageScale({ zoomMode: 'FIT_PAGE', zoom: 3, size: portrait, viewportSize: VIEWPORT })).toBeCloseTo(0.4);
+    expect(resolveContinuousPageScale({
+      zoomMode: 'FIT_CUSTOM',
+      zoom: 3,
+      size: portrait,
+      viewportSize: VIEWPORT,
+      fitOptions: { widthFactor: 0.5 },
+    })).toBeCloseTo(0.4);
+    expect(resolveContinuousPageScale({ zoomMode: 'CUSTOM', zoom: 1.5, size: portrait, viewportSize: VIEWPORT })).toBe(1.5);
+  });
+
+  it('stacks pages with gaps and centers narrower pages', () => {
+    const layout = buildContinuousLayout(
+      [{ width: 100, height: 200 }, { width: 300, height: 100 }],
+      [1, 1],
+      200
+    );
+    expect(layout.entries).toEqual([
+      { top: 0, left: 100, width: 100, height: 200, scale: 1 },
+      { top: 200 + CONTINUOUS_PAGE_GAP_PX, left: 0, width: 300, height: 100, scale: 1 },
+    ]);
+    expect(layout.totalHeight).toBe(300 + CONTINUOUS_PAGE_GAP_PX);
+    expect(layout.contentWidth).toBe(300);
+  });
+
+  it('maps scroll offsets to pages and mount ranges', () => {
+    const layout = buildContinuousLayout(
+      Array.from({ length: 5 }, () => ({ width: 100, height: 100 })),
+      [1, 1, 1, 1, 1],
+      100,
+      10
+    );
+    expect(findContinuousPageAt(layout, 0)).toBe(0);
+    expect(findContinuousPageAt(layout, 105)).toBe(1);
+    expect(findContinuousPageAt(layout, 10000)).toBe(4);
+    expect(findContinuousPageAt({ entries: [] }, 0)).toBe(-1);
+    expect(getContinuousRenderRange(layout, 220, 100, 0)).toEqual({ start: 2, end: 3 });
+    expect(getContinuousRenderRange(layout, 220, 100, 100)).toEqual({ start: 1, end: 3 });
+    expect(findMostVisibleContinuousPage(layout, 220, 100)).toBe(2);
+    expect(findMostVisibleContinuousPage(layout, 280, 100)).toBe(3);
+  });
+});
@@ -0,0 +1,85 @@
+// File: src/utils/__tests__/documentOutline.test.js
+/**
+ * Focused unit tests for reading outlines and mapping them to session pages.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  buildOutlineDocuments,
+  normalizeOutlineEntries,
+  readPdfOutline,
+  resolveOutlineTree,
+} from '../documentOutline.js';
+
+describe('documentOutline', () => {
+  it('reads a pdf.js outline and resolves named and explicit destinations', async () => {
+    const pageRefs = [{ num: 10, gen: 0 }, { num: 20, gen: 0 }, { num: 30, gen: 0 }];
+    const pdf = {
+      numPages: 3,
+      getOutline: async () => [
+        { title: 'Summary', dest: [pageRefs[0], { name: 'XYZ' }], items: [] },
+        {
+          title: 'Results\u0000',
+          dest: 'results',
+          items: [
+            { title: 'Table', dest: [2, { name: 'Fit' }], items: [] },
+            { title: 'Web link', dest: null, items: [] },
+          ],
+        },
+        { title: 'Missing', dest: 'nowhere', items: [] },
+        { title: '  ', dest: [pageRefs[0]], items: [] },
+      ],
+      getDestination: async (name) => (name === 'results' ? [pageRefs[1], { name: 'Fit' }] : null),
+      getPageIndex: async (ref) => pageRefs.indexOf(ref),
+    };
+
+    expect(await readPdfOutline(pdf)).toEqual([
+      { title: 'Summary', page: 1, children: [] },
+      {
+        title: 'Results',
+        page: 2,
+        children: [
+          { title: 'Table', page: 3, children: [] },
+          { title: 'Web link', page: null, children: [] },
+        ],
+      },
+      { title: 'Missing', page: null, children: [] },
+    ]);
+    expect(await readPdfOutline({ getOutline: async () => null })).toEqual([]);
+  });
+
+  it('maps host and PDF outlines to session page numbers per document', () => {
+    const hostOutline = normalizeOutlineEntries([
+      { title: 'Referral', page: 2, children: [{ title: 'Signature', page: '3' }, { title: '' }] },
+      { title: 'Unknown page', page: 0 },
+      'not an entry',
+    ]);
+    expect(hostOutline).toEqual([
+      { title: 'Referral', page: 2, children: [{ title: 'Signature', page: 3, children: [] }] },
+      { title: 'Unknown page', page: null, children: [] },
+    ]);
+
+    const pages = [
+      { documentId: 'scan', documentNumber: 1, totalDocuments: 2, documentPageNumber: 1, sourceKey: 's1', fileExtension: 'tiff', pageIndex: 0 },
+      { documentId: 'scan', documentNumber: 1, totalDocuments: 2, documentPageNumber: 2, sourceKey: 's1', fileExtension: 'tiff', pageIndex: 1 },
+      { documentId: 'scan', documentNumber: 1, totalDocuments: 2, documentPageNumber: 3, sourceKey: 's1', fileExtension: 'tiff', pageIndex: 2 },
+      { documentId: 'report', documentNumber: 2, totalDocuments: 2, documentPageNumber: 1, sourceKey: 'p1', fileExtension: 'pdf', pageIndex: 0 },
+      { documentId: 'report', documentNumber: 2, totalDocuments: 2, documentPageNumber: 2, sourceKey: 'p1', fileExtension: 'pdf', pageIndex: 1 },
+    ];
+    const documents = buildOutlineDocuments(pages, { documents: [{ documentId: 'scan', outline: hostOutline }, { documentId: 'report' }] });
+
+    expect(documents.map((document) => [document.key, document.hostOutline ? 'host' : 'pdf', document.pdfSourceKeys])).toEqual([
+      ['scan', 'host', []],
+      ['report', 'pdf', ['p1']],
+    ]);
+    expect(resolveOutlineTree(documents[0].hostOutline, documents[0].documentPages, 'scan')).toEqual([
+      { id: 'scan.0', title: 'Referral', pageNumber: 2, children: [{ id: 'scan.0.0', title: 'Signature', pageNumber: 3, children: [] }] },
+      { id: 'scan.1', title: 'Unknown page', pageNumber: null, children: [] },
+    ]);
+    expect(resolveOutlineTree([{ title: 'Appendix', page: 2, children: [] }, { title: 'Cut', page: 9, children: [] }], documents[1].sourcePages.get('p1'), 'report'))
+      .toEqual([
+        { id: 'report.0', title: 'Appendix', pageNumber: 5, children: [] },
+        { id: 'report.1', title: 'Cut', pageNumber: null, children: [] },
+      ]);
+  });
+});
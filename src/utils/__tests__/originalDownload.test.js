@@ -0,0 +1,73 @@
+// File: src/utils/__tests__/originalDownload.test.js
+/**
+ * Focused unit tests for resolving the stored source files behind session pages.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  collectOriginalFiles,
+  findRedactedSourceKeys,
+  getOriginalFileName,
+  getOriginalZipFilename,
+  makeUniqueNames,
+} from '../originalDownload.js';
+import { getPageAnnotationTarget } from '../annotations.js';
+
+const pages = [
+  { sourceKey: 'a', sourceDisplayName: 'Letter.pdf', fileExtension: 'pdf', sourceMimeType: 'application/pdf', documentNumber: 1 },
+  { sourceKey: 'a', sourceDisplayName: 'Letter.pdf', fileExtension: 'pdf', sourceMimeType: 'application/pdf', documentNumber: 1 },
+  { sourceKey: 'b', sourceDisplayName: 'scans/letter', fileExtension: 'PDF', documentNumber: 1 },
+  { sourceKey: 'failed_0_3', status: -1, fileExtension: 'png', documentNumber: 1 },
+  { sourceKey: 'c', sourceDisplayName: 'Photo.jpg', fileExtension: 'jpg', documentNumber: 2 },
+];
+
+const message = { sourceKey: 'm', displayName: 'Quarterly report', fileExtension: 'eml', mimeType: 'message/rfc822' };
+const emailPages = [
+  { sourceKey: 'm_eml0', sourceDisplayName: 'Quarterly report', fileExtension: 'png', sourceMimeType: 'image/png', originalSource: message, documentNumber: 1 },
+  { sourceKey: 'm_eml1', sourceDisplayName: 'Quarterly report', fileExtension: 'png', sourceMimeType: 'image/png', originalSource: message, documentNumber: 1 },
+  { sourceKey: 'm_att0', sourceDisplayName: 'figures.pdf', fileExtension: 'pdf', sourceMimeType: 'application/pdf', containerSourceKey: 'm', documentNumber: 1 },
+];
+
+describe('originalDownload', () => {
+  it('collects the page file or every file of its document', () => {
+    expect(collectOriginalFiles(pages, 1, 'file')).toEqual([
+      { sourceKey: 'a', name: 'Letter.pdf', mimeType: 'application/pdf', firstPageNumber: 1, pageCount: 2 },
+    ]);
+    const documentFiles = collectOriginalFiles(pages, 2, 'document');
+    expect(documentFiles.map((file) => [file.sourceKey, file.name, file.firstPageNumber])).toEqual([
+      ['a', 'Letter.pdf', 1],
+      ['b', 'letter (2).pdf', 3],
+    ]);
+    expect(collectOriginalFiles(pages, 3, 'file')).toEqual([]);
+    expect(collectOriginalFiles(pages, 9, 'document')).toEqual([]);
+  });
+
+  it('resolves rendered email pages to the stored message', () => {
+    expect(collectOriginalFiles(emailPages, 1, 'file')).toEqual([
+      { sourceKey: 'm', name: 'Quarterly report.eml', mimeType: 'message/rfc822', firstPageNumber: 1, pageCount: 2 },
+    ]);
+    expect(collectOriginalFiles(emailPages, 0, 'document').map((file) => file.name)).toEqual(['Quarterly report.eml', 'figures.pdf']);
+  });
+
+  it('makes safe, unique file names', () => {
+    expect(getOriginalFileName({ displayName: 'C:\\in\\a<b>?.docx' }, 0)).toBe('a_b_.docx');
+    expect(getOriginalFileName({ displayName: '..', fileExtension: 'tif' }, 4)).toBe('original-005.tif');
+    expect(makeUniqueNames(['x.pdf', 'X.pdf', 'x (2).pdf', 'x'])).toEqual(['x.pdf', 'X (2).pdf', 'x (2) (2).pdf', 'x']);
+  });
+
+  it('finds sources with redacted pages', () => {
+    const annotations = [
+      { id: 'r1', type: 'redact', ...getPageAnnotationTarget(pages[1], 1) },
+      { id: 'n1', type: 'note', ...getPageAnnotationTarget(pages[4], 4) },
+    ];
+    expect(Array.from(findRedactedSourceKeys(pages, annotations))).toEqual(['a']);
+    expect(findRedactedSourceKeys(pages, []).size).toBe(0);
+    const attachmentRedaction = [{ id: 'r2', type: 'redact', ...getPageAnnotationTarget(emailPages[2], 2) }];
+    expect(Array.from(findRedactedSourceKeys(emailPages, attachmentRedaction))).toEqual(['m_att0', 'm']);
+  });
+
+  it('names ZIP downloads', () => {
+    expect(getOriginalZipFilename('case-7.zip', 2)).toBe('case-7-document-2.zip');
+    expect(getOriginalZipFilename('', 0)).toBe('opendocviewer-originals.zip');
+  });
+});
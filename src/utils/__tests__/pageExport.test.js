@@ -0,0 +1,127 @@
+// File: src/utils/__tests__/pageExport.test.js
+/**
+ * Focused unit tests for the page export renderer.
+ *
+ * Export only needs images and canvases, so small fakes stand in for them; the jsPDF loader is
+ * replaced by a recorder of the drawn text.
+ */
+
+import { afterEach, describe, it, expect, vi } from 'vitest';
+import { createExportBlob } from '../pageExport.js';
+import { describeBatesRange, normalizeBatesSettings } from '../batesNumbering.js';
+import { makeBaseTokenContext, makePageTokenContext } from '../printTemplate.js';
+import { readZipDirectory } from '../../components/DocumentLoader/zipArchive.js';
+
+const pdfText = vi.fn();
+
+// Hoisted above the imports by Vitest.
+vi.mock('../printPdf.js', () => ({
+  collectPrintablePdfSources: vi.fn(),
+  downloadPdfBlob: vi.fn(),
+  loadJsPdf: vi.fn(async () => class FakeJsPdf {
+    addPage() {}
+    addImage() {}
+    setFont() {}
+    setFontSize() {}
+    getTextWidth(text) { return text.length * 5; }
+    setFillColor() {}
+    setTextColor() {}
+    rect() {}
+    text(...args) { pdfText(...args); }
+    output() { return new Blob(['%PDF-1.3']); }
+  }),
+}));
+
+/**
+ * @param {Array<{ text:string, x:number, y:number }>} drawn Collects the text drawn on any canvas.
+ * @returns {void}
+ */
+function stubCanvasDom(drawn) {
+  vi.stubGlobal('Image', class FakeImage {
+    naturalWidth = 600;
+    naturalHeight = 800;
+    set src(value) { this.current = value; queueMicrotask(() => this.onload?.()); }
+    get src() { return this.current; }
+  });
+  vi.stubGlobal('document', {
+    createElement: () => {
+      const ctx = {
+        fillRect() {},
+        translate() {},
+        rotate() {},
+        drawImage() {},
+        setTransform() {},
+        save() {},
+        restore() {},
+        measureText: (text) => ({ width: text.length * 5 }),
+        fillText: (text, x, y) => drawn.push({ text, x, y }),
+      };
+      return {
+        width: 0,
+        height: 0,
+        getContext: () => ctx,
+        toBlob: (callback, type) => callback(new Blob(['page'], { type })),
+        toDataURL: () => 'data:image/jpeg;base64,',
+      };
+    },
+  });
+}
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  pdfText.mockClear();
+});
+
+describe('pageExport', () => {
+  it('stamps exported images with Bates numbers in export order', async () => {
+    const drawn = [];
+    stubCanvasDom(drawn);
+    const bates = normalizeBatesSettings({ prefix: 'ACME', startNumber: 4, digits: 6, position: 'bottom-right' });
+    const blob = await createExportBlob(['a.png', 'b.png'], {
+      settings: { format: 'png', dpi: 'original', annotations: false },
+      bates,
+      filename: 'pages',
+    });
+
+    expect(drawn.map((entry) => entry.text)).toEqual(['ACME000004', 'ACME000005']);
+    expect(drawn[0].x).toBeGreaterThan(500);
+    expect(drawn[0].y).toBeGreaterThan(780);
+    const members = await readZipDirectory(blob);
+    expect(members.map((member) => member.name)).toEqual(['pages-001.png', 'pages-002.png']);
+  });
+
+  it('draws PDF stamps as text and leaves unstamped exports alone', async () => {
+    const drawn = [];
+    stubCanvasDom(drawn);
+    const bates = normalizeBatesSettings({ prefix: 'P-', startNumber: 9, digits: 3, position: 'top-left' });
+    await createExportBlob(['a.png', 'b.png'], { settings: { format: 'pdf', annotations: false }, bates });
+    expect(pdfText.mock.calls.map(([text]) => text)).toEqual(['P-009', 'P-010']);
+    expect(drawn).toEqual([]);
+
+    await createExportBlob(['a.png'], { settings: { format: 'png', annotations: false } });
+    expect(drawn).toEqual([]);
+  });
+
+  it('runs one Bates counter across a print, an export and the next print', async () => {
+    const drawn = [];
+    stubCanvasDom(drawn);
+    const settings = { prefix: 'ACME', digits: 6, position: 'bottom-right' };
+    // The toolbar keeps `nextNumber` of each stamped job and offers it as the next start number.
+    const printPages = (startNumber, total) => {
+      const base = makeBaseTokenContext(null, '', '', '', { bates: { ...settings, startNumber } });
+      const stamps = Array.from({ length: total }, (_, index) => makePageTokenContext(base, {}, null, { index, total }).bates);
+      return { stamps, nextNumber: describeBatesRange(base.batesSettings, total).nextNumber };
+    };
+
+    const firstPrint = printPages(1, 3);
+    expect(firstPrint.stamps).toEqual(['ACME000001', 'ACME000002', 'ACME000003']);
+
+    const exportBates = normalizeBatesSettings({ ...settings, startNumber: firstPrint.nextNumber });
+    await createExportBlob(['a.png', 'b.png'], { settings: { format: 'png', annotations: false }, bates: exportBates });
+    expect(drawn.map((entry) => entry.text)).toEqual(['ACME000004', 'ACME000005']);
+    const exported = describeBatesRange(exportBates, 2);
+    expect(exported).toEqual({ first: 'ACME000004', last: 'ACME000005', nextNumber: 6 });
+
+    expect(printPages(exported.nextNumber, 1).stamps).toEqual(['ACME000006']);
+  });
+});
@@ -0,0 +1,97 @@
+// File: src/utils/__tests__/pageExportWriters.test.js
+/**
+ * Focused unit tests for page export settings and the ZIP and TIFF writers.
+ *
+ * Written files are read back with the viewer's own readers (`zipArchive.js`, `utif2`), so an
+ * exported file is known to open in OpenDocViewer again.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { decode, decodeImage, toRGBA8 } from 'utif2';
+import {
+  getExportFilename,
+  getExportMemberName,
+  normalizeExportDpi,
+  normalizeExportSettings,
+  resolveExportSize,
+} from '../exportSettings.js';
+import { crc32, createZipBlob } from '../zipWriter.js';
+import { assembleTiffBlob, createTiffPage } from '../tiffWriter.js';
+import { openZipMember, readZipDirectory } from '../../components/DocumentLoader/zipArchive.js';
+
+/**
+ * @param {number} width
+ * @param {number} height
+ * @param {number} seed
+ * @returns {Uint8ClampedArray}
+ */
+function makeRaster(width, height, seed) {
+  const rgba = new Uint8ClampedArray(width * height * 4);
+  for (let index = 0; index < width * height; index += 1) {
+    rgba[index * 4] = (index * 7 + seed) & 0xff;
+    rgba[index * 4 + 1] = (index * 13 + seed) & 0xff;
+    rgba[index * 4 + 2] = (index * 29 + seed) & 0xff;
+    rgba[index * 4 + 3] = 255;
+  }
+  return rgba;
+}
+
+describe('exportSettings', () => {
+  it('normalizes settings and resolutions', () => {
+    expect(normalizeExportSettings({ format: 'TIF', dpi: '150' })).toEqual({ format: 'tiff', dpi: 150, adjusted: false, annotations: true });
+    expect(normalizeExportSettings({ format: 'bmp', dpi: 72, adjusted: true, annotations: false }))
+      .toEqual({ format: 'pdf', dpi: 0, adjusted: true, annotations: false });
+    expect(normalizeExportDpi('original', 200)).toBe(0);
+  });
+
+  it('scales pages down to A4 at the chosen DPI, never up', () => {
+    expect(resolveExportSize(2480, 3508, 100)).toEqual({ width: 826, height: 1169 });
+    expect(resolveExportSize(800, 600, 300)).toEqual({ width: 800, height: 600 });
+    expect(resolveExportSize(20000, 10000, 0)).toEqual({ width: 8192, height: 4096 });
+  });
+
+  it('names downloads and ZIP members by format', () => {
+    expect(getExportFilename('case-42.pdf', 'tiff')).toBe('case-42.tif');
+    expect(getExportFilename('', 'png')).toBe('opendocviewer-export.zip');
+    expect(getExportMemberName('case-42', 'jpeg', 6, 12)).toBe('case-42-007.jpg');
+    expect(getExportMemberName('case-42', 'png', 0, 1200)).toBe('case-42-0001.png');
+  });
+});
+
+describe('zipWriter', () => {
+  it('computes the standard CRC-32', () => {
+    expect(crc32(new TextEncoder().encode('123456789'))).toBe(0xcbf43926);
+  });
+
+  it('writes stored members that the ZIP reader opens again', async () => {
+    const zip = await createZipBlob([
+      { name: 'pages/sida-001.png', blob: new Blob(['first page']) },
+      { name: 'pages/sida-002.png', blob: new Blob([new Uint8Array([0, 1, 2, 255])]) },
+    ], new Date(2026, 0, 2, 3, 4, 6));
+    const members = await readZipDirectory(zip);
+    expect(members.map((member) => member.name)).toEqual(['pages/sida-001.png', 'pages/sida-002.png']);
+    expect(await (await openZipMember(zip, members[0])).text()).toBe('first page');
+    expect(Array.from(new Uint8Array(await (await openZipMember(zip, members[1])).arrayBuffer()))).toEqual([0, 1, 2, 255]);
+  });
+});
+
+describe('tiffWriter', () => {
+  it('writes multi-page RGB files that utif2 decodes', async () => {
+    const first = makeRaster(5, 3, 1);
+    const second = makeRaster(2, 4, 99);
+    const blob = assembleTiffBlob([await createTiffPage(first, 5, 3), await createTiffPage(second, 2, 4)], 150);
+    const buffer = await blob.arrayBuffer();
+    const ifds = decode(buffer);
+    expect(ifds).toHaveLength(2);
+    expect(ifds[0].t282[0]).toEqual([150, 1]);
+
+    decodeImage(buffer, ifds[1]);
+    expect([ifds[1].width, ifds[1].height]).toEqual([2, 4]);
+    expect(Array.from(toRGBA8(ifds[1]))).toEqual(Array.from(second));
+  });
+
+  it('rejects rasters that do not match their size', async () => {
+    await expect(createTiffPage(new Uint8Array(8), 3, 3)).rejects.toThrow();
+    expect(() => assembleTiffBlob([])).toThrow();
+  });
+});
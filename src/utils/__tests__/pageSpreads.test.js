@@ -0,0 +1,51 @@
+// File: src/utils/__tests__/pageSpreads.test.js
+/**
+ * Focused unit tests for two-page spread grouping, stepping and spread zoom math.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  getSpreadStart,
+  getSpreadPositions,
+  getNextSpreadStart,
+  getPreviousSpreadStart,
+} from '../pageSpreads.js';
+import { computeSpreadFitToScreenZoom, computeSpreadFitToWidthZoom, getSpreadSurfaceSize } from '../zoomUtils.js';
+
+describe('pageSpreads', () => {
+  it('pairs pages from the first page, or from the second page with a cover', () => {
+    expect(getSpreadPositions(0, 5)).toEqual([0, 1]);
+    expect(getSpreadPositions(3, 5)).toEqual([2, 3]);
+    expect(getSpreadPositions(4, 5)).toEqual([4]);
+
+    expect(getSpreadPositions(0, 5, true)).toEqual([0]);
+    expect(getSpreadPositions(1, 5, true)).toEqual([1, 2]);
+    expect(getSpreadStart(4, 5, true)).toBe(3);
+    expect(getSpreadPositions(9, 5, true)).toEqual([3, 4]);
+    expect(getSpreadPositions(0, 0)).toEqual([]);
+  });
+
+  it('steps by whole spreads and stays put at either end', () => {
+    expect(getNextSpreadStart(1, 5)).toBe(2);
+    expect(getNextSpreadStart(4, 5)).toBe(4);
+    expect(getPreviousSpreadStart(3, 5)).toBe(0);
+    expect(getPreviousSpreadStart(1, 5)).toBe(0);
+
+    expect(getNextSpreadStart(0, 5, true)).toBe(1);
+    expect(getNextSpreadStart(2, 5, true)).toBe(3);
+    expect(getNextSpreadStart(4, 5, true)).toBe(3);
+    expect(getPreviousSpreadStart(2, 5, true)).toBe(0);
+    expect(getPreviousSpreadStart(4, 5, true)).toBe(1);
+  });
+
+  it('fits the spread as one surface with the gap taken from the viewport', () => {
+    const sizes = [{ width: 1000, height: 1400 }, { width: 1000, height: 1500 }];
+    expect(getSpreadSurfaceSize(sizes)).toEqual({ width: 2000, height: 1500 });
+    expect(getSpreadSurfaceSize([{ width: 0, height: 10 }])).toBeNull();
+
+    expect(computeSpreadFitToScreenZoom(sizes, { width: 1004, height: 3000 }, 4)).toBeCloseTo(0.5);
+    expect(computeSpreadFitToScreenZoom(sizes, { width: 4000, height: 750 }, 4)).toBeCloseTo(0.5);
+    expect(computeSpreadFitToWidthZoom(sizes, { width: 804, height: 100 }, 4)).toBeCloseTo(0.4);
+    expect(computeSpreadFitToWidthZoom([sizes[0]], { width: 804, height: 100 }, 4)).toBeCloseTo(0.804);
+  });
+});
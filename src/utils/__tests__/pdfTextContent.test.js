@@ -0,0 +1,70 @@
+// File: src/utils/__tests__/pdfTextContent.test.js
+/**
+ * Focused unit tests for PDF text normalization and in-document search matching.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  normalizePdfTextContent,
+  buildPageSearchText,
+  createSearchPattern,
+  findPageTextMatches,
+} from '../pdfTextContent.js';
+
+// A 200 x 100 pt page at scale 1: pdf.js flips the y axis.
+const VIEWPORT = { width: 200, height: 100, transform: [1, 0, 0, -1, 0, 100] };
+
+describe('pdfTextContent', () => {
+  it('turns pdf.js items into page-fraction boxes', () => {
+    const content = normalizePdfTextContent({
+      items: [
+        { str: 'Invoice', transform: [10, 0, 0, 10, 20, 80], width: 40, hasEOL: false },
+        { type: 'beginMarkedContent' },
+        { str: '', transform: [1, 0, 0, 1, 0, 0], width: 0, hasEOL: true },
+      ],
+    }, VIEWPORT);
+
+    expect(content.items).toEqual([
+      { text: 'Invoice', left: 0.1, top: 0.1, width: 0.2, height: 0.1, eol: true },
+    ]);
+  });
+
+  it('joins items with spaces and line breaks', () => {
+    const { text, starts } = buildPageSearchText({
+      items: [
+        { text: 'Total', eol: false },
+        { text: 'amount ', eol: true },
+        { text: 'due', eol: true },
+        { text: '42', eol: false },
+      ],
+    });
+    expect(text).toBe('Total amount due\n42');
+    expect(starts).toEqual([0, 6, 13, 17]);
+  });
+
+  it('finds case-insensitive matches that span items', () => {
+    const content = {
+      items: [
+        { text: 'Net total', eol: true },
+        { text: 'AMOUNT due', eol: false },
+      ],
+    };
+    const matches = findPageTextMatches(content, createSearchPattern('  total   amount '), 3);
+    expect(matches).toHaveLength(1);
+    expect(matches[0]).toMatchObject({
+      pageIndex: 3,
+      matchIndex: 0,
+      segments: [
+        { itemIndex: 0, start: 4, end: 9 },
+        { itemIndex: 1, start: 0, end: 6 },
+      ],
+      snippet: 'Net total AMOUNT due',
+    });
+  });
+
+  it('treats the query literally', () => {
+    expect(createSearchPattern('   ')).toBeNull();
+    const matches = findPageTextMatches({ items: [{ text: 'cost (a+b)', eol: false }] }, createSearchPattern('(a+b)'), 0);
+    expect(matches[0].segments).toEqual([{ itemIndex: 0, start: 5, end: 10 }]);
+  });
+});
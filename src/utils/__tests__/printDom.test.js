@@ -0,0 +1,90 @@
+// File: src/utils/__tests__/printDom.test.js
+/**
+ * Focused unit tests for the print iframe document builder.
+ *
+ * The builder only needs a small part of the DOM, so a minimal fake document stands in for the
+ * iframe document; redaction rendering is replaced to simulate a page that cannot be decoded.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { renderMultiDocument } from '../printDom.js';
+
+// Hoisted above the imports by Vitest.
+vi.mock('../redaction.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  createRedactedDataUrl: vi.fn(async () => { throw new Error('Page image could not be decoded.'); }),
+}));
+
+/**
+ * @param {string} tagName
+ * @returns {Object}
+ */
+function createFakeElement(tagName) {
+  const element = {
+    tagName: tagName.toUpperCase(),
+    children: [],
+    style: {},
+    attributes: {},
+    className: '',
+    textContent: '',
+    complete: true,
+    get firstChild() { return element.children[0] || null; },
+    appendChild(child) { element.children.push(child); return child; },
+    removeChild(child) { element.children = element.children.filter((entry) => entry !== child); return child; },
+    replaceChildren() { element.children = []; },
+    setAttribute(name, value) { element.attributes[name] = String(value); },
+    addEventListener() {},
+    removeEventListener() {},
+  };
+  return element;
+}
+
+/**
+ * @returns {Object}
+ */
+function createFakeDocument() {
+  const documentElement = createFakeElement('html');
+  const head = documentElement.appendChild(createFakeElement('head'));
+  const body = documentElement.appendChild(createFakeElement('body'));
+  return {
+    documentElement,
+    head,
+    body,
+    defaultView: { print: vi.fn() },
+    createElement: createFakeElement,
+    createElementNS: (_ns, tagName) => createFakeElement(tagName),
+  };
+}
+
+describe('printDom', () => {
+  it('rejects and prints nothing when a page cannot be redacted', async () => {
+    const doc = createFakeDocument();
+    const pixel = 'data:image/png;base64,iVBORw0KGgo=';
+    const rendered = renderMultiDocument(doc, {
+      dataUrls: [pixel, pixel],
+      printDelayMs: 0,
+      printHeaderCfg: {},
+      tokenContext: {},
+      pageContexts: [{ redactions: [{ x: 0.1, y: 0.1, width: 0.2, height: 0.2 }] }, {}],
+    });
+    expect(doc.body.children).toHaveLength(2);
+
+    await expect(rendered).rejects.toThrow(/could not be decoded/);
+    expect(doc.body.children).toHaveLength(0);
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    expect(doc.defaultView.print).not.toHaveBeenCalled();
+  });
+
+  it('resolves and prints when no page needs redaction', async () => {
+    const doc = createFakeDocument();
+    await renderMultiDocument(doc, {
+      dataUrls: ['data:image/png;base64,iVBORw0KGgo='],
+      printDelayMs: 0,
+      printHeaderCfg: {},
+      tokenContext: {},
+      pageContexts: [{}],
+    });
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    expect(doc.defaultView.print).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,29 @@
+// File: src/utils/__tests__/printImposition.test.js
+/**
+ * Focused unit tests for placing printed pages on generated-PDF sheets.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { getImpositionCells, normalizePrintLayout, planImpositionSheets } from '../printImposition.js';
+
+describe('printImposition', () => {
+  it('fills n-up sheets in page order and orders booklets for saddle stitching', () => {
+    expect(planImpositionSheets(3, 'single')).toEqual([[0], [1], [2]]);
+    expect(planImpositionSheets(5, '2-up')).toEqual([[0, 1], [2, 3], [4, null]]);
+    expect(planImpositionSheets(5, '4-up')).toEqual([[0, 1, 2, 3], [4, null, null, null]]);
+    expect(planImpositionSheets(8, 'booklet')).toEqual([[7, 0], [1, 6], [5, 2], [3, 4]]);
+    expect(planImpositionSheets(6, 'booklet')).toEqual([[null, 0], [1, null], [5, 2], [3, 4]]);
+    expect(planImpositionSheets(0, 'booklet')).toEqual([]);
+    expect(normalizePrintLayout(' Booklet ')).toBe('booklet');
+    expect(normalizePrintLayout('3-up')).toBe('single');
+  });
+
+  it('splits the sheet into cells in reading order', () => {
+    expect(getImpositionCells(800, 600, '2-up')).toEqual([
+      { x: 0, y: 0, width: 400, height: 600 },
+      { x: 400, y: 0, width: 400, height: 600 },
+    ]);
+    expect(getImpositionCells(600, 800, '4-up').map(({ x, y }) => [x, y])).toEqual([[0, 0], [300, 0], [0, 400], [300, 400]]);
+    expect(getImpositionCells(600, 800, 'single')).toEqual([{ x: 0, y: 0, width: 600, height: 800 }]);
+  });
+});
@@ -0,0 +1,40 @@
+// File: src/utils/__tests__/printPdfVector.test.js
+/**
+ * Focused unit tests for vector passthrough eligibility and page placement.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { getVectorPlacementMatrix, getVectorSourceAddress, isVectorPassthroughEnabled } from '../printPdfVector.js';
+
+/**
+ * @param {Array<number>} matrix
+ * @param {number} x
+ * @param {number} y
+ * @returns {Array<number>}
+ */
+function apply(matrix, x, y) {
+  const [a, b, c, d, e, f] = matrix;
+  return [a * x + c * y + e, b * x + d * y + f];
+}
+
+describe('printPdfVector', () => {
+  it('passes through only unedited, unredacted PDF source pages', () => {
+    const page = { fileExtension: 'PDF', sourceKey: 'src-1', pageIndex: 2 };
+    expect(getVectorSourceAddress(page)).toEqual({ sourceKey: 'src-1', pageIndex: 2 });
+    expect(getVectorSourceAddress({ ...page, fileExtension: 'tiff' })).toBeNull();
+    expect(getVectorSourceAddress({ ...page, pageIndex: undefined })).toBeNull();
+    expect(getVectorSourceAddress({ ...page, imageAdjusted: true })).toBeNull();
+    expect(getVectorSourceAddress({ ...page, redactions: [{ x: 0, y: 0, width: 0.1, height: 0.1 }] })).toBeNull();
+    expect(isVectorPassthroughEnabled({})).toBe(true);
+    expect(isVectorPassthroughEnabled({ vectorPassthrough: false })).toBe(false);
+  });
+
+  it('maps the top-left page corner to the turned box corner', () => {
+    const box = { x: 10, y: 20, width: 200, height: 100 };
+    expect(apply(getVectorPlacementMatrix(box, 400, 200, 0), 0, 200)).toEqual([10, 120]);
+    expect(apply(getVectorPlacementMatrix(box, 200, 400, 90), 0, 400)).toEqual([210, 120]);
+    expect(apply(getVectorPlacementMatrix(box, 400, 200, 180), 0, 200)).toEqual([210, 20]);
+    expect(apply(getVectorPlacementMatrix(box, 200, 400, 270), 0, 400)).toEqual([10, 20]);
+    expect(apply(getVectorPlacementMatrix(box, 200, 400, 90), 200, 0)).toEqual([10, 20]);
+  });
+});
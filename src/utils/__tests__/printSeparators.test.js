@@ -0,0 +1,40 @@
+// File: src/utils/__tests__/printSeparators.test.js
+/**
+ * Focused unit tests for separator planning and the Code 128 encoder.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { findDocumentStarts, normalizeSeparatorSettings, planSeparatorSequence } from '../printSeparators.js';
+import { encodeCode128, getCode128ModuleCount } from '../code128.js';
+
+const contexts = [{ documentNumber: 1 }, { documentNumber: 1 }, { documentNumber: 2 }, { documentNumber: 3 }];
+
+describe('printSeparators', () => {
+  it('finds document starts only for multi-document jobs', () => {
+    expect(findDocumentStarts(contexts, 4)).toEqual([0, 2, 3]);
+    expect(findDocumentStarts([{ documentId: 'a' }, { documentId: 'a' }], 2)).toEqual([]);
+    expect(normalizeSeparatorSettings({ sheets: false, oddPageStart: false })).toBeNull();
+  });
+
+  it('inserts separator sheets and pads documents to odd output pages', () => {
+    const kinds = (sequence) => sequence.map((entry) => (entry.kind === 'blank' ? '-' : `${entry.kind[0]}${entry.index}`));
+    expect(kinds(planSeparatorSequence(4, contexts, { sheets: true, oddPageStart: false })))
+      .toEqual(['s0', 'p0', 'p1', 's2', 'p2', 's3', 'p3']);
+    expect(kinds(planSeparatorSequence(4, contexts, { sheets: false, oddPageStart: true })))
+      .toEqual(['p0', 'p1', 'p2', '-', 'p3']);
+    expect(kinds(planSeparatorSequence(4, contexts, { sheets: true, oddPageStart: true })))
+      .toEqual(['s0', '-', 'p0', 'p1', 's2', '-', 'p2', '-', 's3', '-', 'p3']);
+    expect(planSeparatorSequence(3, contexts, { oddPageStart: true })).toBeNull();
+  });
+
+  it('encodes code set B with checksum and stop pattern', () => {
+    const widths = encodeCode128('Wikipedia');
+    // Start B, 9 characters and the checksum have 11 modules each; the stop code has 13.
+    expect(getCode128ModuleCount(widths)).toBe((11 * 11) + 13);
+    expect(widths.slice(0, 6)).toEqual([2, 1, 1, 2, 1, 4]);
+    // Checksum 88 ("421211"), the published value for "Wikipedia".
+    expect(widths.slice(-13, -7)).toEqual([4, 2, 1, 2, 1, 1]);
+    expect(encodeCode128('Ärende')).toBeNull();
+    expect(encodeCode128('')).toBeNull();
+  });
+});
@@ -0,0 +1,50 @@
+// File: src/utils/__tests__/redaction.test.js
+/**
+ * Focused unit tests for redaction region selection, print-log counts and the fill that burns
+ * regions into page canvases.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { REDACTION_FILL, fillRedactionRegions, getPageRedactions, summarizeRedactions } from '../redaction.js';
+
+describe('redaction', () => {
+  it('keeps only regions with an area', () => {
+    const context = {
+      redactions: [
+        { x: 0.1, y: 0.1, width: 0.2, height: 0.1 },
+        { x: 0.5, y: 0.5, width: 0, height: 0.1 },
+        null,
+      ],
+    };
+    expect(getPageRedactions(context)).toHaveLength(1);
+    expect(getPageRedactions({ annotations: [] })).toEqual([]);
+    expect(getPageRedactions(null)).toEqual([]);
+  });
+
+  it('counts redacted pages and regions of a print job', () => {
+    const region = { x: 0, y: 0, width: 0.5, height: 0.5 };
+    expect(summarizeRedactions([
+      { redactions: [region, region] },
+      { redactions: [] },
+      { redactions: [region] },
+      null,
+    ])).toEqual({ pages: 2, regions: 3 });
+    expect(summarizeRedactions(null)).toEqual({ pages: 0, regions: 0 });
+  });
+
+  it('fills regions rounded outward to whole pixels and clamped to the canvas', () => {
+    const rects = [];
+    const ctx = { fillStyle: '', fillRect: (x, y, width, height) => rects.push([x, y, width, height]) };
+    fillRedactionRegions(ctx, [
+      { x: 0.10055, y: 0.2493, width: 0.2, height: 0.0015 },
+      { x: -0.05, y: 0.9, width: 0.20055, height: 0.5 },
+      { x: 1.2, y: 0.1, width: 0.1, height: 0.1 },
+    ], 1000, 800);
+    expect(ctx.fillStyle).toBe(REDACTION_FILL);
+    // 100.55..300.55 x 199.44..200.64 touches pixel columns 100-300 and rows 199-200.
+    expect(rects).toEqual([
+      [100, 199, 201, 2],
+      [0, 720, 151, 80],
+    ]);
+  });
+});
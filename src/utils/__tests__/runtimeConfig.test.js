@@ -10,6 +10,9 @@
 import { describe, it, expect, beforeEach, afterEach } from 'vitest';
 import {
   getRuntimeConfig,
+  getPostMessageBridgeConfig,
+  getExportConfig,
+  getOriginalDownloadConfig,
   getKeyboardPrintShortcutBehavior,
   isDocumentMetadataUiEnabled,
   normalizePrintDefaultMode,
@@ -17,6 +20,9 @@ import {
   normalizeOptionalCustomFitFactorPercent,
   normalizeCustomFitSizeLimitPreference,
   getViewerDefaultZoomMode,
+  getViewerDefaultPageLayout,
+  getViewerSpreadCoverPage,
+  getViewerAnimationPlayback,
   getViewerCustomFitWidthFactorPercent,
   getViewerCustomFitSizeLimits,
   getPrintDefaultMode,
@@ -191,6 +197,30 @@ describe('runtimeConfig', () => {
     });
   });
 
+  describe('getViewerDefaultPageLayout', () => {
+    it('defaults to single', () => {
+      expect(getViewerDefaultPageLayout({})).toBe('single');
+    });
+
+    it('resolves aliases and falls back to single for unknown values', () => {
+      expect(getViewerDefaultPageLayout({ viewer: { defaultPageLayout: 'Continuous_Scroll' } })).toBe('continuous');
+      expect(getViewerDefaultPageLayout({ viewer: { defaultPageLayout: 'single page' } })).toBe('single');
+      expect(getViewerDefaultPageLayout({ viewer: { defaultPageLayout: 'grid' } })).toBe('single');
+      expect(getViewerDefaultPageLayout({ viewer: { defaultPageLayout: 'Two-Page' } })).toBe('spread');
+    });
+
+    it('reads the spread cover-page option as a strict boolean', () => {
+      expect(getViewerSpreadCoverPage({})).toBe(false);
+      expect(getViewerSpreadCoverPage({ viewer: { spreadCoverPage: true } })).toBe(true);
+      expect(getViewerSpreadCoverPage({ viewer: { spreadCoverPage: 'true' } })).toBe(false);
+    });
+
+    it('offers animation playback unless it is turned off', () => {
+      expect(getViewerAnimationPlayback({})).toBe(true);
+      expect(getViewerAnimationPlayback({ viewer: { animationPlayback: false } })).toBe(false);
+    });
+  });
+
   describe('getViewerCustomFitWidthFactorPercent', () => {
     it('defaults to 70', () => {
       expect(getViewerCustomFitWidthFactorPercent({})).toBe(70);
@@ -295,4 +325,56 @@ describe('runtimeConfig', () => {
       expect(getViewerProblemNoticeConfig({ viewer: { problemNotice: { failedPageRatio: -1 } } }).failedPageRatio).toBe(0);
     });
   });
+
+  describe('getPostMessageBridgeConfig', () => {
+    it('stays disabled without an allowlist', () => {
+      const cfg = getPostMessageBridgeConfig({ integrations: { postMessage: { enabled: true } } });
+      expect(cfg.enabled).toBe(false);
+      expect(cfg.allowedOrigins).toEqual([]);
+      expect(cfg.handshakeTimeoutMs).toBe(3000);
+    });
+
+    it('normalizes origins and drops wildcards', () => {
+      const cfg = getPostMessageBridgeConfig({
+        integrations: {
+          postMessage: {
+            enabled: true,
+            allowedOrigins: ['https://host.example.com/app/', '*', 'null', 'ftp://x.example', 'https://host.example.com', 'http://localhost:5173'],
+            handshakeTimeoutMs: 10,
+          },
+        },
+      });
+      expect(cfg.enabled).toBe(true);
+      expect(cfg.allowedOrigins).toEqual(['https://host.example.com', 'http://localhost:5173']);
+      expect(cfg.handshakeTimeoutMs).toBe(250);
+    });
+  });
+
+  describe('getExportConfig', () => {
+    it('stays disabled and offers every format by default', () => {
+      const cfg = getExportConfig({});
+      expect(cfg.enabled).toBe(false);
+      expect(cfg.formats).toEqual(['pdf', 'tiff', 'png', 'jpeg']);
+      expect(cfg.defaultDpi).toBe(200);
+      expect(cfg.filename).toBe('opendocviewer-export');
+    });
+
+    it('filters formats and keeps the default among them', () => {
+      const cfg = getExportConfig({
+        export: { enabled: true, formats: ['TIF', 'gif', 'jpg', 'tiff'], defaultFormat: 'pdf', defaultResolution: 'original', jpegQuality: 4 },
+      });
+      expect(cfg.formats).toEqual(['tiff', 'jpeg']);
+      expect(cfg.defaultFormat).toBe('tiff');
+      expect(cfg.defaultDpi).toBe(0);
+      expect(cfg.jpegQuality).toBe(1);
+    });
+  });
+
+  describe('getOriginalDownloadConfig', () => {
+    it('is enabled by default and can be blocked', () => {
+      expect(getOriginalDownloadConfig({})).toEqual({ enabled: true, zipFilename: 'opendocviewer-originals' });
+      expect(getOriginalDownloadConfig({ downloadOriginal: { enabled: false, zipFilename: ' case-7 ' } }))
+        .toEqual({ enabled: false, zipFilename: 'case-7' });
+    });
+  });
 });
@@ -0,0 +1,64 @@
+// File: src/utils/__tests__/sourceRangeReader.test.js
+/**
+ * Focused unit tests for chunked byte-range reads with a store in front of the network.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { createSourceRangeReader } from '../sourceRangeReader.js';
+
+const SOURCE = Uint8Array.from({ length: 100 }, (_, index) => index);
+
+/**
+ * @returns {{ reader: import('../sourceRangeReader.js').SourceRangeReader, requests: Array<Array<number>>, stored: Map<number, Uint8Array> }}
+ */
+function createHarness() {
+  const requests = [];
+  const stored = new Map();
+  const reader = createSourceRangeReader({
+    sizeBytes: SOURCE.length,
+    chunkSizeBytes: 16,
+    fetchRange: async (begin, end) => {
+      requests.push([begin, end]);
+      return SOURCE.slice(begin, end).buffer;
+    },
+    readStored: async (begin, end) => {
+      const chunk = stored.get(begin);
+      return chunk && chunk.byteLength >= end - begin ? chunk : null;
+    },
+    storeChunk: async (begin, bytes) => {
+      stored.set(begin, bytes);
+    },
+  });
+  return { reader, requests, stored };
+}
+
+describe('sourceRangeReader', () => {
+  it('fetches missing aligned chunks once and serves later reads from the store', async () => {
+    const { reader, requests, stored } = createHarness();
+
+    expect(Array.from(await reader.read(20, 40))).toEqual(Array.from(SOURCE.slice(20, 40)));
+    expect(requests).toEqual([[16, 48]]);
+    expect([...stored.keys()]).toEqual([16, 32]);
+
+    expect(Array.from(await reader.read(0, 50))).toEqual(Array.from(SOURCE.slice(0, 50)));
+    expect(requests).toEqual([[16, 48], [0, 16], [48, 64]]);
+
+    expect(Array.from(await reader.read(90, 200))).toEqual(Array.from(SOURCE.slice(90, 100)));
+    expect(requests.at(-1)).toEqual([80, 100]);
+  });
+
+  it('shares in-flight chunks between concurrent reads and surfaces fetch errors', async () => {
+    const { reader, requests } = createHarness();
+    const [first, second] = await Promise.all([reader.read(0, 10), reader.read(4, 12)]);
+    expect(Array.from(first)).toEqual(Array.from(SOURCE.slice(0, 10)));
+    expect(Array.from(second)).toEqual(Array.from(SOURCE.slice(4, 12)));
+    expect(requests).toEqual([[0, 16]]);
+
+    const failing = createSourceRangeReader({
+      sizeBytes: 10,
+      chunkSizeBytes: 4,
+      fetchRange: async () => new ArrayBuffer(1),
+    });
+    await expect(failing.read(0, 4)).rejects.toThrow(/returned 1 bytes/);
+  });
+});
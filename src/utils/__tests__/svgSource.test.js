@@ -0,0 +1,43 @@
+// File: src/utils/__tests__/svgSource.test.js
+/**
+ * Focused unit tests for recognizing and sizing SVG sources.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { isSvgSignature, parseSvgLength, resolveSvgSize } from '../svgSource.js';
+
+/**
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+function bytes(text) {
+  return new TextEncoder().encode(text);
+}
+
+describe('svgSource', () => {
+  it('recognizes an svg root element after the XML prolog', () => {
+    expect(isSvgSignature(bytes('<svg xmlns="http://www.w3.org/2000/svg"/>'))).toBe(true);
+    expect(isSvgSignature(bytes('\uFEFF<?xml version="1.0"?>\n<!-- Created with Inkscape -->\n<!DOCTYPE svg PUBLIC "-//W3C//DTD SVG 1.1//EN" "x.dtd">\n<svg\n width="10">'))).toBe(true);
+    expect(isSvgSignature(bytes(`<?xml version="1.0"?><!DOCTYPE svg PUBLIC "-//W3C//DTD SVG 1.1//EN" "x.dtd" [${' '.repeat(600)}`))).toBe(true);
+    expect(isSvgSignature(bytes('<svg:svg xmlns:svg="http://www.w3.org/2000/svg">'))).toBe(true);
+
+    expect(isSvgSignature(bytes('<?xml version="1.0"?><note>svg</note>'))).toBe(false);
+    expect(isSvgSignature(bytes('<!doctype html><html><body><svg></svg>'))).toBe(false);
+    expect(isSvgSignature(bytes('<svgx>'))).toBe(false);
+  });
+
+  it('resolves the intrinsic size from width, height and viewBox', () => {
+    expect(parseSvgLength('12')).toBe(12);
+    expect(parseSvgLength('1in')).toBe(96);
+    expect(parseSvgLength(' 210mm ')).toBeCloseTo(793.7, 1);
+    expect(parseSvgLength('100%')).toBe(0);
+    expect(parseSvgLength('2em')).toBe(0);
+    expect(parseSvgLength(null)).toBe(0);
+
+    expect(resolveSvgSize({ width: '40', height: '30pt', viewBox: '0 0 1 1' })).toEqual({ width: 40, height: 40 });
+    expect(resolveSvgSize({ width: '200', height: null, viewBox: '0 0 100 50' })).toEqual({ width: 200, height: 100 });
+    expect(resolveSvgSize({ width: '100%', height: '60', viewBox: '0,0,100,50' })).toEqual({ width: 120, height: 60 });
+    expect(resolveSvgSize({ width: null, height: null, viewBox: '0 0 841 594' })).toEqual({ width: 841, height: 594 });
+    expect(resolveSvgSize({ width: null, height: '80', viewBox: 'bad' })).toEqual({ width: 300, height: 80 });
+  });
+});
@@ -0,0 +1,62 @@
+// File: src/utils/__tests__/textSourceLayout.test.js
+/**
+ * Focused unit tests for laying out text, JSON and CSV sources as pages.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  TEXT_PAGE_COLUMNS,
+  TEXT_PAGE_LINES,
+  decodeTextSource,
+  getTextSourcePageContent,
+  layoutTextSource,
+  parseCsv,
+  wrapTextLine,
+} from '../textSourceLayout.js';
+
+describe('textSourceLayout', () => {
+  it('decodes, wraps and paginates plain text and JSON', () => {
+    expect(decodeTextSource(new Uint8Array([0xef, 0xbb, 0xbf, 0x68, 0xc3, 0xa4]))).toBe('hä');
+    expect(decodeTextSource(new Uint8Array([0x68, 0xe4]))).toBe('hä');
+    expect(decodeTextSource(new Uint8Array([0xff, 0xfe, 0x68, 0x00]))).toBe('h');
+
+    expect(wrapTextLine('alpha beta gamma', 12)).toEqual(['alpha beta ', 'gamma']);
+    expect(wrapTextLine('x'.repeat(10), 4)).toEqual(['xxxx', 'xxxx', 'xx']);
+
+    const longLine = `${'word '.repeat(30)}end`;
+    const text = Array.from({ length: TEXT_PAGE_LINES }, (_, index) => (index === 0 ? longLine : `line ${index}`)).join('\n');
+    const pages = layoutTextSource(`${text}\n`, 'log');
+    expect(pages).toHaveLength(2);
+    expect(pages[0].lines[0]).toEqual({ text: 'word '.repeat(19), eol: false });
+    expect(pages[1].lines.map((line) => line.text)).toEqual([`line ${TEXT_PAGE_LINES - 1}`]);
+    expect(layoutTextSource('', 'txt')).toEqual([{ kind: 'text', lines: [{ text: '', eol: true }] }]);
+
+    expect(layoutTextSource('{"a":[1,2]}', 'json')[0].lines.map((line) => line.text))
+      .toEqual(['{', '  "a": [', '    1,', '    2', '  ]', '}']);
+
+    const content = getTextSourcePageContent(layoutTextSource('  indented text', 'txt')[0]);
+    expect(content.items).toHaveLength(1);
+    expect(content.items[0]).toMatchObject({ text: 'indented text', eol: true });
+    expect(content.items[0].left).toBeGreaterThan(getTextSourcePageContent(layoutTextSource('x', 'txt')[0]).items[0].left);
+  });
+
+  it('lays out CSV as a table with a repeated header row', () => {
+    expect(parseCsv('a;b\r\n"x;1";"say ""hi""\nthere"\n')).toEqual([['a', 'b'], ['x;1', 'say "hi"\nthere']]);
+
+    const rows = ['name,amount', ...Array.from({ length: TEXT_PAGE_LINES + 5 }, (_, index) => `item ${index},${index * 10}`)];
+    const pages = layoutTextSource(rows.join('\n'), 'csv');
+    expect(pages).toHaveLength(2);
+    expect(pages[0].kind).toBe('table');
+    expect(pages[0].columns).toEqual([{ start: 0, width: 7 }, { start: 10, width: 6 }]);
+    expect(pages[1].rows[0]).toMatchObject({ header: true, cells: [['name'], ['amount']] });
+    expect(pages[0].rows.reduce((sum, row) => sum + row.lineCount, 0)).toBe(TEXT_PAGE_LINES);
+
+    const content = getTextSourcePageContent(pages[0]);
+    expect(content.items.slice(0, 4).map((item) => [item.text, item.eol])).toEqual([
+      ['name', false], ['amount', true], ['item 0', false], ['0', true],
+    ]);
+
+    const wide = Array.from({ length: TEXT_PAGE_COLUMNS }, (_, index) => `c${index}`).join(',');
+    expect(layoutTextSource(wide, 'csv')[0].kind).toBe('text');
+  });
+});
@@ -0,0 +1,503 @@
+// File: src/utils/animatedImage.js
+/**
+ * OpenDocViewer — multi-frame GIF and animated WebP helpers.
+ *
+ * Each frame of a multi-frame GIF or animated WebP is one page, the same way each IFD of a TIFF is.
+ * Scanned fax archives often store their pages this way.
+ *
+ * Frame counting only walks the container structure and is cheap enough for the loader. Frame
+ * decoding uses `ImageDecoder` where the browser has it. Otherwise GIF frames are decoded and
+ * composited here in plain JavaScript; WebP has no such fallback, so animated WebP counts as one
+ * page in browsers without `ImageDecoder`.
+ *
+ * The module runs on the main thread and in `imageWorker.js`, so it must not touch the DOM.
+ */
+
+const MAX_LZW_CODES = 4096;
+
+/**
+ * @typedef {Object} GifFrame
+ * @property {number} left
+ * @property {number} top
+ * @property {number} width
+ * @property {number} height
+ * @property {boolean} interlaced
+ * @property {number} colorTableOffset Byte offset of the color table that applies to the frame.
+ * @property {number} colorTableSize Number of colors in it (0 when the file has none).
+ * @property {number} transparentIndex Transparent color index, or -1.
+ * @property {number} disposal Disposal method from the graphic control extension (0–3).
+ * @property {number} delayMs
+ * @property {number} minCodeSize LZW minimum code size.
+ * @property {number} dataOffset Byte offset of the first image data sub-block.
+ */
+
+/**
+ * @typedef {Object} GifInfo
+ * @property {number} width Logical screen width.
+ * @property {number} height Logical screen height.
+ * @property {boolean} loops True when the file has a looping application extension.
+ * @property {Array<GifFrame>} frames
+ */
+
+/**
+ * @typedef {Object} WebpInfo
+ * @property {boolean} animated
+ * @property {number} frameCount
+ * @property {Array<number>} delaysMs Frame durations of an animated WebP.
+ */
+
+/**
+ * @typedef {Object} DecodedAnimationFrame
+ * @property {(ImageBitmap|VideoFrame)} image Drawable with `CanvasRenderingContext2D.drawImage`.
+ * @property {number} width
+ * @property {number} height
+ * @property {function(): void} close
+ */
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {number} offset
+ * @returns {number}
+ */
+function readUint16(bytes, offset) {
+  return bytes[offset] | (bytes[offset + 1] << 8);
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {number} offset
+ * @returns {number}
+ */
+function readUint24(bytes, offset) {
+  return bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16);
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {number} offset
+ * @returns {number}
+ */
+function readUint32(bytes, offset) {
+  return (readUint24(bytes, offset) + bytes[offset + 3] * 0x1000000) >>> 0;
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {number} offset
+ * @param {number} length
+ * @returns {string}
+ */
+function readAscii(bytes, offset, length) {
+  return String.fromCharCode(...bytes.subarray(offset, offset + length));
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {number} offset Offset of the first sub-block size byte.
+ * @returns {number} Offset just after the block terminator.
+ */
+function skipSubBlocks(bytes, offset) {
+  let cursor = offset;
+  while (cursor < bytes.length) {
+    const size = bytes[cursor];
+    cursor += 1 + size;
+    if (size === 0) break;
+  }
+  return cursor;
+}
+
+/**
+ * Walk the block structure of a GIF without decoding image data.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {(GifInfo|null)} Null when the bytes are not a GIF.
+ */
+export function readGifInfo(bytes) {
+  if (!bytes || bytes.length < 13) return null;
+  const signature = readAscii(bytes, 0, 6);
+  if (signature !== 'GIF87a' && signature !== 'GIF89a') return null;
+
+  const screenFlags = bytes[10];
+  const globalColorTableSize = screenFlags & 0x80 ? 2 ** ((screenFlags & 0x07) + 1) : 0;
+  const info = { width: readUint16(bytes, 6), height: readUint16(bytes, 8), loops: false, frames: [] };
+  let cursor = 13 + globalColorTableSize * 3;
+  let control = { transparentIndex: -1, disposal: 0, delayMs: 0 };
+
+  while (cursor < bytes.length) {
+    const marker = bytes[cursor];
+    if (marker === 0x3b) break;
+
+    if (marker === 0x21) {
+      const label = bytes[cursor + 1];
+      if (label === 0xf9 && bytes[cursor + 2] >= 4) {
+        const flags = bytes[cursor + 3];
+        control = {
+          transparentIndex: flags & 0x01 ? bytes[cursor + 6] : -1,
+          disposal: (flags >> 2) & 0x07,
+          delayMs: readUint16(bytes, cursor + 4) * 10,
+        };
+      } else if (label === 0xff && bytes[cursor + 2] === 11) {
+        const application = readAscii(bytes, cursor + 3, 11);
+        if (application === 'NETSCAPE2.0' || application === 'ANIMEXTS1.0') info.loops = true;
+      }
+      cursor = skipSubBlocks(bytes, cursor + 2);
+      continue;
+    }
+
+    if (marker !== 0x2c || cursor + 10 > bytes.length) break;
+    const descriptor = cursor;
+    const flags = bytes[descriptor + 9];
+    const localColorTableSize = flags & 0x80 ? 2 ** ((flags & 0x07) + 1) : 0;
+    cursor += 10 + localColorTableSize * 3;
+    info.frames.push({
+      left: readUint16(bytes, descriptor + 1),
+      top: readUint16(bytes, descriptor + 3),
+      width: readUint16(bytes, descriptor + 5),
+      height: readUint16(bytes, descriptor + 7),
+      interlaced: !!(flags & 0x40),
+      colorTableOffset: localColorTableSize ? descriptor + 10 : 13,
+      colorTableSize: localColorTableSize || globalColorTableSize,
+      ...control,
+      minCodeSize: bytes[cursor],
+      dataOffset: cursor + 1,
+    });
+    cursor = skipSubBlocks(bytes, cursor + 1);
+    control = { transparentIndex: -1, disposal: 0, delayMs: 0 };
+  }
+
+  return info;
+}
+
+/**
+ * Decode the LZW image data of one GIF frame to color indices.
+ *
+ * @param {Uint8Array} bytes
+ * @param {GifFrame} frame
+ * @returns {Uint8Array} One color index per pixel, in row order (interlacing is not undone).
+ */
+function decodeGifIndices(bytes, frame) {
+  const pixelCount = frame.width * frame.height;
+  const output = new Uint8Array(pixelCount);
+  const minCodeSize = Math.min(11, Math.max(2, frame.minCodeSize));
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const prefix = new Uint16Array(MAX_LZW_CODES);
+  const suffix = new Uint8Array(MAX_LZW_CODES);
+  const stack = new Uint8Array(MAX_LZW_CODES + 1);
+  for (let code = 0; code < clearCode; code += 1) suffix[code] = code;
+
+  let codeSize = minCodeSize + 1;
+  let codeMask = (1 << codeSize) - 1;
+  let available = clearCode + 2;
+  let previous = -1;
+  let first = 0;
+  let datum = 0;
+  let bits = 0;
+  let written = 0;
+  let cursor = frame.dataOffset;
+  let blockRemaining = 0;
+
+  while (written < pixelCount) {
+    while (bits < codeSize) {
+      if (blockRemaining === 0) {
+        blockRemaining = cursor < bytes.length ? bytes[cursor] : 0;
+        cursor += 1;
+        if (blockRemaining === 0) return output;
+      }
+      datum |= bytes[cursor] << bits;
+      cursor += 1;
+      blockRemaining -= 1;
+      bits += 8;
+    }
+    const code = datum & codeMask;
+    datum >>>= codeSize;
+    bits -= codeSize;
+
+    if (code === clearCode) {
+      codeSize = minCodeSize + 1;
+      codeMask = (1 << codeSize) - 1;
+      available = clearCode + 2;
+      previous = -1;
+      continue;
+    }
+    if (code === endCode || code > available) break;
+    if (previous === -1) {
+      if (code >= clearCode) break;
+      output[written] = code;
+      written += 1;
+      previous = code;
+      first = code;
+      continue;
+    }
+
+    let top = 0;
+    let current = code;
+    if (code === available) {
+      stack[top] = first;
+      top += 1;
+      current = previous;
+    }
+    while (current >= clearCode) {
+      stack[top] = suffix[current];
+      top += 1;
+      current = prefix[current];
+    }
+    first = suffix[current];
+    stack[top] = first;
+    top += 1;
+
+    if (available < MAX_LZW_CODES) {
+      prefix[available] = previous;
+      suffix[available] = first;
+      available += 1;
+      if (available === codeMask + 1 && codeSize < 12) {
+        codeSize += 1;
+        codeMask = (1 << codeSize) - 1;
+      }
+    }
+    previous = code;
+    while (top > 0 && written < pixelCount) {
+      top -= 1;
+      output[written] = stack[top];
+      written += 1;
+    }
+  }
+  return output;
+}
+
+/**
+ * @param {number} height
+ * @returns {Array<number>} The image row of each decoded row of an interlaced frame.
+ */
+function interlacedRowOrder(height) {
+  const rows = [];
+  for (const [start, step] of [[0, 8], [4, 8], [2, 4], [1, 2]]) {
+    for (let row = start; row < height; row += step) rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * @param {GifInfo} info
+ * @param {number} index
+ * @returns {boolean} True when the frame fully covers the screen without transparency.
+ */
+function coversScreen(info, index) {
+  const frame = info.frames[index];
+  return frame.left === 0 && frame.top === 0 && frame.width >= info.width && frame.height >= info.height;
+}
+
+/**
+ * @param {GifInfo} info
+ * @param {number} frameIndex
+ * @returns {number} The last frame at or before `frameIndex` that does not depend on earlier frames,
+ *   so a fax with hundreds of full-page frames does not composite all of them for every page.
+ */
+function findKeyFrame(info, frameIndex) {
+  for (let index = frameIndex; index > 0; index -= 1) {
+    if (coversScreen(info, index) && info.frames[index].transparentIndex < 0) return index;
+    const previous = info.frames[index - 1];
+    if (previous.disposal === 2 && coversScreen(info, index - 1)) return index;
+  }
+  return 0;
+}
+
+/**
+ * @param {Uint8ClampedArray} canvas RGBA pixels of the logical screen.
+ * @param {GifInfo} info
+ * @param {GifFrame} frame
+ * @returns {void}
+ */
+function clearFrameArea(canvas, info, frame) {
+  const right = Math.min(info.width, frame.left + frame.width);
+  const bottom = Math.min(info.height, frame.top + frame.height);
+  for (let y = frame.top; y < bottom; y += 1) {
+    canvas.fill(0, (y * info.width + frame.left) * 4, (y * info.width + right) * 4);
+  }
+}
+
+/**
+ * @param {Uint8ClampedArray} canvas RGBA pixels of the logical screen.
+ * @param {Uint8Array} bytes
+ * @param {GifInfo} info
+ * @param {GifFrame} frame
+ * @returns {void}
+ */
+function drawGifFrame(canvas, bytes, info, frame) {
+  const indices = decodeGifIndices(bytes, frame);
+  const rowOrder = frame.interlaced ? interlacedRowOrder(frame.height) : null;
+  for (let row = 0; row < frame.height; row += 1) {
+    const y = frame.top + (rowOrder ? rowOrder[row] : row);
+    if (y >= info.height) continue;
+    for (let column = 0; column < frame.width; column += 1) {
+      const x = frame.left + column;
+      if (x >= info.width) break;
+      const colorIndex = indices[row * frame.width + column];
+      if (colorIndex === frame.transparentIndex || colorIndex >= frame.colorTableSize) continue;
+      const color = frame.colorTableOffset + colorIndex * 3;
+      const pixel = (y * info.width + x) * 4;
+      canvas[pixel] = bytes[color];
+      canvas[pixel + 1] = bytes[color + 1];
+      canvas[pixel + 2] = bytes[color + 2];
+      canvas[pixel + 3] = 255;
+    }
+  }
+}
+
+/**
+ * Decode one GIF frame as it appears on screen, after the disposal of the frames before it.
+ *
+ * @param {Uint8Array} bytes
+ * @param {number} frameIndex
+ * @param {(GifInfo|null)=} gifInfo Parsed structure, when the caller already has it.
+ * @returns {{ width:number, height:number, rgba:Uint8ClampedArray }}
+ */
+export function decodeGifFrame(bytes, frameIndex, gifInfo = null) {
+  const info = gifInfo || readGifInfo(bytes);
+  if (!info || !info.frames.length) throw new Error('GIF source has no image frames');
+  const target = Math.min(Math.max(0, Number(frameIndex) || 0), info.frames.length - 1);
+  const width = Math.max(1, info.width);
+  const height = Math.max(1, info.height);
+  const canvas = new Uint8ClampedArray(width * height * 4);
+
+  for (let index = findKeyFrame(info, target); index <= target; index += 1) {
+    const frame = info.frames[index];
+    const restore = frame.disposal === 3 && index < target ? canvas.slice() : null;
+    drawGifFrame(canvas, bytes, info, frame);
+    if (index === target) break;
+    if (frame.disposal === 2) clearFrameArea(canvas, info, frame);
+    else if (restore) canvas.set(restore);
+  }
+  return { width, height, rgba: canvas };
+}
+
+/**
+ * Walk the RIFF chunks of a WebP file.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {(WebpInfo|null)} Null when the bytes are not a WebP.
+ */
+export function readWebpInfo(bytes) {
+  if (!bytes || bytes.length < 16 || readAscii(bytes, 0, 4) !== 'RIFF' || readAscii(bytes, 8, 4) !== 'WEBP') return null;
+  const delaysMs = [];
+  let animated = false;
+  let cursor = 12;
+  while (cursor + 8 <= bytes.length) {
+    const type = readAscii(bytes, cursor, 4);
+    const size = readUint32(bytes, cursor + 4);
+    if (type === 'VP8X') animated = !!(bytes[cursor + 8] & 0x02);
+    if (type === 'ANMF' && size >= 16) delaysMs.push(readUint24(bytes, cursor + 8 + 12));
+    cursor += 8 + size + (size & 1);
+  }
+  return {
+    animated: animated && delaysMs.length > 0,
+    frameCount: animated ? Math.max(1, delaysMs.length) : 1,
+    delaysMs,
+  };
+}
+
+/**
+ * @returns {boolean} True when the browser can decode single frames of any animated image.
+ */
+function hasImageDecoder() {
+  return typeof globalThis.ImageDecoder === 'function';
+}
+
+/**
+ * @param {string} fileExtension
+ * @returns {boolean}
+ */
+export function isAnimatedImageExtension(fileExtension) {
+  const ext = String(fileExtension || '').toLowerCase();
+  return ext === 'gif' || ext === 'webp';
+}
+
+/**
+ * Number of pages of a GIF or WebP source: one per frame. Animated WebP counts as one page when
+ * its frames cannot be decoded here.
+ *
+ * @param {Uint8Array} bytes
+ * @param {string} fileExtension
+ * @returns {number}
+ */
+export function countAnimationFrames(bytes, fileExtension) {
+  const ext = String(fileExtension || '').toLowerCase();
+  if (ext === 'gif') return Math.max(1, readGifInfo(bytes)?.frames.length || 0);
+  if (ext === 'webp' && hasImageDecoder()) return readWebpInfo(bytes)?.frameCount || 1;
+  return 1;
+}
+
+/**
+ * A multi-frame image is a genuine animation, rather than a stack of scanned pages, when it has
+ * frame delays or asks to loop.
+ *
+ * @param {Uint8Array} bytes
+ * @param {string} fileExtension
+ * @returns {boolean}
+ */
+export function isPlayableAnimation(bytes, fileExtension) {
+  const ext = String(fileExtension || '').toLowerCase();
+  if (ext === 'gif') {
+    const info = readGifInfo(bytes);
+    return !!info && info.frames.length > 1 && (info.loops || info.frames.some((frame) => frame.delayMs > 0));
+  }
+  if (ext === 'webp') {
+    const info = readWebpInfo(bytes);
+    return !!info?.animated && info.frameCount > 1 && info.delaysMs.some((delay) => delay > 0);
+  }
+  return false;
+}
+
+/**
+ * Decode one frame of a GIF or WebP source with `ImageDecoder`, or with the GIF decoder above.
+ *
+ * @param {Uint8Array} bytes
+ * @param {string} fileExtension
+ * @param {number} frameIndex
+ * @param {(GifInfo|null)=} gifInfo Parsed GIF structure, when the caller already has it.
+ * @returns {Promise<(DecodedAnimationFrame|null)>} Null when no decoder can reach the frame.
+ */
+export async function decodeAnimationFrame(bytes, fileExtension, frameIndex, gifInfo = null) {
+  const ext = String(fileExtension || '').toLowerCase();
+  const type = ext === 'gif' ? 'image/gif' : 'image/webp';
+  const index = Math.max(0, Number(frameIndex) || 0);
+
+  if (hasImageDecoder() && await globalThis.ImageDecoder.isTypeSupported(type)) {
+    const decoder = new globalThis.ImageDecoder({ data: bytes, type });
+    try {
+      const { image } = await decoder.decode({ frameIndex: index });
+      return {
+        image,
+        width: image.displayWidth,
+        height: image.displayHeight,
+        close() {
+          try { image.close(); } catch {}
+        },
+      };
+    } finally {
+      try { decoder.close(); } catch {}
+    }
+  }
+
+  if (ext !== 'gif' || typeof createImageBitmap !== 'function') return null;
+  const frame = decodeGifFrame(bytes, index, gifInfo);
+  const bitmap = await createImageBitmap(new ImageData(frame.rgba, frame.width, frame.height));
+  return {
+    image: bitmap,
+    width: bitmap.width,
+    height: bitmap.height,
+    close() {
+      try { bitmap.close(); } catch {}
+    },
+  };
+}
+
+export default {
+  readGifInfo,
+  decodeGifFrame,
+  readWebpInfo,
+  isAnimatedImageExtension,
+  countAnimationFrames,
+  isPlayableAnimation,
+  decodeAnimationFrame,
+};
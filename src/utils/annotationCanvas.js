@@ -0,0 +1,150 @@
+// File: src/utils/annotationCanvas.js
+/**
+ * OpenDocViewer — Draw page annotations onto a 2D canvas.
+ *
+ * The raster counterpart of `annotationPdf.js`, used by page export for TIFF, PNG and JPEG
+ * output. Shapes, colors and note layout follow the PDF renderer; sizes given there in points are
+ * scaled from an A4 page to the drawn box, so a note covers the same share of the page in every
+ * format. Annotations must already be expressed in the orientation of the drawn image.
+ */
+
+import {
+  ANNOTATION_STROKE_WIDTH,
+  HIGHLIGHT_OPACITY,
+  isRedaction,
+  wrapAnnotationText,
+} from './annotations.js';
+
+const NOTE_FILL = '#fff59d';
+const NOTE_TEXT = '#212121';
+// Note metrics of `annotationPdf.js`, in points on the short side of an A4 page.
+const A4_SHORT_SIDE_PT = 595.28;
+const NOTE_FONT_SIZE_PT = 7;
+const NOTE_WIDTH_RATIO = 0.24;
+const NOTE_MAX_LINES = 8;
+const NOTE_PADDING_PT = 3;
+const MIN_STROKE_PT = 0.5;
+
+/**
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {import('./annotations.js').ViewerAnnotation} annotation
+ * @param {{ x:number, y:number, width:number, height:number }} box
+ * @param {number} unit Pixels per A4 point.
+ * @returns {void}
+ */
+function drawNote(ctx, annotation, box, unit) {
+  const fontSize = NOTE_FONT_SIZE_PT * unit;
+  const padding = NOTE_PADDING_PT * unit;
+  const width = Math.max(40 * unit, box.width * NOTE_WIDTH_RATIO);
+  const maxChars = Math.max(8, Math.floor((width - (padding * 2)) / (fontSize * 0.5)));
+  const lines = wrapAnnotationText(annotation.text || '', maxChars, NOTE_MAX_LINES);
+  const lineHeight = fontSize * 1.2;
+  const height = (padding * 2) + Math.max(1, lines.length) * lineHeight;
+  const x = Math.min(box.x + box.width - width, box.x + (annotation.x * box.width));
+  const y = Math.min(box.y + box.height - height, box.y + (annotation.y * box.height));
+
+  ctx.fillStyle = NOTE_FILL;
+  ctx.fillRect(x, y, width, height);
+  ctx.strokeStyle = annotation.color;
+  ctx.lineWidth = MIN_STROKE_PT * unit;
+  ctx.strokeRect(x, y, width, height);
+  if (!lines.length) return;
+  ctx.font = `${fontSize}px Helvetica, Arial, sans-serif`;
+  ctx.fillStyle = NOTE_TEXT;
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'alphabetic';
+  lines.forEach((line, index) => {
+    ctx.fillText(line, x + padding, y + padding + ((index + 0.8) * lineHeight));
+  });
+}
+
+/**
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {import('./annotations.js').ViewerAnnotation} annotation
+ * @param {{ x:number, y:number, width:number, height:number }} box
+ * @param {number} strokeWidth
+ * @returns {void}
+ */
+function drawStamp(ctx, annotation, box, strokeWidth) {
+  const x = box.x + (annotation.x * box.width);
+  const y = box.y + (annotation.y * box.height);
+  const width = annotation.width * box.width;
+  const height = annotation.height * box.height;
+  const label = String(annotation.label || '').trim();
+
+  ctx.strokeStyle = annotation.color;
+  ctx.lineWidth = strokeWidth;
+  ctx.strokeRect(x, y, width, height);
+  if (!label) return;
+  // Same fit rule as the PDF stamp: capitals average about 0.7 em.
+  const fontSize = Math.max(4, Math.min(height * 0.62, (width * 0.9) / Math.max(1, label.length * 0.7)));
+  ctx.font = `bold ${fontSize}px Helvetica, Arial, sans-serif`;
+  ctx.fillStyle = annotation.color;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(label, x + (width / 2), y + (height / 2));
+}
+
+/**
+ * Draw annotations over a page image on a canvas.
+ *
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Array<import('./annotations.js').ViewerAnnotation>} annotations
+ * @param {{ x:number, y:number, width:number, height:number }} box Drawn image box in pixels.
+ * @returns {void}
+ */
+export function drawCanvasAnnotations(ctx, annotations, box) {
+  if (!Array.isArray(annotations) || !annotations.length) return;
+  const shortSide = Math.min(box.width, box.height);
+  const unit = shortSide / A4_SHORT_SIDE_PT;
+  const strokeFor = (type) => Math.max(MIN_STROKE_PT * unit, (ANNOTATION_STROKE_WIDTH[type] || 0) * shortSide);
+
+  ctx.save();
+  for (const annotation of annotations) {
+    // Redactions are burned into the page before annotations are drawn (see `redaction.js`).
+    if (isRedaction(annotation)) continue;
+    if (annotation.type === 'highlight') {
+      ctx.globalAlpha = HIGHLIGHT_OPACITY;
+      ctx.fillStyle = annotation.color;
+      ctx.fillRect(
+        box.x + (annotation.x * box.width),
+        box.y + (annotation.y * box.height),
+        annotation.width * box.width,
+        annotation.height * box.height
+      );
+      ctx.globalAlpha = 1;
+    } else if (annotation.type === 'rect') {
+      ctx.strokeStyle = annotation.color;
+      ctx.lineWidth = strokeFor('rect');
+      ctx.strokeRect(
+        box.x + (annotation.x * box.width),
+        box.y + (annotation.y * box.height),
+        annotation.width * box.width,
+        annotation.height * box.height
+      );
+    } else if (annotation.type === 'ink') {
+      if (!Array.isArray(annotation.points) || annotation.points.length < 2) continue;
+      ctx.strokeStyle = annotation.color;
+      ctx.lineWidth = strokeFor('ink');
+      ctx.lineCap = 'round';
+      ctx.lineJoin = 'round';
+      ctx.beginPath();
+      annotation.points.forEach(([px, py], index) => {
+        const x = box.x + (px * box.width);
+        const y = box.y + (py * box.height);
+        if (index === 0) ctx.moveTo(x, y);
+        else ctx.lineTo(x, y);
+      });
+      ctx.stroke();
+    } else if (annotation.type === 'stamp') {
+      drawStamp(ctx, annotation, box, strokeFor('stamp'));
+    } else if (annotation.type === 'note') {
+      drawNote(ctx, annotation, box, unit);
+    }
+  }
+  ctx.restore();
+}
+
+export default {
+  drawCanvasAnnotations,
+};
@@ -0,0 +1,172 @@
+// File: src/utils/annotationPdf.js
+/**
+ * OpenDocViewer — Draw page annotations onto a jsPDF page.
+ *
+ * Shared by the main-thread PDF backend (`printPdf.js`) and the PDF worker, so it only touches the
+ * jsPDF instance it is given. Annotations must already be expressed in the orientation of the
+ * printed image (see `rotateAnnotation()`); `box` is where that image was drawn, in points.
+ */
+
+import {
+  ANNOTATION_STROKE_WIDTH,
+  HIGHLIGHT_OPACITY,
+  isRedaction,
+  wrapAnnotationText,
+} from './annotations.js';
+
+const NOTE_FILL = Object.freeze([255, 245, 157]);
+const NOTE_TEXT = Object.freeze([33, 33, 33]);
+const NOTE_FONT_SIZE_PT = 7;
+const NOTE_WIDTH_RATIO = 0.24;
+const NOTE_MAX_LINES = 8;
+const NOTE_PADDING_PT = 3;
+const MIN_STROKE_PT = 0.5;
+
+/**
+ * @param {string} color `#rrggbb`
+ * @returns {Array<number>}
+ */
+function hexToRgb(color) {
+  const value = /^#([0-9a-f]{6})$/i.exec(String(color || ''));
+  const n = value ? parseInt(value[1], 16) : 0;
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+}
+
+/**
+ * Run `draw` with a fill/stroke opacity when the jsPDF build supports graphics states.
+ *
+ * @param {*} pdf
+ * @param {number} opacity
+ * @param {function(): void} draw
+ * @returns {void}
+ */
+function withOpacity(pdf, opacity, draw) {
+  let restore = false;
+  try {
+    if (typeof pdf.GState === 'function' && typeof pdf.setGState === 'function') {
+      pdf.setGState(new pdf.GState({ opacity }));
+      restore = true;
+    }
+  } catch {
+    // Without GState support the shape is drawn opaque, which still marks the area.
+  }
+  draw();
+  if (restore) {
+    try { pdf.setGState(new pdf.GState({ opacity: 1 })); } catch {}
+  }
+}
+
+/**
+ * @param {*} pdf
+ * @param {import('./annotations.js').ViewerAnnotation} annotation
+ * @param {{ x:number, y:number, width:number, height:number }} box
+ * @returns {void}
+ */
+function drawNote(pdf, annotation, box) {
+  const width = Math.max(40, box.width * NOTE_WIDTH_RATIO);
+  const maxChars = Math.max(8, Math.floor((width - (NOTE_PADDING_PT * 2)) / (NOTE_FONT_SIZE_PT * 0.5)));
+  const lines = wrapAnnotationText(annotation.text || '', maxChars, NOTE_MAX_LINES);
+  const lineHeight = NOTE_FONT_SIZE_PT * 1.2;
+  const height = (NOTE_PADDING_PT * 2) + Math.max(1, lines.length) * lineHeight;
+  const x = Math.min(box.x + box.width - width, box.x + (annotation.x * box.width));
+  const y = Math.min(box.y + box.height - height, box.y + (annotation.y * box.height));
+
+  const [r, g, b] = hexToRgb(annotation.color);
+  pdf.setFillColor(NOTE_FILL[0], NOTE_FILL[1], NOTE_FILL[2]);
+  pdf.setDrawColor(r, g, b);
+  pdf.setLineWidth(MIN_STROKE_PT);
+  pdf.rect(x, y, width, height, 'FD');
+  if (!lines.length) return;
+  pdf.setFont('helvetica', 'normal');
+  pdf.setFontSize(NOTE_FONT_SIZE_PT);
+  pdf.setTextColor(NOTE_TEXT[0], NOTE_TEXT[1], NOTE_TEXT[2]);
+  lines.forEach((line, index) => {
+    pdf.text(line, x + NOTE_PADDING_PT, y + NOTE_PADDING_PT + ((index + 0.8) * lineHeight));
+  });
+}
+
+/**
+ * @param {*} pdf
+ * @param {import('./annotations.js').ViewerAnnotation} annotation
+ * @param {{ x:number, y:number, width:number, height:number }} box
+ * @param {number} strokeWidth
+ * @returns {void}
+ */
+function drawStamp(pdf, annotation, box, strokeWidth) {
+  const x = box.x + (annotation.x * box.width);
+  const y = box.y + (annotation.y * box.height);
+  const width = annotation.width * box.width;
+  const height = annotation.height * box.height;
+  const label = String(annotation.label || '').trim();
+  const [r, g, b] = hexToRgb(annotation.color);
+
+  pdf.setDrawColor(r, g, b);
+  pdf.setLineWidth(strokeWidth);
+  pdf.rect(x, y, width, height, 'S');
+  if (!label) return;
+  pdf.setFont('helvetica', 'bold');
+  // Helvetica capitals average about 0.7 em; fit the label to both the frame height and width.
+  const fontSize = Math.max(4, Math.min(height * 0.62, (width * 0.9) / Math.max(1, label.length * 0.7)));
+  pdf.setFontSize(fontSize);
+  pdf.setTextColor(r, g, b);
+  pdf.text(label, x + (width / 2), y + (height / 2), { align: 'center', baseline: 'middle' });
+}
+
+/**
+ * Draw annotations over a printed page image.
+ *
+ * @param {*} pdf jsPDF instance with the target page active.
+ * @param {Array<import('./annotations.js').ViewerAnnotation>} annotations
+ * @param {{ x:number, y:number, width:number, height:number }} box Drawn image box in points.
+ * @returns {void}
+ */
+export function drawPdfAnnotations(pdf, annotations, box) {
+  if (!Array.isArray(annotations) || !annotations.length) return;
+  const shortSide = Math.min(box.width, box.height);
+  const strokeFor = (type) => Math.max(MIN_STROKE_PT, (ANNOTATION_STROKE_WIDTH[type] || 0) * shortSide);
+
+  for (const annotation of annotations) {
+    // Redactions are burned into the page image before PDF generation (see `redaction.js`).
+    if (isRedaction(annotation)) continue;
+    const [r, g, b] = hexToRgb(annotation.color);
+    if (annotation.type === 'highlight') {
+      withOpacity(pdf, HIGHLIGHT_OPACITY, () => {
+        pdf.setFillColor(r, g, b);
+        pdf.rect(
+          box.x + (annotation.x * box.width),
+          box.y + (annotation.y * box.height),
+          annotation.width * box.width,
+          annotation.height * box.height,
+          'F'
+        );
+      });
+    } else if (annotation.type === 'rect') {
+      pdf.setDrawColor(r, g, b);
+      pdf.setLineWidth(strokeFor('rect'));
+      pdf.rect(
+        box.x + (annotation.x * box.width),
+        box.y + (annotation.y * box.height),
+        annotation.width * box.width,
+        annotation.height * box.height,
+        'S'
+      );
+    } else if (annotation.type === 'ink') {
+      pdf.setDrawColor(r, g, b);
+      pdf.setLineWidth(strokeFor('ink'));
+      if (typeof pdf.setLineCap === 'function') pdf.setLineCap('round');
+      if (typeof pdf.setLineJoin === 'function') pdf.setLineJoin('round');
+      const points = annotation.points.map(([px, py]) => [box.x + (px * box.width), box.y + (py * box.height)]);
+      for (let i = 1; i < points.length; i += 1) {
+        pdf.line(points[i - 1][0], points[i - 1][1], points[i][0], points[i][1]);
+      }
+    } else if (annotation.type === 'stamp') {
+      drawStamp(pdf, annotation, box, strokeFor('stamp'));
+    } else if (annotation.type === 'note') {
+      drawNote(pdf, annotation, box);
+    }
+  }
+}
+
+export default {
+  drawPdfAnnotations,
+};
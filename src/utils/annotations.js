@@ -0,0 +1,348 @@
+// File: src/utils/annotations.js
+/**
+ * OpenDocViewer — Page annotation model.
+ *
+ * Annotations are stored per page with coordinates as fractions of the unrotated page (0..1, origin
+ * at the top-left corner). That keeps them valid at every zoom level and raster resolution, and a
+ * rotated view only needs a quarter-turn mapping (`rotateAnnotation()`), which the viewer layer and
+ * both print paths share.
+ *
+ * A page is addressed by `documentId` and `page`, the 1-based page inside that document, so bundle
+ * annotations stay attached when documents are appended or removed. Pages without a document id
+ * use `documentId: null` and the session page number.
+ *
+ * Kinds:
+ *   - `rect`      outlined rectangle
+ *   - `highlight` translucent filled rectangle
+ *   - `note`      sticky note anchored at a point, with free text
+ *   - `ink`       freehand polyline (`points`)
+ *   - `stamp`     predefined stamp drawn as a framed label in a rectangle
+ *   - `redact`    opaque black rectangle; printing burns it into the page raster
+ *                 (`src/utils/redaction.js`) instead of drawing it on top
+ *
+ * This module has no DOM or React dependencies; the PDF worker imports it too.
+ */
+
+import { createOpaqueId } from './idUtils.js';
+
+/** Version of the exported annotation JSON. */
+export const ANNOTATION_SCHEMA_VERSION = 1;
+
+/** @type {ReadonlyArray<string>} */
+export const ANNOTATION_TYPES = Object.freeze(['rect', 'highlight', 'note', 'ink', 'stamp', 'redact']);
+
+/**
+ * Predefined stamps. `label` is the English fallback; the toolbar stores the translated label on
+ * the annotation so the viewer and printouts show the same text.
+ * @type {ReadonlyArray<{ id:string, label:string, color:string }>}
+ */
+export const ANNOTATION_STAMPS = Object.freeze([
+  Object.freeze({ id: 'approved', label: 'APPROVED', color: '#2e7d32' }),
+  Object.freeze({ id: 'rejected', label: 'REJECTED', color: '#c62828' }),
+  Object.freeze({ id: 'reviewed', label: 'REVIEWED', color: '#1565c0' }),
+  Object.freeze({ id: 'draft', label: 'DRAFT', color: '#6d4c41' }),
+  Object.freeze({ id: 'confidential', label: 'CONFIDENTIAL', color: '#c62828' }),
+]);
+
+/** Default colors by kind. Stamps use the color of their stamp. */
+export const ANNOTATION_DEFAULT_COLORS = Object.freeze({
+  rect: '#d32f2f',
+  highlight: '#ffeb3b',
+  note: '#fbc02d',
+  ink: '#1565c0',
+  stamp: '#c62828',
+  redact: '#000000',
+});
+
+/** Stroke widths as a fraction of the shorter page side. */
+export const ANNOTATION_STROKE_WIDTH = Object.freeze({
+  rect: 0.003,
+  ink: 0.004,
+  stamp: 0.004,
+});
+
+/** Fill opacity of highlights. */
+export const HIGHLIGHT_OPACITY = 0.35;
+
+/** Default stamp size as a fraction of the page width and height. */
+export const DEFAULT_STAMP_SIZE = Object.freeze({ width: 0.3, height: 0.07 });
+
+const MAX_NOTE_TEXT_LENGTH = 4000;
+const MAX_INK_POINTS = 2000;
+const COLOR_RE = /^#[0-9a-f]{6}$/i;
+
+/**
+ * @typedef {Object} ViewerAnnotation
+ * @property {string} id
+ * @property {('rect'|'highlight'|'note'|'ink'|'stamp'|'redact')} type
+ * @property {(string|null)} documentId
+ * @property {number} page 1-based page inside the document (session page without a document id).
+ * @property {string} color `#rrggbb`
+ * @property {number=} x Left edge (note: anchor point).
+ * @property {number=} y Top edge (note: anchor point).
+ * @property {number=} width
+ * @property {number=} height
+ * @property {Array<Array<number>>=} points Ink points as `[x, y]` pairs.
+ * @property {string=} text Note text.
+ * @property {string=} stamp Stamp id.
+ * @property {string=} label Stamp text.
+ * @property {string=} author
+ * @property {string=} createdAt ISO timestamp.
+ */
+
+/**
+ * @param {*} value
+ * @returns {number}
+ */
+function clampFraction(value) {
+  const n = Number(value);
+  if (!Number.isFinite(n)) return 0;
+  return Math.max(0, Math.min(1, n));
+}
+
+/**
+ * @param {*} value
+ * @returns {(number|null)}
+ */
+function toPositiveIntOrNull(value) {
+  const n = Math.floor(Number(value));
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+/**
+ * @param {*} value
+ * @returns {number}
+ */
+export function normalizeAnnotationRotation(value) {
+  const quarterTurns = Math.round((Number(value) || 0) / 90);
+  return (((quarterTurns * 90) % 360) + 360) % 360;
+}
+
+/**
+ * @param {string} stampId
+ * @returns {({ id:string, label:string, color:string }|null)}
+ */
+export function getAnnotationStamp(stampId) {
+  return ANNOTATION_STAMPS.find((stamp) => stamp.id === stampId) || null;
+}
+
+/**
+ * Resolve the page address of a viewer page entry.
+ *
+ * @param {*} page Viewer page entry.
+ * @param {number} pageIndex 0-based session page index.
+ * @returns {{ documentId:(string|null), page:number }}
+ */
+export function getPageAnnotationTarget(page, pageIndex) {
+  const documentId = page?.documentId ? String(page.documentId) : null;
+  const documentPage = toPositiveIntOrNull(page?.documentPageNumber);
+  if (documentId && documentPage) return { documentId, page: documentPage };
+  return { documentId: null, page: Math.max(1, Math.floor(Number(pageIndex) || 0) + 1) };
+}
+
+/**
+ * @param {(string|null)} documentId
+ * @param {number} page
+ * @returns {string}
+ */
+export function getAnnotationPageKey(documentId, page) {
+  return `${documentId == null ? '' : String(documentId)}#${Math.floor(Number(page) || 0)}`;
+}
+
+/**
+ * @param {*} page Viewer page entry.
+ * @param {number} pageIndex 0-based session page index.
+ * @returns {string}
+ */
+export function getPageAnnotationKey(page, pageIndex) {
+  const target = getPageAnnotationTarget(page, pageIndex);
+  return getAnnotationPageKey(target.documentId, target.page);
+}
+
+/**
+ * Validate one annotation. Unknown fields are dropped; coordinates are clamped to the page.
+ *
+ * @param {*} input
+ * @returns {(ViewerAnnotation|null)} `null` when the entry cannot be drawn.
+ */
+export function normalizeAnnotation(input) {
+  if (!input || typeof input !== 'object') return null;
+  const type = String(input.type || '').trim().toLowerCase();
+  if (!ANNOTATION_TYPES.includes(type)) return null;
+  const page = toPositiveIntOrNull(input.page);
+  if (!page) return null;
+
+  const documentId = input.documentId == null || input.documentId === '' ? null : String(input.documentId);
+  const stamp = type === 'stamp' ? (getAnnotationStamp(String(input.stamp || '')) || ANNOTATION_STAMPS[0]) : null;
+  const fallbackColor = stamp ? stamp.color : ANNOTATION_DEFAULT_COLORS[type];
+  const color = type !== 'redact' && typeof input.color === 'string' && COLOR_RE.test(input.color)
+    ? input.color.toLowerCase()
+    : fallbackColor;
+  const id = typeof input.id === 'string' && input.id.trim() ? input.id.trim() : createOpaqueId('annotation');
+
+  /** @type {ViewerAnnotation} */
+  const out = { id, type: /** @type {*} */ (type), documentId, page, color };
+
+  if (type === 'ink') {
+    const points = (Array.isArray(input.points) ? input.points : [])
+      .slice(0, MAX_INK_POINTS)
+      .map((point) => (Array.isArray(point) ? point : [point?.x, point?.y]))
+      .filter((point) => Number.isFinite(Number(point[0])) && Number.isFinite(Number(point[1])))
+      .map((point) => [clampFraction(point[0]), clampFraction(point[1])]);
+    if (points.length < 2) return null;
+    out.points = points;
+  } else if (type === 'note') {
+    out.x = clampFraction(input.x);
+    out.y = clampFraction(input.y);
+    out.text = typeof input.text === 'string' ? input.text.slice(0, MAX_NOTE_TEXT_LENGTH) : '';
+  } else {
+    const x = clampFraction(input.x);
+    const y = clampFraction(input.y);
+    const width = Math.min(1 - x, clampFraction(input.width));
+    const height = Math.min(1 - y, clampFraction(input.height));
+    if (width <= 0 || height <= 0) return null;
+    Object.assign(out, { x, y, width, height });
+  }
+
+  if (stamp) {
+    out.stamp = stamp.id;
+    out.label = typeof input.label === 'string' && input.label.trim() ? input.label.trim().slice(0, 40) : stamp.label;
+  }
+  if (typeof input.author === 'string' && input.author) out.author = input.author;
+  if (typeof input.createdAt === 'string' && input.createdAt) out.createdAt = input.createdAt;
+  return out;
+}
+
+/**
+ * @param {*} annotation
+ * @returns {boolean}
+ */
+export function isRedaction(annotation) {
+  return annotation?.type === 'redact';
+}
+
+/**
+ * Validate a list of annotations, dropping invalid entries and duplicate ids.
+ *
+ * @param {*} list
+ * @returns {Array<ViewerAnnotation>}
+ */
+export function normalizeAnnotationList(list) {
+  if (!Array.isArray(list)) return [];
+  const seen = new Set();
+  const out = [];
+  for (const entry of list) {
+    const annotation = normalizeAnnotation(entry);
+    if (!annotation || seen.has(annotation.id)) continue;
+    seen.add(annotation.id);
+    out.push(annotation);
+  }
+  return out;
+}
+
+/**
+ * Group annotations by page key, keeping list order inside each page.
+ *
+ * @param {Array<ViewerAnnotation>} list
+ * @returns {Map<string, Array<ViewerAnnotation>>}
+ */
+export function groupAnnotationsByPage(list) {
+  const byPage = new Map();
+  for (const annotation of Array.isArray(list) ? list : []) {
+    const key = getAnnotationPageKey(annotation.documentId, annotation.page);
+    const entries = byPage.get(key);
+    if (entries) entries.push(annotation);
+    else byPage.set(key, [annotation]);
+  }
+  return byPage;
+}
+
+/**
+ * Map a page-fraction point through a clockwise quarter-turn rotation.
+ *
+ * @param {number} x
+ * @param {number} y
+ * @param {number} rotation 0, 90, 180 or 270.
+ * @returns {Array<number>} `[x, y]` in the rotated page.
+ */
+export function rotatePagePoint(x, y, rotation) {
+  switch (normalizeAnnotationRotation(rotation)) {
+    case 90: return [1 - y, x];
+    case 180: return [1 - x, 1 - y];
+    case 270: return [y, 1 - x];
+    default: return [x, y];
+  }
+}
+
+/**
+ * Express an annotation in the coordinates of the page rotated clockwise by `rotation`. Rotating by
+ * `360 - rotation` maps it back, which is how the viewer stores shapes drawn on a rotated page.
+ * Stamps keep their text upright, so only their frame moves.
+ *
+ * @param {ViewerAnnotation} annotation
+ * @param {number} rotation
+ * @returns {ViewerAnnotation}
+ */
+export function rotateAnnotation(annotation, rotation) {
+  const turn = normalizeAnnotationRotation(rotation);
+  if (!turn || !annotation) return annotation;
+  if (annotation.type === 'ink') {
+    return { ...annotation, points: annotation.points.map(([x, y]) => rotatePagePoint(x, y, turn)) };
+  }
+  if (annotation.type === 'note') {
+    const [x, y] = rotatePagePoint(annotation.x, annotation.y, turn);
+    return { ...annotation, x, y };
+  }
+  const [x1, y1] = rotatePagePoint(annotation.x, annotation.y, turn);
+  const [x2, y2] = rotatePagePoint(annotation.x + annotation.width, annotation.y + annotation.height, turn);
+  return {
+    ...annotation,
+    x: Math.min(x1, x2),
+    y: Math.min(y1, y2),
+    width: Math.abs(x2 - x1),
+    height: Math.abs(y2 - y1),
+  };
+}
+
+/**
+ * Split note text into at most `maxLines` lines of about `maxChars` characters for print output.
+ *
+ * @param {string} text
+ * @param {number} maxChars
+ * @param {number} maxLines
+ * @returns {Array<string>}
+ */
+export function wrapAnnotationText(text, maxChars, maxLines) {
+  const lines = [];
+  const limit = Math.max(1, Math.floor(maxChars));
+  for (const paragraph of String(text || '').split(/\r?\n/)) {
+    let line = '';
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      const chunks = word.length > limit ? word.match(new RegExp(`.{1,${limit}}`, 'g')) : [word];
+      for (const chunk of chunks) {
+        if (!line) line = chunk;
+        else if (line.length + 1 + chunk.length <= limit) line += ` ${chunk}`;
+        else {
+          lines.push(line);
+          line = chunk;
+        }
+      }
+    }
+    lines.push(line);
+  }
+  while (lines.length && !lines[lines.length - 1]) lines.pop();
+  if (lines.length <= maxLines) return lines;
+  const kept = lines.slice(0, Math.max(1, maxLines));
+  kept[kept.length - 1] = `${kept[kept.length - 1].slice(0, Math.max(0, limit - 1))}…`;
+  return kept;
+}
+
+export default {
+  isRedaction,
+  normalizeAnnotation,
+  normalizeAnnotationList,
+  groupAnnotationsByPage,
+  getPageAnnotationTarget,
+  getPageAnnotationKey,
+  rotateAnnotation,
+};
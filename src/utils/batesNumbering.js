@@ -0,0 +1,240 @@
+// File: src/utils/batesNumbering.js
+/**
+ * OpenDocViewer — Bates numbering for printed and exported pages.
+ *
+ * A Bates number is a prefix followed by a zero-padded sequence number, e.g. `ACME000123`. Every
+ * printed or exported page of a job gets the next number in output order, so the counter runs on
+ * across document boundaries. The viewer remembers the number after the last stamped page for the
+ * next job, print or export alike; hosts set it with `window.ODV.setBatesStart(n)` to continue an
+ * earlier production.
+ *
+ * The numbers reach the output in two ways:
+ *   - the stamp layer, drawn in a corner of every page by `printDom.js`, by both PDF backends and by
+ *     `pageExport.js` (`drawPdfBatesStamp()` and `drawCanvasBatesStamp()` only touch the jsPDF
+ *     instance or canvas context they are given, like `annotationPdf.js`);
+ *   - the `{{bates}}`, `{{batesNumber}}`, `{{batesFirst}}` and `{{batesLast}}` template tokens
+ *     added by `makePageTokenContext()` in `printTemplate.js`.
+ */
+
+/** Stamp positions, in the order the print dialog offers them. */
+export const BATES_POSITIONS = Object.freeze([
+  'bottom-right',
+  'bottom-center',
+  'bottom-left',
+  'top-right',
+  'top-center',
+  'top-left',
+]);
+
+export const BATES_MIN_DIGITS = 1;
+export const BATES_MAX_DIGITS = 12;
+export const BATES_DEFAULT_DIGITS = 6;
+export const BATES_MAX_PREFIX_LENGTH = 40;
+
+/** Stamp text size in generated PDFs; the HTML stamp uses the same size in CSS points. */
+export const BATES_FONT_SIZE_PT = 9;
+const BATES_PADDING_PT = 2;
+const BATES_MIN_INSET_PT = 4;
+
+/**
+ * @typedef {('bottom-right'|'bottom-center'|'bottom-left'|'top-right'|'top-center'|'top-left')} BatesPosition
+ */
+
+/**
+ * Bates settings of one print job.
+ * @typedef {Object} BatesSettings
+ * @property {string} prefix
+ * @property {number} startNumber Number of the first printed page.
+ * @property {number} digits      Minimum digit count; shorter numbers are zero-padded.
+ * @property {BatesPosition} position
+ */
+
+/**
+ * @typedef {Object} BatesRange
+ * @property {string} first Formatted number of the first page.
+ * @property {string} last  Formatted number of the last page.
+ * @property {number} nextNumber Start number for the next job.
+ */
+
+/**
+ * @param {*} value
+ * @param {number} fallback
+ * @returns {number} A non-negative safe integer.
+ */
+export function normalizeBatesNumber(value, fallback = 1) {
+  const number = Number(value);
+  return Number.isSafeInteger(number) && number >= 0 ? number : fallback;
+}
+
+/**
+ * @param {*} value
+ * @returns {BatesPosition}
+ */
+export function normalizeBatesPosition(value) {
+  const position = String(value || '').trim().toLowerCase();
+  return BATES_POSITIONS.includes(position) ? /** @type {BatesPosition} */ (position) : 'bottom-right';
+}
+
+/**
+ * Validate Bates settings from the print dialog or runtime config. Returns `null` when the value
+ * is missing or `enabled` is explicitly `false`.
+ *
+ * @param {*} value
+ * @returns {(BatesSettings|null)}
+ */
+export function normalizeBatesSettings(value) {
+  if (!value || typeof value !== 'object' || value.enabled === false) return null;
+  const digits = Math.floor(Number(value.digits));
+  return {
+    prefix: String(value.prefix ?? '').replace(/\p{Cc}+/gu, '').trim().slice(0, BATES_MAX_PREFIX_LENGTH),
+    startNumber: normalizeBatesNumber(value.startNumber, 1),
+    digits: Number.isFinite(digits) ? Math.max(BATES_MIN_DIGITS, Math.min(BATES_MAX_DIGITS, digits)) : BATES_DEFAULT_DIGITS,
+    position: normalizeBatesPosition(value.position),
+  };
+}
+
+/**
+ * @param {BatesSettings} settings
+ * @param {number} number
+ * @returns {string}
+ */
+export function formatBatesNumber(settings, number) {
+  return `${settings.prefix}${String(number).padStart(settings.digits, '0')}`;
+}
+
+/**
+ * @param {(BatesSettings|null)} settings
+ * @param {number} pageCount Number of printed pages.
+ * @returns {(BatesRange|null)}
+ */
+export function describeBatesRange(settings, pageCount) {
+  const count = Math.max(0, Math.floor(Number(pageCount) || 0));
+  if (!settings || count === 0) return null;
+  const lastNumber = settings.startNumber + count - 1;
+  return {
+    first: formatBatesNumber(settings, settings.startNumber),
+    last: formatBatesNumber(settings, lastNumber),
+    nextNumber: lastNumber + 1,
+  };
+}
+
+/**
+ * Stamp of one page of a job, or `null` without Bates settings.
+ *
+ * @param {(BatesSettings|null)} settings
+ * @param {number} index 0-based position of the page in the job.
+ * @returns {({ text:string, position:BatesPosition }|null)}
+ */
+export function makeBatesStamp(settings, index) {
+  if (!settings || !Number.isInteger(index) || index < 0) return null;
+  return { text: formatBatesNumber(settings, settings.startNumber + index), position: settings.position };
+}
+
+/**
+ * Template tokens of one printed page. Without Bates settings or a page position all tokens are
+ * empty strings, so `[[{{bates}}, "..."]]` blocks drop out.
+ *
+ * @param {(BatesSettings|null)} settings
+ * @param {number} index 0-based position of the page in the print job.
+ * @param {number} total Number of printed pages.
+ * @returns {{ bates:string, batesNumber:string, batesFirst:string, batesLast:string }}
+ */
+export function makeBatesTokens(settings, index, total) {
+  const range = describeBatesRange(settings, total);
+  if (!range || !Number.isInteger(index) || index < 0 || index >= total) {
+    return { bates: '', batesNumber: '', batesFirst: '', batesLast: '' };
+  }
+  const number = settings.startNumber + index;
+  return {
+    bates: formatBatesNumber(settings, number),
+    batesNumber: String(number),
+    batesFirst: range.first,
+    batesLast: range.last,
+  };
+}
+
+/**
+ * Draw one Bates stamp on a jsPDF page: black text on a white box, inside the corner or edge
+ * of `cell` given by `position`. Vector page content is placed underneath later, so the stamp
+ * stays visible on every page type.
+ *
+ * @param {*} pdf jsPDF instance.
+ * @param {({ text:string, position:BatesPosition }|null)} stamp
+ * @param {{x:number, y:number, width:number, height:number}} cell Page area in points.
+ * @param {number} marginPt Page margin; the stamp sits inside it when it is wide enough.
+ * @returns {void}
+ */
+export function drawPdfBatesStamp(pdf, stamp, cell, marginPt) {
+  const text = String(stamp?.text || '');
+  if (!text) return;
+  const inset = Math.max(BATES_MIN_INSET_PT, Math.max(0, Number(marginPt) || 0) / 2);
+  pdf.setFont('helvetica', 'bold');
+  pdf.setFontSize(BATES_FONT_SIZE_PT);
+  const box = placeBatesStamp(stamp.position, pdf.getTextWidth(text), 1, cell, inset);
+
+  pdf.setFillColor(255, 255, 255);
+  pdf.rect(box.x, box.y, box.width, box.height, 'F');
+  pdf.setTextColor(0, 0, 0);
+  pdf.text(text, box.x + BATES_PADDING_PT, box.y + BATES_PADDING_PT + (BATES_FONT_SIZE_PT * 0.8));
+}
+
+/**
+ * Draw one Bates stamp on a canvas page, the raster counterpart of `drawPdfBatesStamp()`. Sizes
+ * are given in points and scaled by `pxPerPt`, so the stamp keeps its size relative to the page.
+ *
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {({ text:string, position:BatesPosition }|null)} stamp
+ * @param {{x:number, y:number, width:number, height:number}} cell Page area in pixels.
+ * @param {number} pxPerPt
+ * @returns {void}
+ */
+export function drawCanvasBatesStamp(ctx, stamp, cell, pxPerPt) {
+  const text = String(stamp?.text || '');
+  if (!text) return;
+  const scale = Number(pxPerPt) > 0 ? Number(pxPerPt) : 1;
+  ctx.save();
+  ctx.font = `bold ${BATES_FONT_SIZE_PT * scale}px Helvetica, Arial, sans-serif`;
+  ctx.textBaseline = 'alphabetic';
+  const box = placeBatesStamp(stamp.position, ctx.measureText(text).width, scale, cell, BATES_MIN_INSET_PT * scale);
+
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(box.x, box.y, box.width, box.height);
+  ctx.fillStyle = '#000000';
+  ctx.fillText(text, box.x + (BATES_PADDING_PT * scale), box.y + ((BATES_PADDING_PT + (BATES_FONT_SIZE_PT * 0.8)) * scale));
+  ctx.restore();
+}
+
+/**
+ * Box of a stamp inside the corner or edge of `cell` given by `position`.
+ *
+ * @param {*} position
+ * @param {number} textWidth Width of the stamp text, in cell units.
+ * @param {number} scale     Cell units per point.
+ * @param {{x:number, y:number, width:number, height:number}} cell
+ * @param {number} inset     Distance from the cell edges, in cell units.
+ * @returns {{x:number, y:number, width:number, height:number}}
+ */
+function placeBatesStamp(position, textWidth, scale, cell, inset) {
+  const place = normalizeBatesPosition(position);
+  const width = textWidth + (BATES_PADDING_PT * 2 * scale);
+  const height = (BATES_FONT_SIZE_PT + (BATES_PADDING_PT * 2)) * scale;
+
+  let x = cell.x + inset;
+  if (place.endsWith('-right')) x = cell.x + cell.width - inset - width;
+  else if (place.endsWith('-center')) x = cell.x + ((cell.width - width) / 2);
+  const y = place.startsWith('top-') ? cell.y + inset : cell.y + cell.height - inset - height;
+  return { x, y, width, height };
+}
+
+export default {
+  BATES_POSITIONS,
+  normalizeBatesNumber,
+  normalizeBatesPosition,
+  normalizeBatesSettings,
+  formatBatesNumber,
+  describeBatesRange,
+  makeBatesStamp,
+  makeBatesTokens,
+  drawPdfBatesStamp,
+  drawCanvasBatesStamp,
+};
@@ -0,0 +1,98 @@
+// File: src/utils/code128.js
+/**
+ * OpenDocViewer — Code 128 barcodes for printed separator sheets.
+ *
+ * Encodes printable ASCII (code set B) into bar and space widths. Scanners read the result without
+ * configuration, which is why separator sheets use it for the document id. Text with characters
+ * outside code set B is not encoded; callers then print no barcode.
+ *
+ * Only `drawPdfCode128()` touches a jsPDF instance; the HTML print path draws the widths as SVG.
+ */
+
+/**
+ * Bar/space widths of symbol values 0–106, in modules, starting with a bar. 103–105 are the start
+ * codes A, B and C; 106 is the stop code with its final bar.
+ */
+const PATTERNS = Object.freeze([
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+  '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+  '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+  '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+  '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+  '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+  '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+  '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+  '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+  '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+  '114131', '311141', '411131', '211412', '211214', '211232', '2331112',
+]);
+
+const START_B = 104;
+const STOP = 106;
+const CHECKSUM_MODULO = 103;
+const FIRST_CODE_B_CHAR = 32;
+const LAST_CODE_B_CHAR = 126;
+
+/** Blank modules required on each side of the symbol. */
+export const CODE128_QUIET_ZONE_MODULES = 10;
+
+/** Longest text encoded; longer ids would not fit across a page at a scannable module width. */
+export const CODE128_MAX_LENGTH = 40;
+
+/**
+ * @param {*} text
+ * @returns {(Array<number>|null)} Bar/space widths in modules, starting with a bar, or `null`
+ *   when the text is empty, too long or has characters outside code set B.
+ */
+export function encodeCode128(text) {
+  const value = String(text ?? '');
+  if (!value || value.length > CODE128_MAX_LENGTH) return null;
+
+  const symbols = [START_B];
+  for (let index = 0; index < value.length; index += 1) {
+    const code = value.charCodeAt(index);
+    if (code < FIRST_CODE_B_CHAR || code > LAST_CODE_B_CHAR) return null;
+    symbols.push(code - FIRST_CODE_B_CHAR);
+  }
+  const checksum = symbols.reduce((sum, symbol, position) => sum + (symbol * Math.max(1, position)), 0) % CHECKSUM_MODULO;
+  symbols.push(checksum, STOP);
+
+  return symbols.flatMap((symbol) => Array.from(PATTERNS[symbol], Number));
+}
+
+/**
+ * @param {Array<number>} widths
+ * @returns {number} Symbol width in modules, without quiet zones.
+ */
+export function getCode128ModuleCount(widths) {
+  return (Array.isArray(widths) ? widths : []).reduce((sum, width) => sum + width, 0);
+}
+
+/**
+ * Draw encoded widths as black bars on a jsPDF page.
+ *
+ * @param {*} pdf jsPDF instance.
+ * @param {Array<number>} widths Result of `encodeCode128()`.
+ * @param {number} x Left edge of the first bar in points.
+ * @param {number} y Top edge in points.
+ * @param {number} moduleWidth Width of one module in points.
+ * @param {number} height Bar height in points.
+ * @returns {void}
+ */
+export function drawPdfCode128(pdf, widths, x, y, moduleWidth, height) {
+  if (!Array.isArray(widths) || !widths.length) return;
+  pdf.setFillColor(0, 0, 0);
+  let offset = 0;
+  widths.forEach((width, index) => {
+    if (index % 2 === 0) pdf.rect(x + (offset * moduleWidth), y, width * moduleWidth, height, 'F');
+    offset += width;
+  });
+}
+
+export default {
+  CODE128_QUIET_ZONE_MODULES,
+  CODE128_MAX_LENGTH,
+  encodeCode128,
+  getCode128ModuleCount,
+  drawPdfCode128,
+};
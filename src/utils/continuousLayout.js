@@ -0,0 +1,207 @@
+// File: src/utils/continuousLayout.js
+/**
+ * OpenDocViewer — Geometry for the continuous (vertically stacked) page layout.
+ *
+ * The continuous renderer only mounts the pages near the scroll position, so it needs the height
+ * of every page up front to size the scroll area and to map a scroll offset back to a page. These
+ * helpers keep that math free of React and the DOM:
+ *
+ *   - page sizes come from the loaded raster when known, otherwise from the page aspect ratio
+ *     reported so far (thumbnails patch `realWidth`/`realHeight`) scaled to a reference width
+ *   - fit modes are applied per page, so a landscape page in fit-width fills the pane like its
+ *     portrait neighbours; custom and actual-size zoom use one scale for all pages
+ *   - offsets are cumulative, with a fixed gap between pages
+ */
+
+import { computeFitToScreenZoom, computeFitToWidthZoom } from './zoomUtils.js';
+
+/** Vertical gap between stacked pages, in CSS pixels. */
+export const CONTINUOUS_PAGE_GAP_PX = 12;
+
+/** Size assumed for pages nothing is known about yet (A4 portrait at 150 dpi). */
+export const DEFAULT_ESTIMATED_PAGE_SIZE = Object.freeze({ width: 1240, height: 1754 });
+
+/**
+ * @typedef {Object} ContinuousPageSize
+ * @property {number} width
+ * @property {number} height
+ */
+
+/**
+ * @typedef {Object} ContinuousLayoutEntry
+ * @property {number} top    Offset from the top of the scroll content, in CSS pixels.
+ * @property {number} left   Horizontal offset that centers the page in the content width.
+ * @property {number} width  Displayed width in CSS pixels.
+ * @property {number} height Displayed height in CSS pixels.
+ * @property {number} scale  Displayed size divided by the page's raster size.
+ */
+
+/**
+ * @typedef {Object} ContinuousLayout
+ * @property {Array<ContinuousLayoutEntry>} entries
+ * @property {number} totalHeight
+ * @property {number} contentWidth
+ */
+
+/**
+ * @param {*} size
+ * @returns {boolean}
+ */
+function isUsableSize(size) {
+  return Number(size?.width) > 0 && Number(size?.height) > 0;
+}
+
+/**
+ * Resolve the raster size used to lay out one page.
+ *
+ * @param {*} page Viewer page entry.
+ * @param {(ContinuousPageSize|null|undefined)} knownSize Natural size of the loaded full raster.
+ * @param {(ContinuousPageSize|null|undefined)} referenceSize A raster size already seen in the session.
+ * @returns {ContinuousPageSize}
+ */
+export function resolveContinuousPageSize(page, knownSize, referenceSize) {
+  if (isUsableSize(knownSize)) {
+    return { width: Number(knownSize.width), height: Number(knownSize.height) };
+  }
+
+  const reference = isUsableSize(referenceSize) ? referenceSize : DEFAULT_ESTIMATED_PAGE_SIZE;
+  const width = Number(reference.width);
+  if (Number(page?.realWidth) > 0 && Number(page?.realHeight) > 0) {
+    return { width, height: (width * Number(page.realHeight)) / Number(page.realWidth) };
+  }
+  return { width, height: Number(reference.height) };
+}
+
+/**
+ * Resolve the display scale of one page for the active zoom mode.
+ *
+ * @param {Object} args
+ * @param {('FIT_PAGE'|'FIT_WIDTH'|'FIT_CUSTOM'|'ACTUAL_SIZE'|'CUSTOM')} args.zoomMode
+ * @param {number} args.zoom Shared zoom used outside the fit modes.
+ * @param {ContinuousPageSize} args.size
+ * @param {ContinuousPageSize} args.viewportSize Usable pane size.
+ * @param {Object=} args.fitOptions Custom-size options for `computeFitToWidthZoom()`.
+ * @returns {number}
+ */
+export function resolveContinuousPageScale({ zoomMode, zoom, size, viewportSize, fitOptions }) {
+  let scale = null;
+  if (zoomMode === 'FIT_PAGE') scale = computeFitToScreenZoom(size, viewportSize);
+  else if (zoomMode === 'FIT_WIDTH') scale = computeFitToWidthZoom(size, viewportSize);
+  else if (zoomMode === 'FIT_CUSTOM') scale = computeFitToWidthZoom(size, viewportSize, fitOptions);
+  if (scale != null) return scale;
+  const numericZoom = Number(zoom);
+  return Number.isFinite(numericZoom) && numericZoom > 0 ? numericZoom : 1;
+}
+
+/**
+ * Stack pages vertically.
+ *
+ * @param {Array<ContinuousPageSize>} sizes Raster sizes in display order.
+ * @param {Array<number>} scales Display scales in display order.
+ * @param {number=} viewportWidth Pages narrower than this are centered in it.
+ * @param {number=} gapPx
+ * @returns {ContinuousLayout}
+ */
+export function buildContinuousLayout(sizes, scales, viewportWidth = 0, gapPx = CONTINUOUS_PAGE_GAP_PX) {
+  const entries = [];
+  let top = 0;
+  let contentWidth = Math.max(0, Number(viewportWidth) || 0);
+
+  sizes.forEach((size, index) => {
+    const scale = Number(scales[index]) > 0 ? Number(scales[index]) : 1;
+    const width = Math.max(1, Math.round(Number(size.width) * scale));
+    const height = Math.max(1, Math.round(Number(size.height) * scale));
+    if (index > 0) top += gapPx;
+    entries.push({ top, left: 0, width, height, scale });
+    top += height;
+    contentWidth = Math.max(contentWidth, width);
+  });
+
+  for (const entry of entries) {
+    entry.left = Math.floor((contentWidth - entry.width) / 2);
+  }
+
+  return { entries, totalHeight: top, contentWidth };
+}
+
+/**
+ * Find the page position that covers a vertical offset. Offsets inside a gap resolve to the page
+ * below it; offsets past the end resolve to the last page.
+ *
+ * @param {ContinuousLayout} layout
+ * @param {number} offsetPx
+ * @returns {number} Position in display order, or -1 for an empty layout.
+ */
+export function findContinuousPageAt(layout, offsetPx) {
+  const entries = layout?.entries || [];
+  if (entries.length === 0) return -1;
+  const offset = Number(offsetPx) || 0;
+
+  let low = 0;
+  let high = entries.length - 1;
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    const entry = entries[middle];
+    if (entry.top + entry.height <= offset) low = middle + 1;
+    else high = middle;
+  }
+  return low;
+}
+
+/**
+ * Resolve the positions to mount for a scroll window, including overscan on both sides.
+ *
+ * @param {ContinuousLayout} layout
+ * @param {number} scrollTop
+ * @param {number} viewportHeight
+ * @param {number=} overscanPx
+ * @returns {{ start:number, end:number }} Inclusive range; `end < start` for an empty layout.
+ */
+export function getContinuousRenderRange(layout, scrollTop, viewportHeight, overscanPx = 0) {
+  const entries = layout?.entries || [];
+  if (entries.length === 0) return { start: 0, end: -1 };
+  const top = Math.max(0, (Number(scrollTop) || 0) - Math.max(0, Number(overscanPx) || 0));
+  const bottom = (Number(scrollTop) || 0) + Math.max(0, Number(viewportHeight) || 0) + Math.max(0, Number(overscanPx) || 0);
+  return {
+    start: findContinuousPageAt(layout, top),
+    end: findContinuousPageAt(layout, bottom),
+  };
+}
+
+/**
+ * Resolve the page that shows the largest visible height in a scroll window. Ties go to the
+ * earlier page, so a page scrolled exactly to the top stays active.
+ *
+ * @param {ContinuousLayout} layout
+ * @param {number} scrollTop
+ * @param {number} viewportHeight
+ * @returns {number} Position in display order, or -1 for an empty layout.
+ */
+export function findMostVisibleContinuousPage(layout, scrollTop, viewportHeight) {
+  const entries = layout?.entries || [];
+  if (entries.length === 0) return -1;
+  const top = Math.max(0, Number(scrollTop) || 0);
+  const bottom = top + Math.max(0, Number(viewportHeight) || 0);
+  const { start, end } = getContinuousRenderRange(layout, top, bottom - top);
+
+  let best = start;
+  let bestVisible = -1;
+  for (let position = start; position <= end; position += 1) {
+    const entry = entries[position];
+    const visible = Math.min(bottom, entry.top + entry.height) - Math.max(top, entry.top);
+    if (visible > bestVisible) {
+      best = position;
+      bestVisible = visible;
+    }
+  }
+  return best;
+}
+
+export default {
+  resolveContinuousPageSize,
+  resolveContinuousPageScale,
+  buildContinuousLayout,
+  findContinuousPageAt,
+  getContinuousRenderRange,
+  findMostVisibleContinuousPage,
+};
@@ -54,6 +54,10 @@ export const MAX_RELOAD_CACHE_TTL_MS = 24 * 60 * 60 * 1000;
  * @property {number} prefetchRetryBaseDelayMs
  * @property {number} prefetchRequestTimeoutMs
  * @property {number} maxSourceSizeMiB
+ * @property {boolean} rangeLoading
+ * @property {number} rangeLoadingMinSourceSizeMiB
+ * @property {number} rangeChunkSizeKiB
+ * @property {number} sourcePackResumeAttempts
  * @property {number} abortOnSourceUnavailableCount
  */
 
@@ -266,6 +270,10 @@ export const DOCUMENT_LOADING_DEFAULTS = Object.freeze(
       prefetchRetryBaseDelayMs: 750,
       prefetchRequestTimeoutMs: 10000,
       maxSourceSizeMiB: 512,
+      rangeLoading: true,
+      rangeLoadingMinSourceSizeMiB: 32,
+      rangeChunkSizeKiB: 512,
+      sourcePackResumeAttempts: 3,
       abortOnSourceUnavailableCount: 8,
     },
     sourceStore: {
@@ -940,6 +948,10 @@ export function getDocumentLoadingConfig(runtimeConfig = getRuntimeConfig()) {
       prefetchRetryBaseDelayMs: normalizeNumber(raw?.fetch?.prefetchRetryBaseDelayMs, adaptiveDefaults.fetch.prefetchRetryBaseDelayMs, 100, 60000),
       prefetchRequestTimeoutMs: normalizeNumber(raw?.fetch?.prefetchRequestTimeoutMs, adaptiveDefaults.fetch.prefetchRequestTimeoutMs, 1000, 120000),
       maxSourceSizeMiB: normalizeNumber(raw?.fetch?.maxSourceSizeMiB, adaptiveDefaults.fetch.maxSourceSizeMiB, 16, 4096),
+      rangeLoading: normalizeBoolean(raw?.fetch?.rangeLoading, adaptiveDefaults.fetch.rangeLoading),
+      rangeLoadingMinSourceSizeMiB: normalizeNumber(raw?.fetch?.rangeLoadingMinSourceSizeMiB, adaptiveDefaults.fetch.rangeLoadingMinSourceSizeMiB, 1, 1048576),
+      rangeChunkSizeKiB: normalizeNumber(raw?.fetch?.rangeChunkSizeKiB, adaptiveDefaults.fetch.rangeChunkSizeKiB, 64, 16384),
+      sourcePackResumeAttempts: normalizeNumber(raw?.fetch?.sourcePackResumeAttempts, adaptiveDefaults.fetch.sourcePackResumeAttempts, 0, 10),
       abortOnSourceUnavailableCount: normalizeThreshold(raw?.fetch?.abortOnSourceUnavailableCount, adaptiveDefaults.fetch.abortOnSourceUnavailableCount, 1000000),
     },
     sourceStore: {
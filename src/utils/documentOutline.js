@@ -0,0 +1,230 @@
+// File: src/utils/documentOutline.js
+/**
+ * OpenDocViewer — Document outline model.
+ *
+ * The outline pane shows one tree per logical document. The entries come from one of two places:
+ *   - the document's `outline` in the bundle, supplied by the host (useful for TIFF and image
+ *     documents, which carry no outline of their own). `page` is the 1-based page inside the
+ *     document;
+ *   - otherwise the outlines (bookmarks) of the document's PDF files, read through pdf.js.
+ *     `page` is the 1-based page inside that PDF. Named destinations are resolved while reading.
+ *
+ * `resolveOutlineTree()` maps either kind to session page numbers, so a click in the pane can jump
+ * straight to the page. Entries whose page is not in the session keep their title but have no
+ * target.
+ *
+ * This module has no DOM or React dependencies.
+ */
+
+/** Deepest nesting level that is kept; deeper entries are dropped. */
+export const MAX_OUTLINE_DEPTH = 16;
+
+/** Most entries kept per outline, so a malformed PDF cannot flood the pane. */
+export const MAX_OUTLINE_ENTRIES = 5000;
+
+const MAX_TITLE_LENGTH = 500;
+
+/**
+ * @typedef {Object} OutlineEntry
+ * @property {string} title
+ * @property {(number|null)} page 1-based page inside the document (host) or the PDF file, or
+ *   `null` when the entry has no destination.
+ * @property {Array<OutlineEntry>} children
+ */
+
+/**
+ * @typedef {Object} OutlineTreeNode
+ * @property {string} id Stable id for expansion state.
+ * @property {string} title
+ * @property {(number|null)} pageNumber 1-based session page number, or `null` without a target.
+ * @property {Array<OutlineTreeNode>} children
+ */
+
+/**
+ * @typedef {Object} OutlineDocument
+ * @property {string} key
+ * @property {string} documentId
+ * @property {number} documentNumber
+ * @property {number} totalDocuments
+ * @property {(Array<OutlineEntry>|null)} hostOutline Outline supplied by the host, if any.
+ * @property {Array<string>} pdfSourceKeys Source keys of the document's PDF files, in file order.
+ * @property {Map<number, number>} documentPages 1-based document page → 1-based session page.
+ * @property {Map<string, Map<number, number>>} sourcePages Source key → 1-based page inside the
+ *   source → 1-based session page.
+ */
+
+/**
+ * @param {*} value
+ * @returns {string} The title with control characters folded to spaces, trimmed and capped.
+ */
+function cleanTitle(value) {
+  return String(value ?? '').replace(/\p{Cc}+/gu, ' ').trim().slice(0, MAX_TITLE_LENGTH);
+}
+
+/**
+ * @param {*} value
+ * @returns {(number|null)}
+ */
+function toPageNumber(value) {
+  const number = Number(value);
+  return Number.isInteger(number) && number >= 1 ? number : null;
+}
+
+/**
+ * Validate a host-supplied outline. Entries without a title are dropped together with their
+ * children; a missing or invalid `page` leaves a heading without a target.
+ *
+ * @param {*} list
+ * @returns {Array<OutlineEntry>}
+ */
+export function normalizeOutlineEntries(list) {
+  let budget = MAX_OUTLINE_ENTRIES;
+  const walk = (items, depth) => {
+    /** @type {Array<OutlineEntry>} */
+    const out = [];
+    if (!Array.isArray(items)) return out;
+    for (const item of items) {
+      if (budget <= 0) break;
+      const title = item && typeof item === 'object' ? cleanTitle(item.title) : '';
+      if (!title) continue;
+      budget -= 1;
+      out.push({
+        title,
+        page: toPageNumber(item.page),
+        children: depth + 1 < MAX_OUTLINE_DEPTH ? walk(item.children, depth + 1) : [],
+      });
+    }
+    return out;
+  };
+  return walk(list, 0);
+}
+
+/**
+ * Read the outline of a pdf.js document, resolving named and explicit destinations to pages.
+ *
+ * @param {*} pdf pdf.js `PDFDocumentProxy`.
+ * @returns {Promise<Array<OutlineEntry>>}
+ */
+export async function readPdfOutline(pdf) {
+  const outline = await pdf.getOutline();
+  if (!Array.isArray(outline) || outline.length === 0) return [];
+
+  const pageCount = Math.max(0, Number(pdf.numPages) || 0);
+  /** @type {Map<string, Promise<*>>} */
+  const namedDestinations = new Map();
+
+  const resolvePage = async (dest) => {
+    try {
+      let explicit = dest;
+      if (typeof dest === 'string') {
+        if (!namedDestinations.has(dest)) namedDestinations.set(dest, pdf.getDestination(dest));
+        explicit = await namedDestinations.get(dest);
+      }
+      if (!Array.isArray(explicit) || explicit.length === 0) return null;
+      const target = explicit[0];
+      const pageIndex = Number.isInteger(target)
+        ? target
+        : (target && typeof target === 'object' ? await pdf.getPageIndex(target) : -1);
+      return Number.isInteger(pageIndex) && pageIndex >= 0 && pageIndex < pageCount ? pageIndex + 1 : null;
+    } catch {
+      return null;
+    }
+  };
+
+  let budget = MAX_OUTLINE_ENTRIES;
+  const walk = async (items, depth) => {
+    const kept = [];
+    for (const item of Array.isArray(items) ? items : []) {
+      if (budget <= 0) break;
+      const title = cleanTitle(item?.title);
+      if (!title) continue;
+      budget -= 1;
+      kept.push({ item, title });
+    }
+    return Promise.all(kept.map(async ({ item, title }) => ({
+      title,
+      page: await resolvePage(item.dest),
+      children: depth + 1 < MAX_OUTLINE_DEPTH ? await walk(item.items, depth + 1) : [],
+    })));
+  };
+  return walk(outline, 0);
+}
+
+/**
+ * Group the session pages into logical documents with the lookups the outline pane needs.
+ *
+ * @param {Array<*>} pages Session pages in original order.
+ * @param {*} bundle Portable bundle; its documents may carry an `outline`.
+ * @returns {Array<OutlineDocument>}
+ */
+export function buildOutlineDocuments(pages, bundle) {
+  const bundleDocuments = Array.isArray(bundle?.documents) ? bundle.documents : [];
+  /** @type {Array<OutlineDocument>} */
+  const documents = [];
+
+  (Array.isArray(pages) ? pages : []).forEach((page, originalIndex) => {
+    const documentNumber = Math.max(1, Number(page?.documentNumber) || 1);
+    const documentId = String(page?.documentId || '').trim();
+    const key = documentId || `doc:${documentNumber}`;
+    let current = documents[documents.length - 1];
+    if (!current || current.key !== key) {
+      const hostDocument = documentId
+        ? bundleDocuments.find((entry) => String(entry?.documentId || '') === documentId)
+        : null;
+      current = {
+        key,
+        documentId,
+        documentNumber,
+        totalDocuments: Math.max(documentNumber, Number(page?.totalDocuments) || 1),
+        hostOutline: Array.isArray(hostDocument?.outline) && hostDocument.outline.length > 0 ? hostDocument.outline : null,
+        pdfSourceKeys: [],
+        documentPages: new Map(),
+        sourcePages: new Map(),
+      };
+      documents.push(current);
+    }
+
+    const pageNumber = originalIndex + 1;
+    const documentPage = toPageNumber(page?.documentPageNumber) || current.documentPages.size + 1;
+    if (!current.documentPages.has(documentPage)) current.documentPages.set(documentPage, pageNumber);
+
+    const sourceKey = String(page?.sourceKey || '');
+    if (!sourceKey) return;
+    if (String(page?.fileExtension || '').toLowerCase() === 'pdf' && !current.sourcePages.has(sourceKey)) {
+      current.pdfSourceKeys.push(sourceKey);
+    }
+    if (!current.sourcePages.has(sourceKey)) current.sourcePages.set(sourceKey, new Map());
+    current.sourcePages.get(sourceKey).set(Math.max(0, Number(page?.pageIndex) || 0) + 1, pageNumber);
+  });
+
+  return documents;
+}
+
+/**
+ * Map outline entries to session page numbers.
+ *
+ * @param {Array<OutlineEntry>} entries
+ * @param {Map<number, number>} pageMap 1-based outline page → 1-based session page.
+ * @param {string} idPrefix
+ * @returns {Array<OutlineTreeNode>}
+ */
+export function resolveOutlineTree(entries, pageMap, idPrefix) {
+  return (Array.isArray(entries) ? entries : []).map((entry, index) => {
+    const id = `${idPrefix}.${index}`;
+    return {
+      id,
+      title: entry.title,
+      pageNumber: entry.page == null ? null : (pageMap.get(entry.page) ?? null),
+      children: resolveOutlineTree(entry.children, pageMap, id),
+    };
+  });
+}
+
+export default {
+  MAX_OUTLINE_DEPTH,
+  MAX_OUTLINE_ENTRIES,
+  normalizeOutlineEntries,
+  readPdfOutline,
+  buildOutlineDocuments,
+  resolveOutlineTree,
+};
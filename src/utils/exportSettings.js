@@ -0,0 +1,141 @@
+// File: src/utils/exportSettings.js
+/**
+ * OpenDocViewer — Page export choices, sizes and file names.
+ *
+ * Shared by the Export dialog, the runtime config (`export.*`) and the export pipeline
+ * (`pageExport.js`). Resolution is a DPI value for an A4 page: pages are scaled down so their long
+ * edge fits 11.69 inches at that DPI, and never scaled up. `0` keeps the rendered page size.
+ *
+ * This module has no DOM dependencies.
+ */
+
+/** Export formats, in the order the Export dialog offers them. */
+export const EXPORT_FORMATS = Object.freeze(['pdf', 'tiff', 'png', 'jpeg']);
+
+/** DPI choices of the Export dialog; `0` keeps the rendered page size. */
+export const EXPORT_RESOLUTIONS = Object.freeze([0, 300, 200, 150, 100]);
+
+/** Long edge of an A4 page in inches. */
+export const A4_LONG_EDGE_IN = 11.69;
+
+// Same canvas limit as redaction; larger pages are exported at a reduced size.
+const MAX_EXPORT_CANVAS_DIMENSION = 8192;
+const DEFAULT_EXPORT_FILENAME = 'opendocviewer-export';
+
+const FORMAT_FILES = Object.freeze({
+  pdf: Object.freeze({ extension: 'pdf', mimeType: 'application/pdf' }),
+  tiff: Object.freeze({ extension: 'tif', mimeType: 'image/tiff' }),
+  png: Object.freeze({ extension: 'png', mimeType: 'image/png' }),
+  jpeg: Object.freeze({ extension: 'jpg', mimeType: 'image/jpeg' }),
+});
+
+/**
+ * @typedef {('pdf'|'tiff'|'png'|'jpeg')} ExportFormat
+ */
+
+/**
+ * Choices of one export job.
+ * @typedef {Object} ExportSettings
+ * @property {ExportFormat} format
+ * @property {number} dpi            One of `EXPORT_RESOLUTIONS`; `0` keeps the rendered size.
+ * @property {boolean} adjusted      Apply the viewer's rotation, brightness and contrast.
+ * @property {boolean} annotations   Draw annotations; redactions are burned in regardless.
+ */
+
+/**
+ * @param {*} value
+ * @param {ExportFormat=} fallback
+ * @returns {ExportFormat}
+ */
+export function normalizeExportFormat(value, fallback = 'pdf') {
+  const format = String(value || '').trim().toLowerCase();
+  if (format === 'tif') return 'tiff';
+  if (format === 'jpg') return 'jpeg';
+  return EXPORT_FORMATS.includes(format) ? /** @type {ExportFormat} */ (format) : fallback;
+}
+
+/**
+ * @param {*} value `'original'` or a DPI value.
+ * @param {number=} fallback
+ * @returns {number} One of `EXPORT_RESOLUTIONS`.
+ */
+export function normalizeExportDpi(value, fallback = 0) {
+  if (String(value ?? '').trim().toLowerCase() === 'original') return 0;
+  const dpi = Math.round(Number(value));
+  return EXPORT_RESOLUTIONS.includes(dpi) ? dpi : fallback;
+}
+
+/**
+ * @param {*} value
+ * @returns {ExportSettings}
+ */
+export function normalizeExportSettings(value) {
+  return {
+    format: normalizeExportFormat(value?.format),
+    dpi: normalizeExportDpi(value?.dpi),
+    adjusted: value?.adjusted === true,
+    annotations: value?.annotations !== false,
+  };
+}
+
+/**
+ * Size of an exported page image.
+ *
+ * @param {number} width Rendered page width in pixels.
+ * @param {number} height
+ * @param {number} dpi `0` keeps the rendered size.
+ * @returns {{ width:number, height:number }}
+ */
+export function resolveExportSize(width, height, dpi) {
+  const w = Math.max(1, Number(width) || 1);
+  const h = Math.max(1, Number(height) || 1);
+  const longEdge = Math.max(w, h);
+  const target = dpi > 0 ? Math.round(A4_LONG_EDGE_IN * dpi) : longEdge;
+  const scale = Math.min(1, target / longEdge, MAX_EXPORT_CANVAS_DIMENSION / longEdge);
+  return { width: Math.max(1, Math.round(w * scale)), height: Math.max(1, Math.round(h * scale)) };
+}
+
+/**
+ * @param {ExportFormat} format
+ * @returns {string} MIME type of one exported page file.
+ */
+export function getExportMimeType(format) {
+  return (FORMAT_FILES[format] || FORMAT_FILES.pdf).mimeType;
+}
+
+/**
+ * @param {*} base Configured file name; a trailing extension is dropped.
+ * @param {ExportFormat} format
+ * @returns {string} File name of the download; PNG and JPEG exports are ZIP archives.
+ */
+export function getExportFilename(base, format) {
+  const stem = String(base || '').trim().replace(/\.[a-z0-9]{2,4}$/i, '') || DEFAULT_EXPORT_FILENAME;
+  const extension = format === 'png' || format === 'jpeg' ? 'zip' : (FORMAT_FILES[format] || FORMAT_FILES.pdf).extension;
+  return `${stem}.${extension}`;
+}
+
+/**
+ * @param {*} base
+ * @param {ExportFormat} format
+ * @param {number} index 0-based position in the export.
+ * @param {number} total
+ * @returns {string} ZIP member name, e.g. `opendocviewer-export-007.png`.
+ */
+export function getExportMemberName(base, format, index, total) {
+  const stem = getExportFilename(base, format).replace(/\.[a-z]+$/, '');
+  const digits = Math.max(3, String(Math.max(1, total)).length);
+  return `${stem}-${String(index + 1).padStart(digits, '0')}.${(FORMAT_FILES[format] || FORMAT_FILES.pdf).extension}`;
+}
+
+export default {
+  EXPORT_FORMATS,
+  EXPORT_RESOLUTIONS,
+  A4_LONG_EDGE_IN,
+  normalizeExportFormat,
+  normalizeExportDpi,
+  normalizeExportSettings,
+  resolveExportSize,
+  getExportMimeType,
+  getExportFilename,
+  getExportMemberName,
+};
@@ -0,0 +1,196 @@
+// File: src/utils/originalDownload.js
+/**
+ * OpenDocViewer — Resolve the stored source files behind session pages for "Download original".
+ *
+ * Every page placeholder carries the `sourceKey` of the file it was rendered from, so the original
+ * of a page is the source-store entry under that key (a ZIP member or email attachment is its own
+ * source). Rendered email pages carry `originalSource` instead, naming the stored `.eml` message. A
+ * document's originals are the distinct sources of its pages, in page order.
+ *
+ * Originals are exactly the stored bytes: burned-in redactions are not applied to them. Callers
+ * must therefore refuse files that have redactions (`findRedactedSourceKeys()`).
+ *
+ * This module has no DOM dependencies; reading and downloading happen in `useOriginalDownload`.
+ */
+
+import { getPageAnnotationKey, groupAnnotationsByPage, isRedaction } from './annotations.js';
+
+const DEFAULT_ZIP_FILENAME = 'opendocviewer-originals';
+// Characters that are invalid in Windows file names; control characters are dropped separately.
+const UNSAFE_NAME_CHARACTERS = /[<>:"/\\|?*]+/g;
+
+/**
+ * @typedef {('file'|'document')} OriginalDownloadScope
+ */
+
+/**
+ * One stored source file of the session.
+ * @typedef {Object} OriginalFile
+ * @property {string} sourceKey
+ * @property {string} name          Download name, unique within one download.
+ * @property {string} mimeType
+ * @property {number} firstPageNumber 1-based session page number of the file's first page.
+ * @property {number} pageCount     Session pages rendered from the file.
+ */
+
+/**
+ * Stored file a page downloads as.
+ * @typedef {Object} OriginalSourceInfo
+ * @property {string} sourceKey
+ * @property {string} displayName
+ * @property {string} fileExtension
+ * @property {string} mimeType
+ */
+
+/**
+ * @param {*} page
+ * @returns {(OriginalSourceInfo|null)} `null` for pages without a stored source, such as failed
+ *   placeholders.
+ */
+export function getOriginalSource(page) {
+  // Failed placeholders get a synthetic `failed_…` key; nothing is stored under it.
+  if (!page || String(page.sourceKey || '').startsWith('failed_')) return null;
+  const original = page.originalSource;
+  if (original?.sourceKey) {
+    return {
+      sourceKey: String(original.sourceKey),
+      displayName: String(original.displayName || ''),
+      fileExtension: String(original.fileExtension || ''),
+      mimeType: String(original.mimeType || ''),
+    };
+  }
+  if (!page.sourceKey) return null;
+  return {
+    sourceKey: String(page.sourceKey),
+    displayName: String(page.sourceDisplayName || ''),
+    fileExtension: String(page.fileExtension || ''),
+    mimeType: String(page.sourceMimeType || ''),
+  };
+}
+
+/**
+ * @param {*} page
+ * @returns {string} Stable key of the page's logical document; empty when unknown.
+ */
+function getDocumentKey(page) {
+  const documentNumber = Math.floor(Number(page?.documentNumber) || 0);
+  if (documentNumber > 0) return `#${documentNumber}`;
+  const documentId = String(page?.documentId ?? '').trim();
+  return documentId ? `id:${documentId}` : '';
+}
+
+/**
+ * File name for a stored source: its host-supplied display name without folders, with the
+ * source's extension added when the name has none.
+ *
+ * @param {(OriginalSourceInfo|null)} source
+ * @param {number} position 0-based position of the file in its download, for the fallback name.
+ * @returns {string}
+ */
+export function getOriginalFileName(source, position) {
+  const displayName = String(source?.displayName || '').trim().split(/[\\/]/).pop() || '';
+  const printable = Array.from(displayName).filter((char) => char.charCodeAt(0) >= 0x20 && char !== '\u007f').join('');
+  let name = printable.replace(UNSAFE_NAME_CHARACTERS, '_').replace(/^[.\s]+/, '').trim();
+  if (!name) name = `original-${String(position + 1).padStart(3, '0')}`;
+  const extension = String(source?.fileExtension || '').trim().toLowerCase().replace(/[^a-z0-9]/g, '');
+  if (extension && !/\.[a-z0-9]{1,5}$/i.test(name)) name = `${name}.${extension}`;
+  return name;
+}
+
+/**
+ * Make names unique, ignoring case: later duplicates get ` (2)`, ` (3)`, … before the extension.
+ *
+ * @param {Array<string>} names
+ * @returns {Array<string>}
+ */
+export function makeUniqueNames(names) {
+  const used = new Set();
+  return names.map((name) => {
+    const match = /^(.*?)(\.[^.]*)?$/.exec(name);
+    const stem = match?.[1] || name;
+    const extension = match?.[2] || '';
+    let candidate = name;
+    for (let copy = 2; used.has(candidate.toLowerCase()); copy += 1) candidate = `${stem} (${copy})${extension}`;
+    used.add(candidate.toLowerCase());
+    return candidate;
+  });
+}
+
+/**
+ * Source files of the page at `originalIndex` (`file`) or of its whole document (`document`).
+ * Pages without a stored source, such as failed placeholders, are skipped; rendered email pages
+ * resolve to their message.
+ *
+ * @param {Array<*>} pages Session pages.
+ * @param {number} originalIndex 0-based session page index.
+ * @param {OriginalDownloadScope} scope
+ * @returns {Array<OriginalFile>}
+ */
+export function collectOriginalFiles(pages, originalIndex, scope) {
+  const list = Array.isArray(pages) ? pages : [];
+  const anchor = list[Math.floor(Number(originalIndex) || 0)] || null;
+  const anchorSource = getOriginalSource(anchor);
+  if (!anchor) return [];
+  const documentKey = scope === 'document' ? getDocumentKey(anchor) : '';
+
+  /** @type {Map<string, { source:OriginalSourceInfo, firstPageNumber:number, pageCount:number }>} */
+  const sources = new Map();
+  list.forEach((page, index) => {
+    const source = getOriginalSource(page);
+    if (!source) return;
+    if (source.sourceKey !== anchorSource?.sourceKey && (!documentKey || getDocumentKey(page) !== documentKey)) return;
+    const entry = sources.get(source.sourceKey);
+    if (entry) entry.pageCount += 1;
+    else sources.set(source.sourceKey, { source, firstPageNumber: index + 1, pageCount: 1 });
+  });
+
+  const entries = Array.from(sources.entries());
+  const names = makeUniqueNames(entries.map(([, entry], position) => getOriginalFileName(entry.source, position)));
+  return entries.map(([sourceKey, entry], position) => ({
+    sourceKey,
+    name: names[position],
+    mimeType: entry.source.mimeType,
+    firstPageNumber: entry.firstPageNumber,
+    pageCount: entry.pageCount,
+  }));
+}
+
+/**
+ * Sources with at least one redacted page. Their originals would reveal the redacted content. A
+ * redacted email attachment also blocks its message, which contains the attachment.
+ *
+ * @param {Array<*>} pages
+ * @param {Array<import('./annotations.js').ViewerAnnotation>} annotations Session annotations.
+ * @returns {Set<string>}
+ */
+export function findRedactedSourceKeys(pages, annotations) {
+  const redactionsByPage = groupAnnotationsByPage((Array.isArray(annotations) ? annotations : []).filter(isRedaction));
+  const keys = new Set();
+  if (!redactionsByPage.size) return keys;
+  (Array.isArray(pages) ? pages : []).forEach((page, index) => {
+    if (!redactionsByPage.has(getPageAnnotationKey(page, index))) return;
+    [page?.sourceKey, page?.originalSource?.sourceKey, page?.containerSourceKey]
+      .forEach((sourceKey) => { if (sourceKey) keys.add(String(sourceKey)); });
+  });
+  return keys;
+}
+
+/**
+ * @param {*} base Configured file name; a trailing `.zip` is dropped.
+ * @param {number=} documentNumber Added as `-document-<n>` when positive.
+ * @returns {string} File name of a ZIP of originals.
+ */
+export function getOriginalZipFilename(base, documentNumber = 0) {
+  const stem = String(base || '').trim().replace(/\.zip$/i, '') || DEFAULT_ZIP_FILENAME;
+  const number = Math.floor(Number(documentNumber) || 0);
+  return number > 0 ? `${stem}-document-${number}.zip` : `${stem}.zip`;
+}
+
+export default {
+  getOriginalSource,
+  getOriginalFileName,
+  makeUniqueNames,
+  collectOriginalFiles,
+  findRedactedSourceKeys,
+  getOriginalZipFilename,
+};
@@ -5,6 +5,19 @@
  * The renderer keeps the modern temp-store / placeholder architecture from `main`, but routes raster
  * and TIFF work through dedicated workers when that is beneficial and supported. PDF rendering stays
  * on the stable main-thread pdf.js path by default, with an opt-in page-image worker mode.
+ *
+ * A PDF whose full bytes are not in the temp store yet, but which has a registered range reader,
+ * is opened through pdf.js range loading on the main thread. Worker paths skip it, because they
+ * need the whole source blob.
+ *
+ * Text sources (`txt`, `csv`, `log`, `json`, `xml`) are painted on the main thread from the layout
+ * in `textSourceLayout.js`, which also gives them a text layer like PDF pages.
+ *
+ * SVG sources are sanitized by `svgSource.js` and rasterized on the main thread from an `<img>` of the
+ * sanitized markup; the same markup backs the vector display path at high zoom.
+ *
+ * A multi-frame GIF or animated WebP has one page per frame. Frames decode through `animatedImage.js`
+ * in the image worker, or here when the worker path is unavailable.
  */
 
 import { decode as decodeUTIF, decodeImage as decodeUTIFImage, toRGBA8 } from 'utif2';
@@ -14,8 +27,31 @@ import { getDocumentLoadingConfig, resolvePdfRenderConfigForPageCount } from './
 import { createPageAssetWorkerPool } from './pageAssetWorkerPool.js';
 import { createPdfPageWorkerPool } from './pdfPageWorkerPool.js';
 import { withPdfJsDocumentOptions } from './pdfjsDocumentOptions.js';
+import { openPdfFromRangeReader } from './pdfRangeTransport.js';
+import { normalizePdfTextContent } from './pdfTextContent.js';
+import {
+  TEXT_CHAR_WIDTH,
+  TEXT_LINE_HEIGHT,
+  TEXT_PAGE_HEIGHT,
+  TEXT_PAGE_MARGIN,
+  TEXT_PAGE_WIDTH,
+  TEXT_TABLE_GAP,
+  decodeTextSource,
+  getTextSourcePageContent,
+  isTextSourceExtension,
+  layoutTextSource,
+} from './textSourceLayout.js';
+import { sanitizeSvgMarkup } from './svgSource.js';
+import { countAnimationFrames, decodeAnimationFrame, isAnimatedImageExtension, readGifInfo } from './animatedImage.js';
+import { readPdfOutline } from './documentOutline.js';
 
 const MAX_FALLBACK_REASON_SAMPLES = 12;
+const MAX_OPEN_TEXT_SOURCES = 4;
+const MAX_OPEN_SVG_SOURCES = 8;
+const MAX_OPEN_ANIMATED_SOURCES = 4;
+/** Longest side of a rasterized SVG page; larger drawings get a smaller scale. */
+const MAX_SVG_RASTER_SIDE = 8192;
+const TEXT_FONT_FAMILY = 'ui-monospace, Menlo, Consolas, "Liberation Mono", "Courier New", monospace';
 
 try {
   if (pdfjsLib?.GlobalWorkerOptions && !pdfjsLib.GlobalWorkerOptions.workerSrc) {
@@ -25,6 +61,20 @@ try {
   // Ignore worker-less environments.
 }
 
+/**
+ * @typedef {Object} SvgSourceEntry
+ * @property {Blob} blob Sanitized `image/svg+xml` markup.
+ * @property {number} width Intrinsic width in CSS pixels.
+ * @property {number} height Intrinsic height in CSS pixels.
+ */
+
+/**
+ * @typedef {Object} AnimatedSourceEntry
+ * @property {Uint8Array} bytes
+ * @property {number} frameCount
+ * @property {(import('./animatedImage.js').GifInfo|null)} gifInfo
+ */
+
 /**
  * @typedef {Object} PageAssetRendererOptions
  * @property {*} tempStore
@@ -72,6 +122,16 @@ function touchLru(map, key, limit) {
   setLru(map, key, value, limit);
 }
 
+/**
+ * @template T
+ * @param {Promise<T>} promise
+ * @param {(Promise<never>|undefined)} failure Rejects when a range-read document lost its bytes.
+ * @returns {Promise<T>}
+ */
+function raceRangeFailure(promise, failure) {
+  return failure ? Promise.race([promise, failure]) : promise;
+}
+
 function releaseCanvas(canvas) {
   if (!canvas) return;
   canvas.width = 0;
@@ -130,6 +190,25 @@ function normalizeFallbackDetails(error) {
   };
 }
 
+/**
+ * @param {Blob} blob
+ * @returns {Promise<HTMLImageElement>} A decoded image; its object URL is already revoked.
+ */
+async function loadBlobAsImage(blob) {
+  const objectUrl = URL.createObjectURL(blob);
+  try {
+    return await new Promise((resolve, reject) => {
+      const img = new Image();
+      try { img.decoding = 'async'; } catch {}
+      img.onload = () => resolve(img);
+      img.onerror = () => reject(new Error('Failed to load blob image'));
+      img.src = objectUrl;
+    });
+  } finally {
+    try { URL.revokeObjectURL(objectUrl); } catch {}
+  }
+}
+
 async function loadBlobForDrawing(blob) {
   if (typeof createImageBitmap === 'function') {
     const bitmap = await createImageBitmap(blob);
@@ -148,30 +227,82 @@ async function loadBlobForDrawing(blob) {
     };
   }
 
-  const objectUrl = URL.createObjectURL(blob);
-  try {
-    const image = await new Promise((resolve, reject) => {
-      const img = new Image();
-      try { img.decoding = 'async'; } catch {}
-      img.onload = () => resolve(img);
-      img.onerror = () => reject(new Error('Failed to load blob image'));
-      img.src = objectUrl;
+  const image = await loadBlobAsImage(blob);
+  return {
+    width: image.naturalWidth,
+    height: image.naturalHeight,
+    drawToCanvas(canvas) {
+      const ctx = canvas.getContext('2d', { alpha: true });
+      if (!ctx) throw new Error('Unable to acquire canvas context');
+      ctx.clearRect(0, 0, canvas.width, canvas.height);
+      ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+    },
+    close() {},
+  };
+}
+
+/**
+ * Paint one laid-out text page at page scale 1; the caller scales the context.
+ *
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {import('./textSourceLayout.js').TextSourcePage} page
+ * @returns {void}
+ */
+function drawTextSourcePage(ctx, page) {
+  ctx.fillStyle = '#fff';
+  ctx.fillRect(0, 0, TEXT_PAGE_WIDTH, TEXT_PAGE_HEIGHT);
+
+  // Size the font so its character advance matches the layout grid.
+  const baseSize = TEXT_LINE_HEIGHT * 0.8;
+  ctx.font = `${baseSize}px ${TEXT_FONT_FAMILY}`;
+  const advance = ctx.measureText('0'.repeat(10)).width / 10;
+  const fontSize = advance > 0 ? Math.min(TEXT_LINE_HEIGHT * 0.9, (baseSize * TEXT_CHAR_WIDTH) / advance) : baseSize;
+  ctx.textBaseline = 'middle';
+  const lineY = (line) => TEXT_PAGE_MARGIN + line * TEXT_LINE_HEIGHT;
+  const drawText = (text, column, line) => {
+    if (text) ctx.fillText(text, TEXT_PAGE_MARGIN + column * TEXT_CHAR_WIDTH, lineY(line) + TEXT_LINE_HEIGHT / 2);
+  };
+
+  if (page.kind !== 'table') {
+    ctx.font = `${fontSize}px ${TEXT_FONT_FAMILY}`;
+    ctx.fillStyle = '#111';
+    page.lines.forEach((entry, line) => drawText(entry.text, 0, line));
+    return;
+  }
+
+  const lastColumn = page.columns[page.columns.length - 1];
+  const tableRight = TEXT_PAGE_MARGIN + (lastColumn.start + lastColumn.width) * TEXT_CHAR_WIDTH;
+  const usedLines = page.rows.reduce((sum, row) => sum + row.lineCount, 0);
+  let line = 0;
+  for (const row of page.rows) {
+    if (row.header) {
+      ctx.fillStyle = '#e8e8e8';
+      ctx.fillRect(TEXT_PAGE_MARGIN, lineY(line), tableRight - TEXT_PAGE_MARGIN, row.lineCount * TEXT_LINE_HEIGHT);
+    }
+    ctx.font = `${row.header ? 'bold ' : ''}${fontSize}px ${TEXT_FONT_FAMILY}`;
+    ctx.fillStyle = '#111';
+    row.cells.forEach((cellLines, index) => {
+      cellLines.forEach((text, cellLine) => drawText(text, page.columns[index].start, line + cellLine));
     });
+    line += row.lineCount;
+
+    ctx.strokeStyle = row.header ? '#666' : '#ccc';
+    ctx.lineWidth = row.header ? 1 : 0.5;
+    ctx.beginPath();
+    ctx.moveTo(TEXT_PAGE_MARGIN, lineY(line));
+    ctx.lineTo(tableRight, lineY(line));
+    ctx.stroke();
+  }
 
-    return {
-      width: image.naturalWidth,
-      height: image.naturalHeight,
-      drawToCanvas(canvas) {
-        const ctx = canvas.getContext('2d', { alpha: true });
-        if (!ctx) throw new Error('Unable to acquire canvas context');
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
-        ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
-      },
-      close() {},
-    };
-  } finally {
-    try { URL.revokeObjectURL(objectUrl); } catch {}
+  ctx.strokeStyle = '#ccc';
+  ctx.lineWidth = 0.5;
+  ctx.beginPath();
+  for (const column of page.columns.slice(0, -1)) {
+    const x = TEXT_PAGE_MARGIN + (column.start + column.width + TEXT_TABLE_GAP / 2) * TEXT_CHAR_WIDTH;
+    ctx.moveTo(x, lineY(0));
+    ctx.lineTo(x, lineY(usedLines));
   }
+  ctx.stroke();
 }
 
 async function scaleBlob(blob, maxWidth, maxHeight) {
@@ -265,8 +396,15 @@ export class PageAssetRenderer {
     };
 
     this.bufferCache = new Map();
+    /** @type {Map<string, import('./sourceRangeReader.js').SourceRangeReader>} */
+    this.rangeReaders = new Map();
     this.pdfCache = new Map();
     this.tiffCache = new Map();
+    this.textCache = new Map();
+    /** @type {Map<string, SvgSourceEntry>} */
+    this.svgCache = new Map();
+    /** @type {Map<string, AnimatedSourceEntry>} */
+    this.animationCache = new Map();
     this.workerPool = null;
     this.pdfWorkerPool = null;
     this.renderStats = {
@@ -278,6 +416,8 @@ export class PageAssetRenderer {
       pdfWorkerFallbackSamples: [],
       mainPdfCount: 0,
       mainTiffCount: 0,
+      mainTextCount: 0,
+      mainSvgCount: 0,
       mainImageCount: 0,
     };
     this.rebuildWorkerPool();
@@ -414,7 +554,37 @@ export class PageAssetRenderer {
       try { entry?.dispose?.(); } catch {}
     }
     this.tiffCache.clear();
+    this.textCache.clear();
+    this.svgCache.clear();
+    this.animationCache.clear();
     this.bufferCache.clear();
+    this.rangeReaders.clear();
+  }
+
+  /**
+   * Let PDF pages of a source render from byte ranges until its full bytes are stored.
+   *
+   * @param {string} sourceKey
+   * @param {import('./sourceRangeReader.js').SourceRangeReader} reader
+   * @returns {void}
+   */
+  registerRangeSource(sourceKey, reader) {
+    const key = String(sourceKey || '');
+    if (key && reader) this.rangeReaders.set(key, reader);
+  }
+
+  /**
+   * @param {string} sourceKey
+   * @returns {(import('./sourceRangeReader.js').SourceRangeReader|null)} The range reader while the
+   *   temp store only holds byte ranges of the source; null once the full bytes are stored.
+   */
+  getActiveRangeReader(sourceKey) {
+    const key = String(sourceKey || '');
+    const reader = this.rangeReaders.get(key);
+    if (!reader) return null;
+    if (this.tempStore?.getMeta?.(key)?.partial) return reader;
+    this.rangeReaders.delete(key);
+    return null;
   }
 
   async getSourceBuffer(sourceKey) {
@@ -433,14 +603,29 @@ export class PageAssetRenderer {
   async getPdfDocument(sourceKey) {
     const key = String(sourceKey || '');
     if (!this.pdfCache.has(key)) {
-      const buffer = await this.getSourceBuffer(key);
-      const loadingTask = pdfjsLib.getDocument(withPdfJsDocumentOptions({ data: buffer.slice(0) }));
+      const rangeReader = this.getActiveRangeReader(key);
+      let loadingTask;
+      let promise;
+      let failure;
+      if (rangeReader) {
+        // A failed range read destroys the document; drop it so the next render opens it again.
+        ({ loadingTask, promise, failure } = openPdfFromRangeReader(rangeReader, {
+          onError: () => {
+            if (this.pdfCache.get(key)?.loadingTask === loadingTask) this.pdfCache.delete(key);
+          },
+        }));
+      } else {
+        const buffer = await this.getSourceBuffer(key);
+        loadingTask = pdfjsLib.getDocument(withPdfJsDocumentOptions({ data: buffer.slice(0) }));
+        promise = loadingTask.promise;
+      }
       const entry = {
         loadingTask,
-        promise: loadingTask.promise,
+        promise,
+        failure,
         async dispose() {
           try {
-            const doc = await loadingTask.promise;
+            const doc = await promise;
             await doc?.destroy?.();
           } catch {}
           try { await loadingTask.destroy?.(); } catch {}
@@ -452,6 +637,14 @@ export class PageAssetRenderer {
     return this.pdfCache.get(key).promise;
   }
 
+  /**
+   * @param {string} sourceKey
+   * @returns {(Promise<never>|undefined)} Failure signal of an open range-read document.
+   */
+  getPdfRangeFailure(sourceKey) {
+    return this.pdfCache.get(String(sourceKey || ''))?.failure;
+  }
+
   async getTiffDocument(sourceKey) {
     const key = String(sourceKey || '');
     if (!this.tiffCache.has(key)) {
@@ -474,6 +667,86 @@ export class PageAssetRenderer {
     return { buffer: entry.buffer, ifds: entry.ifds };
   }
 
+  /**
+   * @param {string} sourceKey
+   * @param {string} fileExtension
+   * @returns {Promise<Array<import('./textSourceLayout.js').TextSourcePage>>}
+   */
+  async getTextSourcePages(sourceKey, fileExtension) {
+    const key = String(sourceKey || '');
+    if (!this.textCache.has(key)) {
+      const buffer = await this.getSourceBuffer(key);
+      setLru(this.textCache, key, layoutTextSource(decodeTextSource(buffer), fileExtension), MAX_OPEN_TEXT_SOURCES);
+    }
+    touchLru(this.textCache, key, MAX_OPEN_TEXT_SOURCES);
+    return this.textCache.get(key);
+  }
+
+  /**
+   * Sanitized markup of an SVG source. Rasterizing and the vector display path both use it, so the
+   * original markup is never handed to the browser.
+   *
+   * @param {string} sourceKey
+   * @returns {Promise<SvgSourceEntry>}
+   */
+  async getSvgSource(sourceKey) {
+    const key = String(sourceKey || '');
+    if (!this.svgCache.has(key)) {
+      const buffer = await this.getSourceBuffer(key);
+      const svg = sanitizeSvgMarkup(decodeTextSource(buffer));
+      setLru(this.svgCache, key, {
+        blob: new Blob([svg.markup], { type: 'image/svg+xml' }),
+        width: svg.width,
+        height: svg.height,
+      }, MAX_OPEN_SVG_SOURCES);
+    }
+    touchLru(this.svgCache, key, MAX_OPEN_SVG_SOURCES);
+    return this.svgCache.get(key);
+  }
+
+  /**
+   * @param {string} sourceKey
+   * @param {string} fileExtension `gif` or `webp`.
+   * @returns {Promise<AnimatedSourceEntry>}
+   */
+  async getAnimatedSource(sourceKey, fileExtension) {
+    const key = String(sourceKey || '');
+    if (!this.animationCache.has(key)) {
+      const bytes = new Uint8Array(await this.getSourceBuffer(key));
+      const gifInfo = String(fileExtension || '').toLowerCase() === 'gif' ? readGifInfo(bytes) : null;
+      setLru(this.animationCache, key, {
+        bytes,
+        frameCount: countAnimationFrames(bytes, fileExtension),
+        gifInfo,
+      }, MAX_OPEN_ANIMATED_SOURCES);
+    }
+    touchLru(this.animationCache, key, MAX_OPEN_ANIMATED_SOURCES);
+    return this.animationCache.get(key);
+  }
+
+  /**
+   * Vector image of one page for crisp display at high zoom. Only SVG pages have one; other pages
+   * resolve with `null`.
+   *
+   * @param {PageAssetDescriptor} descriptor
+   * @returns {Promise<(Blob|null)>}
+   */
+  async getVectorPageBlob(descriptor) {
+    if (String(descriptor?.fileExtension || '').toLowerCase() !== 'svg') return null;
+    return (await this.getSvgSource(descriptor.sourceKey)).blob;
+  }
+
+  /**
+   * Outline (bookmarks) of a PDF source, with destinations resolved to 1-based pages of that PDF.
+   *
+   * @param {string} sourceKey
+   * @returns {Promise<Array<import('./documentOutline.js').OutlineEntry>>}
+   */
+  async getPdfOutline(sourceKey) {
+    const pdf = await this.getPdfDocument(sourceKey);
+    return raceRangeFailure(readPdfOutline(pdf), this.getPdfRangeFailure(sourceKey));
+  }
+
   shouldTryWorker(fileExtension, variant) {
     const ext = String(fileExtension || '').toLowerCase();
     const backend = String(this.config.backend || 'hybrid-by-format').toLowerCase();
@@ -717,6 +990,24 @@ export class PageAssetRenderer {
         fullPageScale: options?.fullPageScale,
       });
     }
+    if (isTextSourceExtension(ext)) {
+      this.renderStats.mainTextCount += 1;
+      return this.renderTextPage(descriptor, {
+        variant,
+        thumbnailMaxWidth: options?.thumbnailMaxWidth,
+        thumbnailMaxHeight: options?.thumbnailMaxHeight,
+        fullPageScale: options?.fullPageScale,
+      });
+    }
+    if (ext === 'svg') {
+      this.renderStats.mainSvgCount += 1;
+      return this.renderSvgPage(descriptor, {
+        variant,
+        thumbnailMaxWidth: options?.thumbnailMaxWidth,
+        thumbnailMaxHeight: options?.thumbnailMaxHeight,
+        fullPageScale: options?.fullPageScale,
+      });
+    }
     if (ext === 'tif' || ext === 'tiff') {
       this.renderStats.mainTiffCount += 1;
       return this.renderTiffPage(descriptor, {
@@ -733,7 +1024,58 @@ export class PageAssetRenderer {
     });
   }
 
+  /**
+   * Extract the text of one PDF or text-source page for the text layer and search. PDF text uses
+   * the PDF page worker when it is active and falls back to the main-thread document cache
+   * otherwise. Other pages have no text and resolve with `null`.
+   *
+   * @param {PageAssetDescriptor} descriptor
+   * @returns {Promise<(import('./pdfTextContent.js').PageTextContent|null)>}
+   */
+  async extractPageText(descriptor) {
+    const ext = String(descriptor?.fileExtension || '').toLowerCase();
+    const sourceKey = String(descriptor?.sourceKey || '');
+    const pageIndex = Math.max(0, Number(descriptor?.pageIndex) || 0);
+    if (isTextSourceExtension(ext)) {
+      const page = (await this.getTextSourcePages(sourceKey, ext))[pageIndex];
+      return page ? getTextSourcePageContent(page) : null;
+    }
+    if (ext !== 'pdf') return null;
+
+    if (this.shouldTryPdfWorker()) {
+      try {
+        const sourceBlob = await this.tempStore.getBlob(sourceKey);
+        if (sourceBlob) {
+          return await this.pdfWorkerPool.extractText({
+            sourceBlob,
+            sourceKey,
+            pageIndex,
+            maxOpenPdfDocuments: Number(this.config.maxOpenPdfDocuments) || 16,
+          });
+        }
+      } catch (error) {
+        this.recordPdfWorkerFallback(error, descriptor, 'text');
+      }
+    }
+
+    const pdf = await this.getPdfDocument(sourceKey);
+    const failure = this.getPdfRangeFailure(sourceKey);
+    const page = await raceRangeFailure(pdf.getPage(pageIndex + 1), failure);
+    try {
+      const textContent = await raceRangeFailure(page.getTextContent(), failure);
+      return normalizePdfTextContent(textContent, page.getViewport({ scale: 1 }));
+    } finally {
+      try { page.cleanup(); } catch {}
+    }
+  }
+
   async renderImagePage(descriptor, options) {
+    const ext = String(descriptor?.fileExtension || '').toLowerCase();
+    if (isAnimatedImageExtension(ext)) {
+      const animation = await this.getAnimatedSource(descriptor.sourceKey, ext);
+      if (animation.frameCount > 1) return this.renderAnimationFramePage(descriptor, animation, options);
+    }
+
     const blob = await this.tempStore.getBlob(descriptor.sourceKey);
     if (!blob) throw new Error(`Missing source blob for image ${descriptor.sourceKey}`);
 
@@ -765,10 +1107,45 @@ export class PageAssetRenderer {
     };
   }
 
+  async renderAnimationFramePage(descriptor, animation, options) {
+    const ext = String(descriptor?.fileExtension || '').toLowerCase();
+    const frame = await decodeAnimationFrame(animation.bytes, ext, descriptor.pageIndex, animation.gifInfo);
+    if (!frame) throw new Error(`No frame decoder for ${ext} page ${descriptor.pageIndex} of ${descriptor.sourceKey}`);
+    let canvas = null;
+
+    try {
+      const scale = options.variant === 'thumbnail'
+        ? fitScale(
+            frame.width,
+            frame.height,
+            Math.max(24, Number(options.thumbnailMaxWidth) || this.config.thumbnailMaxWidth),
+            Math.max(24, Number(options.thumbnailMaxHeight) || this.config.thumbnailMaxHeight)
+          )
+        : 1;
+      canvas = document.createElement('canvas');
+      canvas.width = Math.max(1, Math.round(frame.width * scale));
+      canvas.height = Math.max(1, Math.round(frame.height * scale));
+      const ctx = canvas.getContext('2d', { alpha: true });
+      if (!ctx) throw new Error('Unable to acquire frame render canvas context');
+      ctx.drawImage(frame.image, 0, 0, canvas.width, canvas.height);
+      const blob = await canvasToBlob(canvas, 'image/png');
+      return {
+        blob,
+        width: canvas.width,
+        height: canvas.height,
+        mimeType: 'image/png',
+      };
+    } finally {
+      frame.close();
+      releaseCanvas(canvas);
+    }
+  }
+
   async renderPdfPage(descriptor, options) {
     const pdf = await this.getPdfDocument(descriptor.sourceKey);
+    const failure = this.getPdfRangeFailure(descriptor.sourceKey);
     const pageNumber = Number(descriptor.pageIndex || 0) + 1;
-    const page = await pdf.getPage(pageNumber);
+    const page = await raceRangeFailure(pdf.getPage(pageNumber), failure);
     let canvas = null;
 
     try {
@@ -789,7 +1166,7 @@ export class PageAssetRenderer {
       const ctx = canvas.getContext('2d', { alpha: false });
       if (!ctx) throw new Error('Unable to acquire PDF render canvas context');
 
-      await page.render({ canvasContext: ctx, viewport }).promise;
+      await raceRangeFailure(page.render({ canvasContext: ctx, viewport }).promise, failure);
       const blob = await canvasToBlob(canvas, 'image/png');
       return {
         blob,
@@ -803,6 +1180,75 @@ export class PageAssetRenderer {
     }
   }
 
+  async renderTextPage(descriptor, options) {
+    const pages = await this.getTextSourcePages(descriptor.sourceKey, descriptor.fileExtension);
+    const page = pages[Math.max(0, Number(descriptor.pageIndex) || 0)];
+    if (!page) throw new Error(`Missing text page ${descriptor.pageIndex} for ${descriptor.sourceKey}`);
+    const scale = options.variant === 'thumbnail'
+      ? fitScale(
+          TEXT_PAGE_WIDTH,
+          TEXT_PAGE_HEIGHT,
+          Math.max(24, Number(options.thumbnailMaxWidth) || this.config.thumbnailMaxWidth),
+          Math.max(24, Number(options.thumbnailMaxHeight) || this.config.thumbnailMaxHeight)
+        )
+      : Math.max(0.5, Number(options.fullPageScale) || Number(this.config.fullPageScale) || 2.0);
+    let canvas = null;
+
+    try {
+      canvas = document.createElement('canvas');
+      canvas.width = Math.max(1, Math.ceil(TEXT_PAGE_WIDTH * scale));
+      canvas.height = Math.max(1, Math.ceil(TEXT_PAGE_HEIGHT * scale));
+      const ctx = canvas.getContext('2d', { alpha: false });
+      if (!ctx) throw new Error('Unable to acquire text render canvas context');
+      ctx.scale(canvas.width / TEXT_PAGE_WIDTH, canvas.height / TEXT_PAGE_HEIGHT);
+      drawTextSourcePage(ctx, page);
+      const blob = await canvasToBlob(canvas, 'image/png');
+      return {
+        blob,
+        width: canvas.width,
+        height: canvas.height,
+        mimeType: 'image/png',
+      };
+    } finally {
+      releaseCanvas(canvas);
+    }
+  }
+
+  async renderSvgPage(descriptor, options) {
+    const svg = await this.getSvgSource(descriptor.sourceKey);
+    const requestedScale = options.variant === 'thumbnail'
+      ? fitScale(
+          svg.width,
+          svg.height,
+          Math.max(24, Number(options.thumbnailMaxWidth) || this.config.thumbnailMaxWidth),
+          Math.max(24, Number(options.thumbnailMaxHeight) || this.config.thumbnailMaxHeight)
+        )
+      : Math.max(0.5, Number(options.fullPageScale) || Number(this.config.fullPageScale) || 2.0);
+    const scale = Math.min(requestedScale, MAX_SVG_RASTER_SIDE / Math.max(svg.width, svg.height));
+    const image = await loadBlobAsImage(svg.blob);
+    let canvas = null;
+
+    try {
+      canvas = document.createElement('canvas');
+      canvas.width = Math.max(1, Math.ceil(svg.width * scale));
+      canvas.height = Math.max(1, Math.ceil(svg.height * scale));
+      const ctx = canvas.getContext('2d', { alpha: false });
+      if (!ctx) throw new Error('Unable to acquire SVG render canvas context');
+      ctx.fillStyle = '#fff';
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+      const blob = await canvasToBlob(canvas, 'image/png');
+      return {
+        blob,
+        width: canvas.width,
+        height: canvas.height,
+        mimeType: 'image/png',
+      };
+    } finally {
+      releaseCanvas(canvas);
+    }
+  }
+
   async renderTiffPage(descriptor, options) {
     const tiff = await this.getTiffDocument(descriptor.sourceKey);
     const ifd = tiff.ifds[Math.max(0, Number(descriptor.pageIndex) || 0)];
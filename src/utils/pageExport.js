@@ -0,0 +1,253 @@
+// File: src/utils/pageExport.js
+/**
+ * OpenDocViewer — Export pages as a clean PDF, a multi-page TIFF or a ZIP of PNG/JPEG images.
+ *
+ * PURPOSE
+ *   The Export dialog writes the chosen pages without header, footer or watermark. With Bates
+ *   settings, every page gets a Bates stamp like a print, numbered in export order. Pages are taken
+ *   from the same printable page URLs as generated-PDF print (`collectPrintablePdfSources()`), drawn
+ *   on a canvas and encoded per format:
+ *     - `pdf`: one JPEG page image per PDF page, sized to A4 on its long edge; annotations and the
+ *       Bates stamp are drawn as vector shapes by `annotationPdf.js` and `batesNumbering.js`;
+ *     - `tiff`: one deflated RGB page per page image (`tiffWriter.js`);
+ *     - `png` / `jpeg`: one image file per page, bundled in a ZIP (`zipWriter.js`).
+ *
+ * DESIGN NOTES / GOTCHAS
+ *   - Resolution, file names and setting normalization live in `exportSettings.js`, which has no
+ *     DOM dependencies and is shared with the runtime config.
+ *   - "Adjusted" pages get the viewer's current rotation, brightness and contrast; "original" pages
+ *     are exported as loaded. Page contexts must carry annotations and redactions already turned to
+ *     the exported orientation, like print contexts.
+ *   - Redactions are always burned in, whatever the annotation setting; a page that cannot be
+ *     drawn fails the whole export instead of falling back to the unredacted source.
+ */
+
+import logger from '../logging/systemLogger.js';
+import { normalizeAnnotationRotation } from './annotations.js';
+import { drawCanvasAnnotations } from './annotationCanvas.js';
+import { drawPdfAnnotations } from './annotationPdf.js';
+import { drawCanvasBatesStamp, drawPdfBatesStamp, makeBatesStamp, normalizeBatesSettings } from './batesNumbering.js';
+import { fillRedactionRegions, getPageRedactions } from './redaction.js';
+import { assembleTiffBlob, createTiffPage } from './tiffWriter.js';
+import { createZipBlob } from './zipWriter.js';
+import { collectPrintablePdfSources, downloadPdfBlob, loadJsPdf } from './printPdf.js';
+import {
+  A4_LONG_EDGE_IN,
+  getExportFilename,
+  getExportMemberName,
+  getExportMimeType,
+  normalizeExportSettings,
+  resolveExportSize,
+} from './exportSettings.js';
+
+const A4_LONG_EDGE_PT = 841.89;
+const DEFAULT_JPEG_QUALITY = 0.9;
+const PAGE_BACKGROUND = '#ffffff';
+
+/**
+ * @typedef {Object} ExportOptions
+ * @property {import('./exportSettings.js').ExportSettings} settings
+ * @property {Array<*>=} pageContexts Aligned with the pages; see `resolvePrintPageContexts()`.
+ * @property {{ rotation?:number, brightness?:number, contrast?:number }=} imageProperties Used when `settings.adjusted`.
+ * @property {(import('./batesNumbering.js').BatesSettings|null)=} bates Bates numbering; stamps every exported page.
+ * @property {number=} jpegQuality 0.1–1, for JPEG files and PDF page images.
+ * @property {string=} filename   Base name without extension.
+ * @property {AbortSignal=} signal
+ * @property {function({ current:number, total:number }): void=} onProgress
+ */
+
+/**
+ * @param {AbortSignal=} signal
+ * @returns {void}
+ */
+function throwIfAborted(signal) {
+  if (!signal?.aborted) return;
+  const error = new Error('Export was cancelled.');
+  error.name = 'AbortError';
+  throw error;
+}
+
+/**
+ * @param {string} src
+ * @returns {Promise<HTMLImageElement>}
+ */
+function loadExportImage(src) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.decoding = 'async';
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error('Page image could not be loaded for export.'));
+    img.src = src;
+  });
+}
+
+/**
+ * @param {HTMLCanvasElement} canvas
+ * @param {string} type
+ * @param {number} quality
+ * @returns {Promise<Blob>}
+ */
+function canvasToBlob(canvas, type, quality) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (blob) resolve(blob);
+      else reject(new Error('Exported page could not be encoded.'));
+    }, type, quality);
+  });
+}
+
+/**
+ * Draw one exported page: scaled, optionally rotated and adjusted, with redactions filled and,
+ * when `withAnnotations`, annotations drawn. A `batesStamp` is drawn last, sized as on an A4 page.
+ *
+ * @param {string} src
+ * @param {*} pageContext
+ * @param {import('./exportSettings.js').ExportSettings} settings
+ * @param {{ rotation?:number, brightness?:number, contrast?:number }} imageProperties
+ * @param {boolean} withAnnotations
+ * @param {({ text:string, position:import('./batesNumbering.js').BatesPosition }|null)=} batesStamp
+ * @returns {Promise<HTMLCanvasElement>}
+ */
+async function renderExportCanvas(src, pageContext, settings, imageProperties, withAnnotations, batesStamp = null) {
+  const img = await loadExportImage(src);
+  const size = resolveExportSize(img.naturalWidth || img.width, img.naturalHeight || img.height, settings.dpi);
+  const rotation = settings.adjusted ? normalizeAnnotationRotation(imageProperties?.rotation) : 0;
+  const turned = rotation === 90 || rotation === 270;
+  const width = turned ? size.height : size.width;
+  const height = turned ? size.width : size.height;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  if (!ctx) throw new Error('Canvas 2D context is not available for export.');
+  ctx.fillStyle = PAGE_BACKGROUND;
+  ctx.fillRect(0, 0, width, height);
+
+  const brightness = Number(imageProperties?.brightness ?? 100);
+  const contrast = Number(imageProperties?.contrast ?? 100);
+  if (settings.adjusted && (brightness !== 100 || contrast !== 100)) {
+    ctx.filter = `brightness(${brightness}%) contrast(${contrast}%)`;
+  }
+  ctx.translate(width / 2, height / 2);
+  ctx.rotate((rotation * Math.PI) / 180);
+  ctx.drawImage(img, -size.width / 2, -size.height / 2, size.width, size.height);
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.filter = 'none';
+
+  fillRedactionRegions(ctx, getPageRedactions(pageContext), width, height);
+  if (withAnnotations) drawCanvasAnnotations(ctx, pageContext?.annotations || [], { x: 0, y: 0, width, height });
+  drawCanvasBatesStamp(ctx, batesStamp, { x: 0, y: 0, width, height }, Math.max(width, height) / A4_LONG_EDGE_PT);
+  return canvas;
+}
+
+/**
+ * @param {HTMLCanvasElement} canvas
+ * @returns {void}
+ */
+function releaseCanvas(canvas) {
+  canvas.width = 0;
+  canvas.height = 0;
+}
+
+/**
+ * Build the export file from printable page URLs.
+ *
+ * @param {Array<string>} urls Page image URLs in export order.
+ * @param {ExportOptions} options
+ * @returns {Promise<Blob>}
+ */
+export async function createExportBlob(urls, options) {
+  const settings = normalizeExportSettings(options?.settings);
+  const contexts = Array.isArray(options?.pageContexts) ? options.pageContexts : [];
+  const imageProperties = options?.imageProperties || {};
+  const quality = Math.max(0.1, Math.min(1, Number(options?.jpegQuality) || DEFAULT_JPEG_QUALITY));
+  const bates = normalizeBatesSettings(options?.bates);
+  const total = urls.length;
+  if (!total) throw new Error('No pages were selected for export.');
+
+  // PDF pages get vector annotations and stamps, so their page images are drawn without them.
+  const rasterAnnotations = settings.annotations && settings.format !== 'pdf';
+  const report = (current) => {
+    try { options?.onProgress?.({ current, total }); } catch {}
+  };
+
+  let pdf = null;
+  const tiffPages = [];
+  const zipEntries = [];
+  let tiffDpi = settings.dpi;
+  report(0);
+  for (let index = 0; index < total; index += 1) {
+    throwIfAborted(options?.signal);
+    const context = contexts[index] || null;
+    const batesStamp = makeBatesStamp(bates, index);
+    const canvas = await renderExportCanvas(
+      urls[index],
+      context,
+      settings,
+      imageProperties,
+      rasterAnnotations,
+      settings.format === 'pdf' ? null : batesStamp,
+    );
+    try {
+      if (settings.format === 'pdf') {
+        const ptScale = A4_LONG_EDGE_PT / Math.max(canvas.width, canvas.height);
+        const pageWidth = canvas.width * ptScale;
+        const pageHeight = canvas.height * ptScale;
+        const orientation = pageWidth > pageHeight ? 'landscape' : 'portrait';
+        if (!pdf) {
+          const JsPdf = await loadJsPdf();
+          pdf = new JsPdf({ orientation, unit: 'pt', format: [pageWidth, pageHeight], compress: true });
+        } else {
+          pdf.addPage([pageWidth, pageHeight], orientation);
+        }
+        pdf.addImage(canvas.toDataURL('image/jpeg', quality), 'JPEG', 0, 0, pageWidth, pageHeight, undefined, 'FAST');
+        if (settings.annotations) {
+          drawPdfAnnotations(pdf, context?.annotations || [], { x: 0, y: 0, width: pageWidth, height: pageHeight });
+        }
+        drawPdfBatesStamp(pdf, batesStamp, { x: 0, y: 0, width: pageWidth, height: pageHeight }, 0);
+      } else if (settings.format === 'tiff') {
+        const ctx = canvas.getContext('2d');
+        if (!tiffDpi) tiffDpi = Math.round(Math.max(canvas.width, canvas.height) / A4_LONG_EDGE_IN);
+        tiffPages.push(await createTiffPage(ctx.getImageData(0, 0, canvas.width, canvas.height).data, canvas.width, canvas.height));
+      } else {
+        zipEntries.push({
+          name: getExportMemberName(options?.filename, settings.format, index, total),
+          blob: await canvasToBlob(canvas, getExportMimeType(settings.format), quality),
+        });
+      }
+    } finally {
+      releaseCanvas(canvas);
+    }
+    report(index + 1);
+  }
+
+  throwIfAborted(options?.signal);
+  if (settings.format === 'pdf') return pdf.output('blob');
+  if (settings.format === 'tiff') return assembleTiffBlob(tiffPages, tiffDpi);
+  return createZipBlob(zipEntries);
+}
+
+/**
+ * Export pages of the document renderer and download the file.
+ *
+ * @param {{ current: * }} documentRenderRef
+ * @param {Array<number>} pageNumbers 1-based page numbers in export order.
+ * @param {ExportOptions} options
+ * @returns {Promise<{ filename:string, pageCount:number, size:number }>}
+ */
+export async function handlePageExport(documentRenderRef, pageNumbers, options) {
+  const settings = normalizeExportSettings(options?.settings);
+  const urls = await collectPrintablePdfSources(documentRenderRef, pageNumbers, options?.signal);
+  const blob = await createExportBlob(urls, { ...options, settings });
+  throwIfAborted(options?.signal);
+  const filename = getExportFilename(options?.filename, settings.format);
+  downloadPdfBlob(blob, filename);
+  logger.info('Page export downloaded', { format: settings.format, pageCount: urls.length, size: blob.size });
+  return { filename, pageCount: urls.length, size: blob.size };
+}
+
+export default {
+  createExportBlob,
+  handlePageExport,
+};
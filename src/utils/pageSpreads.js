@@ -0,0 +1,101 @@
+// File: src/utils/pageSpreads.js
+/**
+ * OpenDocViewer — Grouping of pages into facing-page spreads.
+ *
+ * The spread layout shows two pages side by side, like an open book. Spreads are built from the
+ * visible pages in display order, so hidden pages never leave a gap in a spread. With the cover
+ * option the first page is shown alone and the pairs start at the second page (2–3, 4–5, …), which
+ * matches how bound records and brochures are printed.
+ *
+ * All positions here are 0-based display positions; callers map them to page numbers.
+ */
+
+/** Gap between the two pages of a spread, in CSS pixels. Kept small so the pages read as a book. */
+export const SPREAD_PAGE_GAP_PX = 4;
+
+/**
+ * @param {*} total
+ * @returns {number}
+ */
+function toCount(total) {
+  const value = Math.floor(Number(total) || 0);
+  return value > 0 ? value : 0;
+}
+
+/**
+ * @param {*} position
+ * @param {number} count
+ * @returns {number}
+ */
+function clampPosition(position, count) {
+  const value = Math.floor(Number(position) || 0);
+  return Math.max(0, Math.min(count - 1, value));
+}
+
+/**
+ * Resolve the first position of the spread that contains a position.
+ *
+ * @param {number} position 0-based display position.
+ * @param {number} total Number of visible pages.
+ * @param {boolean=} coverPage Show the first page alone.
+ * @returns {number} 0 for an empty selection.
+ */
+export function getSpreadStart(position, total, coverPage = false) {
+  const count = toCount(total);
+  if (count === 0) return 0;
+  const current = clampPosition(position, count);
+  if (coverPage) return current === 0 ? 0 : current - ((current - 1) % 2);
+  return current - (current % 2);
+}
+
+/**
+ * Resolve the positions shown together with a position, left page first.
+ *
+ * @param {number} position 0-based display position.
+ * @param {number} total Number of visible pages.
+ * @param {boolean=} coverPage Show the first page alone.
+ * @returns {Array<number>} One or two positions; empty for an empty selection.
+ */
+export function getSpreadPositions(position, total, coverPage = false) {
+  const count = toCount(total);
+  if (count === 0) return [];
+  const start = getSpreadStart(position, count, coverPage);
+  if (coverPage && start === 0) return [0];
+  return start + 1 < count ? [start, start + 1] : [start];
+}
+
+/**
+ * Resolve the first position of the next spread. Stays on the current spread at the end.
+ *
+ * @param {number} position 0-based display position.
+ * @param {number} total Number of visible pages.
+ * @param {boolean=} coverPage Show the first page alone.
+ * @returns {number}
+ */
+export function getNextSpreadStart(position, total, coverPage = false) {
+  const count = toCount(total);
+  const positions = getSpreadPositions(position, count, coverPage);
+  if (positions.length === 0) return 0;
+  const next = positions[positions.length - 1] + 1;
+  return next < count ? next : positions[0];
+}
+
+/**
+ * Resolve the first position of the previous spread. Stays on the first spread at the start.
+ *
+ * @param {number} position 0-based display position.
+ * @param {number} total Number of visible pages.
+ * @param {boolean=} coverPage Show the first page alone.
+ * @returns {number}
+ */
+export function getPreviousSpreadStart(position, total, coverPage = false) {
+  const start = getSpreadStart(position, total, coverPage);
+  return start <= 0 ? 0 : getSpreadStart(start - 1, total, coverPage);
+}
+
+export default {
+  getSpreadStart,
+  getSpreadPositions,
+  getNextSpreadStart,
+  getPreviousSpreadStart,
+};
@@ -132,6 +132,23 @@ export class PdfPageWorkerPool {
     });
   }
 
+  /**
+   * Extract the text of one PDF page. Resolves with a `PageTextContent` object.
+   *
+   * @param {Object} payload
+   * @returns {Promise<*>}
+   */
+  extractText(payload) {
+    if (!this.canRender()) {
+      return Promise.reject(this.createUnavailableError('No compatible PDF page worker is available'));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.queue.push({ type: 'text', taskId: this.taskId++, payload, resolve, reject });
+      this.pump();
+    });
+  }
+
   renderBatch(items, options = {}) {
     if (!this.canRender()) {
       return Promise.reject(this.createUnavailableError('No compatible PDF page worker is available'));
@@ -180,7 +197,7 @@ export class PdfPageWorkerPool {
         this.handleTimeout(next.taskId, slot);
       }, this.taskTimeoutMs);
       this.pending.set(next.taskId, {
-        type: next.type === 'batch' ? 'batch' : 'single',
+        type: next.type === 'batch' || next.type === 'text' ? next.type : 'single',
         resolve: next.resolve,
         reject: next.reject,
         slot,
@@ -193,7 +210,9 @@ export class PdfPageWorkerPool {
 
       try {
         entry.worker.postMessage({
-          type: next.type === 'batch' ? 'renderPdfPageAssetBatch' : 'renderPdfPageAsset',
+          type: next.type === 'batch'
+            ? 'renderPdfPageAssetBatch'
+            : (next.type === 'text' ? 'extractPdfPageText' : 'renderPdfPageAsset'),
           taskId: next.taskId,
           payload: next.payload,
         });
@@ -279,7 +298,9 @@ export class PdfPageWorkerPool {
       this.handleBatchItem(slot, data);
       return;
     }
-    if (data?.type !== 'renderPdfPageAssetResult' && data?.type !== 'renderPdfPageAssetBatchResult') return;
+    if (data?.type !== 'renderPdfPageAssetResult'
+      && data?.type !== 'renderPdfPageAssetBatchResult'
+      && data?.type !== 'extractPdfPageTextResult') return;
 
     const taskId = Number(data?.taskId || 0);
     const pending = this.pending.get(taskId);
@@ -298,7 +319,9 @@ export class PdfPageWorkerPool {
       entry.activeTaskId = null;
     }
 
-    if (data?.ok) {
+    if (data?.ok && pending.type === 'text') {
+      pending.resolve(data.text || null);
+    } else if (data?.ok) {
       pending.resolve({
         blob: data.blob,
         width: Math.max(1, Number(data.width) || 1),
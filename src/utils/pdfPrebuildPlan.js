@@ -9,6 +9,7 @@
 
 import { resolveLocalizedValue, resolveOptionLabel } from './localizedValue.js';
 import { isPdfPrintCacheLanguageIgnored } from './pdfPrintCacheKey.js';
+import { normalizePrintLayout } from './printImposition.js';
 
 const DEFAULT_PREBUILD_MAX_PAGES = 500;
 const DEFAULT_PREBUILD_MAX_VARIANTS = 12;
@@ -295,6 +296,7 @@ export function createPdfPrebuildAllPagesVariants(runtimeConfig, i18nOrLanguage
   const reasonCfg = cfg?.userLog?.ui?.fields?.reason || {};
   const printFormatCfg = cfg?.print?.format || {};
   const pdfOrientation = resolvePrebuildPdfOrientation(pdfCfg);
+  const pdfLayout = normalizePrintLayout(pdfCfg?.layout?.defaultMode, 'single');
   const variants = [];
   for (const language of prebuildCfg.languages) {
     const languageContext = resolveVariantLanguageContext(language, i18nOrLanguage);
@@ -308,10 +310,12 @@ export function createPdfPrebuildAllPagesVariants(runtimeConfig, i18nOrLanguage
             reasonValue: reason.reasonSelection?.value || '',
             copyMarkerState,
             pdfOrientation,
+            pdfLayout,
           }),
           mode: 'all',
           language,
           pdfOrientation,
+          pdfLayout,
           reason: reason.reason,
           reasonSelection: reason.reasonSelection,
           forWhom: null,
@@ -336,6 +340,7 @@ export function createPdfPrebuildVariantKey(parts = {}) {
     'all',
     String(parts.language || 'current').toLowerCase(),
     String(parts.pdfOrientation || 'auto').toLowerCase(),
+    normalizePrintLayout(parts.pdfLayout, 'single'),
     String(parts.reasonValue || ''),
     String(parts.copyMarkerState || 'default'),
   ].join('|');
@@ -87,6 +87,9 @@ export function getPdfPrintCacheKey(detail, pageNumbers = [], options = {}) {
     printFormatValue: stablePrintText(detail?.printFormatValue),
     printFormatSelectionValue: stablePrintText(detail?.printFormatSelection?.value),
     pdfOrientation: stablePrintText(detail?.pdfOrientation || 'auto'),
+    pdfLayout: stablePrintText(detail?.pdfLayout || 'single'),
+    bates: detail?.bates ? JSON.stringify(detail.bates) : '',
+    separators: detail?.separators ? JSON.stringify(detail.separators) : '',
   });
 }
 
@@ -0,0 +1,89 @@
+// File: src/utils/pdfRangeTransport.js
+/**
+ * OpenDocViewer — open a PDF in pdf.js from a byte-range reader.
+ *
+ * pdf.js fetches only the ranges it needs (trailer, xref, the objects of the pages it renders)
+ * through a `PDFDataRangeTransport`. This module adapts a {@link SourceRangeReader} to that
+ * transport. pdf.js has no error channel for range requests and leaves work that waits for a failed
+ * range pending forever, so a failed read destroys the loading task and rejects `failure`; callers
+ * race their page work against it and open the document again on the next use.
+ */
+
+import * as pdfjsLib from 'pdfjs-dist/legacy/build/pdf';
+import logger from '../logging/systemLogger.js';
+import { withPdfJsDocumentOptions } from './pdfjsDocumentOptions.js';
+
+/** @typedef {import('./sourceRangeReader.js').SourceRangeReader} SourceRangeReader */
+
+/**
+ * Start loading a PDF whose bytes are read on demand.
+ *
+ * `promise` settles like `loadingTask.promise`, but also rejects when a range read fails while the
+ * document is opening. `failure` never resolves; it rejects with the first failed range read.
+ *
+ * @param {SourceRangeReader} reader
+ * @param {{ onError?: function(Error): void }=} options `onError` runs once when a range read fails.
+ * @returns {{ loadingTask:*, promise:Promise<*>, failure:Promise<never> }}
+ */
+export function openPdfFromRangeReader(reader, options = {}) {
+  let failed = false;
+  let rejectOpen = () => {};
+  let rejectFailure = () => {};
+  const failure = new Promise((_, reject) => { rejectFailure = reject; });
+  failure.catch(() => {});
+  const transport = new pdfjsLib.PDFDataRangeTransport(reader.sizeBytes, null);
+  const loadingTask = pdfjsLib.getDocument(withPdfJsDocumentOptions({
+    range: transport,
+    length: reader.sizeBytes,
+    rangeChunkSize: reader.chunkSizeBytes,
+    disableAutoFetch: true,
+    disableStream: true,
+  }));
+  const promise = new Promise((resolve, reject) => {
+    rejectOpen = reject;
+    loadingTask.promise.then(resolve, reject);
+  });
+
+  transport.requestDataRange = (begin, end) => {
+    reader.read(begin, end).then(
+      (bytes) => {
+        if (!failed) transport.onDataRange(begin, bytes);
+      },
+      (error) => {
+        if (failed) return;
+        failed = true;
+        logger.warn('PDF byte range could not be read', {
+          begin,
+          end,
+          error: String(error?.message || error),
+        });
+        rejectOpen(error);
+        rejectFailure(error);
+        try { options.onError?.(error); } catch {}
+        void loadingTask.destroy().catch(() => {});
+      }
+    );
+  };
+  return { loadingTask, promise, failure };
+}
+
+/**
+ * Count the pages of a range-read PDF. Only the trailer, the xref and the page tree are fetched.
+ *
+ * @param {SourceRangeReader} reader
+ * @returns {Promise<number>}
+ */
+export async function getRangePdfPageCount(reader) {
+  const { loadingTask, promise } = openPdfFromRangeReader(reader);
+  try {
+    const pdf = await promise;
+    return pdf.numPages;
+  } finally {
+    try { await loadingTask.destroy(); } catch {}
+  }
+}
+
+export default {
+  openPdfFromRangeReader,
+  getRangePdfPageCount,
+};
@@ -0,0 +1,225 @@
+// File: src/utils/pdfTextContent.js
+/**
+ * OpenDocViewer — PDF text content normalization and search.
+ *
+ * pdf.js `getTextContent()` returns items in PDF user space with a 6-value transform. The viewer
+ * displays pages as rasters whose pixel size depends on render scale, so this module turns each item
+ * into a box expressed as fractions of the page (0..1, top-left origin). The same structure is
+ * produced by the PDF page worker and the main-thread fallback, and it is what the text layer and
+ * the in-document search work with.
+ *
+ * The module has no pdf.js dependency so it can be shared by workers and unit tests.
+ *
+ * Text sources (`textSourceLayout.js`) produce the same structure, so their pages get a text layer
+ * and take part in search too.
+ */
+
+import { isTextSourceExtension } from './textSourceLayout.js';
+
+/**
+ * @typedef {Object} PageTextItem
+ * @property {string} text
+ * @property {number} left   Fraction of the page width.
+ * @property {number} top    Fraction of the page height.
+ * @property {number} width  Fraction of the page width.
+ * @property {number} height Fraction of the page height (font size).
+ * @property {boolean} eol   True when pdf.js reports a line end after this item.
+ */
+
+/**
+ * @typedef {Object} PageTextContent
+ * @property {number} pageWidth  Page width in PDF points at scale 1.
+ * @property {number} pageHeight Page height in PDF points at scale 1.
+ * @property {Array<PageTextItem>} items
+ */
+
+/**
+ * Part of a match that falls inside one text item. `start`/`end` are character offsets in the item.
+ * @typedef {Object} PageTextMatchSegment
+ * @property {number} itemIndex
+ * @property {number} start
+ * @property {number} end
+ */
+
+/**
+ * @typedef {Object} PageTextMatch
+ * @property {number} pageIndex
+ * @property {number} matchIndex Ordinal of the match within its page.
+ * @property {Array<PageTextMatchSegment>} segments
+ * @property {string} snippet
+ */
+
+const SNIPPET_CONTEXT_CHARS = 32;
+
+/**
+ * @param {Array<number>} m1
+ * @param {Array<number>} m2
+ * @returns {Array<number>}
+ */
+function multiplyTransform(m1, m2) {
+  return [
+    m1[0] * m2[0] + m1[2] * m2[1],
+    m1[1] * m2[0] + m1[3] * m2[1],
+    m1[0] * m2[2] + m1[2] * m2[3],
+    m1[1] * m2[2] + m1[3] * m2[3],
+    m1[0] * m2[4] + m1[2] * m2[5] + m1[4],
+    m1[1] * m2[4] + m1[3] * m2[5] + m1[5],
+  ];
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isTransform(value) {
+  return Array.isArray(value) && value.length >= 6 && value.every((part) => Number.isFinite(Number(part)));
+}
+
+/**
+ * @param {number} value
+ * @returns {number}
+ */
+function roundFraction(value) {
+  return Math.round(Math.max(-1, Math.min(2, Number(value) || 0)) * 100000) / 100000;
+}
+
+/**
+ * @param {string} fileExtension
+ * @returns {boolean} True for page types that have text content: PDF and text sources.
+ */
+export function hasPageTextContent(fileExtension) {
+  const ext = String(fileExtension || '').toLowerCase();
+  return ext === 'pdf' || isTextSourceExtension(ext);
+}
+
+/**
+ * Convert pdf.js text content into page-relative boxes.
+ *
+ * @param {*} textContent Result of `page.getTextContent()`.
+ * @param {{ width:number, height:number, transform:Array<number> }} viewport Viewport at scale 1.
+ * @returns {PageTextContent}
+ */
+export function normalizePdfTextContent(textContent, viewport) {
+  const pageWidth = Math.max(1, Number(viewport?.width) || 1);
+  const pageHeight = Math.max(1, Number(viewport?.height) || 1);
+  const viewportTransform = isTransform(viewport?.transform)
+    ? viewport.transform.map(Number)
+    : [1, 0, 0, -1, 0, pageHeight];
+  const items = [];
+
+  for (const item of Array.isArray(textContent?.items) ? textContent.items : []) {
+    // Marked-content entries carry no `str`.
+    if (typeof item?.str !== 'string') continue;
+    if (!item.str) {
+      if (item.hasEOL && items.length > 0) items[items.length - 1].eol = true;
+      continue;
+    }
+    if (!isTransform(item.transform)) continue;
+
+    const tx = multiplyTransform(viewportTransform, item.transform.map(Number));
+    const fontHeight = Math.hypot(tx[2], tx[3]);
+    const scaleX = Math.hypot(viewportTransform[0], viewportTransform[1]) || 1;
+    items.push({
+      text: item.str,
+      left: roundFraction(tx[4] / pageWidth),
+      top: roundFraction((tx[5] - fontHeight) / pageHeight),
+      width: roundFraction((Math.max(0, Number(item.width) || 0) * scaleX) / pageWidth),
+      height: roundFraction(fontHeight / pageHeight),
+      eol: !!item.hasEOL,
+    });
+  }
+
+  return { pageWidth, pageHeight, items };
+}
+
+/**
+ * Join the items of a page into one searchable string. Items are separated by a space (or a newline
+ * at line ends) unless the previous item already ends with whitespace.
+ *
+ * @param {(PageTextContent|null)} content
+ * @returns {{ text:string, starts:Array<number> }}
+ */
+export function buildPageSearchText(content) {
+  const items = Array.isArray(content?.items) ? content.items : [];
+  const starts = [];
+  let text = '';
+  items.forEach((item, index) => {
+    if (index > 0 && text && !/\s$/.test(text)) {
+      text += items[index - 1].eol ? '\n' : ' ';
+    }
+    starts.push(text.length);
+    text += String(item.text || '');
+  });
+  return { text, starts };
+}
+
+/**
+ * Turn a user query into a case-insensitive pattern in which any whitespace run matches any other.
+ *
+ * @param {string} query
+ * @returns {(RegExp|null)}
+ */
+export function createSearchPattern(query) {
+  const words = String(query || '').trim().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return null;
+  const escaped = words.map((word) => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(escaped.join('\\s+'), 'giu');
+}
+
+/**
+ * Find all matches of `pattern` on one page.
+ *
+ * @param {(PageTextContent|null)} content
+ * @param {(RegExp|null)} pattern Pattern from `createSearchPattern()`.
+ * @param {number} pageIndex
+ * @returns {Array<PageTextMatch>}
+ */
+export function findPageTextMatches(content, pattern, pageIndex) {
+  if (!pattern || !content) return [];
+  const items = Array.isArray(content.items) ? content.items : [];
+  const { text, starts } = buildPageSearchText(content);
+  const matches = [];
+  pattern.lastIndex = 0;
+
+  let found = pattern.exec(text);
+  while (found) {
+    const matchStart = found.index;
+    const matchEnd = matchStart + found[0].length;
+    if (matchEnd === matchStart) {
+      pattern.lastIndex += 1;
+    } else {
+      const segments = [];
+      for (let itemIndex = 0; itemIndex < items.length; itemIndex += 1) {
+        const itemStart = starts[itemIndex];
+        const itemEnd = itemStart + String(items[itemIndex].text || '').length;
+        if (itemEnd <= matchStart) continue;
+        if (itemStart >= matchEnd) break;
+        segments.push({
+          itemIndex,
+          start: Math.max(matchStart, itemStart) - itemStart,
+          end: Math.min(matchEnd, itemEnd) - itemStart,
+        });
+      }
+      const snippetStart = Math.max(0, matchStart - SNIPPET_CONTEXT_CHARS);
+      const snippetEnd = Math.min(text.length, matchEnd + SNIPPET_CONTEXT_CHARS);
+      matches.push({
+        pageIndex,
+        matchIndex: matches.length,
+        segments,
+        snippet: `${snippetStart > 0 ? '…' : ''}${text.slice(snippetStart, snippetEnd).replace(/\s+/g, ' ')}${snippetEnd < text.length ? '…' : ''}`,
+      });
+    }
+    found = pattern.exec(text);
+  }
+
+  pattern.lastIndex = 0;
+  return matches;
+}
+
+export default {
+  hasPageTextContent,
+  normalizePdfTextContent,
+  buildPageSearchText,
+  createSearchPattern,
+  findPageTextMatches,
+};
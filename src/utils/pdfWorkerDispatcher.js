@@ -4,6 +4,9 @@
  *
  * The dispatcher splits larger generated-PDF jobs into page batches, renders the
  * batches in PDF workers, then merges the completed partial PDFs in one pass.
+ *
+ * With a multi-page print layout (2-up, 4-up, booklet) the batches are cut between output
+ * sheets, never inside one, so every partial PDF holds whole sheets in final order.
  */
 
 import PdfWorker from '../workers/pdfWorker.js?worker';
@@ -18,6 +21,9 @@ const BATCH_FINALIZE_JOB_UNITS = 1;
  * @property {number} batchIndex
  * @property {number} startPageIndex
  * @property {number} pageCount
+ * @property {number=} startSheetIndex First output sheet of the batch (sheet batches only).
+ * @property {Array<import('./printImposition.js').ImpositionSheet>=} sheets Sheets of the batch.
+ * @property {Array<number>=} pageIndexes Printed pages of the batch, in drawing order.
  */
 
 /**
@@ -94,6 +100,40 @@ export function planPdfWorkerBatches(pageCount, workerCount, batchSize, allowPar
   return batches;
 }
 
+/**
+ * Split output sheets into worker tasks of about `batchSize` pages each. A sheet is never split,
+ * and pages are listed in the order the sheets draw them, which for booklets is not page order.
+ * @param {Array<import('./printImposition.js').ImpositionSheet>} sheets
+ * @param {number} workerCount
+ * @param {number} batchSize
+ * @param {boolean=} allowPartialBatches
+ * @returns {Array<PdfWorkerBatch>}
+ */
+export function planPdfWorkerSheetBatches(sheets, workerCount, batchSize, allowPartialBatches = false) {
+  const list = Array.isArray(sheets) ? sheets : [];
+  const pageCount = list.reduce((sum, sheet) => sum + sheet.filter((index) => index != null).length, 0);
+  if (pageCount <= 0) return [];
+  const effectiveBatchSize = allowPartialBatches
+    ? Math.max(1, Math.floor(Number(batchSize) || resolveAutoPdfWorkerBatchSize(pageCount, workerCount)))
+    : pageCount;
+
+  /** @type {Array<PdfWorkerBatch>} */
+  const batches = [];
+  let current = null;
+  list.forEach((sheet, sheetIndex) => {
+    const indexes = sheet.filter((index) => index != null);
+    if (!current || (current.pageCount > 0 && current.pageCount + indexes.length > effectiveBatchSize)) {
+      const startPageIndex = current ? current.startPageIndex + current.pageCount : 0;
+      current = { batchIndex: batches.length, startPageIndex, pageCount: 0, startSheetIndex: sheetIndex, sheets: [], pageIndexes: [] };
+      batches.push(current);
+    }
+    current.sheets.push(sheet);
+    current.pageIndexes.push(...indexes);
+    current.pageCount += indexes.length;
+  });
+  return batches;
+}
+
 /**
  * @param {AbortSignal|undefined} signal
  * @returns {void}
@@ -212,9 +252,10 @@ async function runLimitedTasks(items, concurrency, runItem, signal) {
  * @param {AbortSignal|undefined} signal
  * @param {function(Object):void} onProgress
  * @param {number} workerIndex
+ * @param {function(Array<*>):void=} onImageBoxes Receives the batch's empty vector-page boxes.
  * @returns {Promise<Blob>}
  */
-function runPdfWorkerTask(PdfWorkerCtor, job, signal, onProgress, workerIndex) {
+function runPdfWorkerTask(PdfWorkerCtor, job, signal, onProgress, workerIndex, onImageBoxes) {
   return new Promise((resolve, reject) => {
     let settled = false;
     /** @type {Worker|null} */
@@ -247,6 +288,7 @@ function runPdfWorkerTask(PdfWorkerCtor, job, signal, onProgress, workerIndex) {
         }
         if (data.type === 'result') {
           if (data.blob instanceof Blob) {
+            if (Array.isArray(data.imageBoxes)) onImageBoxes?.(data.imageBoxes);
             settle(resolve, data.blob);
             return;
           }
@@ -274,11 +316,13 @@ function runPdfWorkerTask(PdfWorkerCtor, job, signal, onProgress, workerIndex) {
  * @returns {Object}
  */
 function createBatchJob(batch, args, workerPlan) {
-  const start = batch.startPageIndex;
-  const end = start + batch.pageCount;
+  // Sheets address the batch's own url list, so global page indexes become positions in it.
+  const localIndexes = new Map(batch.pageIndexes.map((pageIndex, position) => [pageIndex, position]));
   return {
-    urls: args.urls.slice(start, end),
-    pagePlans: args.pagePlans.slice(start, end),
+    urls: batch.pageIndexes.map((pageIndex) => args.urls[pageIndex]),
+    pagePlans: batch.pageIndexes.map((pageIndex) => args.pagePlans[pageIndex]),
+    layout: args.layout || 'single',
+    sheets: batch.sheets.map((sheet) => sheet.map((pageIndex) => (pageIndex == null ? null : localIndexes.get(pageIndex)))),
     pdfCfg: args.pdfCfg || {},
     watermarkEnabled: args.watermarkEnabled !== false,
     watermarkAssetSrc: args.watermarkAssetSrc || '',
@@ -371,12 +415,18 @@ async function mergePdfBlobs(initialParts, progressPlan, signal, onProgress) {
  * @param {Object} args
  * @param {Array<string>} args.urls
  * @param {Array<Object>} args.pagePlans
+ * @param {('single'|'2-up'|'4-up'|'booklet')=} args.layout
+ * @param {Array<import('./printImposition.js').ImpositionSheet>=} args.sheets Output sheets;
+ *   one page per sheet when omitted.
  * @param {Object} args.pdfCfg
  * @param {boolean} args.watermarkEnabled
  * @param {string} args.watermarkAssetSrc
  * @param {PdfWorkerPlan} args.workerPlan
  * @param {AbortSignal=} args.signal
  * @param {function(Object):void} args.onProgress
+ * @param {function(Array<number>, Array<*>):void=} args.onImageBoxes Receives the page indexes and
+ *   the image boxes of each batch, reported for pages planned with `vectorPage`. Box `sheet`
+ *   indexes count from the start of the merged PDF.
  * @returns {Promise<Blob>}
  */
 export async function createPdfWithWorkerDispatcher(args) {
@@ -386,8 +436,9 @@ export async function createPdfWithWorkerDispatcher(args) {
     ...(args?.workerPlan || {}),
     overallPageCount: urls.length,
   };
-  const batches = planPdfWorkerBatches(
-    urls.length,
+  const sheets = Array.isArray(args?.sheets) ? args.sheets : urls.map((_, index) => [index]);
+  const batches = planPdfWorkerSheetBatches(
+    sheets,
     workerPlan.workerCount,
     workerPlan.batchSize,
     workerPlan.partialMergeEnabled === true
@@ -423,13 +474,19 @@ export async function createPdfWithWorkerDispatcher(args) {
     });
   };
 
+  const reportImageBoxes = (batch) => (boxes) => args?.onImageBoxes?.(
+    batch.pageIndexes,
+    boxes.map((box) => (box ? { ...box, sheet: batch.startSheetIndex + (Number(box.sheet) || 0) } : null))
+  );
+
   if (batches.length === 1) {
     return runPdfWorkerTask(
       PdfWorker,
       createBatchJob(batches[0], { ...args, urls, pagePlans }, workerPlan),
       args?.signal,
       (event) => reportBatchProgress(batches[0], event),
-      0
+      0,
+      reportImageBoxes(batches[0])
     );
   }
 
@@ -441,7 +498,8 @@ export async function createPdfWithWorkerDispatcher(args) {
       createBatchJob(batch, { ...args, urls, pagePlans }, workerPlan),
       args?.signal,
       (event) => reportBatchProgress(batch, event),
-      workerSlot
+      workerSlot,
+      reportImageBoxes(batch)
     ),
     args?.signal
   );
@@ -45,6 +45,7 @@ function normalizePageContexts(value) {
  * @property {string} [printFormat]                                 Optional print format marker text for header/watermark output.
  * @property {Object} [reasonSelection]                              Structured details for the selected print reason.
  * @property {Object} [printFormatSelection]                         Structured details for the selected print format marker.
+ * @property {import('./batesNumbering.js').BatesSettings} [bates]   Bates numbering of the job; stamps every printed page.
  */
 
 /**
@@ -65,6 +66,8 @@ function normalizePageContexts(value) {
  * @property {string} [printFormat]                                 Optional print format marker text for header/watermark output.
  * @property {Object} [reasonSelection]                              Structured details for the selected print reason.
  * @property {Object} [printFormatSelection]                         Structured details for the selected print format marker.
+ * @property {import('./batesNumbering.js').BatesSettings} [bates]   Bates numbering of the job; stamps every printed page.
+ * @property {import('./printSeparators.js').SeparatorSettings} [separators] Separator sheets / odd-page starts between documents.
  */
 
 /**
@@ -259,18 +262,32 @@ function createHiddenIframe(cleanupDelayMs = DEFAULT_IFRAME_CLEANUP_MS) {
   return { frame: f, cleanup };
 }
 
+/**
+ * Remove the print iframe when its document could not be prepared, and pass the failure on.
+ *
+ * @param {Promise<void>} rendered
+ * @param {function(): void} cleanup
+ * @returns {Promise<void>}
+ */
+function removeFrameOnFailure(rendered, cleanup) {
+  return rendered.catch((error) => {
+    cleanup();
+    throw error;
+  });
+}
+
 /**
  * Handles the print functionality for the CURRENT page/image.
  * Always uses hidden iframe printing (no popup).
  *
  * @param {{ current: (DocumentRenderHandle|null) }} documentRenderRef
  * @param {PrintOptions} [options]
- * @returns {void}
+ * @returns {(Promise<void>|undefined)} Rejects when a redacted page could not be prepared.
  */
 export function handlePrint(documentRenderRef, options = {}) {
   logger.info('handlePrint invoked');
 
-  const { orientation = 'auto', printDelayMs = 0, viewerContainerRef, reason = '', forWhom = '', printFormat = '', reasonSelection = null, printFormatSelection = null, bundle = null, pageContexts = [] } = options;
+  const { orientation = 'auto', printDelayMs = 0, viewerContainerRef, reason = '', forWhom = '', printFormat = '', reasonSelection = null, printFormatSelection = null, bundle = null, pageContexts = [], bates = null } = options;
 
   const active = resolveActiveNode(documentRenderRef, viewerContainerRef);
   if (!active) {
@@ -301,7 +318,7 @@ export function handlePrint(documentRenderRef, options = {}) {
 
   const odv = getODVConfig();
   const anyHandle = /** @type {*} */ (documentRenderRef?.current);
-  const tokenContext = makeBaseTokenContext(anyHandle, reason, forWhom, printFormat, { bundle, reasonSelection, printFormatSelection });
+  const tokenContext = makeBaseTokenContext(anyHandle, reason, forWhom, printFormat, { bundle, reasonSelection, printFormatSelection, bates });
 
   const { frame, cleanup } = createHiddenIframe(
     resolveIframeCleanupDelay(DEFAULT_IFRAME_CLEANUP_MS, printDelayMs)
@@ -313,7 +330,7 @@ export function handlePrint(documentRenderRef, options = {}) {
     return;
   }
 
-  renderSingleDocument(doc, {
+  return removeFrameOnFailure(renderSingleDocument(doc, {
     dataUrl,
     orientation: pageOrientation,
     printDelayMs,
@@ -322,7 +339,7 @@ export function handlePrint(documentRenderRef, options = {}) {
     printFormatCfg: odv.print?.format || {},
     tokenContext,
     pageContexts: normalizePageContexts(pageContexts).slice(0, 1)
-  });
+  }), cleanup);
 }
 
 /**
@@ -334,12 +351,12 @@ export function handlePrint(documentRenderRef, options = {}) {
  * @param {{ current: (DocumentRenderHandle|null) }} primaryRenderRef
  * @param {{ current: (DocumentRenderHandle|null) }} compareRenderRef
  * @param {PrintOptions} [options]
- * @returns {void}
+ * @returns {(Promise<void>|undefined)} Rejects when a redacted page could not be prepared.
  */
 export function handlePrintCurrentComparison(primaryRenderRef, compareRenderRef, options = {}) {
   logger.info('handlePrintCurrentComparison invoked');
 
-  const { printDelayMs = 0, reason = '', forWhom = '', printFormat = '', reasonSelection = null, printFormatSelection = null, bundle = null, pageContexts = [] } = options;
+  const { printDelayMs = 0, reason = '', forWhom = '', printFormat = '', reasonSelection = null, printFormatSelection = null, bundle = null, pageContexts = [], bates = null } = options;
   const primaryNode = primaryRenderRef?.current?.getActiveCanvas?.();
   const compareNode = compareRenderRef?.current?.getActiveCanvas?.();
   if (!primaryNode || !compareNode) {
@@ -357,7 +374,7 @@ export function handlePrintCurrentComparison(primaryRenderRef, compareRenderRef,
 
   const odv = getODVConfig();
   const anyHandle = /** @type {*} */ (primaryRenderRef?.current);
-  const tokenContext = makeBaseTokenContext(anyHandle, reason, forWhom, printFormat, { bundle, reasonSelection, printFormatSelection });
+  const tokenContext = makeBaseTokenContext(anyHandle, reason, forWhom, printFormat, { bundle, reasonSelection, printFormatSelection, bates });
 
   const { frame, cleanup } = createHiddenIframe(
     resolveIframeCleanupDelay(MIN_MULTI_PAGE_CLEANUP_MS, printDelayMs)
@@ -369,7 +386,7 @@ export function handlePrintCurrentComparison(primaryRenderRef, compareRenderRef,
     return;
   }
 
-  renderMultiDocument(doc, {
+  return removeFrameOnFailure(renderMultiDocument(doc, {
     dataUrls,
     printDelayMs,
     printHeaderCfg: odv.printHeader || {},
@@ -377,7 +394,7 @@ export function handlePrintCurrentComparison(primaryRenderRef, compareRenderRef,
     printFormatCfg: odv.print?.format || {},
     tokenContext,
     pageContexts: normalizePageContexts(pageContexts).slice(0, dataUrls.length),
-  });
+  }), cleanup);
 }
 
 /**
@@ -438,12 +455,12 @@ async function resolveAllPageDataUrls(documentRenderRef, viewerContainerRef) {
  *
  * @param {{ current: (DocumentRenderHandle|null) }} documentRenderRef
  * @param {PrintAllOptions} [options]
- * @returns {Promise<void>}
+ * @returns {Promise<void>} Rejects when a redacted page could not be prepared.
  */
 export async function handlePrintAll(documentRenderRef, options = {}) {
   logger.info('handlePrintAll invoked');
 
-  const { printDelayMs = 0, viewerContainerRef, pageRange, reason = '', forWhom = '', printFormat = '', reasonSelection = null, printFormatSelection = null, bundle = null, pageContexts = [] } = options;
+  const { printDelayMs = 0, viewerContainerRef, pageRange, reason = '', forWhom = '', printFormat = '', reasonSelection = null, printFormatSelection = null, bundle = null, pageContexts = [], bates = null, separators = null } = options;
 
   const dataUrls = await resolveAllPageDataUrls(documentRenderRef, viewerContainerRef);
   if (!dataUrls.length) {
@@ -476,7 +493,7 @@ export async function handlePrintAll(documentRenderRef, options = {}) {
 
   const odv = getODVConfig();
   const anyHandle = /** @type {*} */ (documentRenderRef?.current);
-  const tokenContext = makeBaseTokenContext(anyHandle, reason, forWhom, printFormat, { bundle, reasonSelection, printFormatSelection });
+  const tokenContext = makeBaseTokenContext(anyHandle, reason, forWhom, printFormat, { bundle, reasonSelection, printFormatSelection, bates });
 
   const { frame, cleanup } = createHiddenIframe(
     resolveIframeCleanupDelay(
@@ -494,15 +511,17 @@ export async function handlePrintAll(documentRenderRef, options = {}) {
     return;
   }
 
-  renderMultiDocument(doc, {
+  await removeFrameOnFailure(renderMultiDocument(doc, {
     dataUrls: toPrint,
     printDelayMs,
     printHeaderCfg: odv.printHeader || {},
     printFooterCfg: odv.printFooter || {},
     printFormatCfg: odv.print?.format || {},
     tokenContext,
-    pageContexts: normalizePageContexts(pageContexts).slice(0, toPrint.length)
-  });
+    pageContexts: normalizePageContexts(pageContexts).slice(0, toPrint.length),
+    separators,
+    separatorCfg: odv.print?.separators || {},
+  }), cleanup);
 }
 
 /**
@@ -511,10 +530,10 @@ export async function handlePrintAll(documentRenderRef, options = {}) {
  * @param {{ current: (DocumentRenderHandle|null) }} documentRenderRef
  * @param {Array<number>} sequence
  * @param {PrintAllOptions} [options]
- * @returns {Promise<void>}
+ * @returns {Promise<void>} Rejects when a redacted page could not be prepared.
  */
 export async function handlePrintSequence(documentRenderRef, sequence, options = {}) {
-  const { printDelayMs = 0, viewerContainerRef, reason = '', forWhom = '', printFormat = '', reasonSelection = null, printFormatSelection = null, bundle = null, pageContexts = [] } = options || {};
+  const { printDelayMs = 0, viewerContainerRef, reason = '', forWhom = '', printFormat = '', reasonSelection = null, printFormatSelection = null, bundle = null, pageContexts = [], bates = null, separators = null } = options || {};
 
   const dataUrls = await resolveAllPageDataUrls(documentRenderRef, viewerContainerRef);
   if (!Array.isArray(sequence) || !sequence.length) {
@@ -540,7 +559,7 @@ export async function handlePrintSequence(documentRenderRef, sequence, options =
 
   const odv = getODVConfig();
   const anyHandle = /** @type {*} */ (documentRenderRef?.current);
-  const tokenContext = makeBaseTokenContext(anyHandle, reason, forWhom, printFormat, { bundle, reasonSelection, printFormatSelection });
+  const tokenContext = makeBaseTokenContext(anyHandle, reason, forWhom, printFormat, { bundle, reasonSelection, printFormatSelection, bates });
 
   const { frame, cleanup } = createHiddenIframe(
     resolveIframeCleanupDelay(
@@ -558,15 +577,17 @@ export async function handlePrintSequence(documentRenderRef, sequence, options =
     return;
   }
 
-  renderMultiDocument(doc, {
+  await removeFrameOnFailure(renderMultiDocument(doc, {
     dataUrls: toPrint,
     printDelayMs,
     printHeaderCfg: odv.printHeader || {},
     printFooterCfg: odv.printFooter || {},
     printFormatCfg: odv.print?.format || {},
     tokenContext,
-    pageContexts: normalizePageContexts(pageContexts).slice(0, toPrint.length)
-  });
+    pageContexts: normalizePageContexts(pageContexts).slice(0, toPrint.length),
+    separators,
+    separatorCfg: odv.print?.separators || {},
+  }), cleanup);
 }
 
 
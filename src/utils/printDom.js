@@ -8,6 +8,16 @@
  *   Safely construct the print iframe’s DOM using DOM APIs (no doc.write), wait until images reach
  *   a terminal state, then trigger window.print(). Header/footer templates are expanded per printed
  *   page so document-specific metadata can follow the actual printed page sequence.
+ *
+ *   Pages with redaction regions never receive their original source: the image only gets the
+ *   redacted copy from `src/utils/redaction.js`, and when that cannot be produced the body is
+ *   cleared, nothing is printed and the render promise rejects so the caller can report it.
+ *
+ *   With Bates numbering on, every page also gets a `.odv-print-bates` stamp in the configured
+ *   corner; the numbers follow the printed page order (see `src/utils/batesNumbering.js`).
+ *
+ *   Multi-document jobs can get separator sheets and blank odd-page padding between documents
+ *   (`src/utils/printSeparators.js`); both are extra `.page` elements without a page image.
  */
 
 import i18next from 'i18next';
@@ -17,9 +27,21 @@ import { applyTemplateTokensEscaped, makePageTokenContext, resolveCopyMarkerText
 import { isSafeImageSrc } from './printSanitize.js';
 import { resolveLocalizedValue } from './localizedValue.js';
 import { resolveWatermarkAssetSrc } from './printWatermark.js';
+import { ANNOTATION_STROKE_WIDTH, HIGHLIGHT_OPACITY, isRedaction, wrapAnnotationText } from './annotations.js';
+import { createRedactedDataUrl, getPageRedactions } from './redaction.js';
+import { BATES_FONT_SIZE_PT } from './batesNumbering.js';
+import { DEFAULT_SEPARATOR_TEMPLATE, planSeparatorSequence } from './printSeparators.js';
+import { CODE128_QUIET_ZONE_MODULES, encodeCode128, getCode128ModuleCount } from './code128.js';
 
 const PRINT_TEMPLATE_ALLOWED_TAGS = ['b', 'br', 'div', 'em', 'i', 'p', 'small', 'span', 'strong', 'u'];
 const PRINT_TEMPLATE_ALLOWED_ATTR = ['class', 'style'];
+const SVG_NS = 'http://www.w3.org/2000/svg';
+// Note boxes match the generated-PDF backend: about a quarter of the page wide, 7 pt text on A4.
+const NOTE_WIDTH_RATIO = 0.24;
+const NOTE_FONT_RATIO = 0.012;
+const NOTE_MAX_LINES = 8;
+// Barcode module width on separator sheets; wide enough for office scanners at 300 dpi.
+const BARCODE_MODULE_MM = 0.5;
 
 /**
  * Print overlay config (runtime) consumed by the print overlay logic.
@@ -146,9 +168,12 @@ function buildPrintCss(extraCss, pageOrientation, printFormatCfg) {
       'height:100vh;box-sizing:border-box;overflow:hidden;position:relative;}' +
     '.page.last{break-after:auto;-webkit-break-after:auto;page-break-after:auto;}' +
     '.page-content{flex:1 1 auto;min-height:0;display:flex;align-items:center;justify-content:center;' +
-      'box-sizing:border-box;overflow:hidden;}' +
+      'box-sizing:border-box;overflow:hidden;position:relative;}' +
     '.page-content img{display:block;width:auto;height:auto;max-width:100vw;max-height:100%;object-fit:contain;' +
       'page-break-inside:avoid;break-inside:avoid;}' +
+    // Annotated pages fill the content box so the overlay, letterboxed the same way, lines up.
+    '.page-content img.has-annotations{width:100%;height:100%;}' +
+    '.odv-print-annotations{position:absolute;left:0;top:0;width:100%;height:100%;pointer-events:none;}' +
     '.odv-print-header,.odv-print-footer{flex:0 0 auto;pointer-events:none;z-index:2147483647;box-sizing:border-box;}' +
     '.odv-print-format-header{position:absolute;top:0;left:0;right:0;text-align:center;' +
       'font:bold 24px/1.2 Arial,Helvetica,sans-serif;letter-spacing:.18em;color:#000;' +
@@ -163,7 +188,15 @@ function buildPrintCss(extraCss, pageOrientation, printFormatCfg) {
       'pointer-events:none;z-index:-1;}' +
     '.odv-print-watermark-image{position:absolute;left:50%;top:50%;transform:translate(-50%,-50%);' +
       'display:block;width:82vw;max-width:96vw;max-height:42vh;height:auto;object-fit:contain;' +
-      'pointer-events:none;user-select:none;z-index:2147483645;}';
+      'pointer-events:none;user-select:none;z-index:2147483645;}' +
+    `.odv-print-bates{position:absolute;font:bold ${BATES_FONT_SIZE_PT}pt/1 Arial,Helvetica,sans-serif;color:#000;` +
+      'background:#fff;padding:2pt;white-space:nowrap;pointer-events:none;z-index:2147483647;}' +
+    '.odv-print-bates.is-top{top:3mm;}.odv-print-bates.is-bottom{bottom:3mm;}' +
+    '.odv-print-bates.is-left{left:3mm;}.odv-print-bates.is-right{right:3mm;}' +
+    '.odv-print-bates.is-center{left:50%;transform:translateX(-50%);}' +
+    '.odv-print-separator{padding:20mm;font:12pt/1.4 Arial,Helvetica,sans-serif;color:#222;}' +
+    '.odv-print-separator-barcode{display:block;height:17mm;max-width:100%;margin-top:10mm;}' +
+    '.odv-print-separator-id{font-size:9pt;margin-top:2mm;}';
 
   return base + trustedExtraCss + headerMarkerExtraCss + watermarkExtraCss;
 }
@@ -303,6 +336,108 @@ function buildPrintFormatElements(doc, tokenContext, printFormatCfg) {
   return { header, watermark };
 }
 
+/**
+ * Build the Bates stamp of a page, or `null` when the job has no Bates numbering.
+ * @param {Document} doc
+ * @param {Object} pageTokenContext
+ * @returns {(HTMLElement|null)}
+ */
+function buildBatesElement(doc, pageTokenContext) {
+  const text = pageTokenContext?.bates;
+  if (!text) return null;
+  const [vertical, horizontal] = pageTokenContext.batesSettings.position.split('-');
+  const stamp = doc.createElement('div');
+  stamp.className = `odv-print-bates is-${vertical} is-${horizontal}`;
+  stamp.textContent = text;
+  return stamp;
+}
+
+/**
+ * Build the SVG overlay for a page's annotations in the coordinates of the loaded image. The overlay
+ * covers the same box as the image and letterboxes the same way (`meet` / `object-fit: contain`).
+ *
+ * @param {Document} doc
+ * @param {Array<import('./annotations.js').ViewerAnnotation>} annotations Already in image orientation.
+ * @param {number} width Natural image width.
+ * @param {number} height Natural image height.
+ * @returns {SVGSVGElement}
+ */
+function buildAnnotationOverlay(doc, annotations, width, height) {
+  const svg = doc.createElementNS(SVG_NS, 'svg');
+  svg.setAttribute('class', 'odv-print-annotations');
+  svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+  svg.setAttribute('preserveAspectRatio', 'xMidYMid meet');
+  svg.setAttribute('aria-hidden', 'true');
+  const shortSide = Math.min(width, height);
+
+  /**
+   * @param {string} tag
+   * @param {Object<string, (string|number)>} attrs
+   * @param {(Element|null)=} parent
+   * @returns {Element}
+   */
+  const add = (tag, attrs, parent = svg) => {
+    const el = doc.createElementNS(SVG_NS, tag);
+    for (const [name, value] of Object.entries(attrs)) el.setAttribute(name, String(value));
+    parent.appendChild(el);
+    return el;
+  };
+
+  for (const annotation of annotations) {
+    // Redactions are burned into the image itself; never draw them as a removable overlay.
+    if (isRedaction(annotation)) continue;
+    const box = {
+      x: (annotation.x || 0) * width,
+      y: (annotation.y || 0) * height,
+      width: (annotation.width || 0) * width,
+      height: (annotation.height || 0) * height,
+    };
+    if (annotation.type === 'highlight') {
+      add('rect', { ...box, fill: annotation.color, 'fill-opacity': HIGHLIGHT_OPACITY });
+    } else if (annotation.type === 'rect') {
+      add('rect', { ...box, fill: 'none', stroke: annotation.color, 'stroke-width': ANNOTATION_STROKE_WIDTH.rect * shortSide });
+    } else if (annotation.type === 'ink') {
+      add('polyline', {
+        points: annotation.points.map(([px, py]) => `${px * width},${py * height}`).join(' '),
+        fill: 'none',
+        stroke: annotation.color,
+        'stroke-width': ANNOTATION_STROKE_WIDTH.ink * shortSide,
+        'stroke-linecap': 'round',
+        'stroke-linejoin': 'round',
+      });
+    } else if (annotation.type === 'stamp') {
+      const label = String(annotation.label || '');
+      add('rect', { ...box, fill: 'none', stroke: annotation.color, 'stroke-width': ANNOTATION_STROKE_WIDTH.stamp * shortSide });
+      const text = add('text', {
+        x: box.x + (box.width / 2),
+        y: box.y + (box.height / 2),
+        fill: annotation.color,
+        'font-family': 'Arial,Helvetica,sans-serif',
+        'font-weight': 'bold',
+        'font-size': Math.min(box.height * 0.62, (box.width * 0.9) / Math.max(1, label.length * 0.7)),
+        'text-anchor': 'middle',
+        'dominant-baseline': 'central',
+      });
+      text.textContent = label;
+    } else if (annotation.type === 'note') {
+      const fontSize = width * NOTE_FONT_RATIO;
+      const noteWidth = width * NOTE_WIDTH_RATIO;
+      const padding = fontSize * 0.4;
+      const lines = wrapAnnotationText(annotation.text || '', (noteWidth - (padding * 2)) / (fontSize * 0.5), NOTE_MAX_LINES);
+      const noteHeight = (padding * 2) + (Math.max(1, lines.length) * fontSize * 1.2);
+      const x = Math.min(width - noteWidth, box.x);
+      const y = Math.min(height - noteHeight, box.y);
+      add('rect', { x, y, width: noteWidth, height: noteHeight, fill: '#fff59d', stroke: annotation.color, 'stroke-width': fontSize * 0.08 });
+      const text = add('text', { x: x + padding, y: y + padding, fill: '#212121', 'font-family': 'Arial,Helvetica,sans-serif', 'font-size': fontSize });
+      lines.forEach((line) => {
+        const tspan = add('tspan', { x: x + padding, dy: fontSize * 1.2 }, text);
+        tspan.textContent = line;
+      });
+    }
+  }
+  return svg;
+}
+
 /**
  * @param {Array<HTMLImageElement>} list
  * @param {function(): void} cb
@@ -333,6 +468,78 @@ function waitForImagesToLoad(list, cb) {
   Promise.all(promises).then(() => cb());
 }
 
+/**
+ * Code 128 barcode of `text` as an SVG element, or `null` when the text cannot be encoded.
+ * @param {Document} doc
+ * @param {string} text
+ * @returns {(SVGSVGElement|null)}
+ */
+function buildBarcodeElement(doc, text) {
+  const widths = encodeCode128(text);
+  if (!widths) return null;
+  const modules = getCode128ModuleCount(widths) + (CODE128_QUIET_ZONE_MODULES * 2);
+  const svg = /** @type {SVGSVGElement} */ (doc.createElementNS(SVG_NS, 'svg'));
+  svg.setAttribute('class', 'odv-print-separator-barcode');
+  svg.setAttribute('viewBox', `0 0 ${modules} 1`);
+  svg.setAttribute('preserveAspectRatio', 'none');
+  svg.setAttribute('shape-rendering', 'crispEdges');
+  svg.setAttribute('style', `width:${modules * BARCODE_MODULE_MM}mm;`);
+  svg.setAttribute('aria-hidden', 'true');
+  let x = CODE128_QUIET_ZONE_MODULES;
+  widths.forEach((width, index) => {
+    if (index % 2 === 0) {
+      const bar = doc.createElementNS(SVG_NS, 'rect');
+      bar.setAttribute('x', String(x));
+      bar.setAttribute('y', '0');
+      bar.setAttribute('width', String(width));
+      bar.setAttribute('height', '1');
+      bar.setAttribute('fill', '#000');
+      svg.appendChild(bar);
+    }
+    x += width;
+  });
+  return svg;
+}
+
+/**
+ * Separator sheet shown before a document: the configured template, expanded with the tokens of
+ * the document's first printed page, and optionally the document id as barcode and text.
+ * @param {Document} doc
+ * @param {*} separatorCfg `print.separators` runtime config.
+ * @param {TokenContext} pageTokenContext
+ * @param {number} page 1-based printed page the document starts on.
+ * @param {number} total
+ * @returns {HTMLElement}
+ */
+function buildSeparatorPage(doc, separatorCfg, pageTokenContext, page, total) {
+  const wrapper = doc.createElement('div');
+  wrapper.className = 'page odv-print-separator';
+
+  const tpl = resolveLocalizedValue(separatorCfg?.template || '', i18next) || DEFAULT_SEPARATOR_TEMPLATE;
+  const content = DOMPurify.sanitize(applyTemplateTokensEscaped(tpl, { ...pageTokenContext, page, totalPages: total }), {
+    ALLOW_UNKNOWN_PROTOCOLS: false,
+    ALLOWED_TAGS: PRINT_TEMPLATE_ALLOWED_TAGS,
+    ALLOWED_ATTR: PRINT_TEMPLATE_ALLOWED_ATTR,
+  });
+  const text = doc.createElement('div');
+  text.className = 'odv-print-separator-content';
+  const fontSizePt = normalizeNonNegativeNumber(separatorCfg?.fontSizePt);
+  if (fontSizePt > 0) text.setAttribute('style', `font-size:${fontSizePt}pt;`);
+  text.innerHTML = content;
+  wrapper.appendChild(text);
+
+  const documentId = String(pageTokenContext?.doc?.documentId || '').trim();
+  if (separatorCfg?.barcode !== false && documentId) {
+    const barcode = buildBarcodeElement(doc, documentId);
+    if (barcode) wrapper.appendChild(barcode);
+    const label = doc.createElement('div');
+    label.className = 'odv-print-separator-id';
+    label.textContent = documentId;
+    wrapper.appendChild(label);
+  }
+  return wrapper;
+}
+
 /**
  * Attach pages and images into the (cleared) body, wait for image terminal states, then print.
  *
@@ -344,19 +551,37 @@ function waitForImagesToLoad(list, cb) {
  * @param {*} printFormatCfg
  * @param {TokenContext} tokenContext
  * @param {Array<*>} pageContexts
- * @returns {void}
+ * @param {{ settings:*, cfg:* }=} separators Separator choices of the job and `print.separators`.
+ * @returns {Promise<void>} Resolves once the pages are handed to the print wait; rejects when a
+ *   page could not be redacted.
  */
-function populateBodyAndPrint(doc, pages, printDelayMs, printHeaderCfg, printFooterCfg, printFormatCfg, tokenContext, pageContexts) {
+function populateBodyAndPrint(doc, pages, printDelayMs, printHeaderCfg, printFooterCfg, printFormatCfg, tokenContext, pageContexts, separators = undefined) {
   const body = ensureBody(doc);
   const total = pages.length;
   const imgs = [];
+  const redactionJobs = [];
   const bundle = tokenContext?.bundle || {};
+  const sequence = planSeparatorSequence(total, pageContexts, separators?.settings)
+    || pages.map((_page, index) => ({ kind: 'page', index }));
+
+  for (const entry of sequence) {
+    if (entry.kind === 'blank') {
+      const blank = doc.createElement('div');
+      blank.className = 'page odv-print-blank';
+      body.appendChild(blank);
+      continue;
+    }
+    if (entry.kind === 'separator') {
+      const separatorContext = makePageTokenContext(tokenContext || {}, pageContexts[entry.index] || null, bundle);
+      body.appendChild(buildSeparatorPage(doc, separators?.cfg || {}, separatorContext, entry.index + 1, total));
+      continue;
+    }
 
-  for (let i = 0; i < pages.length; i += 1) {
+    const i = entry.index;
     const pageWrapper = doc.createElement('div');
     pageWrapper.className = 'page' + (i === total - 1 ? ' last' : '');
 
-    const pageTokenContext = makePageTokenContext(tokenContext || {}, Array.isArray(pageContexts) ? pageContexts[i] : null, bundle);
+    const pageTokenContext = makePageTokenContext(tokenContext || {}, Array.isArray(pageContexts) ? pageContexts[i] : null, bundle, { index: i, total });
     const printFormatElements = buildPrintFormatElements(doc, pageTokenContext, printFormatCfg || {});
     if (printFormatElements.watermark) pageWrapper.appendChild(printFormatElements.watermark);
 
@@ -371,7 +596,19 @@ function populateBodyAndPrint(doc, pages, printDelayMs, printHeaderCfg, printFoo
     if (safeSrc) {
       const img = doc.createElement('img');
       img.setAttribute('alt', pages[i].alt || tr('viewer.pageAlt', 'Page {page}', { page: i + 1 }));
-      img.src = safeSrc;
+      const annotations = Array.isArray(pageContexts) ? pageContexts[i]?.annotations : null;
+      if (Array.isArray(annotations) && annotations.length) {
+        img.className = 'has-annotations';
+        // Registered before `src` so it runs ahead of the print wait in waitForImagesToLoad().
+        img.addEventListener('load', () => {
+          const width = img.naturalWidth || 0;
+          const height = img.naturalHeight || 0;
+          if (width > 0 && height > 0) contentWrapper.appendChild(buildAnnotationOverlay(doc, annotations, width, height));
+        }, { once: true });
+      }
+      const regions = getPageRedactions(Array.isArray(pageContexts) ? pageContexts[i] : null);
+      if (regions.length) redactionJobs.push({ img, src: safeSrc, regions });
+      else img.src = safeSrc;
       contentWrapper.appendChild(img);
       imgs.push(img);
     }
@@ -380,11 +617,14 @@ function populateBodyAndPrint(doc, pages, printDelayMs, printHeaderCfg, printFoo
     const footer = buildOverlayElement(doc, printFooterCfg, pageTokenContext, i + 1, total, 'footer');
     if (footer) pageWrapper.appendChild(footer);
 
+    const bates = buildBatesElement(doc, pageTokenContext);
+    if (bates) pageWrapper.appendChild(bates);
+
     body.appendChild(pageWrapper);
   }
 
   const delay = normalizeNonNegativeNumber(printDelayMs);
-  waitForImagesToLoad(imgs, () => {
+  const printWhenLoaded = () => waitForImagesToLoad(imgs, () => {
     setTimeout(() => {
       try {
         doc.defaultView?.print();
@@ -393,16 +633,29 @@ function populateBodyAndPrint(doc, pages, printDelayMs, printHeaderCfg, printFoo
       }
     }, delay);
   });
+  if (!redactionJobs.length) {
+    printWhenLoaded();
+    return Promise.resolve();
+  }
+
+  // An image without `src` counts as loaded, so the print wait starts only after every redacted
+  // copy has been assigned.
+  return Promise.all(redactionJobs.map(async (job) => {
+    job.img.src = await createRedactedDataUrl(job.src, job.regions);
+  })).then(printWhenLoaded, (error) => {
+    logger.error('Redacted print aborted: a page could not be redacted', { error: String(error?.message || error) });
+    body.replaceChildren();
+    throw error;
+  });
 }
 
 
 /**
- * @param {*} printHeaderCfg
- * @param {*} printFooterCfg
+ * @param {...*} cfgs Print header, footer and separator configs.
  * @returns {string}
  */
-function mergeOverlayCss(printHeaderCfg, printFooterCfg) {
-  return [printHeaderCfg?.css, printFooterCfg?.css]
+function mergeOverlayCss(...cfgs) {
+  return cfgs.map((cfg) => cfg?.css)
     .filter((entry) => typeof entry === 'string' && entry)
     .join('\n');
 }
@@ -419,13 +672,13 @@ function mergeOverlayCss(printHeaderCfg, printFooterCfg) {
  * @param {*=} opts.printFormatCfg
  * @param {TokenContext} opts.tokenContext
  * @param {Array<*>=} opts.pageContexts
- * @returns {void}
+ * @returns {Promise<void>} Rejects when a redacted page could not be prepared.
  */
 export function renderSingleDocument(doc, opts) {
   const cssText = buildPrintCss(mergeOverlayCss(opts.printHeaderCfg, opts.printFooterCfg), opts.orientation, opts.printFormatCfg || {});
   ensureHead(doc, cssText);
 
-  populateBodyAndPrint(
+  return populateBodyAndPrint(
     doc,
     [{ src: opts.dataUrl, alt: tr('print.alt.printableDocument', 'Printable Document') }],
     opts.printDelayMs,
@@ -448,10 +701,12 @@ export function renderSingleDocument(doc, opts) {
  * @param {*=} opts.printFormatCfg
  * @param {TokenContext} opts.tokenContext
  * @param {Array<*>=} opts.pageContexts
- * @returns {void}
+ * @param {*=} opts.separators Separator choices of the job; see `src/utils/printSeparators.js`.
+ * @param {*=} opts.separatorCfg `print.separators` runtime config.
+ * @returns {Promise<void>} Rejects when a redacted page could not be prepared.
  */
 export function renderMultiDocument(doc, opts) {
-  const cssText = buildPrintCss(mergeOverlayCss(opts.printHeaderCfg, opts.printFooterCfg), undefined, opts.printFormatCfg || {});
+  const cssText = buildPrintCss(mergeOverlayCss(opts.printHeaderCfg, opts.printFooterCfg, opts.separatorCfg), undefined, opts.printFormatCfg || {});
   ensureHead(doc, cssText);
 
   const pages = (opts.dataUrls || []).map((src, i) => ({
@@ -459,7 +714,7 @@ export function renderMultiDocument(doc, opts) {
     alt: tr('viewer.pageAlt', 'Page {page}', { page: i + 1 }),
   }));
 
-  populateBodyAndPrint(
+  return populateBodyAndPrint(
     doc,
     pages,
     opts.printDelayMs,
@@ -467,6 +722,7 @@ export function renderMultiDocument(doc, opts) {
     opts.printFooterCfg || {},
     opts.printFormatCfg || {},
     opts.tokenContext,
-    opts.pageContexts || []
+    opts.pageContexts || [],
+    { settings: opts.separators || null, cfg: opts.separatorCfg || {} }
   );
 }
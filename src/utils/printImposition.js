@@ -0,0 +1,144 @@
+// File: src/utils/printImposition.js
+/**
+ * OpenDocViewer — Sheet imposition for generated-PDF output.
+ *
+ * The generated PDF normally carries one printed page per output page. The other layouts place
+ * several printed pages on one output page ("sheet"), each in its own cell with its own header,
+ * footer, annotations and copy watermark:
+ *   - `2-up`: two pages side by side on landscape A4;
+ *   - `4-up`: four pages in reading order on portrait A4;
+ *   - `booklet`: saddle-stitch order on landscape A4. The page count is padded to a multiple of
+ *     four with blank cells; printed double-sided (flip on the short edge), folded and stapled in
+ *     the middle, the pages read in order.
+ *
+ * Both PDF backends (main thread and `src/workers/pdfWorker.js`) and the worker dispatcher plan
+ * with this module, so a batch of the partial-merge path always holds whole sheets.
+ *
+ * This module has no DOM or jsPDF dependencies.
+ */
+
+/** Supported layouts, in the order the print dialog offers them. */
+export const PRINT_LAYOUTS = Object.freeze(['single', '2-up', '4-up', 'booklet']);
+
+/**
+ * @typedef {('single'|'2-up'|'4-up'|'booklet')} PrintLayout
+ */
+
+/**
+ * Printed page index per cell of one output sheet, in cell order; `null` leaves the cell blank.
+ * @typedef {Array<(number|null)>} ImpositionSheet
+ */
+
+/**
+ * @typedef {Object} ImpositionCell
+ * @property {number} x      Left edge in points, from the left sheet edge.
+ * @property {number} y      Top edge in points, from the top sheet edge.
+ * @property {number} width
+ * @property {number} height
+ */
+
+/**
+ * @param {*} value
+ * @param {PrintLayout=} fallback
+ * @returns {PrintLayout}
+ */
+export function normalizePrintLayout(value, fallback = 'single') {
+  const layout = String(value || '').trim().toLowerCase();
+  return PRINT_LAYOUTS.includes(layout) ? /** @type {PrintLayout} */ (layout) : fallback;
+}
+
+/**
+ * @param {PrintLayout} layout
+ * @returns {number} Cells per output sheet.
+ */
+export function getLayoutCellCount(layout) {
+  if (layout === '4-up') return 4;
+  if (layout === '2-up' || layout === 'booklet') return 2;
+  return 1;
+}
+
+/**
+ * Fixed sheet orientation of a multi-page layout. `single` returns `null`: its pages keep the
+ * per-page orientation rules of the PDF backend.
+ *
+ * @param {PrintLayout} layout
+ * @returns {('portrait'|'landscape'|null)}
+ */
+export function getLayoutSheetOrientation(layout) {
+  if (layout === '4-up') return 'portrait';
+  if (layout === '2-up' || layout === 'booklet') return 'landscape';
+  return null;
+}
+
+/**
+ * Saddle-stitch order. Each physical sheet has a front and a back side with two pages each; with
+ * `n` padded pages, side `2s` holds pages `n-1-2s` and `2s`, side `2s+1` holds `2s+1` and
+ * `n-2-2s` (0-based, left cell first).
+ *
+ * @param {number} pageCount
+ * @returns {Array<ImpositionSheet>}
+ */
+function planBookletSheets(pageCount) {
+  const padded = Math.ceil(pageCount / 4) * 4;
+  const pageOrBlank = (index) => (index < pageCount ? index : null);
+  /** @type {Array<ImpositionSheet>} */
+  const sheets = [];
+  for (let sheet = 0; sheet < padded / 4; sheet += 1) {
+    sheets.push([pageOrBlank(padded - 1 - (2 * sheet)), pageOrBlank(2 * sheet)]);
+    sheets.push([pageOrBlank((2 * sheet) + 1), pageOrBlank(padded - 2 - (2 * sheet))]);
+  }
+  return sheets;
+}
+
+/**
+ * Assign printed pages to output sheets.
+ *
+ * @param {number} pageCount Number of printed pages.
+ * @param {PrintLayout} layout
+ * @returns {Array<ImpositionSheet>}
+ */
+export function planImpositionSheets(pageCount, layout) {
+  const count = Math.max(0, Math.floor(Number(pageCount) || 0));
+  if (count === 0) return [];
+  if (layout === 'booklet') return planBookletSheets(count);
+
+  const cellCount = getLayoutCellCount(layout);
+  /** @type {Array<ImpositionSheet>} */
+  const sheets = [];
+  for (let start = 0; start < count; start += cellCount) {
+    sheets.push(Array.from({ length: cellCount }, (_, cell) => (start + cell < count ? start + cell : null)));
+  }
+  return sheets;
+}
+
+/**
+ * Cell rectangles of one output sheet, in the cell order of `ImpositionSheet`.
+ *
+ * @param {number} sheetWidth
+ * @param {number} sheetHeight
+ * @param {PrintLayout} layout
+ * @returns {Array<ImpositionCell>}
+ */
+export function getImpositionCells(sheetWidth, sheetHeight, layout) {
+  const columns = layout === 'single' ? 1 : 2;
+  const rows = layout === '4-up' ? 2 : 1;
+  const width = sheetWidth / columns;
+  const height = sheetHeight / rows;
+  /** @type {Array<ImpositionCell>} */
+  const cells = [];
+  for (let row = 0; row < rows; row += 1) {
+    for (let column = 0; column < columns; column += 1) {
+      cells.push({ x: column * width, y: row * height, width, height });
+    }
+  }
+  return cells;
+}
+
+export default {
+  PRINT_LAYOUTS,
+  normalizePrintLayout,
+  getLayoutCellCount,
+  getLayoutSheetOrientation,
+  planImpositionSheets,
+  getImpositionCells,
+};
@@ -8,17 +8,30 @@
  *   Build a printable PDF from already-rendered page image URLs. This backend is intended as a
  *   browser-preview alternative for larger jobs where Chromium/Edge is slow to build print preview
  *   from a many-page HTML/IMG document.
+ *
+ *   Pages from PDF sources are copied in as vector pages from the original bytes when possible
+ *   (`src/utils/printPdfVector.js`); the rendered image is the fallback.
+ *
+ *   Document separator sheets and blank odd-page padding (`src/utils/printSeparators.js`) are
+ *   spliced in last, so neither backend nor the vector step sees them.
  */
 
 import i18next from 'i18next';
 import DOMPurify from 'dompurify';
 import logger from '../logging/systemLogger.js';
 import { applyTemplateTokensEscaped, makeBaseTokenContext, makePageTokenContext, resolveCopyMarkerText } from './printTemplate.js';
+import { drawPdfBatesStamp } from './batesNumbering.js';
 import { resolveLocalizedValue } from './localizedValue.js';
 import { isSafeImageSrc } from './printSanitize.js';
 import { resolveWatermarkAssetSrc } from './printWatermark.js';
 import { resolveRecommendedWorkerCount } from './documentLoadingConfig.js';
 import { createPdfWithWorkerDispatcher, resolveAutoPdfWorkerBatchSize } from './pdfWorkerDispatcher.js';
+import { drawPdfAnnotations } from './annotationPdf.js';
+import { redactPrintSources } from './redaction.js';
+import { embedVectorPages, isVectorPassthroughEnabled, prepareVectorPages } from './printPdfVector.js';
+import { getImpositionCells, getLayoutSheetOrientation, normalizePrintLayout, planImpositionSheets } from './printImposition.js';
+import { DEFAULT_SEPARATOR_TEMPLATE, assembleSeparatedPdf, planSeparatorSequence } from './printSeparators.js';
+import { CODE128_QUIET_ZONE_MODULES, drawPdfCode128, encodeCode128, getCode128ModuleCount } from './code128.js';
 
 /**
  * Escape regular-expression metacharacters in literal text.
@@ -66,6 +79,13 @@ const PDF_WORKER_MAX_COUNT = 32;
 // Move the progress bar slightly as a page enters expensive synchronous jsPDF work.
 // The completed page count still stays integer-based in the user-facing text.
 const PDF_PROGRESS_PAGE_START_FRACTION = 0.35;
+// Separator sheets: text block from the top margin, then the document-id barcode below it.
+const SEPARATOR_MARGIN_PT = 56;
+const SEPARATOR_MAX_LINES = 30;
+const SEPARATOR_DEFAULT_FONT_SIZE = 12;
+const SEPARATOR_BARCODE_HEIGHT_PT = 48;
+const SEPARATOR_BARCODE_MAX_MODULE_PT = 1.5;
+const SEPARATOR_BARCODE_TEXT_SIZE = 9;
 const ONE_MINUTE_MS = 60 * 1000;
 // Browsers do not expose a reliable completion event for synthetic blob downloads.
 // Keep the generated URL alive long enough for slow "save as" flows, then revoke it
@@ -161,12 +181,19 @@ const DISALLOWED_TEMPLATE_CLOSING_TAG_PATTERNS = Object.freeze(
  * @property {Object=} reasonSelection
  * @property {Object=} printFormatSelection
  * @property {Object=} bundle
- * @property {Array<*>=} pageContexts
+ * @property {Array<*>=} pageContexts Page entries aligned with the images; an entry's `annotations` are drawn over its page.
+ * @property {function(string): Promise<(ArrayBuffer|null)>=} readSourceArrayBuffer Reads original
+ *   source bytes by `sourceKey`; enables vector passthrough of PDF source pages.
  * @property {Object=} printHeaderCfg
  * @property {Object=} printFooterCfg
  * @property {Object=} printFormatCfg
  * @property {Object=} pdfCfg
- * @property {'auto'|'portrait'|'landscape'=} pdfOrientation
+ * @property {'auto'|'portrait'|'landscape'=} pdfOrientation Ignored by layouts with a fixed sheet orientation.
+ * @property {('single'|'2-up'|'4-up'|'booklet')=} pdfLayout Pages per output sheet; see `src/utils/printImposition.js`.
+ * @property {import('./batesNumbering.js').BatesSettings=} bates Bates numbering; stamps every printed page.
+ * @property {import('./printSeparators.js').SeparatorSettings=} separators Separator sheets and odd-page
+ *   starts between documents; only with the `single` layout.
+ * @property {Object=} separatorCfg `print.separators` runtime config (template, css, barcode, fontSizePt).
  * @property {AbortSignal=} signal Optional AbortSignal to cancel PDF generation.
  * @property {function(Object): void=} onProgress
  * @property {boolean=} deferOutput When true, generate and return the PDF Blob without printing/downloading it.
@@ -1019,6 +1046,15 @@ function resolvePdfOrientationMode(options = {}) {
   );
 }
 
+/**
+ * Print layout chosen in the dialog, otherwise `print.pdf.layout.defaultMode`.
+ * @param {PdfPrintOptions} options
+ * @returns {import('./printImposition.js').PrintLayout}
+ */
+function resolvePdfLayout(options = {}) {
+  return normalizePrintLayout(options.pdfLayout || options.pdfCfg?.layout?.defaultMode, 'single');
+}
+
 /**
  * @param {number} width
  * @param {number} height
@@ -1407,16 +1443,15 @@ function drawRichTextBlock(pdf, richLines, x, y, maxWidth, fontSize, color, maxL
 /**
  * @param {*} pdf
  * @param {string} text
- * @param {number} pageWidth
- * @param {number} pageHeight
+ * @param {import('./printImposition.js').ImpositionCell} cell Page cell the watermark is centered in.
  * @returns {void}
  */
-function drawWatermark(pdf, text, pageWidth, pageHeight) {
+function drawWatermark(pdf, text, cell) {
   const clean = String(text || '').trim();
   if (!clean) return;
-  const fontSize = Math.max(MIN_WATERMARK_FONT_SIZE, Math.min(pageWidth, pageHeight) * WATERMARK_FONT_SCALE);
-  const x = pageWidth / 2;
-  const y = pageHeight / 2;
+  const fontSize = Math.max(MIN_WATERMARK_FONT_SIZE, Math.min(cell.width, cell.height) * WATERMARK_FONT_SCALE);
+  const x = cell.x + (cell.width / 2);
+  const y = cell.y + (cell.height / 2);
   pdf.setFont('helvetica', 'bold');
   pdf.setFontSize(fontSize);
 
@@ -1451,28 +1486,27 @@ function drawWatermark(pdf, text, pageWidth, pageHeight) {
 }
 
 /**
- * Draw a prepared transparent PNG watermark, scaled to page width and centered.
+ * Draw a prepared transparent PNG watermark, scaled to the cell width and centered.
  * @param {*} pdf
  * @param {HTMLImageElement} img
- * @param {number} pageWidth
- * @param {number} pageHeight
+ * @param {import('./printImposition.js').ImpositionCell} cell
  * @returns {boolean}
  */
-function drawWatermarkImage(pdf, img, pageWidth, pageHeight) {
+function drawWatermarkImage(pdf, img, cell) {
   if (!img) return false;
   const naturalWidth = Math.max(1, img.naturalWidth || img.width || 1);
   const naturalHeight = Math.max(1, img.naturalHeight || img.height || 1);
   const aspect = naturalWidth / naturalHeight;
-  let drawWidth = pageWidth * WATERMARK_IMAGE_WIDTH_SCALE;
+  let drawWidth = cell.width * WATERMARK_IMAGE_WIDTH_SCALE;
   let drawHeight = drawWidth / aspect;
-  const maxHeight = pageHeight * WATERMARK_IMAGE_MAX_HEIGHT_SCALE;
+  const maxHeight = cell.height * WATERMARK_IMAGE_MAX_HEIGHT_SCALE;
   if (drawHeight > maxHeight) {
     drawHeight = maxHeight;
     drawWidth = drawHeight * aspect;
   }
 
-  const x = (pageWidth - drawWidth) / 2;
-  const y = (pageHeight - drawHeight) / 2;
+  const x = cell.x + ((cell.width - drawWidth) / 2);
+  const y = cell.y + ((cell.height - drawHeight) / 2);
   try {
     // Prepared watermark assets are generated PNGs. The compression hint follows
     // the same best-effort jsPDF path as page images; failures fall back to text.
@@ -1499,6 +1533,7 @@ function makeTokenContext(options) {
     bundle: options.bundle || null,
     reasonSelection: options.reasonSelection || null,
     printFormatSelection: options.printFormatSelection || null,
+    bates: options.bates || null,
   });
 }
 
@@ -1554,18 +1589,22 @@ function resolvePdfWorkerPlan(pdfCfg = {}, pageCount = 0) {
 /**
  * @param {PdfPrintOptions} options
  * @param {number} total
+ * @param {(Array<*>|null)=} vectorPages Pages drawn later as vector content get no image.
  * @returns {Array<Object>}
  */
-function buildPdfPagePlans(options, total) {
+function buildPdfPagePlans(options, total, vectorPages = null) {
   const bundle = options.bundle || null;
   const baseContext = makeTokenContext(options);
   return Array.from({ length: total }, (_, index) => {
     const pageInfo = Array.isArray(options.pageContexts) ? options.pageContexts[index] : null;
-    const pageContext = makePageTokenContext(baseContext, pageInfo, bundle);
+    const pageContext = makePageTokenContext(baseContext, pageInfo, bundle, { index, total });
     return {
       headerLines: renderOverlayRichLines(options.printHeaderCfg || {}, pageContext, index + 1, total),
       footerLines: renderOverlayRichLines(options.printFooterCfg || {}, pageContext, index + 1, total),
       copyText: resolveCopyMarkerText(pageContext),
+      batesStamp: pageContext.bates ? { text: pageContext.bates, position: pageContext.batesSettings.position } : null,
+      annotations: Array.isArray(pageInfo?.annotations) ? pageInfo.annotations : [],
+      vectorPage: !!vectorPages?.[index],
     };
   });
 }
@@ -1575,23 +1614,32 @@ function buildPdfPagePlans(options, total) {
  * @param {PdfPrintOptions} options
  * @param {{enabled:boolean, workerCount:number, desiredWorkerCount:number, batchSize:number, pageThreshold:number, imageLoadConcurrency:number, partialMergeEnabled:boolean, mergeMode:string}} workerPlan
  * @param {string|null} watermarkAssetSrc
- * @returns {Promise<Blob>}
+ * @param {(Array<*>|null)} vectorPages
+ * @returns {Promise<{ blob:Blob, imageBoxes:Array<*> }>}
  */
-function createPrintPdfBlobInWorker(urls, options, workerPlan, watermarkAssetSrc) {
+async function createPrintPdfBlobInWorker(urls, options, workerPlan, watermarkAssetSrc, vectorPages) {
   const pdfCfg = {
     ...(options.pdfCfg || {}),
     orientationMode: resolvePdfOrientationMode(options),
   };
-  return createPdfWithWorkerDispatcher({
+  const layout = resolvePdfLayout(options);
+  const imageBoxes = new Array(urls.length).fill(null);
+  const blob = await createPdfWithWorkerDispatcher({
     urls,
-    pagePlans: buildPdfPagePlans(options, urls.length),
+    pagePlans: buildPdfPagePlans(options, urls.length, vectorPages),
+    layout,
+    sheets: planImpositionSheets(urls.length, layout),
     pdfCfg,
     watermarkEnabled: options.printFormatCfg?.watermark?.enabled !== false,
     watermarkAssetSrc: watermarkAssetSrc || '',
     workerPlan,
     signal: options.signal,
     onProgress: (event) => reportProgress(options, event),
+    onImageBoxes: (pageIndexes, boxes) => {
+      boxes.forEach((box, offset) => { imageBoxes[pageIndexes[offset]] = box || null; });
+    },
   });
+  return { blob, imageBoxes };
 }
 
 /**
@@ -1608,6 +1656,56 @@ function calculateOverlayReserve(hasOverlay, reservePt, lineCount, fontSize) {
   return Math.max(Math.max(0, reservePt), contentReserve);
 }
 
+/**
+ * Draw one printed page into its cell: header and footer inside the cell margins, the page image
+ * fitted between them, then the page annotations and the Bates stamp. Vector pages get no image.
+ * @param {*} pdf
+ * @param {HTMLImageElement} img
+ * @param {Object} plan Entry of `buildPdfPagePlans()`.
+ * @param {import('./printImposition.js').ImpositionCell} cell
+ * @param {{marginPt:number, headerReservePt:number, footerReservePt:number, textFontSize:number, imageFallbackQuality:number}} metrics
+ * @returns {{x:number, y:number, width:number, height:number}} Where the image was (or would be) drawn.
+ */
+function drawPdfPageCell(pdf, img, plan, cell, metrics) {
+  const { marginPt, headerReservePt, footerReservePt, textFontSize } = metrics;
+  const contentWidth = cell.width - (marginPt * 2);
+  const headerDrawLines = wrapRichLines(pdf, plan.headerLines, contentWidth, textFontSize, MAX_HEADER_FOOTER_LINES);
+  const footerFontSize = Math.max(5, textFontSize - FOOTER_FONT_SIZE_REDUCTION);
+  const footerDrawLines = wrapRichLines(pdf, plan.footerLines, contentWidth, footerFontSize, MAX_FOOTER_LINES);
+  const hasHeader = headerDrawLines.length > 0;
+  const hasFooter = footerDrawLines.length > 0;
+  const headerReserve = calculateOverlayReserve(hasHeader, headerReservePt, headerDrawLines.length, textFontSize);
+  const footerReserve = calculateOverlayReserve(hasFooter, footerReservePt, footerDrawLines.length, footerFontSize);
+
+  if (hasHeader) {
+    drawRichTextBlock(pdf, headerDrawLines, cell.x + marginPt, cell.y + marginPt + textFontSize, contentWidth, textFontSize, HEADER_FOOTER_COLOR, MAX_HEADER_FOOTER_LINES);
+  }
+  if (hasFooter) {
+    const lineHeight = Math.max(5, footerFontSize * HEADER_FOOTER_LINE_HEIGHT);
+    const firstY = cell.y + cell.height - marginPt - footerFontSize - ((footerDrawLines.length - 1) * lineHeight);
+    drawRichTextBlock(pdf, footerDrawLines, cell.x + marginPt, firstY, contentWidth, footerFontSize, FOOTER_COLOR, MAX_FOOTER_LINES);
+  }
+
+  const naturalWidth = getImageDimension(img, 'width');
+  const naturalHeight = getImageDimension(img, 'height');
+  const imageBoxX = cell.x + marginPt;
+  const imageBoxY = cell.y + marginPt + headerReserve;
+  const imageBoxHeight = Math.max(1, cell.height - (marginPt * 2) - headerReserve - footerReserve);
+  const scale = Math.min(contentWidth / naturalWidth, imageBoxHeight / naturalHeight);
+  const drawWidth = naturalWidth * scale;
+  const drawHeight = naturalHeight * scale;
+  const box = {
+    x: imageBoxX + ((contentWidth - drawWidth) / 2),
+    y: imageBoxY + ((imageBoxHeight - drawHeight) / 2),
+    width: drawWidth,
+    height: drawHeight,
+  };
+  if (!plan.vectorPage) addImageWithFallback(pdf, img, box.x, box.y, box.width, box.height, metrics.imageFallbackQuality);
+  drawPdfAnnotations(pdf, plan.annotations, box);
+  drawPdfBatesStamp(pdf, plan.batesStamp, cell, marginPt);
+  return box;
+}
+
 /**
  * Resolve jsPDF from common ESM/CJS export shapes used by bundlers.
  * @param {*} module
@@ -1639,7 +1737,7 @@ function describeModuleExports(module) {
  * Generated PDF output is tested with the jsPDF package version locked by package-lock.json
  * for constructor options, GState opacity, addImage handling, and compression hints.
  */
-async function loadJsPdf() {
+export async function loadJsPdf() {
   try {
     const module = await import('jspdf');
     const jsPDF = resolveJsPdfConstructor(module);
@@ -1676,6 +1774,133 @@ export async function createPrintPdfBlob(dataUrls, options = {}) {
     ? { ...options, pageContexts: filteredPageContexts }
     : options;
 
+  // Redacted pages are replaced before either backend sees them, so the PDF worker and the
+  // main-thread fallback only receive burned-in copies. Failing to redact fails the whole job.
+  const redacted = await redactPrintSources(urls, filteredPageContexts, () => throwIfAborted(options.signal));
+  try {
+    const vector = isVectorPassthroughEnabled(options.pdfCfg)
+      ? await prepareVectorPages(filteredPageContexts, options.readSourceArrayBuffer, urls.length)
+      : { pages: [], count: 0 };
+    throwIfAborted(options.signal);
+    let blob = null;
+    if (vector.count > 0) {
+      try {
+        const output = await renderPrintPdfBlob(redacted.urls, alignedOptions, vector.pages);
+        throwIfAborted(options.signal);
+        blob = await embedVectorPages(output.blob, vector.pages, output.imageBoxes);
+      } catch (error) {
+        throwIfAborted(options.signal);
+        logger.warn('Vector PDF passthrough failed; using rendered page images', {
+          error: String(error?.message || error),
+          vectorPageCount: vector.count,
+        });
+      }
+    }
+    if (!blob) blob = (await renderPrintPdfBlob(redacted.urls, alignedOptions)).blob;
+    return await addSeparatorSheets(blob, alignedOptions, urls.length);
+  } finally {
+    redacted.release();
+  }
+}
+
+/**
+ * Draw the document id under the separator text as a Code 128 barcode with the id in plain text
+ * below it. Ids that cannot be encoded get the plain text only.
+ * @param {*} pdf
+ * @param {string} documentId
+ * @param {number} x
+ * @param {number} y Top edge in points.
+ * @param {number} maxWidth
+ * @returns {void}
+ */
+function drawSeparatorBarcode(pdf, documentId, x, y, maxWidth) {
+  const text = String(documentId || '').trim();
+  if (!text) return;
+  const widths = encodeCode128(text);
+  let textY = y + SEPARATOR_BARCODE_TEXT_SIZE;
+  if (widths) {
+    const modules = getCode128ModuleCount(widths) + (CODE128_QUIET_ZONE_MODULES * 2);
+    const moduleWidth = Math.min(SEPARATOR_BARCODE_MAX_MODULE_PT, maxWidth / modules);
+    drawPdfCode128(pdf, widths, x + (CODE128_QUIET_ZONE_MODULES * moduleWidth), y, moduleWidth, SEPARATOR_BARCODE_HEIGHT_PT);
+    textY += SEPARATOR_BARCODE_HEIGHT_PT + 4;
+  }
+  pdf.setFont('helvetica', 'normal');
+  pdf.setFontSize(SEPARATOR_BARCODE_TEXT_SIZE);
+  pdf.setTextColor(...HEADER_FOOTER_COLOR);
+  pdf.text(text, x, textY);
+}
+
+/**
+ * Render one A4 page per separator entry of `sequence`, in order.
+ * @param {Array<import('./printSeparators.js').SeparatorSequenceEntry>} sequence
+ * @param {PdfPrintOptions} options Page contexts aligned with the printed pages.
+ * @param {number} total Number of printed pages.
+ * @returns {Promise<(Blob|null)>} `null` when the sequence only adds blank pages.
+ */
+async function renderSeparatorSheets(sequence, options, total) {
+  const entries = sequence.filter((entry) => entry.kind === 'separator');
+  if (!entries.length) return null;
+  const cfg = options.separatorCfg || {};
+  const fontSize = Math.max(5, asNumber(cfg.fontSizePt) || SEPARATOR_DEFAULT_FONT_SIZE);
+  const [pageWidth, pageHeight] = A4_PORTRAIT;
+  const contentWidth = pageWidth - (SEPARATOR_MARGIN_PT * 2);
+  const baseContext = makeTokenContext(options);
+  const jsPDF = await loadJsPdf();
+  const pdf = new jsPDF(createJsPdfOptions(pageWidth, pageHeight, 'portrait'));
+
+  entries.forEach((entry, position) => {
+    if (position > 0) pdf.addPage([pageWidth, pageHeight], 'portrait');
+    const pageInfo = Array.isArray(options.pageContexts) ? options.pageContexts[entry.index] : null;
+    const pageContext = makePageTokenContext(baseContext, pageInfo, options.bundle || null);
+    const lines = renderOverlayRichLines(
+      { template: resolveLocalizedValue(cfg.template || '', i18next) || DEFAULT_SEPARATOR_TEMPLATE, css: cfg.css || '' },
+      pageContext,
+      entry.index + 1,
+      total
+    );
+    const textHeight = drawRichTextBlock(pdf, lines, SEPARATOR_MARGIN_PT, SEPARATOR_MARGIN_PT + fontSize, contentWidth, fontSize, HEADER_FOOTER_COLOR, SEPARATOR_MAX_LINES);
+    if (cfg.barcode !== false) {
+      drawSeparatorBarcode(pdf, pageContext.doc?.documentId, SEPARATOR_MARGIN_PT, SEPARATOR_MARGIN_PT + textHeight + (fontSize * 2), contentWidth);
+    }
+  });
+  return pdf.output('blob');
+}
+
+/**
+ * Splice separator sheets and odd-page padding into a generated PDF. A failure keeps the PDF
+ * without them; separators are a reading aid, not part of the printed content.
+ * @param {Blob} blob One output page per printed page.
+ * @param {PdfPrintOptions} options Page contexts aligned with the printed pages.
+ * @param {number} total Number of printed pages.
+ * @returns {Promise<Blob>}
+ */
+async function addSeparatorSheets(blob, options, total) {
+  const sequence = resolvePdfLayout(options) === 'single'
+    ? planSeparatorSequence(total, options.pageContexts, options.separators)
+    : null;
+  if (!sequence) return blob;
+  try {
+    const separatorBlob = await renderSeparatorSheets(sequence, options, total);
+    throwIfAborted(options.signal);
+    return await assembleSeparatedPdf(blob, separatorBlob, sequence);
+  } catch (error) {
+    throwIfAborted(options.signal);
+    logger.warn('PDF separator sheets failed; output has no separators', { error: String(error?.message || error) });
+    return blob;
+  }
+}
+
+/**
+ * Generate the PDF for validated page URLs, in the PDF worker when enabled and otherwise on the
+ * main thread. Pages are placed on output sheets by the print layout (`src/utils/printImposition.js`).
+ * Pages marked in `vectorPages` are laid out without their image; their image boxes, with the
+ * index of the sheet they are on, are returned for `embedVectorPages()`.
+ * @param {Array<string>} urls
+ * @param {PdfPrintOptions} options Page contexts aligned with `urls`.
+ * @param {(Array<*>|null)=} vectorPages
+ * @returns {Promise<{ blob:Blob, imageBoxes:Array<*> }>}
+ */
+async function renderPrintPdfBlob(urls, options, vectorPages = null) {
   const pdfCfg = options.pdfCfg || {};
   const pdfOrientationMode = resolvePdfOrientationMode(options);
   const marginPt = Math.max(0, asNumber(pdfCfg.marginPt) || 8);
@@ -1683,14 +1908,13 @@ export async function createPrintPdfBlob(dataUrls, options = {}) {
   const footerReservePt = Math.max(0, asNumber(pdfCfg.footerReservePt) || 14);
   const textFontSize = Math.max(5, asNumber(pdfCfg.textFontSize) || 7);
   const imageFallbackQuality = normalizeQuality(pdfCfg.imageFallbackQuality, JPEG_FALLBACK_DEFAULT_QUALITY);
-  const bundle = options.bundle || null;
-  const baseContext = makeTokenContext(options);
+  const layout = resolvePdfLayout(options);
   const total = urls.length;
   const workerPlan = resolvePdfWorkerPlan(pdfCfg, total);
   const watermarkAssetSrc = resolveWatermarkAssetSrc(options.printFormatCfg?.watermark || {}, i18next);
   if (workerPlan.enabled && typeof Worker !== 'undefined') {
     try {
-      return await createPrintPdfBlobInWorker(urls, alignedOptions, workerPlan, watermarkAssetSrc);
+      return await createPrintPdfBlobInWorker(urls, options, workerPlan, watermarkAssetSrc, vectorPages);
     } catch (error) {
       throwIfAborted(options.signal);
       logger.warn('PDF worker generation failed; falling back to main-thread PDF generation', {
@@ -1723,22 +1947,20 @@ export async function createPrintPdfBlob(dataUrls, options = {}) {
   await yieldToBrowser(options.signal);
   /** @type {*|null} */
   let pdf = null;
-
-  for (let i = 0; i < images.length; i += 1) {
-    throwIfAborted(options.signal);
-    reportProgress(options, {
-      phase: 'generating-page',
-      current: i,
-      progressValue: Math.min(total, i + PDF_PROGRESS_PAGE_START_FRACTION),
-      page: i + 1,
-      total,
-    });
-    await yieldToBrowser(options.signal);
-    const img = images[i];
-    throwIfAborted(options.signal);
-    const naturalWidth = Math.max(1, img.naturalWidth || img.width || 1);
-    const naturalHeight = Math.max(1, img.naturalHeight || img.height || 1);
-    const [pdfPageWidth, pdfPageHeight] = pageFormatForImage(naturalWidth, naturalHeight, pdfOrientationMode);
+  const pagePlans = buildPdfPagePlans(options, total, vectorPages);
+  const sheets = planImpositionSheets(total, layout);
+  const sheetOrientation = getLayoutSheetOrientation(layout);
+  const cellMetrics = { marginPt, headerReservePt, footerReservePt, textFontSize, imageFallbackQuality };
+  const watermarkEnabled = options.printFormatCfg?.watermark?.enabled !== false;
+  const imageBoxes = new Array(images.length).fill(null);
+  let drawnPages = 0;
+
+  for (let sheetIndex = 0; sheetIndex < sheets.length; sheetIndex += 1) {
+    const sheet = sheets[sheetIndex];
+    const firstImage = images[sheet.find((index) => index != null)];
+    const [pdfPageWidth, pdfPageHeight] = sheetOrientation
+      ? (sheetOrientation === 'landscape' ? A4_LANDSCAPE : A4_PORTRAIT)
+      : pageFormatForImage(getImageDimension(firstImage, 'width'), getImageDimension(firstImage, 'height'), pdfOrientationMode);
     const orientation = pdfPageWidth > pdfPageHeight ? 'landscape' : 'portrait';
 
     if (!pdf) {
@@ -1753,47 +1975,31 @@ export async function createPrintPdfBlob(dataUrls, options = {}) {
       pdf.addPage([pdfPageWidth, pdfPageHeight], orientation);
     }
 
-    const pageInfo = filteredPageContexts ? filteredPageContexts[i] : null;
-    const pageContext = makePageTokenContext(baseContext, pageInfo, bundle);
-    const headerLines = renderOverlayRichLines(options.printHeaderCfg || {}, pageContext, i + 1, total);
-    const footerLines = renderOverlayRichLines(options.printFooterCfg || {}, pageContext, i + 1, total);
-    const headerDrawLines = wrapRichLines(pdf, headerLines, pdfPageWidth - (marginPt * 2), textFontSize, MAX_HEADER_FOOTER_LINES);
-    const footerFontSize = Math.max(5, textFontSize - FOOTER_FONT_SIZE_REDUCTION);
-    const footerDrawLines = wrapRichLines(pdf, footerLines, pdfPageWidth - (marginPt * 2), footerFontSize, MAX_FOOTER_LINES);
-    const hasHeader = headerDrawLines.length > 0;
-    const hasFooter = footerDrawLines.length > 0;
-    const copyText = resolveCopyMarkerText(pageContext);
-    const headerReserve = calculateOverlayReserve(hasHeader, headerReservePt, headerDrawLines.length, textFontSize);
-    const footerReserve = calculateOverlayReserve(hasFooter, footerReservePt, footerDrawLines.length, footerFontSize);
-
-    if (hasHeader) {
-      drawRichTextBlock(pdf, headerDrawLines, marginPt, marginPt + textFontSize, pdfPageWidth - (marginPt * 2), textFontSize, HEADER_FOOTER_COLOR, MAX_HEADER_FOOTER_LINES);
-    }
-    if (hasFooter) {
-      const lineHeight = Math.max(5, footerFontSize * HEADER_FOOTER_LINE_HEIGHT);
-      const firstY = pdfPageHeight - marginPt - footerFontSize - ((footerDrawLines.length - 1) * lineHeight);
-      drawRichTextBlock(pdf, footerDrawLines, marginPt, firstY, pdfPageWidth - (marginPt * 2), footerFontSize, FOOTER_COLOR, MAX_FOOTER_LINES);
-    }
+    const cells = getImpositionCells(pdfPageWidth, pdfPageHeight, layout);
+    for (let cellIndex = 0; cellIndex < sheet.length; cellIndex += 1) {
+      const i = sheet[cellIndex];
+      if (i == null) continue;
+      throwIfAborted(options.signal);
+      reportProgress(options, {
+        phase: 'generating-page',
+        current: drawnPages,
+        progressValue: Math.min(total, drawnPages + PDF_PROGRESS_PAGE_START_FRACTION),
+        page: drawnPages + 1,
+        total,
+      });
+      await yieldToBrowser(options.signal);
+      throwIfAborted(options.signal);
 
-    const imageBoxX = marginPt;
-    const imageBoxY = marginPt + headerReserve;
-    const imageBoxWidth = pdfPageWidth - (marginPt * 2);
-    const imageBoxHeight = Math.max(1, pdfPageHeight - (marginPt * 2) - headerReserve - footerReserve);
-    const scale = Math.min(imageBoxWidth / naturalWidth, imageBoxHeight / naturalHeight);
-    const drawWidth = naturalWidth * scale;
-    const drawHeight = naturalHeight * scale;
-    const drawX = imageBoxX + ((imageBoxWidth - drawWidth) / 2);
-    const drawY = imageBoxY + ((imageBoxHeight - drawHeight) / 2);
-    addImageWithFallback(pdf, img, drawX, drawY, drawWidth, drawHeight, imageFallbackQuality);
-
-    if (copyText && options.printFormatCfg?.watermark?.enabled !== false) {
-      if (watermarkImage && drawWatermarkImage(pdf, watermarkImage, pdfPageWidth, pdfPageHeight)) {
-        reportProgress(options, { phase: 'generating', current: i + 1, total });
-        continue;
+      const plan = pagePlans[i];
+      const box = drawPdfPageCell(pdf, images[i], plan, cells[cellIndex], cellMetrics);
+      if (plan.vectorPage) imageBoxes[i] = { ...box, sheet: sheetIndex };
+      if (plan.copyText && watermarkEnabled
+        && !(watermarkImage && drawWatermarkImage(pdf, watermarkImage, cells[cellIndex]))) {
+        drawWatermark(pdf, plan.copyText, cells[cellIndex]);
       }
-      drawWatermark(pdf, copyText, pdfPageWidth, pdfPageHeight);
+      drawnPages += 1;
+      reportProgress(options, { phase: 'generating', current: drawnPages, total });
     }
-    reportProgress(options, { phase: 'generating', current: i + 1, total });
   }
 
   if (!pdf) throw new Error('PDF generation produced no document.');
@@ -1803,7 +2009,7 @@ export async function createPrintPdfBlob(dataUrls, options = {}) {
   const blob = pdf.output('blob');
   throwIfAborted(options.signal);
   reportProgress(options, { phase: 'done', current: total, total });
-  return blob;
+  return { blob, imageBoxes };
 }
 
 /**
@@ -0,0 +1,217 @@
+// File: src/utils/printPdfVector.js
+/**
+ * File: src/utils/printPdfVector.js
+ *
+ * OpenDocViewer — Vector passthrough for generated-PDF output.
+ *
+ * PURPOSE
+ *   Printed pages that come from a PDF source are copied into the generated PDF as vector content
+ *   from the original bytes instead of as the rendered page image, so text stays sharp and the
+ *   output stays small. TIFF and image sources keep the raster path.
+ *
+ * HOW IT WORKS
+ *   1. `prepareVectorPages()` runs before generation. It reads each PDF source once from the temp
+ *      store, parses it with pdf-lib, and decides which printed pages can pass through.
+ *   2. The jsPDF backends (main thread and PDF worker) lay those pages out as usual, with headers,
+ *      footers, watermark and annotations as vector text and shapes, but leave the image box empty
+ *      and report where it is.
+ *   3. `embedVectorPages()` draws the source page into each reported box. Its content stream goes
+ *      first on the page, so everything jsPDF drew stays on top, as it did over the image.
+ *
+ * DESIGN NOTES / GOTCHAS
+ *   - A page falls back to its rendered image when the source bytes are gone (single-page raster
+ *     sources may be released after a verified persist), when pdf-lib cannot parse the source or it
+ *     is encrypted, when the page carries redactions (the vector content would still hold the
+ *     covered text), or when the printed image has transient brightness/contrast adjustments.
+ *   - The source page is placed by its CropBox and turned by its own `/Rotate` plus the rotation of
+ *     the printed image, which is how pdf.js rendered the raster the box was sized for.
+ */
+
+import { getPageRedactions } from './redaction.js';
+
+/**
+ * @typedef {Object} VectorPageSource
+ * @property {*} page      pdf-lib `PDFPage` of the parsed source document.
+ * @property {number} rotation Clockwise rotation of the printed image in degrees.
+ */
+
+/**
+ * @typedef {Object} VectorImageBox
+ * @property {number} x      Left edge in points, from the left page edge.
+ * @property {number} y      Top edge in points, from the top page edge.
+ * @property {number} width
+ * @property {number} height
+ * @property {number=} sheet 0-based output page the box is on; defaults to the printed page index.
+ *   Differs from it when the print layout puts several pages on one sheet.
+ */
+
+/**
+ * @param {*} pdfCfg `print.pdf` runtime config.
+ * @returns {boolean}
+ */
+export function isVectorPassthroughEnabled(pdfCfg) {
+  return pdfCfg?.vectorPassthrough !== false;
+}
+
+/**
+ * @param {*} value
+ * @returns {number}
+ */
+function normalizeRotation(value) {
+  const quarterTurns = Math.round((Number(value) || 0) / 90);
+  return (((quarterTurns * 90) % 360) + 360) % 360;
+}
+
+/**
+ * Source page address of a printed page that may pass through as vector content.
+ *
+ * @param {*} pageContext Print page context.
+ * @returns {({ sourceKey:string, pageIndex:number }|null)}
+ */
+export function getVectorSourceAddress(pageContext) {
+  if (!pageContext || typeof pageContext !== 'object') return null;
+  if (String(pageContext.fileExtension || '').toLowerCase() !== 'pdf') return null;
+  const sourceKey = String(pageContext.sourceKey || '');
+  const pageIndex = Number(pageContext.pageIndex);
+  if (!sourceKey || !Number.isInteger(pageIndex) || pageIndex < 0) return null;
+  if (pageContext.imageAdjusted || getPageRedactions(pageContext).length) return null;
+  return { sourceKey, pageIndex };
+}
+
+/**
+ * Resolve which printed pages pass through as vector content.
+ *
+ * @param {(Array<*>|null)} pageContexts Aligned with the printed pages.
+ * @param {(function(string): Promise<(ArrayBuffer|null)>|undefined)} readSourceArrayBuffer
+ * @param {number} total Number of printed pages.
+ * @returns {Promise<{ pages:Array<(VectorPageSource|null)>, count:number }>}
+ */
+export async function prepareVectorPages(pageContexts, readSourceArrayBuffer, total) {
+  const pages = new Array(Math.max(0, total)).fill(null);
+  if (!Array.isArray(pageContexts) || typeof readSourceArrayBuffer !== 'function') return { pages, count: 0 };
+
+  const addresses = pages.map((_, index) => getVectorSourceAddress(pageContexts[index]));
+  if (!addresses.some(Boolean)) return { pages, count: 0 };
+
+  const { PDFDocument } = await import('pdf-lib');
+  /** @type {Map<string, *>} */
+  const documents = new Map();
+  let count = 0;
+  for (let index = 0; index < addresses.length; index += 1) {
+    const address = addresses[index];
+    if (!address) continue;
+    if (!documents.has(address.sourceKey)) {
+      let document = null;
+      try {
+        const bytes = await readSourceArrayBuffer(address.sourceKey);
+        // pdf-lib cannot decrypt content streams, so encrypted sources throw here and stay raster.
+        if (bytes && bytes.byteLength) document = await PDFDocument.load(bytes, { updateMetadata: false });
+      } catch {
+        document = null;
+      }
+      documents.set(address.sourceKey, document);
+    }
+    const document = documents.get(address.sourceKey);
+    if (!document || address.pageIndex >= document.getPageCount()) continue;
+    pages[index] = {
+      page: document.getPage(address.pageIndex),
+      rotation: normalizeRotation(pageContexts[index]?.imageRotation),
+    };
+    count += 1;
+  }
+  return { pages, count };
+}
+
+/**
+ * Matrix that maps the embedded page (0..width, 0..height) into a box, turned clockwise.
+ *
+ * @param {{ x:number, y:number, width:number, height:number }} box Bottom-left origin, in points.
+ * @param {number} width  Embedded page width.
+ * @param {number} height Embedded page height.
+ * @param {number} rotation 0, 90, 180 or 270.
+ * @returns {Array<number>} `[a, b, c, d, e, f]`
+ */
+export function getVectorPlacementMatrix(box, width, height, rotation) {
+  const { x, y } = box;
+  switch (rotation) {
+    case 90: return [0, -box.height / width, box.width / height, 0, x, y + box.height];
+    case 180: return [-box.width / width, 0, 0, -box.height / height, x + box.width, y + box.height];
+    case 270: return [0, box.height / width, -box.width / height, 0, x + box.width, y];
+    default: return [box.width / width, 0, 0, box.height / height, x, y];
+  }
+}
+
+/**
+ * Draw the vector source pages into the empty image boxes of a generated PDF.
+ *
+ * @param {Blob} blob Generated PDF.
+ * @param {Array<(VectorPageSource|null)>} vectorPages Aligned with the printed pages.
+ * @param {Array<(VectorImageBox|null|undefined)>} imageBoxes Reported by the jsPDF backend.
+ * @returns {Promise<Blob>}
+ */
+export async function embedVectorPages(blob, vectorPages, imageBoxes) {
+  const {
+    PDFDocument,
+    concatTransformationMatrix,
+    drawObject,
+    popGraphicsState,
+    pushGraphicsState,
+  } = await import('pdf-lib');
+  const target = await PDFDocument.load(new Uint8Array(await blob.arrayBuffer()));
+  const outputPages = target.getPages();
+
+  // Embed per source document so resources shared by its pages (fonts, images) are copied once.
+  /** @type {Map<*, Array<number>>} */
+  const bySource = new Map();
+  vectorPages.forEach((entry, index) => {
+    if (!entry) return;
+    if (!imageBoxes[index]) throw new Error(`No image box was reported for vector page ${index + 1}.`);
+    const sheet = imageBoxes[index].sheet ?? index;
+    if (!outputPages[sheet]) {
+      throw new Error(`Generated PDF has ${outputPages.length} page(s); vector page ${index + 1} belongs on page ${sheet + 1}.`);
+    }
+    const list = bySource.get(entry.page.doc);
+    if (list) list.push(index);
+    else bySource.set(entry.page.doc, [index]);
+  });
+
+  for (const indices of bySource.values()) {
+    const sourcePages = indices.map((index) => vectorPages[index].page);
+    const boundingBoxes = sourcePages.map((page) => {
+      const crop = page.getCropBox();
+      return { left: crop.x, bottom: crop.y, right: crop.x + crop.width, top: crop.y + crop.height };
+    });
+    const embedded = await target.embedPages(sourcePages, boundingBoxes);
+
+    indices.forEach((index, position) => {
+      const box = imageBoxes[index];
+      const outputPage = outputPages[box.sheet ?? index];
+      const rotation = normalizeRotation(sourcePages[position].getRotation().angle + vectorPages[index].rotation);
+      const matrix = getVectorPlacementMatrix(
+        { x: box.x, y: outputPage.getHeight() - box.y - box.height, width: box.width, height: box.height },
+        embedded[position].width,
+        embedded[position].height,
+        rotation
+      );
+      const name = outputPage.node.newXObject('OdvPage', embedded[position].ref);
+      const stream = target.context.contentStream([
+        pushGraphicsState(),
+        concatTransformationMatrix(...matrix),
+        drawObject(name),
+        popGraphicsState(),
+      ]);
+      outputPage.node.normalizedEntries().Contents.insert(0, target.context.register(stream));
+    });
+  }
+
+  const bytes = await target.save({ useObjectStreams: true });
+  return new Blob([bytes], { type: 'application/pdf' });
+}
+
+export default {
+  isVectorPassthroughEnabled,
+  getVectorSourceAddress,
+  prepareVectorPages,
+  getVectorPlacementMatrix,
+  embedVectorPages,
+};
@@ -0,0 +1,169 @@
+// File: src/utils/printSeparators.js
+/**
+ * OpenDocViewer — Document separator sheets for multi-document prints.
+ *
+ * When a print job holds pages of more than one logical document, the user can ask for
+ *   - a separator sheet before each document, rendered from `print.separators.template` with the
+ *     page tokens of the document's first printed page, plus an optional Code 128 barcode of the
+ *     document id (`src/utils/code128.js`);
+ *   - each document (and its separator sheet) to start on an odd output page, for duplex printers.
+ *     Blank pages are inserted where needed.
+ *
+ * `planSeparatorSequence()` decides the output order and is shared by both print paths: the HTML
+ * path (`printDom.js`) emits separator and blank `.page` elements, and the generated-PDF path
+ * (`printPdf.js`) renders the separator sheets with jsPDF and splices them into the finished PDF
+ * with `assembleSeparatedPdf()`, after vector passthrough has filled the printed pages.
+ *
+ * DESIGN NOTES / GOTCHAS
+ *   - A new document starts wherever the document of the printed page changes, so a custom sequence
+ *     that returns to an earlier document gets another separator there.
+ *   - Separator and blank pages are not printed pages: `{{page}}`, `{{totalPages}}` and Bates
+ *     numbers keep counting document pages only.
+ *   - Generated-PDF layouts other than one page per sheet ignore these settings; imposing cover
+ *     sheets into n-up or booklet sheets has no sensible reading order.
+ */
+
+/**
+ * Used when `print.separators.template` is empty. Language-neutral: document number, title and id.
+ */
+export const DEFAULT_SEPARATOR_TEMPLATE = '<strong>{{doc.documentNumber}}/{{doc.totalDocuments}}</strong>'
+  + '[[{{doc.title}}, "<br>{{doc.title}}"]][[{{doc.documentId}}, "<br>{{doc.documentId}}"]]';
+
+/**
+ * Separator choices of one print job.
+ * @typedef {Object} SeparatorSettings
+ * @property {boolean} sheets       Insert a separator sheet before each document.
+ * @property {boolean} oddPageStart Start each document on an odd output page.
+ */
+
+/**
+ * One output page of a separated print job. `index` is the printed page the entry belongs to; for
+ * a separator it is the first printed page of the document.
+ * @typedef {({ kind:'page', index:number }|{ kind:'separator', index:number }|{ kind:'blank' })} SeparatorSequenceEntry
+ */
+
+/**
+ * @param {*} value
+ * @returns {(SeparatorSettings|null)} `null` when neither option is on.
+ */
+export function normalizeSeparatorSettings(value) {
+  if (!value || typeof value !== 'object') return null;
+  const sheets = value.sheets === true;
+  const oddPageStart = value.oddPageStart === true;
+  return sheets || oddPageStart ? { sheets, oddPageStart } : null;
+}
+
+/**
+ * @param {*} pageContext
+ * @returns {string} Stable key of the page's logical document; empty when unknown.
+ */
+function getDocumentKey(pageContext) {
+  const documentNumber = Math.floor(Number(pageContext?.documentNumber) || 0);
+  if (documentNumber > 0) return `#${documentNumber}`;
+  const documentId = String(pageContext?.documentId ?? '').trim();
+  return documentId ? `id:${documentId}` : '';
+}
+
+/**
+ * Printed pages that begin a document. Jobs with fewer than two documents have none.
+ *
+ * @param {Array<*>} pageContexts Aligned with the printed pages.
+ * @param {number} pageCount
+ * @returns {Array<number>}
+ */
+export function findDocumentStarts(pageContexts, pageCount) {
+  const contexts = Array.isArray(pageContexts) ? pageContexts : [];
+  const count = Math.max(0, Math.floor(Number(pageCount) || 0));
+  /** @type {Array<number>} */
+  const starts = [];
+  let previous = null;
+  for (let index = 0; index < count; index += 1) {
+    const key = getDocumentKey(contexts[index]);
+    if (index === 0 || key !== previous) starts.push(index);
+    previous = key;
+  }
+  return starts.length > 1 ? starts : [];
+}
+
+/**
+ * Output order of a print job with separators.
+ *
+ * @param {number} pageCount Number of printed pages.
+ * @param {Array<*>} pageContexts Aligned with the printed pages.
+ * @param {*} settings {@link SeparatorSettings}
+ * @returns {(Array<SeparatorSequenceEntry>|null)} `null` when the output is unchanged.
+ */
+export function planSeparatorSequence(pageCount, pageContexts, settings) {
+  const normalized = normalizeSeparatorSettings(settings);
+  const starts = normalized ? new Set(findDocumentStarts(pageContexts, pageCount)) : new Set();
+  if (!starts.size) return null;
+
+  /** @type {Array<SeparatorSequenceEntry>} */
+  const sequence = [];
+  const padToOddPage = () => {
+    if (normalized.oddPageStart && sequence.length % 2 === 1) sequence.push({ kind: 'blank' });
+  };
+  for (let index = 0; index < pageCount; index += 1) {
+    if (starts.has(index)) {
+      if (normalized.sheets) {
+        padToOddPage();
+        sequence.push({ kind: 'separator', index });
+      }
+      padToOddPage();
+    }
+    sequence.push({ kind: 'page', index });
+  }
+  return sequence.length > pageCount ? sequence : null;
+}
+
+/**
+ * Build the final PDF from the generated pages and the rendered separator sheets.
+ *
+ * @param {Blob} blob Generated PDF, one output page per printed page.
+ * @param {(Blob|null)} separatorBlob One page per separator entry, in sequence order.
+ * @param {Array<SeparatorSequenceEntry>} sequence
+ * @returns {Promise<Blob>}
+ */
+export async function assembleSeparatedPdf(blob, separatorBlob, sequence) {
+  const { PDFDocument } = await import('pdf-lib');
+  const source = await PDFDocument.load(new Uint8Array(await blob.arrayBuffer()));
+  const target = await PDFDocument.create();
+  const pages = await target.copyPages(source, source.getPageIndices());
+  let separatorPages = [];
+  if (separatorBlob) {
+    const separators = await PDFDocument.load(new Uint8Array(await separatorBlob.arrayBuffer()));
+    separatorPages = await target.copyPages(separators, separators.getPageIndices());
+  }
+
+  let separatorIndex = 0;
+  sequence.forEach((entry, position) => {
+    if (entry.kind === 'page') {
+      if (!pages[entry.index]) throw new Error(`Generated PDF has ${pages.length} page(s); printed page ${entry.index + 1} is missing.`);
+      target.addPage(pages[entry.index]);
+      return;
+    }
+    if (entry.kind === 'separator') {
+      const page = separatorPages[separatorIndex];
+      separatorIndex += 1;
+      if (!page) throw new Error(`Separator sheet ${separatorIndex} was not rendered.`);
+      target.addPage(page);
+      return;
+    }
+    // Blank backs take the size of the page printed on the next sheet.
+    const next = sequence.slice(position + 1).find((candidate) => candidate.kind !== 'blank');
+    const reference = next?.kind === 'page' ? pages[next.index] : separatorPages[separatorIndex];
+    const { width, height } = reference ? reference.getSize() : { width: 595.28, height: 841.89 };
+    target.addPage([width, height]);
+  });
+
+  const bytes = await target.save({ useObjectStreams: true });
+  return new Blob([bytes], { type: 'application/pdf' });
+}
+
+export default {
+  DEFAULT_SEPARATOR_TEMPLATE,
+  normalizeSeparatorSettings,
+  findDocumentStarts,
+  planSeparatorSequence,
+  assembleSeparatedPdf,
+};
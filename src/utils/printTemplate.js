@@ -13,8 +13,14 @@
  *   - {{path}} and {{path||'fallback'}             Preferred print-template syntax.
  *   - [[{{path}}, "content with {{path}}"]]       Conditional block. The content is emitted only
  *                                                   when path resolves to a non-empty value.
+ *
+ * BATES TOKENS
+ *   {{bates}}, {{batesNumber}}, {{batesFirst}} and {{batesLast}} come from `batesNumbering.js`. They
+ *   need the page position in the job, so only makePageTokenContext() with a `sequence` fills them.
  */
 
+import { makeBatesTokens, normalizeBatesSettings } from './batesNumbering.js';
+
 // Preserve only the small, common entity set that hosts typically send after normalizing text.
 // Unknown named entities are escaped deliberately so ambiguous entity-like input stays inert.
 const PRESERVED_NAMED_HTML_ENTITIES = new Set(['amp', 'lt', 'gt', 'quot', 'apos', 'nbsp']);
@@ -469,6 +475,7 @@ function tryGetDocumentMetadata(handle) {
  * @param {Object=} options.bundle
  * @param {Object=} options.reasonSelection
  * @param {Object=} options.printFormatSelection
+ * @param {Object=} options.bates Bates settings of the job (see `normalizeBatesSettings()`).
  * @returns {Object}
  */
 export function makeBaseTokenContext(handle, reason, forWhom, printFormat = '', options = {}) {
@@ -512,7 +519,10 @@ export function makeBaseTokenContext(handle, reason, forWhom, printFormat = '',
     // resolve document/metadata tokens even when a non-page-specific print path is used.
     document: {},
     metadata: {},
-    viewer
+    viewer,
+    // Read by makePageTokenContext(); the page tokens stay empty until a page position is known.
+    batesSettings: normalizeBatesSettings(options?.bates),
+    ...makeBatesTokens(null, -1, 0),
   };
 }
 
@@ -521,9 +531,11 @@ export function makeBaseTokenContext(handle, reason, forWhom, printFormat = '',
  * @param {Object} baseContext
  * @param {*} pageInfo
  * @param {*} bundle
+ * @param {{ index:number, total:number }=} sequence 0-based position of the page in the print job
+ *   and the job's page count; needed for the Bates tokens.
  * @returns {Object}
  */
-export function makePageTokenContext(baseContext, pageInfo, bundle) {
+export function makePageTokenContext(baseContext, pageInfo, bundle, sequence = undefined) {
   const bundleDocument = resolveBundleDocumentForPage(bundle || baseContext?.bundle, pageInfo) || {};
   const metadata = buildMetadataTokenMap(bundleDocument);
   const metadataAlias = isPlainObject(bundleDocument.metadataDetails) ? bundleDocument.metadataDetails : {};
@@ -568,6 +580,7 @@ export function makePageTokenContext(baseContext, pageInfo, bundle) {
     metadataAliases: metadataAlias,
     metadataDetails: metadataAlias,
     pageInfo: pageInfo || {},
+    ...makeBatesTokens(baseContext?.batesSettings || null, sequence ? sequence.index : -1, sequence ? sequence.total : 0),
   };
 }
 
@@ -0,0 +1,194 @@
+// File: src/utils/redaction.js
+/**
+ * File: src/utils/redaction.js
+ *
+ * OpenDocViewer — Burn redaction regions into printed page rasters.
+ *
+ * PURPOSE
+ *   Redactions are `redact` annotations (see `src/utils/annotations.js`). For printing they are not
+ *   drawn on top of the page image like other annotations: the page is re-rasterized with the
+ *   regions filled, and only that copy reaches the print DOM or the generated PDF, so the original
+ *   pixels under a region never leave the viewer.
+ *
+ * DESIGN NOTES / GOTCHAS
+ *   - Print contexts carry the regions of each printed page in `redactions`, already turned to the
+ *     orientation of the printed image.
+ *   - Every helper fails closed: when a page cannot be re-rasterized (decode error, tainted canvas)
+ *     the promise rejects and callers must abort the print instead of using the original image.
+ *   - The generated-PDF path redacts before choosing between the PDF worker and the main thread,
+ *     so both backends only ever receive redacted sources.
+ *   - Page export (`pageExport.js`) draws pages on its own canvas and fills the same regions
+ *     there with `fillRedactionRegions()`; exported files never contain the original pixels either.
+ */
+
+/** Fill color of burned-in regions. */
+export const REDACTION_FILL = '#000000';
+
+/** Larger pages are redacted at a reduced size to stay within browser canvas limits. */
+const MAX_REDACTION_CANVAS_DIMENSION = 8192;
+
+/**
+ * @typedef {Object} RedactionRegion
+ * @property {number} x      Left edge as a fraction of the image width.
+ * @property {number} y      Top edge as a fraction of the image height.
+ * @property {number} width
+ * @property {number} height
+ */
+
+/**
+ * @param {*} pageContext
+ * @returns {Array<RedactionRegion>}
+ */
+export function getPageRedactions(pageContext) {
+  const list = Array.isArray(pageContext?.redactions) ? pageContext.redactions : [];
+  return list.filter((region) => Number(region?.width) > 0 && Number(region?.height) > 0);
+}
+
+/**
+ * Count redacted pages and regions of a print job.
+ *
+ * @param {Array<*>} pageContexts
+ * @returns {{ pages:number, regions:number }}
+ */
+export function summarizeRedactions(pageContexts) {
+  let pages = 0;
+  let regions = 0;
+  for (const context of Array.isArray(pageContexts) ? pageContexts : []) {
+    const count = getPageRedactions(context).length;
+    if (!count) continue;
+    pages += 1;
+    regions += count;
+  }
+  return { pages, regions };
+}
+
+/**
+ * @param {string} src
+ * @returns {Promise<HTMLImageElement>}
+ */
+function loadRedactionImage(src) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.decoding = 'async';
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error('Page image could not be loaded for redaction.'));
+    img.src = src;
+  });
+}
+
+/**
+ * Fill redaction regions on a canvas that holds the page image at `width` x `height`.
+ *
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Array<RedactionRegion>} regions
+ * @param {number} width
+ * @param {number} height
+ * @returns {void}
+ */
+export function fillRedactionRegions(ctx, regions, width, height) {
+  ctx.fillStyle = REDACTION_FILL;
+  for (const region of regions) {
+    // Round outward so anti-aliased edge pixels of the original cannot survive.
+    const left = Math.max(0, Math.floor(region.x * width));
+    const top = Math.max(0, Math.floor(region.y * height));
+    const right = Math.min(width, Math.ceil((region.x + region.width) * width));
+    const bottom = Math.min(height, Math.ceil((region.y + region.height) * height));
+    if (right > left && bottom > top) ctx.fillRect(left, top, right - left, bottom - top);
+  }
+}
+
+/**
+ * Draw a page image with its redaction regions filled.
+ *
+ * @param {string} src
+ * @param {Array<RedactionRegion>} regions
+ * @returns {Promise<HTMLCanvasElement>}
+ */
+export async function renderRedactedCanvas(src, regions) {
+  const img = await loadRedactionImage(src);
+  const naturalWidth = Math.max(1, img.naturalWidth || img.width || 1);
+  const naturalHeight = Math.max(1, img.naturalHeight || img.height || 1);
+  const scale = Math.min(1, MAX_REDACTION_CANVAS_DIMENSION / Math.max(naturalWidth, naturalHeight));
+  const width = Math.max(1, Math.round(naturalWidth * scale));
+  const height = Math.max(1, Math.round(naturalHeight * scale));
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  if (!ctx) throw new Error('Canvas 2D context is not available for redaction.');
+  ctx.drawImage(img, 0, 0, width, height);
+  fillRedactionRegions(ctx, regions, width, height);
+  return canvas;
+}
+
+/**
+ * Redact a page image and return it as a PNG data URL.
+ *
+ * @param {string} src
+ * @param {Array<RedactionRegion>} regions
+ * @returns {Promise<string>}
+ */
+export async function createRedactedDataUrl(src, regions) {
+  const canvas = await renderRedactedCanvas(src, regions);
+  const dataUrl = canvas.toDataURL('image/png');
+  if (!dataUrl.startsWith('data:image/png')) throw new Error('Redacted page could not be encoded.');
+  return dataUrl;
+}
+
+/**
+ * @param {HTMLCanvasElement} canvas
+ * @returns {Promise<Blob>}
+ */
+function canvasToPngBlob(canvas) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (blob) resolve(blob);
+      else reject(new Error('Redacted page could not be encoded.'));
+    }, 'image/png');
+  });
+}
+
+/**
+ * Replace the sources of redacted pages with redacted copies. Pages without regions keep their
+ * source. Call `release()` once the output is built to revoke the temporary blob URLs.
+ *
+ * @param {Array<string>} urls
+ * @param {(Array<*>|null)} pageContexts Aligned with `urls`.
+ * @param {function(): void=} assertActive Called before each page; throws to cancel.
+ * @returns {Promise<{ urls:Array<string>, release:function(): void }>}
+ */
+export async function redactPrintSources(urls, pageContexts, assertActive = () => {}) {
+  const created = [];
+  const release = () => {
+    for (const url of created.splice(0)) {
+      try { URL.revokeObjectURL(url); } catch {}
+    }
+  };
+  const out = urls.slice();
+  try {
+    for (let i = 0; i < out.length; i += 1) {
+      const regions = getPageRedactions(Array.isArray(pageContexts) ? pageContexts[i] : null);
+      if (!regions.length) continue;
+      assertActive();
+      const blob = await canvasToPngBlob(await renderRedactedCanvas(out[i], regions));
+      const url = URL.createObjectURL(blob);
+      created.push(url);
+      out[i] = url;
+    }
+  } catch (error) {
+    release();
+    throw error;
+  }
+  return { urls: out, release };
+}
+
+export default {
+  REDACTION_FILL,
+  getPageRedactions,
+  summarizeRedactions,
+  fillRedactionRegions,
+  renderRedactedCanvas,
+  createRedactedDataUrl,
+  redactPrintSources,
+};
@@ -6,9 +6,13 @@
  * consistently resolve optional runtime flags without duplicating window access logic.
  */
 
+import { normalizeBatesSettings } from './batesNumbering.js';
+import { EXPORT_FORMATS, normalizeExportDpi, normalizeExportFormat } from './exportSettings.js';
+
 /** @typedef {'browser'|'disable'|'dialog'} KeyboardPrintShortcutBehavior */
 /** @typedef {'FIT_PAGE'|'FIT_WIDTH'|'FIT_CUSTOM'|'ACTUAL_SIZE'} ViewerDefaultZoomMode */
 /** @typedef {'active'|'all'} PrintDefaultMode */
+/** @typedef {'single'|'continuous'|'spread'} ViewerPageLayout */
 /**
  * Session-reset target for the support/problem notice.
  *
@@ -40,6 +44,20 @@ const PRINT_DEFAULT_MODE_ALIASES = Object.freeze({
   current: 'active',
   'current-page': 'active',
 });
+/** User-facing page layout aliases mapped to ViewerPageLayout values. */
+const PAGE_LAYOUT_ALIASES = Object.freeze({
+  single: 'single',
+  'single-page': 'single',
+  page: 'single',
+  continuous: 'continuous',
+  'continuous-scroll': 'continuous',
+  scroll: 'continuous',
+  spread: 'spread',
+  'two-page': 'spread',
+  facing: 'spread',
+  'facing-pages': 'spread',
+  book: 'spread',
+});
 /** User-facing zoom-mode aliases mapped to ViewerDefaultZoomMode values. */
 const DEFAULT_ZOOM_MODE_ALIAS_ENTRIES = Object.freeze([
   Object.freeze(['fit-page', 'FIT_PAGE']),
@@ -76,6 +94,38 @@ const DEFAULT_ZOOM_MODE_ALIAS_ENTRIES = Object.freeze([
  * @property {*} previewInfoTemplate
  */
 
+/**
+ * @typedef {Object} PrintBatesConfig
+ * @property {boolean} enabled        Show the Bates section in the print and export dialogs.
+ * @property {boolean} defaultChecked Bates numbering starts switched on when the dialog opens.
+ * @property {import('./batesNumbering.js').BatesSettings} defaults Prefix, start number, digits and position.
+ */
+
+/**
+ * @typedef {Object} PrintSeparatorConfig
+ * @property {boolean} enabled             Show the document separator options in the print dialog.
+ * @property {boolean} defaultChecked      Separator sheets start switched on when the dialog opens.
+ * @property {boolean} defaultOddPageStart Odd-page document starts start switched on.
+ */
+
+/**
+ * @typedef {Object} ExportConfig
+ * @property {boolean} enabled            Show the Export button in the toolbar.
+ * @property {Array<import('./exportSettings.js').ExportFormat>} formats Formats offered, in dialog order.
+ * @property {import('./exportSettings.js').ExportFormat} defaultFormat
+ * @property {number} defaultDpi          One of `EXPORT_RESOLUTIONS`; `0` keeps the rendered size.
+ * @property {boolean} defaultAdjusted    Apply rotation, brightness and contrast by default.
+ * @property {boolean} defaultAnnotations Include annotations by default.
+ * @property {number} jpegQuality
+ * @property {string} filename            Download name without extension.
+ */
+
+/**
+ * @typedef {Object} OriginalDownloadConfig
+ * @property {boolean} enabled   Offer "Download original" in the toolbar and thumbnail menu.
+ * @property {string} zipFilename Base name of ZIP downloads of multi-file documents.
+ */
+
 /**
  * @typedef {Object} ViewerEdgeScrollPageTurnConfig
  * @property {boolean} enabled
@@ -106,6 +156,15 @@ const DEFAULT_ZOOM_MODE_ALIAS_ENTRIES = Object.freeze([
  * @property {string} resetSessionAllowedOrigin
  */
 
+/**
+ * @typedef {Object} PostMessageBridgeConfig
+ * @property {boolean} enabled
+ * @property {Array<string>} allowedOrigins
+ * @property {number} handshakeTimeoutMs
+ * @property {boolean} forwardEvents
+ * @property {boolean} acceptCommands
+ */
+
 /**
  * Read the merged runtime configuration from the browser environment.
  * @returns {Object}
@@ -150,6 +209,18 @@ export function isDocumentMetadataUiEnabled(cfg = getRuntimeConfig()) {
   return cfg?.metadata?.enabled !== false;
 }
 
+/**
+ * Resolve whether users may open local files by drag-and-drop or the file picker.
+ * Local files are offered on the start screen and can be dropped onto a viewer that was opened
+ * from local files; host-provided sessions never take dropped files.
+ *
+ * @param {Object=} cfg
+ * @returns {boolean}
+ */
+export function isLocalFileOpenEnabled(cfg = getRuntimeConfig()) {
+  return cfg?.localFiles?.enabled !== false;
+}
+
 /**
  * Normalize a runtime flag to a boolean.
  *
@@ -321,6 +392,20 @@ export function normalizePrintDefaultMode(value, defaultMode = 'active') {
   return defaultMode === 'all' ? 'all' : 'active';
 }
 
+/**
+ * Normalize a page layout value. Unknown values resolve to `defaultLayout`, which may be null so
+ * callers can tell "not set" apart from an explicit choice.
+ *
+ * @param {*} value
+ * @param {(ViewerPageLayout|null)=} defaultLayout
+ * @returns {(ViewerPageLayout|null)}
+ */
+export function normalizePageLayout(value, defaultLayout = null) {
+  const raw = String(value || '').trim().toLowerCase().replace(/[_\s]+/g, '-');
+  if (Object.hasOwn(PAGE_LAYOUT_ALIASES, raw)) return PAGE_LAYOUT_ALIASES[raw];
+  return defaultLayout;
+}
+
 /**
  * Normalize a custom fit-width factor. The public config/preference value is an integer percentage
  * of the calculated fit-width zoom, not a direct zoom percentage. The default 70 means the custom
@@ -391,6 +476,52 @@ export function getViewerDefaultZoomMode(cfg = getRuntimeConfig()) {
   return normalizeDefaultZoomMode(cfg?.viewer?.defaultZoomMode, 'fit-width');
 }
 
+/**
+ * Resolve the initial page layout.
+ *
+ * Runtime config value: `viewer.defaultPageLayout`
+ * Supported values:
+ * - `single`: one page at a time (default)
+ * - `continuous`: pages stacked vertically in one scroll area
+ * - `spread`: two facing pages side by side (see `viewer.spreadCoverPage`)
+ *
+ * A layout chosen in the toolbar is remembered per user and takes precedence.
+ *
+ * @param {Object=} cfg
+ * @returns {ViewerPageLayout}
+ */
+export function getViewerDefaultPageLayout(cfg = getRuntimeConfig()) {
+  return /** @type {ViewerPageLayout} */ (normalizePageLayout(cfg?.viewer?.defaultPageLayout, 'single'));
+}
+
+/**
+ * Resolve whether the spread layout shows the first page alone, as the cover of a book.
+ *
+ * Runtime config value: `viewer.spreadCoverPage` (default false)
+ *
+ * A choice made in the toolbar is remembered per user and takes precedence.
+ *
+ * @param {Object=} cfg
+ * @returns {boolean}
+ */
+export function getViewerSpreadCoverPage(cfg = getRuntimeConfig()) {
+  return normalizeBoolean(cfg?.viewer?.spreadCoverPage, false);
+}
+
+/**
+ * Resolve whether animated GIF and WebP pages offer a play control.
+ *
+ * Runtime config value: `viewer.animationPlayback` (default true)
+ *
+ * Every frame is a page either way; this only controls playing the animation in place.
+ *
+ * @param {Object=} cfg
+ * @returns {boolean}
+ */
+export function getViewerAnimationPlayback(cfg = getRuntimeConfig()) {
+  return normalizeBoolean(cfg?.viewer?.animationPlayback, true);
+}
+
 /**
  * Resolve the custom-size width factor percentage.
  *
@@ -477,6 +608,105 @@ export function getPrintSelectionWorkspaceConfig(cfg = getRuntimeConfig()) {
   };
 }
 
+/**
+ * Resolve the Bates numbering configuration.
+ *
+ * Runtime config value: `print.bates`
+ * Supported shape:
+ * `{ enabled: true, defaultChecked: false, prefix: 'ACME', startNumber: 1, digits: 6, position: 'bottom-right' }`
+ *
+ * `startNumber` only seeds the session counter; after each stamped job the viewer continues with
+ * the next number, and hosts may set it with `window.ODV.setBatesStart(n)`.
+ *
+ * @param {Object=} cfg
+ * @returns {PrintBatesConfig}
+ */
+export function getPrintBatesConfig(cfg = getRuntimeConfig()) {
+  const raw = cfg?.print?.bates ?? {};
+  return {
+    enabled: normalizeBoolean(raw?.enabled, false),
+    defaultChecked: normalizeBoolean(raw?.defaultChecked, false),
+    defaults: normalizeBatesSettings({ ...raw, enabled: true }),
+  };
+}
+
+/**
+ * Resolve the dialog options of document separator sheets.
+ *
+ * Runtime config value: `print.separators`
+ * Supported shape:
+ * `{ enabled: true, defaultChecked: true, defaultOddPageStart: false, barcode: true, fontSizePt: 12, template, css }`
+ *
+ * The print paths read `template`, `css`, `barcode` and `fontSizePt` themselves, like the print
+ * header and footer.
+ *
+ * @param {Object=} cfg
+ * @returns {PrintSeparatorConfig}
+ */
+export function getPrintSeparatorConfig(cfg = getRuntimeConfig()) {
+  const raw = cfg?.print?.separators ?? {};
+  return {
+    enabled: normalizeBoolean(raw?.enabled, false),
+    defaultChecked: normalizeBoolean(raw?.defaultChecked, true),
+    defaultOddPageStart: normalizeBoolean(raw?.defaultOddPageStart, false),
+  };
+}
+
+/**
+ * Resolve the page export options.
+ *
+ * Runtime config value: `export`
+ * Supported shape:
+ * `{ enabled: true, formats: ['pdf', 'tiff', 'png', 'jpeg'], defaultFormat: 'pdf', defaultResolution: 200,
+ *   defaultAdjusted: false, defaultAnnotations: true, jpegQuality: 0.9, filename: 'opendocviewer-export' }`
+ *
+ * `defaultResolution` is `'original'` or one of the DPI values of `EXPORT_RESOLUTIONS`. Unknown
+ * formats are dropped; an empty list offers all formats.
+ *
+ * @param {Object=} cfg
+ * @returns {ExportConfig}
+ */
+export function getExportConfig(cfg = getRuntimeConfig()) {
+  const raw = cfg?.export ?? {};
+  const formats = [];
+  for (const entry of Array.isArray(raw?.formats) ? raw.formats : []) {
+    const format = normalizeExportFormat(entry, null);
+    if (format && !formats.includes(format)) formats.push(format);
+  }
+  const offered = formats.length ? formats : EXPORT_FORMATS.slice();
+  const defaultFormat = normalizeExportFormat(raw?.defaultFormat, offered[0]);
+  return {
+    enabled: normalizeBoolean(raw?.enabled, false),
+    formats: offered,
+    defaultFormat: offered.includes(defaultFormat) ? defaultFormat : offered[0],
+    defaultDpi: normalizeExportDpi(raw?.defaultResolution, 200),
+    defaultAdjusted: normalizeBoolean(raw?.defaultAdjusted, false),
+    defaultAnnotations: normalizeBoolean(raw?.defaultAnnotations, true),
+    jpegQuality: normalizeFloat(raw?.jpegQuality, 0.9, 0.1, 1),
+    filename: typeof raw?.filename === 'string' && raw.filename.trim() ? raw.filename.trim() : 'opendocviewer-export',
+  };
+}
+
+/**
+ * Resolve the "Download original" action.
+ *
+ * Runtime config value: `downloadOriginal`
+ * Supported shape: `{ enabled: true, zipFilename: 'opendocviewer-originals' }`
+ *
+ * The action is on by default; `enabled: false` blocks it for deployments where users must not
+ * obtain the stored source files.
+ *
+ * @param {Object=} cfg
+ * @returns {OriginalDownloadConfig}
+ */
+export function getOriginalDownloadConfig(cfg = getRuntimeConfig()) {
+  const raw = cfg?.downloadOriginal ?? {};
+  return {
+    enabled: normalizeBoolean(raw?.enabled, true),
+    zipFilename: typeof raw?.zipFilename === 'string' && raw.zipFilename.trim() ? raw.zipFilename.trim() : 'opendocviewer-originals',
+  };
+}
+
 /**
  * Resolve the optional scroll-at-edge page turn gesture.
  *
@@ -530,3 +760,46 @@ export function getViewerProblemNoticeConfig(cfg = getRuntimeConfig()) {
       : '',
   };
 }
+
+/**
+ * Normalize a host origin allowlist into exact `scheme://host[:port]` origins.
+ * Wildcards and opaque origins are dropped: the bridge must always know who it talks to.
+ *
+ * @param {*} value
+ * @returns {Array<string>}
+ */
+function normalizeAllowedOrigins(value) {
+  const list = Array.isArray(value) ? value : (typeof value === 'string' ? value.split(/[\s,]+/) : []);
+  const out = [];
+  for (const entry of list) {
+    const text = typeof entry === 'string' ? entry.trim() : '';
+    if (!text || text === '*' || text === 'null') continue;
+    try {
+      const url = new URL(text);
+      if (url.protocol !== 'https:' && url.protocol !== 'http:') continue;
+      if (!out.includes(url.origin)) out.push(url.origin);
+    } catch {
+      // ignore malformed entries
+    }
+  }
+  return out;
+}
+
+/**
+ * Resolve the cross-origin postMessage bridge settings.
+ * The bridge stays disabled unless it is enabled explicitly and at least one origin is allowed.
+ *
+ * @param {Object=} cfg
+ * @returns {PostMessageBridgeConfig}
+ */
+export function getPostMessageBridgeConfig(cfg = getRuntimeConfig()) {
+  const raw = cfg?.integrations?.postMessage || {};
+  const allowedOrigins = normalizeAllowedOrigins(raw.allowedOrigins);
+  return {
+    enabled: normalizeBoolean(raw.enabled, false) && allowedOrigins.length > 0,
+    allowedOrigins,
+    handshakeTimeoutMs: normalizeInteger(raw.handshakeTimeoutMs, 3000, 250, 60000),
+    forwardEvents: normalizeBoolean(raw.forwardEvents, true),
+    acceptCommands: normalizeBoolean(raw.acceptCommands, true),
+  };
+}
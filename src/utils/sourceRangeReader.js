@@ -0,0 +1,173 @@
+// File: src/utils/sourceRangeReader.js
+/**
+ * OpenDocViewer — chunked byte-range reader for sources that are not fully stored yet.
+ *
+ * PURPOSE
+ *   Large PDFs on servers with HTTP Range support can be shown before their full download has
+ *   finished: pdf.js asks for the byte ranges it needs (trailer, xref, the objects of the visible
+ *   pages) and this reader serves them. Ranges already in the temp store are reused; missing ones
+ *   are fetched and stored as they arrive, so reopening the document does not ask the network again.
+ *
+ * DESIGN NOTES
+ *   - Reads are split into fixed chunks aligned to `index * chunkSizeBytes`. Every caller therefore
+ *     asks the store for the same chunk keys, whatever ranges pdf.js happens to merge.
+ *   - A run of adjacent missing chunks is fetched with one request. Concurrent reads of a chunk that
+ *     is already in flight share that request.
+ *   - Storage and network are injected; the reader knows nothing about IndexedDB or `fetch`.
+ *   - Failing to store a chunk is not an error for the read; the chunk is simply fetched again later.
+ */
+
+/**
+ * @callback ReadStoredRange
+ * @param {number} begin
+ * @param {number} end Exclusive.
+ * @returns {Promise<(Uint8Array|null)>}
+ */
+
+/**
+ * @callback StoreRangeChunk
+ * @param {number} begin
+ * @param {Uint8Array} bytes
+ * @returns {Promise<void>}
+ */
+
+/**
+ * @callback FetchRange
+ * @param {number} begin
+ * @param {number} end Exclusive.
+ * @returns {Promise<ArrayBuffer>}
+ */
+
+/**
+ * @typedef {Object} SourceRangeReaderOptions
+ * @property {number} sizeBytes
+ * @property {number} chunkSizeBytes
+ * @property {FetchRange} fetchRange
+ * @property {ReadStoredRange=} readStored
+ * @property {StoreRangeChunk=} storeChunk
+ */
+
+/**
+ * @typedef {Object} SourceRangeReader
+ * @property {number} sizeBytes
+ * @property {number} chunkSizeBytes
+ * @property {function(number, number): Promise<Uint8Array>} read Bytes `[begin, end)`.
+ */
+
+/**
+ * @param {SourceRangeReaderOptions} options
+ * @returns {SourceRangeReader}
+ */
+export function createSourceRangeReader(options) {
+  const sizeBytes = Math.max(0, Math.floor(Number(options?.sizeBytes) || 0));
+  const chunkSizeBytes = Math.max(1, Math.floor(Number(options?.chunkSizeBytes) || 0) || 65536);
+  const fetchRange = options?.fetchRange;
+  if (typeof fetchRange !== 'function') throw new Error('createSourceRangeReader requires fetchRange');
+  const readStored = typeof options?.readStored === 'function' ? options.readStored : async () => null;
+  const storeChunk = typeof options?.storeChunk === 'function' ? options.storeChunk : async () => {};
+
+  /** @type {Map<number, Promise<Uint8Array>>} */
+  const pending = new Map();
+
+  /**
+   * @param {number} index
+   * @returns {number}
+   */
+  const chunkBegin = (index) => index * chunkSizeBytes;
+
+  /**
+   * @param {number} index
+   * @returns {number}
+   */
+  const chunkEnd = (index) => Math.min(sizeBytes, (index + 1) * chunkSizeBytes);
+
+  /**
+   * Fetch chunks `first..last` with one request and register one pending promise per chunk.
+   *
+   * @param {number} first
+   * @param {number} last
+   * @returns {Map<number, Promise<Uint8Array>>}
+   */
+  const fetchRun = (first, last) => {
+    const begin = chunkBegin(first);
+    const end = chunkEnd(last);
+    const run = Promise.resolve()
+      .then(() => fetchRange(begin, end))
+      .then((buffer) => {
+        const bytes = new Uint8Array(buffer);
+        if (bytes.byteLength !== end - begin) {
+          throw new Error(`Byte range ${begin}-${end - 1} returned ${bytes.byteLength} bytes.`);
+        }
+        return bytes;
+      });
+
+    /** @type {Map<number, Promise<Uint8Array>>} */
+    const started = new Map();
+    for (let index = first; index <= last; index += 1) {
+      const offset = chunkBegin(index) - begin;
+      const chunk = run.then(async (bytes) => {
+        const part = bytes.slice(offset, offset + chunkEnd(index) - chunkBegin(index));
+        try { await storeChunk(chunkBegin(index), part); } catch {}
+        return part;
+      });
+      const settle = () => {
+        if (pending.get(index) === chunk) pending.delete(index);
+      };
+      chunk.then(settle, settle);
+      pending.set(index, chunk);
+      started.set(index, chunk);
+    }
+    return started;
+  };
+
+  return {
+    sizeBytes,
+    chunkSizeBytes,
+
+    async read(begin, end) {
+      const from = Math.max(0, Math.min(sizeBytes, Math.floor(Number(begin) || 0)));
+      const to = Math.max(from, Math.min(sizeBytes, Math.floor(Number(end) || 0)));
+      if (to <= from) return new Uint8Array(0);
+
+      const first = Math.floor(from / chunkSizeBytes);
+      const last = Math.floor((to - 1) / chunkSizeBytes);
+      const indexes = Array.from({ length: last - first + 1 }, (_, position) => first + position);
+      /** @type {Array<(Uint8Array|Promise<Uint8Array>|null)>} */
+      const chunks = await Promise.all(indexes.map((index) => (
+        pending.has(index) ? null : readStored(chunkBegin(index), chunkEnd(index))
+      )));
+
+      // No awaits from here until every missing chunk is pending, so concurrent reads share fetches.
+      let missingFrom = -1;
+      const flushMissing = (upTo) => {
+        if (missingFrom < 0) return;
+        for (const [index, chunk] of fetchRun(missingFrom, upTo)) chunks[index - first] = chunk;
+        missingFrom = -1;
+      };
+      for (const index of indexes) {
+        const position = index - first;
+        if (!chunks[position] && pending.has(index)) chunks[position] = pending.get(index);
+        if (chunks[position]) {
+          flushMissing(index - 1);
+        } else if (missingFrom < 0) {
+          missingFrom = index;
+        }
+      }
+      flushMissing(last);
+
+      const parts = await Promise.all(chunks);
+      const output = new Uint8Array(to - from);
+      parts.forEach((part, position) => {
+        const partBegin = chunkBegin(first + position);
+        const copyFrom = Math.max(from, partBegin);
+        const copyTo = Math.min(to, partBegin + part.byteLength);
+        output.set(part.subarray(copyFrom - partBegin, copyTo - partBegin), copyFrom - from);
+      });
+      return output;
+    },
+  };
+}
+
+export default {
+  createSourceRangeReader,
+};
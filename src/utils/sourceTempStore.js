@@ -12,6 +12,12 @@
  *   - indexeddb: keep payloads in browser disk-backed storage
  *   - adaptive: start in memory, promote to IndexedDB above configured thresholds
  *
+ * PARTIAL (RANGE) SOURCES
+ *   A large source read through HTTP Range requests is registered with `beginRangeSource()` and
+ *   filled chunk by chunk with `putSourceRange()` until the full bytes arrive through `putSource()`,
+ *   which replaces the chunks. Chunks are kept as in-memory blobs in every mode; they are neither
+ *   written to IndexedDB nor part of the reload cache.
+ *
  * SECURITY MODEL
  *   Optional AES-GCM wraps IndexedDB payloads with a per-session key. Normal temp sessions keep that
  *   key in memory; opt-in reload cache sessions persist the key for the configured short TTL so the
@@ -177,6 +183,8 @@ function openTempStoreDb() {
  * @property {string} lastCacheReadFailure
  * @property {string} sessionId
  * @property {string} keyStorage
+ * @property {number} rangeSourceCount Sources that so far only have byte ranges stored.
+ * @property {number} rangeBytes
  */
 
 /**
@@ -191,6 +199,18 @@ function openTempStoreDb() {
  * @property {number} sizeBytes
  * @property {number} createdAt
  * @property {boolean} encrypted
+ * @property {boolean=} partial True while only byte ranges of the source are stored;
+ *   `sizeBytes` is then the full size announced by the server.
+ */
+
+/**
+ * @typedef {Object} BeginRangeSourceOptions
+ * @property {string} sourceKey
+ * @property {number} sizeBytes
+ * @property {string=} fileExtension
+ * @property {string=} mimeType
+ * @property {string=} originalUrl
+ * @property {number=} fileIndex
  */
 
 /**
@@ -289,6 +309,9 @@ export class SourceTempStore {
     /** @type {Map<string, SourceMeta>} */
     this.meta = new Map();
     this.blobCache = new BlobLruCache(normalizePositiveInteger(this.config.blobCacheEntries, 1));
+    /** @type {Map<string, { meta: SourceMeta, chunks: Map<number, Blob> }>} */
+    this.rangeEntries = new Map();
+    this.rangeBytes = 0;
 
     this.sourceCount = 0;
     this.totalBytes = 0;
@@ -361,6 +384,8 @@ export class SourceTempStore {
       keyStorage: this.encryptionAvailable && this.reloadCacheTtlMs > 0
         ? getReloadCacheAesKeyStorageState(this.sessionId, 'source')
         : '',
+      rangeSourceCount: this.rangeEntries.size,
+      rangeBytes: this.rangeBytes,
     };
   }
 
@@ -451,6 +476,7 @@ export class SourceTempStore {
         } else {
           this.totalBytes += meta.sizeBytes - previousMeta.sizeBytes;
         }
+        this.dropRangeEntry(sourceKey);
         await this.maybePromote();
         return this.meta.get(sourceKey) || meta;
       }
@@ -464,16 +490,101 @@ export class SourceTempStore {
       } else {
         this.totalBytes += meta.sizeBytes - previousMeta.sizeBytes;
       }
+      this.dropRangeEntry(sourceKey);
       return meta;
     });
   }
 
+  /**
+   * Register a source whose bytes arrive as ranges. Ignored when the full source is stored already.
+   *
+   * @param {BeginRangeSourceOptions} options
+   * @returns {SourceMeta}
+   */
+  beginRangeSource(options) {
+    const sourceKey = String(options?.sourceKey || '');
+    if (!sourceKey) throw new Error('beginRangeSource requires sourceKey');
+    const stored = this.meta.get(sourceKey);
+    if (stored) return stored;
+    const existing = this.rangeEntries.get(sourceKey);
+    if (existing) return existing.meta;
+
+    const meta = {
+      sourceKey,
+      sessionId: this.sessionId,
+      storageKey: makeStorageKey(sourceKey, this.sessionId),
+      fileExtension: String(options?.fileExtension || '').toLowerCase(),
+      mimeType: String(options?.mimeType || 'application/octet-stream'),
+      originalUrl: String(options?.originalUrl || ''),
+      fileIndex: Number.isFinite(options?.fileIndex) ? Number(options.fileIndex) : 0,
+      sizeBytes: Math.max(0, Number(options?.sizeBytes) || 0),
+      createdAt: Date.now(),
+      encrypted: false,
+      partial: true,
+    };
+    this.rangeEntries.set(sourceKey, { meta, chunks: new Map() });
+    return meta;
+  }
+
+  /**
+   * Store one byte range of a source registered with `beginRangeSource()`.
+   *
+   * @param {string} sourceKey
+   * @param {number} begin
+   * @param {Uint8Array} bytes
+   * @returns {Promise<void>}
+   */
+  async putSourceRange(sourceKey, begin, bytes) {
+    const entry = this.rangeEntries.get(String(sourceKey || ''));
+    if (!entry || !bytes?.byteLength) return;
+    const offset = Math.max(0, Math.floor(Number(begin) || 0));
+    const previous = entry.chunks.get(offset);
+    entry.chunks.set(offset, new Blob([bytes]));
+    this.rangeBytes += bytes.byteLength - Number(previous?.size || 0);
+  }
+
+  /**
+   * Read bytes `[begin, end)` of a source: from the full source when it is stored, otherwise from a
+   * stored range that starts at `begin` and covers the request.
+   *
+   * @param {string} sourceKey
+   * @param {number} begin
+   * @param {number} end
+   * @returns {Promise<(Uint8Array|null)>}
+   */
+  async readSourceRange(sourceKey, begin, end) {
+    const key = String(sourceKey || '');
+    const offset = Math.max(0, Math.floor(Number(begin) || 0));
+    const length = Math.max(0, Math.floor(Number(end) || 0) - offset);
+    const entry = this.rangeEntries.get(key);
+    if (!entry) {
+      const blob = await this.getBlob(key);
+      return blob ? new Uint8Array(await blob.slice(offset, offset + length).arrayBuffer()) : null;
+    }
+    const chunk = entry.chunks.get(offset);
+    if (!chunk || chunk.size < length) return null;
+    return new Uint8Array(await chunk.slice(0, length).arrayBuffer());
+  }
+
+  /**
+   * @param {string} sourceKey
+   * @returns {void}
+   */
+  dropRangeEntry(sourceKey) {
+    const entry = this.rangeEntries.get(sourceKey);
+    if (!entry) return;
+    for (const chunk of entry.chunks.values()) this.rangeBytes -= Number(chunk.size || 0);
+    this.rangeBytes = Math.max(0, this.rangeBytes);
+    this.rangeEntries.delete(sourceKey);
+  }
+
   /**
    * @param {string} sourceKey
    * @returns {(SourceMeta|null)}
    */
   getMeta(sourceKey) {
-    return this.meta.get(String(sourceKey || '')) || null;
+    const key = String(sourceKey || '');
+    return this.meta.get(key) || this.rangeEntries.get(key)?.meta || null;
   }
 
   /**
@@ -551,6 +662,7 @@ export class SourceTempStore {
 
     await this.enqueueWrite(async () => {
       const previousMeta = this.meta.get(key) || null;
+      this.dropRangeEntry(key);
 
       if (this.mode === 'memory') {
         this.blobCache.delete(key);
@@ -588,6 +700,8 @@ export class SourceTempStore {
       this.blobCache.clear();
       this.memoryEntries.clear();
       this.meta.clear();
+      this.rangeEntries.clear();
+      this.rangeBytes = 0;
       this.sourceCount = 0;
       this.totalBytes = 0;
       this.cacheHits = 0;
@@ -0,0 +1,161 @@
+// File: src/utils/svgSource.js
+/**
+ * OpenDocViewer — SVG source helpers.
+ *
+ * An SVG source is untrusted markup. Before it is rasterized or shown as a vector image, DOMPurify
+ * removes scripts, event handlers, `foreignObject` and animation elements. After that, every
+ * external reference is dropped:
+ *   - `href`s other than fragment references and inline raster images;
+ *   - CSS `url()` values other than fragment references;
+ *   - `@import` rules.
+ * A drawing therefore never contacts another server.
+ *
+ * The sanitized root element gets an explicit pixel size (from `width`/`height`, else `viewBox`,
+ * else the CSS default of 300×150), so it draws at the same size in every browser.
+ */
+
+import DOMPurify from 'dompurify';
+
+export const SVG_DEFAULT_WIDTH = 300;
+export const SVG_DEFAULT_HEIGHT = 150;
+
+/** Pixels per CSS absolute length unit. */
+const CSS_UNIT_PX = {
+  px: 1,
+  pt: 96 / 72,
+  pc: 16,
+  in: 96,
+  cm: 96 / 2.54,
+  mm: 96 / 25.4,
+  q: 96 / 101.6,
+};
+
+const XLINK_NS = 'http://www.w3.org/1999/xlink';
+const FORBIDDEN_TAGS = ['foreignobject', 'animate', 'animatecolor', 'animatemotion', 'animatetransform', 'set'];
+const SAFE_HREF_RE = /^(?:#|data:image\/(?:png|jpe?g|gif|webp);)/i;
+const URL_FUNCTION_RE = /url\s*\(\s*(['"]?)([^'")]*)\1\s*\)/gi;
+
+/**
+ * @typedef {Object} SanitizedSvg
+ * @property {string} markup Standalone SVG document markup.
+ * @property {number} width Intrinsic width in CSS pixels.
+ * @property {number} height Intrinsic height in CSS pixels.
+ */
+
+/**
+ * @param {Uint8Array} bytes Head bytes of a source.
+ * @returns {boolean} True when the markup's root element is `<svg>`. A prolog that runs past the
+ *   head bytes counts when it names SVG, as the doctype of an Illustrator export does.
+ */
+export function isSvgSignature(bytes) {
+  if (!bytes || bytes.length < 4) return false;
+  let head = new TextDecoder('utf-8').decode(bytes.subarray(0, Math.min(bytes.length, 1024)))
+    .replace(/^\uFEFF/, '');
+  for (;;) {
+    head = head.trimStart();
+    const prolog = /^(?:<\?[\s\S]*?\?>|<!--[\s\S]*?-->|<!doctype[^[>]*(?:\[[\s\S]*?\])?\s*>)/i.exec(head);
+    if (!prolog) break;
+    head = head.slice(prolog[0].length);
+  }
+  if (/^<(?:[\w-]+:)?svg[\s/>]/i.test(head)) return true;
+  return /^<(?:\?|!--|!doctype)/i.test(head) && /\bsvg\b/i.test(head);
+}
+
+/**
+ * @param {*} value An SVG length attribute.
+ * @returns {number} The length in CSS pixels, or 0 for missing, relative or invalid lengths.
+ */
+export function parseSvgLength(value) {
+  const match = /^\s*\+?(\d*\.?\d+(?:e[+-]?\d+)?)\s*(px|pt|pc|in|cm|mm|q)?\s*$/i.exec(String(value ?? ''));
+  if (!match) return 0;
+  const length = Number(match[1]) * CSS_UNIT_PX[String(match[2] || 'px').toLowerCase()];
+  return Number.isFinite(length) && length > 0 ? length : 0;
+}
+
+/**
+ * Resolve the intrinsic size of an SVG root element the way browsers size an `<img>` of it.
+ *
+ * @param {{ width:*, height:*, viewBox:* }} attributes
+ * @returns {{ width:number, height:number }}
+ */
+export function resolveSvgSize({ width, height, viewBox }) {
+  const box = String(viewBox ?? '').trim().split(/[\s,]+/).map(Number);
+  const hasBox = box.length === 4 && box.every(Number.isFinite) && box[2] > 0 && box[3] > 0;
+  const widthPx = parseSvgLength(width);
+  const heightPx = parseSvgLength(height);
+
+  if (widthPx && heightPx) return { width: widthPx, height: heightPx };
+  if (hasBox) {
+    if (widthPx) return { width: widthPx, height: (widthPx * box[3]) / box[2] };
+    if (heightPx) return { width: (heightPx * box[2]) / box[3], height: heightPx };
+    return { width: box[2], height: box[3] };
+  }
+  return { width: widthPx || SVG_DEFAULT_WIDTH, height: heightPx || SVG_DEFAULT_HEIGHT };
+}
+
+/**
+ * @param {string} css
+ * @returns {string} The CSS with every non-fragment `url()` replaced by `none`.
+ */
+function stripExternalCssUrls(css) {
+  return String(css).replace(URL_FUNCTION_RE, (match, quote, target) => (target.trim().startsWith('#') ? match : 'none'));
+}
+
+/**
+ * Sanitize SVG markup for rasterizing and vector display. Browser only (needs a DOM).
+ *
+ * @param {string} markup
+ * @returns {SanitizedSvg}
+ * @throws {Error} When the markup has no `<svg>` root element.
+ */
+export function sanitizeSvgMarkup(markup) {
+  const body = DOMPurify.sanitize(String(markup || ''), {
+    USE_PROFILES: { svg: true, svgFilters: true },
+    FORBID_TAGS: FORBIDDEN_TAGS,
+    ALLOW_UNKNOWN_PROTOCOLS: false,
+    RETURN_DOM: true,
+  });
+  const svg = body?.firstElementChild;
+  if (!svg || String(svg.localName).toLowerCase() !== 'svg') throw new Error('SVG source has no <svg> root element');
+
+  for (const element of [svg, ...svg.querySelectorAll('*')]) {
+    for (const attribute of Array.from(element.attributes)) {
+      const isHref = attribute.localName === 'href' && (!attribute.namespaceURI || attribute.namespaceURI === XLINK_NS);
+      if (isHref && !SAFE_HREF_RE.test(attribute.value.trim())) {
+        element.removeAttributeNode(attribute);
+      } else if (/url\s*\(/i.test(attribute.value)) {
+        attribute.value = stripExternalCssUrls(attribute.value);
+      }
+    }
+    if (String(element.localName).toLowerCase() === 'style') {
+      element.textContent = stripExternalCssUrls(String(element.textContent).replace(/@import[^;]*;?/gi, ''));
+    }
+  }
+
+  const size = resolveSvgSize({
+    width: svg.getAttribute('width'),
+    height: svg.getAttribute('height'),
+    viewBox: svg.getAttribute('viewBox'),
+  });
+  if (!svg.hasAttribute('viewBox')) {
+    // Without a viewBox the drawing would be clipped instead of scaled when drawn larger.
+    svg.setAttribute('viewBox', `0 0 ${size.width} ${size.height}`);
+  }
+  svg.setAttribute('width', String(size.width));
+  svg.setAttribute('height', String(size.height));
+
+  return {
+    markup: new XMLSerializer().serializeToString(svg),
+    width: size.width,
+    height: size.height,
+  };
+}
+
+export default {
+  SVG_DEFAULT_WIDTH,
+  SVG_DEFAULT_HEIGHT,
+  isSvgSignature,
+  parseSvgLength,
+  resolveSvgSize,
+  sanitizeSvgMarkup,
+};
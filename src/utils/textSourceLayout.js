@@ -0,0 +1,376 @@
+// File: src/utils/textSourceLayout.js
+/**
+ * OpenDocViewer — page layout for text-like sources (`txt`, `csv`, `log`, `json`, `xml`).
+ *
+ * Text sources are shown as A4 portrait pages of monospace text, 96 columns by 66 lines. Because
+ * every character has the same advance, the layout is computed here in characters, without a
+ * canvas. The loader uses it to count pages, the page-asset renderer paints the pages from it, and
+ * the text layer and search get exact item boxes from it.
+ *
+ * Layout rules:
+ *   - Long lines wrap at the last space that fits, or hard at the column limit.
+ *   - JSON is pretty-printed when it parses; XML and other text is shown as it is.
+ *   - CSV is laid out as a table: the delimiter (`,`, `;` or tab) is detected from the first line,
+ *     each column is as wide as its longest cell (at most 40 characters), cells wrap inside their
+ *     column and the first row is repeated as a header on every page. A CSV with too many columns
+ *     for the page width is shown as plain text.
+ *
+ * The module has no DOM dependency so it can be shared by the loader, the renderer and unit tests.
+ */
+
+export const TEXT_SOURCE_EXTENSIONS = Object.freeze(['txt', 'csv', 'log', 'json', 'xml']);
+
+export const TEXT_PAGE_WIDTH = 794;
+export const TEXT_PAGE_HEIGHT = 1123;
+export const TEXT_PAGE_MARGIN = 48;
+export const TEXT_PAGE_COLUMNS = 96;
+export const TEXT_PAGE_LINES = 66;
+/** Character advance and line height in page units; the renderer sizes its font to match. */
+export const TEXT_CHAR_WIDTH = (TEXT_PAGE_WIDTH - 2 * TEXT_PAGE_MARGIN) / TEXT_PAGE_COLUMNS;
+export const TEXT_LINE_HEIGHT = (TEXT_PAGE_HEIGHT - 2 * TEXT_PAGE_MARGIN) / TEXT_PAGE_LINES;
+/** Characters between two table columns: space, rule, space. */
+export const TEXT_TABLE_GAP = 3;
+
+const TAB_WIDTH = 4;
+const MAX_COLUMN_WIDTH = 40;
+const MIN_COLUMN_WIDTH = 4;
+const MAX_PRETTY_PRINT_CHARS = 8 * 1024 * 1024;
+
+/**
+ * @typedef {Object} TextSourceLine
+ * @property {string} text
+ * @property {boolean} eol  True when the source line ends here (false for a wrapped continuation).
+ */
+
+/**
+ * @typedef {Object} TextSourceTableRow
+ * @property {boolean} header
+ * @property {number} lineCount
+ * @property {Array<Array<string>>} cells  Wrapped lines of each cell.
+ */
+
+/**
+ * @typedef {Object} TextSourcePage
+ * @property {('text'|'table')} kind
+ * @property {Array<TextSourceLine>=} lines                         Set for `text` pages.
+ * @property {Array<{ start:number, width:number }>=} columns      Set for `table` pages, in characters.
+ * @property {Array<TextSourceTableRow>=} rows                      Set for `table` pages.
+ */
+
+/**
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isTextSourceExtension(value) {
+  return TEXT_SOURCE_EXTENSIONS.includes(String(value || '').toLowerCase().replace(/^\./, ''));
+}
+
+/**
+ * Decode text bytes: a UTF-8 or UTF-16 byte-order mark wins, then strict UTF-8, then Windows-1252.
+ *
+ * @param {(ArrayBuffer|Uint8Array)} input
+ * @returns {string}
+ */
+export function decodeTextSource(input) {
+  const bytes = input instanceof Uint8Array ? input : new Uint8Array(input);
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) return new TextDecoder('utf-8').decode(bytes.subarray(3));
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) return new TextDecoder('utf-16le').decode(bytes.subarray(2));
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) return new TextDecoder('utf-16be').decode(bytes.subarray(2));
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+  } catch {
+    return new TextDecoder('windows-1252').decode(bytes);
+  }
+}
+
+/**
+ * @param {string} line
+ * @returns {string}
+ */
+function expandTabs(line) {
+  if (!line.includes('\t')) return line;
+  let output = '';
+  for (const char of line) {
+    output += char === '\t' ? ' '.repeat(TAB_WIDTH - (output.length % TAB_WIDTH)) : char;
+  }
+  return output;
+}
+
+/**
+ * Wrap one line to `width` characters.
+ *
+ * @param {string} line
+ * @param {number} width
+ * @returns {Array<string>}
+ */
+export function wrapTextLine(line, width) {
+  const parts = [];
+  let rest = line.replace(/\p{Cc}/gu, ' ');
+  while (rest.length > width) {
+    const space = rest.lastIndexOf(' ', width);
+    const cut = space > width / 2 ? space + 1 : width;
+    parts.push(rest.slice(0, cut));
+    rest = rest.slice(cut);
+  }
+  parts.push(rest);
+  return parts;
+}
+
+/**
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function splitLines(text) {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  if (lines.length > 1 && lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+/**
+ * @param {string} text
+ * @returns {Array<TextSourcePage>}
+ */
+function layoutPlainText(text) {
+  const pages = [];
+  let lines = [];
+  for (const sourceLine of splitLines(text)) {
+    const wrapped = wrapTextLine(expandTabs(sourceLine), TEXT_PAGE_COLUMNS);
+    wrapped.forEach((part, index) => {
+      lines.push({ text: part, eol: index === wrapped.length - 1 });
+      if (lines.length === TEXT_PAGE_LINES) {
+        pages.push({ kind: 'text', lines });
+        lines = [];
+      }
+    });
+  }
+  if (lines.length > 0 || pages.length === 0) pages.push({ kind: 'text', lines });
+  return pages;
+}
+
+/**
+ * @param {string} line
+ * @returns {string}
+ */
+function detectCsvDelimiter(line) {
+  const counts = { ',': 0, ';': 0, '\t': 0 };
+  let quoted = false;
+  for (const char of line) {
+    if (char === '"') quoted = !quoted;
+    else if (!quoted && char in counts) counts[char] += 1;
+  }
+  const [best, count] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+  return count > 0 ? best : ',';
+}
+
+/**
+ * Parse CSV text (RFC 4180 quoting; the delimiter is detected from the first line).
+ *
+ * @param {string} text
+ * @returns {Array<Array<string>>}
+ */
+export function parseCsv(text) {
+  const source = text.replace(/\r\n?/g, '\n');
+  const delimiter = detectCsvDelimiter(source.split('\n', 1)[0]);
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let index = 0; index < source.length; index += 1) {
+    const char = source[index];
+    if (quoted) {
+      if (char === '"' && source[index + 1] === '"') {
+        cell += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n') {
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * @param {Array<Array<string>>} rows
+ * @returns {(Array<number>|null)} Column widths that fit the page, or null when none do.
+ */
+function planColumnWidths(rows) {
+  const columnCount = rows.reduce((max, row) => Math.max(max, row.length), 0);
+  if (columnCount === 0) return null;
+  const available = TEXT_PAGE_COLUMNS - TEXT_TABLE_GAP * (columnCount - 1);
+  if (available < columnCount * MIN_COLUMN_WIDTH) return null;
+
+  const widths = new Array(columnCount).fill(1);
+  for (const row of rows) {
+    row.forEach((cell, index) => {
+      const longest = cell.split('\n').reduce((max, part) => Math.max(max, expandTabs(part).length), 0);
+      widths[index] = Math.min(MAX_COLUMN_WIDTH, Math.max(widths[index], longest));
+    });
+  }
+
+  // Narrow the widest columns first until the table fits.
+  let total = widths.reduce((sum, width) => sum + width, 0);
+  while (total > available) {
+    const widest = widths.indexOf(Math.max(...widths));
+    widths[widest] -= 1;
+    total -= 1;
+  }
+  return widths;
+}
+
+/**
+ * @param {Array<string>} row
+ * @param {Array<number>} widths
+ * @param {boolean} header
+ * @returns {TextSourceTableRow}
+ */
+function layoutTableRow(row, widths, header) {
+  const cells = widths.map((width, index) => String(row[index] || '')
+    .split('\n')
+    .flatMap((part) => wrapTextLine(expandTabs(part), width)));
+  const maxLines = TEXT_PAGE_LINES - 2;
+  for (const [index, lines] of cells.entries()) {
+    if (lines.length > maxLines) cells[index] = [...lines.slice(0, maxLines - 1), '…'];
+  }
+  return { header, lineCount: Math.max(1, ...cells.map((lines) => lines.length)), cells };
+}
+
+/**
+ * @param {Array<Array<string>>} rows
+ * @param {Array<number>} widths
+ * @returns {Array<TextSourcePage>}
+ */
+function layoutCsvTable(rows, widths) {
+  const columns = [];
+  let start = 0;
+  for (const width of widths) {
+    columns.push({ start, width });
+    start += width + TEXT_TABLE_GAP;
+  }
+
+  const header = layoutTableRow(rows[0], widths, true);
+  const pages = [];
+  let pageRows = [header];
+  let usedLines = header.lineCount;
+  for (const row of rows.slice(1)) {
+    const laidOut = layoutTableRow(row, widths, false);
+    if (usedLines + laidOut.lineCount > TEXT_PAGE_LINES && pageRows.length > 1) {
+      pages.push({ kind: 'table', columns, rows: pageRows });
+      pageRows = [header];
+      usedLines = header.lineCount;
+    }
+    pageRows.push(laidOut);
+    usedLines += laidOut.lineCount;
+  }
+  pages.push({ kind: 'table', columns, rows: pageRows });
+  return pages;
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function prettyPrintJson(text) {
+  if (text.length > MAX_PRETTY_PRINT_CHARS) return text;
+  try {
+    return JSON.stringify(JSON.parse(text), null, 2);
+  } catch {
+    return text;
+  }
+}
+
+/**
+ * Lay out a decoded text source as pages.
+ *
+ * @param {string} text
+ * @param {string} fileExtension
+ * @returns {Array<TextSourcePage>}
+ */
+export function layoutTextSource(text, fileExtension) {
+  const ext = String(fileExtension || '').toLowerCase();
+  const source = String(text || '').replace(/^\uFEFF/, '');
+  if (ext === 'json') return layoutPlainText(prettyPrintJson(source));
+  if (ext === 'csv') {
+    const rows = parseCsv(source);
+    const widths = rows.length > 0 ? planColumnWidths(rows) : null;
+    if (widths) return layoutCsvTable(rows, widths);
+  }
+  return layoutPlainText(source);
+}
+
+/**
+ * @param {string} text
+ * @param {number} column
+ * @param {number} line
+ * @param {boolean} eol
+ * @returns {(import('./pdfTextContent.js').PageTextItem|null)}
+ */
+function createTextItem(text, column, line, eol) {
+  const leading = text.length - text.trimStart().length;
+  const trimmed = text.trim();
+  if (!trimmed) return null;
+  return {
+    text: trimmed,
+    left: (TEXT_PAGE_MARGIN + (column + leading) * TEXT_CHAR_WIDTH) / TEXT_PAGE_WIDTH,
+    top: (TEXT_PAGE_MARGIN + line * TEXT_LINE_HEIGHT) / TEXT_PAGE_HEIGHT,
+    width: (trimmed.length * TEXT_CHAR_WIDTH) / TEXT_PAGE_WIDTH,
+    height: TEXT_LINE_HEIGHT / TEXT_PAGE_HEIGHT,
+    eol,
+  };
+}
+
+/**
+ * Text-layer and search content of one laid-out page, in the shape PDF pages use.
+ *
+ * @param {TextSourcePage} page
+ * @returns {import('./pdfTextContent.js').PageTextContent}
+ */
+export function getTextSourcePageContent(page) {
+  const items = [];
+  if (page.kind === 'table') {
+    let line = 0;
+    for (const row of page.rows) {
+      for (let rowLine = 0; rowLine < row.lineCount; rowLine += 1) {
+        row.cells.forEach((cellLines, index) => {
+          const item = createTextItem(cellLines[rowLine] || '', page.columns[index].start, line, index === row.cells.length - 1);
+          if (item) items.push(item);
+        });
+        if (items.length > 0) items[items.length - 1].eol = true;
+        line += 1;
+      }
+    }
+  } else {
+    page.lines.forEach((entry, line) => {
+      const item = createTextItem(entry.text, 0, line, entry.eol);
+      if (item) items.push(item);
+    });
+  }
+  return { pageWidth: TEXT_PAGE_WIDTH, pageHeight: TEXT_PAGE_HEIGHT, items };
+}
+
+export default {
+  TEXT_SOURCE_EXTENSIONS,
+  isTextSourceExtension,
+  decodeTextSource,
+  wrapTextLine,
+  parseCsv,
+  layoutTextSource,
+  getTextSourcePageContent,
+};
@@ -0,0 +1,195 @@
+// File: src/utils/tiffWriter.js
+/**
+ * OpenDocViewer — multi-page TIFF writer for page exports.
+ *
+ * Writes baseline RGB TIFF: one strip per page, 8 bits per sample, little-endian. Strips are
+ * compressed with Adobe Deflate through the browser's `CompressionStream('deflate')`; without it
+ * they are stored uncompressed. Both are read by common TIFF viewers and by `utif2`, the decoder
+ * the document loader uses, so an exported TIFF opens in OpenDocViewer again.
+ *
+ * Pages are compressed as they are added (`createTiffPage()`), so only one uncompressed raster is
+ * alive at a time; `assembleTiffBlob()` then lays out strips and directories from blob parts.
+ */
+
+const TIFF_HEADER_BYTES = 8;
+const TIFF_MAGIC = 42;
+const IFD_ENTRY_BYTES = 12;
+const TYPE_SHORT = 3;
+const TYPE_LONG = 4;
+const TYPE_RATIONAL = 5;
+const COMPRESSION_NONE = 1;
+const COMPRESSION_DEFLATE = 8;
+const PHOTOMETRIC_RGB = 2;
+const SAMPLES_PER_PIXEL = 3;
+const PLANAR_CHUNKY = 1;
+const RESOLUTION_UNIT_INCH = 2;
+const DEFAULT_DPI = 200;
+const DIRECTORY_ENTRY_COUNT = 14;
+// Entry table and next-directory offset, then BitsPerSample and the two resolution rationals.
+const DIRECTORY_BYTES = 2 + (DIRECTORY_ENTRY_COUNT * IFD_ENTRY_BYTES) + 4 + (SAMPLES_PER_PIXEL * 2) + 16;
+
+/**
+ * One compressed page, ready for `assembleTiffBlob()`.
+ * @typedef {Object} TiffPage
+ * @property {number} width
+ * @property {number} height
+ * @property {number} compression TIFF compression code.
+ * @property {Uint8Array} data    Strip bytes.
+ */
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {Promise<(Uint8Array|null)>} zlib stream, or `null` when the browser cannot deflate.
+ */
+async function deflate(bytes) {
+  if (typeof CompressionStream !== 'function') return null;
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Convert an RGBA raster (e.g. `ImageData.data`) to one compressed TIFF page. Alpha is dropped;
+ * callers draw pages on an opaque background.
+ *
+ * @param {(Uint8ClampedArray|Uint8Array)} rgba
+ * @param {number} width
+ * @param {number} height
+ * @returns {Promise<TiffPage>}
+ */
+export async function createTiffPage(rgba, width, height) {
+  const pixels = width * height;
+  if (!(width > 0 && height > 0) || !rgba || rgba.length < pixels * 4) {
+    throw new Error('TIFF page raster does not match its size.');
+  }
+  const rgb = new Uint8Array(pixels * SAMPLES_PER_PIXEL);
+  for (let source = 0, target = 0; target < rgb.length; source += 4, target += 3) {
+    rgb[target] = rgba[source];
+    rgb[target + 1] = rgba[source + 1];
+    rgb[target + 2] = rgba[source + 2];
+  }
+  const compressed = await deflate(rgb);
+  return compressed
+    ? { width, height, compression: COMPRESSION_DEFLATE, data: compressed }
+    : { width, height, compression: COMPRESSION_NONE, data: rgb };
+}
+
+/**
+ * @param {DataView} view
+ * @param {number} position Byte offset of the entry.
+ * @param {number} tag
+ * @param {number} type
+ * @param {number} count
+ * @param {number} value Inline value or offset.
+ * @returns {void}
+ */
+function writeEntry(view, position, tag, type, count, value) {
+  view.setUint16(position, tag, true);
+  view.setUint16(position + 2, type, true);
+  view.setUint32(position + 4, count, true);
+  if (type === TYPE_SHORT && count <= 2) {
+    view.setUint16(position + 8, value & 0xffff, true);
+    if (count === 2) view.setUint16(position + 10, (value >>> 16) & 0xffff, true);
+  } else {
+    view.setUint32(position + 8, value, true);
+  }
+}
+
+/**
+ * Build one image file directory with its out-of-line values.
+ *
+ * @param {TiffPage} page
+ * @param {number} ifdOffset File offset of this directory.
+ * @param {number} stripOffset
+ * @param {number} nextIfdOffset 0 for the last page.
+ * @param {number} pageIndex
+ * @param {number} pageCount
+ * @param {number} dpi
+ * @returns {DataView}
+ */
+function buildDirectory(page, ifdOffset, stripOffset, nextIfdOffset, pageIndex, pageCount, dpi) {
+  const entries = [
+    [256, TYPE_LONG, 1, page.width],
+    [257, TYPE_LONG, 1, page.height],
+    [258, TYPE_SHORT, SAMPLES_PER_PIXEL, 0],
+    [259, TYPE_SHORT, 1, page.compression],
+    [262, TYPE_SHORT, 1, PHOTOMETRIC_RGB],
+    [273, TYPE_LONG, 1, stripOffset],
+    [277, TYPE_SHORT, 1, SAMPLES_PER_PIXEL],
+    [278, TYPE_LONG, 1, page.height],
+    [279, TYPE_LONG, 1, page.data.length],
+    [282, TYPE_RATIONAL, 1, 0],
+    [283, TYPE_RATIONAL, 1, 0],
+    [284, TYPE_SHORT, 1, PLANAR_CHUNKY],
+    [296, TYPE_SHORT, 1, RESOLUTION_UNIT_INCH],
+    [297, TYPE_SHORT, 2, (pageIndex & 0xffff) | ((pageCount & 0xffff) << 16)],
+  ];
+  const tableBytes = 2 + (DIRECTORY_ENTRY_COUNT * IFD_ENTRY_BYTES) + 4;
+  const bitsOffset = ifdOffset + tableBytes;
+  const xResolutionOffset = bitsOffset + (SAMPLES_PER_PIXEL * 2);
+  const yResolutionOffset = xResolutionOffset + 8;
+  const view = new DataView(new ArrayBuffer(DIRECTORY_BYTES));
+
+  view.setUint16(0, entries.length, true);
+  entries.forEach(([tag, type, count, value], index) => {
+    let resolved = value;
+    if (tag === 258) resolved = bitsOffset;
+    else if (tag === 282) resolved = xResolutionOffset;
+    else if (tag === 283) resolved = yResolutionOffset;
+    writeEntry(view, 2 + (index * IFD_ENTRY_BYTES), tag, type, count, resolved);
+  });
+  view.setUint32(tableBytes - 4, nextIfdOffset, true);
+
+  const local = (offset) => offset - ifdOffset;
+  for (let sample = 0; sample < SAMPLES_PER_PIXEL; sample += 1) view.setUint16(local(bitsOffset) + (sample * 2), 8, true);
+  view.setUint32(local(xResolutionOffset), dpi, true);
+  view.setUint32(local(xResolutionOffset) + 4, 1, true);
+  view.setUint32(local(yResolutionOffset), dpi, true);
+  view.setUint32(local(yResolutionOffset) + 4, 1, true);
+  return view;
+}
+
+/**
+ * Lay out compressed pages as one multi-page TIFF file.
+ *
+ * @param {Array<TiffPage>} pages
+ * @param {number=} dpi Resolution written to every page.
+ * @returns {Blob}
+ */
+export function assembleTiffBlob(pages, dpi = DEFAULT_DPI) {
+  const list = Array.isArray(pages) ? pages : [];
+  if (!list.length) throw new Error('A TIFF file needs at least one page.');
+  const resolution = Math.max(1, Math.round(Number(dpi) || DEFAULT_DPI));
+
+  // Strip and directory offsets depend only on sizes, so they are planned before writing.
+  const layout = [];
+  let offset = TIFF_HEADER_BYTES;
+  for (const page of list) {
+    const stripOffset = offset;
+    offset += page.data.length;
+    const padding = offset % 2;
+    offset += padding;
+    layout.push({ stripOffset, padding, ifdOffset: offset });
+    offset += DIRECTORY_BYTES;
+  }
+
+  const header = new DataView(new ArrayBuffer(TIFF_HEADER_BYTES));
+  header.setUint8(0, 0x49);
+  header.setUint8(1, 0x49);
+  header.setUint16(2, TIFF_MAGIC, true);
+  header.setUint32(4, layout[0].ifdOffset, true);
+
+  const parts = [header];
+  list.forEach((page, index) => {
+    const { stripOffset, padding, ifdOffset } = layout[index];
+    const next = index + 1 < layout.length ? layout[index + 1].ifdOffset : 0;
+    parts.push(page.data);
+    if (padding) parts.push(new Uint8Array(padding));
+    parts.push(buildDirectory(page, ifdOffset, stripOffset, next, index, list.length, resolution));
+  });
+  return new Blob(parts, { type: 'image/tiff' });
+}
+
+export default {
+  createTiffPage,
+  assembleTiffBlob,
+};
@@ -11,6 +11,7 @@ import {
   normalizeCustomFitSizeLimitPreference,
   normalizeCustomFitWidthFactorPercent,
   normalizeOptionalCustomFitFactorPercent,
+  normalizePageLayout,
   normalizePrintDefaultMode,
 } from './runtimeConfig.js';
 
@@ -30,6 +31,8 @@ import {
  * @property {('FIT_PAGE'|'FIT_WIDTH'|'FIT_CUSTOM'|'ACTUAL_SIZE')=} defaultZoomMode
  * @property {number=} customFitWidthFactorPercent
  * @property {CustomFitSizeLimitPreference=} customFitSizeLimits
+ * @property {('single'|'continuous'|'spread')=} pageLayout
+ * @property {boolean=} spreadCoverPage
  */
 
 const STORAGE_KEY = 'ODV_USER_PREFERENCES';
@@ -117,6 +120,9 @@ function normalizePreferences(value) {
   if (source.customFitWidthFactorPercent != null) {
     next.customFitWidthFactorPercent = normalizeCustomFitWidthFactorPercent(source.customFitWidthFactorPercent, 70);
   }
+  const pageLayout = normalizePageLayout(source.pageLayout);
+  if (pageLayout) next.pageLayout = pageLayout;
+  if (typeof source.spreadCoverPage === 'boolean') next.spreadCoverPage = source.spreadCoverPage;
   const customFitSizeLimits = normalizeCustomFitSizeLimitPreference(source.customFitSizeLimits);
   if (
     customFitSizeLimits.widthFactorPercent != null
@@ -380,6 +386,37 @@ export function clearDefaultZoomModePreference() {
   return replaceViewerPreferences(next);
 }
 
+/**
+ * @returns {(('single'|'continuous'|'spread')|null)}
+ */
+export function getPageLayoutPreference() {
+  return normalizePageLayout(getViewerPreferences().pageLayout);
+}
+
+/**
+ * @param {('single'|'continuous'|'spread')} layout
+ * @returns {ViewerPreferences}
+ */
+export function setPageLayoutPreference(layout) {
+  return setViewerPreferences({ pageLayout: normalizePageLayout(layout, 'single') });
+}
+
+/**
+ * @returns {(boolean|null)}
+ */
+export function getSpreadCoverPagePreference() {
+  const value = getViewerPreferences().spreadCoverPage;
+  return typeof value === 'boolean' ? value : null;
+}
+
+/**
+ * @param {boolean} coverPage
+ * @returns {ViewerPreferences}
+ */
+export function setSpreadCoverPagePreference(coverPage) {
+  return setViewerPreferences({ spreadCoverPage: coverPage === true });
+}
+
 /**
  * @returns {(number|null)}
  */
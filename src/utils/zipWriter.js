@@ -0,0 +1,141 @@
+// File: src/utils/zipWriter.js
+/**
+ * OpenDocViewer — minimal ZIP writer for page exports.
+ *
+ * Exported PNG and JPEG pages are already compressed, so members are stored without compression;
+ * the archive only bundles them with their CRC-32. Member data stays in the given blobs and the
+ * result is assembled from blob parts, never copied into one large buffer.
+ *
+ * The counterpart reader is `src/components/DocumentLoader/zipArchive.js`. ZIP64 is not written:
+ * archives are limited to 65 535 members and 4 GiB, far beyond what a browser export produces.
+ */
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_OF_DIRECTORY_SIGNATURE = 0x06054b50;
+const LOCAL_HEADER_BYTES = 30;
+const CENTRAL_HEADER_BYTES = 46;
+const END_OF_DIRECTORY_BYTES = 22;
+const VERSION_NEEDED = 20;
+// General purpose flag bit 11: member names are UTF-8.
+const FLAG_UTF8_NAMES = 0x0800;
+const COMPRESSION_STORED = 0;
+const MAX_MEMBERS = 0xffff;
+const MAX_ARCHIVE_BYTES = 0xffffffff;
+
+/**
+ * @typedef {Object} ZipWriterEntry
+ * @property {string} name Path inside the archive, with `/` separators.
+ * @property {Blob} blob
+ */
+
+/** @type {(Uint32Array|null)} */
+let crcTable = null;
+
+/**
+ * @returns {Uint32Array}
+ */
+function getCrcTable() {
+  if (crcTable) return crcTable;
+  crcTable = new Uint32Array(256);
+  for (let n = 0; n < 256; n += 1) {
+    let c = n;
+    for (let k = 0; k < 8; k += 1) c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+    crcTable[n] = c >>> 0;
+  }
+  return crcTable;
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {number} CRC-32 as used by ZIP and PNG.
+ */
+export function crc32(bytes) {
+  const table = getCrcTable();
+  let crc = 0xffffffff;
+  for (let index = 0; index < bytes.length; index += 1) {
+    crc = table[(crc ^ bytes[index]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * @param {Date} date
+ * @returns {{ time:number, date:number }} MS-DOS time and date fields.
+ */
+function toDosDateTime(date) {
+  const year = Math.max(1980, date.getFullYear());
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+/**
+ * Build a ZIP archive of stored members, in the given order.
+ *
+ * @param {Array<ZipWriterEntry>} entries
+ * @param {Date=} modified Timestamp written for every member.
+ * @returns {Promise<Blob>}
+ */
+export async function createZipBlob(entries, modified = new Date()) {
+  const list = Array.isArray(entries) ? entries : [];
+  if (list.length > MAX_MEMBERS) throw new Error(`ZIP archives are limited to ${MAX_MEMBERS} members.`);
+  const encoder = new TextEncoder();
+  const stamp = toDosDateTime(modified);
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  for (const entry of list) {
+    const name = encoder.encode(String(entry.name || '').replace(/\\/g, '/'));
+    const data = new Uint8Array(await entry.blob.arrayBuffer());
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(LOCAL_HEADER_BYTES));
+    local.setUint32(0, LOCAL_HEADER_SIGNATURE, true);
+    local.setUint16(4, VERSION_NEEDED, true);
+    local.setUint16(6, FLAG_UTF8_NAMES, true);
+    local.setUint16(8, COMPRESSION_STORED, true);
+    local.setUint16(10, stamp.time, true);
+    local.setUint16(12, stamp.date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    parts.push(local, name, entry.blob);
+
+    const header = new DataView(new ArrayBuffer(CENTRAL_HEADER_BYTES));
+    header.setUint32(0, CENTRAL_HEADER_SIGNATURE, true);
+    header.setUint16(4, VERSION_NEEDED, true);
+    header.setUint16(6, VERSION_NEEDED, true);
+    header.setUint16(8, FLAG_UTF8_NAMES, true);
+    header.setUint16(10, COMPRESSION_STORED, true);
+    header.setUint16(12, stamp.time, true);
+    header.setUint16(14, stamp.date, true);
+    header.setUint32(16, crc, true);
+    header.setUint32(20, data.length, true);
+    header.setUint32(24, data.length, true);
+    header.setUint16(28, name.length, true);
+    header.setUint32(42, offset, true);
+    central.push(header, name);
+
+    offset += LOCAL_HEADER_BYTES + name.length + data.length;
+    if (offset > MAX_ARCHIVE_BYTES) throw new Error('ZIP archive exceeds 4 GiB.');
+  }
+
+  const directorySize = central.reduce((sum, part) => sum + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(END_OF_DIRECTORY_BYTES));
+  end.setUint32(0, END_OF_DIRECTORY_SIGNATURE, true);
+  end.setUint16(8, list.length, true);
+  end.setUint16(10, list.length, true);
+  end.setUint32(12, directorySize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...central, end], { type: 'application/zip' });
+}
+
+export default {
+  crc32,
+  createZipBlob,
+};
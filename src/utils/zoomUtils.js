@@ -137,7 +137,7 @@ function getViewportSize(viewport, opts) {
  * @param {number} next
  * @returns {void}
  */
-function applyZoom(setZoom, next) {
+export function applyZoom(setZoom, next) {
   const clamped = clamp(next, MIN_ZOOM, MAX_ZOOM);
   setZoom((current) => {
     const numericCurrent = Number(current);
@@ -148,6 +148,127 @@ function applyZoom(setZoom, next) {
   });
 }
 
+/**
+ * Pure fit-page zoom for a known surface and viewport size.
+ *
+ * @param {{ width:number, height:number }} size Intrinsic surface size.
+ * @param {{ width:number, height:number }} viewportSize Usable viewport size.
+ * @returns {(number|null)} Clamped zoom, or null when either size is unusable.
+ */
+export function computeFitToScreenZoom(size, viewportSize) {
+  const w = Number(size?.width);
+  const h = Number(size?.height);
+  const vw = Number(viewportSize?.width);
+  const vh = Number(viewportSize?.height);
+  if (!hasValidDimensions(w, h) || !hasValidDimensions(vw, vh)) return null;
+  return clamp(Math.min(vw / w, vh / h), MIN_ZOOM, MAX_ZOOM);
+}
+
+/**
+ * Pure fit-width zoom (optionally capped like the custom-size mode) for a known surface and
+ * viewport size.
+ *
+ * @param {{ width:number, height:number }} size Intrinsic surface size.
+ * @param {{ width:number, height:number }} viewportSize Usable viewport size.
+ * @param {ZoomCalcOptions=} opts
+ * @returns {(number|null)} Clamped zoom, or null when either size is unusable.
+ */
+export function computeFitToWidthZoom(size, viewportSize, opts) {
+  const w = Number(size?.width);
+  const h = Number(size?.height);
+  const vw = Number(viewportSize?.width);
+  const vh = Number(viewportSize?.height);
+  if (!hasValidDimensions(w, h) || !isPositiveFiniteNumber(vw)) return null;
+
+  const candidates = [(vw / w) * normalizeOptionalFactor(opts?.widthFactor, 1)];
+  const heightFactor = normalizeOptionalFactor(opts?.heightFactor);
+  if (heightFactor != null && isPositiveFiniteNumber(vh)) candidates.push((vh / h) * heightFactor);
+  const actualSizeFactor = normalizeOptionalFactor(opts?.actualSizeFactor);
+  if (actualSizeFactor != null) candidates.push(actualSizeFactor);
+
+  const zoom = Math.min(...candidates.filter(isPositiveFiniteNumber));
+  return clamp(Number.isFinite(zoom) && zoom > 0 ? zoom : 1, MIN_ZOOM, MAX_ZOOM);
+}
+
+/**
+ * Turn the user's custom-size limits (percentages) into fit-width options, with the same
+ * normalization DocumentRender applies: width 1–100% (default 70%), optional height 1–500% and
+ * optional actual-size cap 1–200%.
+ *
+ * @param {*} limits `{ widthFactorPercent, heightFactorPercent, actualSizeFactorPercent }`
+ * @returns {{ widthFactor:number, heightFactor:(number|null), actualSizeFactor:(number|null) }}
+ */
+export function resolveCustomFitZoomOptions(limits) {
+  const widthPercent = Math.round(Number(limits?.widthFactorPercent));
+  const resolveOptionalFactor = (percent, max) => {
+    if (percent == null || String(percent).trim?.() === '') return null;
+    const numeric = Math.round(Number(percent));
+    if (!Number.isFinite(numeric)) return null;
+    return Math.max(1, Math.min(max, numeric)) / 100;
+  };
+  return {
+    widthFactor: (Number.isFinite(widthPercent) ? Math.max(1, Math.min(100, widthPercent)) : 70) / 100,
+    heightFactor: resolveOptionalFactor(limits?.heightFactorPercent, 500),
+    actualSizeFactor: resolveOptionalFactor(limits?.actualSizeFactorPercent, 200),
+  };
+}
+
+/**
+ * Combined raster size of pages shown side by side at one zoom: widths add up and the tallest
+ * page sets the height.
+ *
+ * @param {Array<{ width:number, height:number }>} sizes Raster sizes, left to right.
+ * @returns {({ width:number, height:number }|null)} Null when any size is unusable.
+ */
+export function getSpreadSurfaceSize(sizes) {
+  if (!Array.isArray(sizes) || sizes.length === 0) return null;
+  let width = 0;
+  let height = 0;
+  for (const size of sizes) {
+    const w = Number(size?.width);
+    const h = Number(size?.height);
+    if (!hasValidDimensions(w, h)) return null;
+    width += w;
+    height = Math.max(height, h);
+  }
+  return { width, height };
+}
+
+/**
+ * Fit-page zoom for a spread, treating its pages as one surface. The gap between the pages does
+ * not scale with zoom, so it is taken from the viewport width instead.
+ *
+ * @param {Array<{ width:number, height:number }>} sizes Raster sizes, left to right.
+ * @param {{ width:number, height:number }} viewportSize Usable viewport size.
+ * @param {number=} gapPx Gap between the pages, in CSS pixels.
+ * @returns {(number|null)}
+ */
+export function computeSpreadFitToScreenZoom(sizes, viewportSize, gapPx = 0) {
+  const gap = Math.max(0, Number(gapPx) || 0) * Math.max(0, (sizes?.length || 0) - 1);
+  return computeFitToScreenZoom(getSpreadSurfaceSize(sizes), {
+    width: Number(viewportSize?.width) - gap,
+    height: Number(viewportSize?.height),
+  });
+}
+
+/**
+ * Fit-width zoom (optionally capped like the custom-size mode) for a spread, treating its pages
+ * as one surface.
+ *
+ * @param {Array<{ width:number, height:number }>} sizes Raster sizes, left to right.
+ * @param {{ width:number, height:number }} viewportSize Usable viewport size.
+ * @param {number=} gapPx Gap between the pages, in CSS pixels.
+ * @param {ZoomCalcOptions=} opts
+ * @returns {(number|null)}
+ */
+export function computeSpreadFitToWidthZoom(sizes, viewportSize, gapPx = 0, opts) {
+  const gap = Math.max(0, Number(gapPx) || 0) * Math.max(0, (sizes?.length || 0) - 1);
+  return computeFitToWidthZoom(getSpreadSurfaceSize(sizes), {
+    width: Number(viewportSize?.width) - gap,
+    height: Number(viewportSize?.height),
+  }, opts);
+}
+
 /**
  * Calculate and set a zoom that fits the render surface within both viewport axes.
  *
@@ -8,8 +8,14 @@
  *
  * That lets the modern hybrid pipeline reuse the proven TIFF/raster worker code without breaking
  * older tooling or test harnesses that still speak the original batch format.
+ *
+ * Each frame of a multi-frame GIF or animated WebP is its own page. Frames are decoded with
+ * `ImageDecoder` when the worker has it, and GIF frames with the pure-JS decoder otherwise
+ * (`utils/animatedImage.js`).
  */
 
+import { countAnimationFrames, decodeAnimationFrame, isAnimatedImageExtension } from '../utils/animatedImage.js';
+
 /** @type {(ServiceWorkerGlobalScope|DedicatedWorkerGlobalScope|SharedWorkerGlobalScope|*)} */
 const workerScope = self;
 
@@ -234,6 +240,42 @@ async function renderRasterAsset(sourceBlob, fileExtension, variant, thumbnailMa
   );
 }
 
+async function renderAnimationFrameAsset(sourceBlob, fileExtension, pageIndex, variant, thumbnailMaxWidth, thumbnailMaxHeight) {
+  const bytes = new Uint8Array(await sourceBlob.arrayBuffer());
+  if (countAnimationFrames(bytes, fileExtension) <= 1) {
+    return renderRasterAsset(sourceBlob, fileExtension, variant, thumbnailMaxWidth, thumbnailMaxHeight);
+  }
+
+  const frame = await decodeAnimationFrame(bytes, fileExtension, pageIndex);
+  if (!frame) throw createFallbackMainThreadError(`No frame decoder for ${fileExtension} is available in this worker`);
+  try {
+    const scale = variant === 'full'
+      ? 1
+      : fitScale(
+          frame.width,
+          frame.height,
+          normalizeThumbnailBound(thumbnailMaxWidth, DEFAULT_THUMBNAIL_WIDTH),
+          normalizeThumbnailBound(thumbnailMaxHeight, DEFAULT_THUMBNAIL_HEIGHT)
+        );
+    const width = Math.max(1, Math.round(frame.width * scale));
+    const height = Math.max(1, Math.round(frame.height * scale));
+    const canvas = createLocalCanvas(width, height);
+    if (!canvas) throw createFallbackMainThreadError('OffscreenCanvas is unavailable for frame rendering');
+    const ctx = canvas.getContext('2d', { alpha: true });
+    if (!ctx) throw createFallbackMainThreadError('Failed to acquire OffscreenCanvas context for frame rendering');
+    ctx.drawImage(frame.image, 0, 0, width, height);
+    const blob = await canvasToBlob(canvas, 'image/png');
+    return {
+      blob,
+      width,
+      height,
+      mimeType: blob.type || 'image/png',
+    };
+  } finally {
+    frame.close();
+  }
+}
+
 async function renderTiffAsset(sourceBlob, pageIndex, variant, thumbnailMaxWidth, thumbnailMaxHeight) {
   const maxThumbnailWidth = normalizeThumbnailBound(thumbnailMaxWidth, DEFAULT_THUMBNAIL_WIDTH);
   const maxThumbnailHeight = normalizeThumbnailBound(thumbnailMaxHeight, DEFAULT_THUMBNAIL_HEIGHT);
@@ -336,6 +378,17 @@ async function renderPageAssetPayload(payload) {
     );
   }
 
+  if (isAnimatedImageExtension(ext)) {
+    return renderAnimationFrameAsset(
+      sourceBlob,
+      ext,
+      Math.max(0, Number(payload?.pageIndex) || 0),
+      variant,
+      payload?.thumbnailMaxWidth,
+      payload?.thumbnailMaxHeight
+    );
+  }
+
   return renderRasterAsset(
     sourceBlob,
     ext,
@@ -5,11 +5,13 @@
  * This worker is intentionally separate from the raster/TIFF worker so ordinary image rendering
  * does not load pdf.js. It renders one PDF page into an image blob for the modern page-asset
  * pipeline and reports a main-thread fallback when worker-side PDF rendering is not supported.
+ * It also extracts page text for the text layer and search, reusing the same open-document cache.
  */
 
 import * as pdfjsLib from 'pdfjs-dist/legacy/build/pdf';
 import pdfWorkerUrl from 'pdfjs-dist/legacy/build/pdf.worker.min.mjs?url';
 import { withPdfJsDocumentOptions } from '../utils/pdfjsDocumentOptions.js';
+import { normalizePdfTextContent } from '../utils/pdfTextContent.js';
 
 const workerScope = self;
 const MIN_THUMBNAIL_DIMENSION = 24;
@@ -325,6 +327,29 @@ async function renderPdfPageAsset(payload) {
   }
 }
 
+async function extractPdfPageText(payload) {
+  if (!(payload?.sourceBlob instanceof Blob)) {
+    throw createFallbackMainThreadError(
+      'PDF worker payload is missing sourceBlob',
+      'missing-source-blob',
+      'validate-payload'
+    );
+  }
+  const maxOpenPdfDocuments = Math.max(1, Number(payload?.maxOpenPdfDocuments) || 1);
+  const pdfLease = await acquirePdfDocument(payload.sourceBlob, payload.sourceKey, maxOpenPdfDocuments);
+  const pageNumber = Math.max(1, Math.floor(Number(payload?.pageIndex) || 0) + 1);
+  let page = null;
+
+  try {
+    page = await pdfLease.pdf.getPage(pageNumber);
+    const textContent = await page.getTextContent();
+    return normalizePdfTextContent(textContent, page.getViewport({ scale: 1 }));
+  } finally {
+    try { page?.cleanup?.(); } catch {}
+    pdfLease.release();
+  }
+}
+
 function createPayloadSummary(payload) {
   return {
     variant: String(payload?.variant || ''),
@@ -387,8 +412,25 @@ async function renderPdfPageAssetBatch(payload, postItemResult) {
 
 workerScope.onmessage = async (event) => {
   const data = event?.data || {};
-  if (data?.type !== 'renderPdfPageAsset' && data?.type !== 'renderPdfPageAssetBatch') return;
   const taskId = Number(data?.taskId || 0);
+  if (data?.type === 'extractPdfPageText') {
+    try {
+      const text = await extractPdfPageText(data?.payload || {});
+      workerScope.postMessage({ type: 'extractPdfPageTextResult', taskId, ok: true, text });
+    } catch (error) {
+      workerScope.postMessage({
+        type: 'extractPdfPageTextResult',
+        taskId,
+        ok: false,
+        error: String(error?.message || error),
+        errorDetails: serializeError(error, 'extract-text'),
+        payloadSummary: createPayloadSummary(data?.payload || {}),
+        fallbackMainThread: true,
+      });
+    }
+    return;
+  }
+  if (data?.type !== 'renderPdfPageAsset' && data?.type !== 'renderPdfPageAssetBatch') return;
 
   try {
     if (data?.type === 'renderPdfPageAssetBatch') {
@@ -4,8 +4,22 @@
  *
  * Generates one full PDF or one page-batch partial PDF. `pdfWorkerDispatcher`
  * can run several instances in parallel and merge the partial PDFs afterward.
+ *
+ * Page URLs of redacted pages already point at burned-in copies made on the main thread; the
+ * worker never sees the original pixels of a redacted page.
+ *
+ * Pages whose plan has `vectorPage` get no image: the main thread copies the source PDF page into
+ * the reported `imageBoxes` afterwards (see `src/utils/printPdfVector.js`).
+ *
+ * `job.sheets` places the pages on output sheets for the 2-up, 4-up and booklet layouts
+ * (see `src/utils/printImposition.js`); each page is drawn into its cell with its own header,
+ * footer and watermark. A plan's `batesStamp` is drawn last, in a corner of the cell.
  */
 
+import { drawPdfAnnotations } from '../utils/annotationPdf.js';
+import { drawPdfBatesStamp } from '../utils/batesNumbering.js';
+import { getImpositionCells, getLayoutSheetOrientation, normalizePrintLayout, planImpositionSheets } from '../utils/printImposition.js';
+
 const workerScope = self;
 
 const A4_PORTRAIT = [595.28, 841.89];
@@ -480,12 +494,12 @@ async function addImageWithFallback(pdf, image, x, y, width, height, fallbackQua
   pdf.addImage(jpeg, 'JPEG', x, y, width, height, undefined, 'FAST');
 }
 
-function drawWatermark(pdf, text, pageWidth, pageHeight) {
+function drawWatermark(pdf, text, cell) {
   const clean = String(text || '').trim();
   if (!clean) return;
-  const fontSize = Math.max(MIN_WATERMARK_FONT_SIZE, Math.min(pageWidth, pageHeight) * WATERMARK_FONT_SCALE);
-  const x = pageWidth / 2;
-  const y = pageHeight / 2;
+  const fontSize = Math.max(MIN_WATERMARK_FONT_SIZE, Math.min(cell.width, cell.height) * WATERMARK_FONT_SCALE);
+  const x = cell.x + (cell.width / 2);
+  const y = cell.y + (cell.height / 2);
   pdf.setFont('helvetica', 'bold');
   pdf.setFontSize(fontSize);
 
@@ -509,18 +523,18 @@ function drawWatermark(pdf, text, pageWidth, pageHeight) {
   }
 }
 
-function drawWatermarkImage(pdf, image, pageWidth, pageHeight) {
+function drawWatermarkImage(pdf, image, cell) {
   if (!image) return false;
   const aspect = Math.max(1, image.width || 1) / Math.max(1, image.height || 1);
-  let drawWidth = pageWidth * WATERMARK_IMAGE_WIDTH_SCALE;
+  let drawWidth = cell.width * WATERMARK_IMAGE_WIDTH_SCALE;
   let drawHeight = drawWidth / aspect;
-  const maxHeight = pageHeight * WATERMARK_IMAGE_MAX_HEIGHT_SCALE;
+  const maxHeight = cell.height * WATERMARK_IMAGE_MAX_HEIGHT_SCALE;
   if (drawHeight > maxHeight) {
     drawHeight = maxHeight;
     drawWidth = drawHeight * aspect;
   }
-  const x = (pageWidth - drawWidth) / 2;
-  const y = (pageHeight - drawHeight) / 2;
+  const x = cell.x + ((cell.width - drawWidth) / 2);
+  const y = cell.y + ((cell.height - drawHeight) / 2);
   try {
     pdf.addImage(image.dataUrl, 'PNG', x, y, drawWidth, drawHeight, undefined, 'FAST');
     return true;
@@ -529,18 +543,64 @@ function drawWatermarkImage(pdf, image, pageWidth, pageHeight) {
   }
 }
 
+async function drawPageCell(pdf, image, pagePlan, cell, metrics) {
+  const { marginPt, headerReservePt, footerReservePt, textFontSize } = metrics;
+  const headerLines = Array.isArray(pagePlan.headerLines) ? pagePlan.headerLines : [];
+  const footerLines = Array.isArray(pagePlan.footerLines) ? pagePlan.footerLines : [];
+  const contentWidth = cell.width - (marginPt * 2);
+  const headerDrawLines = wrapRichLines(pdf, headerLines, contentWidth, textFontSize, MAX_HEADER_FOOTER_LINES);
+  const footerFontSize = Math.max(5, textFontSize - FOOTER_FONT_SIZE_REDUCTION);
+  const footerDrawLines = wrapRichLines(pdf, footerLines, contentWidth, footerFontSize, MAX_FOOTER_LINES);
+  const hasHeader = headerDrawLines.length > 0;
+  const hasFooter = footerDrawLines.length > 0;
+  const headerReserve = calculateOverlayReserve(hasHeader, headerReservePt, headerDrawLines.length, textFontSize);
+  const footerReserve = calculateOverlayReserve(hasFooter, footerReservePt, footerDrawLines.length, footerFontSize);
+
+  if (hasHeader) {
+    drawRichTextBlock(pdf, headerDrawLines, cell.x + marginPt, cell.y + marginPt + textFontSize, contentWidth, textFontSize, HEADER_FOOTER_COLOR, MAX_HEADER_FOOTER_LINES);
+  }
+  if (hasFooter) {
+    const lineHeight = Math.max(5, footerFontSize * HEADER_FOOTER_LINE_HEIGHT);
+    const firstY = cell.y + cell.height - marginPt - footerFontSize - ((footerDrawLines.length - 1) * lineHeight);
+    drawRichTextBlock(pdf, footerDrawLines, cell.x + marginPt, firstY, contentWidth, footerFontSize, FOOTER_COLOR, MAX_FOOTER_LINES);
+  }
+
+  const imageBoxX = cell.x + marginPt;
+  const imageBoxY = cell.y + marginPt + headerReserve;
+  const imageBoxHeight = Math.max(1, cell.height - (marginPt * 2) - headerReserve - footerReserve);
+  const scale = Math.min(contentWidth / image.width, imageBoxHeight / image.height);
+  const drawWidth = image.width * scale;
+  const drawHeight = image.height * scale;
+  const box = {
+    x: imageBoxX + ((contentWidth - drawWidth) / 2),
+    y: imageBoxY + ((imageBoxHeight - drawHeight) / 2),
+    width: drawWidth,
+    height: drawHeight,
+  };
+  if (!pagePlan.vectorPage) await addImageWithFallback(pdf, image, box.x, box.y, box.width, box.height, metrics.imageFallbackQuality);
+  drawPdfAnnotations(pdf, pagePlan.annotations, box);
+  drawPdfBatesStamp(pdf, pagePlan.batesStamp, cell, marginPt);
+  return box;
+}
+
 async function createPdf(job) {
   const urls = Array.isArray(job?.urls) ? job.urls : [];
   if (!urls.length) throw new Error('PDF worker received no page URLs.');
   const total = urls.length;
   const pdfCfg = job?.pdfCfg || {};
   const workerPlan = job?.workerPlan || {};
-  const marginPt = Math.max(0, Number(pdfCfg.marginPt) || 8);
-  const headerReservePt = Math.max(0, Number(pdfCfg.headerReservePt) || 18);
-  const footerReservePt = Math.max(0, Number(pdfCfg.footerReservePt) || 14);
-  const textFontSize = Math.max(5, Number(pdfCfg.textFontSize) || 7);
-  const imageFallbackQuality = normalizeQuality(pdfCfg.imageFallbackQuality, JPEG_FALLBACK_DEFAULT_QUALITY);
+  const metrics = {
+    marginPt: Math.max(0, Number(pdfCfg.marginPt) || 8),
+    headerReservePt: Math.max(0, Number(pdfCfg.headerReservePt) || 18),
+    footerReservePt: Math.max(0, Number(pdfCfg.footerReservePt) || 14),
+    textFontSize: Math.max(5, Number(pdfCfg.textFontSize) || 7),
+    imageFallbackQuality: normalizeQuality(pdfCfg.imageFallbackQuality, JPEG_FALLBACK_DEFAULT_QUALITY),
+  };
   const orientationMode = normalizePdfOrientationMode(pdfCfg.orientationMode || pdfCfg.orientation?.mode || 'auto', 'auto');
+  // Sheets hold indexes into this job's urls; the dispatcher never splits a sheet across jobs.
+  const layout = normalizePrintLayout(job?.layout, 'single');
+  const sheets = Array.isArray(job?.sheets) ? job.sheets : planImpositionSheets(total, layout);
+  const sheetOrientation = getLayoutSheetOrientation(layout);
 
   postProgress({ phase: 'loading-library', current: 0, total });
   const jsPDF = await loadJsPdf();
@@ -553,74 +613,58 @@ async function createPdf(job) {
   postProgress({ phase: 'generating', current: 0, total });
 
   let pdf = null;
-  for (let i = 0; i < images.length; i += 1) {
-    postProgress({
-      phase: 'generating-page',
-      current: i,
-      progressValue: Math.min(total, i + PDF_PROGRESS_PAGE_START_FRACTION),
-      page: i + 1,
-      total,
-    });
-
-    const image = images[i];
-    const [pdfPageWidth, pdfPageHeight] = pageFormatForImage(image.width, image.height, orientationMode);
+  let drawnPages = 0;
+  const imageBoxes = new Array(images.length).fill(null);
+  for (let sheetIndex = 0; sheetIndex < sheets.length; sheetIndex += 1) {
+    const sheet = sheets[sheetIndex];
+    const firstImage = images[sheet.find((index) => index != null)];
+    const [pdfPageWidth, pdfPageHeight] = sheetOrientation
+      ? (sheetOrientation === 'landscape' ? A4_LANDSCAPE : A4_PORTRAIT)
+      : pageFormatForImage(firstImage.width, firstImage.height, orientationMode);
     const orientation = pdfPageWidth > pdfPageHeight ? 'landscape' : 'portrait';
     if (!pdf) pdf = new jsPDF(createJsPdfOptions(pdfPageWidth, pdfPageHeight, orientation));
     else pdf.addPage([pdfPageWidth, pdfPageHeight], orientation);
 
-    const pagePlan = Array.isArray(job?.pagePlans) ? job.pagePlans[i] || {} : {};
-    const headerLines = Array.isArray(pagePlan.headerLines) ? pagePlan.headerLines : [];
-    const footerLines = Array.isArray(pagePlan.footerLines) ? pagePlan.footerLines : [];
-    const headerDrawLines = wrapRichLines(pdf, headerLines, pdfPageWidth - (marginPt * 2), textFontSize, MAX_HEADER_FOOTER_LINES);
-    const footerFontSize = Math.max(5, textFontSize - FOOTER_FONT_SIZE_REDUCTION);
-    const footerDrawLines = wrapRichLines(pdf, footerLines, pdfPageWidth - (marginPt * 2), footerFontSize, MAX_FOOTER_LINES);
-    const hasHeader = headerDrawLines.length > 0;
-    const hasFooter = footerDrawLines.length > 0;
-    const headerReserve = calculateOverlayReserve(hasHeader, headerReservePt, headerDrawLines.length, textFontSize);
-    const footerReserve = calculateOverlayReserve(hasFooter, footerReservePt, footerDrawLines.length, footerFontSize);
-
-    if (hasHeader) {
-      drawRichTextBlock(pdf, headerDrawLines, marginPt, marginPt + textFontSize, pdfPageWidth - (marginPt * 2), textFontSize, HEADER_FOOTER_COLOR, MAX_HEADER_FOOTER_LINES);
-    }
-    if (hasFooter) {
-      const lineHeight = Math.max(5, footerFontSize * HEADER_FOOTER_LINE_HEIGHT);
-      const firstY = pdfPageHeight - marginPt - footerFontSize - ((footerDrawLines.length - 1) * lineHeight);
-      drawRichTextBlock(pdf, footerDrawLines, marginPt, firstY, pdfPageWidth - (marginPt * 2), footerFontSize, FOOTER_COLOR, MAX_FOOTER_LINES);
-    }
-
-    const imageBoxX = marginPt;
-    const imageBoxY = marginPt + headerReserve;
-    const imageBoxWidth = pdfPageWidth - (marginPt * 2);
-    const imageBoxHeight = Math.max(1, pdfPageHeight - (marginPt * 2) - headerReserve - footerReserve);
-    const scale = Math.min(imageBoxWidth / image.width, imageBoxHeight / image.height);
-    const drawWidth = image.width * scale;
-    const drawHeight = image.height * scale;
-    const drawX = imageBoxX + ((imageBoxWidth - drawWidth) / 2);
-    const drawY = imageBoxY + ((imageBoxHeight - drawHeight) / 2);
-    await addImageWithFallback(pdf, image, drawX, drawY, drawWidth, drawHeight, imageFallbackQuality);
-
-    const copyText = String(pagePlan.copyText || '').trim();
-    if (copyText && job?.watermarkEnabled !== false) {
-      if (!watermarkImage || !drawWatermarkImage(pdf, watermarkImage, pdfPageWidth, pdfPageHeight)) {
-        drawWatermark(pdf, copyText, pdfPageWidth, pdfPageHeight);
+    const cells = getImpositionCells(pdfPageWidth, pdfPageHeight, layout);
+    for (let cellIndex = 0; cellIndex < sheet.length; cellIndex += 1) {
+      const i = sheet[cellIndex];
+      if (i == null) continue;
+      postProgress({
+        phase: 'generating-page',
+        current: drawnPages,
+        progressValue: Math.min(total, drawnPages + PDF_PROGRESS_PAGE_START_FRACTION),
+        page: drawnPages + 1,
+        total,
+      });
+
+      const pagePlan = Array.isArray(job?.pagePlans) ? job.pagePlans[i] || {} : {};
+      const box = await drawPageCell(pdf, images[i], pagePlan, cells[cellIndex], metrics);
+      if (pagePlan.vectorPage) imageBoxes[i] = { ...box, sheet: sheetIndex };
+
+      const copyText = String(pagePlan.copyText || '').trim();
+      if (copyText && job?.watermarkEnabled !== false) {
+        if (!watermarkImage || !drawWatermarkImage(pdf, watermarkImage, cells[cellIndex])) {
+          drawWatermark(pdf, copyText, cells[cellIndex]);
+        }
       }
+      drawnPages += 1;
+      postProgress({ phase: 'generating', current: drawnPages, total });
     }
-    postProgress({ phase: 'generating', current: i + 1, total });
   }
 
   if (!pdf) throw new Error('PDF worker produced no document.');
   postProgress({ phase: 'finalizing', current: total, total });
   const blob = pdf.output('blob');
   postProgress({ phase: 'done', current: total, total });
-  return blob;
+  return { blob, imageBoxes };
 }
 
 workerScope.onmessage = async (event) => {
   const data = event?.data || {};
   if (data.type !== 'createPdf') return;
   try {
-    const blob = await createPdf(data.job || {});
-    workerScope.postMessage({ type: 'result', blob });
+    const { blob, imageBoxes } = await createPdf(data.job || {});
+    workerScope.postMessage({ type: 'result', blob, imageBoxes });
   } catch (error) {
     workerScope.postMessage({ type: 'error', error: String(error?.message || error) });
   }